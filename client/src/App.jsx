@@ -13,6 +13,7 @@ import AdminDashboard from './components/admin/AdminDashboard.jsx';
 import UserManagement from './components/admin/UserManagement.jsx';
 import TenantManagement from './components/admin/TenantManagement.jsx';
 import VersionManagement from './components/admin/VersionManagement.jsx';
+import AuditLog from './components/tenant/AuditLog.jsx';
 import Settings from './components/Settings.jsx';
 import TenantAdminPanel from './components/tenant/TenantAdminPanel.jsx';
 import Profile from './components/profile/Profile.jsx';
@@ -117,6 +118,16 @@ function App() {
             )
           }
         />
+        <Route
+          path="admin/audit"
+          element={
+            user?.role === 'super_admin' ? (
+              <AuditLog crossTenant />
+            ) : (
+              <Navigate to="/app/dashboard" replace />
+            )
+          }
+        />
         <Route
           path="admin/version"
           element={
@@ -30,6 +30,7 @@ import {
 import { useAuth } from '../../contexts/AuthContext';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import PlanCatalogue from './PlanCatalogue';
 
 const AdminDashboard = () => {
   const { user } = useAuth();
@@ -350,6 +351,9 @@ const AdminDashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Plan Catalogue */}
+      <PlanCatalogue />
+
       {/* Quick Stats */}
       <Grid container spacing={3}>
         <Grid item xs={12} md={4}>
@@ -0,0 +1,422 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Switch,
+  Checkbox,
+  Grid,
+  Divider,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  WorkspacePremium as PlanIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+// Labels for the plan feature flags and limits defined in server/models/SubscriptionPlan.js
+const FEATURE_LABELS = {
+  offlineSync: { label: 'Offline sync', description: 'Agents download vehicle data to search without a connection' },
+  matchAlerts: { label: 'Match alerts', description: 'Admins and staff are alerted when an agent confirms a vehicle' },
+  yardManagement: { label: 'Yard management', description: 'Yards, vehicle check-in/check-out and release letters' }
+};
+
+const LIMIT_LABELS = {
+  maxUsers: 'Agents',
+  maxBanks: 'Banks',
+  maxDataDownloads: 'Records downloaded per agent per period',
+  maxAPIcalls: 'Searches per agent per period'
+};
+
+const PRICING_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const UNLIMITED = -1;
+
+const emptyPlan = (featureKeys, limitKeys) => ({
+  name: '',
+  code: '',
+  description: '',
+  displayOrder: 1,
+  isActive: true,
+  pricing: { weekly: 0, monthly: 0, quarterly: 0, yearly: 0 },
+  featureFlags: Object.fromEntries(featureKeys.map((key) => [key, true])),
+  limits: Object.fromEntries(limitKeys.map((key) => [key, UNLIMITED])),
+  featuresText: ''
+});
+
+const formatLimit = (value) => (value === UNLIMITED || value === undefined ? '∞' : Number(value).toLocaleString());
+
+const PlanCatalogue = () => {
+  const [plans, setPlans] = useState([]);
+  const [featureKeys, setFeatureKeys] = useState(Object.keys(FEATURE_LABELS));
+  const [limitKeys, setLimitKeys] = useState(Object.keys(LIMIT_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [formData, setFormData] = useState(emptyPlan(featureKeys, limitKeys));
+
+  const fetchPlans = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/plans');
+      setPlans(response.data.data.plans || []);
+      if (response.data.data.featureKeys) setFeatureKeys(response.data.data.featureKeys);
+      if (response.data.data.limitKeys) setLimitKeys(response.data.data.limitKeys);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching plans:', error);
+      setError('Failed to load plans');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  const handleAdd = () => {
+    setEditingPlan(null);
+    setFormData({ ...emptyPlan(featureKeys, limitKeys), displayOrder: plans.length + 1 });
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (plan) => {
+    const blank = emptyPlan(featureKeys, limitKeys);
+    setEditingPlan(plan);
+    setFormData({
+      name: plan.name || '',
+      code: plan.code || '',
+      description: plan.description || '',
+      displayOrder: plan.displayOrder ?? 1,
+      isActive: plan.isActive !== false,
+      pricing: { ...blank.pricing, ...plan.pricing },
+      featureFlags: { ...blank.featureFlags, ...plan.featureFlags },
+      limits: { ...blank.limits, ...plan.limits },
+      featuresText: (plan.features || []).join('\n')
+    });
+    setDialogOpen(true);
+  };
+
+  const handleDialogClose = () => {
+    setDialogOpen(false);
+    setEditingPlan(null);
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete the ${plan.name || plan.code} plan? This action cannot be undone.`)) return;
+
+    try {
+      await axios.delete(`/api/admin/plans/${plan._id}`);
+      toast.success('Plan deleted successfully!');
+      fetchPlans();
+    } catch (error) {
+      console.error('Error deleting plan:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete plan');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const { featuresText, ...plan } = formData;
+    const payload = {
+      ...plan,
+      features: featuresText.split('\n').map((line) => line.trim()).filter(Boolean)
+    };
+
+    try {
+      if (editingPlan) {
+        await axios.put(`/api/admin/plans/${editingPlan._id}`, payload);
+        toast.success('Plan updated successfully!');
+      } else {
+        await axios.post('/api/admin/plans', payload);
+        toast.success('Plan created successfully!');
+      }
+      handleDialogClose();
+      fetchPlans();
+    } catch (error) {
+      console.error('Error saving plan:', error);
+      const details = error.response?.data?.errors?.map((err) => err.msg).join(', ');
+      toast.error(details || error.response?.data?.message || 'Failed to save plan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setNested = (group, key, value) => {
+    setFormData((current) => ({ ...current, [group]: { ...current[group], [key]: value } }));
+  };
+
+  return (
+    <Card sx={{ mb: 4 }}>
+      <CardHeader
+        title="Subscription Plans"
+        subheader="Features and limits enforced for every tenant on the plan and its agents"
+        avatar={<PlanIcon color="primary" />}
+        action={
+          <Button size="small" startIcon={<AddIcon />} onClick={handleAdd}>
+            New Plan
+          </Button>
+        }
+      />
+      <CardContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : plans.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" align="center">
+            No plans yet. Tenants without a plan keep every feature with no limits besides their own user cap.
+          </Typography>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Plan</TableCell>
+                  <TableCell align="right">Monthly</TableCell>
+                  {limitKeys.map((key) => (
+                    <TableCell key={key} align="right">{LIMIT_LABELS[key]?.split(' ')[0] || key}</TableCell>
+                  ))}
+                  <TableCell>Features</TableCell>
+                  <TableCell align="right">Tenants</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {plans.map((plan) => (
+                  <TableRow key={plan._id}>
+                    <TableCell>
+                      <Typography variant="subtitle2">{plan.name || plan.code}</Typography>
+                      <Typography variant="caption" color="text.secondary">{plan.code}</Typography>
+                    </TableCell>
+                    <TableCell align="right">₹{Number(plan.pricing?.monthly || 0).toLocaleString()}</TableCell>
+                    {limitKeys.map((key) => (
+                      <TableCell key={key} align="right">{formatLimit(plan.limits?.[key])}</TableCell>
+                    ))}
+                    <TableCell>
+                      {featureKeys
+                        .filter((key) => plan.featureFlags?.[key] !== false)
+                        .map((key) => (
+                          <Chip key={key} label={FEATURE_LABELS[key]?.label || key} size="small" variant="outlined" sx={{ mr: 0.5, mb: 0.5 }} />
+                        ))}
+                    </TableCell>
+                    <TableCell align="right">{plan.tenantCount || 0}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={plan.isActive ? 'Active' : 'Inactive'}
+                        color={plan.isActive ? 'success' : 'default'}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <IconButton size="small" onClick={() => handleEdit(plan)}>
+                        <EditIcon />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => handleDelete(plan)} disabled={plan.tenantCount > 0}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+
+      {/* Add/Edit Plan Dialog */}
+      <Dialog open={dialogOpen} onClose={handleDialogClose} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {editingPlan ? `Edit ${editingPlan.name || editingPlan.code}` : 'New Plan'}
+        </DialogTitle>
+        <Box component="form" onSubmit={handleSubmit}>
+          <DialogContent>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={5}>
+                <TextField
+                  fullWidth
+                  label="Plan Name"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                  placeholder="e.g., Premium Plan"
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  label="Code"
+                  value={formData.code}
+                  onChange={(e) => setFormData({ ...formData, code: e.target.value.toLowerCase() })}
+                  required
+                  placeholder="e.g., premium"
+                  helperText={editingPlan?.tenantCount > 0 ? 'Tenants on this plan are updated too' : ' '}
+                />
+              </Grid>
+              <Grid item xs={12} sm={3}>
+                <TextField
+                  fullWidth
+                  label="Display Order"
+                  type="number"
+                  value={formData.displayOrder}
+                  onChange={(e) => setFormData({ ...formData, displayOrder: parseInt(e.target.value, 10) || 0 })}
+                  inputProps={{ min: 0 }}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Description"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                />
+              </Grid>
+
+              <Grid item xs={12}>
+                <Divider sx={{ my: 1 }} />
+                <Typography variant="h6" gutterBottom sx={{ color: 'primary.main' }}>
+                  Features
+                </Typography>
+              </Grid>
+              {featureKeys.map((key) => (
+                <Grid item xs={12} sm={4} key={key}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={formData.featureFlags[key] !== false}
+                        onChange={(e) => setNested('featureFlags', key, e.target.checked)}
+                      />
+                    }
+                    label={FEATURE_LABELS[key]?.label || key}
+                  />
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {FEATURE_LABELS[key]?.description}
+                  </Typography>
+                </Grid>
+              ))}
+
+              <Grid item xs={12}>
+                <Divider sx={{ my: 1 }} />
+                <Typography variant="h6" gutterBottom sx={{ color: 'primary.main' }}>
+                  Limits
+                </Typography>
+              </Grid>
+              {limitKeys.map((key) => {
+                const unlimited = formData.limits[key] === UNLIMITED;
+                return (
+                  <Grid item xs={12} sm={6} key={key}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <TextField
+                        fullWidth
+                        label={LIMIT_LABELS[key] || key}
+                        type="number"
+                        value={unlimited ? '' : formData.limits[key]}
+                        onChange={(e) => setNested('limits', key, Math.max(0, parseInt(e.target.value, 10) || 0))}
+                        disabled={unlimited}
+                        inputProps={{ min: 0 }}
+                      />
+                      <FormControlLabel
+                        control={
+                          <Checkbox
+                            checked={unlimited}
+                            onChange={(e) => setNested('limits', key, e.target.checked ? UNLIMITED : 0)}
+                          />
+                        }
+                        label="Unlimited"
+                      />
+                    </Box>
+                  </Grid>
+                );
+              })}
+
+              <Grid item xs={12}>
+                <Divider sx={{ my: 1 }} />
+                <Typography variant="h6" gutterBottom sx={{ color: 'primary.main' }}>
+                  Pricing
+                </Typography>
+              </Grid>
+              {PRICING_PERIODS.map((period) => (
+                <Grid item xs={6} sm={3} key={period}>
+                  <TextField
+                    fullWidth
+                    label={period.charAt(0).toUpperCase() + period.slice(1)}
+                    type="number"
+                    value={formData.pricing[period]}
+                    onChange={(e) => setNested('pricing', period, Math.max(0, Number(e.target.value) || 0))}
+                    inputProps={{ min: 0 }}
+                  />
+                </Grid>
+              ))}
+
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Plan Highlights"
+                  value={formData.featuresText}
+                  onChange={(e) => setFormData({ ...formData, featuresText: e.target.value })}
+                  helperText="One per line. Shown with the plan only; access is controlled by the switches above."
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                  }
+                  label="Active (inactive plans cannot be given to tenants; tenants already on them keep them)"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleDialogClose}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={saving}>
+              {saving ? <CircularProgress size={20} /> : editingPlan ? 'Save Plan' : 'Create Plan'}
+            </Button>
+          </DialogActions>
+        </Box>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default PlanCatalogue;
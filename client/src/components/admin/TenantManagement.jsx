@@ -47,10 +47,11 @@ const TenantManagement = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [editingTenant, setEditingTenant] = useState(null);
+  const [plans, setPlans] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     type: 'agency', // agency, nbfc, bank
-    subscriptionPlan: 'basic',
+    planId: '',
     maxUsers: 10,
     // Tenant Admin Details
     adminFirstName: '',
@@ -83,6 +84,20 @@ const TenantManagement = () => {
     fetchTenants();
   }, [fetchTenants]);
 
+  // Plan catalogue (edited on the Admin Dashboard)
+  useEffect(() => {
+    axios.get('/api/admin/plans')
+      .then((response) => setPlans(response.data.data.plans || []))
+      .catch((error) => console.error('Error fetching plans:', error));
+  }, []);
+
+  const planFor = (tenant) => plans.find((plan) =>
+    plan._id === tenant.subscription?.planId || (!tenant.subscription?.planId && plan.code === tenant.subscription?.plan)
+  );
+  const defaultPlanId = () => plans.find((plan) => plan.isActive)?._id || '';
+  const formatLimit = (value) => (value === -1 || value === undefined ? 'Unlimited' : value);
+  const selectedPlan = plans.find((plan) => plan._id === formData.planId);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -117,7 +132,7 @@ const TenantManagement = () => {
     setFormData({
       name: tenant.name,
       type: tenant.type || 'agency',
-      subscriptionPlan: tenant.subscription?.plan || 'basic',
+      planId: planFor(tenant)?._id || '',
       maxUsers: tenant.subscription?.maxUsers || 10,
       // Don't populate admin details for editing
       adminFirstName: '',
@@ -146,7 +161,7 @@ const TenantManagement = () => {
     setFormData({
       name: '',
       type: 'agency',
-      subscriptionPlan: 'basic',
+      planId: defaultPlanId(),
       maxUsers: 10,
       adminFirstName: '',
       adminLastName: '',
@@ -204,7 +219,10 @@ const TenantManagement = () => {
         <Button
           variant="contained"
           startIcon={<AddIcon />}
-          onClick={() => setDialogOpen(true)}
+          onClick={() => {
+            resetForm();
+            setDialogOpen(true);
+          }}
         >
           Add Tenant
         </Button>
@@ -260,7 +278,7 @@ const TenantManagement = () => {
                     </TableCell>
                     <TableCell>
                       <Chip
-                        label={formatPlan(tenant.subscription?.plan || 'basic')}
+                        label={planFor(tenant)?.name || formatPlan(tenant.subscription?.plan || 'basic')}
                         color={getPlanColor(tenant.subscription?.plan)}
                         size="small"
                       />
@@ -357,31 +375,44 @@ const TenantManagement = () => {
               </Grid>
               
               <Grid item xs={12} sm={6}>
-                <FormControl fullWidth>
+                <FormControl fullWidth required={plans.length > 0}>
                   <InputLabel>Subscription Plan</InputLabel>
                   <Select
-                    value={formData.subscriptionPlan}
-                    onChange={(e) => setFormData({ ...formData, subscriptionPlan: e.target.value })}
+                    value={formData.planId}
+                    onChange={(e) => setFormData({ ...formData, planId: e.target.value })}
                     label="Subscription Plan"
+                    disabled={plans.length === 0}
                   >
-                    <MenuItem value="basic">Basic</MenuItem>
-                    <MenuItem value="premium">Premium</MenuItem>
-                    <MenuItem value="enterprise">Enterprise</MenuItem>
+                    {plans
+                      .filter((plan) => plan.isActive || plan._id === formData.planId)
+                      .map((plan) => (
+                        <MenuItem key={plan._id} value={plan._id}>
+                          {plan.name || plan.code}{!plan.isActive && ' (inactive)'}
+                        </MenuItem>
+                      ))}
                   </Select>
                 </FormControl>
+                <Typography variant="caption" color="text.secondary">
+                  {selectedPlan
+                    ? `Agents: ${formatLimit(selectedPlan.limits?.maxUsers)} · Banks: ${formatLimit(selectedPlan.limits?.maxBanks)}`
+                    : plans.length === 0 && 'No plans yet. Add them in the plan catalogue on the Admin Dashboard.'}
+                </Typography>
               </Grid>
               
-              <Grid item xs={12} sm={6}>
-                <TextField
-                  fullWidth
-                  label="Max Users"
-                  name="maxUsers"
-                  type="number"
-                  value={formData.maxUsers}
-                  onChange={(e) => setFormData({ ...formData, maxUsers: parseInt(e.target.value) })}
-                  inputProps={{ min: 1, max: 1000 }}
-                />
-              </Grid>
+              {/* Only applies while the catalogue is empty; a plan sets its own user limit */}
+              {plans.length === 0 && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    label="Max Users"
+                    name="maxUsers"
+                    type="number"
+                    value={formData.maxUsers}
+                    onChange={(e) => setFormData({ ...formData, maxUsers: parseInt(e.target.value) })}
+                    inputProps={{ min: 1, max: 1000 }}
+                  />
+                </Grid>
+              )}
 
               {/* Only show admin details for new tenant creation */}
               {!editingTenant && (
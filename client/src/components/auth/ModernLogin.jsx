@@ -14,7 +14,11 @@ import {
   CircularProgress,
   Divider,
   Fade,
-  Slide
+  Slide,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText
 } from '@mui/material';
 import {
   Visibility,
@@ -22,7 +26,8 @@ import {
   Email,
   Lock,
   Login as LoginIcon,
-  PersonAdd as RegisterIcon
+  PersonAdd as RegisterIcon,
+  Business as BusinessIcon
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -34,6 +39,8 @@ const ModernLogin = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Agencies to pick from when the credentials work in more than one
+  const [tenantChoices, setTenantChoices] = useState(null);
   
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -44,16 +51,20 @@ const ModernLogin = () => {
       [e.target.name]: e.target.value
     });
     setError(''); // Clear error when user types
+    setTenantChoices(null);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const signIn = async (choice = null) => {
     setLoading(true);
     setError('');
 
     try {
-      await login(formData.email, formData.password);
-      navigate('/app/dashboard');
+      const result = await login(formData.email, formData.password, choice);
+      if (result.success) {
+        navigate('/app/dashboard');
+      } else if (result.tenants) {
+        setTenantChoices(result.tenants);
+      }
     } catch (err) {
       setError(err.message || 'Login failed');
     } finally {
@@ -61,6 +72,11 @@ const ModernLogin = () => {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    signIn();
+  };
+
   return (
     <Box sx={{
       minHeight: '100vh',
@@ -142,6 +158,32 @@ const ModernLogin = () => {
                 </Fade>
               )}
 
+              {tenantChoices && (
+                <Box sx={{ mb: 3 }}>
+                  <Alert severity="info" sx={{ mb: 1, borderRadius: 2 }}>
+                    This account belongs to more than one agency. Choose one to continue.
+                  </Alert>
+                  <List disablePadding>
+                    {tenantChoices.map((choice) => (
+                      <ListItemButton
+                        key={`${choice.tenantId}-${choice.userType}`}
+                        onClick={() => signIn(choice)}
+                        disabled={loading}
+                        sx={{ borderRadius: 2, border: '1px solid #e2e8f0', mb: 1 }}
+                      >
+                        <ListItemIcon sx={{ minWidth: 40 }}>
+                          <BusinessIcon sx={{ color: '#6366f1' }} />
+                        </ListItemIcon>
+                        <ListItemText
+                          primary={choice.tenantName}
+                          secondary={choice.userType === 'office_staff' ? 'Office Staff' : 'Repo Agent'}
+                        />
+                      </ListItemButton>
+                    ))}
+                  </List>
+                </Box>
+              )}
+
               <form onSubmit={handleSubmit}>
                 <TextField
                   fullWidth
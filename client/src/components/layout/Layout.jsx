@@ -31,6 +31,7 @@ import {
   People as PeopleIcon,
   Business as BusinessIcon,
   AdminPanelSettings as AdminIcon,
+  History as HistoryIcon,
   Menu as MenuIcon
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
@@ -90,6 +91,12 @@ const Layout = () => {
       path: '/app/admin/tenants',
       show: isSuperAdmin
     },
+    {
+      text: 'Audit Log',
+      icon: <HistoryIcon />,
+      path: '/app/admin/audit',
+      show: isSuperAdmin
+    },
     {
       text: 'Profile',
       icon: <PersonIcon />,
@@ -136,7 +143,7 @@ const Layout = () => {
       {/* Sidebar Menu */}
       <List sx={{ py: 2 }}>
         {menuItems
-          .filter(item => !item.show || item.show)
+          .filter(item => item.show !== false)
           .map((item) => (
             <ListItem key={item.text} disablePadding>
               <ListItemButton
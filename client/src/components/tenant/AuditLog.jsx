@@ -0,0 +1,293 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Pagination,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { Refresh as RefreshIcon, Download as DownloadIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : (typeof value === 'object' ? JSON.stringify(value) : String(value)));
+
+const ACTOR_TYPES = {
+  main_user: 'Admin',
+  office_staff: 'Office staff',
+  repo_agent: 'Repo agent',
+  system: 'System'
+};
+
+// Append-only log of administrative actions. crossTenant is the super admin view across all tenants.
+const AuditLog = ({ crossTenant = false }) => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState({});
+  const [tenants, setTenants] = useState([]);
+  const [filters, setFilters] = useState({ action: '', q: '', from: '', to: '', tenantId: '' });
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  // Dates are whole days in the user's timezone
+  const buildParams = () => ({
+    action: filters.action || undefined,
+    q: filters.q || undefined,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+    tenantId: crossTenant && filters.tenantId ? filters.tenantId : undefined
+  });
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/tenant/audit', {
+        headers: authHeaders(),
+        params: { ...buildParams(), page, limit: 25 }
+      });
+      setEntries(res?.data?.data || []);
+      setActions(res?.data?.actions || {});
+      setPages(res?.data?.pagination?.pages || 1);
+      setTotal(res?.data?.pagination?.total || 0);
+      setError('');
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters, page]);
+
+  useEffect(() => {
+    if (!crossTenant) return;
+    axios.get('/api/tenants', { headers: authHeaders(), params: { limit: 1000 } })
+      .then(res => setTenants(res?.data?.data?.tenants || []))
+      .catch(() => setTenants([]));
+  }, [crossTenant]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const exportCsv = async () => {
+    try {
+      setExporting(true);
+      const res = await axios.get('/api/tenant/audit/export', {
+        headers: authHeaders(),
+        params: buildParams(),
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (e) {
+      setError('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const actionLabel = (action) => actions[action] || action;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Box>
+          <Typography variant="h5" fontWeight={600}>Audit Log</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {crossTenant ? 'Administrative actions across all tenants' : 'Administrative actions in your agency'} · {total} entries
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadEntries}>Refresh</Button>
+          <Button variant="contained" startIcon={<DownloadIcon />} onClick={exportCsv} disabled={exporting}>
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </Button>
+        </Box>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        {crossTenant && (
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Tenant</InputLabel>
+            <Select label="Tenant" value={filters.tenantId} onChange={(e) => updateFilter('tenantId', e.target.value)}>
+              <MenuItem value="">All tenants</MenuItem>
+              {tenants.map(t => <MenuItem key={t._id} value={t._id}>{t.name}</MenuItem>)}
+            </Select>
+          </FormControl>
+        )}
+        <FormControl size="small" sx={{ minWidth: 240 }}>
+          <InputLabel>Action</InputLabel>
+          <Select label="Action" value={filters.action} onChange={(e) => updateFilter('action', e.target.value)}>
+            <MenuItem value="">All actions</MenuItem>
+            {Object.entries(actions).map(([key, label]) => <MenuItem key={key} value={key}>{label}</MenuItem>)}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="Search actor or target"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') updateFilter('q', search.trim()); }}
+          onBlur={() => { if (search.trim() !== filters.q) updateFilter('q', search.trim()); }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="From"
+          InputLabelProps={{ shrink: true }}
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="To"
+          InputLabelProps={{ shrink: true }}
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+        />
+      </Box>
+
+      <Paper>
+        {loading && <LinearProgress />}
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Time</TableCell>
+              {crossTenant && <TableCell>Tenant</TableCell>}
+              <TableCell>Action</TableCell>
+              <TableCell>By</TableCell>
+              <TableCell>Target</TableCell>
+              <TableCell>Changes</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.length === 0 && !loading && (
+              <TableRow>
+                <TableCell colSpan={crossTenant ? 6 : 5} align="center">No audit entries found</TableCell>
+              </TableRow>
+            )}
+            {entries.map(entry => (
+              <TableRow key={entry._id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelected(entry)}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(entry.createdAt)}</TableCell>
+                {crossTenant && <TableCell>{entry.tenantName || '-'}</TableCell>}
+                <TableCell>
+                  <Chip size="small" label={actionLabel(entry.action)} color={entry.action.endsWith('.delete') ? 'error' : 'default'} />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{entry.actor?.name || entry.actor?.id || '-'}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {ACTOR_TYPES[entry.actor?.userType] || entry.actor?.userType}{entry.actor?.role ? ` · ${entry.actor.role}` : ''}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{entry.target?.label || entry.target?.id || '-'}</Typography>
+                  <Typography variant="caption" color="text.secondary">{entry.target?.type}</Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="caption" color="text.secondary">
+                    {entry.changes?.length ? entry.changes.map(c => c.field).join(', ') : '-'}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {pages > 1 && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <Pagination count={pages} page={page} onChange={(_, value) => setPage(value)} />
+          </Box>
+        )}
+      </Paper>
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{selected ? actionLabel(selected.action) : ''}</DialogTitle>
+        <DialogContent dividers>
+          {selected && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+              <Typography variant="body2">Time: {formatDate(selected.createdAt)}</Typography>
+              {selected.tenantName && <Typography variant="body2">Tenant: {selected.tenantName}</Typography>}
+              <Typography variant="body2">
+                By: {selected.actor?.name || selected.actor?.id} ({ACTOR_TYPES[selected.actor?.userType] || selected.actor?.userType})
+              </Typography>
+              <Typography variant="body2">
+                Target: {selected.target?.label || '-'} ({selected.target?.type}{selected.target?.id ? ` ${selected.target.id}` : ''})
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                IP {selected.ipAddress || '-'} · {selected.userAgent || '-'}
+              </Typography>
+              {selected.changes?.length > 0 && (
+                <Table size="small" sx={{ mt: 1 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Before</TableCell>
+                      <TableCell>After</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {selected.changes.map(change => (
+                      <TableRow key={change.field}>
+                        <TableCell>{change.field}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>{formatValue(change.before)}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>{formatValue(change.after)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              {selected.metadata && (
+                <Box component="pre" sx={{ bgcolor: 'grey.100', p: 1, fontSize: 12, overflow: 'auto', maxHeight: 240 }}>
+                  {JSON.stringify(selected.metadata, null, 2)}
+                </Box>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AuditLog;
@@ -19,7 +19,9 @@ import {
   Alert,
   Snackbar,
   CircularProgress,
-  TablePagination
+  TablePagination,
+  MenuItem,
+  Chip
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -28,10 +30,13 @@ import {
   Business as BusinessIcon,
   Save as SaveIcon,
   Cancel as CancelIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  EventBusy as EventBusyIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 
+const EMPTY_FORM = { name: '', dataValidityDays: '', expiryAction: 'archive', duplicatePolicy: 'flag' };
+
 
 const ClientManagement = () => {
   const [clients, setClients] = useState([]);
@@ -44,9 +49,7 @@ const ClientManagement = () => {
   const [editingClient, setEditingClient] = useState(null);
   
   // Form states
-  const [formData, setFormData] = useState({
-    name: ''
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
   
   // Search and filter states
   const [searchName, setSearchName] = useState('');
@@ -55,6 +58,7 @@ const ClientManagement = () => {
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [submitting, setSubmitting] = useState(false);
+  const [purging, setPurging] = useState(false);
 
   // Ref for auto-focusing input field
   const nameInputRef = useRef(null);
@@ -111,13 +115,14 @@ const ClientManagement = () => {
     if (client) {
       setEditingClient(client);
       setFormData({
-        name: client.name
+        name: client.name,
+        dataValidityDays: client.dataValidityDays ? String(client.dataValidityDays) : '',
+        expiryAction: client.expiryAction || 'archive',
+        duplicatePolicy: client.duplicatePolicy || 'flag'
       });
     } else {
       setEditingClient(null);
-      setFormData({
-        name: ''
-      });
+      setFormData(EMPTY_FORM);
     }
     setOpenDialog(true);
   };
@@ -125,9 +130,7 @@ const ClientManagement = () => {
   const handleCloseDialog = () => {
     setOpenDialog(false);
     setEditingClient(null);
-    setFormData({
-      name: ''
-    });
+    setFormData(EMPTY_FORM);
   };
 
   const handleSubmit = async () => {
@@ -140,21 +143,36 @@ const ClientManagement = () => {
         return;
       }
 
+      const validity = String(formData.dataValidityDays || '').trim();
+      if (validity && !/^[1-9]\d*$/.test(validity)) {
+        setError('Data validity must be a whole number of days');
+        return;
+      }
+      const payload = {
+        name: formData.name,
+        dataValidityDays: validity ? parseInt(validity, 10) : null,
+        expiryAction: formData.expiryAction,
+        duplicatePolicy: formData.duplicatePolicy
+      };
+
       if (editingClient) {
         const token = localStorage.getItem('token');
         const response = await axios.put(`/api/tenant/clients/${editingClient._id || editingClient.id}`,
-          { name: formData.name },
+          payload,
           { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
         );
         if (response.data.success) {
-          setSuccess('Client updated successfully');
+          const restamped = response.data.restamped || 0;
+          setSuccess(restamped > 0
+            ? `Client updated successfully. Expiry updated on ${restamped.toLocaleString()} existing records`
+            : 'Client updated successfully');
           fetchClients();
           setTimeout(() => setSuccess(''), 3000);
         }
       } else {
         const token = localStorage.getItem('token');
         const response = await axios.post('/api/tenant/clients',
-          { name: formData.name },
+          payload,
           { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
         );
         if (response.data.success) {
@@ -199,6 +217,26 @@ const ClientManagement = () => {
     }
   };
 
+  const handlePurgeExpired = async () => {
+    if (!window.confirm('Archive or purge all records past their bank\'s validity period now? Offline devices will drop them on their next sync.')) return;
+
+    try {
+      setPurging(true);
+      const token = localStorage.getItem('token');
+      const response = await axios.post('/api/tenant/clients/purge-expired', {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (response.data.success) {
+        setSuccess(response.data.message);
+        setTimeout(() => setSuccess(''), 5000);
+      }
+    } catch (error) {
+      setError(`Failed to purge expired data: ${error.response?.data?.message || error.message}`);
+    } finally {
+      setPurging(false);
+    }
+  };
+
   // Filter clients based on search
   const filteredClients = clients.filter(client => {
     const nameMatch = client.name.toLowerCase().includes(searchName.toLowerCase());
@@ -270,6 +308,17 @@ const ClientManagement = () => {
           Refresh
         </Button>
 
+        <Button
+          variant="outlined"
+          color="warning"
+          startIcon={purging ? <CircularProgress size={18} /> : <EventBusyIcon />}
+          onClick={handlePurgeExpired}
+          disabled={purging}
+          sx={{ borderRadius: 2 }}
+        >
+          {purging ? 'Purging...' : 'Purge Expired Now'}
+        </Button>
+
         <TextField
           size="small"
           placeholder="Name"
@@ -289,6 +338,7 @@ const ClientManagement = () => {
               <TableRow>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: 'grey.100' }}>Client ID</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: 'grey.100' }}>Name</TableCell>
+                <TableCell sx={{ fontWeight: 'bold', bgcolor: 'grey.100' }}>Data Validity</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: 'grey.100' }}>Created On</TableCell>
                 <TableCell sx={{ fontWeight: 'bold', bgcolor: 'grey.100' }} align="center">Actions</TableCell>
               </TableRow>
@@ -296,7 +346,7 @@ const ClientManagement = () => {
             <TableBody>
               {loading ? (
                 <TableRow>
-                  <TableCell colSpan={4} align="center" sx={{ py: 4 }}>
+                  <TableCell colSpan={5} align="center" sx={{ py: 4 }}>
                     <CircularProgress size={24} />
                     <Typography variant="body2" sx={{ mt: 1 }}>
                       Loading clients...
@@ -305,7 +355,7 @@ const ClientManagement = () => {
                 </TableRow>
               ) : paginatedClients.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={4} align="center" sx={{ py: 4 }}>
+                  <TableCell colSpan={5} align="center" sx={{ py: 4 }}>
                     <Typography variant="body2" color="text.secondary">
                       {clients.length === 0 ? 'No clients found. Create your first client!' : 'No clients match your search criteria.'}
                     </Typography>
@@ -324,6 +374,18 @@ const ClientManagement = () => {
                         {client.name}
                       </Typography>
                     </TableCell>
+                    <TableCell>
+                      {client.dataValidityDays ? (
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          color={client.expiryAction === 'purge' ? 'error' : 'default'}
+                          label={`${client.dataValidityDays} days, then ${client.expiryAction === 'purge' ? 'purge' : 'archive'}`}
+                        />
+                      ) : (
+                        <Typography variant="body2" color="text.secondary">No expiry</Typography>
+                      )}
+                    </TableCell>
                     <TableCell>
                       {client.createdOn ? 
                         new Date(client.createdOn).toLocaleDateString('en-US', { 
@@ -407,6 +469,47 @@ const ClientManagement = () => {
                 tabIndex: 0
               }}
             />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                fullWidth
+                label="Data validity (days)"
+                type="number"
+                value={formData.dataValidityDays}
+                onChange={(e) => setFormData({ ...formData, dataValidityDays: e.target.value })}
+                placeholder="e.g. 30"
+                helperText="Uploads for this bank expire this many days after upload. Leave empty to keep them until deleted."
+                inputProps={{ min: 1, step: 1 }}
+              />
+              <TextField
+                select
+                fullWidth
+                label="When records expire"
+                value={formData.expiryAction}
+                onChange={(e) => setFormData({ ...formData, expiryAction: e.target.value })}
+                disabled={!String(formData.dataValidityDays || '').trim()}
+                helperText="Vehicles on hold or in a yard are always kept"
+              >
+                <MenuItem value="archive">Archive (keep a copy, remove from search)</MenuItem>
+                <MenuItem value="purge">Purge (delete permanently)</MenuItem>
+              </TextField>
+            </Box>
+            {editingClient && String(formData.dataValidityDays || '') !== String(editingClient.dataValidityDays || '') && (
+              <Alert severity="info">
+                The new validity period also applies to this bank's existing records, counted from their upload date.
+              </Alert>
+            )}
+            <TextField
+              select
+              fullWidth
+              label="When an upload repeats an existing vehicle"
+              value={formData.duplicatePolicy}
+              onChange={(e) => setFormData({ ...formData, duplicatePolicy: e.target.value })}
+              helperText="Matched on chassis, registration or agreement number. Can be changed per upload."
+            >
+              <MenuItem value="flag">Keep both and flag for review</MenuItem>
+              <MenuItem value="replace">Replace the existing record</MenuItem>
+              <MenuItem value="skip">Skip the new row</MenuItem>
+            </TextField>
           </Box>
         </DialogContent>
         <DialogActions>
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  CircularProgress
+} from '@mui/material';
+import { Phone as PhoneIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const OUTCOME_COLORS = {
+  attempted: 'default',
+  confirmed: 'success',
+  not_reachable: 'warning',
+  asked_to_release: 'error',
+  asked_to_hold: 'info'
+};
+
+const confirmerKey = (c) => (c.source === 'bank' ? `bank:${c.slot}` : `agency:${c.agencyConfirmerId}`);
+const confirmerLabel = (c) => `${c.name || 'Unnamed'}${c.source === 'bank' ? ` (bank confirmer ${c.slot})` : ' (agency)'}`;
+
+// Calls to bank and agency confirmers about a found vehicle. A confirmed call opens Hold and
+// In Yard; "asked to hold" opens Hold only.
+const ConfirmerCallLog = ({ vehicleId, vehicleType }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState({ confirmer: '', outcome: 'confirmed', notes: '' });
+
+  const query = vehicleType ? `?vehicleType=${encodeURIComponent(vehicleType)}` : '';
+
+  const loadCalls = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get(`/api/tenant/data/vehicle/${vehicleId}/confirmer-calls${query}`, { headers: authHeaders() });
+      setData(res.data?.data || null);
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load confirmer calls');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (vehicleId) loadCalls();
+  }, [vehicleId]);
+
+  const logCall = async () => {
+    const confirmer = (data?.confirmers || []).find(c => confirmerKey(c) === form.confirmer);
+    if (!confirmer) {
+      setError('Choose the confirmer you called');
+      return;
+    }
+    try {
+      setSaving(true);
+      setError('');
+      const res = await axios.post(`/api/tenant/data/vehicle/${vehicleId}/confirmer-calls${query}`, {
+        source: confirmer.source,
+        slot: confirmer.slot,
+        agencyConfirmerId: confirmer.agencyConfirmerId,
+        outcome: form.outcome,
+        notes: form.notes
+      }, { headers: authHeaders() });
+      setData(res.data?.data || data);
+      setForm({ confirmer: '', outcome: 'confirmed', notes: '' });
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to log call');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setOutcome = async (callId, outcome) => {
+    try {
+      setError('');
+      const res = await axios.put(`/api/tenant/data/vehicle/${vehicleId}/confirmer-calls/${callId}${query}`, { outcome }, { headers: authHeaders() });
+      setData(res.data?.data || data);
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to save call outcome');
+    }
+  };
+
+  const outcomes = data?.outcomes || {};
+  const gate = data?.gate || {};
+  const gateMessage = gate.opens?.length === 2
+    ? 'A confirmer confirmed this vehicle. It can be moved to Hold or In Yard.'
+    : gate.outcome === 'asked_to_hold'
+      ? 'The confirmer asked to hold this vehicle. It can be put on Hold; log a confirmed call before moving it to a yard.'
+      : gate.outcome === 'asked_to_release'
+        ? 'The confirmer asked to release this vehicle. It cannot be moved to Hold or In Yard.'
+        : 'Call a confirmer and log the outcome before moving this vehicle to Hold or In Yard.';
+
+  return (
+    <Paper variant="outlined" sx={{ p: 1.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <PhoneIcon fontSize="small" color="primary" />
+        <Typography variant="subtitle2" sx={{ flex: 1 }}>Confirmer Calls</Typography>
+        {loading && <CircularProgress size={18} />}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError('')}>{error}</Alert>}
+      {data && (
+        <Alert severity={gate.opens?.length ? 'success' : gate.outcome === 'asked_to_release' ? 'error' : 'warning'} sx={{ mb: 1.5 }}>
+          {gateMessage}
+        </Alert>
+      )}
+
+      {data?.confirmers?.length ? (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 1.5 }}>
+          <FormControl size="small" sx={{ minWidth: 240 }}>
+            <InputLabel>Confirmer</InputLabel>
+            <Select value={form.confirmer} label="Confirmer" onChange={(e) => setForm({ ...form, confirmer: e.target.value })}>
+              {data.confirmers.map(c => (
+                <MenuItem key={confirmerKey(c)} value={confirmerKey(c)}>
+                  {confirmerLabel(c)}{c.phone ? ` · ${c.phone}` : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Outcome</InputLabel>
+            <Select value={form.outcome} label="Outcome" onChange={(e) => setForm({ ...form, outcome: e.target.value })}>
+              {Object.entries(outcomes).filter(([key]) => key !== 'attempted').map(([key, label]) => (
+                <MenuItem key={key} value={key}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField size="small" label="Notes" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} sx={{ flex: 1, minWidth: 200 }} />
+          <Button variant="contained" onClick={logCall} disabled={saving || !form.confirmer}>Log Call</Button>
+        </Box>
+      ) : (
+        data && <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>No bank or agency confirmers for this vehicle.</Typography>
+      )}
+
+      {data?.calls?.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Called</TableCell>
+              <TableCell>Confirmer</TableCell>
+              <TableCell>By</TableCell>
+              <TableCell>Outcome</TableCell>
+              <TableCell>Notes</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {data.calls.map(call => (
+              <TableRow key={call._id}>
+                <TableCell>{new Date(call.calledAt).toLocaleString()}</TableCell>
+                <TableCell>{confirmerLabel(call.confirmer || {})}</TableCell>
+                <TableCell>{call.calledBy?.name || call.calledBy?.actorType || '—'}</TableCell>
+                <TableCell>
+                  {call.outcome === 'attempted' && call.canUpdate ? (
+                    <Select size="small" value="" displayEmpty onChange={(e) => setOutcome(call._id, e.target.value)} renderValue={() => outcomes.attempted || 'Call placed'}>
+                      {Object.entries(outcomes).filter(([key]) => key !== 'attempted').map(([key, label]) => (
+                        <MenuItem key={key} value={key}>{label}</MenuItem>
+                      ))}
+                    </Select>
+                  ) : (
+                    <Chip size="small" color={OUTCOME_COLORS[call.outcome] || 'default'} label={outcomes[call.outcome] || call.outcome} />
+                  )}
+                </TableCell>
+                <TableCell>{call.notes || '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Paper>
+  );
+};
+
+export default ConfirmerCallLog;
@@ -0,0 +1,209 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  TextField,
+  Alert,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  OutlinedInput,
+  Autocomplete,
+  IconButton,
+  Grid,
+  Chip,
+  Divider,
+  CircularProgress
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon, Save as SaveIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const ACTION_COLORS = { mask: 'warning', hide: 'error' };
+
+const emptyRule = () => ({ name: '', roles: ['repo_agent'], banks: [], statuses: [], fields: {} });
+
+// Rules that mask or hide vehicle fields per role, bank and vehicle status.
+// They apply on top of the repo agent field visibility and the strictest matching rule wins.
+const FieldMaskingPolicy = () => {
+  const [rules, setRules] = useState([]);
+  const [fields, setFields] = useState({});
+  const [roles, setRoles] = useState({});
+  const [statuses, setStatuses] = useState([]);
+  const [banks, setBanks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadPolicy = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/tenants/field-masking', { headers: authHeaders() });
+      setRules(res?.data?.rules || []);
+      setFields(res?.data?.fields || {});
+      setRoles(res?.data?.roles || {});
+      setStatuses(res?.data?.statuses || []);
+      setBanks(res?.data?.banks || []);
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load masking rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPolicy();
+  }, []);
+
+  const updateRule = (index, changes) => setRules(prev => prev.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+
+  const setFieldAction = (index, field, action) => {
+    const rule = rules[index];
+    const next = { ...(rule.fields || {}) };
+    if (action === 'show') delete next[field]; else next[field] = action;
+    updateRule(index, { fields: next });
+  };
+
+  const savePolicy = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const res = await axios.put('/api/tenants/field-masking', { rules }, { headers: authHeaders() });
+      setRules(res?.data?.rules || rules);
+      setSuccess(res?.data?.message || 'Masking rules saved');
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to save masking rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Box>
+          <Typography variant="h5" fontWeight={600}>Data Masking</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Mask or hide vehicle fields by role, bank and vehicle status. Applies to search, vehicle details,
+            bulk downloads and offline data. Admins always see every field.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button variant="outlined" startIcon={<AddIcon />} onClick={() => setRules(prev => [...prev, emptyRule()])}>Add Rule</Button>
+          <Button variant="contained" startIcon={saving ? <CircularProgress size={18} color="inherit" /> : <SaveIcon />} onClick={savePolicy} disabled={saving || loading}>
+            Save
+          </Button>
+        </Box>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Repo agents never see fields unchecked in the agent field configuration. When several rules match a
+        vehicle, the strictest action wins. Masking or hiding registration or chassis numbers also limits
+        offline search for those vehicles.
+      </Alert>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {!loading && rules.length === 0 && (
+        <Paper sx={{ p: 3, textAlign: 'center' }}>
+          <Typography color="text.secondary">No masking rules. Users see fields according to their field visibility only.</Typography>
+        </Paper>
+      )}
+
+      {rules.map((rule, index) => (
+        <Paper key={index} sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+            <TextField
+              size="small"
+              label="Rule name"
+              value={rule.name || ''}
+              onChange={(e) => updateRule(index, { name: e.target.value })}
+              sx={{ flex: 1 }}
+            />
+            <IconButton color="error" onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}>
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            <Grid item xs={12} md={4}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Roles</InputLabel>
+                <Select
+                  multiple
+                  value={rule.roles || []}
+                  onChange={(e) => updateRule(index, { roles: e.target.value })}
+                  input={<OutlinedInput label="Roles" />}
+                  renderValue={(selected) => (selected.length ? selected.map(r => roles[r] || r).join(', ') : 'Everyone except admins')}
+                  displayEmpty
+                >
+                  {Object.entries(roles).map(([key, label]) => <MenuItem key={key} value={key}>{label}</MenuItem>)}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Autocomplete
+                multiple
+                freeSolo
+                size="small"
+                options={banks}
+                value={rule.banks || []}
+                onChange={(_, value) => updateRule(index, { banks: value })}
+                renderInput={(params) => <TextField {...params} label="Banks" placeholder={(rule.banks || []).length ? '' : 'All banks'} />}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Vehicle status</InputLabel>
+                <Select
+                  multiple
+                  value={rule.statuses || []}
+                  onChange={(e) => updateRule(index, { statuses: e.target.value })}
+                  input={<OutlinedInput label="Vehicle status" />}
+                  renderValue={(selected) => (selected.length ? selected.join(', ') : 'Any status')}
+                  displayEmpty
+                >
+                  {statuses.map(status => <MenuItem key={status} value={status}>{status}</MenuItem>)}
+                </Select>
+              </FormControl>
+            </Grid>
+          </Grid>
+          <Divider sx={{ mb: 2 }} />
+          <Grid container spacing={1}>
+            {Object.entries(fields).map(([field, label]) => {
+              const action = rule.fields?.[field] || 'show';
+              return (
+                <Grid item xs={12} sm={6} md={4} key={field}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+                    <Typography variant="body2">{label}</Typography>
+                    <Select
+                      size="small"
+                      value={action}
+                      onChange={(e) => setFieldAction(index, field, e.target.value)}
+                      sx={{ minWidth: 110 }}
+                      renderValue={(value) => (value === 'show'
+                        ? 'Show'
+                        : <Chip size="small" color={ACTION_COLORS[value]} label={value === 'mask' ? 'Mask' : 'Hide'} />)}
+                    >
+                      <MenuItem value="show">Show</MenuItem>
+                      <MenuItem value="mask">Mask</MenuItem>
+                      <MenuItem value="hide">Hide</MenuItem>
+                    </Select>
+                  </Box>
+                </Grid>
+              );
+            })}
+          </Grid>
+        </Paper>
+      ))}
+    </Box>
+  );
+};
+
+export default FieldMaskingPolicy;
@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Pagination,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { Refresh as RefreshIcon, Cancel as CancelIcon, Replay as RetryIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'warning'
+};
+
+const STATUSES = Object.keys(STATUS_COLORS);
+
+// Short one-line summary of a finished job's result
+const summarizeResult = (job) => {
+  const r = job.result;
+  if (!r || typeof r !== 'object') return '';
+  if (r.awaitingReview) return `${r.conflicts} duplicate(s) awaiting review`;
+  if (r.review) return `Duplicate review ${r.review}`;
+  if (r.inserted !== undefined) return `${r.inserted} inserted, ${r.failed || 0} failed`;
+  if (r.version !== undefined) return `Snapshot v${r.version} (${r.vehicleCount ?? '-'} vehicles)`;
+  if (r.archived !== undefined) return `${r.archived} archived, ${r.purged || 0} purged`;
+  if (r.deletedCount !== undefined) return `${r.deletedCount} deleted`;
+  if (r.successCount !== undefined) return `${r.successCount} sent, ${r.errorCount || 0} failed`;
+  return '';
+};
+
+const JobsPage = () => {
+  const [jobs, setJobs] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('');
+  const [type, setType] = useState('');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const loadJobs = async (quiet = false) => {
+    try {
+      if (!quiet) setLoading(true);
+      const res = await axios.get('/api/tenant/jobs', {
+        headers: authHeaders(),
+        params: { status: status || undefined, type: type || undefined, page, limit: 20 }
+      });
+      setJobs(res?.data?.data || []);
+      setTypes(res?.data?.types || []);
+      setCounts(res?.data?.counts || {});
+      setPages(res?.data?.pagination?.pages || 1);
+      if (!quiet) setError('');
+    } catch (e) {
+      if (!quiet) setError(e?.response?.data?.message || 'Failed to load jobs');
+    } finally {
+      if (!quiet) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadJobs();
+    // Keep progress bars moving while the page is open
+    const timer = setInterval(() => loadJobs(true), 5000);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status, type, page]);
+
+  const runAction = async (job, action) => {
+    try {
+      setError('');
+      const res = await axios.post(`/api/tenant/jobs/${job._id}/${action}`, {}, { headers: authHeaders() });
+      setSuccess(res?.data?.message || 'Done');
+      loadJobs(true);
+    } catch (e) {
+      setError(e?.response?.data?.message || `Failed to ${action} job`);
+    }
+  };
+
+  const typeLabel = (job) => job.label || types.find(t => t.type === job.type)?.label || job.type;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="h5" fontWeight={600}>Background Jobs</Typography>
+        <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => loadJobs()}>Refresh</Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        {STATUSES.map(s => (
+          <Chip
+            key={s}
+            label={`${s}: ${counts[s] || 0}`}
+            color={STATUS_COLORS[s]}
+            variant={status === s ? 'filled' : 'outlined'}
+            onClick={() => { setStatus(status === s ? '' : s); setPage(1); }}
+          />
+        ))}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select label="Status" value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }}>
+            <MenuItem value="">All</MenuItem>
+            {STATUSES.map(s => <MenuItem key={s} value={s}>{s}</MenuItem>)}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Type</InputLabel>
+          <Select label="Type" value={type} onChange={(e) => { setType(e.target.value); setPage(1); }}>
+            <MenuItem value="">All</MenuItem>
+            {types.map(t => <MenuItem key={t.type} value={t.type}>{t.label || t.type}</MenuItem>)}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <Paper>
+        {loading && <LinearProgress />}
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Job</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell sx={{ minWidth: 200 }}>Progress</TableCell>
+              <TableCell>Attempts</TableCell>
+              <TableCell>Created</TableCell>
+              <TableCell>Finished</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {jobs.length === 0 && !loading && (
+              <TableRow>
+                <TableCell colSpan={7} align="center">No jobs found</TableCell>
+              </TableRow>
+            )}
+            {jobs.map(job => (
+              <TableRow key={job._id} hover sx={{ cursor: 'pointer' }} onClick={() => setSelected(job)}>
+                <TableCell>
+                  <Typography variant="body2" fontWeight={600}>{typeLabel(job)}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {job.tenantName ? `${job.tenantName} · ` : ''}{job.createdBy?.name || 'System'}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip size="small" label={job.cancelRequested && job.status === 'running' ? 'cancelling' : job.status} color={STATUS_COLORS[job.status]} />
+                </TableCell>
+                <TableCell>
+                  {job.status === 'running' || job.status === 'queued' ? (
+                    <Box>
+                      <LinearProgress variant="determinate" value={Math.min(100, job.progress?.percent || 0)} />
+                      <Typography variant="caption" color="text.secondary">
+                        {job.progress?.message || (job.status === 'queued' ? `Scheduled ${formatDate(job.runAt)}` : '')}
+                      </Typography>
+                    </Box>
+                  ) : job.status === 'failed' ? (
+                    <Tooltip title={job.errorCode || ''}>
+                      <Typography variant="caption" color="error">{job.lastError}</Typography>
+                    </Tooltip>
+                  ) : (
+                    <Typography variant="caption" color="text.secondary">{summarizeResult(job)}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>{job.attempts}/{job.maxAttempts}</TableCell>
+                <TableCell>{formatDate(job.createdAt)}</TableCell>
+                <TableCell>{formatDate(job.finishedAt)}</TableCell>
+                <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                  {(job.status === 'queued' || job.status === 'running') && !job.cancelRequested && (
+                    <Button size="small" color="warning" startIcon={<CancelIcon />} onClick={() => runAction(job, 'cancel')}>
+                      Cancel
+                    </Button>
+                  )}
+                  {(job.status === 'failed' || job.status === 'cancelled') && (
+                    <Button size="small" startIcon={<RetryIcon />} onClick={() => runAction(job, 'retry')}>
+                      Retry
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {pages > 1 && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <Pagination count={pages} page={page} onChange={(_, value) => setPage(value)} />
+          </Box>
+        )}
+      </Paper>
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{selected ? typeLabel(selected) : ''}</DialogTitle>
+        <DialogContent dividers>
+          {selected && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+              <Typography variant="body2">Status: {selected.status}</Typography>
+              <Typography variant="body2">Started: {formatDate(selected.startedAt)}</Typography>
+              <Typography variant="body2">Finished: {formatDate(selected.finishedAt)}</Typography>
+              {selected.lastError && (
+                <Alert severity="error">{selected.lastError}{selected.errorCode ? ` (${selected.errorCode})` : ''}</Alert>
+              )}
+              {selected.attemptErrors?.length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2">Attempt history</Typography>
+                  {selected.attemptErrors.map((a, i) => (
+                    <Typography key={i} variant="caption" display="block" color="text.secondary">
+                      #{a.attempt} {formatDate(a.at)}: {a.message}
+                    </Typography>
+                  ))}
+                </Box>
+              )}
+              {selected.result && (
+                <Box component="pre" sx={{ bgcolor: 'grey.100', p: 1, fontSize: 12, overflow: 'auto', maxHeight: 240 }}>
+                  {JSON.stringify(selected.result, null, 2)}
+                </Box>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default JobsPage;
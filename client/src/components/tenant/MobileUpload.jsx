@@ -42,7 +42,8 @@ import {
   Tab,
   Accordion,
   AccordionSummary,
-  AccordionDetails
+  AccordionDetails,
+  Pagination
 } from '@mui/material';
 import Autocomplete from '@mui/material/Autocomplete';
 import {
@@ -93,6 +94,8 @@ const MobileUpload = () => {
   const [warnings, setWarnings] = useState([]);
   const [successCount, setSuccessCount] = useState(0);
   const [errorCount, setErrorCount] = useState(0);
+  // Upload whose rejected rows can be downloaded as errors.xlsx
+  const [errorReport, setErrorReport] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
   const [tabValue, setTabValue] = useState(0);
@@ -111,6 +114,11 @@ const MobileUpload = () => {
   const [passwordValue, setPasswordValue] = useState('');
   const [passwordError, setPasswordError] = useState('');
   const [pendingAction, setPendingAction] = useState(''); // 'preview' | 'upload'
+  // What to do with rows already on file; empty uses the bank's setting
+  const [duplicatePolicy, setDuplicatePolicy] = useState('');
+  // Upload checked for duplicates and waiting for the user to commit it
+  const [conflictReview, setConflictReview] = useState(null);
+  const [isCommitting, setIsCommitting] = useState(false);
 
   const standardFields = [
     'registrationNumber',
@@ -402,6 +410,193 @@ const MobileUpload = () => {
     }
   };
 
+  const downloadErrorReport = async (reportUploadId, fileName) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`/api/tenant/mobile/uploads/${reportUploadId}/errors.xlsx`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${String(fileName || 'upload').replace(/\.[^.]+$/, '')}_errors.xlsx`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.response?.status === 404 ? 'No rejected rows for this upload' : 'Failed to download error report');
+    }
+  };
+
+  // Uploads are processed by a background job; poll it until it finishes.
+  // A failed job is rethrown in the same shape as an API error so callers can reuse their handling.
+  const waitForIngestionJob = async (jobId, token) => {
+    setUploadId(jobId);
+    setCurrentAction('Processing file...');
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      let data;
+      try {
+        const progressResponse = await axios.get(`/api/tenant/mobile/upload-progress/${jobId}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        data = progressResponse.data;
+      } catch (err) {
+        console.error('Progress polling error:', err);
+        // Keep polling through transient failures
+        continue;
+      }
+      if (!data?.success) continue;
+
+      const serverProgress = data.progress || 0;
+      // Combine: 30% file upload + 70% server processing
+      setProcessingProgress(serverProgress);
+      setUploadProgress(Math.min(30 + Math.round(serverProgress * 0.7), 100));
+      setProcessingMessage(data.message || '');
+
+      if (data.status === 'completed') return data.result || {};
+      if (data.status === 'failed' || data.status === 'cancelled') {
+        const jobError = new Error(data.message || 'Upload failed');
+        jobError.response = {
+          data: {
+            error: data.error,
+            message: data.status === 'cancelled' ? 'Upload was cancelled' : data.message
+          }
+        };
+        throw jobError;
+      }
+    }
+  };
+
+  // Show the outcome of a finished upload and get ready for the next file
+  const finishUpload = (result) => {
+    const duplicates = result.duplicates || {};
+    setUploadProgress(100);
+    setProcessingProgress(100);
+    setProcessingMessage('Upload completed successfully!');
+    setUploadStatus('Upload completed successfully');
+    setSuccessCount(result.inserted || 0);
+    setErrorCount(result.errors?.length || 0);
+    setErrors(result.errors || []);
+    setWarnings(result.warnings || []);
+    setErrorReport(result.rejected > 0 ? { uploadId: result.uploadId, fileName: file?.name, rejected: result.rejected } : null);
+
+    // Add mapping summary to warnings if available
+    if (result.mappingSummary) {
+      setWarnings(prev => [`Mapping Info: ${result.mappingSummary}`, ...prev]);
+    }
+    if (duplicates.skipped || duplicates.replaced || duplicates.flagged) {
+      setWarnings(prev => [
+        `Already on file: ${duplicates.replaced || 0} replaced, ${duplicates.flagged || 0} kept and flagged, ${duplicates.skipped || 0} skipped`,
+        ...prev
+      ]);
+    }
+
+    setActiveStep(2);
+    toast.success(`Successfully uploaded ${result.inserted || 0} records`);
+    fetchUploadHistory();
+
+    // Clear file state after successful upload to allow new file selection
+    setFile(null);
+    setPreviewData([]);
+    setHeaders([]);
+    setRawRows([]);
+    setColumnMapping({});
+    setHeaderMapping({});
+    setUploadId(null);
+  };
+
+  const loadConflicts = async (reviewUploadId, page = 1) => {
+    const token = localStorage.getItem('token');
+    const response = await axios.get(`/api/tenant/mobile/uploads/${reviewUploadId}/conflicts`, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { page, limit: 50 }
+    });
+    setConflictReview(prev => ({
+      uploadId: reviewUploadId,
+      policy: prev?.uploadId === reviewUploadId ? prev.policy : response.data.policy,
+      summary: response.data.summary || {},
+      conflicts: response.data.data || [],
+      page,
+      pages: response.data.pagination?.pages || 1,
+      total: response.data.pagination?.total || 0
+    }));
+  };
+
+  const commitUpload = async (reviewUploadId, policy, token) => {
+    const response = await axios.post(`/api/tenant/mobile/uploads/${reviewUploadId}/commit`, { policy }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return waitForIngestionJob(response.data.jobId || response.headers['x-upload-id'], token);
+  };
+
+  // The server first only checks the file for rows already on file. Without any, the
+  // upload goes straight through; otherwise it waits on the review screen (returns null).
+  const resolveUploadReview = async (result, token) => {
+    if (!result.awaitingReview) return result;
+    if (!result.conflicts) return commitUpload(result.uploadId, result.policy, token);
+    await loadConflicts(result.uploadId);
+    setUploadStatus('Waiting for duplicate review');
+    toast.info(`${result.conflicts} row(s) match vehicles already on file. Review them before committing.`);
+    return null;
+  };
+
+  const setConflictAction = async (conflictIds, action) => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.patch(`/api/tenant/mobile/uploads/${conflictReview.uploadId}/conflicts`, { conflictIds, action }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setConflictReview(prev => ({
+        ...prev,
+        conflicts: prev.conflicts.map(c => (!conflictIds || conflictIds.includes(c._id) ? { ...c, action } : c))
+      }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update conflict');
+    }
+  };
+
+  const handleCommitReview = async () => {
+    if (!conflictReview) return;
+    const { uploadId: reviewUploadId, policy } = conflictReview;
+    try {
+      setIsCommitting(true);
+      setIsUploading(true);
+      setConflictReview(null);
+      const result = await commitUpload(reviewUploadId, policy, localStorage.getItem('token'));
+      finishUpload(result);
+    } catch (error) {
+      const message = error.response?.data?.message;
+      setUploadStatus('Upload failed');
+      setErrorCount(1);
+      setErrors([message || 'Upload failed']);
+      toast.error(message || 'Upload failed');
+    } finally {
+      setIsCommitting(false);
+      setIsUploading(false);
+      setCurrentAction('');
+    }
+  };
+
+  const handleDiscardReview = async () => {
+    if (!conflictReview) return;
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`/api/tenant/mobile/uploads/${conflictReview.uploadId}/discard`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      toast.info('Upload discarded. Nothing was saved.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to discard upload');
+    } finally {
+      setConflictReview(null);
+      setUploadStatus('');
+      setUploadProgress(0);
+      setProcessingProgress(0);
+      setUploadId(null);
+    }
+  };
+
   const handleUpload = async () => {
     if (!vehicleType || !file || !selectedBank) {
       toast.error('Please select vehicle type, bank and file');
@@ -427,6 +622,8 @@ const MobileUpload = () => {
       formData.append('bankId', selectedBank);
       formData.append('bankName', banks.find(b => String(b._id) === String(selectedBank))?.name || '');
       formData.append('file', file);
+      formData.append('reviewConflicts', 'true');
+      if (duplicatePolicy) formData.append('duplicatePolicy', duplicatePolicy);
       // Convert header dropdown selections to std->file mapping before send
       // Only include fields that are explicitly mapped (not empty/null)
       const stdToFileFromColumns = {};
@@ -448,10 +645,7 @@ const MobileUpload = () => {
       }
 
       const token = localStorage.getItem('token');
-      
-      // Start polling for server-side processing progress
-      let progressPollInterval = null;
-      
+
       const response = await axios.post('/api/tenant/mobile/upload', formData, {
         headers: {
           Authorization: `Bearer ${token}`,
@@ -468,84 +662,14 @@ const MobileUpload = () => {
       });
       
       if (response.data.success) {
-        // Get upload ID from response
-        const responseUploadId = response.data.uploadId || response.headers['x-upload-id'];
-        
-        // If we have final results, use them directly
-        if (response.data.inserted !== undefined) {
-          // Processing is complete, show final results
-          setUploadProgress(100);
-          setProcessingProgress(100);
-          setProcessingMessage('Upload completed successfully!');
-        } else if (responseUploadId) {
-          // Processing might still be in progress, start polling
-          setUploadId(responseUploadId);
-          
-          // Poll for server-side processing progress (30-100% of total)
-          progressPollInterval = setInterval(async () => {
-            try {
-              const progressResponse = await axios.get(`/api/tenant/mobile/upload-progress/${responseUploadId}`, {
-                headers: {
-                  Authorization: `Bearer ${token}`
-                }
-              });
-              
-              if (progressResponse.data.success) {
-                const serverProgress = progressResponse.data.progress || 0;
-                // Combine: 30% file upload + 70% server processing
-                const totalProgress = Math.min(30 + Math.round(serverProgress * 0.7), 100);
-                setProcessingProgress(serverProgress);
-                setUploadProgress(totalProgress);
-                setProcessingMessage(progressResponse.data.message || '');
-                
-                // Stop polling when complete
-                if (serverProgress >= 100) {
-                  clearInterval(progressPollInterval);
-                  setUploadProgress(100);
-                  setProcessingProgress(100);
-                }
-              }
-            } catch (err) {
-              console.error('Progress polling error:', err);
-              // Continue polling even if one request fails
-            }
-          }, 1000); // Poll every second
-        } else {
-          // No upload ID, assume complete
-          setUploadProgress(100);
-          setProcessingProgress(100);
-        }
-        setUploadStatus('Upload completed successfully');
-        setSuccessCount(response.data.inserted || 0);
-        setErrorCount(response.data.errors?.length || 0);
-        setErrors(response.data.errors || []);
-        setWarnings(response.data.warnings || []);
-        
-        // Add mapping summary to warnings if available
-        if (response.data.mappingSummary) {
-          setWarnings(prev => [`Mapping Info: ${response.data.mappingSummary}`, ...prev]);
-        }
-        
-        setActiveStep(2);
-        toast.success(`Successfully uploaded ${response.data.inserted} records`);
-        fetchUploadHistory();
-        
-        // Clear file state after successful upload to allow new file selection
-        setFile(null);
-        setPreviewData([]);
-        setHeaders([]);
-        setRawRows([]);
-        setColumnMapping({});
-        setHeaderMapping({});
-        setUploadId(null);
+        const responseUploadId = response.data.jobId || response.headers['x-upload-id'];
+        const checked = await waitForIngestionJob(responseUploadId, token);
+        const result = await resolveUploadReview(checked, token);
+        if (result) finishUpload(result);
       } else {
         throw new Error(response.data.message || 'Upload failed');
       }
     } catch (error) {
-      // Stop progress polling on error
-      if (progressPollInterval) {
-        clearInterval(progressPollInterval);
-      }
       console.error('Upload error:', error);
       const code = error.response?.data?.error;
       const message = error.response?.data?.message;
@@ -647,6 +771,8 @@ const MobileUpload = () => {
       formData.append('bankName', banks.find(b => String(b._id) === String(selectedBank))?.name || '');
       formData.append('file', file);
       formData.append('password', passwordValue);
+      formData.append('reviewConflicts', 'true');
+      if (duplicatePolicy) formData.append('duplicatePolicy', duplicatePolicy);
 
       const stdToFileFromColumns = {};
       Object.entries(columnMapping).forEach(([fileCol, std]) => { 
@@ -669,31 +795,17 @@ const MobileUpload = () => {
         maxContentLength: 10 * 1024 * 1024 * 1024,
         maxBodyLength: 10 * 1024 * 1024 * 1024,
         onUploadProgress: (progressEvent) => {
-          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+          const progress = Math.round((progressEvent.loaded * 30) / progressEvent.total);
           setUploadProgress(progress);
         }
       });
 
       if (response.data.success) {
+        const checked = await waitForIngestionJob(response.data.jobId || response.headers['x-upload-id'], token);
         setShowPasswordDialog(false);
         setPasswordValue('');
-        setUploadStatus('Upload completed successfully');
-        setSuccessCount(response.data.inserted || 0);
-        setErrorCount(response.data.errors?.length || 0);
-        setErrors(response.data.errors || []);
-        setWarnings(response.data.warnings || []);
-        if (response.data.mappingSummary) {
-          setWarnings(prev => [`Mapping Info: ${response.data.mappingSummary}`, ...prev]);
-        }
-        setActiveStep(2);
-        toast.success(`Successfully uploaded ${response.data.inserted} records`);
-        fetchUploadHistory();
-        setFile(null);
-        setPreviewData([]);
-        setHeaders([]);
-        setRawRows([]);
-        setColumnMapping({});
-        setHeaderMapping({});
+        const result = await resolveUploadReview(checked, token);
+        if (result) finishUpload(result);
       }
     } catch (error) {
       const code = error.response?.data?.error;
@@ -902,6 +1014,23 @@ const MobileUpload = () => {
                         </Select>
                       </FormControl>
                     </Grid>
+
+                    <Grid item xs={12} md={6}>
+                      <FormControl fullWidth>
+                        <InputLabel>Rows already on file</InputLabel>
+                        <Select
+                          value={duplicatePolicy}
+                          onChange={(e) => setDuplicatePolicy(e.target.value)}
+                          label="Rows already on file"
+                          disabled={isLoadingPreview || isLoadingUpload || isUploading}
+                        >
+                          <MenuItem value="">Bank default</MenuItem>
+                          <MenuItem value="flag">Keep both and flag</MenuItem>
+                          <MenuItem value="replace">Replace existing record</MenuItem>
+                          <MenuItem value="skip">Skip the new row</MenuItem>
+                        </Select>
+                      </FormControl>
+                    </Grid>
                   </Grid>
 
                   <Box sx={{ mt: 3, display: 'flex', gap: 2, flexDirection: { xs: 'column', sm: 'row' } }}>
@@ -1038,6 +1167,25 @@ const MobileUpload = () => {
                     />
                   </Box>
 
+                  {errorReport && (
+                    <Alert
+                      severity="info"
+                      sx={{ mb: 2 }}
+                      action={
+                        <Button
+                          color="inherit"
+                          size="small"
+                          startIcon={<DownloadIcon />}
+                          onClick={() => downloadErrorReport(errorReport.uploadId, errorReport.fileName)}
+                        >
+                          errors.xlsx
+                        </Button>
+                      }
+                    >
+                      {errorReport.rejected} rows were rejected. Download them with the reason for each, fix and re-upload only those rows.
+                    </Alert>
+                  )}
+
                   {errors.length > 0 && (
                     <Alert severity="error" sx={{ mb: 2 }}>
                       <Typography variant="subtitle2" gutterBottom>
@@ -1086,6 +1234,7 @@ const MobileUpload = () => {
                         setWarnings([]);
                         setSuccessCount(0);
                         setErrorCount(0);
+                        setErrorReport(null);
                       }}
                     >
                       Upload Another File
@@ -1304,12 +1453,24 @@ const MobileUpload = () => {
                         size="small"
                       />
                     </TableCell>
-                    <TableCell>{upload.totalRecords}</TableCell>
+                    <TableCell>
+                      {upload.totalRecords}
+                      {upload.rejectedRecords > 0 && (
+                        <Typography variant="caption" color="error" display="block">
+                          {upload.rejectedRecords} rejected
+                        </Typography>
+                      )}
+                    </TableCell>
                     <TableCell>
                       <IconButton size="small">
                         <ViewIcon />
                       </IconButton>
-                      <IconButton size="small">
+                      <IconButton
+                        size="small"
+                        title="Download rejected rows (errors.xlsx)"
+                        disabled={!(upload.rejectedRecords > 0 && upload.uploadId)}
+                        onClick={() => downloadErrorReport(upload.uploadId, upload.fileName)}
+                      >
                         <DownloadIcon />
                       </IconButton>
                     </TableCell>
@@ -1323,6 +1484,122 @@ const MobileUpload = () => {
           <Button onClick={() => setShowHistory(false)}>Close</Button>
         </DialogActions>
       </Dialog>
+      {/* Duplicate Review Dialog */}
+      <Dialog open={Boolean(conflictReview)} maxWidth="lg" fullWidth>
+        <DialogTitle>Review rows already on file</DialogTitle>
+        <DialogContent dividers>
+          {conflictReview && (
+            <Box>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {conflictReview.total} of {conflictReview.summary.valid ?? conflictReview.summary.total} valid rows match vehicles
+                already on file by chassis, registration or agreement number. Nothing has been saved yet.
+                {conflictReview.summary.rejected > 0 && ` ${conflictReview.summary.rejected} row(s) will be rejected for validation errors.`}
+              </Alert>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+                <FormControl size="small" sx={{ minWidth: 240 }}>
+                  <InputLabel>Default action</InputLabel>
+                  <Select
+                    label="Default action"
+                    value={conflictReview.policy}
+                    onChange={(e) => setConflictReview(prev => ({ ...prev, policy: e.target.value }))}
+                  >
+                    <MenuItem value="flag">Keep both and flag</MenuItem>
+                    <MenuItem value="replace">Replace existing record</MenuItem>
+                    <MenuItem value="skip">Skip the new row</MenuItem>
+                  </Select>
+                </FormControl>
+                <Button size="small" onClick={() => setConflictAction(null, null)}>
+                  Use default for all rows
+                </Button>
+              </Box>
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>Matched on</TableCell>
+                      <TableCell>In this file</TableCell>
+                      <TableCell>Already on file</TableCell>
+                      <TableCell sx={{ minWidth: 180 }}>Action</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {conflictReview.conflicts.map((conflict) => (
+                      <TableRow key={conflict._id}>
+                        <TableCell>{conflict.rowNumber}</TableCell>
+                        <TableCell>
+                          {(conflict.fields || []).map(field => (
+                            <Chip key={field} size="small" label={field.replace('Number', '')} sx={{ mr: 0.5, mb: 0.5 }} />
+                          ))}
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2" fontWeight={600}>
+                            {conflict.incoming.registrationNumber || conflict.incoming.chassisNumber || '-'}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {conflict.incoming.customerName || '-'} · EMI {conflict.incoming.emiAmount ?? '-'}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {conflict.incoming.bankName}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          {(conflict.existing || []).map(existing => (
+                            <Box key={String(existing.vehicleId)} sx={{ mb: 0.5 }}>
+                              <Typography variant="body2" fontWeight={600}>
+                                {existing.registrationNumber || existing.chassisNumber || '-'}
+                                <Chip size="small" label={existing.status} sx={{ ml: 1 }} />
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {existing.customerName || '-'} · EMI {existing.emiAmount ?? '-'}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary" display="block">
+                                {existing.bankName} · {existing.fileName}
+                                {existing.uploadDate ? ` · ${new Date(existing.uploadDate).toLocaleDateString()}` : ''}
+                              </Typography>
+                            </Box>
+                          ))}
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            size="small"
+                            fullWidth
+                            displayEmpty
+                            value={conflict.action || ''}
+                            onChange={(e) => setConflictAction([conflict._id], e.target.value || null)}
+                          >
+                            <MenuItem value="">Default ({conflictReview.policy})</MenuItem>
+                            <MenuItem value="flag">Keep both and flag</MenuItem>
+                            <MenuItem value="replace">Replace existing</MenuItem>
+                            <MenuItem value="skip">Skip</MenuItem>
+                          </Select>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              {conflictReview.pages > 1 && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                  <Pagination
+                    count={conflictReview.pages}
+                    page={conflictReview.page}
+                    onChange={(_, page) => loadConflicts(conflictReview.uploadId, page).catch(() => toast.error('Failed to load conflicts'))}
+                  />
+                </Box>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button color="inherit" onClick={handleDiscardReview} disabled={isCommitting}>
+            Cancel Upload
+          </Button>
+          <Button variant="contained" onClick={handleCommitReview} disabled={isCommitting}>
+            Commit Upload
+          </Button>
+        </DialogActions>
+      </Dialog>
       {/* Password Prompt Dialog */}
       <Dialog open={showPasswordDialog} onClose={() => { setShowPasswordDialog(false); setPasswordValue(''); setPasswordError(''); }} maxWidth="xs" fullWidth>
         <DialogTitle>Enter File Password</DialogTitle>
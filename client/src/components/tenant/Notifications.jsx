@@ -8,13 +8,17 @@ import {
   CircularProgress,
   Pagination,
   Stack,
-  Tooltip
+  Tooltip,
+  Button,
+  Link
 } from '@mui/material';
 import PlaceIcon from '@mui/icons-material/Place';
 import ShareIcon from '@mui/icons-material/Share';
 import DirectionsCarIcon from '@mui/icons-material/DirectionsCar';
 import TwoWheelerIcon from '@mui/icons-material/TwoWheeler';
 import LocalShippingIcon from '@mui/icons-material/LocalShipping';
+import NotificationsActiveIcon from '@mui/icons-material/NotificationsActive';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
 import axios from 'axios';
 
 const vehicleIconFor = (vehicleType) => {
@@ -36,6 +40,38 @@ const Notifications = () => {
   const [error, setError] = useState('');
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [alerts, setAlerts] = useState([]);
+  const [openAlerts, setOpenAlerts] = useState(0);
+  const [acknowledging, setAcknowledging] = useState(null);
+
+  // Vehicles agents confirmed in the field; acknowledging one stops its escalation
+  const fetchMatchAlerts = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get('/api/tenant/match-alerts?limit=10', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setAlerts(res.data?.data || []);
+      setOpenAlerts(res.data?.openCount || 0);
+    } catch (_) {
+      // Agents cannot see match alerts; the share history still loads
+    }
+  };
+
+  const acknowledgeAlert = async (id) => {
+    try {
+      setAcknowledging(id);
+      const token = localStorage.getItem('token');
+      await axios.post(`/api/tenant/match-alerts/${id}/acknowledge`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      await fetchMatchAlerts();
+    } catch (e) {
+      setError(e.response?.data?.message || 'Failed to acknowledge alert');
+    } finally {
+      setAcknowledging(null);
+    }
+  };
 
   const fetchNotifications = async (nextPage = 1) => {
     try {
@@ -70,6 +106,7 @@ const Notifications = () => {
 
   useEffect(() => {
     fetchNotifications(1);
+    fetchMatchAlerts();
   }, []);
 
   const handlePageChange = (_evt, value) => {
@@ -90,6 +127,57 @@ const Notifications = () => {
         <Paper sx={{ p: 2, mb: 2, color: 'error.main' }}>{error}</Paper>
       )}
 
+      {alerts.length > 0 && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>
+            Vehicle match alerts {openAlerts > 0 && <Chip size="small" color="error" label={`${openAlerts} open`} sx={{ ml: 1 }} />}
+          </Typography>
+          <Stack spacing={1}>
+            {alerts.map((a) => (
+              <Paper key={a._id} sx={{ p: 1.5, display: 'flex', alignItems: 'center', justifyContent: 'space-between', borderLeft: 4, borderColor: a.acknowledgedAt ? 'success.main' : 'error.main' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+                  <NotificationsActiveIcon color={a.acknowledgedAt ? 'disabled' : 'error'} fontSize="small" />
+                  <Typography variant="body2">
+                    <strong>{a.payload?.agentName || 'Agent'}</strong> confirmed vehicle no. <strong>{a.payload?.regNo || 'N/A'}</strong>
+                    {a.payload?.bank ? ` of ${a.payload.bank}` : ''}
+                  </Typography>
+                  {a.escalatedAt && !a.acknowledgedAt && <Chip size="small" color="warning" label="Escalated" />}
+                  {a.acknowledgedAt && (
+                    <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                      Acknowledged by {a.acknowledgedBy?.name || 'staff'} at {new Date(a.acknowledgedAt).toLocaleTimeString()}
+                    </Typography>
+                  )}
+                </Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    {new Date(a.createdAt).toLocaleString()}
+                  </Typography>
+                  <Tooltip title={a.payload?.photoUrl ? 'View Photo' : 'No photo'}>
+                    <span>
+                      <IconButton size="small" disabled={!a.payload?.photoUrl} component={a.payload?.photoUrl ? Link : 'button'} href={a.payload?.photoUrl} target="_blank" rel="noopener">
+                        <PhotoCameraIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title={a.payload?.mapUrl ? 'View Location' : 'Location not shared'}>
+                    <span>
+                      <IconButton size="small" disabled={!a.payload?.mapUrl} component={a.payload?.mapUrl ? Link : 'button'} href={a.payload?.mapUrl} target="_blank" rel="noopener">
+                        <PlaceIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  {!a.acknowledgedAt && (
+                    <Button size="small" variant="contained" color="error" disabled={acknowledging === a._id} onClick={() => acknowledgeAlert(a._id)}>
+                      Acknowledge
+                    </Button>
+                  )}
+                </Box>
+              </Paper>
+            ))}
+          </Stack>
+        </Box>
+      )}
+
       <Stack spacing={1}>
         {items.map((n) => {
           const vehicleLabel = n.vehicleNumber || n.metadata?.vehicleNumber || n.metadata?.vehicle_no || n.metadata?.regNo || n.vehicleId;
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { Box, Typography, Card, CardContent, Button, Alert, Table, TableBody, TableCell, TableHead, TableRow, Chip, TextField, Dialog, DialogTitle, DialogContent, DialogActions, Grid, Tooltip, Divider, Modal } from '@mui/material';
-import { Clear as ClearIcon, Visibility as VisibilityIcon } from '@mui/icons-material';
+import { Clear as ClearIcon, Visibility as VisibilityIcon, ReceiptLong as InvoiceIcon } from '@mui/icons-material';
 import axios from 'axios';
 
 const PaymentApprovals = () => {
@@ -14,13 +14,14 @@ const PaymentApprovals = () => {
   const [rejectionReason, setRejectionReason] = useState('');
   const [confirmLoading, setConfirmLoading] = useState(false);
   const [screenshotView, setScreenshotView] = useState({ open: false, url: null });
+  const [statusFilter, setStatusFilter] = useState('pending');
 
   const load = async () => {
     try {
       setLoading(true);
       setError('');
       const token = localStorage.getItem('token');
-      const res = await axios.get('/api/payments?status=pending', { headers: { Authorization: `Bearer ${token}` } });
+      const res = await axios.get(`/api/payments?status=${statusFilter}`, { headers: { Authorization: `Bearer ${token}` } });
       setItems(res?.data?.data || []);
     } catch (e) {
       setError(e?.response?.data?.message || e.message || 'Failed to load payments');
@@ -29,7 +30,28 @@ const PaymentApprovals = () => {
     }
   };
 
-  useEffect(() => { load(); }, []);
+  useEffect(() => { load(); }, [statusFilter]);
+
+  const downloadInvoice = async (payment) => {
+    try {
+      setError('');
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`/api/payments/${payment._id}/invoice`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${payment.invoiceNumber || 'invoice'}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (e) {
+      setError('Failed to download invoice');
+    }
+  };
 
   const formatUserType = (userType) => {
     if (!userType) return 'N/A';
@@ -91,8 +113,9 @@ const PaymentApprovals = () => {
       setError('');
 
       if (type === 'approve') {
-        await approve(payment);
-        setSuccess(`Payment approved for ${name}. Subscription extended.`);
+        const res = await approve(payment);
+        const invoiceNumber = res?.data?.data?.invoice?.number;
+        setSuccess(`Payment approved for ${name}. Subscription extended.${invoiceNumber ? ` Invoice ${invoiceNumber} issued.` : ''}`);
         closeConfirmDialog();
       } else if (type === 'reject') {
         if (!rejectionReason.trim()) {
@@ -162,6 +185,19 @@ const PaymentApprovals = () => {
               />
             </Grid>
           </Grid>
+          <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+            {['pending', 'approved', 'rejected'].map(status => (
+              <Button
+                key={status}
+                size="small"
+                variant={statusFilter === status ? 'contained' : 'outlined'}
+                onClick={() => setStatusFilter(status)}
+                sx={{ textTransform: 'capitalize' }}
+              >
+                {status}
+              </Button>
+            ))}
+          </Box>
           <Typography variant="body2" sx={{ mb: 2 }}>
             Showing {filteredItems.length} of {items.length} payments
           </Typography>
@@ -211,8 +247,22 @@ const PaymentApprovals = () => {
                     </TableCell>
                     <TableCell>{p.planPeriod}</TableCell>
                     <TableCell>{p.amount}</TableCell>
-                    <TableCell>{p.transactionId}</TableCell>
-                    <TableCell>{p.status}</TableCell>
+                    <TableCell>
+                      {p.transactionId}
+                      {p.fraudFlags?.length > 0 && (
+                        <Tooltip title={p.fraudFlags.map(f => f.message).join(' • ')}>
+                          <Chip size="small" label={`${p.fraudFlags.length} warning${p.fraudFlags.length > 1 ? 's' : ''}`} color={p.fraudFlags.some(f => f.severity === 'high') ? 'error' : 'warning'} sx={{ ml: 1 }} />
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {p.status}
+                      {p.method === 'gateway' && (
+                        <Tooltip title={p.gateway?.failureReason || `Paid via ${p.gateway?.provider || 'gateway'}${p.gateway?.paymentId ? ` (${p.gateway.paymentId})` : ''}`}>
+                          <Chip size="small" label="Online" color={p.gateway?.failureReason ? 'warning' : 'info'} sx={{ ml: 1 }} />
+                        </Tooltip>
+                      )}
+                    </TableCell>
                     <TableCell>
                       {p.screenshotUrl && (
                         <Tooltip title="View Screenshot">
@@ -227,14 +277,25 @@ const PaymentApprovals = () => {
                           </Button>
                         </Tooltip>
                       )}
-                      <Button size="small" variant="contained" color="success" onClick={() => openConfirmDialog('approve', p)} sx={{ mr: 1 }}>Approve</Button>
-                      <Button size="small" variant="outlined" color="error" onClick={() => openConfirmDialog('reject', p)}>Reject</Button>
+                      {p.status === 'pending' && (
+                        <>
+                          <Button size="small" variant="contained" color="success" onClick={() => openConfirmDialog('approve', p)} sx={{ mr: 1 }}>Approve</Button>
+                          <Button size="small" variant="outlined" color="error" onClick={() => openConfirmDialog('reject', p)}>Reject</Button>
+                        </>
+                      )}
+                      {p.status === 'approved' && (
+                        <Tooltip title={p.invoiceNumber ? `Invoice ${p.invoiceNumber}` : 'Generate and download invoice'}>
+                          <Button size="small" variant="outlined" startIcon={<InvoiceIcon />} onClick={() => downloadInvoice(p)}>
+                            Invoice
+                          </Button>
+                        </Tooltip>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))}
                 {filteredItems.length === 0 && (
                   <TableRow>
-                    <TableCell colSpan={11} align="center">No pending requests</TableCell>
+                    <TableCell colSpan={11} align="center">No {statusFilter} requests</TableCell>
                   </TableRow>
                 )}
               </TableBody>
@@ -258,6 +319,9 @@ const PaymentApprovals = () => {
           <Typography variant="body2"><strong>Email:</strong> {confirmDialog.payment?.submittedByEmail || '-'}</Typography>
           <Typography variant="body2"><strong>Role:</strong> {confirmDialog.payment?.submittedByRole || '-'}</Typography>
           <Typography variant="body2"><strong>User Type:</strong> {formatUserType(confirmDialog.payment?.submittedByUserType)}</Typography>
+          {confirmDialog.payment?.fraudFlags?.map((flag, index) => (
+            <Alert key={`${flag.code}-${index}`} severity={flag.severity === 'high' ? 'error' : 'warning'} sx={{ mt: 1 }}>{flag.message}</Alert>
+          ))}
           {confirmDialog.type === 'reject' && (
             <TextField
               label="Rejection Reason"
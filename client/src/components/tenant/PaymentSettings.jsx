@@ -1,14 +1,23 @@
 import React, { useEffect, useState } from 'react';
-import { Box, Typography, TextField, Button, Card, CardContent, Alert } from '@mui/material';
+import { Box, Typography, TextField, Button, Card, CardContent, Alert, MenuItem, FormControlLabel, Switch } from '@mui/material';
 import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMPTY_INVOICE = { legalName: '', gstin: '', address: '', state: '', phone: '', email: '', sacCode: '998314', gstRate: 18 };
 
 const PaymentSettings = () => {
+  const { user } = useAuth();
+  // Online payments and invoice details are only editable by tenant admins
+  const isTenantAdmin = ['admin', 'super_admin'].includes(user?.role);
   const [upiId, setUpiId] = useState('');
   const [payeeName, setPayeeName] = useState('');
   const [qrCodeImageUrl, setQrCodeImageUrl] = useState('');
   const [instructions, setInstructions] = useState('');
   const [saving, setSaving] = useState(false);
   const [planPrices, setPlanPrices] = useState({ weekly: 0, monthly: 0, quarterly: 0, yearly: 0 });
+  const [invoice, setInvoice] = useState(EMPTY_INVOICE);
+  const [gatewayEnabled, setGatewayEnabled] = useState(false);
+  const [paymentGateway, setPaymentGateway] = useState('');
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
@@ -23,6 +32,9 @@ const PaymentSettings = () => {
       setQrCodeImageUrl(cfg.qrCodeImageUrl || '');
       setInstructions(cfg.instructions || '');
       setPlanPrices(cfg.planPrices || { weekly: 0, monthly: 0, quarterly: 0, yearly: 0 });
+      setInvoice({ ...EMPTY_INVOICE, ...(cfg.invoice || {}) });
+      setGatewayEnabled(cfg.gatewayEnabled === true);
+      setPaymentGateway(res?.data?.data?.paymentGateway || '');
     } catch (e) {
       setError(e?.response?.data?.message || e.message || 'Failed to load settings');
     }
@@ -36,9 +48,9 @@ const PaymentSettings = () => {
       setError('');
       setSuccess('');
       const token = localStorage.getItem('token');
-      await axios.put('/api/tenants/settings', {
-        paymentConfig: { upiId, payeeName, qrCodeImageUrl, instructions, planPrices }
-      }, { headers: { Authorization: `Bearer ${token}` } });
+      const paymentConfig = { upiId, payeeName, qrCodeImageUrl, instructions, planPrices };
+      if (isTenantAdmin) Object.assign(paymentConfig, { gatewayEnabled, invoice });
+      await axios.put('/api/tenants/settings', { paymentConfig }, { headers: { Authorization: `Bearer ${token}` } });
       setSuccess('Payment settings updated');
     } catch (e) {
       setError(e?.response?.data?.message || e.message || 'Failed to save');
@@ -83,6 +95,36 @@ const PaymentSettings = () => {
             <TextField type="number" label="Quarterly Price" value={planPrices.quarterly} onChange={(e) => setPlanPrices({ ...planPrices, quarterly: Number(e.target.value) || 0 })} fullWidth />
             <TextField type="number" label="Yearly Price" value={planPrices.yearly} onChange={(e) => setPlanPrices({ ...planPrices, yearly: Number(e.target.value) || 0 })} fullWidth />
           </Box>
+          <Typography variant="h6" sx={{ fontWeight: 'bold', mt: 3, mb: 1 }}>Online Payments</Typography>
+          <FormControlLabel
+            control={<Switch checked={gatewayEnabled} disabled={!paymentGateway || !isTenantAdmin} onChange={(e) => setGatewayEnabled(e.target.checked)} />}
+            label="Let agents pay online and activate their plan automatically"
+          />
+          <Typography variant="body2" color="text.secondary">
+            {paymentGateway
+              ? `Payments go through ${paymentGateway}. UPI with transaction ID stays available as a fallback and still needs approval.`
+              : 'No payment gateway is configured on the server. Agents pay by UPI and submit the transaction ID for approval.'}
+          </Typography>
+          {isTenantAdmin && (
+            <>
+              <Typography variant="h6" sx={{ fontWeight: 'bold', mt: 3, mb: 1 }}>GST Invoice Details</Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Printed on the invoice issued when an agent's payment is approved. Plan prices are what agents pay, so GST is included in them. Without a GSTIN, invoices are issued without tax.
+              </Typography>
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                <TextField label="Legal Name" value={invoice.legalName} onChange={(e) => setInvoice({ ...invoice, legalName: e.target.value })} fullWidth />
+                <TextField label="GSTIN" value={invoice.gstin} onChange={(e) => setInvoice({ ...invoice, gstin: e.target.value.toUpperCase() })} fullWidth inputProps={{ maxLength: 15 }} />
+                <TextField label="Address" value={invoice.address} onChange={(e) => setInvoice({ ...invoice, address: e.target.value })} fullWidth multiline minRows={2} />
+                <TextField label="State" value={invoice.state} onChange={(e) => setInvoice({ ...invoice, state: e.target.value })} fullWidth helperText="Taken from the GSTIN when left empty" />
+                <TextField label="Phone" value={invoice.phone} onChange={(e) => setInvoice({ ...invoice, phone: e.target.value })} fullWidth />
+                <TextField label="Email" value={invoice.email} onChange={(e) => setInvoice({ ...invoice, email: e.target.value })} fullWidth />
+                <TextField label="SAC Code" value={invoice.sacCode} onChange={(e) => setInvoice({ ...invoice, sacCode: e.target.value })} fullWidth />
+                <TextField select label="GST Rate" value={invoice.gstRate} onChange={(e) => setInvoice({ ...invoice, gstRate: Number(e.target.value) })} fullWidth>
+                  {[0, 5, 12, 18, 28].map(rate => <MenuItem key={rate} value={rate}>{rate}%</MenuItem>)}
+                </TextField>
+              </Box>
+            </>
+          )}
           <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
             <Button variant="contained" onClick={save} disabled={saving}>{saving ? 'Saving...' : 'Save'}</Button>
             <Button variant="outlined" onClick={loadSettings}>Reload</Button>
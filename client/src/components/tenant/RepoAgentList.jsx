@@ -26,7 +26,8 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  FormHelperText
+  FormHelperText,
+  Badge
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -41,7 +42,8 @@ import {
   Map as MapIcon,
   TrackChanges as TrackIcon,
   PhoneAndroid as PhoneAndroidIcon,
-  LockReset as LockResetIcon
+  LockReset as LockResetIcon,
+  Devices as DevicesIcon
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import FormControlLabel from '@mui/material/FormControlLabel';
@@ -95,6 +97,14 @@ const RepoAgentList = () => {
   });
   const [passwordResetErrors, setPasswordResetErrors] = useState({});
 
+  // Devices & sessions dialog
+  const [pendingDevices, setPendingDevices] = useState([]);
+  const [devicesAgent, setDevicesAgent] = useState(null);
+  const [agentDevices, setAgentDevices] = useState({ devices: [], maxDevices: null, deviceLimit: 1, approvedCount: 0 });
+  const [agentSessions, setAgentSessions] = useState([]);
+  const [devicesLoading, setDevicesLoading] = useState(false);
+  const [devicesError, setDevicesError] = useState('');
+
   // Ref for auto-focusing first input field
   const nameInputRef = useRef(null);
   
@@ -126,6 +136,7 @@ const RepoAgentList = () => {
 
   useEffect(() => {
     fetchRepoAgents();
+    fetchPendingDevices();
   }, []);
 
   // Helper to get default field mapping
@@ -278,6 +289,110 @@ const RepoAgentList = () => {
     }
   };
 
+  // New devices waiting for an admin, shown as a banner and per-agent badges
+  const fetchPendingDevices = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('/api/tenant/users/agents/devices/pending', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPendingDevices(response.data?.data || []);
+    } catch (error) {
+      console.error('Error fetching pending devices:', error);
+    }
+  };
+
+  const loadAgentAccess = async (agentId) => {
+    try {
+      setDevicesLoading(true);
+      setDevicesError('');
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [devicesRes, sessionsRes] = await Promise.all([
+        axios.get(`/api/tenant/users/agents/${agentId}/devices`, { headers }),
+        axios.get(`/api/tenant/users/agents/${agentId}/sessions`, { headers })
+      ]);
+      setAgentDevices(devicesRes.data?.data || { devices: [], maxDevices: null, deviceLimit: 1, approvedCount: 0 });
+      setAgentSessions(sessionsRes.data?.data || []);
+    } catch (error) {
+      console.error('Error loading agent devices:', error);
+      setDevicesError(error.response?.data?.message || 'Failed to load devices and sessions');
+    } finally {
+      setDevicesLoading(false);
+    }
+  };
+
+  const handleOpenDevicesDialog = (agent) => {
+    setDevicesAgent(agent);
+    setAgentDevices({ devices: [], maxDevices: null, deviceLimit: 1, approvedCount: 0 });
+    setAgentSessions([]);
+    loadAgentAccess(agent._id || agent.id);
+  };
+
+  const handleCloseDevicesDialog = () => {
+    setDevicesAgent(null);
+    setDevicesError('');
+  };
+
+  // Runs a device/session change for the open agent, then reloads the dialog and the badges
+  const updateAgentAccess = async (request, message) => {
+    try {
+      setDevicesLoading(true);
+      setDevicesError('');
+      const token = localStorage.getItem('token');
+      await request({ headers: { Authorization: `Bearer ${token}` } });
+      setSuccess(message);
+      setTimeout(() => setSuccess(''), 3000);
+      fetchPendingDevices();
+      await loadAgentAccess(devicesAgent._id || devicesAgent.id);
+    } catch (error) {
+      console.error('Error updating agent devices:', error);
+      setDevicesError(error.response?.data?.message || 'Failed to update');
+      setDevicesLoading(false);
+    }
+  };
+
+  const handleDeviceStatus = (device, status) => {
+    const agentId = devicesAgent._id || devicesAgent.id;
+    updateAgentAccess(
+      (config) => axios.put(`/api/tenant/users/agents/${agentId}/devices/${device._id}`, { status }, config),
+      status === 'approved' ? 'Device approved' : 'Device blocked'
+    );
+  };
+
+  const handleRemoveDevice = (device) => {
+    if (!window.confirm('Remove this device? The agent will need approval again to use it.')) return;
+    const agentId = devicesAgent._id || devicesAgent.id;
+    updateAgentAccess(
+      (config) => axios.delete(`/api/tenant/users/agents/${agentId}/devices/${device._id}`, config),
+      'Device removed'
+    );
+  };
+
+  const handleDeviceLimitChange = (value) => {
+    const agentId = devicesAgent._id || devicesAgent.id;
+    updateAgentAccess(
+      (config) => axios.put(`/api/tenant/users/agents/${agentId}/device-limit`, { maxDevices: value === '' ? null : value }, config),
+      'Device limit updated'
+    );
+  };
+
+  const handleRevokeSession = (session) => {
+    if (!window.confirm('Sign out this session? The app on that device will be logged out on its next request.')) return;
+    const agentId = devicesAgent._id || devicesAgent.id;
+    updateAgentAccess(
+      (config) => axios.delete(`/api/tenant/users/agents/${agentId}/sessions/${session._id}`, config),
+      'Session revoked'
+    );
+  };
+
+  const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+  const pendingCountByAgent = pendingDevices.reduce((counts, device) => {
+    counts[device.agentId] = (counts[device.agentId] || 0) + 1;
+    return counts;
+  }, {});
+
   const handleOpenPasswordResetDialog = (agentId) => {
     setPasswordResetAgentId(agentId);
     setPasswordResetData({ newPassword: '', confirmPassword: '' });
@@ -534,6 +649,14 @@ const RepoAgentList = () => {
         </Alert>
       )}
 
+      {pendingDevices.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {pendingDevices.length} new device{pendingDevices.length === 1 ? '' : 's'} waiting for approval:{' '}
+          {pendingDevices.slice(0, 5).map(d => `${d.agent?.name || 'Unknown agent'} (${d.deviceName || 'Unknown device'})`).join(', ')}
+          {pendingDevices.length > 5 ? '…' : ''}. Use the devices button on the agent's row to approve or block them.
+        </Alert>
+      )}
+
       {/* Actions and Search */}
       <Box sx={{ mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
         <Button
@@ -782,6 +905,16 @@ const RepoAgentList = () => {
                         >
                           <PhoneAndroidIcon />
                         </IconButton>
+                        <IconButton 
+                          size="small" 
+                          color="primary" 
+                          onClick={() => handleOpenDevicesDialog(agent)}
+                          title="Devices & sessions"
+                        >
+                          <Badge badgeContent={pendingCountByAgent[agent._id || agent.id] || 0} color="warning">
+                            <DevicesIcon />
+                          </Badge>
+                        </IconButton>
                         <IconButton size="small" color="error" onClick={() => handleDeleteAgent(agent._id || agent.id)}>
                           <DeleteIcon />
                         </IconButton>
@@ -1092,6 +1225,7 @@ const RepoAgentList = () => {
         <DialogContent dividers>
           <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
             Select which fields to show in the mobile app's search result detail modal for repo agents.
+            To mask fields or restrict them by bank or vehicle status, use Data Masking.
           </Typography>
           
           <Grid container spacing={2}>
@@ -1297,6 +1431,156 @@ const RepoAgentList = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Devices & Sessions Dialog */}
+      <Dialog open={!!devicesAgent} onClose={handleCloseDevicesDialog} maxWidth="md" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1, fontWeight: 'bold' }}>
+          <DevicesIcon />
+          Devices & Sessions — {devicesAgent?.name || ''}
+        </DialogTitle>
+        <DialogContent dividers>
+          {devicesError && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setDevicesError('')}>
+              {devicesError}
+            </Alert>
+          )}
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            <FormControl size="small" sx={{ minWidth: 220 }}>
+              <InputLabel id="device-limit-label">Device limit</InputLabel>
+              <Select
+                labelId="device-limit-label"
+                label="Device limit"
+                value={agentDevices.maxDevices ?? ''}
+                onChange={(e) => handleDeviceLimitChange(e.target.value)}
+                disabled={devicesLoading}
+              >
+                <MenuItem value="">Tenant default</MenuItem>
+                {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => (
+                  <MenuItem key={n} value={n}>{n} device{n === 1 ? '' : 's'}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Typography variant="body2" color="text.secondary">
+              {agentDevices.approvedCount} of {agentDevices.deviceLimit} approved device{agentDevices.deviceLimit === 1 ? '' : 's'} in use
+            </Typography>
+            {devicesLoading && <CircularProgress size={20} />}
+          </Box>
+
+          <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>Devices</Typography>
+          <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Device</TableCell>
+                  <TableCell>Platform</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Requested</TableCell>
+                  <TableCell>Last Login</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {agentDevices.devices.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      <Typography variant="body2" color="text.secondary">
+                        No devices yet. The first device the agent signs in from is approved automatically.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : agentDevices.devices.map(device => (
+                  <TableRow key={device._id}>
+                    <TableCell>
+                      <Typography variant="body2">{device.deviceName || 'Unknown device'}</Typography>
+                      <Typography variant="caption" color="text.secondary">{device.deviceId}</Typography>
+                    </TableCell>
+                    <TableCell>{device.platform || '—'}{device.appVersion ? ` · v${device.appVersion}` : ''}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={device.status}
+                        color={device.status === 'approved' ? 'success' : device.status === 'pending' ? 'warning' : 'error'}
+                      />
+                    </TableCell>
+                    <TableCell>{formatDateTime(device.requestedAt)}</TableCell>
+                    <TableCell>{formatDateTime(device.lastLoginAt)}</TableCell>
+                    <TableCell align="right">
+                      <Box display="flex" gap={1} justifyContent="flex-end">
+                        {device.status !== 'approved' && (
+                          <Button size="small" color="success" onClick={() => handleDeviceStatus(device, 'approved')} disabled={devicesLoading}>
+                            Approve
+                          </Button>
+                        )}
+                        {device.status !== 'rejected' && (
+                          <Button size="small" color="warning" onClick={() => handleDeviceStatus(device, 'rejected')} disabled={devicesLoading}>
+                            Block
+                          </Button>
+                        )}
+                        <Button size="small" color="error" onClick={() => handleRemoveDevice(device)} disabled={devicesLoading}>
+                          Remove
+                        </Button>
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>Sessions</Typography>
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Device</TableCell>
+                  <TableCell>IP Address</TableCell>
+                  <TableCell>Signed In</TableCell>
+                  <TableCell>Last Seen</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {agentSessions.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      <Typography variant="body2" color="text.secondary">No sessions recorded</Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : agentSessions.map(session => (
+                  <TableRow key={session._id}>
+                    <TableCell>{session.deviceName || session.deviceId || 'Unknown device'}</TableCell>
+                    <TableCell>{session.ipAddress || '—'}</TableCell>
+                    <TableCell>{formatDateTime(session.createdAt)}</TableCell>
+                    <TableCell>{formatDateTime(session.lastSeenAt)}</TableCell>
+                    <TableCell>
+                      {session.active ? (
+                        <Chip size="small" label="Active" color="success" />
+                      ) : (
+                        <Chip
+                          size="small"
+                          label={session.revokedAt ? `Ended (${(session.revokeReason || 'revoked').replace(/_/g, ' ')})` : 'Expired'}
+                        />
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {session.active && (
+                        <Button size="small" color="error" onClick={() => handleRevokeSession(session)} disabled={devicesLoading}>
+                          Revoke
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDevicesDialog}>Close</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
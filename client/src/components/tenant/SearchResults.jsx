@@ -31,6 +31,7 @@ import {
 } from '@mui/icons-material';
 import { useLocation, useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import ConfirmerCallLog from './ConfirmerCallLog';
 
 const SearchResults = () => {
   const navigate = useNavigate();
@@ -40,6 +41,8 @@ const SearchResults = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [data, setData] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
   const [detailOpen, setDetailOpen] = useState(false);
@@ -53,25 +56,28 @@ const SearchResults = () => {
     return alnum.toUpperCase();
   };
 
+  // Last four digits, or a (possibly partial or misread) plate; the server matches fuzzily
   const isValidRegQuery = (value) => {
     const q = sanitizeRegInput(value);
-    const isFourDigits = /^\d{4}$/.test(q);
-    const fullReg = /^[A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}$/;
-    return isFourDigits || fullReg.test(q);
+    return /^\d{4}$/.test(q) || q.length >= 5;
   };
 
-  const fetchResults = async () => {
+  const fetchResults = async (cursor = null) => {
     try {
-      setLoading(true);
+      if (cursor) setLoadingMore(true); else setLoading(true);
       setError('');
       const token = localStorage.getItem('token');
       const clean = sanitizeRegInput(query);
-      const qs = new URLSearchParams({ q: clean, type: 'reg', limit: '400' });
+      const qs = new URLSearchParams({ q: clean, type: 'reg', limit: '200' });
+      if (cursor) qs.set('cursor', cursor);
       const res = await axios.get(`/api/tenant/data/search?${qs}`, {
         headers: { Authorization: `Bearer ${token}` }
       });
       if (res.data?.success) {
-        setData(res.data.data || []);
+        const rows = res.data.data || [];
+        setData(prev => (cursor ? [...prev, ...rows] : rows));
+        setNextCursor(res.data.nextCursor || null);
+        if (!cursor) setPage(0);
       } else {
         throw new Error(res.data?.message || 'Search failed');
       }
@@ -79,9 +85,16 @@ const SearchResults = () => {
       setError(e.response?.data?.message || e.message || 'Search failed');
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
+  const matchLabel = (match) => {
+    if (!match || match.type === 'exact') return null;
+    if (match.type === 'fuzzy') return { label: 'Close match', color: 'warning' };
+    return { label: 'Partial', color: 'default' };
+  };
+
   useEffect(() => {
     const newQ = params.get('q') || '';
     setQuery(sanitizeRegInput(newQ));
@@ -92,6 +105,7 @@ const SearchResults = () => {
       fetchResults();
     } else {
       setData([]);
+      setNextCursor(null);
     }
   }, [query]);
 
@@ -169,7 +183,7 @@ const SearchResults = () => {
           <TextField
             fullWidth
             size="small"
-            placeholder="Registration only: 4 digits or full number"
+            placeholder="Registration: last 4 digits or full/partial number"
             value={query}
             onChange={(e) => setQuery(sanitizeRegInput(e.target.value))}
             onKeyDown={(e) => {
@@ -217,12 +231,13 @@ const SearchResults = () => {
                     <TableCell>Bank</TableCell>
                     <TableCell>Make</TableCell>
                     <TableCell>Customer</TableCell>
+                    <TableCell>Match</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
                   {data.length === 0 ? (
                     <TableRow>
-                      <TableCell colSpan={7} align="center">
+                      <TableCell colSpan={8} align="center">
                         <Typography variant="body2" color="text.secondary">
                           No results
                         </Typography>
@@ -244,6 +259,11 @@ const SearchResults = () => {
                           <TableCell>{row.bank || '-'}</TableCell>
                           <TableCell>{row.make || '-'}</TableCell>
                           <TableCell>{row.customerName || '-'}</TableCell>
+                          <TableCell>
+                            {matchLabel(row.match) && (
+                              <Chip size="small" variant="outlined" label={matchLabel(row.match).label} color={matchLabel(row.match).color} />
+                            )}
+                          </TableCell>
                         </TableRow>
                       ))
                   )}
@@ -262,6 +282,13 @@ const SearchResults = () => {
                 setPage(0);
               }}
             />
+            {nextCursor && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', pb: 2 }}>
+                <Button variant="outlined" disabled={loadingMore} onClick={() => fetchResults(nextCursor)}>
+                  {loadingMore ? 'Loading…' : 'Load more results'}
+                </Button>
+              </Box>
+            )}
           </>
         )}
       </Paper>
@@ -345,6 +372,10 @@ const SearchResults = () => {
                 </Grid>
               )}
 
+              <Grid item xs={12}>
+                <ConfirmerCallLog vehicleId={vehicleDetail._id} vehicleType={vehicleDetail.vehicleType} />
+              </Grid>
+
               {vehicleDetail?.raw && (
                 <Grid item xs={12}>
                   <Paper variant="outlined" sx={{ p: 1.5 }}>
@@ -49,7 +49,12 @@ import {
   CheckCircle,
   TwoWheeler as MotorcycleIcon,
   LocalShipping as TruckIcon,
-  Search as SearchIcon
+  Search as SearchIcon,
+  LocalParking as ParkingIcon,
+  WorkHistory as JobsIcon,
+  History as HistoryIcon,
+  Map as MapIcon,
+  VisibilityOff as MaskIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import { useAuth } from '../../contexts/AuthContext';
@@ -76,11 +81,19 @@ import PaymentSettings from './PaymentSettings';
 import PaymentApprovals from './PaymentApprovals';
 import SubscriptionsList from './SubscriptionsList';
 import ModernDashboard from './ModernDashboard';
+import YardOccupancy from './YardOccupancy';
+import YardManagement from './YardManagement';
+import TerritoryManagement from './TerritoryManagement';
+import FieldMaskingPolicy from './FieldMaskingPolicy';
+import JobsPage from './JobsPage';
+import AuditLog from './AuditLog';
 
 const TenantAdminPanel = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { logout, user } = useAuth();
+  const { logout, user, hasPermission } = useAuth();
+  // The audit log is for tenant admins only, not office staff
+  const isTenantAdmin = ['admin', 'super_admin'].includes(user?.role);
   const [headerSearch, setHeaderSearch] = useState('');
 
   // Normalize and validate registration number input
@@ -149,7 +162,7 @@ const TenantAdminPanel = () => {
       expandable: true,
       subItems: [
         { text: 'Office Staff List', path: '/app/tenant/users/staff' },
-        { text: 'Repo Agent List', path: '/app/tenant/users/agents' },
+        { text: 'Repo Agent List', path: '/app/tenant/users/agents', permission: 'manage_agents' },
         { text: 'Pending Approvals', path: '/app/tenant/users/pending' }
       ]
     },
@@ -167,7 +180,42 @@ const TenantAdminPanel = () => {
     {
       text: 'Mobile Upload',
       icon: <MobileIcon />,
-      path: '/app/tenant/mobile-upload'
+      path: '/app/tenant/mobile-upload',
+      permission: 'upload_data'
+    },
+    {
+      text: 'Yard Management',
+      icon: <ParkingIcon />,
+      path: '/app/tenant/yards',
+      active: location.pathname === '/app/tenant/yards',
+      permission: 'manage_yards'
+    },
+    {
+      text: 'Territories',
+      icon: <MapIcon />,
+      path: '/app/tenant/territories',
+      active: location.pathname === '/app/tenant/territories',
+      permission: 'manage_agents'
+    },
+    {
+      text: 'Data Masking',
+      icon: <MaskIcon />,
+      path: '/app/tenant/field-masking',
+      active: location.pathname === '/app/tenant/field-masking',
+      permission: 'manage_field_visibility'
+    },
+    {
+      text: 'Background Jobs',
+      icon: <JobsIcon />,
+      path: '/app/tenant/jobs',
+      active: location.pathname === '/app/tenant/jobs'
+    },
+    {
+      text: 'Audit Log',
+      icon: <HistoryIcon />,
+      path: '/app/tenant/audit',
+      active: location.pathname === '/app/tenant/audit',
+      adminOnly: true
     },
     {
       text: 'Data Sharing',
@@ -188,7 +236,8 @@ const TenantAdminPanel = () => {
     {
       text: 'User Statistics',
       icon: <BarChartIcon />,
-      path: '/app/tenant/user-stats'
+      path: '/app/tenant/user-stats',
+      permission: 'view_reports'
     },
     {
       text: 'Data Analytics',
@@ -203,7 +252,8 @@ const TenantAdminPanel = () => {
     {
       text: 'Reports',
       icon: <ReportIcon />,
-      path: '/app/tenant/reports'
+      path: '/app/tenant/reports',
+      permission: 'view_reports'
     },
     {
       text: 'Settings',
@@ -221,7 +271,8 @@ const TenantAdminPanel = () => {
       text: 'Payment Approvals',
       icon: <SettingsIcon />,
       path: '/app/tenant/payment-approvals',
-      active: location.pathname === '/app/tenant/payment-approvals'
+      active: location.pathname === '/app/tenant/payment-approvals',
+      permission: 'approve_payments'
     },
     {
       text: 'User Subscriptions',
@@ -466,7 +517,7 @@ const TenantAdminPanel = () => {
         <Toolbar />
         <Box sx={{ overflow: 'auto', mt: 2 }}>
           <List>
-            {menuItems.map((item, index) => (
+            {menuItems.filter(item => (!item.permission || hasPermission(item.permission)) && (!item.adminOnly || isTenantAdmin)).map((item, index) => (
               <Box key={index}>
                 <ListItem disablePadding>
                   <ListItemButton
@@ -508,7 +559,7 @@ const TenantAdminPanel = () => {
                 {item.expandable && expandedMenus[item.text.toLowerCase().replace(/\s+/g, '')] && (
                   <Collapse in={expandedMenus[item.text.toLowerCase().replace(/\s+/g, '')]} timeout="auto" unmountOnExit>
                     <List component="div" disablePadding>
-                      {item.subItems?.map((subItem, subIndex) => (
+                      {item.subItems?.filter(subItem => !subItem.permission || hasPermission(subItem.permission)).map((subItem, subIndex) => (
                         <ListItemButton
                           key={subIndex}
                           onClick={() => handleMenuClick(subItem.path)}
@@ -572,6 +623,7 @@ const TenantAdminPanel = () => {
                 Dashboard
               </Typography>
               <ModernDashboard stats={stats} loading={loading} error={error} />
+              <YardOccupancy />
             </>
           )}
 
@@ -610,6 +662,21 @@ const TenantAdminPanel = () => {
             {location.pathname === '/app/tenant/mobile-upload' && (
               <MobileUpload />
             )}
+            {location.pathname === '/app/tenant/yards' && (
+              <YardManagement />
+            )}
+            {location.pathname === '/app/tenant/territories' && (
+              <TerritoryManagement />
+            )}
+            {location.pathname === '/app/tenant/field-masking' && (
+              <FieldMaskingPolicy />
+            )}
+            {location.pathname === '/app/tenant/jobs' && (
+              <JobsPage />
+            )}
+            {location.pathname === '/app/tenant/audit' && (
+              <AuditLog />
+            )}
             {location.pathname.startsWith('/app/tenant/files/vehicle-data/') && (
               <VehicleDataDetails />
             )}
@@ -17,7 +17,14 @@ import {
   ListItemIcon,
   ListItemText,
   List,
-  Collapse
+  Collapse,
+  Checkbox,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer
 } from '@mui/material';
 import { 
   Settings as SettingsIcon,
@@ -26,7 +33,11 @@ import {
   ExpandMore,
   Storage as StorageIcon,
   Person as PersonIcon,
-  Construction as ConstructionIcon
+  PhoneAndroid as PhoneAndroidIcon,
+  Construction as ConstructionIcon,
+  Security as SecurityIcon,
+  Map as MapIcon,
+  NotificationsActive as AlertIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import AgencyConfirmer from './AgencyConfirmer';
@@ -37,10 +48,15 @@ const TenantSettings = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [settings, setSettings] = useState({
-    dataMultiplier: 1
+    dataMultiplier: 1,
+    maxDevicesPerAgent: 1
   });
   const [expandedSettings, setExpandedSettings] = useState({
     syncMultiplier: true,
+    agentDevices: false,
+    agentScope: false,
+    matchAlerts: false,
+    rolePermissions: false,
     agencyConfirmer: false,
     comingSoon: false
   });
@@ -80,7 +96,9 @@ const TenantSettings = () => {
       const token = localStorage.getItem('token');
       if (!token) throw new Error('No authentication token found');
       
-      const res = await axios.put('/api/tenants/settings', settings, {
+      // The permission catalogue and scope options are read-only
+      const { permissionCatalog, agentVehicleScopeOptions, ...changes } = settings;
+      const res = await axios.put('/api/tenants/settings', changes, {
         headers: { Authorization: `Bearer ${token}` }
       });
       
@@ -104,9 +122,45 @@ const TenantSettings = () => {
     }));
   };
 
+  const handleDeviceLimitChange = (event) => {
+    setSettings(prev => ({
+      ...prev,
+      maxDevicesPerAgent: event.target.value
+    }));
+  };
+
+  const handleEscalationChange = (event) => {
+    setSettings(prev => ({
+      ...prev,
+      matchAlertEscalationMinutes: event.target.value
+    }));
+  };
+
+  const handleAgentScopeChange = (event) => {
+    setSettings(prev => ({
+      ...prev,
+      agentVehicleScope: event.target.value
+    }));
+  };
+
+  const handleRolePermissionToggle = (role, permission) => {
+    setSettings(prev => {
+      const current = prev.rolePermissions?.[role] || [];
+      const next = current.includes(permission)
+        ? current.filter(p => p !== permission)
+        : [...current, permission];
+      return {
+        ...prev,
+        rolePermissions: { ...prev.rolePermissions, [role]: next }
+      };
+    });
+  };
+
   const toggleSettingExpansion = (settingKey) => {
     setExpandedSettings(prev => ({
       syncMultiplier: false,
+      agentDevices: false,
+      rolePermissions: false,
       agencyConfirmer: false,
       comingSoon: false,
       [settingKey]: !prev[settingKey]
@@ -210,6 +264,259 @@ const TenantSettings = () => {
             </Box>
           </Collapse>
 
+          {/* Agent Devices */}
+          <ListItem 
+            button 
+            onClick={() => toggleSettingExpansion('agentDevices')}
+            sx={{
+              '&:hover': { backgroundColor: 'action.hover' }
+            }}
+          >
+            <ListItemIcon>
+              <PhoneAndroidIcon sx={{ color: 'primary.main' }} />
+            </ListItemIcon>
+            <ListItemText primary="Agent Devices" />
+            {expandedSettings.agentDevices ? <ExpandLess /> : <ExpandMore />}
+          </ListItem>
+          
+          <Collapse in={expandedSettings.agentDevices} timeout="auto" unmountOnExit>
+            <Box sx={{ px: 4, pb: 3 }}>
+              <FormControl fullWidth sx={{ mb: 3 }}>
+                <InputLabel id="device-limit-label">Devices per Repo Agent</InputLabel>
+                <Select
+                  labelId="device-limit-label"
+                  value={settings.maxDevicesPerAgent || 1}
+                  label="Devices per Repo Agent"
+                  onChange={handleDeviceLimitChange}
+                >
+                  {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => (
+                    <MenuItem key={n} value={n}>{n} device{n === 1 ? '' : 's'}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <Box sx={{ 
+                bgcolor: 'info.light', 
+                color: 'info.contrastText', 
+                p: 2, 
+                borderRadius: 1,
+                mb: 2
+              }}>
+                <Typography variant="body2">
+                  An agent's first device is approved automatically. Sign-ins from other devices wait for your
+                  approval in Repo Agents, up to this limit. Limits can also be set for individual agents there.
+                </Typography>
+              </Box>
+
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <Button
+                  variant="contained"
+                  startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+                  onClick={saveSettings}
+                  disabled={saving}
+                  size="large"
+                  sx={{ px: 4, py: 1.5, fontWeight: 'bold' }}
+                >
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </Button>
+              </Box>
+            </Box>
+          </Collapse>
+
+          {/* Agent Vehicle Access */}
+          <ListItem 
+            button 
+            onClick={() => toggleSettingExpansion('agentScope')}
+            sx={{
+              '&:hover': { backgroundColor: 'action.hover' }
+            }}
+          >
+            <ListItemIcon>
+              <MapIcon sx={{ color: 'primary.main' }} />
+            </ListItemIcon>
+            <ListItemText primary="Agent Vehicle Access" />
+            {expandedSettings.agentScope ? <ExpandLess /> : <ExpandMore />}
+          </ListItem>
+          
+          <Collapse in={expandedSettings.agentScope} timeout="auto" unmountOnExit>
+            <Box sx={{ px: 4, pb: 3 }}>
+              <FormControl fullWidth sx={{ mb: 3 }}>
+                <InputLabel id="agent-scope-label">What repo agents see</InputLabel>
+                <Select
+                  labelId="agent-scope-label"
+                  value={settings.agentVehicleScope || 'all'}
+                  label="What repo agents see"
+                  onChange={handleAgentScopeChange}
+                >
+                  {(settings.agentVehicleScopeOptions || [{ key: 'all', label: 'All vehicles' }]).map(option => (
+                    <MenuItem key={option.key} value={option.key}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <Box sx={{ 
+                bgcolor: 'info.light', 
+                color: 'info.contrastText', 
+                p: 2, 
+                borderRadius: 1,
+                mb: 2
+              }}>
+                <Typography variant="body2">
+                  Applies to search and the offline data in the mobile app. Set up territories and allocate vehicles
+                  or bank files under Territories. With territory-only access, an agent without a territory or
+                  allocations sees no vehicles.
+                </Typography>
+              </Box>
+
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <Button
+                  variant="contained"
+                  startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+                  onClick={saveSettings}
+                  disabled={saving}
+                  size="large"
+                  sx={{ px: 4, py: 1.5, fontWeight: 'bold' }}
+                >
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </Button>
+              </Box>
+            </Box>
+          </Collapse>
+
+          {/* Match Alerts */}
+          <ListItem 
+            button 
+            onClick={() => toggleSettingExpansion('matchAlerts')}
+            sx={{
+              '&:hover': { backgroundColor: 'action.hover' }
+            }}
+          >
+            <ListItemIcon>
+              <AlertIcon sx={{ color: 'primary.main' }} />
+            </ListItemIcon>
+            <ListItemText primary="Vehicle Match Alerts" />
+            {expandedSettings.matchAlerts ? <ExpandLess /> : <ExpandMore />}
+          </ListItem>
+          
+          <Collapse in={expandedSettings.matchAlerts} timeout="auto" unmountOnExit>
+            <Box sx={{ px: 4, pb: 3 }}>
+              <FormControl fullWidth sx={{ mb: 3 }}>
+                <InputLabel id="escalation-label">Escalate unacknowledged alerts after</InputLabel>
+                <Select
+                  labelId="escalation-label"
+                  value={settings.matchAlertEscalationMinutes ?? 10}
+                  label="Escalate unacknowledged alerts after"
+                  onChange={handleEscalationChange}
+                >
+                  <MenuItem value={0}>Never</MenuItem>
+                  {[5, 10, 15, 30, 60, 120, 240].map(n => (
+                    <MenuItem key={n} value={n}>{n < 60 ? `${n} minutes` : `${n / 60} hour${n === 60 ? '' : 's'}`}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <Box sx={{ 
+                bgcolor: 'info.light', 
+                color: 'info.contrastText', 
+                p: 2, 
+                borderRadius: 1,
+                mb: 2
+              }}>
+                <Typography variant="body2">
+                  When an agent confirms a vehicle, admins and office staff get a push notification with the agent's
+                  location and photo. If nobody acknowledges it in time, it is sent again and the agency admin gets an SMS.
+                </Typography>
+              </Box>
+
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <Button
+                  variant="contained"
+                  startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+                  onClick={saveSettings}
+                  disabled={saving}
+                  size="large"
+                  sx={{ px: 4, py: 1.5, fontWeight: 'bold' }}
+                >
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </Button>
+              </Box>
+            </Box>
+          </Collapse>
+
+          {/* Role Permissions */}
+          <ListItem 
+            button 
+            onClick={() => toggleSettingExpansion('rolePermissions')}
+            sx={{
+              '&:hover': { backgroundColor: 'action.hover' }
+            }}
+          >
+            <ListItemIcon>
+              <SecurityIcon sx={{ color: 'primary.main' }} />
+            </ListItemIcon>
+            <ListItemText primary="Role Permissions" />
+            {expandedSettings.rolePermissions ? <ExpandLess /> : <ExpandMore />}
+          </ListItem>
+          
+          <Collapse in={expandedSettings.rolePermissions} timeout="auto" unmountOnExit>
+            <Box sx={{ px: 4, pb: 3 }}>
+              <Box sx={{ 
+                bgcolor: 'info.light', 
+                color: 'info.contrastText', 
+                p: 2, 
+                borderRadius: 1,
+                mb: 2
+              }}>
+                <Typography variant="body2">
+                  Choose what office staff in each role can do. Changes take effect right away, and staff apps
+                  hide the actions they are not allowed to use. Admins always have every permission.
+                </Typography>
+              </Box>
+
+              <TableContainer sx={{ mb: 2 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Permission</TableCell>
+                      {(settings.permissionCatalog?.roles || []).map(role => (
+                        <TableCell key={role} align="center">{role}</TableCell>
+                      ))}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(settings.permissionCatalog?.permissions || []).map(permission => (
+                      <TableRow key={permission.key}>
+                        <TableCell>{permission.label}</TableCell>
+                        {settings.permissionCatalog.roles.map(role => (
+                          <TableCell key={role} align="center">
+                            <Checkbox
+                              size="small"
+                              checked={Boolean(settings.rolePermissions?.[role]?.includes(permission.key))}
+                              onChange={() => handleRolePermissionToggle(role, permission.key)}
+                            />
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <Button
+                  variant="contained"
+                  startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+                  onClick={saveSettings}
+                  disabled={saving}
+                  size="large"
+                  sx={{ px: 4, py: 1.5, fontWeight: 'bold' }}
+                >
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </Button>
+              </Box>
+            </Box>
+          </Collapse>
+
           {/* Agency Confirmer */}
           <ListItem 
             button 
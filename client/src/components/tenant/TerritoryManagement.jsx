@@ -0,0 +1,427 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  OutlinedInput,
+  Tabs,
+  Tab,
+  IconButton,
+  ToggleButton,
+  ToggleButtonGroup,
+  Autocomplete,
+  CircularProgress
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const emptyTerritory = { name: '', description: '', zones: '', branches: '', cities: '', pincodes: '', agentIds: [] };
+const emptyAllocation = { agentId: '', kind: 'file', file: null, identifiers: '', note: '' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const VEHICLE_TYPE_LABELS = { TwoWheeler: '2W', FourWheeler: '4W', Commercial: 'CV' };
+
+const criteriaChips = (territory) => [
+  ...(territory.zones || []).map(v => `Zone: ${v}`),
+  ...(territory.branches || []).map(v => `Branch: ${v}`),
+  ...(territory.cities || []).map(v => `City: ${v}`),
+  ...(territory.pincodes || []).map(v => `PIN: ${v}`)
+];
+
+// Territories repo agents are assigned to, and vehicles or bank files allocated to agents
+const TerritoryManagement = () => {
+  const [tab, setTab] = useState(0);
+  const [territories, setTerritories] = useState([]);
+  const [allocations, setAllocations] = useState([]);
+  const [agents, setAgents] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [mode, setMode] = useState('all');
+  const [modes, setModes] = useState({});
+  const [agentFilter, setAgentFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [territoryDialog, setTerritoryDialog] = useState({ open: false, territory: emptyTerritory, id: null });
+  const [allocationDialog, setAllocationDialog] = useState({ open: false, allocation: emptyAllocation });
+
+  const loadTerritories = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/tenant/territories', { headers: authHeaders() });
+      setTerritories(res?.data?.data || []);
+      setMode(res?.data?.mode || 'all');
+      setModes(res?.data?.modes || {});
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load territories');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAllocations = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/tenant/territories/allocations', {
+        headers: authHeaders(),
+        params: { agentId: agentFilter || undefined }
+      });
+      setAllocations(res?.data?.data || []);
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load allocations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAgents = async () => {
+    try {
+      const res = await axios.get('/api/tenant/users/agents', { headers: authHeaders(), params: { limit: 1000 } });
+      setAgents(res?.data?.data || []);
+    } catch (_) {
+      setAgents([]);
+    }
+  };
+
+  const loadFiles = async () => {
+    try {
+      const res = await axios.get('/api/tenant/territories/files', { headers: authHeaders() });
+      setFiles(res?.data?.data || []);
+    } catch (_) {
+      setFiles([]);
+    }
+  };
+
+  useEffect(() => {
+    loadTerritories();
+    loadAgents();
+  }, []);
+
+  useEffect(() => {
+    if (tab === 1) loadAllocations();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tab, agentFilter]);
+
+  const agentName = (id) => agents.find(a => a._id === id)?.name || '';
+
+  const openTerritoryDialog = (territory) => {
+    setTerritoryDialog({
+      open: true,
+      id: territory?._id || null,
+      territory: territory
+        ? {
+            name: territory.name || '',
+            description: territory.description || '',
+            zones: (territory.zones || []).join(', '),
+            branches: (territory.branches || []).join(', '),
+            cities: (territory.cities || []).join(', '),
+            pincodes: (territory.pincodes || []).join(', '),
+            agentIds: (territory.agentIds || []).map(String)
+          }
+        : emptyTerritory
+    });
+  };
+
+  const saveTerritory = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const { id, territory } = territoryDialog;
+      const res = id
+        ? await axios.put(`/api/tenant/territories/${id}`, territory, { headers: authHeaders() })
+        : await axios.post('/api/tenant/territories', territory, { headers: authHeaders() });
+      setSuccess(res?.data?.message || 'Territory saved');
+      setTerritoryDialog({ open: false, territory: emptyTerritory, id: null });
+      loadTerritories();
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to save territory');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteTerritory = async (territory) => {
+    if (!window.confirm(`Delete territory ${territory.name}? Its agents lose access to it.`)) return;
+    try {
+      const res = await axios.delete(`/api/tenant/territories/${territory._id}`, { headers: authHeaders() });
+      setSuccess(res?.data?.message || 'Territory deleted');
+      loadTerritories();
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to delete territory');
+    }
+  };
+
+  const openAllocationDialog = () => {
+    setAllocationDialog({ open: true, allocation: { ...emptyAllocation, agentId: agentFilter } });
+    loadFiles();
+  };
+
+  const saveAllocation = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const { agentId, kind, file, identifiers, note } = allocationDialog.allocation;
+      const body = kind === 'file'
+        ? { agentId, kind, fileName: file?.fileName, vehicleType: file?.vehicleType, note }
+        : { agentId, kind, identifiers: identifiers.split(/[\s,;]+/).filter(Boolean), note };
+      const res = await axios.post('/api/tenant/territories/allocations', body, { headers: authHeaders() });
+      const missing = [...(res?.data?.notFound || []), ...(res?.data?.ambiguous || [])];
+      setSuccess(`${res?.data?.message || 'Allocated'}${missing.length ? `. Not allocated: ${missing.join(', ')}` : ''}`);
+      setAllocationDialog({ open: false, allocation: emptyAllocation });
+      loadAllocations();
+    } catch (e) {
+      const data = e?.response?.data;
+      const missing = [...(data?.notFound || []), ...(data?.ambiguous || [])];
+      setError(`${data?.message || 'Failed to allocate'}${missing.length ? `: ${missing.join(', ')}` : ''}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeAllocation = async (allocation) => {
+    try {
+      const res = await axios.delete(`/api/tenant/territories/allocations/${allocation._id}`, { headers: authHeaders() });
+      setSuccess(res?.data?.message || 'Allocation removed');
+      loadAllocations();
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to remove allocation');
+    }
+  };
+
+  const setTerritoryField = (key, value) => setTerritoryDialog(prev => ({ ...prev, territory: { ...prev.territory, [key]: value } }));
+  const setAllocationField = (key, value) => setAllocationDialog(prev => ({ ...prev, allocation: { ...prev.allocation, [key]: value } }));
+  const allocation = allocationDialog.allocation;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Box>
+          <Typography variant="h5" fontWeight={600}>Territories & Allocations</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Agents currently see: {modes[mode] || mode}. Change this in Settings → Agent Vehicle Access.
+          </Typography>
+        </Box>
+        {tab === 0 ? (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openTerritoryDialog(null)}>New Territory</Button>
+        ) : (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openAllocationDialog}>Allocate</Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Tabs value={tab} onChange={(_, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab label="Territories" />
+        <Tab label="Allocations" />
+      </Tabs>
+
+      <Paper>
+        {loading && <LinearProgress />}
+        {tab === 0 && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Territory</TableCell>
+                <TableCell>Covers</TableCell>
+                <TableCell>Agents</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {territories.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">No territories yet</TableCell>
+                </TableRow>
+              )}
+              {territories.map(territory => (
+                <TableRow key={territory._id} hover>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight={600}>{territory.name}</Typography>
+                    {territory.description && <Typography variant="caption" color="text.secondary">{territory.description}</Typography>}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {criteriaChips(territory).map(label => <Chip key={label} size="small" label={label} />)}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    {(territory.agents || []).length === 0
+                      ? <Typography variant="caption" color="text.secondary">No agents</Typography>
+                      : territory.agents.map(a => a.name).join(', ')}
+                  </TableCell>
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => openTerritoryDialog(territory)}><EditIcon fontSize="small" /></IconButton>
+                    <IconButton size="small" color="error" onClick={() => deleteTerritory(territory)}><DeleteIcon fontSize="small" /></IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {tab === 1 && (
+          <>
+            <Box sx={{ p: 2 }}>
+              <FormControl size="small" sx={{ minWidth: 240 }}>
+                <InputLabel>Agent</InputLabel>
+                <Select label="Agent" value={agentFilter} onChange={(e) => setAgentFilter(e.target.value)}>
+                  <MenuItem value="">All agents</MenuItem>
+                  {agents.map(a => <MenuItem key={a._id} value={a._id}>{a.name}</MenuItem>)}
+                </Select>
+              </FormControl>
+            </Box>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Agent</TableCell>
+                  <TableCell>Allocated</TableCell>
+                  <TableCell>Note</TableCell>
+                  <TableCell>Since</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {allocations.length === 0 && !loading && (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">No allocations</TableCell>
+                  </TableRow>
+                )}
+                {allocations.map(a => (
+                  <TableRow key={a._id} hover>
+                    <TableCell>{a.agentName || agentName(a.agentId)}</TableCell>
+                    <TableCell>
+                      {a.kind === 'file' ? (
+                        <Box>
+                          <Chip size="small" label={`File · ${VEHICLE_TYPE_LABELS[a.vehicleType] || a.vehicleType}`} sx={{ mr: 1 }} />
+                          {a.fileName}{a.bankName ? ` (${a.bankName})` : ''}
+                        </Box>
+                      ) : (
+                        <Box>
+                          <Chip size="small" label="Vehicle" sx={{ mr: 1 }} />
+                          {a.regNo}
+                        </Box>
+                      )}
+                    </TableCell>
+                    <TableCell>{a.note || '-'}</TableCell>
+                    <TableCell>{formatDate(a.createdAt)}</TableCell>
+                    <TableCell align="right">
+                      <IconButton size="small" color="error" onClick={() => removeAllocation(a)}><DeleteIcon fontSize="small" /></IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </Paper>
+
+      <Dialog open={territoryDialog.open} onClose={() => setTerritoryDialog({ open: false, territory: emptyTerritory, id: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{territoryDialog.id ? 'Edit Territory' : 'New Territory'}</DialogTitle>
+        <DialogContent dividers>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField label="Name" value={territoryDialog.territory.name} onChange={(e) => setTerritoryField('name', e.target.value)} required />
+            <TextField label="Description" value={territoryDialog.territory.description} onChange={(e) => setTerritoryField('description', e.target.value)} />
+            <Typography variant="caption" color="text.secondary">
+              Comma separated. A vehicle belongs to the territory when its zone, branch, city (location, area office
+              or address) or address pincode matches any value.
+            </Typography>
+            <TextField label="Zones" value={territoryDialog.territory.zones} onChange={(e) => setTerritoryField('zones', e.target.value)} />
+            <TextField label="Branches" value={territoryDialog.territory.branches} onChange={(e) => setTerritoryField('branches', e.target.value)} />
+            <TextField label="Cities" value={territoryDialog.territory.cities} onChange={(e) => setTerritoryField('cities', e.target.value)} />
+            <TextField label="Pincodes" value={territoryDialog.territory.pincodes} onChange={(e) => setTerritoryField('pincodes', e.target.value)} />
+            <FormControl>
+              <InputLabel>Agents</InputLabel>
+              <Select
+                multiple
+                value={territoryDialog.territory.agentIds}
+                onChange={(e) => setTerritoryField('agentIds', e.target.value)}
+                input={<OutlinedInput label="Agents" />}
+                renderValue={(selected) => selected.map(agentName).filter(Boolean).join(', ')}
+              >
+                {agents.map(a => <MenuItem key={a._id} value={a._id}>{a.name}{a.phoneNumber ? ` · ${a.phoneNumber}` : ''}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTerritoryDialog({ open: false, territory: emptyTerritory, id: null })}>Cancel</Button>
+          <Button variant="contained" onClick={saveTerritory} disabled={saving || !territoryDialog.territory.name.trim()}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={allocationDialog.open} onClose={() => setAllocationDialog({ open: false, allocation: emptyAllocation })} maxWidth="sm" fullWidth>
+        <DialogTitle>Allocate to Agent</DialogTitle>
+        <DialogContent dividers>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <FormControl required>
+              <InputLabel>Agent</InputLabel>
+              <Select label="Agent" value={allocation.agentId} onChange={(e) => setAllocationField('agentId', e.target.value)}>
+                {agents.map(a => <MenuItem key={a._id} value={a._id}>{a.name}</MenuItem>)}
+              </Select>
+            </FormControl>
+            <ToggleButtonGroup exclusive size="small" value={allocation.kind} onChange={(_, value) => value && setAllocationField('kind', value)}>
+              <ToggleButton value="file">Whole bank file</ToggleButton>
+              <ToggleButton value="vehicle">Specific vehicles</ToggleButton>
+            </ToggleButtonGroup>
+            {allocation.kind === 'file' ? (
+              <Autocomplete
+                options={files}
+                value={allocation.file}
+                onChange={(_, value) => setAllocationField('file', value)}
+                getOptionLabel={(f) => `${f.fileName} · ${VEHICLE_TYPE_LABELS[f.vehicleType] || f.vehicleType}${f.bankName ? ` · ${f.bankName}` : ''} (${f.total})`}
+                isOptionEqualToValue={(a, b) => a.fileName === b.fileName && a.vehicleType === b.vehicleType}
+                renderInput={(params) => <TextField {...params} label="Bank file" />}
+              />
+            ) : (
+              <TextField
+                label="Registration or chassis numbers"
+                helperText="One per line or comma separated"
+                multiline
+                minRows={4}
+                value={allocation.identifiers}
+                onChange={(e) => setAllocationField('identifiers', e.target.value)}
+              />
+            )}
+            <TextField label="Note" value={allocation.note} onChange={(e) => setAllocationField('note', e.target.value)} />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAllocationDialog({ open: false, allocation: emptyAllocation })}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={saveAllocation}
+            disabled={saving || !allocation.agentId || (allocation.kind === 'file' ? !allocation.file : !allocation.identifiers.trim())}
+          >
+            {saving ? <CircularProgress size={20} /> : 'Allocate'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TerritoryManagement;
@@ -0,0 +1,466 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Button,
+  TextField,
+  Grid,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Link
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, UploadFile as UploadIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const emptyYard = { name: '', address: '', city: '', contactName: '', contactPhone: '', capacity: '', notes: '' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const YardManagement = () => {
+  const [yards, setYards] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [selectedYardId, setSelectedYardId] = useState('');
+  const [entryStatus, setEntryStatus] = useState('in_yard');
+  const [entries, setEntries] = useState([]);
+  const [entriesLoading, setEntriesLoading] = useState(false);
+  const [yardDialog, setYardDialog] = useState({ open: false, yard: emptyYard, id: null });
+  const [checkInDialog, setCheckInDialog] = useState({ open: false, query: '', results: [], vehicle: null, notes: '' });
+  const [checkOutDialog, setCheckOutDialog] = useState({ open: false, entry: null, outcome: 'Released', releasedTo: '', notes: '' });
+  const [saving, setSaving] = useState(false);
+
+  const selectedYard = yards.find(y => y._id === selectedYardId) || null;
+
+  const loadYards = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const res = await axios.get('/api/tenant/yards', { headers: authHeaders() });
+      const list = res?.data?.data || [];
+      setYards(list);
+      if (!selectedYardId && list.length > 0) setSelectedYardId(list[0]._id);
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load yards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadEntries = async () => {
+    if (!selectedYardId) {
+      setEntries([]);
+      return;
+    }
+    try {
+      setEntriesLoading(true);
+      const res = await axios.get(`/api/tenant/yards/${selectedYardId}/entries`, {
+        headers: authHeaders(),
+        params: { status: entryStatus }
+      });
+      setEntries(res?.data?.data || []);
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Failed to load yard vehicles');
+    } finally {
+      setEntriesLoading(false);
+    }
+  };
+
+  useEffect(() => { loadYards(); }, []);
+  useEffect(() => { loadEntries(); }, [selectedYardId, entryStatus]);
+
+  const refresh = () => {
+    loadYards();
+    loadEntries();
+  };
+
+  const runAction = async (action, message) => {
+    try {
+      setSaving(true);
+      setError('');
+      await action();
+      setSuccess(message);
+      refresh();
+      return true;
+    } catch (e) {
+      setError(e?.response?.data?.message || e.message || 'Request failed');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveYard = async () => {
+    const { id, yard } = yardDialog;
+    const payload = { ...yard, capacity: Number(yard.capacity) };
+    const ok = await runAction(
+      () => (id
+        ? axios.put(`/api/tenant/yards/${id}`, payload, { headers: authHeaders() })
+        : axios.post('/api/tenant/yards', payload, { headers: authHeaders() })),
+      id ? 'Yard updated' : 'Yard created'
+    );
+    if (ok) setYardDialog({ open: false, yard: emptyYard, id: null });
+  };
+
+  const toggleYardActive = (yard) => runAction(
+    () => (yard.isActive
+      ? axios.delete(`/api/tenant/yards/${yard._id}`, { headers: authHeaders() })
+      : axios.put(`/api/tenant/yards/${yard._id}`, { isActive: true }, { headers: authHeaders() })),
+    yard.isActive ? 'Yard deactivated' : 'Yard reactivated'
+  );
+
+  const searchVehicles = async () => {
+    const q = checkInDialog.query.trim();
+    if (!q) return;
+    try {
+      const res = await axios.get('/api/tenant/data/search', { headers: authHeaders(), params: { q, limit: 20 } });
+      setCheckInDialog(prev => ({ ...prev, results: res?.data?.data || [], vehicle: null }));
+    } catch (e) {
+      setError(e?.response?.data?.message || 'Search failed');
+    }
+  };
+
+  const checkIn = async () => {
+    const { vehicle, notes } = checkInDialog;
+    const ok = await runAction(
+      () => axios.post(`/api/tenant/yards/${selectedYardId}/check-in`, {
+        vehicleId: vehicle._id,
+        vehicleType: vehicle.vehicleType,
+        notes
+      }, { headers: authHeaders() }),
+      `${vehicle.regNo || vehicle.chassisNo} checked in`
+    );
+    if (ok) setCheckInDialog({ open: false, query: '', results: [], vehicle: null, notes: '' });
+  };
+
+  const uploadReleaseLetter = (entry, file) => {
+    if (!file) return;
+    const form = new FormData();
+    form.append('letter', file);
+    runAction(
+      () => axios.post(`/api/tenant/yards/entries/${entry._id}/release-letter`, form, { headers: authHeaders() }),
+      'Release letter uploaded'
+    );
+  };
+
+  const checkOut = async () => {
+    const { entry, outcome, releasedTo, notes } = checkOutDialog;
+    const ok = await runAction(
+      () => axios.post(`/api/tenant/yards/entries/${entry._id}/check-out`, { outcome, releasedTo, notes }, { headers: authHeaders() }),
+      `${entry.registrationNumber || 'Vehicle'} checked out`
+    );
+    if (ok) setCheckOutDialog({ open: false, entry: null, outcome: 'Released', releasedTo: '', notes: '' });
+  };
+
+  const setYardField = (key) => (e) => setYardDialog(prev => ({ ...prev, yard: { ...prev.yard, [key]: e.target.value } }));
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 'bold', flex: 1 }}>Yard Management</Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setYardDialog({ open: true, yard: emptyYard, id: null })}>
+          Add Yard
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      <Paper variant="outlined" sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Yard</TableCell>
+              <TableCell>Address</TableCell>
+              <TableCell>Contact</TableCell>
+              <TableCell sx={{ minWidth: 180 }}>Occupancy</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {yards.length === 0 && !loading && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">No yards yet. Add the yards your agency parks vehicles in.</TableCell>
+              </TableRow>
+            )}
+            {yards.map((yard) => (
+              <TableRow
+                key={yard._id}
+                hover
+                selected={yard._id === selectedYardId}
+                onClick={() => setSelectedYardId(yard._id)}
+                sx={{ cursor: 'pointer' }}
+              >
+                <TableCell>{yard.name}</TableCell>
+                <TableCell>{[yard.address, yard.city].filter(Boolean).join(', ') || '-'}</TableCell>
+                <TableCell>{[yard.contactName, yard.contactPhone].filter(Boolean).join(' · ') || '-'}</TableCell>
+                <TableCell>
+                  <Typography variant="body2">{yard.occupied}/{yard.capacity}</Typography>
+                  <LinearProgress
+                    variant="determinate"
+                    value={Math.min(100, yard.utilization)}
+                    color={yard.utilization >= 90 ? 'error' : yard.utilization >= 70 ? 'warning' : 'success'}
+                  />
+                </TableCell>
+                <TableCell>
+                  <Chip size="small" label={yard.isActive ? 'Active' : 'Inactive'} color={yard.isActive ? 'success' : 'default'} />
+                </TableCell>
+                <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                  <Button
+                    size="small"
+                    startIcon={<EditIcon />}
+                    onClick={() => setYardDialog({ open: true, id: yard._id, yard: { ...emptyYard, ...yard, capacity: String(yard.capacity) } })}
+                  >
+                    Edit
+                  </Button>
+                  <Button size="small" color={yard.isActive ? 'error' : 'primary'} disabled={saving} onClick={() => toggleYardActive(yard)}>
+                    {yard.isActive ? 'Deactivate' : 'Activate'}
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {selectedYard && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            <Typography variant="h6" sx={{ flex: 1 }}>{selectedYard.name}</Typography>
+            <ToggleButtonGroup size="small" exclusive value={entryStatus} onChange={(e, v) => v && setEntryStatus(v)}>
+              <ToggleButton value="in_yard">In Yard</ToggleButton>
+              <ToggleButton value="checked_out">Checked Out</ToggleButton>
+            </ToggleButtonGroup>
+            <Button
+              variant="contained"
+              disabled={!selectedYard.isActive || selectedYard.available === 0}
+              onClick={() => setCheckInDialog({ open: true, query: '', results: [], vehicle: null, notes: '' })}
+            >
+              Check In Vehicle
+            </Button>
+          </Box>
+
+          {entriesLoading ? (
+            <Box sx={{ textAlign: 'center', py: 3 }}><CircularProgress size={24} /></Box>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Reg No</TableCell>
+                  <TableCell>Bank</TableCell>
+                  <TableCell>Checked In</TableCell>
+                  {entryStatus === 'checked_out' && <TableCell>Checked Out</TableCell>}
+                  {entryStatus === 'checked_out' && <TableCell>Outcome</TableCell>}
+                  <TableCell>Release Letter</TableCell>
+                  {entryStatus === 'in_yard' && <TableCell align="right">Actions</TableCell>}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">No vehicles</TableCell>
+                  </TableRow>
+                )}
+                {entries.map((entry) => (
+                  <TableRow key={entry._id}>
+                    <TableCell>{entry.registrationNumber || entry.chassisNumber || '-'}</TableCell>
+                    <TableCell>{entry.bankName || '-'}</TableCell>
+                    <TableCell>
+                      {formatDate(entry.checkInAt)}
+                      <Typography variant="caption" display="block" color="text.secondary">{entry.checkedInBy?.name || ''}</Typography>
+                    </TableCell>
+                    {entryStatus === 'checked_out' && (
+                      <TableCell>
+                        {formatDate(entry.checkOutAt)}
+                        <Typography variant="caption" display="block" color="text.secondary">{entry.checkedOutBy?.name || ''}</Typography>
+                      </TableCell>
+                    )}
+                    {entryStatus === 'checked_out' && (
+                      <TableCell>
+                        <Chip size="small" label={entry.outcome} color={entry.outcome === 'Released' ? 'success' : 'default'} />
+                        {entry.releasedTo && <Typography variant="caption" display="block">To {entry.releasedTo}</Typography>}
+                      </TableCell>
+                    )}
+                    <TableCell>
+                      {entry.releaseLetter?.url ? (
+                        <Link href={entry.releaseLetter.url} target="_blank" rel="noopener noreferrer">
+                          {entry.releaseLetter.originalName || 'View letter'}
+                        </Link>
+                      ) : (
+                        <Chip size="small" variant="outlined" color="warning" label="Missing" />
+                      )}
+                    </TableCell>
+                    {entryStatus === 'in_yard' && (
+                      <TableCell align="right">
+                        <Button size="small" component="label" startIcon={<UploadIcon />} disabled={saving}>
+                          {entry.releaseLetter?.url ? 'Replace Letter' : 'Upload Letter'}
+                          <input
+                            hidden
+                            type="file"
+                            accept="application/pdf,image/png,image/jpeg"
+                            onChange={(e) => {
+                              uploadReleaseLetter(entry, e.target.files?.[0]);
+                              e.target.value = '';
+                            }}
+                          />
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          disabled={saving}
+                          onClick={() => setCheckOutDialog({ open: true, entry, outcome: 'Released', releasedTo: '', notes: '' })}
+                        >
+                          Check Out
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Paper>
+      )}
+
+      <Dialog open={yardDialog.open} onClose={() => setYardDialog({ open: false, yard: emptyYard, id: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>{yardDialog.id ? 'Edit Yard' : 'Add Yard'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} md={8}><TextField fullWidth required label="Name" value={yardDialog.yard.name} onChange={setYardField('name')} /></Grid>
+            <Grid item xs={12} md={4}><TextField fullWidth required type="number" label="Capacity" value={yardDialog.yard.capacity} onChange={setYardField('capacity')} inputProps={{ min: 1 }} /></Grid>
+            <Grid item xs={12} md={8}><TextField fullWidth label="Address" value={yardDialog.yard.address} onChange={setYardField('address')} /></Grid>
+            <Grid item xs={12} md={4}><TextField fullWidth label="City" value={yardDialog.yard.city} onChange={setYardField('city')} /></Grid>
+            <Grid item xs={12} md={6}><TextField fullWidth label="Contact Name" value={yardDialog.yard.contactName} onChange={setYardField('contactName')} /></Grid>
+            <Grid item xs={12} md={6}><TextField fullWidth label="Contact Phone" value={yardDialog.yard.contactPhone} onChange={setYardField('contactPhone')} /></Grid>
+            <Grid item xs={12}><TextField fullWidth multiline minRows={2} label="Notes" value={yardDialog.yard.notes} onChange={setYardField('notes')} /></Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setYardDialog({ open: false, yard: emptyYard, id: null })}>Cancel</Button>
+          <Button variant="contained" disabled={saving || !yardDialog.yard.name || !yardDialog.yard.capacity} onClick={saveYard}>Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={checkInDialog.open} onClose={() => setCheckInDialog(prev => ({ ...prev, open: false }))} maxWidth="sm" fullWidth>
+        <DialogTitle>Check In to {selectedYard?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Only vehicles on Hold can be checked in.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Registration / chassis number"
+              value={checkInDialog.query}
+              onChange={(e) => setCheckInDialog(prev => ({ ...prev, query: e.target.value }))}
+              onKeyDown={(e) => { if (e.key === 'Enter') searchVehicles(); }}
+            />
+            <Button variant="outlined" onClick={searchVehicles}>Search</Button>
+          </Box>
+          {checkInDialog.results.map((v) => (
+            <Box
+              key={v._id}
+              onClick={() => setCheckInDialog(prev => ({ ...prev, vehicle: v }))}
+              sx={{
+                p: 1,
+                mb: 0.5,
+                borderRadius: 1,
+                cursor: 'pointer',
+                border: '1px solid',
+                borderColor: checkInDialog.vehicle?._id === v._id ? 'primary.main' : '#e0e0e0'
+              }}
+            >
+              <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{v.regNo || v.chassisNo}</Typography>
+              <Typography variant="caption" color="text.secondary">{[v.bank, v.make, v.customerName].filter(Boolean).join(' · ')}</Typography>
+            </Box>
+          ))}
+          <TextField
+            fullWidth
+            size="small"
+            label="Notes"
+            sx={{ mt: 2 }}
+            value={checkInDialog.notes}
+            onChange={(e) => setCheckInDialog(prev => ({ ...prev, notes: e.target.value }))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCheckInDialog(prev => ({ ...prev, open: false }))}>Cancel</Button>
+          <Button variant="contained" disabled={saving || !checkInDialog.vehicle} onClick={checkIn}>Check In</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={checkOutDialog.open} onClose={() => setCheckOutDialog(prev => ({ ...prev, open: false }))} maxWidth="sm" fullWidth>
+        <DialogTitle>Check Out {checkOutDialog.entry?.registrationNumber}</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth size="small" sx={{ mt: 1, mb: 2 }}>
+            <InputLabel>Outcome</InputLabel>
+            <Select
+              label="Outcome"
+              value={checkOutDialog.outcome}
+              onChange={(e) => setCheckOutDialog(prev => ({ ...prev, outcome: e.target.value }))}
+            >
+              <MenuItem value="Released">Released</MenuItem>
+              <MenuItem value="Cancelled">Cancelled</MenuItem>
+            </Select>
+          </FormControl>
+          {checkOutDialog.outcome === 'Released' && !checkOutDialog.entry?.releaseLetter?.url && (
+            <Alert severity="warning" sx={{ mb: 2 }}>Upload the bank release letter before releasing this vehicle.</Alert>
+          )}
+          {checkOutDialog.outcome === 'Released' && (
+            <TextField
+              fullWidth
+              size="small"
+              required
+              label="Released to"
+              sx={{ mb: 2 }}
+              value={checkOutDialog.releasedTo}
+              onChange={(e) => setCheckOutDialog(prev => ({ ...prev, releasedTo: e.target.value }))}
+            />
+          )}
+          <TextField
+            fullWidth
+            size="small"
+            label="Notes"
+            value={checkOutDialog.notes}
+            onChange={(e) => setCheckOutDialog(prev => ({ ...prev, notes: e.target.value }))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCheckOutDialog(prev => ({ ...prev, open: false }))}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={saving || (checkOutDialog.outcome === 'Released' && (!checkOutDialog.entry?.releaseLetter?.url || !checkOutDialog.releasedTo.trim()))}
+            onClick={checkOut}
+          >
+            Check Out
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default YardManagement;
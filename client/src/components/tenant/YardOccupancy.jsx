@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  LinearProgress,
+  Chip,
+  Alert,
+  Button
+} from '@mui/material';
+import { LocalParking as ParkingIcon } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+const REFRESH_MS = 30000;
+
+const utilizationColor = (pct) => (pct >= 90 ? 'error' : pct >= 70 ? 'warning' : 'success');
+
+// Live yard occupancy card for the tenant dashboard, refreshed every 30 seconds
+const YardOccupancy = () => {
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const res = await axios.get('/api/tenant/yards/occupancy', { headers: { Authorization: `Bearer ${token}` } });
+        if (!cancelled) {
+          setData(res?.data?.data || null);
+          setError('');
+        }
+      } catch (e) {
+        if (!cancelled) setError(e?.response?.data?.message || 'Failed to load yard occupancy');
+      }
+    };
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  if (error) return <Alert severity="warning" sx={{ mt: 3 }}>{error}</Alert>;
+  if (!data) return null;
+
+  const { totals, yards } = data;
+
+  return (
+    <Card sx={{ mt: 3, borderRadius: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2, gap: 1 }}>
+          <ParkingIcon color="primary" />
+          <Typography variant="h6" sx={{ fontWeight: 'bold', flex: 1 }}>Yard Occupancy</Typography>
+          <Chip size="small" label={`${totals.occupied}/${totals.capacity} parked`} color={utilizationColor(totals.utilization)} />
+          {totals.awaitingLetter > 0 && (
+            <Chip size="small" variant="outlined" color="warning" label={`${totals.awaitingLetter} awaiting release letter`} />
+          )}
+          <Button size="small" onClick={() => navigate('/app/tenant/yards')}>Manage</Button>
+        </Box>
+        {yards.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No yards set up yet</Typography>
+        ) : (
+          <Grid container spacing={2}>
+            {yards.map((yard) => (
+              <Grid key={yard._id} item xs={12} sm={6} md={4}>
+                <Box sx={{ p: 1.5, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                    <Typography variant="subtitle2" noWrap>{yard.name}</Typography>
+                    <Typography variant="body2" color="text.secondary">{yard.occupied}/{yard.capacity}</Typography>
+                  </Box>
+                  <LinearProgress
+                    variant="determinate"
+                    value={Math.min(100, yard.utilization)}
+                    color={utilizationColor(yard.utilization)}
+                    sx={{ height: 8, borderRadius: 4 }}
+                  />
+                  <Typography variant="caption" color="text.secondary">
+                    {yard.available} space{yard.available === 1 ? '' : 's'} free
+                  </Typography>
+                </Box>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default YardOccupancy;
@@ -36,9 +36,11 @@ import {
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { useAuth } from '../../../contexts/AuthContext';
 
 const FourWheelerData = () => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
   const [search, setSearch] = useState('');
@@ -371,9 +373,11 @@ const FourWheelerData = () => {
                           >
                             <ViewIcon />
                           </IconButton>
-                          <IconButton size="small" color="error" title="Delete" onClick={() => handleDeleteUpload(row)}>
-                            <DeleteIcon />
-                          </IconButton>
+                          {hasPermission('delete_files') && (
+                            <IconButton size="small" color="error" title="Delete" onClick={() => handleDeleteUpload(row)}>
+                              <DeleteIcon />
+                            </IconButton>
+                          )}
                         </TableCell>
                       </TableRow>
                     ))
@@ -37,9 +37,11 @@ import {
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { useAuth } from '../../../contexts/AuthContext';
 
 const TwoWheelerData = () => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
   const [search, setSearch] = useState('');
@@ -443,14 +445,16 @@ const TwoWheelerData = () => {
                           >
                             <ViewIcon />
                           </IconButton>
-                          <IconButton 
-                            size="small" 
-                            color="error" 
-                            title="Delete"
-                            onClick={() => handleDelete(row)}
-                          >
-                            <DeleteIcon />
-                          </IconButton>
+                          {hasPermission('delete_files') && (
+                            <IconButton 
+                              size="small" 
+                              color="error" 
+                              title="Delete"
+                              onClick={() => handleDelete(row)}
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          )}
                         </TableCell>
                       </TableRow>
                     ))
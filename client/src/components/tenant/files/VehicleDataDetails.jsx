@@ -38,9 +38,11 @@ import {
 } from '@mui/icons-material';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import axios from 'axios';
+import { useAuth } from '../../../contexts/AuthContext';
 
 const VehicleDataDetails = () => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
   const location = useLocation();
   const { uploadId: routeUploadId } = useParams();
   const fallbackUploadId = React.useMemo(() => {
@@ -67,6 +69,12 @@ const VehicleDataDetails = () => {
   const [detailLoading, setDetailLoading] = useState(false);
   const [detailError, setDetailError] = useState('');
   const [vehicleDetail, setVehicleDetail] = useState(null);
+  const [statusHistory, setStatusHistory] = useState([]);
+  const [statusNote, setStatusNote] = useState('');
+  const [statusUpdating, setStatusUpdating] = useState(false);
+  const [seizureReports, setSeizureReports] = useState([]);
+  const [yards, setYards] = useState([]);
+  const [checkInYardId, setCheckInYardId] = useState('');
 
   // UI helpers
   const StatusColor = (status) => {
@@ -74,6 +82,7 @@ const VehicleDataDetails = () => {
     if (s === 'released' || s === 'ok') return 'success';
     if (s === 'in yard' || s === 'inyard') return 'secondary';
     if (s === 'hold') return 'warning';
+    if (s === 'confirmed') return 'info';
     if (s === 'cancelled' || s === 'canceled') return 'error';
     return 'warning';
   };
@@ -171,9 +180,106 @@ const VehicleDataDetails = () => {
     }
   };
 
+  const fetchStatusHistory = async (vehicleId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`/api/tenant/data/vehicle/${vehicleId}/history`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setStatusHistory(res?.data?.success ? (res.data.data || []) : []);
+    } catch (e) {
+      console.error('Vehicle history fetch error:', e);
+      setStatusHistory([]);
+    }
+  };
+
+  const fetchSeizureReports = async (vehicleId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get(`/api/tenant/seizure-reports/vehicle/${vehicleId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSeizureReports(res?.data?.success ? (res.data.data || []) : []);
+    } catch (e) {
+      console.error('Seizure reports fetch error:', e);
+      setSeizureReports([]);
+    }
+  };
+
+  const fetchYards = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await axios.get('/api/tenant/yards?active=true', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setYards(res?.data?.success ? (res.data.data || []) : []);
+    } catch (e) {
+      console.error('Yards fetch error:', e);
+      setYards([]);
+    }
+  };
+
+  // Moving to In Yard goes through a yard check-in so occupancy stays accurate
+  const handleCheckIn = async () => {
+    if (!vehicleDetail?._id || !checkInYardId) return;
+    try {
+      setStatusUpdating(true);
+      const token = localStorage.getItem('token');
+      const res = await axios.post(`/api/tenant/yards/${checkInYardId}/check-in`, {
+        vehicleId: vehicleDetail._id,
+        vehicleType: vehicleDetail.vehicleType,
+        notes: statusNote
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const entry = res?.data?.data || {};
+      const yard = yards.find(y => y._id === checkInYardId);
+      setVehicleDetail({ ...vehicleDetail, status: 'In Yard', yardName: entry.yardName, yardLocation: yard?.address || '', allowedTransitions: [] });
+      setData(prev => prev.map(v => v._id === vehicleDetail._id ? { ...v, status: 'In Yard' } : v));
+      setStatusNote('');
+      setCheckInYardId('');
+      fetchStatusHistory(vehicleDetail._id);
+    } catch (e) {
+      alert(e?.response?.data?.message || 'Failed to check in vehicle');
+    } finally {
+      setStatusUpdating(false);
+    }
+  };
+
+  const handleChangeStatus = async (status) => {
+    if (!vehicleDetail?._id) return;
+    try {
+      setStatusUpdating(true);
+      const token = localStorage.getItem('token');
+      const res = await axios.put(`/api/tenant/data/vehicle/${vehicleDetail._id}/status`, {
+        status,
+        note: statusNote,
+        vehicleType: vehicleDetail.vehicleType
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const updated = res?.data?.data || {};
+      setVehicleDetail({ ...vehicleDetail, status: updated.status || status, allowedTransitions: updated.allowedTransitions || [] });
+      setData(prev => prev.map(v => v._id === vehicleDetail._id ? { ...v, status: updated.status || status } : v));
+      setStatusNote('');
+      fetchStatusHistory(vehicleDetail._id);
+    } catch (e) {
+      alert(e?.response?.data?.message || 'Failed to update status');
+    } finally {
+      setStatusUpdating(false);
+    }
+  };
+
+  // Vehicles in a yard leave it through the yard check-out, not the status buttons
+  const getStatusActions = (detail) => (detail?.status === 'In Yard' ? [] : (detail?.allowedTransitions || []));
+
   const handleOpenDetail = async (vehicle) => {
     setDetailError('');
     setDetailOpen(true);
+    setStatusHistory([]);
+    setStatusNote('');
+    setSeizureReports([]);
+    setCheckInYardId('');
     const vehicleId = vehicle?._id;
     if (!vehicleId) {
       setVehicleDetail(vehicle || null);
@@ -186,7 +292,11 @@ const VehicleDataDetails = () => {
         headers: { Authorization: `Bearer ${token}` }
       });
       if (res?.data?.success) {
-        setVehicleDetail(res.data.data || vehicle);
+        const detail = res.data.data || vehicle;
+        setVehicleDetail(detail);
+        fetchStatusHistory(vehicleId);
+        fetchSeizureReports(vehicleId);
+        if ((detail?.allowedTransitions || []).includes('In Yard')) fetchYards();
       } else {
         setVehicleDetail(vehicle || null);
         setDetailError(res?.data?.message || 'Failed to load details');
@@ -477,14 +587,16 @@ const VehicleDataDetails = () => {
                           >
                             <BackIcon style={{ transform: 'rotate(180deg)' }} />
                           </IconButton>
-                          <IconButton 
-                            size="small" 
-                            color="error" 
-                            title="Delete"
-                            onClick={(e) => { e.stopPropagation(); handleDelete(vehicle._id); }}
-                          >
-                            <DeleteIcon />
-                          </IconButton>
+                          {hasPermission('delete_files') && (
+                            <IconButton 
+                              size="small" 
+                              color="error" 
+                              title="Delete"
+                              onClick={(e) => { e.stopPropagation(); handleDelete(vehicle._id); }}
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          )}
                         </TableCell>
                       </TableRow>
                     ))
@@ -587,6 +699,88 @@ const VehicleDataDetails = () => {
                 </Grid>
               )}
 
+              <Grid item xs={12}>
+                <Paper variant="outlined" sx={{ p: 1.5 }}>
+                  <Typography variant="subtitle2" gutterBottom>Status History</Typography>
+                  {statusHistory.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary">No status changes recorded</Typography>
+                  ) : (
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>When</TableCell>
+                          <TableCell>Change</TableCell>
+                          <TableCell>By</TableCell>
+                          <TableCell>Note</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {statusHistory.map((h) => (
+                          <TableRow key={h._id}>
+                            <TableCell>{h.createdAt ? new Date(h.createdAt).toLocaleString() : 'N/A'}</TableCell>
+                            <TableCell>
+                              <Chip label={h.fromStatus || 'Pending'} color={StatusColor(h.fromStatus)} size="small" variant="outlined" />
+                              {' → '}
+                              <Chip label={h.toStatus} color={StatusColor(h.toStatus)} size="small" />
+                            </TableCell>
+                            <TableCell>{h.actorName || String(h.actorType || '').replace('_', ' ') || 'N/A'}</TableCell>
+                            <TableCell>{h.note || '-'}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+                </Paper>
+              </Grid>
+
+              {seizureReports.map((report) => (
+                <Grid key={report._id} item xs={12}>
+                  <Paper variant="outlined" sx={{ p: 1.5 }}>
+                    <Typography variant="subtitle2" gutterBottom>
+                      Seizure Report · {report.createdAt ? new Date(report.createdAt).toLocaleString() : ''}
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+                      {(report.photos || []).map((photo) => (
+                        <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                          <img src={photo.url} alt="Seizure" style={{ width: 120, height: 90, objectFit: 'cover', borderRadius: 4 }} />
+                        </a>
+                      ))}
+                    </Box>
+                    <Grid container>
+                      <Grid item xs={12} md={4}>
+                        <FieldRow
+                          label="Location"
+                          value={report.location?.latitude !== undefined ? (
+                            <Link href={`https://www.google.com/maps?q=${report.location.latitude},${report.location.longitude}`} target="_blank" rel="noopener noreferrer">
+                              {Number(report.location.latitude).toFixed(5)}, {Number(report.location.longitude).toFixed(5)}
+                            </Link>
+                          ) : 'N/A'}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={4}><FieldRow label="Odometer" value={report.odometerReading !== undefined && report.odometerReading !== null ? `${report.odometerReading} km` : 'N/A'} /></Grid>
+                      <Grid item xs={12} md={4}><FieldRow label="Reported By" value={report.reportedBy?.name || String(report.reportedBy?.actorType || '').replace('_', ' ') || 'N/A'} /></Grid>
+                      <Grid item xs={12} md={4}><FieldRow label="Yard" value={[report.yardHandover?.yardName, report.yardHandover?.yardLocation].filter(Boolean).join(', ') || 'N/A'} /></Grid>
+                      <Grid item xs={12} md={4}><FieldRow label="Received By" value={[report.yardHandover?.receivedBy, report.yardHandover?.receivedByPhone].filter(Boolean).join(' · ') || 'N/A'} /></Grid>
+                      <Grid item xs={12} md={4}><FieldRow label="Inventory" value={(report.inventory || []).map(i => i.quantity > 1 ? `${i.item} ×${i.quantity}` : i.item).join(', ') || 'None'} /></Grid>
+                    </Grid>
+                    {(report.condition || []).length > 0 && (
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                        {report.condition.map((c) => (
+                          <Chip
+                            key={c.item}
+                            size="small"
+                            label={`${c.item}: ${c.status}`}
+                            color={c.status === 'ok' ? 'success' : c.status === 'damaged' ? 'warning' : 'error'}
+                            variant="outlined"
+                          />
+                        ))}
+                      </Box>
+                    )}
+                    {report.notes && <Typography variant="body2" sx={{ mt: 1 }}>{report.notes}</Typography>}
+                  </Paper>
+                </Grid>
+              ))}
+
               {vehicleDetail?.raw && (
                 <Grid item xs={12}>
                   <Paper variant="outlined" sx={{ p: 1.5 }}>
@@ -611,21 +805,54 @@ const VehicleDataDetails = () => {
         <DialogActions>
           {!!vehicleDetail && (
             <Box sx={{ display: 'flex', gap: 1, px: 2, py: 1, width: '100%' }}>
-              <Button color="inherit" variant="contained" onClick={async ()=>{
-                try { const token = localStorage.getItem('token'); await axios.put(`/api/tenant/data/vehicle/${vehicleDetail._id}/status`, { status: 'Pending' }, { headers: { Authorization: `Bearer ${token}` } }); setVehicleDetail({ ...vehicleDetail, status: 'Pending' }); } catch(e){ alert(e?.response?.data?.message || 'Failed to update status'); }
-              }}>Pending</Button>
-              <Button color="warning" variant="contained" onClick={async ()=>{
-                try { const token = localStorage.getItem('token'); await axios.put(`/api/tenant/data/vehicle/${vehicleDetail._id}/status`, { status: 'Hold' }, { headers: { Authorization: `Bearer ${token}` } }); setVehicleDetail({ ...vehicleDetail, status: 'Hold' }); } catch(e){ alert(e?.response?.data?.message || 'Failed to update status'); }
-              }}>Hold</Button>
-              <Button color="secondary" variant="contained" onClick={async ()=>{
-                try { const token = localStorage.getItem('token'); await axios.put(`/api/tenant/data/vehicle/${vehicleDetail._id}/status`, { status: 'In Yard' }, { headers: { Authorization: `Bearer ${token}` } }); setVehicleDetail({ ...vehicleDetail, status: 'In Yard' }); } catch(e){ alert(e?.response?.data?.message || 'Failed to update status'); }
-              }}>In Yard</Button>
-              <Button color="success" variant="contained" onClick={async ()=>{
-                try { const token = localStorage.getItem('token'); await axios.put(`/api/tenant/data/vehicle/${vehicleDetail._id}/status`, { status: 'Released' }, { headers: { Authorization: `Bearer ${token}` } }); setVehicleDetail({ ...vehicleDetail, status: 'Released' }); } catch(e){ alert(e?.response?.data?.message || 'Failed to update status'); }
-              }}>Release</Button>
-              <Button color="error" variant="contained" onClick={async ()=>{
-                try { const token = localStorage.getItem('token'); await axios.put(`/api/tenant/data/vehicle/${vehicleDetail._id}/status`, { status: 'Cancelled' }, { headers: { Authorization: `Bearer ${token}` } }); setVehicleDetail({ ...vehicleDetail, status: 'Cancelled' }); } catch(e){ alert(e?.response?.data?.message || 'Failed to update status'); }
-              }}>Cancel</Button>
+              {vehicleDetail.status === 'In Yard' && (
+                <Typography variant="body2" color="text.secondary" sx={{ alignSelf: 'center' }}>
+                  Release or cancel this vehicle from{' '}
+                  <Link component="button" onClick={() => navigate('/app/tenant/yards')}>Yard Management</Link>
+                </Typography>
+              )}
+              {getStatusActions(vehicleDetail).length > 0 && (
+                <TextField
+                  size="small"
+                  label="Note"
+                  value={statusNote}
+                  onChange={(e) => setStatusNote(e.target.value)}
+                  sx={{ minWidth: 220 }}
+                />
+              )}
+              {getStatusActions(vehicleDetail).includes('In Yard') && (
+                <>
+                  <FormControl size="small" sx={{ minWidth: 180 }}>
+                    <InputLabel>Yard</InputLabel>
+                    <Select label="Yard" value={checkInYardId} onChange={(e) => setCheckInYardId(e.target.value)}>
+                      {yards.map((y) => (
+                        <MenuItem key={y._id} value={y._id} disabled={y.available === 0}>
+                          {y.name} ({y.occupied}/{y.capacity})
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <Button
+                    color={StatusColor('In Yard')}
+                    variant="contained"
+                    disabled={statusUpdating || !checkInYardId}
+                    onClick={handleCheckIn}
+                  >
+                    Check In to Yard
+                  </Button>
+                </>
+              )}
+              {getStatusActions(vehicleDetail).filter(status => status !== 'In Yard').map((status) => (
+                <Button
+                  key={status}
+                  color={StatusColor(status)}
+                  variant="contained"
+                  disabled={statusUpdating}
+                  onClick={() => handleChangeStatus(status)}
+                >
+                  {status}
+                </Button>
+              ))}
               <Box sx={{ flex: 1 }} />
               <Button onClick={() => setDetailOpen(false)}>Close</Button>
             </Box>
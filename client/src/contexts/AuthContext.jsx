@@ -5,6 +5,25 @@ import { toast } from 'react-toastify';
 // Create context
 const AuthContext = createContext();
 
+// Refresh in flight; parallel 401s wait for it because a refresh token works only once
+let refreshPromise = null;
+
+// Swap the stored refresh token for a new access token (null when there is none)
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+      const res = await axios.post('/api/unified-auth/refresh', { refreshToken });
+      localStorage.setItem('refreshToken', res.data.data.refreshToken);
+      return res.data.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Initial state
 const initialState = {
   user: null,
@@ -22,7 +41,8 @@ const AUTH_ACTIONS = {
   USER_LOADED: 'USER_LOADED',
   AUTH_ERROR: 'AUTH_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
-  SET_LOADING: 'SET_LOADING'
+  SET_LOADING: 'SET_LOADING',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED'
 };
 
 // Reducer
@@ -30,6 +50,11 @@ const authReducer = (state, action) => {
   switch (action.type) {
     case AUTH_ACTIONS.LOGIN_SUCCESS:
       localStorage.setItem('token', action.payload.token);
+      if (action.payload.refreshToken) {
+        localStorage.setItem('refreshToken', action.payload.refreshToken);
+      } else {
+        localStorage.removeItem('refreshToken');
+      }
       return {
         ...state,
         token: action.payload.token,
@@ -52,6 +77,7 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.AUTH_ERROR:
     case AUTH_ACTIONS.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         token: null,
@@ -61,6 +87,13 @@ const authReducer = (state, action) => {
         error: action.payload
       };
     
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      localStorage.setItem('token', action.payload);
+      return {
+        ...state,
+        token: action.payload
+      };
+    
     case AUTH_ACTIONS.CLEAR_ERROR:
       return {
         ...state,
@@ -110,14 +143,16 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
-  // Unified Login user (works for all user types)
-  const login = async (identifier, password) => {
+  // Unified Login user (works for all user types).
+  // choice: { tenantId, userType } picked when the same login exists in several agencies
+  const login = async (identifier, password, choice = null) => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
       
 const res = await axios.post('/api/unified-auth/login', { 
         identifier, 
-        password 
+        password,
+        ...(choice ? { tenantId: choice.tenantId, userType: choice.userType } : {})
       });
       
       dispatch({
@@ -133,6 +168,10 @@ const res = await axios.post('/api/unified-auth/login', {
       };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
+      if (error.response?.data?.code === 'TENANT_SELECTION_REQUIRED') {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: false, message, tenants: error.response.data.data?.tenants || [] };
+      }
       dispatch({ type: AUTH_ACTIONS.LOGIN_FAIL, payload: message });
       toast.error(message);
       return { success: false, message };
@@ -187,7 +226,7 @@ const res = await axios.post('/api/unified-auth/login', {
   const logout = async () => {
     try {
       if (state.token) {
-        await axios.post('/api/auth/logout');
+        await axios.post('/api/unified-auth/logout');
       }
     } catch (error) {
       console.error('Logout error:', error);
@@ -244,6 +283,37 @@ const res = await axios.post('/api/unified-auth/login', {
     setAuthToken(state.token);
   }, [state.token]);
 
+  // Renew an expired access token with the refresh token and replay the request once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || response.data?.code !== 'TOKEN_EXPIRED'
+          || !config || config._retried || config.url?.includes('/unified-auth/refresh')) {
+          return Promise.reject(error);
+        }
+        try {
+          const token = await refreshAccessToken();
+          if (!token) return Promise.reject(error);
+          setAuthToken(token);
+          dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: token });
+          return axios({ ...config, _retried: true, headers: { ...config.headers, Authorization: `Bearer ${token}` } });
+        } catch (refreshError) {
+          if (refreshError.response?.status === 401) {
+            dispatch({ type: AUTH_ACTIONS.LOGOUT, payload: refreshError.response.data?.message });
+            toast.info('Your session has expired. Please login again.');
+          }
+          return Promise.reject(error);
+        }
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Named permissions from the server (see server/utils/permissions); admins hold all of them
+  const hasPermission = (permission) => Boolean(state.user?.permissions?.includes(permission));
+
   const value = {
     user: state.user,
     token: state.token,
@@ -256,7 +326,8 @@ const res = await axios.post('/api/unified-auth/login', {
     logout,
     updateProfile,
     changePassword,
-    clearError
+    clearError,
+    hasPermission
   };
 
   return (
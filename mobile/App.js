@@ -1,7 +1,7 @@
 import { StatusBar } from 'expo-status-bar';
 import * as SplashScreen from 'expo-splash-screen';
 import React, { useEffect, useRef, useState } from 'react';
-import { AppState } from 'react-native';
+import { AppState, Linking } from 'react-native';
 import axios from 'axios';
 import { getBaseURL } from './utils/config';
 import { NavigationContainer } from '@react-navigation/native';
@@ -35,6 +35,7 @@ import TwoWheelerDataScreen from './screens/TwoWheelerDataScreen';
 import FourWheelerDataScreen from './screens/FourWheelerDataScreen';
 import CVDataScreen from './screens/CVDataScreen';
 import VehicleDataDetailsScreen from './screens/VehicleDataDetailsScreen';
+import SeizureReportScreen from './screens/SeizureReportScreen';
 import PaymentSettingsScreen from './screens/PaymentSettingsScreen';
 import PaymentApprovalsScreen from './screens/PaymentApprovalsScreen';
 import SubscriptionsScreen from './screens/SubscriptionsScreen';
@@ -45,7 +46,7 @@ import FastSplashScreen from './components/FastSplashScreen';
 import ErrorBoundary from './components/ErrorBoundary';
 import versionManager from './utils/versionManager';
 import { startSmartBackgroundSync } from './utils/smartBackgroundSync';
-import { initializeNotifications, setupNotificationListeners, unregisterDeviceToken, clearBadge } from './utils/notificationService';
+import { initializeNotifications, setupNotificationListeners, unregisterDeviceToken, clearBadge, acknowledgeMatchAlert } from './utils/notificationService';
 
 const Stack = createNativeStackNavigator();
 
@@ -288,9 +289,9 @@ export default function App() {
             const cleanup = setupNotificationListeners((notification, isResponse = false) => {
               console.log('📲 Notification received:', notification);
               
-              // Handle file upload notifications
+              // Handle file upload and data expiry notifications (both mean offline data changed)
               const data = notification.request?.content?.data || notification.data || {};
-              if (data.type === 'file_upload') {
+              if (data.type === 'file_upload' || data.type === 'data_expiry') {
                 // Clear badge when notification is received
                 clearBadge();
                 
@@ -301,6 +302,23 @@ export default function App() {
                   }, 500);
                 }
               }
+
+              // Renewal reminders and lapsed-subscription notices open the payment screen
+              if (data.type === 'subscription' && isResponse) {
+                clearBadge();
+                setTimeout(() => {
+                  navigationRef.current?.navigate('Payment');
+                }, 500);
+              }
+
+              // Tapping a vehicle match alert acknowledges it and opens the agent's location
+              if (data.type === 'vehicle_match' && isResponse) {
+                clearBadge();
+                acknowledgeMatchAlert(data.notificationId);
+                if (data.mapUrl) {
+                  Linking.openURL(data.mapUrl).catch(() => {});
+                }
+              }
             });
             
             notificationCleanupRef.current = cleanup;
@@ -418,6 +436,7 @@ export default function App() {
           <Stack.Screen name="Dashboard" component={DashboardScreen} options={{ headerShown: false }} />
           {/* Common screens for all authenticated users */}
           <Stack.Screen name="SearchResults" component={SearchResultsScreen} options={{ headerShown: false }} />
+          <Stack.Screen name="SeizureReport" component={SeizureReportScreen} options={{ headerShown: false }} />
           <Stack.Screen name="Profile" component={ProfileScreen} options={{ headerShown: false }} />
           <Stack.Screen name="IDCard" component={IDCardScreen} options={{ headerShown: false }} />
           <Stack.Screen name="Sync" component={SyncScreen} options={{ headerShown: false }} />
@@ -5,6 +5,7 @@ import { View, Text, TouchableOpacity, ActivityIndicator, Alert, ScrollView } fr
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { initDatabase, countVehicles } from '../utils/db';
 import { smartSync, getPerFileSyncStatus } from '../utils/fileSync';
+import { syncSnapshot } from '../utils/snapshotSync';
 import { getBaseURL, setBaseURLOverride } from '../utils/config';
 import NetInfo from '@react-native-community/netinfo';
 import axios from 'axios';
@@ -134,11 +135,16 @@ export default function BulkOfflineDownloadScreen() {
     setStatusText('Starting sync...');
 
     try {
-      const syncResult = await smartSync((p) => {
+      const onProgress = (p) => {
         if (!isMountedRef.current) return;
         setProgressPct(p.progress);
         setStatusText(p.status);
-      });
+      };
+      // Prefer versioned snapshots (small deltas); fall back to per-file sync where the server has none
+      let syncResult = await syncSnapshot(onProgress);
+      if (syncResult.mode === 'unavailable' || syncResult.mode === 'unsupported') {
+        syncResult = await smartSync(onProgress);
+      }
 
       // Wait a bit to ensure all transactions are committed
       await new Promise(resolve => setTimeout(resolve, 500));
@@ -591,12 +591,13 @@ class SQLiteOfflineDB {
 }
 
 // Background sync disabled
-import { countVehicles, searchByRegSuffix, searchByChassis, searchByRegSuffixPartial, searchByRegNoSuffixLike, initDatabase, bulkInsertVehicles, rebuildSearchIndex, clearVehicles } from '../utils/db';
+import { countVehicles, searchByRegSuffix, searchByChassis, searchByRegSuffixPartial, searchByRegNoSuffixLike, initDatabase, bulkInsertVehicles, rebuildSearchIndex, clearVehicles, replaceMyAllocations } from '../utils/db';
 import { simpleSync, markSyncCompleted } from '../utils/simpleSync';
 import { smartSync, getIncrementalSyncStatus } from '../utils/incrementalSync';
 import { singleBatchSync } from '../utils/hybridSync';
 import { getCachedAgent, getCachedSettings, preloadCriticalData } from '../utils/fastInit';
 import { logError } from '../utils/errorHandler';
+import { endServerSession } from '../utils/deviceSession';
 
 // Main Dashboard Component
 export default function DashboardScreen({ navigation }) {
@@ -656,6 +657,7 @@ export default function DashboardScreen({ navigation }) {
   const [showUpdateModal, setShowUpdateModal] = useState(false);
   const [availableUpdateInfo, setAvailableUpdateInfo] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [myScope, setMyScope] = useState(null);
   
   // Use shared utils/db for offline store used by sync
 
@@ -726,6 +728,24 @@ export default function DashboardScreen({ navigation }) {
     }
   };
 
+  // Territories and allocations of this agent; allocated vehicles are ranked first in offline search
+  const loadMyScope = async () => {
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      if (!token) return;
+      const res = await axios.get(`${getBaseURL()}/api/tenant/territories/mine`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 15000
+      });
+      const data = res?.data?.data || null;
+      setMyScope(data);
+      if (data) await replaceMyAllocations(data.vehicleIds || []);
+    } catch (error) {
+      // Keep the last known allocations while offline
+      console.log('📍 Could not load territory:', error?.message || error);
+    }
+  };
+
   useEffect(() => {
     (async () => {
       try {
@@ -803,6 +823,8 @@ export default function DashboardScreen({ navigation }) {
               logError(error, 'DashboardScreen.subscriptionCheck', 'Failed to check subscription status');
             }
             
+            await loadMyScope();
+
             // Check for new records on app startup
             await checkForNewRecords();
           } catch (error) {
@@ -832,7 +854,9 @@ export default function DashboardScreen({ navigation }) {
   }, []);
 
   const logout = async () => {
+    await endServerSession();
     await SecureStore.deleteItemAsync('token');
+    await SecureStore.deleteItemAsync('refreshToken');
     await SecureStore.deleteItemAsync('agent');
     navigation.replace('Login');
   };
@@ -1311,6 +1335,8 @@ export default function DashboardScreen({ navigation }) {
         console.error('Error refreshing agent data:', error);
       }
       
+      await loadMyScope();
+
       // Check for new records
       await checkForNewRecords();
       
@@ -1483,6 +1509,22 @@ export default function DashboardScreen({ navigation }) {
           </View>
         </Animated.View>
 
+        {/* Territory card - only when the agency limits or ranks what agents see */}
+        {myScope && myScope.mode !== 'all' && (
+          <Animated.View style={[styles.territoryCard, { backgroundColor: theme.cardBg, borderColor: theme.cardBorder, opacity: contentFade, transform: [{ translateY: contentSlide }] }]}>
+            <View style={[styles.statIconBox, { backgroundColor: isDark ? 'rgba(16,185,129,0.2)' : 'rgba(16,185,129,0.1)' }]}><MaterialCommunityIcons name="map-marker-radius" size={20} color="#10B981" /></View>
+            <View style={{ flex: 1, marginLeft: 12 }}>
+              <Text style={[styles.statLabel, { color: theme.statLabel }]}>{myScope.modeLabel}</Text>
+              <Text style={[styles.territoryNames, { color: theme.textPrimary }]} numberOfLines={2}>
+                {(myScope.territories || []).length ? myScope.territories.map(t => t.name).join(', ') : 'No territory assigned'}
+              </Text>
+              <Text style={[styles.statLabel, { color: theme.textSecondary, marginBottom: 0 }]}>
+                {myScope.allocationCount || 0} allocation{myScope.allocationCount === 1 ? '' : 's'}
+              </Text>
+            </View>
+          </Animated.View>
+        )}
+
         {/* Sync Progress Card - Show only when sync is in progress */}
         {syncProgress.currentBatch > 0 && (
           <Animated.View style={[styles.syncProgressCard, { opacity: contentFade, transform: [{ translateY: contentSlide }] }]}>
@@ -1703,6 +1745,8 @@ const styles = StyleSheet.create({
   statCard: { flex: 1, backgroundColor: 'rgba(255,255,255,0.08)', borderRadius: 16, padding: 16, borderWidth: 1, borderColor: 'rgba(255,255,255,0.15)', flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
   statLabel: { color: 'rgba(255,255,255,0.8)', fontSize: 12, marginBottom: 4 },
   statValue: { color: '#fff', fontSize: 20, fontWeight: '900' },
+  territoryCard: { flexDirection: 'row', alignItems: 'center', borderRadius: 16, padding: 16, borderWidth: 1, marginBottom: 12 },
+  territoryNames: { fontSize: 15, fontWeight: '700', marginBottom: 2 },
   statIconBox: { width: 44, height: 44, borderRadius: 12, backgroundColor: 'rgba(59,130,246,0.2)', alignItems: 'center', justifyContent: 'center' },
   infoCard: { 
     backgroundColor: '#fff', 
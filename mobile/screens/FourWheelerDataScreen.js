@@ -19,6 +19,7 @@ import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import { logError, getErrorMessage } from '../utils/errorHandler';
+import { PERMISSIONS, hasPermission, refreshUserPermissions } from '../utils/permissions';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 
@@ -27,6 +28,7 @@ export default function FourWheelerDataScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [canDelete, setCanDelete] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [page, setPage] = useState(1);
   const [hasMore, setHasMore] = useState(true);
@@ -106,6 +108,11 @@ export default function FourWheelerDataScreen({ navigation }) {
     return () => clearTimeout(timer);
   }, [fetchUploads]);
 
+  // Delete is only offered to users holding the delete files permission
+  useEffect(() => {
+    refreshUserPermissions().then(user => setCanDelete(hasPermission(user, PERMISSIONS.DELETE_FILES)));
+  }, []);
+
   const handleDeleteUpload = useCallback(async (uploadId) => {
     Alert.alert(
       'Confirm Delete',
@@ -241,13 +248,15 @@ export default function FourWheelerDataScreen({ navigation }) {
           <Ionicons name="eye" size={16} color="#4F46E5" />
           <Text style={styles.actionText}>View</Text>
         </TouchableOpacity>
-        <TouchableOpacity style={styles.actionButton} onPress={() => handleDeleteUpload(item._id)}>
-          <Ionicons name="trash" size={16} color="#EF4444" />
-          <Text style={styles.actionText}>Delete</Text>
-        </TouchableOpacity>
+        {canDelete && (
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleDeleteUpload(item._id)}>
+            <Ionicons name="trash" size={16} color="#EF4444" />
+            <Text style={styles.actionText}>Delete</Text>
+          </TouchableOpacity>
+        )}
       </View>
     </TouchableOpacity>
-  ), [navigation, handleDeleteUpload]);
+  ), [navigation, handleDeleteUpload, canDelete]);
 
   const renderEmpty = () => {
     if (loading) return null;
@@ -23,9 +23,17 @@ import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import { logError } from '../utils/errorHandler';
+import { getDeviceInfo } from '../utils/deviceSession';
 
 const { width, height } = Dimensions.get('window');
 
+// Agent accounts only work on devices the tenant admin has approved
+const DEVICE_ERROR_MESSAGES = {
+  DEVICE_ID_REQUIRED: 'Is app version se login nahi ho sakta. Kripya app update karein.',
+  DEVICE_PENDING_APPROVAL: 'Yeh naya device hai. Aapke administrator ke approve karne ke baad login kar payenge.',
+  DEVICE_REJECTED: 'Is device ko aapke administrator ne block kiya hai. Kripya unse contact karein.'
+};
+
 export default function LoginScreen({ navigation }) {
   const colorScheme = useColorScheme();
   const isDark = colorScheme === 'dark';
@@ -47,6 +55,17 @@ export default function LoginScreen({ navigation }) {
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [focusedField, setFocusedField] = useState(null);
+  // 'password' | 'otp' (passwordless login) | 'reset' (forgot password) | 'verify' (first-login phone check)
+  const [mode, setMode] = useState('password');
+  const [otpCode, setOtpCode] = useState('');
+  const [otpSent, setOtpSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [newPassword, setNewPassword] = useState('');
+  const [info, setInfo] = useState('');
+  // Login waiting for the phone verification step
+  const [pendingLogin, setPendingLogin] = useState(null);
+  // Agencies to choose from when the same login works in more than one: { tenants, selectionToken }
+  const [tenantChoices, setTenantChoices] = useState(null);
   const fadeAnim = useState(new Animated.Value(0))[0];
   const slideAnim = useState(new Animated.Value(50))[0];
   const errorAnim = useState(new Animated.Value(0))[0]; // For error message animation
@@ -66,6 +85,13 @@ export default function LoginScreen({ navigation }) {
     ]).start();
   }, []);
 
+  // Count down until another code may be requested
+  React.useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
   const passwordInputRef = useRef(null);
   const identifierInputRef = useRef(null);
 
@@ -80,7 +106,59 @@ export default function LoginScreen({ navigation }) {
     ]).start();
   };
 
-  const onLogin = async () => {
+  // Store the session and open the dashboard for the user's role
+  const completeLogin = async (data) => {
+    const { user, token, refreshToken, redirectTo } = data;
+    if (!token || !user) {
+      throw new Error('Invalid response data');
+    }
+    // Store token; the refresh token renews it when it expires (see authInterceptor)
+    await SecureStore.setItemAsync('token', token);
+    if (refreshToken) {
+      await SecureStore.setItemAsync('refreshToken', refreshToken);
+    } else {
+      await SecureStore.deleteItemAsync('refreshToken');
+    }
+    // Store complete user data
+    await SecureStore.setItemAsync('userData', JSON.stringify(user));
+    // Backward compatibility: store in 'agent' key
+    const agentData = {
+      id: user.id,
+      name: user.name || `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      role: user.role,
+      userType: user.userType,
+      tenantId: user.tenantId,
+      tenantName: user.tenantName,
+      status: 'active' // Assuming active
+    };
+    await SecureStore.setItemAsync('agent', JSON.stringify(agentData));
+    // Role-based navigation
+    if (user.userType === 'main_user' && user.role === 'super_admin') {
+      navigation.replace('SuperAdminDashboard');
+    } else if (user.userType === 'main_user' && user.role === 'admin') {
+      navigation.replace('TenantAdminDashboard');
+    } else if (user.userType === 'office_staff') {
+      navigation.replace('OfficeStaffDashboard');
+    } else if (user.userType === 'repo_agent') {
+      navigation.replace('Dashboard');
+    } else {
+      navigation.replace('Dashboard'); // Fallback
+    }
+  };
+
+  // The login belongs to several agencies: show the picker instead of an error
+  const askForTenant = (e) => {
+    const data = e.response?.data;
+    if (e.response?.status !== 409 || data?.code !== 'TENANT_SELECTION_REQUIRED') return false;
+    setTenantChoices({ tenants: data.data?.tenants || [], selectionToken: data.data?.selectionToken });
+    setInfo('Yeh account ek se zyada agency mein hai. Kripya agency choose karein.');
+    return true;
+  };
+
+  // choice: agency picked from tenantChoices, sent along so the server signs in to that one
+  const onLogin = async (choice) => {
     if (!identifier || !password) { 
       showError('Email/phone aur password zaroori hai'); 
       return; 
@@ -88,7 +166,11 @@ export default function LoginScreen({ navigation }) {
     setLoading(true); 
     setError('');
     try {
-      const body = { identifier: identifier.trim(), password };
+      const body = { identifier: identifier.trim(), password, device: await getDeviceInfo() };
+      if (choice?.tenantId) {
+        body.tenantId = choice.tenantId;
+        body.userType = choice.userType;
+      }
       const res = await axios.post(`${getBaseURL()}/api/unified-auth/login`, body);
       const payload = res?.data;
       if (!payload.success) {
@@ -106,43 +188,18 @@ export default function LoginScreen({ navigation }) {
         }
         throw new Error(userFriendlyMsg);
       }
-      const { user, token, redirectTo } = payload.data;
-      if (!token || !user) {
-        throw new Error('Invalid response data');
-      }
-      // Store token
-      await SecureStore.setItemAsync('token', token);
-      // Store complete user data
-      await SecureStore.setItemAsync('userData', JSON.stringify(user));
-      // Backward compatibility: store in 'agent' key
-      const agentData = {
-        id: user.id,
-        name: user.name || `${user.firstName || ''} ${user.lastName || ''}`.trim(),
-        email: user.email,
-        phoneNumber: user.phoneNumber,
-        role: user.role,
-        userType: user.userType,
-        tenantId: user.tenantId,
-        tenantName: user.tenantName,
-        status: 'active' // Assuming active
-      };
-      await SecureStore.setItemAsync('agent', JSON.stringify(agentData));
-      // Role-based navigation
-      if (user.userType === 'main_user' && user.role === 'super_admin') {
-        navigation.replace('SuperAdminDashboard');
-      } else if (user.userType === 'main_user' && user.role === 'admin') {
-        navigation.replace('TenantAdminDashboard');
-      } else if (user.userType === 'office_staff') {
-        navigation.replace('OfficeStaffDashboard');
-      } else if (user.userType === 'repo_agent') {
-        navigation.replace('Dashboard');
-      } else {
-        navigation.replace('Dashboard'); // Fallback
+      if (payload.data?.requiresPhoneVerification) {
+        await startPhoneVerification(payload.data);
+        return;
       }
+      await completeLogin(payload.data);
     } catch (e) {
+      if (askForTenant(e)) return;
       let errorMessage = 'Login fail ho gaya. Kripya dobara try karein.';
       
-      if (e.response) {
+      if (e.response && DEVICE_ERROR_MESSAGES[e.response.data?.code]) {
+        errorMessage = DEVICE_ERROR_MESSAGES[e.response.data.code];
+      } else if (e.response) {
         // Server responded with error
         const serverMessage = e.response?.data?.message || e.message;
         if (serverMessage) {
@@ -183,6 +240,160 @@ export default function LoginScreen({ navigation }) {
     }
   };
 
+  // Server message for a failed OTP call, with the attempts left when the code was wrong
+  const otpErrorMessage = (e, fallback) => {
+    const data = e.response?.data;
+    if (DEVICE_ERROR_MESSAGES[data?.code]) {
+      return DEVICE_ERROR_MESSAGES[data.code];
+    }
+    if (data?.code === 'OTP_INVALID' && data?.attemptsLeft !== undefined) {
+      return `Galat code. ${data.attemptsLeft} attempt(s) baaki hain.`;
+    }
+    if (data?.retryAfter) {
+      return `${data.message}. ${data.retryAfter} second baad try karein.`;
+    }
+    if (!e.response && (e.code === 'NETWORK_ERROR' || e.message?.includes('Network'))) {
+      return 'Network error. Kripya internet connection check karein.';
+    }
+    return data?.message || fallback;
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setTenantChoices(null);
+    setOtpCode('');
+    setOtpSent(false);
+    setNewPassword('');
+    setError('');
+    setInfo('');
+  };
+
+  // Send a login or password reset code to the phone number entered
+  const requestOtp = async () => {
+    const phoneNumber = identifier.trim();
+    if (phoneNumber.replace(/\D/g, '').length < 10) {
+      showError('Kripya apna registered phone number enter karein');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const res = await axios.post(`${getBaseURL()}/api/unified-auth/otp/request`, {
+        phoneNumber,
+        purpose: mode === 'reset' ? 'reset_password' : 'login'
+      });
+      setOtpSent(true);
+      setResendIn(res.data?.data?.resendAfter || 30);
+      setInfo(res.data?.message || 'Code SMS se bheja gaya hai');
+    } catch (e) {
+      showError(otpErrorMessage(e, 'Code bhejne mein problem hui. Kripya dobara try karein.'));
+      logError('OTP request error', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // After an agency is picked the spent code is replaced by the server's selection token
+  const onOtpLogin = async (choice) => {
+    if (!choice?.tenantId && !otpCode.trim()) {
+      showError('Kripya SMS code enter karein');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const body = { phoneNumber: identifier.trim(), device: await getDeviceInfo() };
+      if (choice?.tenantId) {
+        body.tenantId = choice.tenantId;
+        body.userType = choice.userType;
+        body.selectionToken = tenantChoices?.selectionToken;
+      } else {
+        body.code = otpCode.trim();
+      }
+      const res = await axios.post(`${getBaseURL()}/api/unified-auth/otp/login`, body);
+      await completeLogin(res.data.data);
+    } catch (e) {
+      if (askForTenant(e)) return;
+      // Selection token expired: start again with a new code
+      if (choice?.tenantId) switchMode('otp');
+      showError(otpErrorMessage(e, 'Login fail ho gaya. Kripya dobara try karein.'));
+      logError('OTP login error', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onResetPassword = async () => {
+    if (!otpCode.trim() || newPassword.length < 6) {
+      showError('SMS code aur kam se kam 6 characters ka naya password zaroori hai');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const res = await axios.post(`${getBaseURL()}/api/unified-auth/otp/reset-password`, {
+        phoneNumber: identifier.trim(),
+        code: otpCode.trim(),
+        newPassword
+      });
+      switchMode('password');
+      setPassword('');
+      setInfo(res.data?.message || 'Password reset ho gaya. Naye password se sign in karein.');
+    } catch (e) {
+      showError(otpErrorMessage(e, 'Password reset nahi ho paya. Kripya dobara try karein.'));
+      logError('OTP password reset error', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // First login: the phone on the account must be confirmed with an SMS code before continuing
+  const sendVerificationCode = async (token) => {
+    try {
+      const res = await axios.post(`${getBaseURL()}/api/unified-auth/otp/verify-phone/request`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (res.data?.data?.otpVerified) return true;
+      setOtpSent(true);
+      setResendIn(res.data?.data?.resendAfter || 30);
+      setInfo('Aapke registered phone par verification code bheja gaya hai');
+      return false;
+    } catch (e) {
+      // No usable phone on the account: let the user in, the admin has to fix the number
+      if (e.response?.status === 400) return true;
+      showError(otpErrorMessage(e, 'Verification code bhejne mein problem hui'));
+      logError('Phone verification request error', e);
+      return false;
+    }
+  };
+
+  const startPhoneVerification = async (data) => {
+    setPendingLogin(data);
+    switchMode('verify');
+    const alreadyVerified = await sendVerificationCode(data.token);
+    if (alreadyVerified) await completeLogin(data);
+  };
+
+  const onVerifyPhone = async () => {
+    if (!pendingLogin || !otpCode.trim()) {
+      showError('Kripya SMS code enter karein');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      await axios.post(`${getBaseURL()}/api/unified-auth/otp/verify-phone`, { code: otpCode.trim() }, {
+        headers: { Authorization: `Bearer ${pendingLogin.token}` }
+      });
+      await completeLogin({ ...pendingLogin, user: { ...pendingLogin.user, otpVerified: true } });
+    } catch (e) {
+      showError(otpErrorMessage(e, 'Verification fail ho gaya. Kripya dobara try karein.'));
+      logError('Phone verification error', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <SafeAreaProvider>
       <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
@@ -217,70 +428,212 @@ export default function LoginScreen({ navigation }) {
                   </Animated.View>
                 )}
 
-                <View style={styles.inputGroup}>
-                  <Text style={[styles.inputLabel, { color: theme.muted }]}>Email or Phone Number</Text>
-                  <TextInput
-                    ref={identifierInputRef}
-                    placeholder="Enter your email or phone number"
-                    autoCapitalize="none"
-                    keyboardType="email-address"
-                    value={identifier}
-                    onChangeText={(text) => {
-                      setIdentifier(text);
-                      if (error) setError(''); // Clear error when user types
-                    }}
-                    onFocus={() => setFocusedField('identifier')}
-                    onBlur={() => setFocusedField(null)}
-                    style={[
-                      styles.input, 
-                      { backgroundColor: theme.inputBg, borderColor: theme.inputBorder, color: theme.textPrimary },
-                      focusedField === 'identifier' && { borderColor: theme.accent, borderWidth: 2 }
-                    ]}
-                    returnKeyType="next"
-                    onSubmitEditing={() => passwordInputRef.current?.focus()}
-                  />
-                </View>
+                {!!info && !error && (
+                  <View style={[styles.infoContainer, { backgroundColor: isDark ? '#1f2f3a' : '#eaf4ff', borderColor: theme.accent }]}>
+                    <Ionicons name="information-circle" size={20} color={theme.accent} style={{ marginRight: 8 }} />
+                    <Text style={[styles.info, { color: theme.accent }]}>{info}</Text>
+                  </View>
+                )}
 
-                <View style={styles.inputGroup}>
-                  <Text style={[styles.inputLabel, { color: theme.muted }]}>Password</Text>
-                  <View style={[
-                    styles.passwordRow, 
-                    { backgroundColor: theme.inputBg, borderColor: theme.inputBorder },
-                    focusedField === 'password' && { borderColor: theme.accent, borderWidth: 2 }
-                  ]}>
+                {(mode === 'password' || mode === 'otp') && (
+                  <View style={[styles.modeToggle, { borderColor: theme.inputBorder }]}>
+                    {[['password', 'Password'], ['otp', 'SMS Code']].map(([key, label]) => (
+                      <TouchableOpacity
+                        key={key}
+                        onPress={() => mode !== key && switchMode(key)}
+                        style={[styles.modeBtn, mode === key && { backgroundColor: theme.accent }]}
+                      >
+                        <Text style={[styles.modeBtnText, { color: mode === key ? '#fff' : theme.textSecondary }]}>{label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                {mode !== 'verify' && (
+                  <View style={styles.inputGroup}>
+                    <Text style={[styles.inputLabel, { color: theme.muted }]}>{mode === 'password' ? 'Email or Phone Number' : 'Registered Phone Number'}</Text>
                     <TextInput
-                      ref={passwordInputRef}
-                      placeholder="Your password"
-                      secureTextEntry={!showPassword}
-                      value={password}
+                      ref={identifierInputRef}
+                      placeholder={mode === 'password' ? 'Enter your email or phone number' : 'Enter your phone number'}
+                      autoCapitalize="none"
+                      keyboardType={mode === 'password' ? 'email-address' : 'phone-pad'}
+                      value={identifier}
                       onChangeText={(text) => {
-                        setPassword(text);
+                        setIdentifier(text);
+                        setTenantChoices(null);
                         if (error) setError(''); // Clear error when user types
                       }}
-                      onFocus={() => setFocusedField('password')}
+                      onFocus={() => setFocusedField('identifier')}
                       onBlur={() => setFocusedField(null)}
-                      style={[styles.input, { flex: 1, marginBottom: 0, backgroundColor: 'transparent', borderColor: 'transparent', borderWidth: 0, padding: 0 }]}
-                      returnKeyType="done"
-                      onSubmitEditing={onLogin}
+                      editable={!otpSent || mode === 'password'}
+                      style={[
+                        styles.input, 
+                        { backgroundColor: theme.inputBg, borderColor: theme.inputBorder, color: theme.textPrimary },
+                        focusedField === 'identifier' && { borderColor: theme.accent, borderWidth: 2 }
+                      ]}
+                      returnKeyType="next"
+                      onSubmitEditing={() => mode === 'password' ? passwordInputRef.current?.focus() : (!otpSent && requestOtp())}
                     />
-                    <TouchableOpacity onPress={() => setShowPassword(!showPassword)} style={styles.showBtn}>
-                      <Ionicons 
-                        name={showPassword ? 'eye-off' : 'eye'} 
-                        size={24} 
-                        color={theme.accent} 
+                  </View>
+                )}
+
+                {mode === 'password' && (
+                  <View style={styles.inputGroup}>
+                    <Text style={[styles.inputLabel, { color: theme.muted }]}>Password</Text>
+                    <View style={[
+                      styles.passwordRow, 
+                      { backgroundColor: theme.inputBg, borderColor: theme.inputBorder },
+                      focusedField === 'password' && { borderColor: theme.accent, borderWidth: 2 }
+                    ]}>
+                      <TextInput
+                        ref={passwordInputRef}
+                        placeholder="Your password"
+                        secureTextEntry={!showPassword}
+                        value={password}
+                        onChangeText={(text) => {
+                          setPassword(text);
+                          setTenantChoices(null);
+                          if (error) setError(''); // Clear error when user types
+                        }}
+                        onFocus={() => setFocusedField('password')}
+                        onBlur={() => setFocusedField(null)}
+                        style={[styles.input, { flex: 1, marginBottom: 0, backgroundColor: 'transparent', borderColor: 'transparent', borderWidth: 0, padding: 0 }]}
+                        returnKeyType="done"
+                        onSubmitEditing={onLogin}
                       />
+                      <TouchableOpacity onPress={() => setShowPassword(!showPassword)} style={styles.showBtn}>
+                        <Ionicons 
+                          name={showPassword ? 'eye-off' : 'eye'} 
+                          size={24} 
+                          color={theme.accent} 
+                        />
+                      </TouchableOpacity>
+                    </View>
+                    <TouchableOpacity onPress={() => switchMode('reset')} style={styles.forgotPasswordBtn}>
+                      <Text style={[styles.forgotPasswordText, { color: theme.accent }]}>Forgot Password?</Text>
                     </TouchableOpacity>
                   </View>
-                  <TouchableOpacity onPress={() => Alert.alert('Forgot Password', 'Please contact support to reset your password.')} style={styles.forgotPasswordBtn}>
-                    <Text style={[styles.forgotPasswordText, { color: theme.accent }]}>Forgot Password?</Text>
+                )}
+
+                {(mode === 'verify' || (mode !== 'password' && otpSent)) && (
+                  <View style={styles.inputGroup}>
+                    <Text style={[styles.inputLabel, { color: theme.muted }]}>SMS Code</Text>
+                    <TextInput
+                      placeholder="6-digit code"
+                      keyboardType="number-pad"
+                      maxLength={6}
+                      value={otpCode}
+                      onChangeText={(text) => {
+                        setOtpCode(text.replace(/\D/g, ''));
+                        if (error) setError('');
+                      }}
+                      onFocus={() => setFocusedField('otp')}
+                      onBlur={() => setFocusedField(null)}
+                      style={[
+                        styles.input,
+                        styles.otpInput,
+                        { backgroundColor: theme.inputBg, borderColor: theme.inputBorder, color: theme.textPrimary },
+                        focusedField === 'otp' && { borderColor: theme.accent, borderWidth: 2 }
+                      ]}
+                    />
+                    <TouchableOpacity
+                      disabled={loading || resendIn > 0}
+                      onPress={() => (mode === 'verify' ? sendVerificationCode(pendingLogin?.token) : requestOtp())}
+                      style={styles.forgotPasswordBtn}
+                    >
+                      <Text style={[styles.forgotPasswordText, { color: resendIn > 0 ? theme.muted : theme.accent }]}>
+                        {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
+                {mode === 'reset' && otpSent && (
+                  <View style={styles.inputGroup}>
+                    <Text style={[styles.inputLabel, { color: theme.muted }]}>New Password</Text>
+                    <TextInput
+                      placeholder="At least 6 characters"
+                      secureTextEntry={!showPassword}
+                      value={newPassword}
+                      onChangeText={(text) => {
+                        setNewPassword(text);
+                        if (error) setError('');
+                      }}
+                      onFocus={() => setFocusedField('newPassword')}
+                      onBlur={() => setFocusedField(null)}
+                      style={[
+                        styles.input,
+                        { backgroundColor: theme.inputBg, borderColor: theme.inputBorder, color: theme.textPrimary },
+                        focusedField === 'newPassword' && { borderColor: theme.accent, borderWidth: 2 }
+                      ]}
+                      returnKeyType="done"
+                      onSubmitEditing={onResetPassword}
+                    />
+                  </View>
+                )}
+
+                {tenantChoices && (
+                  <View style={styles.inputGroup}>
+                    <Text style={[styles.inputLabel, { color: theme.muted }]}>Choose Agency</Text>
+                    {tenantChoices.tenants.map((choice) => (
+                      <TouchableOpacity
+                        key={`${choice.tenantId}-${choice.userType}`}
+                        disabled={loading}
+                        onPress={() => (mode === 'password' ? onLogin(choice) : onOtpLogin(choice))}
+                        style={[styles.tenantChoice, { backgroundColor: theme.inputBg, borderColor: theme.inputBorder }]}
+                      >
+                        <Ionicons name="business-outline" size={20} color={theme.accent} style={{ marginRight: 10 }} />
+                        <View style={{ flex: 1 }}>
+                          <Text style={[styles.tenantChoiceName, { color: theme.textPrimary }]}>{choice.tenantName}</Text>
+                          <Text style={{ color: theme.muted, fontSize: 13 }}>
+                            {choice.userType === 'office_staff' ? 'Office Staff' : 'Repo Agent'}
+                          </Text>
+                        </View>
+                        <Ionicons name="chevron-forward" size={18} color={theme.muted} />
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                {!tenantChoices && (
+                  <TouchableOpacity
+                    disabled={loading}
+                    onPress={
+                      mode === 'password' ? onLogin
+                        : mode === 'verify' ? onVerifyPhone
+                          : !otpSent ? requestOtp
+                            : mode === 'reset' ? onResetPassword : onOtpLogin
+                    }
+                    style={[styles.primaryBtn, { backgroundColor: theme.accent }, loading && styles.primaryBtnDisabled]}
+                  >
+                    {loading ? <ActivityIndicator color="#fff" /> : (
+                      <Text style={styles.primaryBtnText}>
+                        {mode === 'password' ? 'Sign In'
+                          : mode === 'verify' ? 'Verify Phone'
+                            : !otpSent ? 'Send Code'
+                              : mode === 'reset' ? 'Reset Password' : 'Sign In'}
+                      </Text>
+                    )}
                   </TouchableOpacity>
-                </View>
+                )}
 
-                <TouchableOpacity disabled={loading} onPress={onLogin} style={[styles.primaryBtn, { backgroundColor: theme.accent }, loading && styles.primaryBtnDisabled]}>
-                  {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.primaryBtnText}>Sign In</Text>}
-                </TouchableOpacity>
+                {(mode === 'reset' || mode === 'verify') && (
+                  <TouchableOpacity
+                    onPress={() => {
+                      setPendingLogin(null);
+                      switchMode('password');
+                    }}
+                    style={styles.backBtn}
+                  >
+                    <Text style={[styles.forgotPasswordText, { color: theme.accent }]}>Back to Sign In</Text>
+                  </TouchableOpacity>
+                )}
 
-                <Text style={[styles.helperText, { color: theme.muted }]}>Use your registered email or phone number</Text>
+                <Text style={[styles.helperText, { color: theme.muted }]}>
+                  {mode === 'verify'
+                    ? 'Pehli baar login: apna phone number SMS code se verify karein'
+                    : mode === 'password' ? 'Use your registered email or phone number' : 'Code aapke registered phone number par SMS se aayega'}
+                </Text>
               </Animated.View>
             </ScrollView>
           </KeyboardAvoidingView>
@@ -381,6 +734,56 @@ const styles = StyleSheet.create({
     fontSize: 14, // Slightly smaller text
     lineHeight: 20,
   },
+  infoContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 10,
+    borderWidth: 1,
+    marginBottom: 15,
+  },
+  info: {
+    flex: 1,
+    fontSize: 14,
+  },
+  modeToggle: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  modeBtn: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  modeBtnText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  otpInput: {
+    fontSize: 22,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  backBtn: {
+    alignSelf: 'center',
+    marginTop: 15,
+  },
+  tenantChoice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+  },
+  tenantChoiceName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
   errorContainer: {
     flexDirection: 'row',
     alignItems: 'center',
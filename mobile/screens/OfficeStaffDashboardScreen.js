@@ -12,6 +12,8 @@ import {
 } from 'react-native';
 import { useColorScheme } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
+import { endServerSession } from '../utils/deviceSession';
+import { PERMISSIONS, PERMISSION_LABELS, hasPermission, refreshUserPermissions } from '../utils/permissions';
 import { Ionicons } from '@expo/vector-icons';
 
 export default function OfficeStaffDashboardScreen({ navigation }) {
@@ -33,9 +35,9 @@ export default function OfficeStaffDashboardScreen({ navigation }) {
   useEffect(() => {
     const loadUserData = async () => {
       try {
-        const data = await SecureStore.getItemAsync('userData');
-        if (data) {
-          const parsed = JSON.parse(data);
+        // Permissions come from the role template, which an admin may have changed since login
+        const parsed = await refreshUserPermissions();
+        if (parsed) {
           setUserData(parsed);
           setStaffRole(parsed.role || 'Staff');
         }
@@ -46,6 +48,12 @@ export default function OfficeStaffDashboardScreen({ navigation }) {
     loadUserData();
   }, []);
 
+  // Actions are shown only to staff whose role grants the permission
+  const actionCards = [
+    { title: 'Payment Approvals', icon: 'card-outline', screen: 'PaymentApprovals', permission: PERMISSIONS.APPROVE_PAYMENTS },
+    { title: 'Repo Agents', icon: 'people-outline', screen: 'RepoAgentList', permission: PERMISSIONS.MANAGE_AGENTS }
+  ].filter(card => hasPermission(userData, card.permission));
+
   const logout = async () => {
     Alert.alert(
       'Logout',
@@ -56,7 +64,9 @@ export default function OfficeStaffDashboardScreen({ navigation }) {
           text: 'Logout',
           style: 'destructive',
           onPress: async () => {
+            await endServerSession();
             await SecureStore.deleteItemAsync('token');
+            await SecureStore.deleteItemAsync('refreshToken');
             await SecureStore.deleteItemAsync('userData');
             await SecureStore.deleteItemAsync('agent');
             navigation.replace('Login');
@@ -117,8 +127,20 @@ export default function OfficeStaffDashboardScreen({ navigation }) {
           <Text style={[styles.featureItem, { color: theme.textSecondary }]}>• Task Management</Text>
         </View>
 
-        {/* Placeholder Cards */}
+        {/* Actions allowed by the role, then placeholder cards */}
         <View style={styles.cardsContainer}>
+          {actionCards.map(card => (
+            <TouchableOpacity
+              key={card.screen}
+              style={[styles.card, { backgroundColor: theme.cardBg, borderColor: theme.cardBorder }]}
+              onPress={() => navigation.navigate(card.screen)}
+            >
+              <Ionicons name={card.icon} size={24} color={theme.textPrimary} />
+              <Text style={[styles.cardTitle, { color: theme.textPrimary }]}>{card.title}</Text>
+              <Text style={[styles.cardSubtitle, { color: theme.textSecondary }]}>Open</Text>
+            </TouchableOpacity>
+          ))}
+
           <TouchableOpacity style={[styles.card, { backgroundColor: theme.cardBg, borderColor: theme.cardBorder }]} disabled>
             <Ionicons name="document-text-outline" size={24} color={theme.textSecondary} />
             <Text style={[styles.cardTitle, { color: theme.textPrimary }]}>Data Entry</Text>
@@ -148,8 +170,13 @@ export default function OfficeStaffDashboardScreen({ navigation }) {
         <View style={[styles.section, { backgroundColor: theme.cardBg, borderColor: theme.cardBorder }]}>
           <Text style={[styles.sectionTitle, { color: theme.textPrimary }]}>Permissions</Text>
           <Text style={[styles.sectionText, { color: theme.textSecondary }]}>
-            Access is limited based on your role ({staffRole}). Full features will be unlocked as development progresses.
+            Access is limited based on your role ({staffRole}).
           </Text>
+          {(userData?.permissions || []).map(permission => (
+            <Text key={permission} style={[styles.featureItem, { color: theme.textSecondary }]}>
+              • {PERMISSION_LABELS[permission] || permission}
+            </Text>
+          ))}
         </View>
         
       </ScrollView>
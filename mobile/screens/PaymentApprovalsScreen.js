@@ -5,12 +5,17 @@ import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import { logError, showErrorAlert, getErrorMessage } from '../utils/errorHandler';
+import { PERMISSIONS, hasPermission, refreshUserPermissions } from '../utils/permissions';
 
 const formatUserType = (userType) => {
   if (!userType) return 'N/A';
   return userType === 'repo_agent' ? 'Repo Agent' : userType === 'office_staff' ? 'Office Staff' : userType;
 };
 
+// Warnings raised by the server when the payment was submitted (reused screenshot, amount, UTR date)
+const fraudFlagsOf = (payment) => payment?.fraudFlags || [];
+const hasHighFlag = (payment) => fraudFlagsOf(payment).some(f => f.severity === 'high');
+
 export default function PaymentApprovalsScreen({ navigation }) {
   const [payments, setPayments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -21,6 +26,7 @@ export default function PaymentApprovalsScreen({ navigation }) {
   const [rejectionReason, setRejectionReason] = useState('');
   const [showRejectModal, setShowRejectModal] = useState(false);
   const [processing, setProcessing] = useState(false);
+  const [canApprove, setCanApprove] = useState(false);
 
   const fetchPendingPayments = useCallback(async (isRefresh = false) => {
     if (isRefresh) {
@@ -57,14 +63,22 @@ export default function PaymentApprovalsScreen({ navigation }) {
     fetchPendingPayments();
   }, [fetchPendingPayments]);
 
+  // Approve/Reject are only offered to users holding the approve payments permission
+  useEffect(() => {
+    refreshUserPermissions().then(user => setCanApprove(hasPermission(user, PERMISSIONS.APPROVE_PAYMENTS)));
+  }, []);
+
   const handleRefresh = useCallback(() => {
     fetchPendingPayments(true);
   }, [fetchPendingPayments]);
 
   const handleApprove = async (paymentId, mobileUserId) => {
+    const payment = payments.find(p => p._id === paymentId) || selectedPayment;
+    const flags = fraudFlagsOf(payment);
+    const flagText = flags.length ? `⚠️ ${flags.length} warning${flags.length > 1 ? 's' : ''}:\n${flags.map(f => `• ${f.message}`).join('\n')}\n\n` : '';
     Alert.alert(
-      'Approve Payment',
-      `Approve payment of ₹${selectedPayment?.amount} for ${selectedPayment?.planPeriod} plan?\n\n${selectedPayment?.submittedByName ? `Submitted by: ${selectedPayment.submittedByName} (${selectedPayment.submittedByRole})\nPhone: ${selectedPayment.submittedByPhone}\n\n` : ''}This will extend the user's subscription.`,
+      hasHighFlag(payment) ? 'Approve Flagged Payment?' : 'Approve Payment',
+      `Approve payment of ₹${payment?.amount} for ${payment?.planPeriod} plan?\n\n${payment?.submittedByName ? `Submitted by: ${payment.submittedByName} (${payment.submittedByRole})\nPhone: ${payment.submittedByPhone}\n\n` : ''}${flagText}This will extend the user's subscription.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -77,7 +91,7 @@ export default function PaymentApprovalsScreen({ navigation }) {
                 headers: { Authorization: `Bearer ${token}` }
               });
 
-              Alert.alert('Payment Approved', `Payment approved for ${selectedPayment.submittedByName || 'user'}. Subscription has been extended.`);
+              Alert.alert('Payment Approved', `Payment approved for ${payment?.submittedByName || 'user'}. Subscription has been extended.`);
               setPayments(prev => prev.filter(p => p._id !== paymentId));
               setShowDetailModal(false);
             } catch (err) {
@@ -151,6 +165,13 @@ export default function PaymentApprovalsScreen({ navigation }) {
           <Text style={styles.transactionId}>{item.transactionId}</Text>
           <StatusBadge status={item.status} />
         </View>
+        {fraudFlagsOf(item).length > 0 && (
+          <View style={[styles.flagBanner, hasHighFlag(item) && styles.flagBannerHigh]}>
+            <Text style={[styles.flagBannerText, hasHighFlag(item) && styles.flagBannerTextHigh]}>
+              ⚠️ {fraudFlagsOf(item).length} warning{fraudFlagsOf(item).length > 1 ? 's' : ''}: {fraudFlagsOf(item)[0].message}
+            </Text>
+          </View>
+        )}
         {item.submittedByName ? (
           <>
             <View style={styles.detailRow}>
@@ -194,12 +215,16 @@ export default function PaymentApprovalsScreen({ navigation }) {
           </View>
         )}
         <View style={styles.actionButtons}>
-          <TouchableOpacity style={[styles.actionButton, styles.approveButton]} onPress={() => handleApprove(item._id, item.submittedByMobileId)} disabled={processing}>
-            <Text style={styles.actionButtonText}>✓ Approve</Text>
-          </TouchableOpacity>
-          <TouchableOpacity style={[styles.actionButton, styles.rejectButton]} onPress={() => { setSelectedPayment(item); setShowRejectModal(true); }} disabled={processing}>
-            <Text style={styles.actionButtonText}>✗ Reject</Text>
-          </TouchableOpacity>
+          {canApprove && (
+            <>
+              <TouchableOpacity style={[styles.actionButton, styles.approveButton]} onPress={() => handleApprove(item._id, item.submittedByMobileId)} disabled={processing}>
+                <Text style={styles.actionButtonText}>✓ Approve</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.actionButton, styles.rejectButton]} onPress={() => { setSelectedPayment(item); setShowRejectModal(true); }} disabled={processing}>
+                <Text style={styles.actionButtonText}>✗ Reject</Text>
+              </TouchableOpacity>
+            </>
+          )}
           <TouchableOpacity style={[styles.actionButton, styles.viewButton]} onPress={() => { setSelectedPayment(item); setShowDetailModal(true); }}>
             <Text style={styles.actionButtonText}>👁️ View</Text>
           </TouchableOpacity>
@@ -266,6 +291,19 @@ export default function PaymentApprovalsScreen({ navigation }) {
           <ScrollView style={styles.modalContent}>
             {selectedPayment && (
               <>
+                {fraudFlagsOf(selectedPayment).length > 0 && (
+                  <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Warnings</Text>
+                    {fraudFlagsOf(selectedPayment).map((flag, index) => (
+                      <View key={`${flag.code}-${index}`} style={[styles.flagBanner, flag.severity === 'high' && styles.flagBannerHigh]}>
+                        <Text style={[styles.flagBannerText, flag.severity === 'high' && styles.flagBannerTextHigh]}>
+                          {flag.severity === 'high' ? '🚩' : '⚠️'} {flag.message}
+                        </Text>
+                      </View>
+                    ))}
+                    <Text style={styles.detailText}>These are automatic checks. Verify the payment in the bank statement before approving.</Text>
+                  </View>
+                )}
                 <View style={styles.section}>
                   <Text style={styles.sectionTitle}>Transaction Info</Text>
                   <Text style={styles.largeText}>{selectedPayment.transactionId}</Text>
@@ -307,12 +345,16 @@ export default function PaymentApprovalsScreen({ navigation }) {
             )}
           </ScrollView>
           <View style={styles.modalFooter}>
-            <TouchableOpacity style={[styles.modalButton, styles.approveButton]} onPress={() => handleApprove(selectedPayment._id, selectedPayment.submittedByMobileId)} disabled={processing}>
-              <Text style={styles.modalButtonText}>Approve</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={[styles.modalButton, styles.rejectButton]} onPress={() => { setShowRejectModal(true); setShowDetailModal(false); }} disabled={processing}>
-              <Text style={styles.modalButtonText}>Reject</Text>
-            </TouchableOpacity>
+            {canApprove && (
+              <>
+                <TouchableOpacity style={[styles.modalButton, styles.approveButton]} onPress={() => handleApprove(selectedPayment._id, selectedPayment.submittedByMobileId)} disabled={processing}>
+                  <Text style={styles.modalButtonText}>Approve</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.modalButton, styles.rejectButton]} onPress={() => { setShowRejectModal(true); setShowDetailModal(false); }} disabled={processing}>
+                  <Text style={styles.modalButtonText}>Reject</Text>
+                </TouchableOpacity>
+              </>
+            )}
             <TouchableOpacity style={[styles.modalButton, styles.closeButton]} onPress={() => setShowDetailModal(false)}>
               <Text style={styles.modalButtonText}>Close</Text>
             </TouchableOpacity>
@@ -594,6 +636,27 @@ const styles = StyleSheet.create({
     color: '#F44336',
     fontSize: 14,
   },
+  flagBanner: {
+    backgroundColor: '#FFF7E6',
+    borderLeftWidth: 4,
+    borderLeftColor: '#FFA500',
+    borderRadius: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
+  flagBannerHigh: {
+    backgroundColor: '#FDECEA',
+    borderLeftColor: '#F44336',
+  },
+  flagBannerText: {
+    color: '#8A5A00',
+    fontSize: 13,
+  },
+  flagBannerTextHigh: {
+    color: '#B71C1C',
+    fontWeight: '600',
+  },
   modalFooter: {
     padding: 20,
     borderTopWidth: 1,
@@ -3,6 +3,8 @@ import { View, Text, ScrollView, TouchableOpacity, RefreshControl, ActivityIndic
 import { SafeAreaView } from 'react-native-safe-area-context';
 import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
 import { getBaseURL } from '../utils/config';
 import { logError, showErrorAlert, getErrorMessage } from '../utils/errorHandler';
 
@@ -11,6 +13,7 @@ export default function PaymentHistoryScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [downloadingId, setDownloadingId] = useState(null);
 
   const PAYMENT_STATUS_KEY = 'payment_status_cache';
 
@@ -88,9 +91,40 @@ export default function PaymentHistoryScreen({ navigation }) {
     fetchPaymentHistory();
   }, []);
 
+  // Save the invoice PDF to the device and open the share sheet (save, print, WhatsApp, ...)
+  const downloadInvoice = async (payment) => {
+    setDownloadingId(payment._id);
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      const fileName = `${payment.invoiceNumber || `invoice_${payment.transactionId}`}.pdf`;
+      const result = await FileSystem.downloadAsync(
+        `${getBaseURL()}/api/payments/${payment._id}/invoice`,
+        FileSystem.documentDirectory + fileName,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (result.status !== 200) {
+        throw new Error(`Invoice download failed with status ${result.status}`);
+      }
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(result.uri, { mimeType: 'application/pdf', dialogTitle: fileName, UTI: 'com.adobe.pdf' });
+      } else {
+        Alert.alert('Invoice Saved', fileName);
+      }
+    } catch (err) {
+      logError(err, 'downloadInvoice');
+      showErrorAlert('Invoice', getErrorMessage(err, 'Failed to download invoice'));
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   const StatusBadge = ({ status }) => {
     let backgroundColor, text;
     switch (status) {
+      case 'initiated':
+        backgroundColor = '#9E9E9E';
+        text = 'Awaiting Payment';
+        break;
       case 'pending':
         backgroundColor = '#FFA500';
         text = 'Pending';
@@ -163,6 +197,19 @@ export default function PaymentHistoryScreen({ navigation }) {
             <Text style={styles.detailValue}>{payment.notes}</Text>
           </View>
         )}
+        {payment.status === 'approved' && (
+          <TouchableOpacity
+            style={styles.invoiceButton}
+            onPress={() => downloadInvoice(payment)}
+            disabled={downloadingId === payment._id}
+          >
+            {downloadingId === payment._id ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.invoiceButtonText}>🧾 {payment.invoiceNumber ? `Invoice ${payment.invoiceNumber}` : 'Download Invoice'}</Text>
+            )}
+          </TouchableOpacity>
+        )}
       </TouchableOpacity>
     );
   };
@@ -367,4 +414,16 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#000',
   },
+  invoiceButton: {
+    marginTop: 10,
+    backgroundColor: '#222636',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  invoiceButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
 });
\ No newline at end of file
@@ -23,6 +23,7 @@ import * as ImagePicker from 'expo-image-picker';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import { logError, getErrorMessage, showErrorAlert } from '../utils/errorHandler';
+import { endServerSession } from '../utils/deviceSession';
 
 const { width } = Dimensions.get('window');
 
@@ -39,6 +40,7 @@ const PLAN_OPTIONS = [
 ];
 
 const PAYMENT_MODES = [
+  { id: 'gateway', label: 'Pay Online', icon: '🔒', description: 'Card, UPI or netbanking; plan activates instantly' },
   { id: 'qr', label: 'QR Code', icon: '📱', description: 'Scan QR code to pay' },
   { id: 'upi_id', label: 'UPI ID', icon: '💳', description: 'Copy UPI ID and pay' },
   { id: 'upi_app', label: 'Pay with UPI App', icon: '🚀', description: 'Open UPI app directly' }
@@ -69,6 +71,8 @@ export default function PaymentScreen({ navigation }) {
   const [qrUrl, setQrUrl] = useState('');
   const [instructions, setInstructions] = useState('');
   const [planPrices, setPlanPrices] = useState({});
+  const [gatewayEnabled, setGatewayEnabled] = useState(false);
+  const [gatewayPayment, setGatewayPayment] = useState(null);
 
   // UI states
   const [loading, setLoading] = useState(false);
@@ -139,6 +143,7 @@ export default function PaymentScreen({ navigation }) {
         setQrUrl(absoluteQr);
         setInstructions(cfg.instructions || '');
         setPlanPrices(cfg.planPrices || {});
+        setGatewayEnabled(!!res?.data?.data?.paymentGateway && cfg.gatewayEnabled === true);
         const defaultPrice = cfg.planPrices?.[planPeriod];
         if (defaultPrice != null) setAmount(String(defaultPrice));
       } catch (err) {
@@ -234,7 +239,9 @@ export default function PaymentScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
+              await endServerSession();
               await SecureStore.deleteItemAsync('token');
+              await SecureStore.deleteItemAsync('refreshToken');
               await SecureStore.deleteItemAsync('agent');
               await SecureStore.deleteItemAsync('userData');
               navigation.reset({
@@ -264,6 +271,11 @@ export default function PaymentScreen({ navigation }) {
         showErrorAlert('Required', 'Please select a payment mode');
         return;
       }
+      // Online payments activate through the gateway webhook; there is no transaction ID to enter
+      if (selectedPaymentMode === 'gateway') {
+        startGatewayPayment();
+        return;
+      }
       // If QR is selected, show QR modal first, then user can proceed after closing
       if (selectedPaymentMode === 'qr' && !qrVisible) {
         setQrVisible(true);
@@ -312,6 +324,58 @@ export default function PaymentScreen({ navigation }) {
     });
   };
 
+  const startGatewayPayment = async () => {
+    if (submitting) return;
+    setSubmitting(true);
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      const res = await axios.post(`${getBaseURL()}/api/payments/gateway/orders`, { planPeriod }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const order = res.data?.data;
+      if (!order?.checkoutUrl) throw new Error(res.data?.message || 'Could not start online payment');
+      setGatewayPayment({ paymentId: order.paymentId, status: 'initiated' });
+      await Linking.openURL(`${getBaseURL()}${order.checkoutUrl}`);
+    } catch (e) {
+      logError(e, 'startGatewayPayment');
+      showErrorAlert('Payment Error', getErrorMessage(e, 'Could not start online payment'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const checkGatewayPayment = async () => {
+    if (!gatewayPayment?.paymentId) return;
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      const res = await axios.get(`${getBaseURL()}/api/payments/gateway/orders/${gatewayPayment.paymentId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const status = res.data?.data?.status;
+      if (status === 'approved') {
+        setGatewayPayment(null);
+        const end = res.data.data.effectiveEnd ? new Date(res.data.data.effectiveEnd).toLocaleDateString() : null;
+        Alert.alert('Payment Successful', `Your ${planPeriod} plan is active${end ? ` until ${end}` : ''}.`, [{ text: 'OK', onPress: () => navigation.goBack() }]);
+      } else if (status === 'rejected' || (status === 'initiated' && res.data.data.failureReason)) {
+        // A failed attempt leaves the order open, so a retry at checkout can still activate it
+        setGatewayPayment(null);
+        showErrorAlert('Payment Failed', res.data.data.failureReason || 'The payment did not go through. Please try again.');
+      } else if (status === 'pending') {
+        setGatewayPayment(null);
+        Alert.alert('Payment Received', 'Your payment was received and is waiting for approval.', [{ text: 'OK', onPress: () => navigation.goBack() }]);
+      }
+    } catch (e) {
+      logError(e, 'checkGatewayPayment');
+    }
+  };
+
+  // While checkout is open in the browser, poll until the gateway's webhook settles the payment
+  useEffect(() => {
+    if (!gatewayPayment?.paymentId) return undefined;
+    const timer = setInterval(checkGatewayPayment, 5000);
+    return () => clearInterval(timer);
+  }, [gatewayPayment?.paymentId]);
+
   const copyUpi = async () => {
     if (!upiId) return;
     try {
@@ -709,9 +773,9 @@ export default function PaymentScreen({ navigation }) {
         <Text style={styles.stepSubtitle}>Choose how you want to make the payment</Text>
 
         <View style={styles.paymentModes}>
-          {PAYMENT_MODES.map((mode) => {
+          {PAYMENT_MODES.filter(mode => mode.id !== 'gateway' || gatewayEnabled).map((mode) => {
             const isSelected = selectedPaymentMode === mode.id;
-            const isAvailable = mode.id === 'qr' ? !!qrUrl : mode.id === 'upi_id' || mode.id === 'upi_app' ? !!upiId : false;
+            const isAvailable = mode.id === 'gateway' ? gatewayEnabled : mode.id === 'qr' ? !!qrUrl : mode.id === 'upi_id' || mode.id === 'upi_app' ? !!upiId : false;
             
             return (
               <TouchableOpacity
@@ -925,7 +989,7 @@ export default function PaymentScreen({ navigation }) {
                 end={{ x: 1, y: 0 }}
               >
                 <Text style={styles.nextButtonTextBottom}>
-                  {currentStep === 4 ? 'Submit Payment' : 'Next'}
+                  {currentStep === 4 ? 'Submit Payment' : currentStep === 3 && selectedPaymentMode === 'gateway' ? 'Pay Now' : 'Next'}
                 </Text>
               </LinearGradient>
             )}
@@ -982,6 +1046,23 @@ export default function PaymentScreen({ navigation }) {
           </View>
         </View>
       </Modal>
+
+      <Modal visible={!!gatewayPayment} transparent animationType="fade" onRequestClose={() => setGatewayPayment(null)}>
+        <View style={styles.modalWrap}>
+          <View style={styles.modalBackdrop} />
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Complete Payment</Text>
+            <ActivityIndicator size="large" color="#6200EE" style={{ marginVertical: 16 }} />
+            <Text style={styles.modalSubtitle}>Finish paying ₹{amount} in the browser. Your plan activates as soon as the payment is confirmed.</Text>
+            <TouchableOpacity style={styles.modalCloseButton} onPress={checkGatewayPayment}>
+              <Text style={styles.modalCloseButtonText}>Check Status</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setGatewayPayment(null)} style={{ marginTop: 12 }}>
+              <Text style={styles.modalSubtitle}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
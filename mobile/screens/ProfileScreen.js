@@ -11,6 +11,7 @@ import { getBaseURL } from '../utils/config';
 import axios from 'axios';
 import { maskPhoneNumber } from '../utils/format';
 import { logError } from '../utils/errorHandler';
+import { endServerSession } from '../utils/deviceSession';
 
 export default function ProfileScreen({ navigation }) {
   const colorScheme = useColorScheme();
@@ -299,7 +300,9 @@ export default function ProfileScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
+              await endServerSession();
               await SecureStore.deleteItemAsync('token');
+              await SecureStore.deleteItemAsync('refreshToken');
               await SecureStore.deleteItemAsync('agent');
               navigation.reset({
                 index: 0,
@@ -5,9 +5,52 @@ import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import * as FileSystem from 'expo-file-system/legacy';
+import * as Location from 'expo-location';
+import * as ImagePicker from 'expo-image-picker';
 import { searchByRegSuffix, searchByChassis } from '../utils/db';
 import { logError } from '../utils/errorHandler';
 
+// expo-image-picker v17 renamed the media type enum; fall back through older names
+const getImageMediaType = () => {
+  if (ImagePicker.MediaType?.Images) return ImagePicker.MediaType.Images;
+  if (ImagePicker.MediaType?.IMAGE) return [ImagePicker.MediaType.IMAGE];
+  if (ImagePicker.MediaTypeOptions?.Images) return ImagePicker.MediaTypeOptions.Images;
+  return 'images';
+};
+
+// Current position for a match alert; null when permission is denied or no fix comes in time
+const captureMatchLocation = async () => {
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') return null;
+    const position = await Promise.race([
+      Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High }),
+      new Promise(resolve => setTimeout(() => resolve(null), 15000))
+    ]);
+    if (!position) return null;
+    return {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+      capturedAt: new Date(position.timestamp || Date.now()).toISOString()
+    };
+  } catch (err) {
+    logError(err, 'captureMatchLocation');
+    return null;
+  }
+};
+
+// Outcomes offered after dialling a confirmer; the server keeps the call log
+const CALL_OUTCOME_OPTIONS = [
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'not_reachable', label: 'Not reachable' },
+  { value: 'asked_to_hold', label: 'Asked to hold' },
+  { value: 'asked_to_release', label: 'Asked to release' }
+];
+
+// Masked phones (e.g. 98******10) cannot be dialled
+const isDialable = (phone) => !!phone && !String(phone).includes('*');
+
 export default function SearchResultsScreen({ route, navigation }) {
   const { q = '', preloadedData = null, fromDashboard = false, instantSearch = false, offline = false } = route.params || {};
   const insets = useSafeAreaInsets();
@@ -49,6 +92,7 @@ export default function SearchResultsScreen({ route, navigation }) {
   const [detailOpen, setDetailOpen] = useState(false);
   const [detail, setDetail] = useState(null);
   const [confirming, setConfirming] = useState(false);
+  const [pendingCall, setPendingCall] = useState(null);
   const [chassisInput, setChassisInput] = useState('');
   const [regSuffixInput, setRegSuffixInput] = useState(q);
   const [offlineData, setOfflineData] = useState(null);
@@ -167,6 +211,97 @@ export default function SearchResultsScreen({ route, navigation }) {
     ]).start();
   }, [modalSlideAnim, modalOpacityAnim]);
 
+  // Confirm a match in the field: a photo of the vehicle and the current location go to the office
+  const confirmVehicle = async (vehicle) => {
+    if (!vehicle?._id) return;
+    try {
+      const permission = await ImagePicker.requestCameraPermissionsAsync();
+      if (permission.status !== 'granted') {
+        Alert.alert('Permission Denied', 'Camera access is required to photograph the vehicle');
+        return;
+      }
+      const shot = await ImagePicker.launchCameraAsync({ mediaTypes: getImageMediaType(), allowsEditing: false, quality: 0.7 });
+      if (shot.canceled || !shot.assets?.length) return;
+
+      setConfirming(true);
+      const location = await captureMatchLocation();
+      const token = await SecureStore.getItemAsync('token');
+      const photoUri = shot.assets[0].uri;
+      const formData = new FormData();
+      formData.append('photo', {
+        uri: photoUri,
+        name: photoUri.split('/').pop() || 'match.jpg',
+        type: 'image/jpeg'
+      });
+      formData.append('vehicleType', vehicle.vehicleType || '');
+      if (location) formData.append('location', JSON.stringify(location));
+
+      // Use fetch instead of axios for better React Native FormData support
+      const response = await fetch(`${getBaseURL()}/api/tenant/data/vehicle/${vehicle._id}/confirm`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `Confirm failed with status ${response.status}`);
+      }
+      Alert.alert('Vehicle Confirmed', location ? 'The office has been alerted with your location.' : 'The office has been alerted. Your location could not be shared.');
+      closeModal();
+    } catch (err) {
+      logError(err, 'confirmVehicle');
+      Alert.alert('Confirm Failed', err.message || 'Failed to confirm vehicle');
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  // Dial a confirmer; the attempt is logged first so the office sees it even if no outcome follows
+  const callConfirmer = async (vehicle, ref, phone) => {
+    if (!vehicle?._id || !phone) return;
+    let callId = null;
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      const response = await fetch(`${getBaseURL()}/api/tenant/data/vehicle/${vehicle._id}/confirmer-calls`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...ref, vehicleType: vehicle.vehicleType || '' })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (response.ok && result.success) callId = result.data?.call?._id || null;
+      else logError(new Error(result.message || `Call log failed with status ${response.status}`), 'callConfirmer');
+    } catch (err) {
+      logError(err, 'callConfirmer');
+    }
+    try {
+      await Linking.openURL(`tel:${String(phone).replace(/[^\d+]/g, '')}`);
+    } catch (err) {
+      logError(err, 'callConfirmer.dial');
+    }
+    if (callId) setPendingCall({ vehicleId: vehicle._id, vehicleType: vehicle.vehicleType || '', callId });
+  };
+
+  const recordCallOutcome = async (outcome) => {
+    const call = pendingCall;
+    setPendingCall(null);
+    if (!call || !outcome) return;
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      const response = await fetch(`${getBaseURL()}/api/tenant/data/vehicle/${call.vehicleId}/confirmer-calls/${call.callId}`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outcome, vehicleType: call.vehicleType })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `Saving outcome failed with status ${response.status}`);
+      }
+    } catch (err) {
+      logError(err, 'recordCallOutcome');
+      Alert.alert('Call Outcome', err.message || 'Failed to save call outcome');
+    }
+  };
+
   const closeModal = useCallback(() => {
     // INSTANT HIDE: close immediately to allow instant next input
     setDetailOpen(false);
@@ -737,14 +872,8 @@ export default function SearchResultsScreen({ route, navigation }) {
             headers: { Authorization: `Bearer ${token}` },
             params: { q: qVal, type: type, limit: 1000 }
           });
-          let items = res.data?.data || [];
-          if (type === 'reg') {
-            const tail = new RegExp(String(qVal) + '$', 'i');
-            items = items.filter(it => tail.test(String(it.regNo)));
-          } else if (type === 'chassis') {
-            const needle = String(qVal).trim().toLowerCase();
-            items = items.filter(it => String(it.chassisNo || '').toLowerCase().includes(needle));
-          }
+          // Server results are already ranked; close (fuzzy) matches come after exact ones
+          const items = res.data?.data || [];
           const unique = dedupeResults(items);
           setSearchCache(prev => {
             const newCache = new Map(prev);
@@ -789,6 +918,9 @@ export default function SearchResultsScreen({ route, navigation }) {
       return tail ? parseInt(tail[0], 10) : Number.MAX_SAFE_INTEGER;
     };
     const cmp = (a, b) => {
+      // Vehicles allocated to this agent stay on top
+      const allocated = Number(Boolean(b.allocated)) - Number(Boolean(a.allocated));
+      if (allocated !== 0) return allocated;
       const ka = getKey(a);
       const kb = getKey(b);
       const alpha = ka.localeCompare(kb, undefined, { sensitivity: 'base' });
@@ -1068,6 +1200,7 @@ export default function SearchResultsScreen({ route, navigation }) {
                   }
                 }}>
                   <Text numberOfLines={1} style={[styles.listTitle, { color: theme.textPrimary }]}>{item.regNo || ''}</Text>
+                  {!!item.allocated && <Text style={styles.allocatedBadge}>Allocated</Text>}
                 </TouchableOpacity>
               ))}
             </View>
@@ -1100,6 +1233,7 @@ export default function SearchResultsScreen({ route, navigation }) {
                   }
                 }}>
                   <Text numberOfLines={1} style={[styles.listTitle, { color: theme.textPrimary }]}>{item.regNo || ''}</Text>
+                  {!!item.allocated && <Text style={styles.allocatedBadge}>Allocated</Text>}
                 </TouchableOpacity>
               ))}
             </View>
@@ -1206,6 +1340,14 @@ export default function SearchResultsScreen({ route, navigation }) {
                               <Text style={[styles.compactDetailValue, { color: theme.textPrimary }]}>
                                 {confirmer.phoneNumber || 'N/A'}
                               </Text>
+                              {isDialable(confirmer.phoneNumber) && (
+                                <TouchableOpacity
+                                  style={styles.callIcon}
+                                  onPress={() => callConfirmer(detail, { source: 'agency', agencyConfirmerId: confirmer._id }, confirmer.phoneNumber)}
+                                >
+                                  <Text style={styles.whatsappIconText}>📞</Text>
+                                </TouchableOpacity>
+                              )}
                               {confirmer.phoneNumber && (
                                 <TouchableOpacity 
                                   style={styles.whatsappIcon}
@@ -1252,6 +1394,20 @@ export default function SearchResultsScreen({ route, navigation }) {
                       }}>
                         <Text style={styles.whatsBtnText}>📱 Share on WhatsApp</Text>
                       </TouchableOpacity>
+
+                      <TouchableOpacity style={styles.seizureBtn} onPress={() => {
+                        const vehicle = {
+                          _id: detail._id,
+                          vehicleType: detail.vehicleType,
+                          regNo: detail.regNo,
+                          chassisNo: detail.chassisNo,
+                          bank: detail.bank
+                        };
+                        closeModal();
+                        navigation.navigate('SeizureReport', { vehicle });
+                      }}>
+                        <Text style={styles.seizureBtnText}>📸 Report Seizure</Text>
+                      </TouchableOpacity>
                     </View>
                   </>
                 ) : (
@@ -1331,6 +1487,14 @@ export default function SearchResultsScreen({ route, navigation }) {
                               <Text style={[styles.compactDetailValue, { color: theme.textPrimary }]}>
                                 {detail.firstConfirmerPhone || 'N/A'}
                               </Text>
+                              {isDialable(detail.firstConfirmerPhone) && (
+                                <TouchableOpacity
+                                  style={styles.callIcon}
+                                  onPress={() => callConfirmer(detail, { source: 'bank', slot: 1 }, detail.firstConfirmerPhone)}
+                                >
+                                  <Text style={styles.whatsappIconText}>📞</Text>
+                                </TouchableOpacity>
+                              )}
                               {detail.firstConfirmerPhone && (
                                 <TouchableOpacity 
                                   style={styles.whatsappIcon}
@@ -1360,6 +1524,14 @@ export default function SearchResultsScreen({ route, navigation }) {
                               <Text style={[styles.compactDetailValue, { color: theme.textPrimary }]}>
                                 {detail.secondConfirmerPhone || 'N/A'}
                               </Text>
+                              {isDialable(detail.secondConfirmerPhone) && (
+                                <TouchableOpacity
+                                  style={styles.callIcon}
+                                  onPress={() => callConfirmer(detail, { source: 'bank', slot: 2 }, detail.secondConfirmerPhone)}
+                                >
+                                  <Text style={styles.whatsappIconText}>📞</Text>
+                                </TouchableOpacity>
+                              )}
                               {detail.secondConfirmerPhone && (
                                 <TouchableOpacity 
                                   style={styles.whatsappIcon}
@@ -1389,6 +1561,14 @@ export default function SearchResultsScreen({ route, navigation }) {
                               <Text style={[styles.compactDetailValue, { color: theme.textPrimary }]}>
                                 {detail.thirdConfirmerPhone || 'N/A'}
                               </Text>
+                              {isDialable(detail.thirdConfirmerPhone) && (
+                                <TouchableOpacity
+                                  style={styles.callIcon}
+                                  onPress={() => callConfirmer(detail, { source: 'bank', slot: 3 }, detail.thirdConfirmerPhone)}
+                                >
+                                  <Text style={styles.whatsappIconText}>📞</Text>
+                                </TouchableOpacity>
+                              )}
                               {detail.thirdConfirmerPhone && (
                                 <TouchableOpacity 
                                   style={styles.whatsappIcon}
@@ -1408,17 +1588,7 @@ export default function SearchResultsScreen({ route, navigation }) {
 
                     {/* Action Buttons */}
                     <View style={styles.actionSection}>
-                      <TouchableOpacity style={styles.primaryBtn} onPress={async () => {
-                        try {
-                          setConfirming(true);
-                          const token = await SecureStore.getItemAsync('token');
-                          await axios.put(`${getBaseURL()}/api/tenant/data/vehicle/${detail._id}/confirm`, {}, {
-                            headers: { Authorization: `Bearer ${token}` }
-                          });
-                          setConfirming(false);
-                          closeModal();
-                        } catch (_) { setConfirming(false); }
-                      }}>
+                      <TouchableOpacity style={styles.primaryBtn} disabled={confirming} onPress={() => confirmVehicle(detail)}>
                         <Text style={styles.primaryBtnText}>
                           {confirming ? '⏳ Confirming...' : '✅ Confirm Vehicle'}
                         </Text>
@@ -1445,6 +1615,20 @@ export default function SearchResultsScreen({ route, navigation }) {
                       }}>
                         <Text style={styles.whatsBtnText}>📱 Share on WhatsApp</Text>
                       </TouchableOpacity>
+
+                      <TouchableOpacity style={styles.seizureBtn} onPress={() => {
+                        const vehicle = {
+                          _id: detail._id,
+                          vehicleType: detail.vehicleType,
+                          regNo: detail.regNo,
+                          chassisNo: detail.chassisNo,
+                          bank: detail.bank
+                        };
+                        closeModal();
+                        navigation.navigate('SeizureReport', { vehicle });
+                      }}>
+                        <Text style={styles.seizureBtnText}>📸 Report Seizure</Text>
+                      </TouchableOpacity>
                     </View>
                   </>
                 )}
@@ -1458,6 +1642,22 @@ export default function SearchResultsScreen({ route, navigation }) {
           </Animated.View>
         </View>
       </Modal>
+
+      <Modal visible={!!pendingCall} transparent animationType="fade" onRequestClose={() => recordCallOutcome(null)}>
+        <View style={styles.outcomeBackdrop}>
+          <View style={[styles.outcomeCard, { backgroundColor: theme.cardBg }]}>
+            <Text style={[styles.sectionTitle, { color: theme.textPrimary }]}>How did the call go?</Text>
+            {CALL_OUTCOME_OPTIONS.map(option => (
+              <TouchableOpacity key={option.value} style={styles.outcomeBtn} onPress={() => recordCallOutcome(option.value)}>
+                <Text style={styles.outcomeBtnText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity onPress={() => recordCallOutcome(null)}>
+              <Text style={styles.linkish}>Skip</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -1472,6 +1672,7 @@ const styles = StyleSheet.create({
   title: { color: '#111', fontSize: 16, fontWeight: '800' },
   listItem: { paddingVertical: 2, paddingHorizontal: 4, borderWidth: 1, borderColor: '#F1F1F1', borderRadius: 8, backgroundColor: '#fff' },
   listTitle: { color: '#111', fontSize: 18, fontWeight: '800' },
+  allocatedBadge: { alignSelf: 'flex-start', marginTop: 4, paddingHorizontal: 6, paddingVertical: 2, borderRadius: 6, backgroundColor: 'rgba(16,185,129,0.15)', color: '#10B981', fontSize: 11, fontWeight: '700' },
   muted: { color: '#666', fontSize: 12 },
   badge: { backgroundColor: '#222636', color: '#fff', paddingHorizontal: 8, paddingVertical: 4, borderRadius: 8, fontSize: 12, fontWeight: '700' }
   ,input: { backgroundColor: '#F3F4F6', borderRadius: 10, paddingHorizontal: 12, paddingVertical: 10, fontWeight: '700', color: '#111' }
@@ -1501,6 +1702,8 @@ const styles = StyleSheet.create({
   ,primaryBtnText: { color: '#fff', fontWeight: '700', fontSize: 16 }
   ,whatsBtn: { backgroundColor: '#25D366', borderRadius: 12, paddingHorizontal: 20, paddingVertical: 15, alignItems: 'center', elevation: 2, shadowColor: '#000', shadowOffset: { width: 0, height: 2 }, shadowOpacity: 0.1, shadowRadius: 4 }
   ,whatsBtnText: { color: '#fff', fontWeight: '700', fontSize: 16 }
+  ,seizureBtn: { backgroundColor: '#B45309', borderRadius: 12, paddingHorizontal: 20, paddingVertical: 15, alignItems: 'center', elevation: 2, shadowColor: '#000', shadowOffset: { width: 0, height: 2 }, shadowOpacity: 0.1, shadowRadius: 4 }
+  ,seizureBtnText: { color: '#fff', fontWeight: '700', fontSize: 16 }
   ,loadingContainer: { padding: 40, alignItems: 'center' }
   ,loadingText: { marginTop: 15, color: '#666', fontSize: 16, fontWeight: '500' }
   ,linkish: { color: '#007AFF', textAlign: 'center' }
@@ -1511,6 +1714,11 @@ const styles = StyleSheet.create({
   ,segTextActive: { color: '#fff' }
   ,whatsappIcon: { width: 30, height: 30, borderRadius: 15, backgroundColor: '#25D366', alignItems: 'center', justifyContent: 'center', marginLeft: 10 }
   ,whatsappIconText: { fontSize: 16, color: '#fff' }
+  ,callIcon: { width: 30, height: 30, borderRadius: 15, backgroundColor: '#007AFF', alignItems: 'center', justifyContent: 'center', marginLeft: 10 }
+  ,outcomeBackdrop: { flex: 1, backgroundColor: 'rgba(0,0,0,0.5)', justifyContent: 'center', padding: 24 }
+  ,outcomeCard: { borderRadius: 16, padding: 20, gap: 10 }
+  ,outcomeBtn: { backgroundColor: '#222636', borderRadius: 10, paddingVertical: 12, alignItems: 'center' }
+  ,outcomeBtnText: { color: '#fff', fontWeight: '700', fontSize: 15 }
   
   // Loading skeleton styles
   ,loadingSkeleton: { flex: 1, paddingVertical: 8 }
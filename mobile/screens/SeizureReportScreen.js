@@ -0,0 +1,489 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, TextInput, Image, ActivityIndicator, Alert, StatusBar } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import Ionicons from '@expo/vector-icons/Ionicons';
+import * as SecureStore from 'expo-secure-store';
+import * as ImagePicker from 'expo-image-picker';
+import * as Location from 'expo-location';
+import { getBaseURL } from '../utils/config';
+import { logError, showErrorAlert, getErrorMessage } from '../utils/errorHandler';
+
+const MAX_PHOTOS = 12;
+
+const CONDITION_ITEMS = ['Body', 'Tyres', 'Lights', 'Glass', 'Seats', 'Engine starts', 'Battery'];
+const CONDITION_STATUSES = [
+  { key: 'ok', label: 'OK', color: '#10B981' },
+  { key: 'damaged', label: 'Damaged', color: '#F59E0B' },
+  { key: 'missing', label: 'Missing', color: '#EF4444' }
+];
+const INVENTORY_ITEMS = ['Keys', 'RC book', 'Spare tyre', 'Jack & tools', 'Helmet', 'Music system'];
+
+// expo-image-picker v17 renamed the media type enum; fall back through older names
+const getImageMediaType = () => {
+  if (ImagePicker.MediaType?.Images) return ImagePicker.MediaType.Images;
+  if (ImagePicker.MediaType?.IMAGE) return [ImagePicker.MediaType.IMAGE];
+  if (ImagePicker.MediaTypeOptions?.Images) return ImagePicker.MediaTypeOptions.Images;
+  return 'images';
+};
+
+export default function SeizureReportScreen({ route, navigation }) {
+  const { vehicle } = route.params || {};
+  const [photos, setPhotos] = useState([]);
+  const [location, setLocation] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [odometerReading, setOdometerReading] = useState('');
+  const [condition, setCondition] = useState(
+    CONDITION_ITEMS.reduce((acc, item) => ({ ...acc, [item]: 'ok' }), {})
+  );
+  const [inventory, setInventory] = useState({});
+  const [extraInventory, setExtraInventory] = useState('');
+  const [yardHandover, setYardHandover] = useState({ yardName: '', yardLocation: '', receivedBy: '', receivedByPhone: '' });
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const captureLocation = useCallback(async () => {
+    try {
+      setLocating(true);
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        showErrorAlert('Permission Denied', 'Location access is required to file a seizure report');
+        return;
+      }
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      setLocation({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        capturedAt: new Date(position.timestamp || Date.now()).toISOString()
+      });
+    } catch (err) {
+      logError(err, 'captureLocation');
+      showErrorAlert('Location Error', getErrorMessage(err, 'Could not get current location'));
+    } finally {
+      setLocating(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    captureLocation();
+  }, [captureLocation]);
+
+  const addPhoto = async (fromCamera) => {
+    if (photos.length >= MAX_PHOTOS) {
+      showErrorAlert('Limit Reached', `You can attach up to ${MAX_PHOTOS} photos`);
+      return;
+    }
+    try {
+      const permission = fromCamera
+        ? await ImagePicker.requestCameraPermissionsAsync()
+        : await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (permission.status !== 'granted') {
+        showErrorAlert('Permission Denied', fromCamera ? 'Camera access is required to take photos' : 'Media library access is required to attach photos');
+        return;
+      }
+
+      const options = { mediaTypes: getImageMediaType(), allowsEditing: false, quality: 0.8 };
+      const result = fromCamera
+        ? await ImagePicker.launchCameraAsync(options)
+        : await ImagePicker.launchImageLibraryAsync({ ...options, allowsMultipleSelection: true, selectionLimit: MAX_PHOTOS - photos.length });
+
+      if (!result.canceled && result.assets) {
+        setPhotos(prev => [...prev, ...result.assets.map(a => a.uri)].slice(0, MAX_PHOTOS));
+      }
+    } catch (err) {
+      logError(err, 'addPhoto');
+      showErrorAlert('Error', getErrorMessage(err, 'Failed to add photo'));
+    }
+  };
+
+  const removePhoto = (uri) => {
+    setPhotos(prev => prev.filter(p => p !== uri));
+  };
+
+  const toggleInventory = (item) => {
+    setInventory(prev => {
+      const next = { ...prev };
+      if (next[item]) delete next[item];
+      else next[item] = true;
+      return next;
+    });
+  };
+
+  const submitReport = async () => {
+    if (photos.length === 0) {
+      showErrorAlert('Photos Required', 'Add at least one photo of the vehicle');
+      return;
+    }
+    if (!location) {
+      showErrorAlert('Location Required', 'Capture the current location before submitting');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const token = await SecureStore.getItemAsync('token');
+      if (!token) {
+        showErrorAlert('Authentication Error', 'Please login again');
+        return;
+      }
+
+      const inventoryList = [
+        ...Object.keys(inventory),
+        ...extraInventory.split(',').map(s => s.trim()).filter(Boolean)
+      ].map(item => ({ item, quantity: 1 }));
+
+      const formData = new FormData();
+      photos.forEach((uri, index) => {
+        formData.append('photos', {
+          uri,
+          name: uri.split('/').pop() || `seizure_${index + 1}.jpg`,
+          type: 'image/jpeg'
+        });
+      });
+      formData.append('vehicleType', vehicle?.vehicleType || '');
+      formData.append('location', JSON.stringify(location));
+      formData.append('odometerReading', odometerReading);
+      formData.append('condition', JSON.stringify(Object.entries(condition).map(([item, status]) => ({ item, status }))));
+      formData.append('inventory', JSON.stringify(inventoryList));
+      formData.append('yardHandover', JSON.stringify({ ...yardHandover, handoverAt: new Date().toISOString() }));
+      formData.append('notes', notes);
+
+      // Use fetch instead of axios for better React Native FormData support
+      const response = await fetch(`${getBaseURL()}/api/tenant/seizure-reports/vehicle/${vehicle._id}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `Upload failed with status ${response.status}`);
+      }
+
+      Alert.alert('Report Submitted', 'Seizure report has been sent to the office', [
+        { text: 'OK', onPress: () => navigation.goBack() }
+      ]);
+    } catch (err) {
+      logError(err, 'submitSeizureReport');
+      showErrorAlert('Submit Failed', getErrorMessage(err, 'Failed to submit seizure report'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!vehicle?._id) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Text style={styles.errorText}>No vehicle selected</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" />
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backIcon}>‹</Text>
+        </TouchableOpacity>
+        <View style={{ flex: 1, marginLeft: 12 }}>
+          <Text style={styles.title}>Report Seizure</Text>
+          <Text style={styles.subtitle}>{vehicle.regNo || vehicle.chassisNo || ''}{vehicle.bank ? ` · ${vehicle.bank}` : ''}</Text>
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Photos ({photos.length}/{MAX_PHOTOS})</Text>
+          <View style={styles.photoGrid}>
+            {photos.map(uri => (
+              <View key={uri} style={styles.photoWrap}>
+                <Image source={{ uri }} style={styles.photo} />
+                <TouchableOpacity style={styles.photoRemove} onPress={() => removePhoto(uri)}>
+                  <Ionicons name="close" size={14} color="#fff" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+          <View style={styles.row}>
+            <TouchableOpacity style={styles.secondaryBtn} onPress={() => addPhoto(true)}>
+              <Ionicons name="camera" size={18} color="#4F46E5" />
+              <Text style={styles.secondaryBtnText}>Take photo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryBtn} onPress={() => addPhoto(false)}>
+              <Ionicons name="images" size={18} color="#4F46E5" />
+              <Text style={styles.secondaryBtnText}>Gallery</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Location</Text>
+          {locating ? (
+            <ActivityIndicator size="small" color="#4F46E5" />
+          ) : location ? (
+            <Text style={styles.value}>
+              {location.latitude.toFixed(6)}, {location.longitude.toFixed(6)}
+              {location.accuracy ? `  (±${Math.round(location.accuracy)} m)` : ''}
+            </Text>
+          ) : (
+            <Text style={styles.errorText}>Location not captured</Text>
+          )}
+          <TouchableOpacity style={[styles.secondaryBtn, { marginTop: 8 }]} onPress={captureLocation} disabled={locating}>
+            <Ionicons name="locate" size={18} color="#4F46E5" />
+            <Text style={styles.secondaryBtnText}>Refresh location</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Odometer (km)</Text>
+          <TextInput
+            style={styles.input}
+            value={odometerReading}
+            onChangeText={(t) => setOdometerReading(t.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            placeholder="e.g. 45210"
+          />
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Condition</Text>
+          {CONDITION_ITEMS.map(item => (
+            <View key={item} style={styles.checklistRow}>
+              <Text style={styles.checklistLabel}>{item}</Text>
+              <View style={styles.row}>
+                {CONDITION_STATUSES.map(s => (
+                  <TouchableOpacity
+                    key={s.key}
+                    style={[styles.chip, condition[item] === s.key && { backgroundColor: s.color, borderColor: s.color }]}
+                    onPress={() => setCondition(prev => ({ ...prev, [item]: s.key }))}
+                  >
+                    <Text style={[styles.chipText, condition[item] === s.key && { color: '#fff' }]}>{s.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Items inside the vehicle</Text>
+          <View style={styles.photoGrid}>
+            {INVENTORY_ITEMS.map(item => (
+              <TouchableOpacity
+                key={item}
+                style={[styles.chip, inventory[item] && styles.chipSelected]}
+                onPress={() => toggleInventory(item)}
+              >
+                <Text style={[styles.chipText, inventory[item] && { color: '#fff' }]}>{item}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={[styles.input, { marginTop: 8 }]}
+            value={extraInventory}
+            onChangeText={setExtraInventory}
+            placeholder="Other items, comma separated"
+          />
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Yard handover</Text>
+          {[
+            ['yardName', 'Yard name'],
+            ['yardLocation', 'Yard location'],
+            ['receivedBy', 'Received by'],
+            ['receivedByPhone', 'Receiver phone']
+          ].map(([key, label]) => (
+            <TextInput
+              key={key}
+              style={[styles.input, { marginBottom: 8 }]}
+              value={yardHandover[key]}
+              onChangeText={(t) => setYardHandover(prev => ({ ...prev, [key]: t }))}
+              placeholder={label}
+              keyboardType={key === 'receivedByPhone' ? 'phone-pad' : 'default'}
+            />
+          ))}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Notes</Text>
+          <TextInput
+            style={[styles.input, { minHeight: 80, textAlignVertical: 'top' }]}
+            value={notes}
+            onChangeText={setNotes}
+            placeholder="Anything the office should know"
+            multiline
+          />
+        </View>
+
+        <TouchableOpacity style={[styles.primaryBtn, submitting && { opacity: 0.7 }]} onPress={submitReport} disabled={submitting}>
+          {submitting ? <ActivityIndicator color="#fff" /> : <Text style={styles.primaryBtnText}>Submit Report</Text>}
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  header: {
+    backgroundColor: '#4F46E5',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    elevation: 5,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backIcon: {
+    color: '#fff',
+    fontSize: 24,
+    fontWeight: '600',
+    marginLeft: -2,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  subtitle: {
+    color: 'rgba(255, 255, 255, 0.85)',
+    fontSize: 13,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#000',
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  photoWrap: {
+    position: 'relative',
+  },
+  photo: {
+    width: 90,
+    height: 90,
+    borderRadius: 8,
+    backgroundColor: '#E5E7EB',
+  },
+  photoRemove: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  secondaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    borderWidth: 1,
+    borderColor: '#4F46E5',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    alignSelf: 'flex-start',
+  },
+  secondaryBtnText: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  errorText: {
+    color: '#F44336',
+    fontSize: 14,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: '#000',
+  },
+  checklistRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  checklistLabel: {
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  chipSelected: {
+    backgroundColor: '#4F46E5',
+    borderColor: '#4F46E5',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#333',
+    fontWeight: '600',
+  },
+  primaryBtn: {
+    backgroundColor: '#222636',
+    borderRadius: 12,
+    paddingVertical: 15,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  primaryBtnText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 16,
+  },
+});
@@ -17,6 +17,7 @@ import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import { logError, getErrorMessage } from '../utils/errorHandler';
+import { endServerSession } from '../utils/deviceSession';
 
 export default function SuperAdminDashboardScreen({ navigation }) {
   // State Management
@@ -162,7 +163,9 @@ export default function SuperAdminDashboardScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
+              await endServerSession();
               await SecureStore.deleteItemAsync('token');
+              await SecureStore.deleteItemAsync('refreshToken');
               await SecureStore.deleteItemAsync('userData');
               await SecureStore.deleteItemAsync('agent');
               navigation.replace('Login');
@@ -18,6 +18,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
+import { endServerSession } from '../utils/deviceSession';
 
 export default function TenantAdminDashboardScreen({ navigation }) {
   const [userData, setUserData] = useState(null);
@@ -103,7 +104,9 @@ export default function TenantAdminDashboardScreen({ navigation }) {
 
   const handleLogout = async () => {
     try {
+      await endServerSession();
       await SecureStore.deleteItemAsync('token');
+      await SecureStore.deleteItemAsync('refreshToken');
       await SecureStore.deleteItemAsync('userData');
       await SecureStore.deleteItemAsync('agent');
       navigation.replace('Login');
@@ -6,15 +6,23 @@ import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { getBaseURL } from '../utils/config';
 import { logError, getErrorMessage } from '../utils/errorHandler';
+import { PERMISSIONS, hasPermission, refreshUserPermissions } from '../utils/permissions';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 
+// Yard check-in/check-out happens from the web Yard Management screen
+const YARD_STATUSES = ['In Yard', 'Released'];
+const getStatusActions = (vehicle) => (vehicle?.status === 'In Yard'
+  ? []
+  : (vehicle?.allowedTransitions || []).filter(status => !YARD_STATUSES.includes(status)));
+
 export default function VehicleDataDetailsScreen({ route, navigation }) {
   const { uploadId, vehicleType, fileName } = route.params || {};
   const [vehicles, setVehicles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [canDelete, setCanDelete] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [chassisNumber, setChassisNumber] = useState('');
   const [registrationNumber, setRegistrationNumber] = useState('');
@@ -24,6 +32,8 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
   const [selectedVehicle, setSelectedVehicle] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
   const [detailLoading, setDetailLoading] = useState(false);
+  const [statusHistory, setStatusHistory] = useState([]);
+  const [statusNote, setStatusNote] = useState('');
 
   const fetchVehicles = useCallback(async (isRefresh = false, isLoadMore = false) => {
     if (isRefresh) {
@@ -100,6 +110,11 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
     fetchVehicles(true);
   }, [fetchVehicles]);
 
+  // Delete is only offered to users holding the delete files permission
+  useEffect(() => {
+    refreshUserPermissions().then(user => setCanDelete(hasPermission(user, PERMISSIONS.DELETE_FILES)));
+  }, []);
+
   const handleDeleteVehicle = useCallback(async (vehicleId) => {
     Alert.alert(
       'Delete Vehicle',
@@ -127,10 +142,25 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
     );
   }, [handleRefresh]);
 
+  const fetchStatusHistory = useCallback(async (vehicleId) => {
+    try {
+      const token = await SecureStore.getItemAsync('token');
+      const response = await axios.get(`${getBaseURL()}/api/tenant/data/vehicle/${vehicleId}/history`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setStatusHistory(response.data.success ? (response.data.data || []) : []);
+    } catch (err) {
+      logError(err, 'fetchStatusHistory');
+      setStatusHistory([]);
+    }
+  }, []);
+
   const handleViewDetails = useCallback(async (vehicle) => {
     setDetailLoading(true);
     setSelectedVehicle(vehicle);
     setShowDetailModal(true);
+    setStatusHistory([]);
+    setStatusNote('');
 
     try {
       const token = await SecureStore.getItemAsync('token');
@@ -140,29 +170,38 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
 
       if (response.data.success) {
         setSelectedVehicle(response.data.data);
+        fetchStatusHistory(vehicle._id);
       }
     } catch (err) {
       logError(err, 'handleViewDetails');
     } finally {
       setDetailLoading(false);
     }
-  }, []);
+  }, [fetchStatusHistory]);
 
   const handleUpdateStatus = useCallback(async (vehicleId, newStatus) => {
     try {
       const token = await SecureStore.getItemAsync('token');
-      await axios.put(`${getBaseURL()}/api/tenant/data/vehicle/${vehicleId}/status`, { status: newStatus }, {
+      const response = await axios.put(`${getBaseURL()}/api/tenant/data/vehicle/${vehicleId}/status`, {
+        status: newStatus,
+        note: statusNote,
+        vehicleType: selectedVehicle?.vehicleType
+      }, {
         headers: { Authorization: `Bearer ${token}` }
       });
 
-      setSelectedVehicle(prev => prev ? { ...prev, status: newStatus } : null);
-      setVehicles(prev => prev.map(v => v._id === vehicleId ? { ...v, status: newStatus } : v));
+      const updated = response.data?.data || {};
+      const status = updated.status || newStatus;
+      setSelectedVehicle(prev => prev ? { ...prev, status, allowedTransitions: updated.allowedTransitions || [] } : null);
+      setVehicles(prev => prev.map(v => v._id === vehicleId ? { ...v, status } : v));
+      setStatusNote('');
+      fetchStatusHistory(vehicleId);
       Alert.alert('Success', 'Status updated successfully');
     } catch (err) {
       logError(err, 'handleUpdateStatus');
-      Alert.alert('Error', 'Failed to update status');
+      Alert.alert('Error', getErrorMessage(err, 'Failed to update status'));
     }
-  }, []);
+  }, [statusNote, selectedVehicle?.vehicleType, fetchStatusHistory]);
 
   const handleExportCSV = useCallback(async () => {
     try {
@@ -240,16 +279,19 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
         <TouchableOpacity onPress={() => handleViewDetails(item)}>
           <Ionicons name="eye" size={20} color="#4F46E5" />
         </TouchableOpacity>
-        <TouchableOpacity onPress={() => handleDeleteVehicle(item._id)}>
-          <Ionicons name="trash" size={20} color="#EF4444" />
-        </TouchableOpacity>
+        {canDelete && (
+          <TouchableOpacity onPress={() => handleDeleteVehicle(item._id)}>
+            <Ionicons name="trash" size={20} color="#EF4444" />
+          </TouchableOpacity>
+        )}
       </View>
     </TouchableOpacity>
-  ), [handleViewDetails, handleDeleteVehicle]);
+  ), [handleViewDetails, handleDeleteVehicle, canDelete]);
 
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
       case 'pending': return '#FFA500';
+      case 'confirmed': return '#6366F1';
       case 'hold': return '#F59E0B';
       case 'in yard': case 'inyard': return '#3B82F6';
       case 'released': return '#10B981';
@@ -435,6 +477,26 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
                     </View>
                   </View>
                 )}
+                <View style={styles.detailCard}>
+                  <Text style={styles.cardTitle}>Status History</Text>
+                  {statusHistory.length === 0 ? (
+                    <Text style={styles.detailLabel}>No status changes recorded</Text>
+                  ) : (
+                    statusHistory.map((entry) => (
+                      <View key={entry._id} style={styles.historyRow}>
+                        <View style={styles.historyStatusRow}>
+                          <Text style={[styles.historyStatus, { color: getStatusColor(entry.fromStatus) }]}>{entry.fromStatus || 'Pending'}</Text>
+                          <Ionicons name="arrow-forward" size={14} color="#666" />
+                          <Text style={[styles.historyStatus, { color: getStatusColor(entry.toStatus) }]}>{entry.toStatus}</Text>
+                        </View>
+                        <Text style={styles.detailLabel}>
+                          {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'N/A'} · {entry.actorName || String(entry.actorType || '').replace('_', ' ') || 'N/A'}
+                        </Text>
+                        {!!entry.note && <Text style={styles.detailValue}>{entry.note}</Text>}
+                      </View>
+                    ))
+                  )}
+                </View>
                 {selectedVehicle.raw && Object.keys(selectedVehicle.raw).length > 0 && (
                   <View style={styles.detailCard}>
                     <Text style={styles.cardTitle}>Additional Fields</Text>
@@ -453,23 +515,25 @@ export default function VehicleDataDetailsScreen({ route, navigation }) {
               </>
             ) : null}
           </ScrollView>
-          <View style={styles.modalFooter}>
-            <TouchableOpacity style={[styles.statusButton, { backgroundColor: '#FFA500' }]} onPress={() => handleUpdateStatus(selectedVehicle?._id, 'Pending')}>
-              <Text style={styles.statusButtonText}>Pending</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={[styles.statusButton, { backgroundColor: '#F59E0B' }]} onPress={() => handleUpdateStatus(selectedVehicle?._id, 'Hold')}>
-              <Text style={styles.statusButtonText}>Hold</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={[styles.statusButton, { backgroundColor: '#3B82F6' }]} onPress={() => handleUpdateStatus(selectedVehicle?._id, 'In Yard')}>
-              <Text style={styles.statusButtonText}>In Yard</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={[styles.statusButton, { backgroundColor: '#10B981' }]} onPress={() => handleUpdateStatus(selectedVehicle?._id, 'Released')}>
-              <Text style={styles.statusButtonText}>Released</Text>
-            </TouchableOpacity>
-            <TouchableOpacity style={[styles.statusButton, { backgroundColor: '#EF4444' }]} onPress={() => handleUpdateStatus(selectedVehicle?._id, 'Cancelled')}>
-              <Text style={styles.statusButtonText}>Cancel</Text>
-            </TouchableOpacity>
-          </View>
+          {getStatusActions(selectedVehicle).length > 0 && (
+            <View style={styles.modalFooter}>
+              <TextInput
+                style={styles.noteInput}
+                placeholder="Note (optional)"
+                value={statusNote}
+                onChangeText={setStatusNote}
+              />
+              {getStatusActions(selectedVehicle).map((status) => (
+                <TouchableOpacity
+                  key={status}
+                  style={[styles.statusButton, { backgroundColor: getStatusColor(status) }]}
+                  onPress={() => handleUpdateStatus(selectedVehicle._id, status)}
+                >
+                  <Text style={styles.statusButtonText}>{status}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
         </SafeAreaView>
       </Modal>
     </SafeAreaView>
@@ -732,4 +796,27 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
+  noteInput: {
+    width: '100%',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 4,
+  },
+  historyRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  historyStatusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  historyStatus: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
 });
\ No newline at end of file
@@ -1,8 +1,11 @@
 import * as SecureStore from 'expo-secure-store';
 import axios from 'axios';
 import { Alert } from 'react-native';
+import { getBaseURL } from './config';
 
 let navigationRef = null;
+// Refresh in flight; parallel 401s wait for it because a refresh token works only once
+let refreshPromise = null;
 
 // Set navigation reference for logout
 export const setNavigationRef = (ref) => {
@@ -15,6 +18,7 @@ const forceLogout = async (message = 'You have been logged out. Please login aga
   try {
     // Clear all stored data
     await SecureStore.deleteItemAsync('token');
+    await SecureStore.deleteItemAsync('refreshToken');
     await SecureStore.deleteItemAsync('agent');
     await SecureStore.deleteItemAsync('userData');
     
@@ -56,6 +60,25 @@ const forceLogout = async (message = 'You have been logged out. Please login aga
   }
 };
 
+// Swap the stored refresh token for a new access token. Resolves to null when the user
+// signed in before refresh tokens existed.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await SecureStore.getItemAsync('refreshToken');
+      if (!refreshToken) return null;
+      const res = await axios.post(`${getBaseURL()}/api/unified-auth/refresh`, { refreshToken }, { timeout: 15000 });
+      const { token, refreshToken: nextRefreshToken } = res.data.data;
+      await SecureStore.setItemAsync('token', token);
+      await SecureStore.setItemAsync('refreshToken', nextRefreshToken);
+      return token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Setup axios interceptor
 export const setupAuthInterceptor = () => {
   // Response interceptor
@@ -67,7 +90,7 @@ export const setupAuthInterceptor = () => {
     async (error) => {
       // Skip interceptor for login endpoints to avoid logout loops
       const requestUrl = error.config?.url || '';
-      if (requestUrl.includes('/login') || requestUrl.includes('/unified-auth/login')) {
+      if (requestUrl.includes('/login') || requestUrl.includes('/unified-auth/login') || requestUrl.includes('/unified-auth/refresh')) {
         return Promise.reject(error);
       }
 
@@ -84,6 +107,26 @@ export const setupAuthInterceptor = () => {
           return Promise.reject(new Error('Force logout'));
         }
         
+        // Access token expired: refresh it silently and replay the request once
+        if (responseData?.code === 'TOKEN_EXPIRED' && !error.config?._retried) {
+          let token = null;
+          try {
+            token = await refreshAccessToken();
+          } catch (refreshError) {
+            if (refreshError.response?.status === 401) {
+              await forceLogout(refreshError.response.data?.message || 'Your session has expired. Please login again.');
+              return Promise.reject(new Error('Force logout'));
+            }
+            // Offline or server error: keep the session and let the caller handle the failure
+            return Promise.reject(error);
+          }
+          if (token) {
+            const retryConfig = { ...error.config, _retried: true };
+            retryConfig.headers = { ...error.config.headers, Authorization: `Bearer ${token}` };
+            return axios(retryConfig);
+          }
+        }
+        
         // For other 401 errors, check if token exists
         // If token exists but we got 401, it might be expired
         const token = await SecureStore.getItemAsync('token');
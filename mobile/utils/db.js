@@ -127,6 +127,15 @@ export const initDatabase = async () => {
       _id TEXT PRIMARY KEY
     )`);
     console.log('✅ Sync table created/verified');
+    // Key/value sync state (e.g. the offline snapshot version this database matches)
+    await executeSql(db, `CREATE TABLE IF NOT EXISTS sync_state (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    )`);
+    // Vehicle ids allocated to the logged-in agent, ranked first in search results
+    await executeSql(db, `CREATE TABLE IF NOT EXISTS my_allocations (
+      _id TEXT PRIMARY KEY
+    )`);
     
     // Test database connection
     const testResult = await executeSql(db, 'SELECT COUNT(*) as count FROM vehicles');
@@ -424,8 +433,8 @@ export const searchByRegSuffix = async (suffix) => {
   const db = getDatabase();
   const clean = String(suffix || '').replace(/\D/g, '').slice(0, 4);
   if (!/^\d{4}$/.test(clean)) return [];
-  const res = await executeSql(db, `SELECT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address
-    FROM vehicles WHERE regSuffix = ?`, [clean]);
+  const res = await executeSql(db, `SELECT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address, (_id IN (SELECT _id FROM my_allocations)) AS allocated
+    FROM vehicles WHERE regSuffix = ? ORDER BY allocated DESC`, [clean]);
   return res?.rows?._array || [];
 };
 
@@ -438,9 +447,10 @@ export const searchByRegSuffixPartial = async (partial) => {
   const patternAny = `%${clean}%`; // contains the digits anywhere
   // Prefer indexed regSuffix; also fallback to regNo LIKE (end) and (anywhere)
   const res = await executeSql(db, `
-    SELECT DISTINCT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address
+    SELECT DISTINCT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address, (_id IN (SELECT _id FROM my_allocations)) AS allocated
     FROM vehicles 
     WHERE regSuffix LIKE ? OR regNo LIKE ? OR regNo LIKE ?
+    ORDER BY allocated DESC
     LIMIT 100
   `, [patternEnd, patternEnd, patternAny]);
   return res?.rows?._array || [];
@@ -453,8 +463,8 @@ export const searchByRegNoSuffixLike = async (suffix) => {
   if (!/^\d{4}$/.test(clean)) return [];
   const patternEnd = `%${clean}`;
   const patternAny = `%${clean}%`;
-  const res = await executeSql(db, `SELECT DISTINCT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address
-    FROM vehicles WHERE regNo LIKE ? OR regNo LIKE ? LIMIT 200`, [patternEnd, patternAny]);
+  const res = await executeSql(db, `SELECT DISTINCT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address, (_id IN (SELECT _id FROM my_allocations)) AS allocated
+    FROM vehicles WHERE regNo LIKE ? OR regNo LIKE ? ORDER BY allocated DESC LIMIT 200`, [patternEnd, patternAny]);
   return res?.rows?._array || [];
 };
 
@@ -462,8 +472,8 @@ export const searchByChassis = async (needle) => {
   const db = getDatabase();
   const q = String(needle || '').trim().toLowerCase();
   if (q.length < 3) return [];
-  const res = await executeSql(db, `SELECT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address
-    FROM vehicles WHERE chassisLc LIKE ?`, [`%${q}%`] );
+  const res = await executeSql(db, `SELECT _id, vehicleType, regNo, chassisNo, loanNo, bank, make, customerName, address, (_id IN (SELECT _id FROM my_allocations)) AS allocated
+    FROM vehicles WHERE chassisLc LIKE ? ORDER BY allocated DESC`, [`%${q}%`] );
   return res?.rows?._array || [];
 };
 
@@ -683,4 +693,125 @@ export const getExistingIds = async (ids) => {
   return existing;
 };
 
+// ---- Offline snapshot versions and delta packs ----
+const SNAPSHOT_VERSION_KEY = 'snapshotVersion';
+// Server scope key of the snapshot ('' for an unrestricted snapshot)
+const SNAPSHOT_SCOPE_KEY = 'snapshotScope';
+const SNAPSHOT_COLUMNS = ['_id', 'vehicleType', 'regNo', 'regSuffix', 'chassisNo', 'chassisLc', 'loanNo', 'bank', 'make', 'customerName', 'address'];
+
+// Run statements ([sql, params] pairs) atomically: all of them apply or none do
+const runInTransaction = async (statements) => {
+  const db = getDatabase();
+  if (_isNewAPI) {
+    await runLocked(async () => {
+      db.runSync('BEGIN TRANSACTION');
+      try {
+        for (const [sql, params] of statements) db.runSync(sql, params || []);
+        db.runSync('COMMIT');
+      } catch (error) {
+        try { db.runSync('ROLLBACK'); } catch (_) {}
+        throw error;
+      }
+    });
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    db.transaction(tx => {
+      for (const [sql, params] of statements) tx.executeSql(sql, params || []);
+    }, reject, resolve);
+  });
+};
+
+// Snapshot version the local vehicles table matches (0 when it did not come from a snapshot)
+export const getSnapshotVersion = async () => {
+  try {
+    const db = getDatabase();
+    const res = await executeSql(db, 'SELECT value FROM sync_state WHERE key = ?', [SNAPSHOT_VERSION_KEY]);
+    return parseInt(res?.rows?._array?.[0]?.value, 10) || 0;
+  } catch (_) {
+    return 0;
+  }
+};
+
+// Scope key of the restricted snapshot the local vehicles came from ('' when unrestricted)
+export const getSnapshotScope = async () => {
+  try {
+    const db = getDatabase();
+    const res = await executeSql(db, 'SELECT value FROM sync_state WHERE key = ?', [SNAPSHOT_SCOPE_KEY]);
+    return res?.rows?._array?.[0]?.value || '';
+  } catch (_) {
+    return '';
+  }
+};
+
+const setSnapshotVersionStatement = (version) => [
+  'INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)',
+  [SNAPSHOT_VERSION_KEY, String(version)]
+];
+
+// Apply a delta pack from GET /offline-snapshot/delta in one transaction, then record its version
+export const applySnapshotDelta = async (delta) => {
+  await initDatabase();
+  const columns = Array.isArray(delta?.columns) ? delta.columns : SNAPSHOT_COLUMNS;
+  const unknown = columns.filter(c => !SNAPSHOT_COLUMNS.includes(c));
+  if (unknown.length > 0) throw new Error(`Unsupported snapshot columns: ${unknown.join(', ')}`);
+
+  const statements = [];
+  const deletes = (delta?.deletes || []).map(id => String(id));
+  for (let i = 0; i < deletes.length; i += 900) {
+    const chunk = deletes.slice(i, i + 900);
+    statements.push([`DELETE FROM vehicles WHERE _id IN (${chunk.map(() => '?').join(',')})`, chunk]);
+  }
+  const upsertSql = `INSERT OR REPLACE INTO vehicles (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(',')})`;
+  for (const row of delta?.upserts || []) {
+    statements.push([upsertSql, row.map(v => (v === null || v === undefined ? '' : String(v)))]);
+  }
+  statements.push(setSnapshotVersionStatement(delta.to));
+
+  await runInTransaction(statements);
+  console.log(`✅ Snapshot delta ${delta.from} → ${delta.to} applied: ${delta?.upserts?.length || 0} upserts, ${deletes.length} deletes`);
+  return { upserts: delta?.upserts?.length || 0, deletes: deletes.length };
+};
+
+// Replace all local vehicles with a downloaded full snapshot file (new expo-sqlite API only)
+export const replaceVehiclesFromSnapshot = async (fileUri, version, scopeKey = '') => {
+  if (!_isNewAPI) return false;
+  await initDatabase();
+  const db = getDatabase();
+  const filePath = String(fileUri).replace(/^file:\/\//, '');
+  const columns = SNAPSHOT_COLUMNS.join(', ');
+  await runLocked(async () => {
+    // ATTACH is not allowed inside a transaction
+    db.runSync('ATTACH DATABASE ? AS snap', [filePath]);
+    try {
+      db.runSync('BEGIN TRANSACTION');
+      try {
+        db.runSync('DELETE FROM vehicles');
+        db.runSync(`INSERT INTO vehicles (${columns}) SELECT ${columns} FROM snap.vehicles`);
+        db.runSync(...setSnapshotVersionStatement(version));
+        db.runSync('INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)', [SNAPSHOT_SCOPE_KEY, scopeKey || '']);
+        db.runSync('COMMIT');
+      } catch (error) {
+        try { db.runSync('ROLLBACK'); } catch (_) {}
+        throw error;
+      }
+    } finally {
+      db.runSync('DETACH DATABASE snap');
+    }
+  });
+  console.log(`✅ Local vehicles replaced from snapshot v${version}`);
+  return true;
+};
 
+// Replace the ids of the vehicles allocated to the logged-in agent (GET /api/tenant/territories/mine)
+export const replaceMyAllocations = async (ids = []) => {
+  await initDatabase();
+  const unique = [...new Set((ids || []).map(id => String(id)))];
+  const statements = [['DELETE FROM my_allocations']];
+  for (let i = 0; i < unique.length; i += 500) {
+    const chunk = unique.slice(i, i + 500);
+    statements.push([`INSERT OR IGNORE INTO my_allocations (_id) VALUES ${chunk.map(() => '(?)').join(',')}`, chunk]);
+  }
+  await runInTransaction(statements);
+  return unique.length;
+};
@@ -0,0 +1,54 @@
+import * as Device from 'expo-device';
+import * as SecureStore from 'expo-secure-store';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
+import axios from 'axios';
+import { getBaseURL } from './config';
+
+const DEVICE_ID_KEY = 'deviceInstallId';
+
+/**
+ * Id of this app install, created on first use. The server binds agent accounts to it,
+ * so it must stay the same across logins.
+ * @returns {Promise<string>}
+ */
+export async function getDeviceId() {
+  let deviceId = await SecureStore.getItemAsync(DEVICE_ID_KEY);
+  if (!deviceId) {
+    const random = Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 10)).join('');
+    deviceId = `${Platform.OS}-${Date.now().toString(36)}-${random}`;
+    await SecureStore.setItemAsync(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Device fields sent with login requests
+ * @returns {Promise<{deviceId: string, deviceName: string, platform: string, appVersion: string}>}
+ */
+export async function getDeviceInfo() {
+  return {
+    deviceId: await getDeviceId(),
+    deviceName: Device.deviceName || Device.modelName || 'Unknown Device',
+    platform: Platform.OS,
+    appVersion: Constants?.expoConfig?.version || ''
+  };
+}
+
+/**
+ * Tell the server this device's session has ended (logout). Failures are ignored:
+ * the local logout goes ahead either way.
+ * @returns {Promise<void>}
+ */
+export async function endServerSession() {
+  try {
+    const token = await SecureStore.getItemAsync('token');
+    if (!token) return;
+    await axios.post(`${getBaseURL()}/api/unified-auth/logout`, {}, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 5000
+    });
+  } catch (error) {
+    console.log('⚠️ Could not end server session:', error.message);
+  }
+}
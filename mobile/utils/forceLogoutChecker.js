@@ -22,6 +22,7 @@ export const performForceLogout = async (message = 'You have been logged out by
   try {
     // Clear all stored data
     await SecureStore.deleteItemAsync('token');
+    await SecureStore.deleteItemAsync('refreshToken');
     await SecureStore.deleteItemAsync('agent');
     await SecureStore.deleteItemAsync('userData');
     
@@ -4,6 +4,7 @@ import { Platform } from 'react-native';
 import axios from 'axios';
 import * as SecureStore from 'expo-secure-store';
 import { getBaseURL } from './config';
+import { getDeviceId } from './deviceSession';
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -50,6 +51,26 @@ export async function requestNotificationPermissions() {
         enableVibrate: true,
         showBadge: true,
       });
+      await Notifications.setNotificationChannelAsync('vehicle_alerts', {
+        name: 'Vehicle Match Alerts',
+        description: 'Alerts when an agent confirms a vehicle in the field',
+        importance: Notifications.AndroidImportance.MAX,
+        vibrationPattern: [0, 500, 250, 500],
+        lightColor: '#EF4444',
+        sound: 'default',
+        enableVibrate: true,
+        showBadge: true,
+      });
+      await Notifications.setNotificationChannelAsync('subscription', {
+        name: 'Subscription',
+        description: 'Renewal reminders and subscription status changes',
+        importance: Notifications.AndroidImportance.HIGH,
+        vibrationPattern: [0, 250, 250, 250],
+        lightColor: '#4F46E5',
+        sound: 'default',
+        enableVibrate: true,
+        showBadge: true,
+      });
     }
 
     console.log('✅ Notification permissions granted');
@@ -117,7 +138,7 @@ export async function registerDeviceToken(token) {
       {
         token,
         platform,
-        deviceId: Device.modelId || '',
+        deviceId: await getDeviceId(),
         deviceName,
         appVersion,
       },
@@ -175,6 +196,35 @@ export async function unregisterDeviceToken(token) {
   }
 }
 
+/**
+ * Acknowledge a vehicle match alert so it is not escalated
+ * @param {string} notificationId - Alert id from the notification data
+ * @returns {Promise<boolean>} True if acknowledged
+ */
+export async function acknowledgeMatchAlert(notificationId) {
+  try {
+    const authToken = await SecureStore.getItemAsync('token');
+    if (!authToken || !notificationId) {
+      return false;
+    }
+
+    await axios.post(
+      `${getBaseURL()}/api/tenant/match-alerts/${notificationId}/acknowledge`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${authToken}` },
+        timeout: 10000,
+      }
+    );
+
+    console.log('✅ Match alert acknowledged');
+    return true;
+  } catch (error) {
+    console.error('❌ Error acknowledging match alert:', error.message);
+    return false;
+  }
+}
+
 /**
  * Setup notification listeners
  * @param {Function} onNotificationReceived - Callback when notification is received
@@ -195,7 +245,7 @@ export function setupNotificationListeners(onNotificationReceived) {
     const data = response.notification.request.content.data;
     
     // Handle notification tap
-    if (data?.type === 'file_upload') {
+    if (['file_upload', 'data_expiry', 'vehicle_match', 'subscription'].includes(data?.type)) {
       // Navigate to sync screen or relevant screen
       if (onNotificationReceived) {
         onNotificationReceived(response.notification, true);
@@ -0,0 +1,60 @@
+import * as SecureStore from 'expo-secure-store';
+import axios from 'axios';
+import { getBaseURL } from './config';
+
+// Named permissions granted by the server (server/utils/permissions.js)
+export const PERMISSIONS = {
+  UPLOAD_DATA: 'upload_data',
+  DELETE_FILES: 'delete_files',
+  APPROVE_PAYMENTS: 'approve_payments',
+  MANAGE_AGENTS: 'manage_agents',
+  VIEW_REPORTS: 'view_reports',
+  MANAGE_FIELD_VISIBILITY: 'manage_field_visibility',
+  MANAGE_YARDS: 'manage_yards'
+};
+
+export const PERMISSION_LABELS = {
+  upload_data: 'Upload data',
+  delete_files: 'Delete files and vehicles',
+  approve_payments: 'Approve payments',
+  manage_agents: 'Manage repo agents',
+  view_reports: 'View reports',
+  manage_field_visibility: 'Change field visibility',
+  manage_yards: 'Manage yards'
+};
+
+/**
+ * Whether the signed-in user holds a permission
+ * @param {Object} userData - Stored user ('userData')
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(userData, permission) {
+  return Boolean(userData?.permissions?.includes(permission));
+}
+
+/**
+ * Reload the user's permissions from the server, so role template changes made by an admin
+ * show up without signing in again. Falls back to the stored user when offline.
+ * @returns {Promise<Object|null>} Stored user with current permissions
+ */
+export async function refreshUserPermissions() {
+  const stored = await SecureStore.getItemAsync('userData');
+  const userData = stored ? JSON.parse(stored) : null;
+  try {
+    const token = await SecureStore.getItemAsync('token');
+    if (!token || !userData) return userData;
+    const res = await axios.get(`${getBaseURL()}/api/unified-auth/profile`, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 10000
+    });
+    const permissions = res.data?.data?.user?.permissions;
+    if (!Array.isArray(permissions)) return userData;
+    const updated = { ...userData, permissions };
+    await SecureStore.setItemAsync('userData', JSON.stringify(updated));
+    return updated;
+  } catch (error) {
+    console.log('⚠️ Could not refresh permissions:', error.message);
+    return userData;
+  }
+}
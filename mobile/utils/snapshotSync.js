@@ -0,0 +1,120 @@
+import axios from 'axios';
+import * as SecureStore from 'expo-secure-store';
+import * as FileSystem from 'expo-file-system/legacy';
+import { getBaseURL } from './config';
+import { initDatabase, getSnapshotVersion, getSnapshotScope, applySnapshotDelta, replaceVehiclesFromSnapshot } from './db';
+
+const SNAPSHOT_TMP = `${FileSystem.cacheDirectory}rapidrepo-snapshot.db`;
+
+// Download response headers arrive with server or lowercased names depending on the platform
+const responseHeader = (headers, name) => {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+};
+
+const authHeaders = async () => {
+  const token = await SecureStore.getItemAsync('token');
+  if (!token) throw new Error('Please login again.');
+  return { Authorization: `Bearer ${token}` };
+};
+
+// Download the whole snapshot, verify it and swap it in for the local vehicles.
+// Agents limited to a territory get a copy cut for them, checksummed in the response headers.
+const downloadFullSnapshot = async (headers, meta, onProgress) => {
+  onProgress({ status: `Downloading full snapshot v${meta.version}...`, progress: 10 });
+  try { await FileSystem.deleteAsync(SNAPSHOT_TMP, { idempotent: true }); } catch (_) {}
+
+  const download = FileSystem.createDownloadResumable(
+    `${getBaseURL()}/api/tenant/data/offline-snapshot`,
+    SNAPSHOT_TMP,
+    { headers },
+    ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+      if (!totalBytesExpectedToWrite) return;
+      const pct = totalBytesWritten / totalBytesExpectedToWrite;
+      onProgress({ status: `Downloading full snapshot v${meta.version}...`, progress: 10 + Math.round(pct * 75) });
+    }
+  );
+  const result = await download.downloadAsync();
+  if (!result || result.status !== 200) throw new Error('Snapshot download failed');
+
+  try {
+    const md5 = meta.md5 || responseHeader(result.headers, 'X-Snapshot-Md5');
+    if (md5) {
+      const info = await FileSystem.getInfoAsync(SNAPSHOT_TMP, { md5: true });
+      if (info.md5 && info.md5 !== md5) throw new Error('Snapshot download is corrupted, please retry');
+    }
+    onProgress({ status: 'Saving offline data...', progress: 90 });
+    const scopeKey = responseHeader(result.headers, 'X-Snapshot-Scope') || '';
+    const replaced = await replaceVehiclesFromSnapshot(SNAPSHOT_TMP, meta.version, scopeKey);
+    if (!replaced) return { mode: 'unsupported' };
+    return { mode: 'full', version: meta.version };
+  } finally {
+    try { await FileSystem.deleteAsync(SNAPSHOT_TMP, { idempotent: true }); } catch (_) {}
+  }
+};
+
+/**
+ * Bring the offline vehicles table up to the latest server snapshot.
+ * Applies a delta pack when the server still has the change log from the local
+ * version, otherwise downloads the full snapshot.
+ * Resolves { mode: 'unavailable' } when the server has no snapshots, so callers
+ * can fall back to the per-file sync.
+ */
+export const syncSnapshot = async (onProgress = () => {}) => {
+  await initDatabase();
+  const headers = await authHeaders();
+  const base = getBaseURL();
+
+  onProgress({ status: 'Checking offline snapshot...', progress: 2 });
+  let meta;
+  try {
+    const res = await axios.get(`${base}/api/tenant/data/offline-snapshot-meta`, { headers, timeout: 15000 });
+    meta = res.data;
+  } catch (error) {
+    if (error.response?.status === 404) return { mode: 'unavailable' };
+    throw error;
+  }
+  if (!meta?.version) return { mode: 'unavailable' };
+
+  const localVersion = await getSnapshotVersion();
+  // What the agent may see changed (territories, allocations or the tenant's mode): start over
+  const localScope = await getSnapshotScope();
+  if (localVersion && (meta.scopeKey || '') !== localScope) {
+    console.log('📦 Offline snapshot scope changed, downloading full snapshot');
+    return downloadFullSnapshot(headers, meta, onProgress);
+  }
+  if (localVersion === meta.version) {
+    onProgress({ status: 'Already up to date!', progress: 100 });
+    return { mode: 'upToDate', version: meta.version };
+  }
+  if (!localVersion) return downloadFullSnapshot(headers, meta, onProgress);
+
+  onProgress({ status: `Fetching changes since v${localVersion}...`, progress: 10 });
+  let delta;
+  try {
+    const res = await axios.get(`${base}/api/tenant/data/offline-snapshot/delta`, {
+      headers,
+      params: { from: localVersion, scope: localScope || undefined },
+      timeout: 120000
+    });
+    delta = res.data;
+  } catch (error) {
+    // Builder unavailable on this server: a full snapshot is still downloadable
+    if (error.response?.status === 501) return downloadFullSnapshot(headers, meta, onProgress);
+    throw error;
+  }
+
+  if (delta?.upToDate) {
+    onProgress({ status: 'Already up to date!', progress: 100 });
+    return { mode: 'upToDate', version: delta.to };
+  }
+  if (delta?.fullSnapshotRequired) {
+    console.log(`📦 Delta from v${localVersion} unavailable (${delta.reason}), downloading full snapshot`);
+    return downloadFullSnapshot(headers, delta.meta || meta, onProgress);
+  }
+
+  onProgress({ status: `Applying ${delta.upserts?.length || 0} updates and ${delta.deletes?.length || 0} removals...`, progress: 60 });
+  const applied = await applySnapshotDelta(delta);
+  onProgress({ status: `Updated to v${delta.to}`, progress: 100 });
+  return { mode: 'delta', version: delta.to, ...applied };
+};
@@ -1,6 +1,41 @@
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
 const { validationResult } = require('express-validator');
+const { revokeUserSessions } = require('../utils/authTokens');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { PLAN_FEATURES, PLAN_LIMITS } = require('../models/SubscriptionPlan');
+
+const PLAN_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Plan fields a super admin may set, as paths for plan.set()
+const planFieldsFromBody = (body) => {
+  const fields = {};
+  for (const key of ['name', 'description', 'isActive', 'displayOrder']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (body.code !== undefined) fields.code = String(body.code).trim().toLowerCase();
+  if (Array.isArray(body.features)) {
+    fields.features = body.features.map(feature => String(feature).trim()).filter(Boolean);
+  }
+  for (const period of PLAN_PERIODS) {
+    if (body.pricing?.[period] !== undefined) fields[`pricing.${period}`] = Number(body.pricing[period]);
+  }
+  for (const key of PLAN_FEATURES) {
+    if (body.featureFlags?.[key] !== undefined) fields[`featureFlags.${key}`] = body.featureFlags[key] === true || body.featureFlags[key] === 'true';
+  }
+  for (const key of PLAN_LIMITS) {
+    if (body.limits?.[key] !== undefined) fields[`limits.${key}`] = parseInt(body.limits[key], 10);
+  }
+  return fields;
+};
+
+// Tenants on a plan, by planId or (for tenants created before the catalogue) by code
+const tenantsOnPlanQuery = (plan) => ({
+  $or: [
+    { 'subscription.planId': plan._id },
+    { 'subscription.planId': null, 'subscription.plan': plan.code }
+  ]
+});
 
 // Get all users (with pagination and filters)
 const getAllUsers = async (req, res) => {
@@ -199,6 +234,11 @@ const updateUser = async (req, res) => {
 
     await user.save();
 
+    // A deactivated account is signed out everywhere straight away
+    if (isActive === false) {
+      await revokeUserSessions({ userId: user._id, by: req.user.userId || req.user._id, reason: 'deactivated' });
+    }
+
     const updatedUser = await User.findById(id)
       .populate('tenantId', 'name domain')
       .select('-password');
@@ -240,6 +280,7 @@ const deleteUser = async (req, res) => {
     }
 
     await User.findByIdAndDelete(id);
+    await revokeUserSessions({ userId: user._id, by: req.user.userId || req.user._id, reason: 'account_deleted' });
 
     res.json({
       success: true,
@@ -380,6 +421,162 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+// Get the plan catalogue with the number of tenants on each plan
+const getPlans = async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find().sort({ displayOrder: 1, createdAt: 1 }).lean();
+    const data = await Promise.all(plans.map(async (plan) => ({
+      ...plan,
+      tenantCount: await Tenant.countDocuments(tenantsOnPlanQuery(plan))
+    })));
+
+    res.json({
+      success: true,
+      data: { plans: data, featureKeys: PLAN_FEATURES, limitKeys: PLAN_LIMITS }
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create plan
+const createPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const fields = planFieldsFromBody(req.body);
+    const existingPlan = await SubscriptionPlan.findOne({ code: fields.code });
+    if (existingPlan) {
+      return res.status(400).json({
+        success: false,
+        message: 'A plan with this code already exists'
+      });
+    }
+
+    const plan = new SubscriptionPlan();
+    plan.set(fields);
+    await plan.save();
+    console.log(`📋 Plan ${plan.code} created`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update plan; tenants and subscriptions on it pick up the new flags and limits straight away
+const updatePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await SubscriptionPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const fields = planFieldsFromBody(req.body);
+    const previousCode = plan.code;
+    if (fields.code && fields.code !== previousCode) {
+      const existingPlan = await SubscriptionPlan.findOne({ code: fields.code, _id: { $ne: plan._id } });
+      if (existingPlan) {
+        return res.status(400).json({
+          success: false,
+          message: 'A plan with this code already exists'
+        });
+      }
+    }
+
+    const tenantsQuery = tenantsOnPlanQuery(plan);
+    plan.set(fields);
+    await plan.save();
+
+    // Tenants keep a copy of the code for reports and invoices
+    if (plan.code !== previousCode) {
+      await Tenant.updateMany(tenantsQuery, { $set: { 'subscription.planId': plan._id, 'subscription.plan': plan.code } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete plan
+const deletePlan = async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    // Plans in use can only be deactivated, so no tenant is left without entitlements
+    const tenantCount = await Tenant.countDocuments(tenantsOnPlanQuery(plan));
+    if (tenantCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a plan used by ${tenantCount} tenant(s). Move them to another plan or deactivate it instead.`
+      });
+    }
+
+    await SubscriptionPlan.findByIdAndDelete(plan._id);
+
+    res.json({
+      success: true,
+      message: 'Plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -387,7 +584,11 @@ module.exports = {
   updateUser,
   deleteUser,
   getAllTenants,
-  getDashboardStats
+  getDashboardStats,
+  getPlans,
+  createPlan,
+  updatePlan,
+  deletePlan
 };
 
 
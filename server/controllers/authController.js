@@ -1,15 +1,9 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
 const { validationResult } = require('express-validator');
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
-  });
-};
+const { getSessionConnection, startAuthSession, revokeUserSessions } = require('../utils/authTokens');
+const { revokeSessions } = require('../utils/deviceSessions');
 
 // Register new user
 const register = async (req, res) => {
@@ -69,8 +63,8 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken, expiresIn } = await startAuthSession({ user, userType: 'main_user', req });
 
     // Update last login
     user.lastLogin = new Date();
@@ -89,7 +83,9 @@ const register = async (req, res) => {
           tenantId: user.tenantId,
           isEmailVerified: user.isEmailVerified
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -150,8 +146,8 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken, expiresIn } = await startAuthSession({ user, userType: 'main_user', req });
 
     // Update last login
     user.lastLogin = new Date();
@@ -171,7 +167,9 @@ const login = async (req, res) => {
           isEmailVerified: user.isEmailVerified,
           profilePicture: user.profilePicture
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -272,7 +270,7 @@ const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(req.user.userId).select('+password');
+    const user = await User.findById(req.user._id || req.user.userId).select('+password');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -293,6 +291,9 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other session; this one stays logged in
+    await revokeUserSessions({ userId: user._id, exceptSessionId: req.sessionId, by: user._id, reason: 'password_changed' });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -315,6 +316,11 @@ const logout = async (req, res) => {
       lastLogin: new Date()
     });
 
+    // End this session so its refresh token cannot be used again
+    if (req.sessionId) {
+      await revokeSessions(await getSessionConnection(), { _id: req.sessionId }, { by: req.user._id, reason: 'logout' });
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -364,8 +370,8 @@ const registerSuperAdmin = async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken, expiresIn } = await startAuthSession({ user, userType: 'main_user', req });
 
     // Update last login
     user.lastLogin = new Date();
@@ -384,7 +390,9 @@ const registerSuperAdmin = async (req, res) => {
           tenantId: user.tenantId,
           isEmailVerified: user.isEmailVerified
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
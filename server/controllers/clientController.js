@@ -1,8 +1,45 @@
 const mongoose = require('mongoose');
 const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const { getActorRole, ACTOR_ROLES } = require('../utils/vehicleLifecycle');
+const {
+  DATA_EXPIRY_ACTIONS,
+  MAX_VALIDITY_DAYS,
+  parseValidityDays,
+  purgeTenantExpiredVehicles
+} = require('../utils/purgeExpiredVehicles');
+const { DUPLICATE_POLICIES, DEFAULT_DUPLICATE_POLICY, parseDuplicatePolicy } = require('../utils/uploadConflicts');
+const { getTenantEntitlements, checkQuota, planLimitError } = require('../utils/planEntitlements');
+
+// Validate the data expiry and duplicate settings sent with a client; returns { error } or the parsed values
+const parseExpirySettings = (body = {}) => {
+  const settings = {};
+  if (body.dataValidityDays !== undefined) {
+    const days = parseValidityDays(body.dataValidityDays);
+    if (days === undefined) {
+      return { error: `Data validity must be a whole number of days between 1 and ${MAX_VALIDITY_DAYS}` };
+    }
+    settings.dataValidityDays = days;
+  }
+  if (body.expiryAction !== undefined) {
+    if (!DATA_EXPIRY_ACTIONS.includes(body.expiryAction)) {
+      return { error: `Expiry action must be one of: ${DATA_EXPIRY_ACTIONS.join(', ')}` };
+    }
+    settings.expiryAction = body.expiryAction;
+  }
+  if (body.duplicatePolicy !== undefined) {
+    const policy = parseDuplicatePolicy(body.duplicatePolicy);
+    if (policy === undefined) {
+      return { error: `Duplicate policy must be one of: ${DUPLICATE_POLICIES.join(', ')}` };
+    }
+    settings.duplicatePolicy = policy || DEFAULT_DUPLICATE_POLICY;
+  }
+  return { settings };
+};
 
 // Create client document inside tenant DB (consistent with other modules)
-const createClientDatabase = async (tenantName, clientName) => {
+const createClientDatabase = async (tenantName, clientName, settings = {}) => {
   try {
     const tenantDbName = `tenants_${tenantName.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
     const tenantDb = mongoose.connection.useDb(tenantDbName);
@@ -11,6 +48,9 @@ const createClientDatabase = async (tenantName, clientName) => {
       name: clientName,
       createdOn: new Date(),
       status: 'active',
+      dataValidityDays: settings.dataValidityDays ?? null,
+      expiryAction: settings.expiryAction || 'archive',
+      duplicatePolicy: settings.duplicatePolicy || DEFAULT_DUPLICATE_POLICY,
       collections: {
         users: [],
         logs: [],
@@ -27,7 +67,10 @@ const createClientDatabase = async (tenantName, clientName) => {
       _id: result.insertedId,
       name: clientName,
       createdOn: clientDoc.createdOn,
-      status: 'active'
+      status: 'active',
+      dataValidityDays: clientDoc.dataValidityDays,
+      expiryAction: clientDoc.expiryAction,
+      duplicatePolicy: clientDoc.duplicatePolicy
     };
   } catch (error) {
     console.error('Error creating client:', error);
@@ -66,14 +109,27 @@ const clientController = {
         });
       }
       
+      const { error, settings } = parseExpirySettings(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
       // Resolve tenant name for consistent DB naming
       const tenant = await Tenant.findById(tenantId);
       if (!tenant) {
         return res.status(404).json({ success: false, message: 'Tenant not found' });
       }
 
+      // Clients are the banks and NBFCs the tenant works for; the plan caps how many
+      const entitlements = await getTenantEntitlements(tenant);
+      const tenantDb = mongoose.connection.useDb(`tenants_${tenant.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}`);
+      const banks = checkQuota(entitlements.limits.maxBanks, await tenantDb.collection('clientmanagement').countDocuments({}));
+      if (!banks.allowed) {
+        return res.status(403).json(planLimitError(entitlements, 'maxBanks', banks, `Bank limit reached: your plan allows ${banks.limit}. Remove a bank or upgrade the plan to add more.`));
+      }
+
       // Create client in tenant database
-      const clientData = await createClientDatabase(tenant.name, name);
+      const clientData = await createClientDatabase(tenant.name, name, settings);
       
       res.status(201).json({
         success: true,
@@ -164,6 +220,11 @@ const clientController = {
           message: 'Client name is required' 
         });
       }
+
+      const { error, settings } = parseExpirySettings(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
       
       // Get tenant database
       const tenant = await Tenant.findById(tenantId);
@@ -173,21 +234,38 @@ const clientController = {
       const tenantDbName = `tenants_${tenant.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
       const tenantDb = mongoose.connection.useDb(tenantDbName);
       
-      const result = await tenantDb.collection('clientmanagement').updateOne(
-        { _id: new mongoose.Types.ObjectId(id) },
-        { $set: { name, updatedOn: new Date() } }
-      );
+      const before = await tenantDb.collection('clientmanagement').findOne({
+        _id: new mongoose.Types.ObjectId(id)
+      });
       
-      if (result.matchedCount === 0) {
+      if (!before) {
         return res.status(404).json({
           success: false,
           message: 'Client not found'
         });
       }
+
+      await tenantDb.collection('clientmanagement').updateOne(
+        { _id: before._id },
+        { $set: { name, ...settings, updatedOn: new Date() } }
+      );
+
+      // A new validity window applies to the bank's existing records too, counted from their upload date
+      let restamped = 0;
+      if (settings.dataValidityDays !== undefined && settings.dataValidityDays !== (before.dataValidityDays ?? null)) {
+        const conn = await getTenantDB(tenant.name);
+        restamped = await vehicleRepository.setBankVehicleExpiry(
+          conn,
+          { bankId: id, bankName: before.name },
+          settings.dataValidityDays
+        );
+        console.log(`🗓️ Data validity for ${before.name} set to ${settings.dataValidityDays || 'never'}: ${restamped} records updated`);
+      }
       
       res.json({
         success: true,
-        message: 'Client updated successfully'
+        message: 'Client updated successfully',
+        restamped
       });
       
     } catch (error) {
@@ -245,6 +323,35 @@ const clientController = {
     }
   },
 
+  // Run the expired data cleanup for this tenant now instead of waiting for the schedule
+  purgeExpiredData: async (req, res) => {
+    try {
+      if (getActorRole(req.user) !== ACTOR_ROLES.ADMIN) {
+        return res.status(403).json({ success: false, message: 'Only admins can purge expired data' });
+      }
+
+      const tenant = await Tenant.findById(req.user.tenantId);
+      if (!tenant) {
+        return res.status(404).json({ success: false, message: 'Tenant not found' });
+      }
+
+      const result = await purgeTenantExpiredVehicles(tenant);
+      res.json({
+        success: true,
+        message: `${result.archived} records archived, ${result.purged} records purged`,
+        data: result
+      });
+      
+    } catch (error) {
+      console.error('Error purging expired data:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to purge expired data',
+        error: error.message
+      });
+    }
+  },
+
   // Get client dashboard stats
   getClientStats: async (req, res) => {
     try {
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const Payment = require('../models/Payment');
 const Tenant = require('../models/Tenant');
 const UserSubscription = require('../models/UserSubscription');
@@ -5,11 +6,15 @@ const subscriptionController = require('./subscriptionController');
 require('../models/SubscriptionPlan');
 const { getTenantDB } = require('../config/database');
 const { getRepoAgentModel, getOfficeStaffModel } = require('../routes/tenantUsers');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLog');
+const { PERMISSIONS, getUserPermissions } = require('../utils/permissions');
+const { issueInvoice, invoiceFilePath } = require('../utils/gstInvoice');
+const { assessPayment } = require('../utils/paymentFraud');
 
 // Helper function for plan resolution
 function resolvePlanForPayment(tenant, payment) {
-  // Primary strategy: Use tenant.subscription.plan if it exists and is valid
-  if (tenant.subscription && tenant.subscription.plan && ['basic', 'premium', 'enterprise'].includes(tenant.subscription.plan)) {
+  // Primary strategy: Use the code of the tenant's catalogue plan (kept in tenant.subscription.plan)
+  if (tenant.subscription && tenant.subscription.plan) {
     return tenant.subscription.plan;
   }
 
@@ -17,17 +22,119 @@ function resolvePlanForPayment(tenant, payment) {
   return 'basic';
 }
 
-// Helper function for invoice generation
-async function generateInvoiceForPayment(payment) {
+// Helper function for invoice generation: number, GST split and PDF (see utils/gstInvoice)
+async function generateInvoiceForPayment(tenant, payment) {
   try {
-    const invoiceNumber = await Payment.generateInvoiceNumber();
-    return { invoiceNumber, invoiceGeneratedAt: new Date() };
+    await issueInvoice(tenant, payment);
+    return { invoiceNumber: payment.invoiceNumber, invoiceGeneratedAt: payment.invoiceGeneratedAt, invoiceUrl: payment.invoiceUrl };
   } catch (error) {
     console.error('Invoice generation failed for payment:', payment._id, error);
-    return null; // Invoice generation is non-critical
+    return null; // Invoice generation is non-critical; the download route retries it
   }
 }
 
+// Activate the subscription a payment pays for, mark the payment approved and issue its invoice.
+// Shared by admin approval and gateway webhooks; the caller has validated the payment is pending.
+async function activatePayment(tenant, payment, { planCode, mobileUserId, userType, approvedBy, processedByRole, processedByEmail, approvalNotes }) {
+  const existingSub = await UserSubscription.findOne({ tenantId: payment.tenantId, mobileUserId }).populate('planId');
+
+  let action = 'RENEW'; // default
+  if (!existingSub) {
+    action = 'CREATE';
+  } else if (['active', 'grace_period', 'past_due'].includes(existingSub.status)) {
+    action = 'RENEW';
+  } else if (['expired', 'cancelled', 'suspended'].includes(existingSub.status)) {
+    action = 'REACTIVATE';
+  }
+
+  let subscription = null;
+  let subscriptionUpdateSuccess = true;
+  let subscriptionError = null;
+  const history = { paymentId: payment._id, source: processedByRole === 'payment_gateway' ? 'gateway' : 'payment', actor: processedByEmail };
+
+  try {
+    if (action === 'CREATE') {
+      const result = await subscriptionController.createSubscription(payment.tenantId, mobileUserId, userType, planCode, payment.planPeriod, history);
+      if (result.success) {
+        subscription = result.subscription;
+      } else {
+        subscriptionUpdateSuccess = false;
+        subscriptionError = result.error;
+      }
+    } else if (action === 'RENEW') {
+      const result = await subscriptionController.renewSubscription(existingSub._id, { ...history, newBillingCycle: payment.planPeriod });
+      if (result.success) {
+        subscription = result.subscription;
+      } else {
+        subscriptionUpdateSuccess = false;
+        subscriptionError = result.error;
+      }
+    } else if (action === 'REACTIVATE') {
+      const result = await subscriptionController.reactivateSubscription(existingSub._id, planCode, payment.planPeriod, history);
+      if (result.success) {
+        subscription = result.subscription;
+      } else {
+        subscriptionUpdateSuccess = false;
+        subscriptionError = result.error;
+      }
+    }
+  } catch (error) {
+    console.error(`Subscription controller error for payment ${payment._id}:`, error);
+    subscriptionUpdateSuccess = false;
+    subscriptionError = error.message;
+  }
+
+  if (!subscriptionUpdateSuccess) {
+    console.error(`Subscription update failed for payment ${payment._id}:`, subscriptionError);
+    payment.metadata = { subscriptionUpdateError: subscriptionError, subscriptionUpdateCode: 'CONTROLLER_FAILURE' };
+    payment.retryCount = 0;
+    payment.nextRetryAt = new Date(Date.now() + 5 * 60 * 1000);
+    payment.retryReason = subscriptionError;
+  }
+
+  // Phase 4: Update Payment Document
+  if (!payment.submittedByMobileId) {
+    payment.submittedByMobileId = mobileUserId;
+  }
+  if (!payment.submittedByUserType && userType) {
+    payment.submittedByUserType = userType;
+  }
+  payment.status = 'approved';
+  payment.approvedBy = approvedBy;
+  payment.approvedAt = new Date();
+  payment.processedByRole = processedByRole;
+  payment.processedByEmail = processedByEmail;
+  if (approvalNotes) {
+    payment.approvalNotes = approvalNotes;
+  }
+  payment.subscriptionId = subscription?._id;
+  payment.effectiveStart = subscription?.currentPeriodStart || subscription?.startDate;
+  payment.effectiveEnd = subscription?.currentPeriodEnd || subscription?.endDate;
+  
+  // Schedule screenshot deletion 2 days after approval
+  if (payment.screenshotUrl) {
+    const deleteDate = new Date();
+    deleteDate.setDate(deleteDate.getDate() + 2);
+    payment.screenshotDeleteAt = deleteDate;
+  }
+
+  // Phase 5: Invoice Generation (after the approval details it prints are set)
+  const invoiceResult = await generateInvoiceForPayment(tenant, payment);
+  if (!invoiceResult) {
+    console.warn(`Invoice generation failed for payment ${payment._id}`);
+  }
+
+  await payment.save();
+
+  return { subscription, subscriptionUpdateSuccess, invoiceResult };
+}
+
+// Fraud checks are for approvers; payers get their payments without them
+const withoutFraudFields = (payment) => {
+  const { fraudFlags, screenshotHash, screenshotHashBands, transactionIdKey, ...rest } = payment.toObject ? payment.toObject() : payment;
+  return rest;
+};
+
 // User submits a payment proof (repo agent / office staff / admin)
 const submitPayment = async (req, res) => {
   try {
@@ -119,8 +226,9 @@ const submitPayment = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Transaction ID must be alphanumeric and at least 6 characters long' });
     }
 
-    // Check for duplicate transactionId before creating (application-level guard)
-    const existing = await Payment.findOne({ transactionId: txn });
+    // A transaction id can only be used once, across all tenants and ignoring case
+    // (application-level guard; the unique index on transactionIdKey covers races)
+    const existing = await Payment.findOne({ $or: [{ transactionIdKey: Payment.normalizeTransactionId(txn) }, { transactionId: txn }] }).select('_id');
     if (existing) {
       return res.status(400).json({ success: false, message: 'This transaction ID has already been submitted. Please check your payment history or use a different transaction ID' });
     }
@@ -146,6 +254,14 @@ const submitPayment = async (req, res) => {
       console.warn(`No price configured for ${planPeriod} plan in tenant ${tenantId}. Allowing payment to proceed.`);
     }
 
+    // Screenshot reuse and amount/date warnings for the approver (a hashing failure never blocks submission)
+    let assessment = { screenshotHash: null, flags: [] };
+    try {
+      assessment = await assessPayment({ tenantId, mobileUserId, amount, expectedAmount, transactionId: txn, screenshotUrl });
+    } catch (error) {
+      console.error('Payment fraud check error:', error);
+    }
+
     const payment = await Payment.create({
       tenantId,
       submittedByUserId: req.user?.userId || req.user?._id || undefined,
@@ -162,20 +278,31 @@ const submitPayment = async (req, res) => {
       screenshotUrl: screenshotUrl || undefined,
       status: 'pending',
       amountValidated: expectedAmount && expectedAmount > 0 ? true : false,
-      expectedAmount: expectedAmount || undefined
+      expectedAmount: expectedAmount || undefined,
+      screenshotHash: assessment.screenshotHash || undefined,
+      fraudFlags: assessment.flags
     });
 
-    return res.json({ success: true, message: 'Payment submitted', data: payment });
+    if (assessment.flags.some(f => f.severity === 'high')) {
+      console.warn(`⚠️ Payment ${txn} from ${user.name} flagged: ${assessment.flags.map(f => f.code).join(', ')}`);
+    }
+
+    return res.json({ success: true, message: 'Payment submitted', data: withoutFraudFields(payment) });
   } catch (err) {
     console.error('submitPayment error:', err);
     // Handle Mongo duplicate key error (race condition)
-    if (err && err.code === 11000 && err.keyPattern && err.keyPattern.transactionId) {
+    if (err && err.code === 11000 && err.keyPattern && (err.keyPattern.transactionId || err.keyPattern.transactionIdKey)) {
       return res.status(400).json({ success: false, message: 'This transaction ID is already in use. Please verify your transaction details' });
     }
     return res.status(500).json({ success: false, message: 'Internal server error' });
   }
 };
 
+const isSuperAdmin = (user) => user?.userType === 'main_user' && user.role === 'super_admin';
+
+// Tenant admins and staff only process their own tenant's payments
+const canProcessPayment = (user, payment) => isSuperAdmin(user) || String(payment.tenantId) === String(user?.tenantId);
+
 // Admin: list pending payments for tenant(s)
 const listPayments = async (req, res) => {
   try {
@@ -183,6 +310,8 @@ const listPayments = async (req, res) => {
     const query = {};
     if (status) query.status = status;
     if (tenantId) query.tenantId = tenantId;
+    // Only super admins see other tenants' payments
+    if (!isSuperAdmin(req.user)) query.tenantId = req.user.tenantId;
     const items = await Payment.find(query).sort({ createdAt: -1 }).limit(200);
     return res.json({ success: true, data: items });
   } catch (err) {
@@ -196,7 +325,7 @@ const approvePayment = async (req, res) => {
   try {
     const { id } = req.params;
     const payment = await Payment.findById(id);
-    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    if (!payment || !canProcessPayment(req.user, payment)) return res.status(404).json({ success: false, message: 'Payment not found' });
     if (payment.status !== 'pending') {
       return res.status(400).json({ success: false, message: 'Payment already processed' });
     }
@@ -258,97 +387,23 @@ const approvePayment = async (req, res) => {
       (['repo_agent', 'office_staff'].includes(req.user?.userType) ? req.user.userType : null);
     const userType = ['repo_agent', 'office_staff'].includes(rawUserType) ? rawUserType : 'repo_agent';
 
-    const existingSub = await UserSubscription.findOne({ tenantId: payment.tenantId, mobileUserId }).populate('planId');
-
-    let action = 'RENEW'; // default
-    if (!existingSub) {
-      action = 'CREATE';
-    } else if (existingSub.status === 'active' || existingSub.status === 'grace_period') {
-      action = 'RENEW';
-    } else if (['expired', 'cancelled', 'suspended'].includes(existingSub.status)) {
-      action = 'REACTIVATE';
-    }
-
-    let subscription = null;
-    let subscriptionUpdateSuccess = true;
-    let subscriptionError = null;
-
-    try {
-      if (action === 'CREATE') {
-        const result = await subscriptionController.createSubscription(payment.tenantId, mobileUserId, userType, planCode, payment.planPeriod, { paymentId: payment._id });
-        if (result.success) {
-          subscription = result.subscription;
-        } else {
-          subscriptionUpdateSuccess = false;
-          subscriptionError = result.error;
-        }
-      } else if (action === 'RENEW') {
-        const result = await subscriptionController.renewSubscription(existingSub._id, { paymentId: payment._id, newBillingCycle: payment.planPeriod });
-        if (result.success) {
-          subscription = result.subscription;
-        } else {
-          subscriptionUpdateSuccess = false;
-          subscriptionError = result.error;
-        }
-      } else if (action === 'REACTIVATE') {
-        const result = await subscriptionController.reactivateSubscription(existingSub._id, planCode, payment.planPeriod, { paymentId: payment._id });
-        if (result.success) {
-          subscription = result.subscription;
-        } else {
-          subscriptionUpdateSuccess = false;
-          subscriptionError = result.error;
-        }
-      }
-    } catch (error) {
-      console.error(`Subscription controller error for payment ${payment._id}:`, error);
-      subscriptionUpdateSuccess = false;
-      subscriptionError = error.message;
-    }
-
-    if (!subscriptionUpdateSuccess) {
-      console.error(`Subscription update failed for payment ${payment._id}:`, subscriptionError);
-      payment.metadata = { subscriptionUpdateError: subscriptionError, subscriptionUpdateCode: 'CONTROLLER_FAILURE' };
-      payment.retryCount = 0;
-      payment.nextRetryAt = new Date(Date.now() + 5 * 60 * 1000);
-      payment.retryReason = subscriptionError;
-    }
-
-    // Phase 4: Invoice Generation
-    const invoiceResult = await generateInvoiceForPayment(payment);
-    if (invoiceResult) {
-      payment.invoiceNumber = invoiceResult.invoiceNumber;
-      payment.invoiceGeneratedAt = invoiceResult.invoiceGeneratedAt;
-    } else {
-      console.warn(`Invoice generation failed for payment ${payment._id}`);
-    }
-
-    // Phase 5: Update Payment Document
-    if (!payment.submittedByMobileId) {
-      payment.submittedByMobileId = mobileUserId;
-    }
-    if (!payment.submittedByUserType && userType) {
-      payment.submittedByUserType = userType;
-    }
-    payment.status = 'approved';
-    payment.approvedBy = req.user?._id || req.user?.userId;
-    payment.approvedAt = new Date();
-    payment.processedByRole = req.user?.role;
-    payment.processedByEmail = req.user?.email;
-    if (req.body.approvalNotes) {
-      payment.approvalNotes = req.body.approvalNotes;
-    }
-    payment.subscriptionId = subscription?._id;
-    payment.effectiveStart = subscription?.currentPeriodStart || subscription?.startDate;
-    payment.effectiveEnd = subscription?.currentPeriodEnd || subscription?.endDate;
-    
-    // Schedule screenshot deletion 2 days after approval
-    if (payment.screenshotUrl) {
-      const deleteDate = new Date();
-      deleteDate.setDate(deleteDate.getDate() + 2);
-      payment.screenshotDeleteAt = deleteDate;
-    }
-    
-    await payment.save();
+    const { subscription, subscriptionUpdateSuccess } = await activatePayment(tenant, payment, {
+      planCode,
+      mobileUserId,
+      userType,
+      approvedBy: req.user?._id || req.user?.userId,
+      processedByRole: req.user?.role,
+      processedByEmail: req.user?.email,
+      approvalNotes: req.body.approvalNotes
+    });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.PAYMENT_APPROVE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'payment', id: payment._id, label: payment.transactionId },
+      changes: [{ field: 'status', before: 'pending', after: payment.status }],
+      metadata: { amount: payment.amount, planPeriod: payment.planPeriod, submittedByName: payment.submittedByName, invoiceNumber: payment.invoiceNumber }
+    });
 
     // Phase 6: Update Response
     const responseData = {
@@ -366,7 +421,7 @@ const approvePayment = async (req, res) => {
         userType: payment.submittedByUserType
       };
     }
-    if (invoiceResult) {
+    if (payment.invoiceNumber) {
       responseData.invoice = { number: payment.invoiceNumber, generatedAt: payment.invoiceGeneratedAt, url: payment.invoiceUrl };
     }
     responseData.subscriptionStatus = subscription?.status;
@@ -407,7 +462,7 @@ const rejectPayment = async (req, res) => {
   try {
     const { id } = req.params;
     const payment = await Payment.findById(id);
-    if (!payment) return res.status(404).json({ success: false, message: `Payment not found: ${id}` });
+    if (!payment || !canProcessPayment(req.user, payment)) return res.status(404).json({ success: false, message: `Payment not found: ${id}` });
     if (payment.status !== 'pending') {
       return res.status(400).json({ success: false, message: 'Payment already processed' });
     }
@@ -423,6 +478,13 @@ const rejectPayment = async (req, res) => {
     payment.processedByEmail = req.user?.email;
     payment.rejectionReason = req.body.rejectionReason;
     await payment.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.PAYMENT_REJECT,
+      tenantId: payment.tenantId,
+      target: { type: 'payment', id: payment._id, label: payment.transactionId },
+      changes: [{ field: 'status', before: 'pending', after: 'rejected' }],
+      metadata: { amount: payment.amount, planPeriod: payment.planPeriod, submittedByName: payment.submittedByName, reason: payment.rejectionReason }
+    });
 
     console.info('Payment rejected:', { paymentId: payment._id, tenantId: payment.tenantId, amount: payment.amount, planPeriod: payment.planPeriod, rejectedBy: req.user?.email, rejectedByRole: req.user?.role, reason: payment.rejectionReason, submittedByName: payment.submittedByName, submittedByPhone: payment.submittedByPhone, submittedByRole: payment.submittedByRole });
 
@@ -451,21 +513,69 @@ const getMyPayments = async (req, res) => {
       return res.status(400).json({ success: false, message: 'tenantId required' });
     }
 
-    const payments = await Payment.find({ tenantId })
+    // Agents and staff see only the payments they submitted
+    const query = { tenantId };
+    if (['repo_agent', 'office_staff'].includes(req.user?.userType)) {
+      query.submittedByMobileId = String(req.user.userType === 'repo_agent' ? req.user.agentId : req.user.staffId);
+    }
+
+    const payments = await Payment.find(query)
       .sort({ createdAt: -1 })
       .limit(50);
 
-    return res.json({ success: true, data: payments });
+    const isPayer = ['repo_agent', 'office_staff'].includes(req.user?.userType);
+    return res.json({ success: true, data: isPayer ? payments.map(withoutFraudFields) : payments });
   } catch (err) {
     console.error('getMyPayments error:', err);
     return res.status(500).json({ success: false, message: 'Internal server error' });
   }
 };
 
+// Download the invoice PDF of an approved payment: the payer, or admins and staff who approve payments
+const downloadInvoice = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || payment.status !== 'approved') {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const mobileUserId = req.user?.userType === 'repo_agent' ? req.user.agentId : req.user?.staffId;
+    const isPayer = ['repo_agent', 'office_staff'].includes(req.user?.userType)
+      && String(payment.tenantId) === String(req.user.tenantId)
+      && String(payment.submittedByMobileId) === String(mobileUserId);
+    const isApprover = canProcessPayment(req.user, payment)
+      && (await getUserPermissions(req.user)).includes(PERMISSIONS.APPROVE_PAYMENTS);
+    if (!isPayer && !isApprover) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const tenant = await Tenant.findById(payment.tenantId);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    // Payments approved before invoices were rendered, or whose PDF went missing, are issued now
+    let file = payment.invoiceNumber ? invoiceFilePath(tenant.name, payment.invoiceNumber) : null;
+    const exists = file ? await fs.promises.access(file).then(() => true, () => false) : false;
+    if (!exists || !payment.invoiceUrl) {
+      file = await issueInvoice(tenant, payment);
+      await payment.save();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${payment.invoiceNumber}.pdf"`);
+    return fs.createReadStream(file).pipe(res);
+  } catch (err) {
+    console.error('downloadInvoice error:', err);
+    return res.status(500).json({ success: false, message: 'Failed to generate invoice' });
+  }
+};
+
 module.exports = {
   submitPayment,
   listPayments,
   approvePayment,
   rejectPayment,
-  getMyPayments
+  getMyPayments,
+  downloadInvoice,
+  activatePayment,
+  resolvePlanForPayment
 };
\ No newline at end of file
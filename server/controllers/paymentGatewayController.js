@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const { getRepoAgentModel, getOfficeStaffModel } = require('../routes/tenantUsers');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLog');
+const { getPaymentGateway, getPaymentGatewayName, isGatewayEnabledForTenant } = require('../utils/paymentGateway');
+const { activatePayment, resolvePlanForPayment } = require('./paymentController');
+
+const RETURN_TEXT = 'Return to the app to see your subscription.';
+
+const payerIdOf = (user) => (user?.userType === 'repo_agent' ? user.agentId : user?.staffId);
+
+// Agent or staff member starts an online payment for a plan at the tenant's configured price
+const createGatewayOrder = async (req, res) => {
+  try {
+    const { planPeriod } = req.body;
+    const userType = req.user?.userType;
+    const mobileUserId = payerIdOf(req.user);
+    if (!['repo_agent', 'office_staff'].includes(userType) || !mobileUserId) {
+      return res.status(400).json({ success: false, message: 'Only repo agents and office staff can pay online' });
+    }
+    if (!['weekly', 'monthly', 'quarterly', 'yearly'].includes(planPeriod)) {
+      return res.status(400).json({ success: false, message: 'Invalid planPeriod' });
+    }
+
+    const tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+    if (!isGatewayEnabledForTenant(tenant)) {
+      return res.status(400).json({ success: false, message: 'Online payment is not available. Please pay by UPI and submit the transaction ID.' });
+    }
+
+    const amount = Number(tenant.settings?.paymentConfig?.planPrices?.[planPeriod]) || 0;
+    if (amount <= 0) {
+      return res.status(400).json({ success: false, message: `No price is configured for the ${planPeriod} plan` });
+    }
+
+    const conn = await getTenantDB(tenant.name);
+    const UserModel = userType === 'repo_agent' ? getRepoAgentModel(conn) : getOfficeStaffModel(conn);
+    const queryField = userType === 'repo_agent' ? 'agentId' : 'staffId';
+    const user = await UserModel.findOne({ [queryField]: mobileUserId }).select('name phoneNumber email role status');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found in tenant database' });
+    if (user.status !== 'active') {
+      return res.status(403).json({ success: false, message: 'Only active users can submit payments' });
+    }
+
+    const provider = getPaymentGatewayName();
+    const order = await getPaymentGateway().createOrder({
+      amount,
+      receipt: `${tenant._id}-${mobileUserId}-${Date.now()}`.slice(0, 40),
+      notes: { tenantId: String(tenant._id), mobileUserId: String(mobileUserId), planPeriod }
+    });
+
+    const payment = await Payment.create({
+      tenantId: tenant._id,
+      submittedByUserId: req.user?.userId || undefined,
+      submittedByMobileId: mobileUserId,
+      submittedByName: user.name,
+      submittedByPhone: user.phoneNumber,
+      submittedByEmail: user.email,
+      submittedByRole: user.role,
+      submittedByUserType: userType,
+      planPeriod,
+      amount,
+      transactionId: order.orderId,
+      status: 'initiated',
+      method: 'gateway',
+      gateway: { provider, orderId: order.orderId, checkoutToken: crypto.randomBytes(16).toString('hex') },
+      amountValidated: true,
+      expectedAmount: amount
+    });
+
+    console.log(`💳 ${provider} order ${order.orderId} created for ${user.name} (${planPeriod}, ₹${amount})`);
+    return res.json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        orderId: order.orderId,
+        amount,
+        provider,
+        checkoutUrl: `/api/payments/gateway/checkout/${payment._id}?t=${payment.gateway.checkoutToken}`
+      }
+    });
+  } catch (err) {
+    console.error('createGatewayOrder error:', err);
+    return res.status(500).json({ success: false, message: 'Failed to start online payment' });
+  }
+};
+
+// Status of the payer's own online payment, polled by the app after checkout
+const getGatewayOrder = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || payment.method !== 'gateway'
+      || String(payment.tenantId) !== String(req.user?.tenantId)
+      || String(payment.submittedByMobileId) !== String(payerIdOf(req.user))) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+    return res.json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        status: payment.status,
+        failureReason: payment.gateway?.failureReason || payment.rejectionReason,
+        effectiveEnd: payment.effectiveEnd,
+        invoiceNumber: payment.invoiceNumber
+      }
+    });
+  } catch (err) {
+    console.error('getGatewayOrder error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// Hosted checkout page, opened in the phone's browser (the token in the link stands in for login)
+const renderCheckout = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    const gateway = payment && getPaymentGateway(payment.gateway?.provider);
+    if (!payment || !gateway || payment.method !== 'gateway' || !payment.gateway?.checkoutToken
+      || String(req.query.t || '') !== payment.gateway.checkoutToken) {
+      return res.status(404).send('Payment link not found');
+    }
+    if (payment.status !== 'initiated') {
+      return res.send(`<p style="font-family:sans-serif;text-align:center;padding:40px">This payment is ${payment.status}. ${RETURN_TEXT}</p>`);
+    }
+    const tenant = await Tenant.findById(payment.tenantId).select('name settings.paymentConfig.payeeName').lean();
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(gateway.checkoutPage({
+      order: { orderId: payment.gateway.orderId, amount: payment.amount, currency: 'INR' },
+      payment,
+      payeeName: tenant?.settings?.paymentConfig?.payeeName || tenant?.name || '',
+      returnText: RETURN_TEXT
+    }));
+  } catch (err) {
+    console.error('renderCheckout error:', err);
+    return res.status(500).send('Failed to open checkout');
+  }
+};
+
+/**
+ * Apply a verified gateway event: activate the matching initiated payment, or note why an
+ * attempt failed. Repeated deliveries of the same event are ignored.
+ * @param {String} provider - Gateway name
+ * @param {Object} event - parseWebhook() result
+ * @param {Object} [req] - Request, for the audit entry
+ * @returns {Promise<{status: Number, body: Object}>}
+ */
+async function applyGatewayEvent(provider, event, req = {}) {
+  if (!event.status || !event.orderId) return { status: 200, body: { success: true, ignored: true } };
+
+  const match = { 'gateway.provider': provider, 'gateway.orderId': event.orderId, status: 'initiated' };
+
+  // A failed attempt does not close the order: the payer can retry at checkout, and the
+  // paid event that follows must still find the payment initiated
+  if (event.status === 'failed') {
+    await Payment.updateOne(match, {
+      $set: { 'gateway.paymentId': event.gatewayPaymentId, 'gateway.failureReason': event.reason }
+    });
+    return { status: 200, body: { success: true } };
+  }
+
+  // Claim the payment so a repeated webhook cannot activate it twice. If activation fails it
+  // stays pending with the gateway reference, for an admin to approve by hand.
+  const payment = await Payment.findOneAndUpdate(match, {
+    $set: { status: 'pending', 'gateway.paymentId': event.gatewayPaymentId, 'gateway.paidAt': new Date() },
+    $unset: { 'gateway.failureReason': 1 }
+  }, { new: true });
+  if (!payment) return { status: 200, body: { success: true, duplicate: true } };
+
+  if (Math.abs(event.amount - payment.amount) > 0.01) {
+    payment.gateway.failureReason = `Gateway reported ₹${event.amount}, expected ₹${payment.amount}`;
+    await payment.save();
+    console.warn(`⚠️ ${provider} payment ${event.gatewayPaymentId} amount mismatch; left for manual approval`);
+    return { status: 200, body: { success: true, manualReview: true } };
+  }
+
+  const tenant = await Tenant.findById(payment.tenantId);
+  if (!tenant) return { status: 200, body: { success: true, manualReview: true } };
+
+  const planCode = resolvePlanForPayment(tenant, payment);
+  const { subscription, subscriptionUpdateSuccess } = await activatePayment(tenant, payment, {
+    planCode,
+    mobileUserId: payment.submittedByMobileId,
+    userType: payment.submittedByUserType,
+    processedByRole: 'payment_gateway',
+    approvalNotes: `Paid online via ${provider} (${event.gatewayPaymentId})`
+  });
+
+  // Keep the card / UPI mandate the payer saved at checkout for auto-renewal
+  if (subscription && event.savedMethod?.token) {
+    subscription.paymentMethod = { provider, ...event.savedMethod, savedAt: new Date() };
+    await subscription.save().catch(err => console.error('Failed to save payment method:', err.message));
+  }
+
+  req.user = { userType: 'system', role: 'payment_gateway', tenantId: tenant._id, tenantName: tenant.name };
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.PAYMENT_APPROVE,
+    tenantId: tenant._id,
+    tenantName: tenant.name,
+    target: { type: 'payment', id: payment._id, label: payment.transactionId },
+    changes: [{ field: 'status', before: 'initiated', after: payment.status }],
+    metadata: { amount: payment.amount, planPeriod: payment.planPeriod, submittedByName: payment.submittedByName, gateway: provider, gatewayPaymentId: event.gatewayPaymentId, invoiceNumber: payment.invoiceNumber }
+  });
+
+  console.log(`✅ ${provider} payment ${event.gatewayPaymentId} activated ${payment.submittedByName}'s subscription until ${subscription?.currentPeriodEnd || subscription?.endDate || 'unknown'}${subscriptionUpdateSuccess ? '' : ' (subscription update will retry)'}`);
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * Apply a gateway webhook: verify its signature, then apply the event it carries
+ * @returns {Promise<{status: Number, body: Object}>}
+ */
+async function processWebhook(provider, rawBody, headers, req) {
+  const gateway = getPaymentGateway(provider);
+  if (!gateway) return { status: 404, body: { success: false, message: 'Unknown payment gateway' } };
+  if (!gateway.verifyWebhook(rawBody, headers)) {
+    console.warn(`⚠️ Rejected ${provider} webhook with an invalid signature`);
+    return { status: 400, body: { success: false, message: 'Invalid signature' } };
+  }
+  return applyGatewayEvent(provider, gateway.parseWebhook(JSON.parse(rawBody.toString('utf8'))), req);
+}
+
+// Gateway → server notification; the signature is checked against the raw request body
+const gatewayWebhook = async (req, res) => {
+  try {
+    const { status, body } = await processWebhook(req.params.gateway, req.rawBody, req.headers, req);
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error('gatewayWebhook error:', err);
+    // A 5xx makes the gateway deliver the event again later
+    return res.status(500).json({ success: false, message: 'Webhook processing failed' });
+  }
+};
+
+// Pay / Fail buttons of the mock checkout page: sends itself the webhook a real gateway would
+const completeMockPayment = async (req, res) => {
+  try {
+    if (getPaymentGatewayName() !== 'mock') return res.status(404).send('Not found');
+    const payment = await Payment.findOne({ 'gateway.provider': 'mock', 'gateway.orderId': req.params.orderId });
+    if (!payment) return res.status(404).send('Payment link not found');
+
+    const paid = req.params.outcome === 'pay';
+    const rawBody = Buffer.from(JSON.stringify({
+      event: paid ? 'payment.paid' : 'payment.failed',
+      orderId: payment.gateway.orderId,
+      paymentId: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+      amount: payment.amount,
+      reason: paid ? undefined : 'Declined at mock checkout',
+      savedMethod: paid ? { customerId: `mock_cust_${payment.submittedByMobileId}`, token: `mock_tok_${crypto.randomBytes(6).toString('hex')}`, label: 'Mock card 4242' } : undefined
+    }));
+    const { status } = await processWebhook('mock', rawBody, { 'x-mock-signature': getPaymentGateway('mock').sign(rawBody) }, req);
+    const text = status === 200 ? (paid ? 'Payment successful.' : 'Payment failed.') : 'Payment could not be processed.';
+    return res.send(`<p style="font-family:sans-serif;text-align:center;padding:40px">${text} ${RETURN_TEXT}</p>`);
+  } catch (err) {
+    console.error('completeMockPayment error:', err);
+    return res.status(500).send('Payment could not be processed');
+  }
+};
+
+module.exports = {
+  createGatewayOrder,
+  getGatewayOrder,
+  renderCheckout,
+  gatewayWebhook,
+  completeMockPayment,
+  processWebhook,
+  applyGatewayEvent
+};
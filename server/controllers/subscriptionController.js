@@ -2,14 +2,16 @@
  * Subscription Controller for Tenant Users
  *
  * Purpose: Manage subscription lifecycle for tenant users (repo agents, office staff).
- * Simplified approach: Uses billing cycle only, no plan catalog dependencies.
+ * Simplified approach: Uses billing cycle only; prices do not come from the plan catalogue.
  * Tenant pricing: Configured via tenant.settings.paymentConfig.planPrices.
- * Plan tiers: Managed at tenant level via tenant.subscription.plan field.
+ * Plan tiers: The tenant's catalogue plan (tenant.subscription.planId) is copied onto each
+ * subscription's planId when it is created, renewed or reactivated, for usage limits.
  */
 
 const UserSubscription = require('../models/UserSubscription');
 const Tenant = require('../models/Tenant');
 const Payment = require('../models/Payment'); // for reference only
+const { getTenantPlan } = require('../utils/planEntitlements');
 
 // Helper Utilities
 
@@ -82,6 +84,29 @@ function getDefaultGracePeriodDays() {
   return 7;
 }
 
+// Days a subscription stays past_due (after the grace period) before it expires
+function getPastDueDays() {
+  return parseInt(process.env.SUBSCRIPTION_PAST_DUE_DAYS, 10) || 7;
+}
+
+// Plan the tenant is on, for its users' subscriptions
+async function getTenantPlanId(tenantId) {
+  const tenant = await Tenant.findById(tenantId).select('subscription').lean();
+  const plan = await getTenantPlan(tenant);
+  return plan ? plan._id : null;
+}
+
+// Describe the next save for subscription_history (see the UserSubscription save hook)
+function describeChange(subscription, options = {}, defaults = {}) {
+  subscription.$locals.history = {
+    event: options.event || defaults.event,
+    source: options.source || defaults.source || 'system',
+    actor: options.actor,
+    paymentId: options.paymentId,
+    reason: options.reason || defaults.reason
+  };
+}
+
 // Deprecated: Not needed for tenant user subscriptions
 /*
 async function resolvePlanReference(planCodeOrId) {
@@ -101,7 +126,7 @@ async function resolvePlanReference(planCodeOrId) {
 // Core Controller Functions
 
 async function createSubscription(tenantId, mobileUserId, userType, planCode, billingCycle, options = {}) {
-  // planCode parameter kept for backward compatibility but not used
+  // planCode parameter kept for backward compatibility but not used; the tenant's plan applies
   try {
     if (!tenantId || !mobileUserId || !userType || !billingCycle) {
       return { success: false, error: 'Missing required parameters', code: 'VALIDATION_ERROR' };
@@ -123,7 +148,7 @@ async function createSubscription(tenantId, mobileUserId, userType, planCode, bi
       tenantId,
       mobileUserId,
       userType,
-      planId: null,
+      planId: await getTenantPlanId(tenantId),
       billingCycle,
       status,
       startDate: currentPeriodStart,
@@ -137,6 +162,7 @@ async function createSubscription(tenantId, mobileUserId, userType, planCode, bi
       apiCallsCount: 0,
       lastUsageReset: currentPeriodStart
     });
+    describeChange(subscription, options, { event: 'created' });
     await subscription.save();
     console.info(`Subscription created: ${subscription._id}, tenant: ${tenantId}, user: ${mobileUserId}, status: ${status}`);
     return { success: true, subscription, message: 'Subscription created successfully' };
@@ -271,6 +297,7 @@ async function cancelSubscription(subscriptionId, reason, options = {}) {
     subscription.cancelledAt = new Date();
     subscription.cancelReason = reason.trim().substring(0, 500);
     subscription.autoRenew = false;
+    describeChange(subscription, options, { event: 'cancelled', reason });
     await subscription.save();
     console.info(`Subscription cancelled: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}, immediate: ${immediate}`);
     return { success: true, subscription, accessUntil: immediate ? new Date() : subscription.currentPeriodEnd, message: immediate ? 'Subscription cancelled' : 'Subscription will be cancelled at period end' };
@@ -281,7 +308,7 @@ async function cancelSubscription(subscriptionId, reason, options = {}) {
 }
 
 async function reactivateSubscription(subscriptionId, planCode, billingCycle, options = {}) {
-  // planCode parameter kept for backward compatibility but not used
+  // planCode parameter kept for backward compatibility but not used; the tenant's plan applies
   try {
     if (!subscriptionId || !billingCycle) {
       return { success: false, error: 'Missing required parameters', code: 'VALIDATION_ERROR' };
@@ -300,7 +327,7 @@ async function reactivateSubscription(subscriptionId, planCode, billingCycle, op
     const currentPeriodStart = options.startDate || new Date();
     const currentPeriodEnd = calculateNextPeriodEnd(currentPeriodStart, billingCycle);
     subscription.status = 'active';
-    subscription.planId = null;
+    subscription.planId = await getTenantPlanId(subscription.tenantId);
     subscription.billingCycle = billingCycle;
     subscription.currentPeriodStart = currentPeriodStart;
     subscription.currentPeriodEnd = currentPeriodEnd;
@@ -314,6 +341,7 @@ async function reactivateSubscription(subscriptionId, planCode, billingCycle, op
     subscription.dataDownloaded = 0;
     subscription.apiCallsCount = 0;
     subscription.lastUsageReset = currentPeriodStart;
+    describeChange(subscription, options, { event: 'reactivated' });
     await subscription.save();
     console.info(`Subscription reactivated: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}`);
     return { success: true, subscription, message: 'Subscription reactivated successfully' };
@@ -340,6 +368,7 @@ async function extendTrial(subscriptionId, additionalDays) {
     subscription.trialEnd = newTrialEnd;
     subscription.currentPeriodEnd = newTrialEnd;
     subscription.endDate = newTrialEnd;
+    describeChange(subscription, {}, { event: 'trial_extended', reason: `Trial extended by ${additionalDays} days` });
     await subscription.save();
     console.info(`Trial extended: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}, new end: ${newTrialEnd}`);
     return { success: true, subscription, newTrialEnd, message: 'Trial extended successfully' };
@@ -349,7 +378,7 @@ async function extendTrial(subscriptionId, additionalDays) {
   }
 }
 
-async function suspendSubscription(subscriptionId, reason) {
+async function suspendSubscription(subscriptionId, reason, options = {}) {
   try {
     if (!subscriptionId || !reason) {
       return { success: false, error: 'Missing required parameters', code: 'VALIDATION_ERROR' };
@@ -370,6 +399,7 @@ async function suspendSubscription(subscriptionId, reason) {
     subscription.metadata.suspensionReason = reason;
     subscription.metadata.suspendedAt = new Date();
     subscription.autoRenew = false;
+    describeChange(subscription, options, { event: 'suspended', reason });
     await subscription.save();
     console.info(`Subscription suspended: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}`);
     return { success: true, subscription, message: 'Subscription suspended' };
@@ -381,7 +411,7 @@ async function suspendSubscription(subscriptionId, reason) {
 
 // Additional Helper Functions
 
-async function enterGracePeriod(subscriptionId, paymentFailureReason) {
+async function enterGracePeriod(subscriptionId, paymentFailureReason, options = {}) {
   try {
     if (!subscriptionId) {
       return { success: false, error: 'Missing subscription ID', code: 'VALIDATION_ERROR' };
@@ -403,6 +433,7 @@ async function enterGracePeriod(subscriptionId, paymentFailureReason) {
     subscription.metadata = subscription.metadata || {};
     subscription.metadata.paymentFailureReason = paymentFailureReason;
     subscription.metadata.gracePeriodStarted = new Date();
+    describeChange(subscription, options, { event: 'grace_period', reason: paymentFailureReason });
     await subscription.save();
     console.info(`Entered grace period: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}, end: ${gracePeriodEnd}`);
     return { success: true, subscription, gracePeriodEnd, message: 'Subscription entered grace period' };
@@ -421,22 +452,25 @@ async function renewSubscription(subscriptionId, options = {}) {
     if (!subscription) {
       return { success: false, error: 'Subscription not found', code: 'NOT_FOUND' };
     }
-    if (!['active', 'grace_period'].includes(subscription.status)) {
+    if (!['active', 'grace_period', 'past_due'].includes(subscription.status)) {
       return { success: false, error: 'Subscription is not renewable', code: 'INVALID_STATE' };
     }
-    const newPeriodStart = subscription.currentPeriodEnd;
+    // Past-due users have been without access since the grace period ended; their new period starts now
+    const newPeriodStart = subscription.status === 'past_due' ? new Date() : subscription.currentPeriodEnd;
     const newBillingCycle = options.newBillingCycle || subscription.billingCycle;
     const newPeriodEnd = calculateNextPeriodEnd(newPeriodStart, newBillingCycle);
     subscription.currentPeriodStart = newPeriodStart;
     subscription.currentPeriodEnd = newPeriodEnd;
     subscription.endDate = newPeriodEnd;
-    if (subscription.status === 'grace_period') subscription.status = 'active';
+    if (['grace_period', 'past_due'].includes(subscription.status)) subscription.status = 'active';
+    subscription.planId = await getTenantPlanId(subscription.tenantId);
     subscription.gracePeriodEnd = null;
     if (options.paymentId) subscription.lastPaymentId = options.paymentId;
     subscription.dataDownloaded = 0;
     subscription.apiCallsCount = 0;
     subscription.lastUsageReset = newPeriodStart;
     if (options.newBillingCycle) subscription.billingCycle = options.newBillingCycle;
+    describeChange(subscription, options, { event: 'renewed' });
     await subscription.save();
     console.info(`Subscription renewed: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}, new end: ${newPeriodEnd}`);
     return { success: true, subscription, newPeriodEnd, message: 'Subscription renewed successfully' };
@@ -446,6 +480,64 @@ async function renewSubscription(subscriptionId, options = {}) {
   }
 }
 
+async function markPastDue(subscriptionId, options = {}) {
+  try {
+    if (!subscriptionId) {
+      return { success: false, error: 'Missing subscription ID', code: 'VALIDATION_ERROR' };
+    }
+    const subscription = await UserSubscription.findById(subscriptionId);
+    if (!subscription) {
+      return { success: false, error: 'Subscription not found', code: 'NOT_FOUND' };
+    }
+    if (subscription.status !== 'grace_period') {
+      return { success: false, error: 'Subscription is not in grace period', code: 'INVALID_STATE' };
+    }
+    const transition = validateStatusTransition(subscription.status, 'past_due');
+    if (!transition.isValid) {
+      return { success: false, error: transition.message, code: 'INVALID_TRANSITION' };
+    }
+    subscription.status = 'past_due';
+    describeChange(subscription, options, { event: 'past_due', reason: 'Grace period ended without payment' });
+    await subscription.save();
+    console.info(`Subscription past due: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}`);
+    return { success: true, subscription, message: 'Subscription is past due' };
+  } catch (error) {
+    console.error('Error marking subscription past due:', error);
+    return { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' };
+  }
+}
+
+// Ends a lapsed subscription: trials and past-due subscriptions expire, and ones set to
+// cancel at period end become cancelled
+async function expireSubscription(subscriptionId, reason, options = {}) {
+  try {
+    if (!subscriptionId) {
+      return { success: false, error: 'Missing subscription ID', code: 'VALIDATION_ERROR' };
+    }
+    const subscription = await UserSubscription.findById(subscriptionId);
+    if (!subscription) {
+      return { success: false, error: 'Subscription not found', code: 'NOT_FOUND' };
+    }
+    const newStatus = subscription.cancelAtPeriodEnd && subscription.status !== 'past_due' ? 'cancelled' : 'expired';
+    if (!['trial', 'active', 'past_due'].includes(subscription.status)) {
+      return { success: false, error: 'Subscription cannot expire from its current state', code: 'INVALID_STATE' };
+    }
+    const transition = validateStatusTransition(subscription.status, newStatus);
+    if (!transition.isValid) {
+      return { success: false, error: transition.message, code: 'INVALID_TRANSITION' };
+    }
+    subscription.status = newStatus;
+    subscription.gracePeriodEnd = null;
+    describeChange(subscription, options, { event: newStatus, reason });
+    await subscription.save();
+    console.info(`Subscription ${newStatus}: ${subscriptionId}, tenant: ${subscription.tenantId}, user: ${subscription.mobileUserId}`);
+    return { success: true, subscription, message: `Subscription ${newStatus}` };
+  } catch (error) {
+    console.error('Error expiring subscription:', error);
+    return { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' };
+  }
+}
+
 module.exports = {
   createSubscription,
   cancelSubscription,
@@ -454,5 +546,9 @@ module.exports = {
   suspendSubscription,
   enterGracePeriod,
   renewSubscription,
-  validateStatusTransition
+  markPastDue,
+  expireSubscription,
+  validateStatusTransition,
+  getDefaultGracePeriodDays,
+  getPastDueDays
 };
@@ -1,6 +1,16 @@
 const Tenant = require('../models/Tenant');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const UserSubscription = require('../models/UserSubscription');
+const { resolvePlanReference } = require('../utils/planEntitlements');
+
+// Catalogue plan for a tenant from a planId (or, from older clients, a plan code); returns { plan } or { error }
+const findAssignablePlan = async (planRef) => {
+  const plan = await resolvePlanReference(planRef);
+  if (!plan) return { error: 'Subscription plan not found' };
+  if (!plan.isActive) return { error: `Plan '${plan.name}' is not active` };
+  return { plan };
+};
 
 // Get all tenants with pagination and search
 const getAllTenants = async (req, res) => {
@@ -86,6 +96,7 @@ const createTenant = async (req, res) => {
     const { 
       name, 
       type, 
+      planId,
       subscriptionPlan = 'basic', 
       maxUsers = 10,
       adminFirstName,
@@ -112,13 +123,26 @@ const createTenant = async (req, res) => {
       });
     }
 
+    // Plan from the catalogue; a plain plan code with no catalogue entry is kept as before
+    let plan = null;
+    if (planId) {
+      const result = await findAssignablePlan(planId);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+      plan = result.plan;
+    } else {
+      plan = await resolvePlanReference(subscriptionPlan);
+    }
+
     console.log('Creating tenant document...');
     // Create tenant first
     const tenant = new Tenant({
       name,
       type,
       subscription: {
-        plan: subscriptionPlan,
+        planId: plan ? plan._id : undefined,
+        plan: plan ? plan.code : subscriptionPlan,
         maxUsers: parseInt(maxUsers),
         currentUsers: 0
       },
@@ -181,7 +205,7 @@ const createTenant = async (req, res) => {
 // Update tenant
 const updateTenant = async (req, res) => {
   try {
-    const { name, type, subscriptionPlan, maxUsers, isActive } = req.body;
+    const { name, type, planId, subscriptionPlan, maxUsers, isActive } = req.body;
     const tenantId = req.params.id;
 
     const tenant = await Tenant.findById(tenantId);
@@ -213,12 +237,19 @@ const updateTenant = async (req, res) => {
     if (type) updateData.type = type;
     if (isActive !== undefined) updateData.isActive = isActive;
     
-    if (subscriptionPlan || maxUsers) {
-      updateData.subscription = {
-        ...tenant.subscription,
-        ...(subscriptionPlan && { plan: subscriptionPlan }),
-        ...(maxUsers && { maxUsers: parseInt(maxUsers) })
-      };
+    if (maxUsers) updateData['subscription.maxUsers'] = parseInt(maxUsers);
+
+    // Moving the tenant to another plan moves its users' subscriptions with it
+    let newPlan = null;
+    const planRef = planId || subscriptionPlan;
+    if (planRef && String(planRef) !== String(tenant.subscription.planId) && planRef !== tenant.subscription.plan) {
+      const result = await findAssignablePlan(planRef);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+      newPlan = result.plan;
+      updateData['subscription.planId'] = newPlan._id;
+      updateData['subscription.plan'] = newPlan.code;
     }
 
     const updatedTenant = await Tenant.findByIdAndUpdate(
@@ -228,6 +259,11 @@ const updateTenant = async (req, res) => {
     ).populate('createdBy', 'firstName lastName email')
      .populate('adminUser', 'firstName lastName email');
 
+    if (newPlan) {
+      await UserSubscription.updateMany({ tenantId }, { $set: { planId: newPlan._id } });
+      console.log(`📋 Tenant ${updatedTenant.name} moved to plan ${newPlan.code}`);
+    }
+
     res.json({
       success: true,
       message: 'Tenant updated successfully',
@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
 const { getTenantDB } = require('../config/database');
 const mongoose = require('mongoose');
 const { getOfficeStaffModel, getRepoAgentModel } = require('../routes/tenantUsers');
+const { OTP_TTL_MINUTES, OTP_ERROR_MESSAGES, normalizePhone, issueOtp, verifyOtp } = require('../utils/otp');
+const { readDeviceInfo, checkAgentDevice, revokeSessions } = require('../utils/deviceSessions');
+const { getSessionConnection, startAuthSession, refreshAuthSession, revokeUserSessions } = require('../utils/authTokens');
+const { normalizePhoneKey, findTenantUsers, toTenantChoices, verifyTenantUserPassword } = require('../utils/identityDirectory');
+const { getUserPermissions } = require('../utils/permissions');
 
 // Controlled logging function
 const log = (message, ...args) => {
@@ -13,11 +17,54 @@ const log = (message, ...args) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Token and response body for a repo agent or office staff login. Agents must sign in from an
+// approved device; returns { ok: false, status, code, message } when the device is not allowed.
+const buildTenantUserLogin = async (req, user, tenant, userType) => {
+  const conn = await getTenantDB(tenant.name);
+  const device = readDeviceInfo(req.body);
+
+  if (userType === 'repo_agent') {
+    const check = await checkAgentDevice(conn, { agent: user, device });
+    if (!check.ok) return check;
+  }
+
+  // Clear forceLogoutAt on successful login for repo agents
+  if (userType === 'repo_agent' && user.forceLogoutAt) {
+    user.forceLogoutAt = null;
+    await user.save();
+  }
+
+  const { token, refreshToken, expiresIn } = await startAuthSession({ user, userType, tenant, device, req });
+
+  const data = {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email || null,
+      phoneNumber: user.phoneNumber || null,
+      role: user.role || userType,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      userType: userType,
+      otpVerified: Boolean(user.otpVerified),
+      permissions: await getUserPermissions({ userType, role: user.role, tenantId: tenant._id })
+    },
+    token,
+    refreshToken,
+    expiresIn,
+    // The app asks for the SMS code before continuing until the phone is verified once
+    requiresPhoneVerification: !user.otpVerified,
+    redirectTo: userType === 'office_staff' ? '/staff-dashboard' : '/agent-dashboard'
+  };
+  return { ok: true, data };
 };
 
+const sendLoginRefusal = (res, login) => res.status(login.status).json({
+  success: false,
+  code: login.code,
+  message: login.message
+});
+
 // Unified Login Controller
 const unifiedLogin = async (req, res) => {
   try {
@@ -48,12 +95,7 @@ const unifiedLogin = async (req, res) => {
         mainUser.lastLogin = new Date();
         await mainUser.save();
 
-        const token = generateToken({
-          userId: mainUser._id,
-          userType: 'main_user',
-          role: mainUser.role,
-          tenantId: mainUser.tenantId
-        });
+        const { token, refreshToken, expiresIn } = await startAuthSession({ user: mainUser, userType: 'main_user', req });
 
         console.log('[UnifiedLogin] Main user login successful');
 
@@ -68,9 +110,12 @@ const unifiedLogin = async (req, res) => {
               email: mainUser.email,
               role: mainUser.role,
               tenantId: mainUser.tenantId,
-              userType: 'main_user'
+              userType: 'main_user',
+              permissions: await getUserPermissions({ userType: 'main_user', role: mainUser.role })
             },
             token,
+            refreshToken,
+            expiresIn,
             redirectTo: mainUser.role === 'super_admin' ? '/admin' : 
                       mainUser.role === 'admin' ? '/tenant' : '/dashboard'
           }
@@ -78,252 +123,50 @@ const unifiedLogin = async (req, res) => {
       }
     }
 
-    // Step 2: Check tenant users (Office Staff and Repo Agents)
+    // Step 2: Check tenant users (Office Staff and Repo Agents) through the login directory
     log('[UnifiedLogin] Main user not found, checking tenant users');
-    
-    const tenants = await Tenant.find({ isActive: true }).lean();
-    log(`[UnifiedLogin] Found ${tenants.length} active tenants to check`);
-    
-    let foundTenantUser = null;
-    let foundInactiveTenant = null;
-    let foundInvalidPassword = false;
-
-    for (const tenant of tenants) {
-      try {
-        const conn = await getTenantDB(tenant.name);
-        log(`[UnifiedLogin] Checking tenant: ${tenant.name}`);
-        
-        // Check Office Staff (allow raw or digits-only phone)
-        const OfficeStaff = getOfficeStaffModel(conn);
-        log('[UnifiedLogin] Using OfficeStaff model with schema fields:', Object.keys(OfficeStaff.schema.paths));
-        
-        const raw = String(identifier || '').trim();
-        const digits = raw.replace(/\D/g, '');
-        const staff = await OfficeStaff.findOne({
-          $or: [
-            { phoneNumber: raw },
-            { phoneNumber: digits }
-          ]
-        }).select('+password');
-
-        if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-          console.log(`[UnifiedLogin][${tenant.name}][OfficeStaff] Query result:`, staff ? 'Found' : 'Not found');
-        }
-
-        if (staff) {
-          if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-            console.log(`[UnifiedLogin][${tenant.name}][OfficeStaff] Status:`, staff?.status);
-          }
-
-          if (staff.status !== 'active') {
-            log(`[UnifiedLogin][${tenant.name}][OfficeStaff] Account inactive`);
-            log(`[UnifiedLogin] Tenant ${tenant.name} check complete: account_inactive`);
-            foundInactiveTenant = { tenant, userType: 'office_staff' };
-            continue;
-          }
-
-          if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-            console.log(`[UnifiedLogin][${tenant.name}][OfficeStaff] Found and active, verifying password`);
-          }
-
-          const isPasswordValid = await bcrypt.compare(password, staff.password);
-
-          if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-            console.log(`[UnifiedLogin][${tenant.name}][OfficeStaff] Password valid:`, isPasswordValid);
-          }
-
-          if (!isPasswordValid) {
-            console.log(`[UnifiedLogin][${tenant.name}][OfficeStaff] Password verification failed`);
-            console.log(`[UnifiedLogin] Tenant ${tenant.name} check complete: password_invalid`);
-            return res.status(401).json({
-              success: false,
-              message: 'Invalid credentials'
-            });
-          }
-
-          foundTenantUser = {
-            user: staff,
-            tenant: tenant,
-            userType: 'office_staff'
-          };
-          console.log(`[UnifiedLogin] Tenant ${tenant.name} check complete: success`);
-          break;
-        }
-
-        // Check Repo Agents
-        const RepoAgent = getRepoAgentModel(conn);
-        if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-          console.log('[UnifiedLogin] Using RepoAgent model with schema fields:', Object.keys(RepoAgent.schema.paths));
-        }
-        const agentRaw = String(identifier || '').trim();
-        const agentDigits = agentRaw.replace(/\D/g, '');
-        const emailId = String(identifier || '').toLowerCase().trim();
-        
-        // Query for agent - explicitly select password field to ensure it's included
-        // Try with select first, if that fails (field doesn't have select: false), try without
-        let agent = null;
-        try {
-          agent = await RepoAgent.findOne({
-            $or: [
-              { email: emailId },
-              { phoneNumber: agentRaw },
-              { phoneNumber: agentDigits }
-            ]
-          }).select('+password');
-        } catch (selectError) {
-          // If select('+password') fails, try without it (password might not have select: false)
-          console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Select +password failed, trying without select`);
-          agent = await RepoAgent.findOne({
-            $or: [
-              { email: emailId },
-              { phoneNumber: agentRaw },
-              { phoneNumber: agentDigits }
-            ]
-          });
-        }
-
-        if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-          console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Query result:`, agent ? 'Found' : 'Not found');
-          if (agent) {
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Agent email:`, agent.email);
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Agent phone:`, agent.phoneNumber);
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Password exists:`, !!agent.password);
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Password length:`, agent.password ? agent.password.length : 0);
-          }
-        }
-
-        if (agent) {
-          if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Status:`, agent?.status);
-          }
-
-          if (agent.status !== 'active') {
-            log(`[UnifiedLogin][${tenant.name}][RepoAgent] Account inactive`);
-            log(`[UnifiedLogin] Tenant ${tenant.name} check complete: account_inactive`);
-            foundInactiveTenant = { tenant, userType: 'repo_agent' };
-            continue;
-          }
-
-          if (!agent.password) {
-            console.error(`[UnifiedLogin][${tenant.name}][RepoAgent] Password field is missing or null`);
-            console.log(`[UnifiedLogin] Tenant ${tenant.name} check complete: password_missing`);
-            continue;
-          }
-
-          if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Found and active, verifying password`);
-          }
-
-          const provided = String(password || '').trim();
-          const stored = String(agent.password || '').trim();
-          let isPasswordValid = false;
-
-          // Try bcrypt comparison first
-          try {
-            isPasswordValid = await bcrypt.compare(provided, stored);
-          } catch (err) {
-            console.error(`[UnifiedLogin][${tenant.name}][RepoAgent] Bcrypt compare error:`, err.message);
-            isPasswordValid = false;
-          }
-
-          // Backward compatibility: if stored password is plaintext and matches, migrate to hashed
-          if (!isPasswordValid && stored === provided) {
-            try {
-              console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Plaintext password detected, migrating to hash`);
-              const salt = await bcrypt.genSalt(12);
-              agent.password = await bcrypt.hash(provided, salt);
-              await agent.save();
-              isPasswordValid = true;
-              console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Password migrated successfully`);
-            } catch (err) {
-              console.error(`[UnifiedLogin][${tenant.name}][RepoAgent] Password migration error:`, err.message);
-              isPasswordValid = false;
-            }
-          }
-
-          if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Password valid:`, isPasswordValid);
-            if (!isPasswordValid) {
-              console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Password comparison failed`);
-              console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Provided password length:`, provided.length);
-              console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Stored password length:`, stored.length);
-              console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Stored password starts with $2b$ (bcrypt):`, stored.startsWith('$2b$'));
-            }
-          }
 
-          if (!isPasswordValid) {
-            console.log(`[UnifiedLogin][${tenant.name}][RepoAgent] Password verification failed`);
-            console.log(`[UnifiedLogin] Tenant ${tenant.name} check complete: password_invalid`);
-            foundInvalidPassword = true;
-            continue; // Continue checking other tenants instead of returning immediately
-          }
-
-          foundTenantUser = {
-            user: agent,
-            tenant: tenant,
-            userType: 'repo_agent'
-          };
-          console.log(`[UnifiedLogin] Tenant ${tenant.name} check complete: success`);
-          break;
-        }
-
-        if (!foundTenantUser) {
-          console.log(`[UnifiedLogin] Tenant ${tenant.name} check complete: user_not_found`);
-        }
-
-      } catch (error) {
-        console.error(`Error checking tenant ${tenant.name}:`, error.message);
+    const { tenantId, userType: requestedUserType } = req.body;
+    const matches = await findTenantUsers(identifier, {
+      tenantId,
+      userTypes: ['office_staff', 'repo_agent'].includes(requestedUserType) ? [requestedUserType] : undefined,
+      withPassword: true
+    });
+    log(`[UnifiedLogin] Directory returned ${matches.length} tenant account(s)`);
+
+    const verified = [];
+    let foundInactive = false;
+    for (const match of matches) {
+      const { user, tenant, userType } = match;
+      if (user.status !== 'active') {
+        log(`[UnifiedLogin][${tenant.name}][${userType}] Account inactive`);
+        foundInactive = true;
         continue;
       }
+      if (await verifyTenantUserPassword(user, password)) {
+        verified.push(match);
+      } else {
+        log(`[UnifiedLogin][${tenant.name}][${userType}] Password verification failed`);
+      }
     }
 
     // Add a small constant-time delay to prevent timing attacks
     await new Promise(resolve => setTimeout(resolve, 100));
 
-    // Handle inactive account case first
-    if (foundInactiveTenant && !foundTenantUser) {
-      return res.status(401).json({
+    // The same credentials work in several agencies: the app asks which one and retries with tenantId
+    if (verified.length > 1) {
+      return res.status(409).json({
         success: false,
-        message: 'Your account is inactive. Please contact your administrator.'
+        code: 'TENANT_SELECTION_REQUIRED',
+        message: 'This account belongs to more than one agency. Please choose one to continue.',
+        data: { tenants: toTenantChoices(verified) }
       });
     }
 
-    // Handle invalid password case
-    if (foundInvalidPassword && !foundTenantUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    if (foundTenantUser) {
-      const { user, tenant, userType } = foundTenantUser;
-
-      // Clear forceLogoutAt on successful login for repo agents
-      if (userType === 'repo_agent' && user.forceLogoutAt) {
-        user.forceLogoutAt = null;
-        await user.save();
-      }
-
-      // Build token payload with conditional fields
-      const tokenPayload = {
-        userId: user._id,
-        userType: userType,
-        tenantId: tenant._id,
-        tenantName: tenant.name,
-        role: user.role || userType
-      };
-
-      // Add user-type-specific numeric ID field and also Mongo _id under a distinct key
-      if (userType === 'repo_agent') {
-        tokenPayload.agentId = user.agentId || user._id; // numeric field or Mongo _id fallback
-        tokenPayload.agentDbId = user._id; // always include Mongo _id
-      } else if (userType === 'office_staff') {
-        tokenPayload.staffId = user.staffId || user._id; // numeric field or Mongo _id fallback
-        tokenPayload.staffDbId = user._id; // always include Mongo _id
-      }
-
-      const token = generateToken(tokenPayload);
+    if (verified.length === 1) {
+      const { user, tenant, userType } = verified[0];
+      const login = await buildTenantUserLogin(req, user, tenant, userType);
+      if (!login.ok) return sendLoginRefusal(res, login);
 
       if (process.env.NODE_ENV === 'development' || process.env.DEBUG_AUTH === 'true') {
         console.log('[UnifiedLogin] Tenant user login successful');
@@ -332,20 +175,15 @@ const unifiedLogin = async (req, res) => {
       return res.json({
         success: true,
         message: 'Login successful',
-        data: {
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email || null,
-            phoneNumber: user.phoneNumber || null,
-            role: user.role || userType,
-            tenantId: tenant._id,
-            tenantName: tenant.name,
-            userType: userType
-          },
-          token,
-          redirectTo: userType === 'office_staff' ? '/staff-dashboard' : '/agent-dashboard'
-        }
+        data: login.data
+      });
+    }
+
+    // Handle inactive account case
+    if (foundInactive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account is inactive. Please contact your administrator.'
       });
     }
 
@@ -388,7 +226,8 @@ const getUnifiedProfile = async (req, res) => {
             email: user.email,
             role: user.role,
             tenantId: user.tenantId,
-            userType: 'main_user'
+            userType: 'main_user',
+            permissions: await getUserPermissions({ userType: 'main_user', role: user.role })
           }
         }
       });
@@ -425,7 +264,9 @@ const getUnifiedProfile = async (req, res) => {
             role: user.role || userType,
             tenantId: tenantId,
             tenantName: tenantName,
-            userType: userType
+            userType: userType,
+            otpVerified: Boolean(user.otpVerified),
+            permissions: await getUserPermissions({ userType, role: user.role, tenantId })
           }
         }
       });
@@ -441,7 +282,296 @@ const getUnifiedProfile = async (req, res) => {
   }
 };
 
+// Repo agents and office staff registered with a phone number, from the login directory.
+// `inactive` tells whether only deactivated accounts matched.
+const findTenantUsersByPhone = async (phoneNumber, { tenantId, userType } = {}) => {
+  const matches = await findTenantUsers(phoneNumber, {
+    tenantId,
+    userTypes: ['office_staff', 'repo_agent'].includes(userType) ? [userType] : undefined
+  });
+  const active = matches.filter(m => m.user.status === 'active');
+  return { active, inactive: active.length === 0 && matches.length > 0 };
+};
+
+// After an SMS code has proved the phone, a short-lived token lets the user pick an agency
+// without a second code when the number belongs to more than one
+const TENANT_SELECTION_MINUTES = 5;
+const signTenantSelection = (phoneNumber) => jwt.sign(
+  { purpose: 'otp_tenant_select', phone: normalizePhoneKey(phoneNumber) },
+  process.env.JWT_SECRET,
+  { expiresIn: `${TENANT_SELECTION_MINUTES}m` }
+);
+const verifyTenantSelection = (token, phoneNumber) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'otp_tenant_select' && decoded.phone === normalizePhoneKey(phoneNumber);
+  } catch (_) {
+    return false;
+  }
+};
+
+// Load a repo agent or office staff member of an active tenant
+const loadTenantUser = async ({ tenantId, userType, userId }) => {
+  const tenant = await Tenant.findById(tenantId).lean();
+  if (!tenant || !tenant.isActive) return null;
+  const conn = await getTenantDB(tenant.name);
+  const Model = userType === 'office_staff' ? getOfficeStaffModel(conn) : getRepoAgentModel(conn);
+  const user = await Model.findById(userId);
+  return user ? { user, tenant, userType } : null;
+};
+
+// Wrong codes are 401 on the public endpoints; signed-in callers get 400 so a bad code
+// is not mistaken for an expired session
+const otpFailure = (res, result, { authenticated = false } = {}) => {
+  const throttled = result.code === 'OTP_RESEND_TOO_SOON' || result.code === 'OTP_SEND_LIMIT';
+  const status = throttled ? 429 : (authenticated ? 400 : 401);
+  return res.status(status).json({
+    success: false,
+    message: OTP_ERROR_MESSAGES[result.code] || 'Verification failed',
+    code: result.code,
+    attemptsLeft: result.attemptsLeft,
+    retryAfter: result.retryAfter
+  });
+};
+
+// Public: send a login or password reset code to a registered phone
+const requestOtp = async (req, res) => {
+  try {
+    const { phoneNumber, purpose = 'login' } = req.body;
+    if (!['login', 'reset_password'].includes(purpose)) {
+      return res.status(400).json({ success: false, message: 'Purpose must be login or reset_password' });
+    }
+    if (normalizePhone(phoneNumber).length < 10) {
+      return res.status(400).json({ success: false, message: 'A valid phone number is required' });
+    }
+
+    // Same answer whether or not the number is registered, so numbers cannot be probed
+    const response = {
+      success: true,
+      message: 'If this number is registered, a code has been sent by SMS',
+      data: { expiresIn: OTP_TTL_MINUTES * 60 }
+    };
+
+    // The code goes to the phone; which agency to sign in to is settled after it is entered
+    const [found] = (await findTenantUsersByPhone(phoneNumber)).active;
+    if (!found) {
+      log('[OTP] No active tenant user for requested phone');
+      return res.json(response);
+    }
+
+    const result = await issueOtp({
+      phone: phoneNumber,
+      purpose,
+      tenantId: found.tenant._id,
+      userType: found.userType,
+      userId: found.user._id
+    });
+    if (!result.ok) return otpFailure(res, result);
+
+    response.data.resendAfter = result.resendAfter;
+    return res.json(response);
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send code' });
+  }
+};
+
+// Public: passwordless login with an SMS code
+const loginWithOtp = async (req, res) => {
+  try {
+    const { phoneNumber, code, tenantId, userType, selectionToken } = req.body;
+    if (!phoneNumber || (!code && !selectionToken)) {
+      return res.status(400).json({ success: false, message: 'Phone number and code are required' });
+    }
+
+    if (selectionToken) {
+      if (!verifyTenantSelection(selectionToken, phoneNumber)) {
+        return res.status(401).json({ success: false, message: 'Agency selection expired. Please request a new code.' });
+      }
+    } else {
+      const result = await verifyOtp({ phone: phoneNumber, purpose: 'login', code });
+      if (!result.ok) return otpFailure(res, result);
+    }
+
+    const { active, inactive } = await findTenantUsersByPhone(phoneNumber, { tenantId, userType });
+    if (active.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: inactive ? 'Your account is inactive. Please contact your administrator.' : 'Invalid credentials'
+      });
+    }
+    if (active.length > 1) {
+      return res.status(409).json({
+        success: false,
+        code: 'TENANT_SELECTION_REQUIRED',
+        message: 'This phone number belongs to more than one agency. Please choose one to continue.',
+        data: { tenants: toTenantChoices(active), selectionToken: signTenantSelection(phoneNumber) }
+      });
+    }
+    const [found] = active;
+
+    // Receiving the code proves the phone belongs to the user
+    if (!found.user.otpVerified) {
+      found.user.otpVerified = true;
+      await found.user.save();
+    }
+
+    const login = await buildTenantUserLogin(req, found.user, found.tenant, found.userType);
+    if (!login.ok) return sendLoginRefusal(res, login);
+    log(`[OTPLogin] ${found.userType} login successful`);
+    return res.json({ success: true, message: 'Login successful', data: login.data });
+  } catch (error) {
+    console.error('OTP login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+};
+
+// Public: set a new password after proving the phone with a code
+const resetPasswordWithOtp = async (req, res) => {
+  try {
+    const { phoneNumber, code, newPassword } = req.body;
+    if (!phoneNumber || !code) {
+      return res.status(400).json({ success: false, message: 'Phone number and code are required' });
+    }
+    if (!newPassword || String(newPassword).length < 6) {
+      return res.status(400).json({ success: false, message: 'Password is required and must be at least 6 characters' });
+    }
+
+    const result = await verifyOtp({ phone: phoneNumber, purpose: 'reset_password', code });
+    if (!result.ok) return otpFailure(res, result);
+
+    // The code proves the phone, so every active account on it gets the new password
+    const { active } = await findTenantUsersByPhone(phoneNumber, { tenantId: req.body.tenantId });
+    if (active.length === 0) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+
+    for (const found of active) {
+      // Hashed by the model's pre-save hook
+      found.user.password = String(newPassword);
+      found.user.otpVerified = true;
+      await found.user.save();
+      await revokeUserSessions({ tenantName: found.tenant.name, userId: found.user._id, reason: 'password_reset' });
+      log(`[OTPReset] Password reset for ${found.userType} in ${found.tenant.name}`);
+    }
+    return res.json({ success: true, message: 'Password reset successfully. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('OTP password reset error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset password' });
+  }
+};
+
+// Signed-in tenant user of the request (repo agent or office staff)
+const loadCurrentTenantUser = async (req) => {
+  const { userId, userType, tenantId } = req.user;
+  if (!['repo_agent', 'office_staff'].includes(userType)) return null;
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return loadTenantUser({ tenantId, userType, userId });
+};
+
+// Authenticated: send a code to the user's own phone to verify it (first login)
+const requestPhoneVerification = async (req, res) => {
+  try {
+    const found = await loadCurrentTenantUser(req);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (found.user.otpVerified) {
+      return res.json({ success: true, message: 'Phone number already verified', data: { otpVerified: true } });
+    }
+    if (normalizePhone(found.user.phoneNumber).length < 10) {
+      return res.status(400).json({ success: false, message: 'No valid phone number on your account. Please contact your administrator.' });
+    }
+
+    const result = await issueOtp({
+      phone: found.user.phoneNumber,
+      purpose: 'verify_phone',
+      tenantId: found.tenant._id,
+      userType: found.userType,
+      userId: found.user._id
+    });
+    if (!result.ok) return otpFailure(res, result, { authenticated: true });
+
+    return res.json({
+      success: true,
+      message: 'Verification code sent by SMS',
+      data: { expiresIn: OTP_TTL_MINUTES * 60, resendAfter: result.resendAfter }
+    });
+  } catch (error) {
+    console.error('Phone verification request error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send code' });
+  }
+};
+
+// Authenticated: confirm the code sent to the user's phone
+const verifyPhone = async (req, res) => {
+  try {
+    const found = await loadCurrentTenantUser(req);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!req.body.code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+
+    // Only the code issued to this user is checked, so another account's code is never spent
+    const result = await verifyOtp({
+      phone: found.user.phoneNumber,
+      purpose: 'verify_phone',
+      code: req.body.code,
+      userId: found.user._id
+    });
+    if (!result.ok) return otpFailure(res, result, { authenticated: true });
+
+    found.user.otpVerified = true;
+    await found.user.save();
+    return res.json({ success: true, message: 'Phone number verified', data: { otpVerified: true } });
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify phone number' });
+  }
+};
+
+// Authenticated: end the session the request was made with (mobile logout)
+const logout = async (req, res) => {
+  try {
+    const { sessionId, userId, userType, tenantName } = req.user;
+    if (sessionId && (userType === 'main_user' || tenantName)) {
+      const conn = await getSessionConnection(userType === 'main_user' ? null : tenantName);
+      await revokeSessions(conn, { _id: sessionId, userId }, { by: userId, reason: 'logout' });
+    }
+    return res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Logout failed' });
+  }
+};
+
+// Public: swap a refresh token for a new access token (and a new refresh token)
+const refreshToken = async (req, res) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+    const result = await refreshAuthSession(req.body.refreshToken);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, code: result.code, message: result.message, forceLogout: true });
+    }
+    return res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh token' });
+  }
+};
+
 module.exports = {
   unifiedLogin,
-  getUnifiedProfile
+  logout,
+  refreshToken,
+  getUnifiedProfile,
+  requestOtp,
+  loginWithOtp,
+  resetPasswordWithOtp,
+  requestPhoneVerification,
+  verifyPhone
 };
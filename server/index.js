@@ -15,7 +15,12 @@ const tenantRoutes = require('./routes/tenant');
 const paymentsRoutes = require('./routes/payments');
 const { authenticateUnifiedToken } = require('./middleware/unifiedAuth');
 const { requireActiveSubscription } = require('./middleware/subscription');
-const { deleteOldScreenshots } = require('./utils/deleteOldScreenshots');
+// Loaded for their job handlers (screenshot_cleanup, expired_data_purge)
+require('./utils/deleteOldScreenshots');
+require('./utils/purgeExpiredVehicles');
+require('./utils/subscriptionLifecycle');
+const { ensureIdentityDirectory } = require('./utils/identityDirectory');
+const { startJobWorker, stopJobWorker, schedulePeriodicJob } = require('./utils/jobQueue');
 const path = require('path');
 const mongoose = require('mongoose');
 
@@ -67,6 +72,9 @@ let server;
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 ${signal} received. Starting graceful shutdown...`);
   
+  // Stop claiming jobs; running ones are picked up again once their lease expires
+  stopJobWorker();
+
   server.close(() => {
     console.log('✅ HTTP server closed.');
     
@@ -185,7 +193,11 @@ app.use(generalLimiter);
 
 // Body parser middleware with safer limits
 app.use(express.json({ 
-  limit: '50mb' // Reduced from 100mb to prevent memory issues
+  limit: '50mb', // Reduced from 100mb to prevent memory issues
+  // Payment gateway webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/gateway/webhook/')) req.rawBody = buf;
+  }
 }));
 app.use(express.urlencoded({ 
   extended: true,
@@ -225,6 +237,12 @@ app.use('/api/tenant/clients', require('./routes/client'));
 app.use('/api/tenant/users', require('./routes/tenantUsers'));
 app.use('/api/tenant/mobile', require('./routes/mobileUpload'));
 app.use('/api/tenant/data', require('./routes/fileManagement'));
+app.use('/api/tenant/seizure-reports', require('./routes/seizureReports'));
+app.use('/api/tenant/yards', require('./routes/yards'));
+app.use('/api/tenant/jobs', require('./routes/jobs'));
+app.use('/api/tenant/audit', require('./routes/audit'));
+app.use('/api/tenant/territories', require('./routes/territories'));
+app.use('/api/tenant/match-alerts', require('./routes/matchAlerts'));
 app.use('/api/tenant', tenantRoutes); // Add singular route for tenant-specific endpoints
 app.use('/api/mobile', require('./routes/pushNotifications'));
 app.use('/api/payments', paymentsRoutes);
@@ -291,23 +309,13 @@ server = app.listen(PORT, () => {
   const mem = checkMemoryUsage();
   console.log(`📊 Initial memory usage:`, mem);
   
-  // Schedule screenshot deletion task (run every 6 hours)
-  setInterval(async () => {
-    try {
-      await deleteOldScreenshots();
-    } catch (err) {
-      console.error('Error in scheduled screenshot deletion:', err);
-    }
-  }, 6 * 60 * 60 * 1000); // 6 hours
-  
-  // Run immediately on startup (after a short delay to ensure DB is connected)
-  setTimeout(async () => {
-    try {
-      await deleteOldScreenshots();
-    } catch (err) {
-      console.error('Error in initial screenshot deletion:', err);
-    }
-  }, 30000); // 30 seconds after startup
+  // Background jobs (uploads, snapshot builds, notifications, cleanups)
+  startJobWorker();
+  schedulePeriodicJob('screenshot_cleanup', 6 * 60 * 60 * 1000, { label: 'Screenshot cleanup' }); // 6 hours
+  schedulePeriodicJob('expired_data_purge', 60 * 60 * 1000, { label: 'Expired data purge' }); // 1 hour
+  schedulePeriodicJob('identity_directory_rebuild', 24 * 60 * 60 * 1000, { label: 'Login directory rebuild' }); // daily
+  schedulePeriodicJob('subscription_lifecycle', 60 * 60 * 1000, { label: 'Subscription lifecycle' }); // hourly
+  ensureIdentityDirectory().catch(err => console.error('❌ Failed to queue login directory build:', err.message));
 });
 
 // Server error handling
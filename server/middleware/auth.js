@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { touchSession } = require('../utils/deviceSessions');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -31,7 +33,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued with a session stop working once it is revoked (logout, password change)
+    if (decoded.sid && !(await touchSession(mongoose.connection, decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'This session has been signed out. Please login again.',
+        forceLogout: true
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -43,6 +55,7 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
+        code: 'TOKEN_EXPIRED',
         message: 'Token expired'
       });
     }
@@ -1,6 +1,6 @@
 const Tenant = require('../models/Tenant');
 const UserSubscription = require('../models/UserSubscription');
-const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { PLAN_FEATURES, getEntitlements, getTenantEntitlements } = require('../utils/planEntitlements');
 
 // Helper function to fetch user subscription
 async function fetchUserSubscription(req) {
@@ -172,8 +172,16 @@ const requireGracePeriodAccess = async (req, res, next) => {
   }
 };
 
-// Middleware factory to require a specific feature
+// Throws at startup for a flag that is not in the plan catalogue
+const assertKnownFeature = (featureName) => {
+  if (!PLAN_FEATURES.includes(featureName)) {
+    throw new Error(`Unknown plan feature '${featureName}'. Expected one of: ${PLAN_FEATURES.join(', ')}`);
+  }
+};
+
+// Middleware factory to require a feature flag on the user's subscription plan
 const requireFeature = (featureName) => {
+  assertKnownFeature(featureName);
   return async (req, res, next) => {
     try {
       const subscription = await fetchUserSubscription(req);
@@ -236,15 +244,15 @@ const requireFeature = (featureName) => {
       }
       
       const plan = subscription.planId;
-      const hasFeature = plan.features.some(f => f.toLowerCase().includes(featureName.toLowerCase()));
+      const entitlements = getEntitlements(plan);
       
-      if (!hasFeature) {
+      if (!entitlements.features[featureName]) {
         return res.status(403).json({
           success: false,
           code: 'FEATURE_NOT_AVAILABLE',
           message: `Feature '${featureName}' is not available in your plan`,
           currentPlan: plan.name,
-          currentFeatures: plan.features,
+          currentFeatures: PLAN_FEATURES.filter(key => entitlements.features[key]),
           requiredFeature: featureName
         });
       }
@@ -260,6 +268,39 @@ const requireFeature = (featureName) => {
   };
 };
 
+// Middleware factory to require a feature flag on the tenant's plan. For routes used by tenant
+// admins and office staff as well as agents, so it does not need a subscription of the user's own.
+const requirePlanFeature = (featureName) => {
+  assertKnownFeature(featureName);
+  return async (req, res, next) => {
+    try {
+      if (req.user?.role === 'super_admin' || !req.user?.tenantId) {
+        return next();
+      }
+      
+      const entitlements = await getTenantEntitlements(req.user.tenantId);
+      
+      if (!entitlements.features[featureName]) {
+        return res.status(403).json({
+          success: false,
+          code: 'FEATURE_NOT_AVAILABLE',
+          message: `Feature '${featureName}' is not available in your plan`,
+          currentPlan: entitlements.name || entitlements.code,
+          currentFeatures: PLAN_FEATURES.filter(key => entitlements.features[key]),
+          requiredFeature: featureName
+        });
+      }
+      
+      req.entitlements = entitlements;
+      
+      next();
+    } catch (error) {
+      console.error('Error in requirePlanFeature:', error);
+      res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+  };
+};
+
 // Middleware factory to check usage limits
 const checkUsageLimit = (limitType) => {
   return async (req, res, next) => {
@@ -481,11 +522,13 @@ const getSubscriptionStatus = async (req, res) => {
     }
     
     if (subscription.planId) {
+      const entitlements = getEntitlements(subscription.planId);
       statusResponse.plan = {
         name: subscription.planId.name,
         code: subscription.planId.code,
         features: subscription.planId.features,
-        limits: subscription.planId.limits
+        featureFlags: entitlements.features,
+        limits: entitlements.limits
       };
     }
     
@@ -500,6 +543,7 @@ module.exports = {
   requireActiveSubscription,
   requireGracePeriodAccess,
   requireFeature,
+  requirePlanFeature,
   checkUsageLimit,
   requireTrialAccess,
   getRemainingTime,
@@ -1,7 +1,13 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
 const { getTenantDB } = require('../config/database');
+const { touchSession } = require('../utils/deviceSessions');
+const { getUserPermissions, PERMISSION_LABELS } = require('../utils/permissions');
+
+// Tokens issued with a server-side session (`sid`) stop working once the session is revoked
+const SESSION_ENDED_MESSAGE = 'This session has been signed out. Please login again.';
 
 // Verify JWT token for unified system
 const authenticateUnifiedToken = async (req, res, next) => {
@@ -46,7 +52,8 @@ const authenticateUnifiedToken = async (req, res, next) => {
         userType: decodedUserType,
         role: decodedRole || 'agent',
         tenantId: decodedTenantId,
-        tenantName: decodedTenantName
+        tenantName: decodedTenantName,
+        sessionId: decoded.sid || null
       };
 
       if (decodedUserType === 'main_user') {
@@ -55,6 +62,10 @@ const authenticateUnifiedToken = async (req, res, next) => {
         if (!user || !user.isActive) {
           return res.status(401).json({ success: false, message: 'Invalid token - user not found' });
         }
+        // Main users' sessions live in the main database
+        if (decoded.sid && !(await touchSession(mongoose.connection, decoded.sid))) {
+          return res.status(401).json({ success: false, message: SESSION_ENDED_MESSAGE, forceLogout: true });
+        }
         req.user.mainUser = user;
       } else {
         // For mobile users (repo agents, office staff), ensure tenant context exists
@@ -66,59 +77,69 @@ const authenticateUnifiedToken = async (req, res, next) => {
         if (decodedUserType === 'repo_agent' && (decoded.agentId || decoded.userId || decoded.agentDbId)) {
           try {
             const tenant = await Tenant.findById(decodedTenantId);
-            if (tenant) {
-              const tenantConnection = await getTenantDB(tenant.name);
-              // Lazy require to avoid circular dependency
-              const { getRepoAgentModel } = require('../routes/tenantUsers');
-              const RepoAgent = getRepoAgentModel(tenantConnection);
-              
-              // Try to find agent by MongoDB _id first (userId or agentDbId), then by numeric agentId
-              let agent = null;
-              const mongoose = require('mongoose');
-              
-              // Check if we have a valid ObjectId (userId or agentDbId)
-              const objectIdToTry = decoded.agentDbId || decoded.userId;
-              if (objectIdToTry && mongoose.Types.ObjectId.isValid(objectIdToTry)) {
-                agent = await RepoAgent.findById(objectIdToTry).select('forceLogoutAt status');
-              }
-              
-              // If not found by _id, try by numeric agentId field
-              if (!agent && decoded.agentId && typeof decoded.agentId === 'number') {
-                agent = await RepoAgent.findOne({ agentId: decoded.agentId }).select('forceLogoutAt status');
-              }
-              
-              // If agent doesn't exist (was deleted), force logout
-              if (!agent) {
-                return res.status(401).json({ 
-                  success: false, 
-                  message: 'Your account has been deleted. Please contact administrator.',
-                  forceLogout: true
-                });
-              }
-              
-              // Check if agent is inactive
-              if (agent.status !== 'active') {
-                return res.status(401).json({ 
-                  success: false, 
-                  message: 'Your account has been deactivated. Please contact administrator.',
-                  forceLogout: true
-                });
-              }
-              
-              // Check if agent has been force logged out
-              if (agent.forceLogoutAt) {
-                // Check if forceLogoutAt is after token issued time (or just check if it exists for immediate logout)
-                // For immediate effect, we'll logout if forceLogoutAt is set
-                return res.status(401).json({ 
-                  success: false, 
-                  message: 'You have been logged out. Please login again.',
-                  forceLogout: true
-                });
-              }
+            if (!tenant) {
+              return res.status(401).json({ success: false, message: 'Invalid token - tenant not found', forceLogout: true });
+            }
+            const tenantConnection = await getTenantDB(tenant.name);
+            // Lazy require to avoid circular dependency
+            const { getRepoAgentModel } = require('../routes/tenantUsers');
+            const RepoAgent = getRepoAgentModel(tenantConnection);
+            
+            // Try to find agent by MongoDB _id first (userId or agentDbId), then by numeric agentId
+            let agent = null;
+            const mongoose = require('mongoose');
+            
+            // Check if we have a valid ObjectId (userId or agentDbId)
+            const objectIdToTry = decoded.agentDbId || decoded.userId;
+            if (objectIdToTry && mongoose.Types.ObjectId.isValid(objectIdToTry)) {
+              agent = await RepoAgent.findById(objectIdToTry).select('forceLogoutAt status');
+            }
+            
+            // If not found by _id, try by numeric agentId field
+            if (!agent && decoded.agentId && typeof decoded.agentId === 'number') {
+              agent = await RepoAgent.findOne({ agentId: decoded.agentId }).select('forceLogoutAt status');
+            }
+            
+            // If agent doesn't exist (was deleted), force logout
+            if (!agent) {
+              return res.status(401).json({ 
+                success: false, 
+                message: 'Your account has been deleted. Please contact administrator.',
+                forceLogout: true
+              });
+            }
+            
+            // Check if agent is inactive
+            if (agent.status !== 'active') {
+              return res.status(401).json({ 
+                success: false, 
+                message: 'Your account has been deactivated. Please contact administrator.',
+                forceLogout: true
+              });
+            }
+            
+            // Check if agent has been force logged out
+            if (agent.forceLogoutAt) {
+              // Check if forceLogoutAt is after token issued time (or just check if it exists for immediate logout)
+              // For immediate effect, we'll logout if forceLogoutAt is set
+              return res.status(401).json({ 
+                success: false, 
+                message: 'You have been logged out. Please login again.',
+                forceLogout: true
+              });
+            }
+
+            if (decoded.sid && !(await touchSession(tenantConnection, decoded.sid))) {
+              return res.status(401).json({
+                success: false,
+                message: SESSION_ENDED_MESSAGE,
+                forceLogout: true
+              });
             }
           } catch (error) {
             console.error('Error checking force logout:', error);
-            // Continue with authentication if check fails
+            // A revoked or deleted account must not get through while the check is failing
+            return res.status(503).json({ success: false, message: 'Could not verify your session. Please try again.' });
           }
         }
         
@@ -126,50 +147,63 @@ const authenticateUnifiedToken = async (req, res, next) => {
         if (decodedUserType === 'office_staff' && decodedUserId) {
           try {
             const tenant = await Tenant.findById(decodedTenantId);
-            if (tenant) {
-              const tenantConnection = await getTenantDB(tenant.name);
-              // Lazy require to avoid circular dependency
-              const { getOfficeStaffModel } = require('../routes/tenantUsers');
-              const OfficeStaff = getOfficeStaffModel(tenantConnection);
-              
-              const mongoose = require('mongoose');
-              let staff = null;
-              
-              // Check if we have a valid ObjectId
-              if (decodedUserId && mongoose.Types.ObjectId.isValid(decodedUserId)) {
-                staff = await OfficeStaff.findById(decodedUserId).select('forceLogoutAt status');
-              }
-              
-              // If staff doesn't exist (was deleted), force logout
-              if (!staff) {
-                return res.status(401).json({ 
-                  success: false, 
-                  message: 'Your account has been deleted. Please contact administrator.',
-                  forceLogout: true
-                });
-              }
-              
-              // Check if staff is inactive
-              if (staff.status !== 'active') {
-                return res.status(401).json({ 
-                  success: false, 
-                  message: 'Your account has been deactivated. Please contact administrator.',
-                  forceLogout: true
-                });
-              }
-              
-              // Check if staff has been force logged out
-              if (staff.forceLogoutAt) {
-                return res.status(401).json({ 
-                  success: false, 
-                  message: 'You have been logged out. Please login again.',
-                  forceLogout: true
-                });
-              }
+            if (!tenant) {
+              return res.status(401).json({ success: false, message: 'Invalid token - tenant not found', forceLogout: true });
+            }
+            const tenantConnection = await getTenantDB(tenant.name);
+            // Lazy require to avoid circular dependency
+            const { getOfficeStaffModel } = require('../routes/tenantUsers');
+            const OfficeStaff = getOfficeStaffModel(tenantConnection);
+            
+            const mongoose = require('mongoose');
+            let staff = null;
+            
+            // Check if we have a valid ObjectId
+            if (decodedUserId && mongoose.Types.ObjectId.isValid(decodedUserId)) {
+              staff = await OfficeStaff.findById(decodedUserId).select('forceLogoutAt status role');
+            }
+            
+            // If staff doesn't exist (was deleted), force logout
+            if (!staff) {
+              return res.status(401).json({ 
+                success: false, 
+                message: 'Your account has been deleted. Please contact administrator.',
+                forceLogout: true
+              });
+            }
+            
+            // Check if staff is inactive
+            if (staff.status !== 'active') {
+              return res.status(401).json({ 
+                success: false, 
+                message: 'Your account has been deactivated. Please contact administrator.',
+                forceLogout: true
+              });
+            }
+            
+            // Check if staff has been force logged out
+            if (staff.forceLogoutAt) {
+              return res.status(401).json({ 
+                success: false, 
+                message: 'You have been logged out. Please login again.',
+                forceLogout: true
+              });
+            }
+
+            if (decoded.sid && !(await touchSession(tenantConnection, decoded.sid))) {
+              return res.status(401).json({
+                success: false,
+                message: SESSION_ENDED_MESSAGE,
+                forceLogout: true
+              });
             }
+
+            // Role changes apply without waiting for a new token
+            if (staff.role) req.user.role = staff.role;
           } catch (error) {
             console.error('Error checking office staff force logout:', error);
-            // Continue with authentication if check fails
+            // A revoked or deleted account must not get through while the check is failing
+            return res.status(503).json({ success: false, message: 'Could not verify your session. Please try again.' });
           }
         }
       }
@@ -184,8 +218,10 @@ const authenticateUnifiedToken = async (req, res, next) => {
       });
     }
     if (error.name === 'TokenExpiredError') {
+      // Clients holding a refresh token renew the access token and retry
       return res.status(401).json({
         success: false,
+        code: 'TOKEN_EXPIRED',
         message: 'Token expired'
       });
     }
@@ -220,6 +256,30 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Check that the user holds a named permission (see utils/permissions). Tenant admins hold
+// every permission; office staff hold their role template's.
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const permissions = await getUserPermissions(req.user);
+    if (!permissions.includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to ${PERMISSION_LABELS[permission].toLowerCase()}`,
+        code: 'PERMISSION_DENIED',
+        permission
+      });
+    }
+    req.user.permissions = permissions;
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // Check if user is a main_user and has tenant management access
 const requireTenantUserManagementAccess = (req, res, next) => {
   console.log('Executing requireTenantUserManagementAccess. req.user:', req.user); // Added log
@@ -330,6 +390,7 @@ module.exports = {
   authenticateUnifiedToken,
   requireSuperAdmin,
   requireAdmin,
+  requirePermission,
   requireTenantAccess,
   requireOfficeStaff,
   requireRepoAgent,
@@ -58,6 +58,19 @@ function trackDataDownload(countExtractor) {
   };
 }
 
+// Count records sent by routes that stream a file instead of answering with JSON
+// (offline snapshots); call it once the response has finished
+async function recordDataDownload(req, recordCount) {
+  try {
+    if (!recordCount) return;
+    const subscription = req.subscription || await getUserSubscription(req);
+    if (!subscription) return;
+    await usageTracker.trackDataDownload(subscription, recordCount);
+  } catch (error) {
+    console.error('Error tracking data download usage:', error);
+  }
+}
+
 // Middleware to track API calls
 function trackAPICall() {
   return async (req, res, next) => {
@@ -92,7 +105,9 @@ function trackAPICall() {
   };
 }
 
-// Middleware to enforce data download limits
+// Middleware to enforce data download limits, counted in records (vehicle rows). Like
+// enforceAPICallLimit it only applies to agents and staff with a subscription: new agents
+// have none until a payment is approved or an admin creates one.
 function enforceDataDownloadLimit(amountExtractor) {
   return async (req, res, next) => {
     try {
@@ -100,12 +115,12 @@ function enforceDataDownloadLimit(amountExtractor) {
       const mobileUserId = req.user.agentId || req.user.staffId;
       
       if (!tenantId || !mobileUserId) {
-        return res.status(401).json({ success: false, message: 'Unauthorized' });
+        return next();
       }
       
       const subscription = await getUserSubscription(req);
       if (!subscription) {
-        return res.status(404).json({ success: false, message: 'Subscription not found' });
+        return next();
       }
       
       if (!subscription.canAccess()) {
@@ -136,7 +151,8 @@ function enforceDataDownloadLimit(amountExtractor) {
   };
 }
 
-// Middleware to enforce API call limits
+// Middleware to enforce API call limits. Only counts against agents and staff with a
+// subscription: the same endpoints serve tenant admins on the web, who have none.
 function enforceAPICallLimit() {
   return async (req, res, next) => {
     try {
@@ -144,16 +160,12 @@ function enforceAPICallLimit() {
       const mobileUserId = req.user.agentId || req.user.staffId;
       
       if (!tenantId || !mobileUserId) {
-        return res.status(401).json({ success: false, message: 'Unauthorized' });
+        return next();
       }
       
       const subscription = await getUserSubscription(req);
       if (!subscription) {
-        return res.status(404).json({ success: false, message: 'Subscription not found' });
-      }
-      
-      if (!subscription.canAccess()) {
-        return res.status(402).json({ success: false, message: 'Subscription expired or suspended' });
+        return next();
       }
       
       const limitCheck = usageTracker.checkLimit(subscription, 'apiCalls', 1);
@@ -218,6 +230,7 @@ function requireActiveSubscriptionWithUsage() {
 
 module.exports = {
   trackDataDownload,
+  recordDataDownload,
   trackAPICall,
   enforceDataDownloadLimit,
   enforceAPICallLimit,
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Vehicle or whole bank file handed to a repo agent (tenant database). File allocations
+// follow the file: vehicles uploaded into it later are allocated too.
+const agentAllocationSchema = new mongoose.Schema({
+  agentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  agentName: { type: String, trim: true },
+  kind: { type: String, enum: ['vehicle', 'file'], required: true },
+  vehicleType: { type: String, trim: true },
+  // kind 'vehicle'
+  vehicleId: { type: mongoose.Schema.Types.ObjectId },
+  regNo: { type: String, trim: true },
+  // kind 'file'
+  fileName: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  note: { type: String, trim: true, maxlength: 500 },
+  allocatedBy: { type: String }
+}, { timestamps: true });
+
+agentAllocationSchema.index({ agentId: 1, kind: 1 });
+agentAllocationSchema.index({ vehicleId: 1 });
+agentAllocationSchema.index({ vehicleType: 1, fileName: 1 });
+
+module.exports = (connection) => connection.models.AgentAllocation
+  || connection.model('AgentAllocation', agentAllocationSchema, 'agent_allocations');
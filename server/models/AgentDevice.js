@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const DEVICE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A phone a repo agent has signed in from (tenant database). Agents can only use the app on
+// approved devices, up to their device limit; new devices wait for a tenant admin.
+const agentDeviceSchema = new mongoose.Schema({
+  agentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Install id generated by the app, also sent with push token registration
+  deviceId: { type: String, required: true },
+  deviceName: { type: String, default: '' },
+  platform: { type: String, default: '' },
+  appVersion: { type: String, default: '' },
+  status: { type: String, enum: DEVICE_STATUSES, default: 'pending' },
+  requestedAt: { type: Date, default: Date.now },
+  decidedAt: { type: Date, default: null },
+  // Main user id of the admin who approved or rejected the device, or 'system'
+  decidedBy: { type: String, default: null },
+  lastLoginAt: { type: Date, default: null }
+}, { versionKey: false });
+
+agentDeviceSchema.index({ agentId: 1, deviceId: 1 }, { unique: true });
+agentDeviceSchema.index({ status: 1, requestedAt: -1 });
+
+module.exports = (connection) => connection.models.AgentDevice
+  || connection.model('AgentDevice', agentDeviceSchema, 'agent_devices');
+module.exports.DEVICE_STATUSES = DEVICE_STATUSES;
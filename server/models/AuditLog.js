@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Administrative actions taken in a tenant (see utils/auditLog.js). Lives in the main database,
+// scoped by tenantId, so super admins can search across tenants and entries outlive a tenant.
+// Entries are append-only: the hooks below refuse any update or delete through the model.
+const auditLogSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' },
+  tenantName: { type: String, trim: true },
+  action: { type: String, required: true, trim: true },
+  actor: {
+    id: { type: String },
+    userType: { type: String, enum: ['main_user', 'office_staff', 'repo_agent', 'system'] },
+    role: { type: String, trim: true },
+    name: { type: String, trim: true }
+  },
+  target: {
+    type: { type: String, trim: true },
+    id: { type: String },
+    label: { type: String, trim: true }
+  },
+  // Fields that changed, as dotted paths
+  changes: [{
+    _id: false,
+    field: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ipAddress: { type: String, trim: true },
+  userAgent: { type: String, trim: true }
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: true });
+
+auditLogSchema.index({ tenantId: 1, createdAt: -1 });
+auditLogSchema.index({ tenantId: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ tenantId: 1, 'target.type': 1, 'target.id': 1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const refuseChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  refuseChange
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, refuseChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema, 'audit_logs');
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// attempted: the call was placed (click-to-call logs it) but no outcome was recorded yet
+const CALL_OUTCOMES = ['attempted', 'confirmed', 'not_reachable', 'asked_to_release', 'asked_to_hold'];
+const CONFIRMER_SOURCES = ['bank', 'agency'];
+
+const actorSchema = new mongoose.Schema({
+  actorId: String,
+  actorType: { type: String, enum: ['main_user', 'office_staff', 'repo_agent'] },
+  name: { type: String, trim: true }
+}, { _id: false });
+
+// One call to a bank or agency confirmer about a found vehicle (tenant database)
+const confirmerCallSchema = new mongoose.Schema({
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  vehicleType: { type: String, trim: true },
+  registrationNumber: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  confirmer: {
+    source: { type: String, enum: CONFIRMER_SOURCES, required: true },
+    // Bank confirmers from the upload: 1 = first, 2 = second, 3 = third
+    slot: { type: Number, min: 1, max: 3 },
+    agencyConfirmerId: mongoose.Schema.Types.ObjectId,
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true }
+  },
+  outcome: { type: String, enum: CALL_OUTCOMES, default: 'attempted' },
+  calledAt: { type: Date, default: Date.now },
+  outcomeAt: Date,
+  notes: { type: String, trim: true, maxlength: 1000 },
+  calledBy: actorSchema
+}, { timestamps: true });
+
+confirmerCallSchema.index({ vehicleId: 1, calledAt: -1 });
+
+module.exports = (connection) => connection.models.ConfirmerCall
+  || connection.model('ConfirmerCall', confirmerCallSchema, 'confirmer_calls');
+module.exports.CALL_OUTCOMES = CALL_OUTCOMES;
+module.exports.CONFIRMER_SOURCES = CONFIRMER_SOURCES;
@@ -19,6 +19,11 @@ const deviceTokenSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // main_user, office_staff or repo_agent; lets alerts target admins and staff only
+  userType: {
+    type: String,
+    default: ''
+  },
   platform: {
     type: String,
     enum: ['android', 'ios', 'web'],
@@ -61,9 +66,11 @@ deviceTokenSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get active tokens for a tenant
-deviceTokenSchema.statics.getActiveTokensForTenant = async function(tenantId) {
-  return this.find({ tenantId, isActive: true }).lean();
+// Static method to get active tokens for a tenant, optionally only for some user types
+deviceTokenSchema.statics.getActiveTokensForTenant = async function(tenantId, { userTypes } = {}) {
+  const filter = { tenantId, isActive: true };
+  if (userTypes && userTypes.length) filter.userType = { $in: userTypes };
+  return this.find(filter).lean();
 };
 
 // Static method to get active tokens for a user
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Background jobs run by the worker in utils/jobQueue.js. Lives in the main database so
+// every API instance sees the same queue; tenant jobs carry tenantId for scoping.
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true, trim: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' },
+  tenantName: { type: String, trim: true },
+  label: { type: String, trim: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  result: { type: mongoose.Schema.Types.Mixed },
+  progress: {
+    percent: { type: Number, default: 0 },
+    message: { type: String, default: '' },
+    data: { type: mongoose.Schema.Types.Mixed }
+  },
+  // Collapses identical jobs while one is still waiting to run
+  dedupeKey: { type: String },
+  // Jobs sharing a lock key never run at the same time, on any instance
+  lockKey: { type: String },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3, min: 1 },
+  runAt: { type: Date, default: Date.now },
+  lockedBy: { type: String },
+  lockedUntil: { type: Date },
+  cancelRequested: { type: Boolean, default: false },
+  lastError: { type: String },
+  errorCode: { type: String },
+  attemptErrors: [{
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  createdBy: {
+    id: { type: String },
+    userType: { type: String },
+    name: { type: String }
+  },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  // Finished jobs are removed by the TTL index once this passes
+  expireAt: { type: Date }
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ tenantId: 1, createdAt: -1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ lockKey: 1, status: 1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { status: 'queued', dedupeKey: { $type: 'string' } } });
+jobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Tenant admin notifications (main DB). Vehicle match alerts are acknowledged by an
+// admin or office staff member; unacknowledged ones are escalated (see utils/matchAlerts).
+const notificationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true
+  },
+  tenantName: String,
+  type: {
+    type: String,
+    index: true
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'high'],
+    default: 'normal'
+  },
+  title: String,
+  message: String,
+  payload: Object,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    id: String,
+    userType: String,
+    name: String
+  },
+  escalatedAt: Date
+}, { strict: false });
+
+notificationSchema.index({ tenantId: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema, 'notifications');
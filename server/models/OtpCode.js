@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['login', 'verify_phone', 'reset_password'];
+
+// One-time code sent by SMS to a tenant user's phone (main database, since login happens
+// before the tenant is known). Only a keyed hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+  // Digits only
+  phone: { type: String, required: true },
+  purpose: { type: String, enum: OTP_PURPOSES, required: true },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  userType: { type: String, enum: ['repo_agent', 'office_staff'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  // Codes sent in this throttling window (the document is reused for resends)
+  sendCount: { type: Number, default: 1 },
+  lastSentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep spent codes a day for throttling and support questions
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
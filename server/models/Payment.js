@@ -13,13 +13,35 @@ const paymentSchema = new mongoose.Schema(
     planPeriod: { type: String, enum: ['weekly', 'monthly', 'quarterly', 'yearly'], required: true },
     amount: { type: Number, required: true, min: 0 },
     transactionId: { type: String, required: true, trim: true },
+    transactionIdKey: { type: String }, // upper-cased transactionId, unique across tenants
     notes: { type: String, trim: true },
     screenshotUrl: { type: String, trim: true },
     screenshotDeleteAt: { type: Date, index: true }, // Auto-delete screenshot 2 days after approval
-    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+    screenshotHash: { type: String }, // perceptual hash, kept after the file is deleted (see utils/paymentFraud)
+    screenshotHashBands: { type: [String], default: undefined }, // screenshotHash split into indexed bands
+    // Warnings for the approver raised at submission; never shown to the payer
+    fraudFlags: [{
+      _id: false,
+      code: { type: String, required: true },
+      severity: { type: String, enum: ['warning', 'high'], default: 'warning' },
+      message: { type: String, trim: true },
+      relatedPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }
+    }],
+    // initiated: online order created, waiting for the gateway webhook (not shown for approval)
+    status: { type: String, enum: ['initiated', 'pending', 'approved', 'rejected'], default: 'pending', index: true },
+    method: { type: String, enum: ['manual', 'gateway'], default: 'manual' },
+    gateway: {
+      provider: { type: String, trim: true },
+      orderId: { type: String, trim: true },
+      paymentId: { type: String, trim: true },
+      paidAt: { type: Date },
+      failureReason: { type: String, trim: true },
+      checkoutToken: { type: String }, // secret part of the hosted checkout link
+      recurring: { type: Boolean } // auto-renewal charged on a saved payment method
+    },
     rejectionReason: { type: String, trim: true },
     approvalNotes: { type: String, trim: true },
-    processedByRole: { type: String, enum: ['super_admin', 'admin'] },
+    processedByRole: { type: String, trim: true }, // approver's role, or 'payment_gateway'
     processedByEmail: { type: String },
     amountValidated: { type: Boolean, default: false },
     expectedAmount: { type: Number },
@@ -34,7 +56,9 @@ const paymentSchema = new mongoose.Schema(
     retryReason: { type: String, trim: true, maxlength: 500 },
     invoiceNumber: { type: String, trim: true, unique: true, sparse: true },
     invoiceUrl: { type: String, trim: true },
-    invoiceGeneratedAt: { type: Date }
+    invoiceGeneratedAt: { type: Date },
+    // Supplier, recipient and GST split as printed on the invoice (see utils/gstInvoice)
+    invoiceSnapshot: { type: mongoose.Schema.Types.Mixed }
   },
   { timestamps: true }
 );
@@ -43,9 +67,31 @@ paymentSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
 
 // Ensure transactionId is unique to prevent duplicate submissions
 paymentSchema.index({ transactionId: 1 }, { unique: true });
+paymentSchema.index({ transactionIdKey: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ screenshotHashBands: 1, createdAt: -1 });
+
+// UTRs are case-insensitive, so reuse is checked on an upper-cased copy
+paymentSchema.statics.normalizeTransactionId = function(transactionId) {
+  return String(transactionId || '').replace(/\s+/g, '').toUpperCase();
+};
+
+// Eight 8-bit bands of a 64-bit screenshot hash, tagged with their position. Two hashes that
+// differ by 7 bits or fewer share at least one band, so similar screenshots can be looked up
+// through the index instead of comparing every stored hash.
+paymentSchema.statics.screenshotHashBands = function(hash) {
+  if (!/^[0-9a-f]{16}$/i.test(String(hash || ''))) return undefined;
+  return Array.from({ length: 8 }, (_, i) => `${i}:${hash.slice(i * 2, i * 2 + 2).toLowerCase()}`);
+};
+
+paymentSchema.pre('validate', function(next) {
+  if (this.transactionId) this.transactionIdKey = this.constructor.normalizeTransactionId(this.transactionId);
+  if (this.isModified('screenshotHash')) this.screenshotHashBands = this.constructor.screenshotHashBands(this.screenshotHash);
+  next();
+});
 
 paymentSchema.index({ status: 1, nextRetryAt: 1 });
 paymentSchema.index({ tenantId: 1, invoiceNumber: 1 });
+paymentSchema.index({ 'gateway.provider': 1, 'gateway.orderId': 1 }, { sparse: true });
 
 paymentSchema.statics.generateInvoiceNumber = async function() {
   const now = new Date();
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CONDITION_STATUSES = ['ok', 'damaged', 'missing'];
+
+// Field report filed by an agent when a vehicle is repossessed (tenant database)
+const seizureReportSchema = new mongoose.Schema({
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  vehicleType: { type: String, trim: true },
+  registrationNumber: { type: String, trim: true },
+  chassisNumber: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  vehicleStatus: { type: String, trim: true },
+  photos: [{
+    url: { type: String, required: true },
+    filename: String,
+    size: Number
+  }],
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    capturedAt: Date
+  },
+  odometerReading: { type: Number, min: 0 },
+  condition: [{
+    item: { type: String, required: true, trim: true },
+    status: { type: String, enum: CONDITION_STATUSES, default: 'ok' },
+    remark: { type: String, trim: true }
+  }],
+  inventory: [{
+    item: { type: String, required: true, trim: true },
+    quantity: { type: Number, default: 1, min: 0 },
+    remark: { type: String, trim: true }
+  }],
+  yardHandover: {
+    yardName: { type: String, trim: true },
+    yardLocation: { type: String, trim: true },
+    receivedBy: { type: String, trim: true },
+    receivedByPhone: { type: String, trim: true },
+    handoverAt: Date
+  },
+  notes: { type: String, trim: true, maxlength: 2000 },
+  reportedBy: {
+    actorId: String,
+    actorType: { type: String, enum: ['main_user', 'office_staff', 'repo_agent'] },
+    name: { type: String, trim: true }
+  }
+}, { timestamps: true });
+
+seizureReportSchema.index({ vehicleId: 1, createdAt: -1 });
+seizureReportSchema.index({ createdAt: -1 });
+
+module.exports = (connection) => connection.models.SeizureReport
+  || connection.model('SeizureReport', seizureReportSchema, 'seizure_reports');
+module.exports.CONDITION_STATUSES = CONDITION_STATUSES;
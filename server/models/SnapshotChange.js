@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const SNAPSHOT_CHANGE_OPS = ['insert', 'update', 'delete'];
+
+// Vehicle ids that changed in a snapshot version compared with the previous one (tenant database)
+const snapshotChangeSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  vehicleId: { type: String, required: true },
+  op: { type: String, enum: SNAPSHOT_CHANGE_OPS, required: true }
+}, { versionKey: false });
+
+snapshotChangeSchema.index({ version: 1 });
+
+module.exports = (connection) => connection.models.SnapshotChange
+  || connection.model('SnapshotChange', snapshotChangeSchema, 'snapshot_changes');
+module.exports.SNAPSHOT_CHANGE_OPS = SNAPSHOT_CHANGE_OPS;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One entry per offline snapshot build (tenant database). A baseline version has no
+// change log against the version before it, so deltas cannot cross it.
+const snapshotVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  md5: { type: String },
+  size: { type: Number },
+  vehicleCount: { type: Number, default: 0 },
+  inserted: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  deleted: { type: Number, default: 0 },
+  baseline: { type: Boolean, default: false }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+module.exports = (connection) => connection.models.SnapshotVersion
+  || connection.model('SnapshotVersion', snapshotVersionSchema, 'snapshot_versions');
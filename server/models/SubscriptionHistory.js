@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One entry per subscription status or period change (written by the UserSubscription save
+// hook), plus renewal reminders and auto-renew attempts from the lifecycle scheduler
+const subscriptionHistorySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'UserSubscription', required: true },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', index: true },
+  mobileUserId: { type: String },
+  // created, renewed, grace_period, past_due, expired, suspended, cancelled, reactivated,
+  // period_changed, reminder_sent, auto_renew_started, auto_renew_failed
+  event: { type: String, required: true, trim: true },
+  fromStatus: { type: String, trim: true },
+  toStatus: { type: String, trim: true },
+  previousPeriodEnd: { type: Date },
+  periodEnd: { type: Date },
+  source: { type: String, enum: ['scheduler', 'payment', 'gateway', 'admin', 'system'], default: 'system' },
+  actor: { type: String, trim: true }, // admin email for admin changes
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  reason: { type: String, trim: true, maxlength: 500 }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+subscriptionHistorySchema.index({ subscriptionId: 1, createdAt: -1 });
+subscriptionHistorySchema.index({ tenantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SubscriptionHistory', subscriptionHistorySchema, 'subscription_history');
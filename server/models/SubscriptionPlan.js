@@ -1,8 +1,14 @@
 const mongoose = require('mongoose');
 
-// Lightweight schema retained only to keep historical planId references working
-// for legacy data. Tenant user billing no longer relies on this catalog, but
-// the model must stay registered to avoid MissingSchemaError during populate.
+// Plan catalogue edited by super admins. A tenant is put on a plan (tenant.subscription.planId)
+// and its agents' subscriptions carry the same planId; utils/planEntitlements turns the plan
+// into the feature flags and limits enforced across the API.
+
+// Feature flags a plan can switch on or off
+const PLAN_FEATURES = ['offlineSync', 'matchAlerts', 'yardManagement'];
+
+// Numeric limits; -1 means unlimited
+const PLAN_LIMITS = ['maxUsers', 'maxBanks', 'maxDataDownloads', 'maxAPIcalls'];
 
 const pricingSchema = new mongoose.Schema(
   {
@@ -14,22 +20,35 @@ const pricingSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// maxUsers: repo agents per tenant; maxBanks: clients (banks / NBFCs) per tenant;
+// maxDataDownloads: vehicle records (rows) downloaded for offline use, and maxAPIcalls: API
+// calls (vehicle searches), each per agent per billing period. A full offline sync downloads
+// every vehicle the agent may see, so download limits are sized in the hundreds of thousands.
 const limitsSchema = new mongoose.Schema(
   {
-    maxUsers: { type: Number, default: 0, min: 0 },
-    maxDataDownloads: { type: Number, default: 0, min: 0 },
-    maxAPIcalls: { type: Number, default: 0, min: 0 }
+    maxUsers: { type: Number, default: -1, min: -1 },
+    maxBanks: { type: Number, default: -1, min: -1 },
+    maxDataDownloads: { type: Number, default: -1, min: -1 },
+    maxAPIcalls: { type: Number, default: -1, min: -1 }
   },
   { _id: false }
 );
 
+// Plans saved before the flags existed keep every feature
+const featureFlagsSchema = new mongoose.Schema(
+  PLAN_FEATURES.reduce((fields, key) => ({ ...fields, [key]: { type: Boolean, default: true } }), {}),
+  { _id: false }
+);
+
 const subscriptionPlanSchema = new mongoose.Schema(
   {
     name: { type: String, trim: true, default: '' },
     code: { type: String, trim: true, lowercase: true, index: true },
     description: { type: String, trim: true, default: '' },
     pricing: { type: pricingSchema, default: () => ({}) },
+    // Marketing bullet points shown with the plan; access checks use featureFlags
     features: { type: [String], default: [] },
+    featureFlags: { type: featureFlagsSchema, default: () => ({}) },
     limits: { type: limitsSchema, default: () => ({}) },
     isActive: { type: Boolean, default: true, index: true },
     displayOrder: { type: Number, default: 1 },
@@ -41,3 +60,5 @@ const subscriptionPlanSchema = new mongoose.Schema(
 module.exports =
   mongoose.models.SubscriptionPlan ||
   mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+module.exports.PLAN_FEATURES = PLAN_FEATURES;
+module.exports.PLAN_LIMITS = PLAN_LIMITS;
@@ -14,11 +14,19 @@ const tenantSchema = new mongoose.Schema({
     default: 'agency'
   },
   subscription: {
+    // Plan from the catalogue; its feature flags and limits apply to the tenant (utils/planEntitlements)
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan'
+    },
+    // Code of that plan, kept for reports and invoices
     plan: {
       type: String,
-      enum: ['basic', 'premium', 'enterprise'],
+      trim: true,
+      lowercase: true,
       default: 'basic'
     },
+    // Only used while the tenant has no plan
     maxUsers: {
       type: Number,
       default: 10,
@@ -67,6 +75,32 @@ const tenantSchema = new mongoose.Schema({
         message: 'Data multiplier must be 1, 2, 3, 4, 5, or 6'
       }
     },
+    // Approved devices each repo agent may sign in from (agents can override it)
+    maxDevicesPerAgent: {
+      type: Number,
+      default: 1,
+      min: [1, 'Device limit must be at least 1'],
+      max: [10, 'Device limit cannot exceed 10']
+    },
+    // Office staff role templates: role name → permission names (see utils/permissions).
+    // Roles missing here use the default template.
+    rolePermissions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    // What repo agents see in search and the offline snapshot (see utils/agentScope)
+    agentVehicleScope: {
+      type: String,
+      enum: ['all', 'allocations_first', 'territory'],
+      default: 'all'
+    },
+    // Minutes a vehicle match alert may stay unacknowledged before it is escalated (0 = never)
+    matchAlertEscalationMinutes: {
+      type: Number,
+      default: 10,
+      min: [0, 'Escalation time cannot be negative'],
+      max: [240, 'Escalation time cannot exceed 240 minutes']
+    },
     paymentConfig: {
       upiId: { type: String, trim: true, default: '' },
       payeeName: { type: String, trim: true, default: '' },
@@ -77,6 +111,20 @@ const tenantSchema = new mongoose.Schema({
         monthly: { type: Number, default: 0, min: 0 },
         quarterly: { type: Number, default: 0, min: 0 },
         yearly: { type: Number, default: 0, min: 0 }
+      },
+      // Let agents pay online through the server's PAYMENT_GATEWAY (see utils/paymentGateway)
+      gatewayEnabled: { type: Boolean, default: false },
+      // Letterhead and GST registration printed on agents' subscription invoices
+      invoice: {
+        legalName: { type: String, trim: true, default: '' },
+        gstin: { type: String, trim: true, uppercase: true, default: '' },
+        address: { type: String, trim: true, default: '' },
+        state: { type: String, trim: true, default: '' },
+        phone: { type: String, trim: true, default: '' },
+        email: { type: String, trim: true, default: '' },
+        sacCode: { type: String, trim: true, default: '998314' },
+        // Plan prices are what agents pay, so they include GST at this rate
+        gstRate: { type: Number, default: 18, enum: [0, 5, 12, 18, 28] }
       }
     }
   },
@@ -115,7 +163,17 @@ const tenantSchema = new mongoose.Schema({
       uploadDate: false,
       fileName: false
     }
-  }
+  },
+  // Per-role masking on top of fieldMapping, optionally limited to banks and vehicle statuses
+  // (see utils/fieldMasking). fields maps a field to 'mask' or 'hide'.
+  fieldMaskingRules: [{
+    _id: false,
+    name: { type: String, trim: true },
+    roles: [String],
+    banks: [String],
+    statuses: [String],
+    fields: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }]
 }, {
   timestamps: true
 });
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Area a tenant assigns repo agents to (tenant database). A vehicle is in the territory when
+// any listed zone, branch, city or pincode matches it (see utils/agentScope).
+const territorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, trim: true, maxlength: 500 },
+  zones: [{ type: String, trim: true }],
+  branches: [{ type: String, trim: true }],
+  cities: [{ type: String, trim: true }],
+  pincodes: [{ type: String, trim: true }],
+  agentIds: [{ type: mongoose.Schema.Types.ObjectId }],
+  createdBy: { type: String }
+}, { timestamps: true });
+
+territorySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+territorySchema.index({ agentIds: 1 });
+
+module.exports = (connection) => connection.models.Territory
+  || connection.model('Territory', territorySchema, 'territories');
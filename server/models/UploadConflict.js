@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { DUPLICATE_POLICIES } = require('../utils/uploadConflicts');
+
+// How long an upload can wait in review before its conflicts are dropped
+const UPLOAD_CONFLICT_RETENTION_DAYS = 30;
+
+// A row of an upload under review that matches vehicles already on file (tenant database).
+// `action` overrides the upload's duplicate policy for this row when the reviewer picks one.
+const uploadConflictSchema = new mongoose.Schema({
+  uploadId: { type: String, required: true },
+  // Row number as shown in the spreadsheet (header is row 1)
+  rowNumber: { type: Number, required: true },
+  // Identifiers that matched: registrationNumber, chassisNumber, agreementNumber
+  fields: [String],
+  incoming: { type: mongoose.Schema.Types.Mixed, default: {} },
+  existing: [{ type: mongoose.Schema.Types.Mixed }],
+  action: { type: String, enum: [...DUPLICATE_POLICIES, null], default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+uploadConflictSchema.index({ uploadId: 1, rowNumber: 1 });
+uploadConflictSchema.index({ createdAt: 1 }, { expireAfterSeconds: UPLOAD_CONFLICT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = (connection) => connection.models.UploadConflict
+  || connection.model('UploadConflict', uploadConflictSchema, 'upload_conflicts');
+module.exports.UPLOAD_CONFLICT_RETENTION_DAYS = UPLOAD_CONFLICT_RETENTION_DAYS;
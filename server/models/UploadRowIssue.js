@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// How long rejected rows stay downloadable after an upload
+const UPLOAD_ROW_ISSUE_RETENTION_DAYS = 90;
+
+const reasonSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  field: String,
+  message: String
+}, { _id: false });
+
+// A spreadsheet row rejected during ingestion, kept with the original cells so the bank
+// can fix and re-upload just the failures (tenant database)
+const uploadRowIssueSchema = new mongoose.Schema({
+  uploadId: { type: String, required: true },
+  vehicleType: { type: String, trim: true },
+  fileName: { type: String, trim: true },
+  // Row number as shown in the spreadsheet (header is row 1)
+  rowNumber: { type: Number, required: true },
+  reasons: [reasonSchema],
+  row: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+uploadRowIssueSchema.index({ uploadId: 1, rowNumber: 1 });
+uploadRowIssueSchema.index({ createdAt: 1 }, { expireAfterSeconds: UPLOAD_ROW_ISSUE_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = (connection) => connection.models.UploadRowIssue
+  || connection.model('UploadRowIssue', uploadRowIssueSchema, 'upload_row_issues');
+module.exports.UPLOAD_ROW_ISSUE_RETENTION_DAYS = UPLOAD_ROW_ISSUE_RETENTION_DAYS;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Global login directory (main database): maps a normalized phone number or email to the
+// tenant and user it belongs to, so logins do not have to search every tenant database.
+// One entry per user and identifier kind; the same value may appear under several tenants.
+const userIdentitySchema = new mongoose.Schema({
+  kind: { type: String, enum: ['phone', 'email'], required: true },
+  // Last 10 digits of a phone number, or a lowercased email
+  value: { type: String, required: true },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  tenantName: { type: String, required: true },
+  userType: { type: String, enum: ['repo_agent', 'office_staff'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+userIdentitySchema.index({ kind: 1, value: 1 });
+userIdentitySchema.index({ tenantId: 1, userType: 1, userId: 1, kind: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserIdentity', userIdentitySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a login. Tenant users' sessions live in their tenant database, main users'
+// in the main database. Tokens carry the session id as `sid` so one session can be revoked without
+// touching the user's other devices.
+const userSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userType: { type: String, enum: ['repo_agent', 'office_staff', 'main_user'], required: true },
+  deviceId: { type: String, default: '' },
+  deviceName: { type: String, default: '' },
+  platform: { type: String, default: '' },
+  ipAddress: { type: String, default: '' },
+  userAgent: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  // SHA-256 of the current refresh token secret, and of the one it replaced (to spot reuse)
+  refreshTokenHash: { type: String, default: null },
+  previousRefreshTokenHash: { type: String, default: null },
+  refreshedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  // Main user id of the admin who revoked the session, or 'system'
+  revokedBy: { type: String, default: null },
+  revokeReason: { type: String, default: null }
+}, { versionKey: false });
+
+userSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Ended sessions stay visible for a week after they expire
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = (connection) => connection.models.UserSession
+  || connection.model('UserSession', userSessionSchema, 'user_sessions');
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const SubscriptionHistory = require('./SubscriptionHistory');
 
 const userSubscriptionSchema = new mongoose.Schema({
   tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
@@ -13,6 +14,18 @@ const userSubscriptionSchema = new mongoose.Schema({
   currentPeriodStart: { type: Date, index: true },
   currentPeriodEnd: { type: Date, index: true },
   autoRenew: { type: Boolean, default: true },
+  // Card/UPI mandate saved at the gateway on an online payment; charged by the lifecycle scheduler
+  paymentMethod: {
+    provider: { type: String, trim: true },
+    customerId: { type: String, trim: true },
+    token: { type: String, trim: true },
+    label: { type: String, trim: true },
+    savedAt: { type: Date }
+  },
+  autoRenewAttemptedFor: { type: Date }, // period end of the last auto-renew charge, so each period is charged once
+  // Renewal reminders (days before expiry) already sent for reminderPeriodEnd
+  reminderPeriodEnd: { type: Date },
+  remindersSent: [{ type: Number }],
   cancelledAt: { type: Date },
   cancelReason: { type: String, trim: true, maxlength: 500 },
   cancelAtPeriodEnd: { type: Boolean, default: false },
@@ -101,7 +114,13 @@ userSubscriptionSchema.statics.findExpiredGracePeriod = async function() {
   });
 };
 
+// Status and period as loaded, so the save hook can tell what changed
+userSubscriptionSchema.post('init', function() {
+  this.$locals.previous = { status: this.status, periodEnd: this.currentPeriodEnd || this.endDate };
+});
+
 userSubscriptionSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
   // Sync endDate with currentPeriodEnd
   if (this.currentPeriodEnd) {
     this.endDate = this.currentPeriodEnd;
@@ -115,4 +134,42 @@ userSubscriptionSchema.pre('save', function(next) {
   next();
 });
 
+// Write status and period changes to subscription_history. Callers describe the change
+// with subscription.$locals.history = { event, source, actor, paymentId, reason }.
+userSubscriptionSchema.post('save', async function() {
+  const previous = this.$locals.previous || {};
+  const context = this.$locals.history || {};
+  const periodEnd = this.currentPeriodEnd || this.endDate;
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  const statusChanged = this.$locals.wasNew || previous.status !== this.status;
+  const periodChanged = time(previous.periodEnd) !== time(periodEnd);
+
+  if (statusChanged || periodChanged) {
+    const event = context.event
+      || (this.$locals.wasNew ? 'created' : !statusChanged ? 'period_changed' : this.status === 'active' ? 'reactivated' : this.status);
+    try {
+      await SubscriptionHistory.create({
+        subscriptionId: this._id,
+        tenantId: this.tenantId,
+        mobileUserId: this.mobileUserId,
+        event,
+        fromStatus: this.$locals.wasNew ? undefined : previous.status,
+        toStatus: this.status,
+        previousPeriodEnd: this.$locals.wasNew ? undefined : previous.periodEnd,
+        periodEnd,
+        source: context.source,
+        actor: context.actor,
+        paymentId: context.paymentId,
+        reason: context.reason ? String(context.reason).substring(0, 500) : undefined
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write subscription history for ${this._id}:`, error.message);
+    }
+  }
+
+  this.$locals.previous = { status: this.status, periodEnd };
+  this.$locals.history = null;
+  this.$locals.wasNew = false;
+});
+
 module.exports = mongoose.model('UserSubscription', userSubscriptionSchema);
\ No newline at end of file
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { buildSearchIndex } = require('../utils/vehicleSearch');
+
+// Vehicle records live in each tenant database, one collection per vehicle type.
+// Every collection shares this schema; use getVehicleModel to bind it.
+const VEHICLE_COLLECTIONS = {
+  TwoWheeler: 'two_wheeler_data',
+  FourWheeler: 'four_wheeler_data',
+  Commercial: 'commercial_data'
+};
+
+const VEHICLE_TYPES = Object.keys(VEHICLE_COLLECTIONS);
+
+// Bank sheets often carry amounts like "12,500.00"; store a number or nothing
+const toNumberOrUndefined = (value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  const parsed = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+const vehicleSchema = new mongoose.Schema({
+  vehicleType: { type: String, enum: VEHICLE_TYPES },
+  registrationNumber: { type: String, trim: true, uppercase: true },
+  chassisNumber: { type: String, trim: true, uppercase: true },
+  engineNumber: { type: String, trim: true, uppercase: true },
+  agreementNumber: { type: String, trim: true },
+  customerName: { type: String, trim: true },
+  address: { type: String, trim: true },
+  location: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  bankId: { type: String, trim: true },
+  vehicleMake: { type: String, trim: true },
+  vehicleModel: { type: String, trim: true },
+  productName: { type: String, trim: true },
+  emiAmount: { type: Number, set: toNumberOrUndefined },
+  pos: { type: String, trim: true },
+  bucketStatus: { type: String, trim: true },
+  branchName: { type: String, trim: true },
+  zone: { type: String, trim: true },
+  areaOffice: { type: String, trim: true },
+  region: { type: String, trim: true },
+  allocation: { type: String, trim: true },
+  firstConfirmedName: { type: String, trim: true },
+  firstConfirmerPhone: { type: String, trim: true },
+  secondConfirmedName: { type: String, trim: true },
+  secondConfirmerPhone: { type: String, trim: true },
+  thirdConfirmerName: { type: String, trim: true },
+  thirdConfirmerPhone: { type: String, trim: true },
+  status: { type: String, trim: true, default: 'Pending' },
+  // Set while the vehicle is checked into a yard (status In Yard)
+  yardId: { type: mongoose.Schema.Types.ObjectId },
+  yardName: { type: String, trim: true },
+  yardLocation: { type: String, trim: true },
+  fileName: { type: String, trim: true },
+  // Ingestion job that inserted the row, so a retried or cancelled upload can be rolled back
+  uploadId: { type: String },
+  uploadDate: { type: Date, default: Date.now },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // End of the bank's validity window for this allocation; expired rows are archived or purged
+  expiresAt: { type: Date },
+  // Original spreadsheet row, kept so the UI can render columns we don't map
+  raw: { type: mongoose.Schema.Types.Mixed },
+  // Set when an upload kept this record alongside others with the same chassis/reg/agreement number
+  conflict: {
+    flagged: { type: Boolean },
+    fields: [String],
+    vehicleIds: [{ type: mongoose.Schema.Types.ObjectId }],
+    detectedAt: { type: Date }
+  },
+  // Normalized identifiers for search, maintained from the fields above (see utils/vehicleSearch)
+  searchIndex: {
+    version: Number,
+    reg: String,
+    chassis: String,
+    engine: String,
+    agreement: String,
+    grams: [String]
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes are created per tenant database, so they are tenant-scoped by construction
+vehicleSchema.index({ registrationNumber: 1 });
+vehicleSchema.index({ chassisNumber: 1 });
+vehicleSchema.index({ agreementNumber: 1 });
+vehicleSchema.index({ engineNumber: 1 });
+vehicleSchema.index({ customerName: 1 });
+vehicleSchema.index({ bankName: 1 });
+// Territory matching (utils/agentScope)
+vehicleSchema.index({ zone: 1 });
+vehicleSchema.index({ branchName: 1 });
+vehicleSchema.index({ location: 1 });
+vehicleSchema.index({ fileName: 1, uploadDate: -1 });
+vehicleSchema.index({ status: 1 });
+vehicleSchema.index({ updatedAt: 1 });
+vehicleSchema.index({ expiresAt: 1 });
+vehicleSchema.index({ uploadId: 1 });
+vehicleSchema.index({ 'conflict.flagged': 1 });
+vehicleSchema.index({ 'searchIndex.reg': 1 });
+vehicleSchema.index({ 'searchIndex.chassis': 1 });
+vehicleSchema.index({ 'searchIndex.engine': 1 });
+vehicleSchema.index({ 'searchIndex.agreement': 1 });
+vehicleSchema.index({ 'searchIndex.grams': 1 });
+vehicleSchema.index({ 'searchIndex.version': 1 });
+
+// Keep the search index in step with the identifiers on every write path that has the full document
+vehicleSchema.pre('save', function (next) {
+  this.searchIndex = buildSearchIndex(this);
+  next();
+});
+
+vehicleSchema.pre('insertMany', function (next, docs) {
+  for (const doc of Array.isArray(docs) ? docs : [docs]) {
+    if (doc) doc.searchIndex = buildSearchIndex(doc);
+  }
+  next();
+});
+
+// Bind the shared schema to the collection for a vehicle type on a tenant connection
+const getVehicleModel = (connection, vehicleType) => {
+  const collection = VEHICLE_COLLECTIONS[vehicleType];
+  if (!collection) {
+    throw new Error(`Unknown vehicle type: ${vehicleType}`);
+  }
+  const modelName = `${vehicleType}Vehicle`;
+  if (connection.models && connection.models[modelName]) {
+    return connection.models[modelName];
+  }
+  return connection.model(modelName, vehicleSchema, collection);
+};
+
+module.exports = getVehicleModel;
+module.exports.vehicleSchema = vehicleSchema;
+module.exports.VEHICLE_COLLECTIONS = VEHICLE_COLLECTIONS;
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One entry per status change, stored in the tenant database next to the vehicle collections
+const vehicleStatusHistorySchema = new mongoose.Schema({
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  vehicleType: { type: String, trim: true },
+  registrationNumber: { type: String, trim: true },
+  fromStatus: { type: String, trim: true },
+  toStatus: { type: String, required: true, trim: true },
+  actorId: { type: String },
+  actorType: { type: String, enum: ['main_user', 'office_staff', 'repo_agent'] },
+  actorRole: { type: String, trim: true },
+  actorName: { type: String, trim: true },
+  note: { type: String, trim: true, maxlength: 1000 }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+vehicleStatusHistorySchema.index({ vehicleId: 1, createdAt: -1 });
+vehicleStatusHistorySchema.index({ createdAt: -1 });
+
+module.exports = (connection) => connection.models.VehicleStatusHistory
+  || connection.model('VehicleStatusHistory', vehicleStatusHistorySchema, 'vehicle_status_history');
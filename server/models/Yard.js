@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Parking yard where repossessed vehicles are held (tenant database)
+const yardSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  address: { type: String, trim: true, maxlength: 500 },
+  city: { type: String, trim: true },
+  contactName: { type: String, trim: true },
+  contactPhone: { type: String, trim: true },
+  capacity: { type: Number, required: true, min: 1 },
+  // Vehicles parked now. Check-in reserves a space with a conditional increment so it can
+  // never pass capacity; yards created before this field get it from their entries.
+  occupancy: { type: Number, default: 0, min: 0 },
+  notes: { type: String, trim: true, maxlength: 1000 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String }
+}, { timestamps: true });
+
+yardSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+yardSchema.index({ isActive: 1 });
+
+module.exports = (connection) => connection.models.Yard
+  || connection.model('Yard', yardSchema, 'yards');
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const YARD_ENTRY_STATUSES = ['in_yard', 'checked_out'];
+
+const actorSchema = new mongoose.Schema({
+  actorId: String,
+  actorType: { type: String, enum: ['main_user', 'office_staff', 'repo_agent'] },
+  name: { type: String, trim: true }
+}, { _id: false });
+
+// One stay of a vehicle in a yard, from check-in to check-out (tenant database)
+const yardEntrySchema = new mongoose.Schema({
+  yardId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  yardName: { type: String, trim: true },
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  vehicleType: { type: String, trim: true },
+  registrationNumber: { type: String, trim: true },
+  chassisNumber: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  status: { type: String, enum: YARD_ENTRY_STATUSES, default: 'in_yard' },
+  checkInAt: { type: Date, default: Date.now },
+  checkedInBy: actorSchema,
+  checkInNotes: { type: String, trim: true, maxlength: 1000 },
+  releaseLetter: {
+    url: String,
+    filename: String,
+    originalName: String,
+    size: Number,
+    uploadedAt: Date,
+    uploadedBy: actorSchema
+  },
+  checkOutAt: Date,
+  checkedOutBy: actorSchema,
+  // Status the vehicle moved to on check-out (Released or Cancelled)
+  outcome: { type: String, trim: true },
+  releasedTo: { type: String, trim: true },
+  checkOutNotes: { type: String, trim: true, maxlength: 1000 }
+}, { timestamps: true });
+
+yardEntrySchema.index({ yardId: 1, status: 1, checkInAt: -1 });
+yardEntrySchema.index({ vehicleId: 1, checkInAt: -1 });
+// A vehicle can only be parked in one yard at a time
+yardEntrySchema.index({ vehicleId: 1 }, { unique: true, partialFilterExpression: { status: 'in_yard' } });
+
+module.exports = (connection) => connection.models.YardEntry
+  || connection.model('YardEntry', yardEntrySchema, 'yard_entries');
+module.exports.YARD_ENTRY_STATUSES = YARD_ENTRY_STATUSES;
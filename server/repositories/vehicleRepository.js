@@ -0,0 +1,951 @@
+const mongoose = require('mongoose');
+const getVehicleModel = require('../models/Vehicle');
+const { VEHICLE_COLLECTIONS, VEHICLE_TYPES } = require('../models/Vehicle');
+const getVehicleStatusHistoryModel = require('../models/VehicleStatusHistory');
+const { normalizeStatus, getActorRole, getAllowedTransitions, checkTransition } = require('../utils/vehicleLifecycle');
+const { checkConfirmationGate } = require('../utils/confirmerCalls');
+const {
+  SEARCH_INDEX_VERSION,
+  SEARCH_FIELDS,
+  normalizeIdentifier,
+  toConfusableKey,
+  toGrams,
+  buildSearchIndex,
+  maxEditsFor,
+  scoreVehicleMatch,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  compareRanked
+} = require('../utils/vehicleSearch');
+
+// Fields needed to render a vehicle in lists, search results and offline caches
+const SUMMARY_PROJECTION = {
+  registrationNumber: 1,
+  chassisNumber: 1,
+  agreementNumber: 1,
+  bankName: 1,
+  vehicleMake: 1,
+  customerName: 1,
+  address: 1,
+  status: 1
+};
+
+// Accept the many spellings callers use for a vehicle type
+const VEHICLE_TYPE_ALIASES = {
+  twowheeler: 'TwoWheeler',
+  two: 'TwoWheeler',
+  two_wheeler: 'TwoWheeler',
+  two_wheeler_data: 'TwoWheeler',
+  fourwheeler: 'FourWheeler',
+  four: 'FourWheeler',
+  four_wheeler: 'FourWheeler',
+  four_wheeler_data: 'FourWheeler',
+  commercial: 'Commercial',
+  comm: 'Commercial',
+  cv: 'Commercial',
+  commercial_data: 'Commercial'
+};
+
+/**
+ * Normalize a vehicle type hint ('two', 'TwoWheeler', 'two_wheeler_data', ...)
+ * @param {String} value - Vehicle type in any supported spelling
+ * @returns {String|null} Canonical vehicle type or null when unknown
+ */
+function resolveVehicleType(value) {
+  if (!value) return null;
+  if (VEHICLE_COLLECTIONS[value]) return value;
+  return VEHICLE_TYPE_ALIASES[String(value).toLowerCase()] || null;
+}
+
+/**
+ * Get the vehicle models for a tenant connection
+ * @param {Object} connection - Tenant database connection
+ * @param {String} [vehicleType] - Restrict to a single vehicle type
+ * @returns {Array<{vehicleType: String, Model: Object}>}
+ */
+function getVehicleModels(connection, vehicleType) {
+  const resolved = resolveVehicleType(vehicleType);
+  const types = resolved ? [resolved] : VEHICLE_TYPES;
+  return types.map(type => ({ vehicleType: type, Model: getVehicleModel(connection, type) }));
+}
+
+/**
+ * Narrow a vehicle filter to what a repo agent may see
+ * @param {Object|null} scope - From loadAgentScope (utils/agentScope)
+ * @param {String} vehicleType - Vehicle type the filter is run against
+ * @param {Object} [filter] - Mongo filter
+ * @returns {Object} The filter, ANDed with the scope's filter when the agent is restricted
+ */
+function withinScope(scope, vehicleType, filter = {}) {
+  const scopeFilter = scope?.filterFor(vehicleType) || null;
+  if (!scopeFilter) return filter;
+  return Object.keys(filter).length ? { $and: [filter, scopeFilter] } : scopeFilter;
+}
+
+/**
+ * Map a stored vehicle document to the compact shape used by search and offline sync
+ * @param {Object} doc - Lean vehicle document
+ * @param {String} vehicleType - Vehicle type the document was read from
+ * @returns {Object}
+ */
+function toVehicleSummary(doc, vehicleType) {
+  return {
+    _id: doc._id,
+    vehicleType,
+    regNo: doc.registrationNumber || '',
+    chassisNo: doc.chassisNumber || '',
+    loanNo: doc.agreementNumber || '',
+    bank: doc.bankName || '',
+    make: doc.vehicleMake || '',
+    customerName: doc.customerName || '',
+    address: doc.address || '',
+    status: doc.status || 'Pending'
+  };
+}
+
+/**
+ * Map a stored vehicle document to the full detail shape used by the vehicle screens
+ * @param {Object} doc - Lean vehicle document
+ * @param {String} vehicleType - Vehicle type the document was read from
+ * @returns {Object}
+ */
+function toVehicleDetail(doc, vehicleType) {
+  return {
+    _id: doc._id,
+    vehicleType,
+    regNo: doc.registrationNumber || 'N/A',
+    chassisNo: doc.chassisNumber || 'N/A',
+    loanNo: doc.agreementNumber || 'N/A',
+    bank: doc.bankName || 'N/A',
+    make: doc.vehicleMake || 'N/A',
+    customerName: doc.customerName || 'N/A',
+    address: doc.address || 'N/A',
+    branch: doc.branchName || doc.branch || 'N/A',
+    status: doc.status || 'Pending',
+    engineNo: doc.engineNumber || doc.engineNo || 'N/A',
+    productName: doc.productName || 'N/A',
+    emiAmount: doc.emiAmount || 'N/A',
+    pos: doc.pos || doc.POS || 'N/A',
+    model: doc.vehicleModel || doc.model || 'N/A',
+    uploadDate: doc.uploadDate || doc.createdAt || null,
+    bucket: doc.bucketStatus || doc.bucket || 'N/A',
+    season: doc.season || doc.seasoning || 'N/A',
+    inYard: doc.inYard || doc.inyard || doc.yardStatus || 'N/A',
+    yardName: doc.yardName || doc.yard || 'N/A',
+    yardLocation: doc.yardLocation || doc.yardAddress || 'N/A',
+    yardId: doc.yardId || null,
+    fileName: doc.fileName || 'N/A',
+    // Confirmer details (older uploads used "ConfirmerName" for the first two)
+    firstConfirmerName: doc.firstConfirmedName || doc.firstConfirmerName || 'N/A',
+    firstConfirmerPhone: doc.firstConfirmerPhone || 'N/A',
+    secondConfirmerName: doc.secondConfirmedName || doc.secondConfirmerName || 'N/A',
+    secondConfirmerPhone: doc.secondConfirmerPhone || 'N/A',
+    thirdConfirmerName: doc.thirdConfirmerName || 'N/A',
+    thirdConfirmerPhone: doc.thirdConfirmerPhone || 'N/A',
+    // Other records sharing this vehicle's identifiers, when an upload flagged them
+    conflict: doc.conflict?.flagged ? doc.conflict : null,
+    // include raw doc so UI can render any extra fields
+    raw: doc
+  };
+}
+
+/**
+ * Find a vehicle by id. With a vehicle type hint only that collection is read,
+ * otherwise all collections are queried in parallel.
+ * @param {Object} connection - Tenant database connection
+ * @param {String} id - Vehicle ObjectId
+ * @param {Object} [options] - { vehicleType, projection }
+ * @returns {Promise<{vehicle: Object, vehicleType: String, Model: Object}|null>}
+ */
+async function findVehicleById(connection, id, { vehicleType, projection } = {}) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const models = getVehicleModels(connection, vehicleType);
+  const docs = await Promise.all(models.map(({ Model }) => Model.findById(id, projection).lean()));
+  const index = docs.findIndex(Boolean);
+  if (index === -1) return null;
+  return { vehicle: docs[index], vehicleType: models[index].vehicleType, Model: models[index].Model };
+}
+
+/**
+ * Apply an update to a vehicle by id and return the updated document
+ * @param {Object} connection - Tenant database connection
+ * @param {String} id - Vehicle ObjectId
+ * @param {Object} update - Mongo update document
+ * @param {Object} [options] - { vehicleType }
+ * @returns {Promise<{vehicle: Object, vehicleType: String}|null>}
+ */
+async function updateVehicleById(connection, id, update, { vehicleType } = {}) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const models = getVehicleModels(connection, vehicleType);
+  const docs = await Promise.all(models.map(({ Model }) =>
+    Model.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean()
+  ));
+  const index = docs.findIndex(Boolean);
+  if (index === -1) return null;
+
+  // Query updates skip the save hooks, so refresh the search index when identifiers may have changed
+  let vehicle = docs[index];
+  const changed = JSON.stringify(update || {});
+  if (Object.values(SEARCH_FIELDS).some(field => changed.includes(`"${field}"`))) {
+    vehicle = await models[index].Model.findByIdAndUpdate(
+      vehicle._id,
+      { $set: { searchIndex: buildSearchIndex(vehicle) } },
+      { new: true }
+    ).lean() || vehicle;
+  }
+  return { vehicle, vehicleType: models[index].vehicleType };
+}
+
+/**
+ * Move a vehicle through the lifecycle and record the change in its history.
+ * The update only applies if the status is still the one that was checked, so
+ * two concurrent changes cannot both succeed.
+ * Yard moves are only possible through the yard workflow: entering In Yard needs
+ * the yard the vehicle is checked into, leaving it needs a yard check-out, and
+ * Released needs the bank release letter.
+ * @param {Object} connection - Tenant database connection
+ * @param {String} id - Vehicle ObjectId
+ * @param {String} toStatus - Requested status (any spelling accepted by normalizeStatus)
+ * @param {Object} options - { actor: req.user, note, vehicleType, yard, yardCheckout, releaseLetter }
+ * @returns {Promise<Object>} { ok: true, vehicle, vehicleType, history, unchanged }
+ *   or { ok: false, code: not_found|invalid_status|invalid_transition|forbidden|conflict|
+ *   yard_required|yard_checkout_required|release_letter_required|confirmer_call_required|
+ *   confirmer_asked_release|confirmer_asked_hold, from, to, allowed }
+ */
+async function changeVehicleStatus(connection, id, toStatus, { actor, note, vehicleType, yard, yardCheckout, releaseLetter } = {}) {
+  const found = await findVehicleById(connection, id, { vehicleType });
+  if (!found) return { ok: false, code: 'not_found' };
+
+  const role = getActorRole(actor);
+  const storedStatus = found.vehicle.status;
+  const from = normalizeStatus(storedStatus) || 'Pending';
+  const to = normalizeStatus(toStatus);
+
+  if (to && to === from) {
+    return { ok: true, unchanged: true, vehicle: found.vehicle, vehicleType: found.vehicleType, history: null };
+  }
+
+  const check = checkTransition(from, to, role);
+  if (!check.allowed) {
+    return { ok: false, code: check.reason, from, to, allowed: getAllowedTransitions(from, role) };
+  }
+  if (to === 'In Yard' && !yard) return { ok: false, code: 'yard_required', from, to };
+  if (from === 'In Yard' && !yardCheckout) return { ok: false, code: 'yard_checkout_required', from, to };
+  if (to === 'Released' && !releaseLetter?.url) return { ok: false, code: 'release_letter_required', from, to };
+  const gateCode = await checkConfirmationGate(connection, found.vehicle._id, to);
+  if (gateCode) return { ok: false, code: gateCode, from, to };
+
+  const update = { $set: { status: to } };
+  if (to === 'In Yard') {
+    update.$set.yardId = yard._id;
+    update.$set.yardName = yard.name || '';
+    update.$set.yardLocation = yard.address || '';
+  } else if (from === 'In Yard') {
+    update.$unset = { yardId: 1, yardName: 1, yardLocation: 1 };
+  }
+
+  const vehicle = await found.Model.findOneAndUpdate(
+    { _id: found.vehicle._id, status: storedStatus === undefined ? null : storedStatus },
+    update,
+    { new: true }
+  ).lean();
+  if (!vehicle) return { ok: false, code: 'conflict', from, to };
+
+  const History = getVehicleStatusHistoryModel(connection);
+  const history = await History.create({
+    vehicleId: vehicle._id,
+    vehicleType: found.vehicleType,
+    registrationNumber: vehicle.registrationNumber || '',
+    fromStatus: from,
+    toStatus: to,
+    actorId: String(actor?.userId || actor?.agentId || actor?.staffId || ''),
+    actorType: actor?.userType,
+    actorRole: role,
+    actorName: actor?.mainUser?.name || actor?.name || '',
+    note: note ? String(note).trim() : ''
+  });
+
+  return { ok: true, vehicle, vehicleType: found.vehicleType, history: history.toObject() };
+}
+
+/**
+ * Undo a status change whose follow-up write failed (e.g. the yard entry of a check-in).
+ * Only applies while the vehicle still has the status the change set; its history entry
+ * is removed with it.
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} result - Successful result of changeVehicleStatus
+ * @returns {Promise<Boolean>} Whether the vehicle was put back
+ */
+async function revertVehicleStatusChange(connection, result) {
+  const { vehicle, vehicleType, history } = result || {};
+  if (!vehicle || !history) return false;
+  const update = { $set: { status: history.fromStatus } };
+  if (history.toStatus === 'In Yard') update.$unset = { yardId: 1, yardName: 1, yardLocation: 1 };
+  const reverted = await getVehicleModel(connection, vehicleType).findOneAndUpdate(
+    { _id: vehicle._id, status: history.toStatus },
+    update
+  ).lean();
+  if (!reverted) return false;
+  await getVehicleStatusHistoryModel(connection).deleteOne({ _id: history._id });
+  return true;
+}
+
+/**
+ * Status history of a vehicle, newest first
+ * @param {Object} connection - Tenant database connection
+ * @param {String} id - Vehicle ObjectId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getVehicleStatusHistory(connection, id) {
+  if (!mongoose.isValidObjectId(id)) return [];
+  const History = getVehicleStatusHistoryModel(connection);
+  return History.find({ vehicleId: id }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Delete a vehicle by id
+ * @param {Object} connection - Tenant database connection
+ * @param {String} id - Vehicle ObjectId
+ * @param {Object} [options] - { vehicleType }
+ * @returns {Promise<Number>} Number of deleted documents
+ */
+async function deleteVehicleById(connection, id, { vehicleType } = {}) {
+  if (!mongoose.isValidObjectId(id)) return 0;
+  const results = await Promise.all(
+    getVehicleModels(connection, vehicleType).map(({ Model }) => Model.deleteOne({ _id: id }))
+  );
+  return results.reduce((sum, r) => sum + (r?.deletedCount || 0), 0);
+}
+
+/**
+ * Delete the rows inserted by one upload (ingestion job)
+ * @param {Object} connection - Tenant database connection
+ * @param {String} uploadId - Ingestion job id stored on each row
+ * @param {Object} [options] - { vehicleType }
+ * @returns {Promise<Number>} Number of deleted documents
+ */
+async function deleteVehiclesByUpload(connection, uploadId, { vehicleType } = {}) {
+  if (!uploadId) return 0;
+  const results = await Promise.all(
+    getVehicleModels(connection, vehicleType).map(({ Model }) => Model.deleteMany({ uploadId: String(uploadId) }))
+  );
+  return results.reduce((sum, r) => sum + (r?.deletedCount || 0), 0);
+}
+
+/**
+ * Delete every row of an uploaded file, matched by file name (trimmed, any case)
+ * @param {Object} connection - Tenant database connection
+ * @param {String} fileName - File name stored on each row
+ * @param {Object} [options] - { vehicleType }
+ * @returns {Promise<Number>} Number of deleted documents
+ */
+async function deleteVehiclesByFileName(connection, fileName, { vehicleType } = {}) {
+  const name = String(fileName || '').trim();
+  if (!name) return 0;
+  const regex = new RegExp(`^\\s*${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, 'i');
+  const results = await Promise.all(
+    getVehicleModels(connection, vehicleType).map(({ Model }) => Model.deleteMany({ fileName: { $regex: regex } }))
+  );
+  return results.reduce((sum, r) => sum + (r?.deletedCount || 0), 0);
+}
+
+/**
+ * Insert parsed upload rows into the collection for a vehicle type
+ * @param {Object} connection - Tenant database connection
+ * @param {String} vehicleType - Vehicle type of the upload
+ * @param {Array<Object>} docs - Vehicle documents
+ * @returns {Promise<{inserted: Number, failed: Number}>}
+ */
+async function insertVehicles(connection, vehicleType, docs) {
+  const Model = getVehicleModel(connection, resolveVehicleType(vehicleType) || 'TwoWheeler');
+  try {
+    const result = await Model.insertMany(docs, { ordered: false, rawResult: true });
+    const inserted = result.insertedCount || 0;
+    return { inserted, failed: docs.length - inserted };
+  } catch (error) {
+    // Partial insert: some documents hit write errors
+    if (error.writeErrors || error.result) {
+      const inserted = error.result?.insertedCount || error.insertedDocs?.length || 0;
+      return { inserted, failed: docs.length - inserted };
+    }
+    throw error;
+  }
+}
+
+// Identifiers that make two uploaded rows the same vehicle (searchIndex key → field)
+const DUPLICATE_KEY_FIELDS = {
+  reg: 'registrationNumber',
+  chassis: 'chassisNumber',
+  agreement: 'agreementNumber'
+};
+
+// Shorter identifiers are placeholders or typos, not worth matching on
+const MIN_DUPLICATE_KEY_LENGTH = 5;
+
+const DUPLICATE_PROJECTION = {
+  ...SUMMARY_PROJECTION,
+  engineNumber: 1,
+  bankId: 1,
+  emiAmount: 1,
+  status: 1,
+  fileName: 1,
+  uploadId: 1,
+  uploadDate: 1,
+  createdAt: 1
+};
+
+/**
+ * Find stored vehicles that share a chassis, registration or agreement number with
+ * incoming upload rows. Identifiers are compared normalized (spacing, dashes and case
+ * ignored); agreement numbers only match within the same bank, since each bank numbers
+ * its own loans.
+ * @param {Object} connection - Tenant database connection
+ * @param {Array<Object>} rows - Incoming vehicle documents
+ * @param {Object} [options] - { bankId, bankName, excludeUploadId }
+ * @returns {Promise<Array<Array<{vehicle: Object, vehicleType: String, fields: Array<String>}>>>}
+ *   Matches for each row (same order as rows), newest upload first
+ */
+async function findDuplicateVehicles(connection, rows, { bankId = '', bankName = '', excludeUploadId } = {}) {
+  const rowKeys = rows.map(row => {
+    const keys = {};
+    for (const [key, field] of Object.entries(DUPLICATE_KEY_FIELDS)) {
+      const value = normalizeIdentifier(row?.[field]);
+      if (value.length >= MIN_DUPLICATE_KEY_LENGTH) keys[key] = value;
+    }
+    return keys;
+  });
+
+  const sameBank = bankFilter({ bankId, bankName });
+  const or = [];
+  for (const key of Object.keys(DUPLICATE_KEY_FIELDS)) {
+    if (key === 'agreement' && !sameBank) continue;
+    const values = [...new Set(rowKeys.map(keys => keys[key] && toConfusableKey(keys[key])).filter(Boolean))];
+    if (values.length === 0) continue;
+    const clause = { [`searchIndex.${key}`]: { $in: values } };
+    or.push(key === 'agreement' ? { ...clause, ...sameBank } : clause);
+  }
+  if (or.length === 0) return rows.map(() => []);
+
+  await backfillSearchIndex(connection);
+  const filter = { $or: or };
+  if (excludeUploadId) filter.uploadId = { $ne: String(excludeUploadId) };
+
+  // Index candidates by their normalized identifiers; the confusable key only narrows the query
+  const byKey = { reg: new Map(), chassis: new Map(), agreement: new Map() };
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const candidates = await Model.find(filter, DUPLICATE_PROJECTION).lean();
+    for (const vehicle of candidates) {
+      for (const [key, field] of Object.entries(DUPLICATE_KEY_FIELDS)) {
+        const value = normalizeIdentifier(vehicle[field]);
+        if (value.length < MIN_DUPLICATE_KEY_LENGTH) continue;
+        if (key === 'agreement' && !(bankId ? vehicle.bankId === String(bankId) : vehicle.bankName === bankName)) continue;
+        if (!byKey[key].has(value)) byKey[key].set(value, []);
+        byKey[key].get(value).push({ vehicle, vehicleType });
+      }
+    }
+  }
+
+  return rowKeys.map(keys => {
+    const matches = new Map();
+    for (const [key, value] of Object.entries(keys)) {
+      for (const candidate of byKey[key].get(value) || []) {
+        const id = String(candidate.vehicle._id);
+        if (!matches.has(id)) matches.set(id, { ...candidate, fields: [] });
+        matches.get(id).fields.push(DUPLICATE_KEY_FIELDS[key]);
+      }
+    }
+    const uploadedAt = ({ vehicle }) => new Date(vehicle.uploadDate || vehicle.createdAt || 0).getTime();
+    return [...matches.values()].sort((a, b) => uploadedAt(b) - uploadedAt(a));
+  });
+}
+
+/**
+ * Overwrite a stored vehicle with a newer upload of the same allocation. The record keeps
+ * its id, status and the upload it was first inserted by, so lifecycle history stays
+ * attached and rolling back the newer upload does not delete it.
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} match - { vehicle, vehicleType } from findDuplicateVehicles
+ * @param {Object} doc - Incoming vehicle document
+ * @returns {Promise<Boolean>} Whether the vehicle was still there to update
+ */
+async function replaceVehicleFromUpload(connection, match, doc) {
+  const { _id, status, uploadId, conflict, ...data } = doc;
+  const $set = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+  const { Model } = getVehicleModels(connection, match.vehicleType)[0];
+  const result = await Model.updateOne(
+    { _id: match.vehicle._id },
+    { $set: { ...$set, vehicleType: match.vehicleType, searchIndex: buildSearchIndex({ ...match.vehicle, ...$set }) } }
+  );
+  return (result?.matchedCount || 0) > 0;
+}
+
+/**
+ * Mark stored vehicles as conflicting with newly inserted ones
+ * @param {Object} connection - Tenant database connection
+ * @param {Array<Object>} links - [{ vehicleId, vehicleType, otherId, fields }]
+ * @returns {Promise<Number>} Number of vehicles updated
+ */
+async function flagVehicleConflicts(connection, links) {
+  const detectedAt = new Date();
+  let modified = 0;
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const ops = links.filter(link => link.vehicleType === vehicleType).map(link => ({
+      updateOne: {
+        filter: { _id: link.vehicleId },
+        update: {
+          $set: { 'conflict.flagged': true, 'conflict.detectedAt': detectedAt },
+          $addToSet: { 'conflict.fields': { $each: link.fields }, 'conflict.vehicleIds': link.otherId }
+        }
+      }
+    }));
+    if (ops.length === 0) continue;
+    const result = await Model.bulkWrite(ops, { ordered: false });
+    modified += result?.modifiedCount || 0;
+  }
+  return modified;
+}
+
+// Search type → searchIndex fields it covers
+const SEARCH_TYPE_FIELDS = {
+  auto: ['reg', 'chassis', 'engine', 'agreement'],
+  reg: ['reg'],
+  registration: ['reg'],
+  chassis: ['chassis'],
+  engine: ['engine'],
+  loan: ['agreement'],
+  agreement: ['agreement']
+};
+
+// Most candidates scored per collection for one search
+const SEARCH_CANDIDATE_LIMIT = 1000;
+
+// Tenant connections whose vehicles are known to carry the current search index
+const searchIndexReady = new WeakSet();
+const searchIndexBackfills = new WeakMap();
+
+/**
+ * Fill in searchIndex for vehicles written before it existed (or by an older version).
+ * Runs once per connection; concurrent callers share the same run.
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} [options] - { batchSize }
+ * @returns {Promise<Number>} Number of vehicles updated
+ */
+async function backfillSearchIndex(connection, { batchSize = 2000 } = {}) {
+  if (searchIndexReady.has(connection)) return 0;
+  if (searchIndexBackfills.has(connection)) return searchIndexBackfills.get(connection);
+
+  const projection = { ...SUMMARY_PROJECTION, engineNumber: 1 };
+  const run = (async () => {
+    let updated = 0;
+    for (const { Model } of getVehicleModels(connection)) {
+      for (;;) {
+        const docs = await Model.find({ 'searchIndex.version': { $ne: SEARCH_INDEX_VERSION } }, projection)
+          .limit(batchSize)
+          .lean();
+        if (docs.length === 0) break;
+        await Model.bulkWrite(docs.map(doc => ({
+          updateOne: { filter: { _id: doc._id }, update: { $set: { searchIndex: buildSearchIndex(doc) } } }
+        })), { ordered: false });
+        updated += docs.length;
+        if (docs.length < batchSize) break;
+      }
+    }
+    searchIndexReady.add(connection);
+    if (updated > 0) console.log(`🔎 Search index backfilled for ${updated} vehicle(s) in ${connection.name}`);
+    return updated;
+  })().finally(() => searchIndexBackfills.delete(connection));
+
+  searchIndexBackfills.set(connection, run);
+  return run;
+}
+
+/**
+ * Search vehicles by registration, chassis, engine or agreement number.
+ * Matches on normalized identifiers (case, spaces and punctuation ignored), folds
+ * confusable characters (O/0, I/1, B/8, ...) and tolerates small typos, then ranks
+ * the results by relevance. Pages are addressed with an opaque cursor.
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} options - { q, type: auto|reg|registration|chassis|engine|loan, limit, cursor,
+ *   scope } where scope is a repo agent's visibility (utils/agentScope): it filters out vehicles
+ *   outside a restricted agent's territory and ranks the agent's allocations first
+ * @returns {Promise<{results: Array<Object>, nextCursor: String|null}>} Vehicle summaries with
+ *   a `match` of { score, field, type, distance } and, when scoped, `allocated`
+ */
+async function searchVehicles(connection, { q = '', type = 'auto', limit = 200, cursor = null, scope = null } = {}) {
+  const raw = String(q || '').trim();
+  const max = Math.min(Math.max(1, parseInt(limit, 10) || 200), 500);
+  const qKey = toConfusableKey(raw);
+  const fields = SEARCH_TYPE_FIELDS[type] || SEARCH_TYPE_FIELDS.auto;
+  if (!qKey) return { results: [], nextCursor: null };
+
+  // Older vehicles gain their index in the background; until then also match raw fields
+  let indexPending = false;
+  if (!searchIndexReady.has(connection)) {
+    indexPending = true;
+    backfillSearchIndex(connection).catch(err => console.error('Search index backfill error:', err));
+  }
+
+  const escaped = qKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const byField = (value) => fields.map(field => ({ [`searchIndex.${field}`]: value }));
+  // Cheapest and best matches first, so a broad partial match cannot crowd them out of the candidate limit
+  const tiers = [byField(qKey), byField(new RegExp('^' + escaped))];
+  if (/^\d{4}$/.test(qKey) && fields.includes('reg')) {
+    tiers.push([{ 'searchIndex.reg': new RegExp(escaped + '$') }]);
+  }
+  const textMatch = byField(new RegExp(escaped));
+  tiers.push(textMatch);
+  if (indexPending) {
+    const rawRegex = new RegExp(normalizeIdentifier(raw).split('').join('[-\\s]*'), 'i');
+    for (const field of fields) textMatch.push({ [SEARCH_FIELDS[field]]: rawRegex });
+  }
+
+  const maxEdits = maxEditsFor(qKey.length);
+  const grams = toGrams(qKey);
+  // q-gram lemma: every edit destroys at most three trigrams
+  const minSharedGrams = Math.max(1, grams.length - 3 * maxEdits);
+  const projection = { ...SUMMARY_PROJECTION, engineNumber: 1, searchIndex: 1, fileName: 1 };
+
+  const ranked = [];
+  const seen = new Set();
+  const addCandidate = (doc, vehicleType) => {
+    const id = String(doc._id);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    const match = scoreVehicleMatch(doc, raw, fields);
+    if (!match) return false;
+    const summary = toVehicleSummary(doc, vehicleType);
+    const allocated = Boolean(scope?.isAllocated(doc, vehicleType));
+    if (scope) summary.allocated = allocated;
+    ranked.push({
+      ...summary,
+      match,
+      score: match.score + (allocated ? scope.boost : 0),
+      sortKey: normalizeIdentifier(doc.registrationNumber || doc.chassisNumber)
+    });
+    return true;
+  };
+
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    // Restricted agents only see vehicles inside their scope
+    const within = (filter) => withinScope(scope, vehicleType, filter);
+    let candidates = 0;
+    for (const tier of tiers) {
+      if (candidates >= SEARCH_CANDIDATE_LIMIT) break;
+      const docs = await Model.find(within({ $or: tier }), projection)
+        .limit(SEARCH_CANDIDATE_LIMIT - candidates)
+        .lean();
+      for (const doc of docs) {
+        if (addCandidate(doc, vehicleType)) candidates++;
+      }
+    }
+
+    if (maxEdits > 0 && candidates < SEARCH_CANDIDATE_LIMIT) {
+      const fuzzy = await Model.aggregate([
+        { $match: within({ 'searchIndex.grams': { $in: grams } }) },
+        { $project: { ...projection, sharedGrams: { $size: { $setIntersection: ['$searchIndex.grams', grams] } } } },
+        { $match: { sharedGrams: { $gte: minSharedGrams } } },
+        { $sort: { sharedGrams: -1 } },
+        { $limit: SEARCH_CANDIDATE_LIMIT }
+      ]);
+      for (const doc of fuzzy) addCandidate(doc, vehicleType);
+    }
+  }
+
+  ranked.sort(compareRanked);
+
+  const after = decodeSearchCursor(cursor);
+  const start = after
+    ? ranked.findIndex(item => compareRanked(item, { score: after.s, sortKey: after.k, _id: after.i }) > 0)
+    : 0;
+  const page = start === -1 ? [] : ranked.slice(start, start + max);
+  const hasMore = start !== -1 && start + max < ranked.length;
+
+  return {
+    results: page.map(({ score, sortKey, ...summary }) => summary),
+    nextCursor: hasMore ? encodeSearchCursor(page[page.length - 1]) : null
+  };
+}
+
+/**
+ * Find vehicles created or updated since a point in time
+ * @param {Object} connection - Tenant database connection
+ * @param {Date} since - Lower bound
+ * @param {Object} [options] - { scope } to leave out vehicles outside a restricted agent's scope
+ * @returns {Promise<Array<Object>>} Vehicle summaries with timestamps
+ */
+async function findVehiclesChangedSince(connection, since, { scope = null } = {}) {
+  const out = [];
+  const filter = {
+    $or: [
+      { createdAt: { $gte: since } },
+      { updatedAt: { $gte: since } },
+      { uploadDate: { $gte: since } }
+    ]
+  };
+  const projection = { ...SUMMARY_PROJECTION, createdAt: 1, updatedAt: 1, uploadDate: 1 };
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const docs = await Model.find(withinScope(scope, vehicleType, filter), projection).sort({ _id: 1 }).lean();
+    for (const doc of docs) {
+      out.push({
+        ...toVehicleSummary(doc, vehicleType),
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt,
+        uploadDate: doc.uploadDate
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Walk every vehicle in batches, ordered by _id within each collection
+ * @param {Object} connection - Tenant database connection
+ * @param {Function} onBatch - async (summaries, vehicleType) => void
+ * @param {Object} [options] - { batchSize, projection, scope } where scope leaves out vehicles
+ *   outside a restricted agent's scope
+ */
+async function forEachVehicleBatch(connection, onBatch, { batchSize = 10000, projection = SUMMARY_PROJECTION, scope = null } = {}) {
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    let lastId = null;
+    for (;;) {
+      const filter = lastId ? { _id: { $gt: lastId } } : {};
+      const docs = await Model.find(withinScope(scope, vehicleType, filter), projection).sort({ _id: 1 }).limit(batchSize).lean();
+      if (docs.length === 0) break;
+      lastId = docs[docs.length - 1]._id;
+      await onBatch(docs, vehicleType);
+      if (docs.length < batchSize) break;
+    }
+  }
+}
+
+/**
+ * Uploaded bank files per vehicle type, newest first
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} [options] - { search } to match part of the file or bank name
+ * @returns {Promise<Array<{vehicleType: String, fileName: String, bankName: String, total: Number, lastUploadDate: Date}>>}
+ */
+async function listVehicleFiles(connection, { search = '' } = {}) {
+  const match = { fileName: { $exists: true, $ne: '' } };
+  if (search) {
+    const regex = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    match.$or = [{ fileName: regex }, { bankName: regex }];
+  }
+  const files = [];
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const groups = await Model.aggregate([
+      { $match: match },
+      { $group: { _id: '$fileName', total: { $sum: 1 }, bankName: { $first: '$bankName' }, lastUploadDate: { $max: '$uploadDate' } } }
+    ]);
+    for (const g of groups) {
+      files.push({ vehicleType, fileName: g._id, bankName: g.bankName || '', total: g.total, lastUploadDate: g.lastUploadDate });
+    }
+  }
+  return files.sort((a, b) => new Date(b.lastUploadDate || 0) - new Date(a.lastUploadDate || 0));
+}
+
+/**
+ * Find vehicles whose registration or chassis number is exactly one of the identifiers
+ * (case, spaces and punctuation ignored)
+ * @param {Object} connection - Tenant database connection
+ * @param {Array<String>} identifiers - Registration or chassis numbers
+ * @returns {Promise<Array<{identifier: String, vehicles: Array<Object>}>>} Vehicle summaries per identifier
+ */
+async function findVehiclesByIdentifiers(connection, identifiers) {
+  const wanted = [...new Set(identifiers.map(normalizeIdentifier).filter(Boolean))];
+  const found = new Map(wanted.map(id => [id, []]));
+  if (wanted.length === 0) return [];
+  const keys = [...new Set(wanted.map(toConfusableKey))];
+  const projection = { ...SUMMARY_PROJECTION, fileName: 1 };
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const docs = await Model.find({
+      $or: [{ 'searchIndex.reg': { $in: keys } }, { 'searchIndex.chassis': { $in: keys } }]
+    }, projection).lean();
+    for (const doc of docs) {
+      // The index folds confusable characters; only literal matches count here
+      for (const value of [normalizeIdentifier(doc.registrationNumber), normalizeIdentifier(doc.chassisNumber)]) {
+        if (found.has(value)) found.get(value).push({ ...toVehicleSummary(doc, vehicleType), fileName: doc.fileName || '' });
+      }
+    }
+  }
+  return wanted.map(identifier => ({ identifier, vehicles: found.get(identifier) }));
+}
+
+/**
+ * Count vehicles per type
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} [filter] - Mongo filter applied to every vehicle type
+ * @param {Object} [options] - { scope } to count only vehicles a restricted agent may see
+ * @returns {Promise<{total: Number, byType: Object<String, Number>}>}
+ */
+async function countVehicles(connection, filter = {}, { scope = null } = {}) {
+  const byType = {};
+  let total = 0;
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    byType[vehicleType] = await Model.countDocuments(withinScope(scope, vehicleType, filter));
+    total += byType[vehicleType];
+  }
+  return { total, byType };
+}
+
+/**
+ * Totals per vehicle type, status tallies and top banks for the tenant dashboard
+ * @param {Object} connection - Tenant database connection
+ * @returns {Promise<Object>}
+ */
+async function getVehicleStats(connection) {
+  const stats = {
+    totalVehicles: 0,
+    byType: {},
+    onHold: 0,
+    inYard: 0,
+    released: 0,
+    banks: []
+  };
+  const bankCounts = new Map();
+
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const [total, onHold, inYard, released, banks] = await Promise.all([
+      Model.estimatedDocumentCount(),
+      Model.countDocuments({ status: /hold/i }),
+      Model.countDocuments({ status: /yard/i }),
+      Model.countDocuments({ status: /release/i }),
+      Model.aggregate([
+        { $match: { bankName: { $exists: true, $ne: '' } } },
+        { $group: { _id: '$bankName', count: { $sum: 1 } } }
+      ])
+    ]);
+    stats.byType[vehicleType] = total;
+    stats.totalVehicles += total;
+    stats.onHold += onHold;
+    stats.inYard += inYard;
+    stats.released += released;
+    for (const b of banks) {
+      const name = String(b._id || '').trim();
+      bankCounts.set(name, (bankCounts.get(name) || 0) + (b.count || 0));
+    }
+  }
+
+  stats.banks = Array.from(bankCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => ({ name, count }));
+  return stats;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Vehicles in custody keep their record past the bank's validity window
+const EXPIRY_PROTECTED_STATUSES = ['Hold', 'In Yard'];
+
+/**
+ * Filter for the vehicles of one bank (client). Older uploads may only carry the bank name.
+ * @param {Object} bank - { bankId, bankName }
+ * @returns {Object}
+ */
+function bankFilter({ bankId, bankName }) {
+  const or = [];
+  if (bankId) or.push({ bankId: String(bankId) });
+  if (bankName) or.push({ bankId: { $in: [null, ''] }, bankName: String(bankName) });
+  return or.length ? { $or: or } : null;
+}
+
+/**
+ * Set (or clear) the expiry of a bank's vehicles from their upload date.
+ * Writes through the driver so updatedAt is untouched and devices don't re-download the rows.
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} bank - { bankId, bankName }
+ * @param {Number|null} validityDays - Validity window in days; null removes the expiry
+ * @returns {Promise<Number>} Number of vehicles updated
+ */
+async function setBankVehicleExpiry(connection, bank, validityDays) {
+  const filter = bankFilter(bank || {});
+  if (!filter) return 0;
+  const update = validityDays
+    ? [{ $set: { expiresAt: { $add: [{ $ifNull: ['$uploadDate', '$createdAt'] }, validityDays * DAY_MS] } } }]
+    : { $unset: { expiresAt: '' } };
+
+  let modified = 0;
+  for (const { Model } of getVehicleModels(connection)) {
+    const result = await Model.collection.updateMany(filter, update);
+    modified += result?.modifiedCount || 0;
+  }
+  return modified;
+}
+
+/**
+ * Remove vehicles whose validity window has passed. Rows are copied to
+ * `<collection>_archive` first unless their bank is set to purge. Rows without a bankId
+ * (older uploads) are matched to their bank by name.
+ * Vehicles on hold or in a yard are kept.
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} [options] - { now, purgeBankIds: Set of bank ids to delete without archiving,
+ *   purgeBankNames: Set of lowercased names of those banks, batchSize }
+ * @returns {Promise<{archived: Number, purged: Number, byType: Object}>}
+ */
+async function removeExpiredVehicles(connection, { now = new Date(), purgeBankIds = new Set(), purgeBankNames = new Set(), batchSize = 1000 } = {}) {
+  const result = { archived: 0, purged: 0, byType: {} };
+  const filter = { expiresAt: { $lte: now }, status: { $nin: EXPIRY_PROTECTED_STATUSES } };
+  const isPurged = (doc) => (doc.bankId
+    ? purgeBankIds.has(String(doc.bankId))
+    : purgeBankNames.has(String(doc.bankName || '').trim().toLowerCase()));
+
+  for (const { vehicleType, Model } of getVehicleModels(connection)) {
+    const archive = connection.db.collection(`${Model.collection.collectionName}_archive`);
+    let removed = 0;
+    for (;;) {
+      const docs = await Model.collection.find(filter).limit(batchSize).toArray();
+      if (docs.length === 0) break;
+
+      const toArchive = docs.filter(doc => !isPurged(doc));
+      if (toArchive.length > 0) {
+        try {
+          await archive.insertMany(toArchive.map(doc => ({ ...doc, archivedAt: now })), { ordered: false });
+        } catch (error) {
+          // Rows already archived by an interrupted earlier run
+          if (!Array.isArray(error.writeErrors) || !error.writeErrors.every(e => e.code === 11000)) throw error;
+        }
+      }
+      const deleted = await Model.collection.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+      const count = deleted?.deletedCount || 0;
+      result.archived += Math.min(count, toArchive.length);
+      result.purged += Math.max(0, count - toArchive.length);
+      removed += count;
+      if (docs.length < batchSize) break;
+    }
+    result.byType[vehicleType] = removed;
+  }
+  return result;
+}
+
+module.exports = {
+  SUMMARY_PROJECTION,
+  VEHICLE_TYPES,
+  VEHICLE_COLLECTIONS,
+  resolveVehicleType,
+  getVehicleModels,
+  withinScope,
+  toVehicleSummary,
+  toVehicleDetail,
+  findVehicleById,
+  updateVehicleById,
+  changeVehicleStatus,
+  revertVehicleStatusChange,
+  getVehicleStatusHistory,
+  deleteVehicleById,
+  deleteVehiclesByUpload,
+  deleteVehiclesByFileName,
+  insertVehicles,
+  findDuplicateVehicles,
+  replaceVehicleFromUpload,
+  flagVehicleConflicts,
+  searchVehicles,
+  backfillSearchIndex,
+  findVehiclesChangedSince,
+  forEachVehicleBatch,
+  listVehicleFiles,
+  findVehiclesByIdentifiers,
+  countVehicles,
+  getVehicleStats,
+  EXPIRY_PROTECTED_STATUSES,
+  setBankVehicleExpiry,
+  removeExpiredVehicles
+};
@@ -65,6 +65,45 @@ const updateUserValidation = [
     .withMessage('isActive must be a boolean')
 ];
 
+// Plan catalogue validation; name and code are required on create only
+const planValidation = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage('Plan name must be between 2 and 60 characters'),
+    field('code')
+      .trim()
+      .matches(/^[a-z0-9_-]{2,30}$/i)
+      .withMessage('Plan code must be 2-30 letters, digits, dashes or underscores'),
+    body('pricing.*')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Prices must be zero or more'),
+    body('limits.*')
+      .optional()
+      .isInt({ min: -1 })
+      .withMessage('Limits must be whole numbers, or -1 for unlimited'),
+    body('featureFlags.*')
+      .optional()
+      .isBoolean()
+      .withMessage('Feature flags must be true or false'),
+    body('features')
+      .optional()
+      .isArray()
+      .withMessage('Features must be a list'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('displayOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Display order must be a whole number')
+  ];
+};
+
 // User management routes
 router.get('/users', adminController.getAllUsers);
 router.get('/users/:id', adminController.getUserById);
@@ -75,6 +114,12 @@ router.delete('/users/:id', adminController.deleteUser);
 // Tenant management routes
 router.get('/tenants', adminController.getAllTenants);
 
+// Plan catalogue routes
+router.get('/plans', adminController.getPlans);
+router.post('/plans', planValidation(true), adminController.createPlan);
+router.put('/plans/:id', planValidation(false), adminController.updatePlan);
+router.delete('/plans/:id', adminController.deletePlan);
+
 // Dashboard routes
 router.get('/dashboard/stats', adminController.getDashboardStats);
 
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { authenticateUnifiedToken, requireAdmin } = require('../middleware/unifiedAuth');
+const { AUDIT_ACTION_LABELS, MAX_EXPORT_ROWS, buildAuditFilter, auditLogsToCsv } = require('../utils/auditLog');
+
+// Tenant admins see their own tenant's log; super admins see every tenant's.
+// The log is read-only: there are no routes that change or remove entries.
+router.use(authenticateUnifiedToken, requireAdmin);
+
+// Search the audit log, newest first
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const filter = buildAuditFilter(req.user, req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      actions: AUDIT_ACTION_LABELS,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error listing audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to load audit log' });
+  }
+});
+
+// Download the entries matching the same filters as CSV
+router.get('/export', async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.user, req.query);
+    const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(MAX_EXPORT_ROWS).lean();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(auditLogsToCsv(entries));
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 const { authenticateUnifiedToken, requireAdmin } = require('../middleware/unifiedAuth');
 const Tenant = require('../models/Tenant');
 const { getTenantDB } = require('../config/database');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const { trackDataDownload, enforceDataDownloadLimit } = require('../middleware/usageTracking');
+const { requirePlanFeature } = require('../middleware/subscription');
+const { resolveFieldPolicy } = require('../utils/fieldMasking');
+const { loadAgentScope } = require('../utils/agentScope');
+const { getVehicleModels, resolveVehicleType, withinScope } = require('../repositories/vehicleRepository');
 
 const gzip = promisify(zlib.gzip);
 const deflate = promisify(zlib.deflate);
 
+// Bulk downloads feed the mobile offline database, so they need the plan's offline sync feature
+const requireOfflineSync = requirePlanFeature('offlineSync');
+
+// Names the full bulk rows use for fields the masking policy knows under other names
+const BULK_FIELD_ALIASES = { branch: 'branchName', model: 'vehicleModel', bucket: 'bucketStatus' };
+
+// Vehicle type and model behind a bulk collection name ('two_wheeler_data', ...)
+const vehicleModelFor = (conn, collectionName) => getVehicleModels(conn, resolveVehicleType(collectionName) || 'TwoWheeler')[0];
+
+// Essential row of a vehicle document as the user's field policy lets them see it
+const maskBulkRow = (policy, doc, collectionName) => policy.apply({
+  _id: doc._id,
+  vehicleType: collectionName.includes('two') ? 'TwoWheeler' :
+             collectionName.includes('four') ? 'FourWheeler' : 'Commercial',
+  regNo: doc.registrationNumber || '',
+  chassisNo: doc.chassisNumber || '',
+  loanNo: doc.agreementNumber || '',
+  bank: doc.bankName || '',
+  make: doc.vehicleMake || '',
+  customerName: doc.customerName || '',
+  address: doc.address || ''
+}, { status: doc.status, hidden: 'empty' });
+
 // Enhanced bulk download with compression and streaming
-router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req) => 50000), trackDataDownload((data) => Array.isArray(data) ? data.length : 0), async (req, res) => {
+router.get('/bulk-data', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => 50000), trackDataDownload((data) => Array.isArray(data) ? data.length : 0), async (req, res) => {
   try {
     const { 
       format = 'json', 
@@ -31,6 +57,9 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
+    const policy = resolveFieldPolicy(tenant, req.user);
+    // Restricted agents only download the vehicles inside their scope
+    const scope = await loadAgentScope(conn, tenant, req.user);
     
     // Define field selection based on requirements
     const fieldSets = {
@@ -42,6 +71,7 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
         vehicleMake: 1,
         customerName: 1,
         address: 1,
+        status: 1,
         _id: 1
       },
       full: {
@@ -70,6 +100,7 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
         vehicleModel: 1,
         productName: 1,
         location: 1,
+        status: 1,
         _id: 1
       }
     };
@@ -77,7 +108,7 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
     const selectedFields = fieldSets[fields] || fieldSets.essential;
     const targetCollections = collections === 'all' 
       ? ['two_wheeler_data', 'four_wheeler_data', 'commercial_data']
-      : collections.split(',').map(c => `${c}_data`);
+      : collections.split(',').map(c => `${c}_data`).filter(c => resolveVehicleType(c));
 
     // For large datasets, return chunked data instead of streaming
     const maxRecords = 50000; // 50k records max for bulk download
@@ -86,8 +117,8 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
     // Count total records first
     for (const collectionName of targetCollections) {
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
-        const count = await Model.countDocuments({});
+        const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+        const count = await Model.countDocuments(withinScope(scope, vehicleType));
         totalRecords += count;
       } catch (error) {
         console.error(`Error counting ${collectionName}:`, error);
@@ -119,13 +150,13 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
 
     for (const collectionName of targetCollections) {
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
-        const totalCount = await Model.countDocuments({});
+        const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+        const totalCount = await Model.countDocuments(withinScope(scope, vehicleType));
         
         console.log(`Processing ${collectionName}: ${totalCount} records`);
 
         for (let skip = 0; skip < totalCount; skip += parseInt(batchSize)) {
-          const docs = await Model.find({}, selectedFields)
+          const docs = await Model.find(withinScope(scope, vehicleType), selectedFields)
             .sort({ _id: 1 })
             .skip(skip)
             .limit(parseInt(batchSize))
@@ -165,7 +196,13 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
               })
             };
 
-            allData.push(vehicleData);
+            // Agents get only the fields their policy covers, as in search; the extra full
+            // columns (confirmer names, zone, allocation...) are outside it
+            allData.push(policy.apply(vehicleData, {
+              status: doc.status,
+              hidden: policy.role === 'repo_agent' ? 'omit' : 'empty',
+              aliases: BULK_FIELD_ALIASES
+            }));
             totalProcessed++;
           }
 
@@ -194,7 +231,7 @@ router.get('/bulk-data', authenticateUnifiedToken, enforceDataDownloadLimit((req
 });
 
 // Optimized chunked download with progress tracking
-router.get('/bulk-chunked', authenticateUnifiedToken, enforceDataDownloadLimit((req) => parseInt(req.query.limit) || 10000), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
+router.get('/bulk-chunked', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => parseInt(req.query.limit) || 10000), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const { 
       collection = 'two',
@@ -219,9 +256,10 @@ router.get('/bulk-chunked', authenticateUnifiedToken, enforceDataDownloadLimit((
     };
 
     const collectionName = collectionMap[collection] || collectionMap.two;
-    const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
+    const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+    const scope = await loadAgentScope(conn, tenant, req.user);
 
-    const docs = await Model.find({}, {
+    const docs = await Model.find(withinScope(scope, vehicleType), {
       registrationNumber: 1,
       chassisNumber: 1,
       agreementNumber: 1,
@@ -229,6 +267,7 @@ router.get('/bulk-chunked', authenticateUnifiedToken, enforceDataDownloadLimit((
       vehicleMake: 1,
       customerName: 1,
       address: 1,
+      status: 1,
       _id: 1
     })
     .sort({ _id: 1 })
@@ -236,18 +275,8 @@ router.get('/bulk-chunked', authenticateUnifiedToken, enforceDataDownloadLimit((
     .limit(parseInt(limit))
     .lean();
 
-    const data = docs.map(doc => ({
-      _id: doc._id,
-      vehicleType: collectionName.includes('two') ? 'TwoWheeler' : 
-                 collectionName.includes('four') ? 'FourWheeler' : 'Commercial',
-      regNo: doc.registrationNumber || '',
-      chassisNo: doc.chassisNumber || '',
-      loanNo: doc.agreementNumber || '',
-      bank: doc.bankName || '',
-      make: doc.vehicleMake || '',
-      customerName: doc.customerName || '',
-      address: doc.address || ''
-    }));
+    const policy = resolveFieldPolicy(tenant, req.user);
+    const data = docs.map(doc => maskBulkRow(policy, doc, collectionName));
 
     let responseData = JSON.stringify({ success: true, data, count: data.length });
 
@@ -270,7 +299,7 @@ router.get('/bulk-chunked', authenticateUnifiedToken, enforceDataDownloadLimit((
 });
 
 // List only IDs for a collection (paginated)
-router.get('/bulk-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req) => parseInt(req.query.limit) || 10000), trackDataDownload((data) => data?.ids?.length || 0), async (req, res) => {
+router.get('/bulk-ids', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => parseInt(req.query.limit) || 10000), trackDataDownload((data) => data?.ids?.length || 0), async (req, res) => {
   try {
     const { collection = 'two', skip = 0, limit = 10000 } = req.query;
 
@@ -284,9 +313,10 @@ router.get('/bulk-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req)
     const conn = await getTenantDB(tenant.name);
     const collectionMap = { two: 'two_wheeler_data', four: 'four_wheeler_data', comm: 'commercial_data' };
     const collectionName = collectionMap[collection] || collectionMap.two;
-    const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
+    const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+    const scope = await loadAgentScope(conn, tenant, req.user);
 
-    const docs = await Model.find({}, { _id: 1 })
+    const docs = await Model.find(withinScope(scope, vehicleType), { _id: 1 })
       .sort({ _id: 1 })
       .skip(parseInt(skip))
       .limit(parseInt(limit))
@@ -301,7 +331,7 @@ router.get('/bulk-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req)
 });
 
 // Fetch records by IDs (batched client-side)
-router.post('/by-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req) => req.body?.ids?.length || 0), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
+router.post('/by-ids', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => req.body?.ids?.length || 0), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const { ids = [], collection = 'two' } = req.body || {};
     if (!Array.isArray(ids) || ids.length === 0) return res.json({ success: true, data: [] });
@@ -316,9 +346,10 @@ router.post('/by-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req)
     const conn = await getTenantDB(tenant.name);
     const collectionMap = { two: 'two_wheeler_data', four: 'four_wheeler_data', comm: 'commercial_data' };
     const collectionName = collectionMap[collection] || collectionMap.two;
-    const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
+    const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+    const scope = await loadAgentScope(conn, tenant, req.user);
 
-    const docs = await Model.find({ _id: { $in: ids } }, {
+    const docs = await Model.find(withinScope(scope, vehicleType, { _id: { $in: ids } }), {
       registrationNumber: 1,
       chassisNumber: 1,
       agreementNumber: 1,
@@ -326,20 +357,12 @@ router.post('/by-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req)
       vehicleMake: 1,
       customerName: 1,
       address: 1,
+      status: 1,
       _id: 1
     }).lean();
 
-    const data = docs.map(doc => ({
-      _id: doc._id,
-      vehicleType: collectionName.includes('two') ? 'TwoWheeler' : collectionName.includes('four') ? 'FourWheeler' : 'Commercial',
-      regNo: doc.registrationNumber || '',
-      chassisNo: doc.chassisNumber || '',
-      loanNo: doc.agreementNumber || '',
-      bank: doc.bankName || '',
-      make: doc.vehicleMake || '',
-      customerName: doc.customerName || '',
-      address: doc.address || ''
-    }));
+    const policy = resolveFieldPolicy(tenant, req.user);
+    const data = docs.map(doc => maskBulkRow(policy, doc, collectionName));
 
     res.json({ success: true, data, count: data.length });
   } catch (error) {
@@ -349,7 +372,7 @@ router.post('/by-ids', authenticateUnifiedToken, enforceDataDownloadLimit((req)
 });
 
 // Get optimized collection statistics
-router.get('/bulk-stats', authenticateUnifiedToken, async (req, res) => {
+router.get('/bulk-stats', authenticateUnifiedToken, requireOfflineSync, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantName = req.user?.tenantName;
@@ -360,13 +383,14 @@ router.get('/bulk-stats', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
+    const scope = await loadAgentScope(conn, tenant, req.user);
     const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
     const stats = {};
 
     for (const col of collections) {
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const count = await Model.countDocuments({});
+        const { vehicleType, Model } = vehicleModelFor(conn, col);
+        const count = await Model.countDocuments(withinScope(scope, vehicleType));
         const key = col.includes('two') ? 'two' : col.includes('four') ? 'four' : 'comm';
         stats[key] = count;
       } catch (error) {
@@ -415,7 +439,7 @@ router.post('/create-snapshot', authenticateUnifiedToken, requireAdmin, async (r
 });
 
 // Simple dump endpoint for mobile app (50k records max per batch)
-router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((req) => Math.min(parseInt(req.query.limit) || 50000, 50000)), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
+router.get('/simple-dump', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => Math.min(parseInt(req.query.limit) || 50000, 50000)), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const { limit = 50000, offset = 0 } = req.query;
     
@@ -428,14 +452,17 @@ router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((r
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
+    const policy = resolveFieldPolicy(tenant, req.user);
+    // Offsets run over the vehicles the agent may see, so every count and page is scoped
+    const scope = await loadAgentScope(conn, tenant, req.user);
     const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
     
     // Get total count across all collections
     let totalRecords = 0;
     for (const collectionName of collections) {
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
-        const count = await Model.countDocuments({});
+        const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+        const count = await Model.countDocuments(withinScope(scope, vehicleType));
         totalRecords += count;
       } catch (error) {
         console.error(`Error counting ${collectionName}:`, error);
@@ -451,8 +478,8 @@ router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((r
       if (remainingLimit <= 0) break;
       
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
-        const collectionCount = await Model.countDocuments({});
+        const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+        const collectionCount = await Model.countDocuments(withinScope(scope, vehicleType));
         
         // Skip if offset is beyond this collection
         if (currentOffset >= collectionCount) {
@@ -464,7 +491,7 @@ router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((r
         const skipInCollection = currentOffset;
         const limitInCollection = Math.min(remainingLimit, collectionCount - skipInCollection);
         
-        const docs = await Model.find({}, {
+        const docs = await Model.find(withinScope(scope, vehicleType), {
           registrationNumber: 1,
           chassisNumber: 1,
           agreementNumber: 1,
@@ -472,6 +499,7 @@ router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((r
           vehicleMake: 1,
           customerName: 1,
           address: 1,
+          status: 1,
           _id: 1
         })
         .sort({ _id: 1 })
@@ -479,26 +507,20 @@ router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((r
         .limit(limitInCollection)
         .lean();
 
-        // Transform data for mobile app
-        const transformedData = docs.map(doc => ({
-          _id: doc._id,
-          vehicleType: collectionName.includes('two') ? 'TwoWheeler' : 
-                     collectionName.includes('four') ? 'FourWheeler' : 'Commercial',
-          regNo: doc.registrationNumber || '',
-          reg_no: doc.registrationNumber || '', // Alternative field name
-          chassisNo: doc.chassisNumber || '',
-          chassis_no: doc.chassisNumber || '', // Alternative field name
-          loanNo: doc.agreementNumber || '',
-          loan_no: doc.agreementNumber || '', // Alternative field name
-          bank: doc.bankName || '',
-          bank_name: doc.bankName || '', // Alternative field name
-          make: doc.vehicleMake || '',
-          manufacturer: doc.vehicleMake || '', // Alternative field name
-          customerName: doc.customerName || '',
-          customer_name: doc.customerName || '', // Alternative field name
-          address: doc.address || '',
-          customer_address: doc.address || '' // Alternative field name
-        }));
+        // Transform data for mobile app; alternative names repeat the masked values
+        const transformedData = docs.map(doc => {
+          const v = maskBulkRow(policy, doc, collectionName);
+          return {
+            ...v,
+            reg_no: v.regNo, // Alternative field name
+            chassis_no: v.chassisNo, // Alternative field name
+            loan_no: v.loanNo, // Alternative field name
+            bank_name: v.bank, // Alternative field name
+            manufacturer: v.make, // Alternative field name
+            customer_name: v.customerName, // Alternative field name
+            customer_address: v.address // Alternative field name
+          };
+        });
 
         allData.push(...transformedData);
         remainingLimit -= transformedData.length;
@@ -537,7 +559,7 @@ router.get('/simple-dump', authenticateUnifiedToken, enforceDataDownloadLimit((r
 });
 
 // Get new records since timestamp (for incremental sync)
-router.get('/new-records', authenticateUnifiedToken, enforceDataDownloadLimit((req) => Math.min(parseInt(req.query.limit) || 50000, 50000)), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
+router.get('/new-records', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => Math.min(parseInt(req.query.limit) || 50000, 50000)), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const { since, limit = 50000, offset = 0 } = req.query;
     
@@ -557,6 +579,9 @@ router.get('/new-records', authenticateUnifiedToken, enforceDataDownloadLimit((r
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
+    const policy = resolveFieldPolicy(tenant, req.user);
+    // Offsets run over the vehicles the agent may see, so every count and page is scoped
+    const scope = await loadAgentScope(conn, tenant, req.user);
     const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
     
     // Parse since timestamp
@@ -577,16 +602,16 @@ router.get('/new-records', authenticateUnifiedToken, enforceDataDownloadLimit((r
       if (remainingLimit <= 0) break;
       
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
+        const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
         
         // Find records created/updated after since timestamp
-        const newDocs = await Model.find({
+        const newDocs = await Model.find(withinScope(scope, vehicleType, {
           $or: [
             { createdAt: { $gt: sinceDate } },
             { updatedAt: { $gt: sinceDate } },
             { uploadDate: { $gt: sinceDate } }
           ]
-        }, {
+        }), {
           registrationNumber: 1,
           chassisNumber: 1,
           agreementNumber: 1,
@@ -594,6 +619,7 @@ router.get('/new-records', authenticateUnifiedToken, enforceDataDownloadLimit((r
           vehicleMake: 1,
           customerName: 1,
           address: 1,
+          status: 1,
           _id: 1,
           createdAt: 1,
           updatedAt: 1,
@@ -605,27 +631,21 @@ router.get('/new-records', authenticateUnifiedToken, enforceDataDownloadLimit((r
         .lean();
 
         // Transform data for mobile app
-        const transformedData = newDocs.map(doc => ({
-          _id: doc._id,
-          vehicleType: collectionName.includes('two') ? 'TwoWheeler' : 
-                     collectionName.includes('four') ? 'FourWheeler' : 'Commercial',
-          regNo: doc.registrationNumber || '',
-          reg_no: doc.registrationNumber || '',
-          chassisNo: doc.chassisNumber || '',
-          chassis_no: doc.chassisNumber || '',
-          loanNo: doc.agreementNumber || '',
-          loan_no: doc.agreementNumber || '',
-          bank: doc.bankName || '',
-          bank_name: doc.bankName || '',
-          make: doc.vehicleMake || '',
-          manufacturer: doc.vehicleMake || '',
-          customerName: doc.customerName || '',
-          customer_name: doc.customerName || '',
-          address: doc.address || '',
-          customer_address: doc.address || '',
-          createdAt: doc.createdAt || doc.uploadDate,
-          updatedAt: doc.updatedAt || doc.uploadDate
-        }));
+        const transformedData = newDocs.map(doc => {
+          const v = maskBulkRow(policy, doc, collectionName);
+          return {
+            ...v,
+            reg_no: v.regNo,
+            chassis_no: v.chassisNo,
+            loan_no: v.loanNo,
+            bank_name: v.bank,
+            manufacturer: v.make,
+            customer_name: v.customerName,
+            customer_address: v.address,
+            createdAt: doc.createdAt || doc.uploadDate,
+            updatedAt: doc.updatedAt || doc.uploadDate
+          };
+        });
 
         allNewData.push(...transformedData);
         remainingLimit -= transformedData.length;
@@ -641,14 +661,14 @@ router.get('/new-records', authenticateUnifiedToken, enforceDataDownloadLimit((r
     let totalNewRecords = 0;
     for (const collectionName of collections) {
       try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collectionName);
-        const count = await Model.countDocuments({
+        const { vehicleType, Model } = vehicleModelFor(conn, collectionName);
+        const count = await Model.countDocuments(withinScope(scope, vehicleType, {
           $or: [
             { createdAt: { $gt: sinceDate } },
             { updatedAt: { $gt: sinceDate } },
             { uploadDate: { $gt: sinceDate } }
           ]
-        });
+        }));
         totalNewRecords += count;
       } catch (error) {
         console.error(`Error counting new records in ${collectionName}:`, error);
@@ -12,5 +12,6 @@ router.get('/', clientController.getClients);
 router.put('/:id', clientController.updateClient);
 router.delete('/:id', clientController.deleteClient);
 router.get('/stats', clientController.getClientStats);
+router.post('/purge-expired', clientController.purgeExpiredData);
 
 module.exports = router;
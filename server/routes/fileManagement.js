@@ -2080,12 +2080,32 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { authenticateUnifiedToken, requireAdmin } = require('../middleware/unifiedAuth');
+const { authenticateUnifiedToken, requireAdmin, requirePermission } = require('../middleware/unifiedAuth');
 const Tenant = require('../models/Tenant');
 const { getTenantDB } = require('../config/database');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const getSnapshotVersionModel = require('../models/SnapshotVersion');
+const getSnapshotChangeModel = require('../models/SnapshotChange');
+const { VEHICLE_STATUSES, ACTOR_ROLES, normalizeStatus, getActorRole, getAllowedTransitions, describeStatusChangeError } = require('../utils/vehicleLifecycle');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { registerJobHandler, enqueueJob, jobCreatorFromUser } = require('../utils/jobQueue');
+const { PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLog');
+const { loadAgentScope, collectScopeVehicleIds, filterIdsInScope, isVehicleInAgentScope } = require('../utils/agentScope');
+const { resolveFieldPolicy, maskValue } = require('../utils/fieldMasking');
+const { raiseVehicleMatchAlert, actorNameFor } = require('../utils/matchAlerts');
+const { matchPhotoUpload, compressImage, tenantFileUrl } = require('./uploads');
+const getConfirmerCallModel = require('../models/ConfirmerCall');
+const { CALL_OUTCOMES } = require('../models/ConfirmerCall');
+const agencyConfirmerSchema = require('../models/AgencyConfirmer');
+const { CALL_OUTCOME_LABELS, listConfirmers, findConfirmer, getCurrentCalls, resolveConfirmationGate } = require('../utils/confirmerCalls');
+const { enforceAPICallLimit, trackAPICall, enforceDataDownloadLimit, trackDataDownload, recordDataDownload } = require('../middleware/usageTracking');
+const { requirePlanFeature } = require('../middleware/subscription');
+
+// Offline sync (snapshots, dumps and chunks) is a plan feature
+const requireOfflineSync = requirePlanFeature('offlineSync');
 let BetterSqlite3;
 
 // Try to load better-sqlite3 for snapshot building; if unavailable, endpoints will respond accordingly
@@ -2112,6 +2132,78 @@ const getSnapshotPaths = (tenantName) => {
   };
 };
 
+// Columns of the offline vehicles table, shared by full snapshots and delta packs
+const SNAPSHOT_COLUMNS = ['_id', 'vehicleType', 'regNo', 'regSuffix', 'chassisNo', 'chassisLc', 'loanNo', 'bank', 'make', 'customerName', 'address'];
+// Snapshot columns the field masking policy covers (utils/fieldMasking)
+const SNAPSHOT_MASKED_FIELDS = ['regNo', 'chassisNo', 'loanNo', 'bank', 'make', 'customerName', 'address'];
+// status is kept in the file for masking rules and so status changes reach deltas; the apps ignore it
+const SNAPSHOT_SCHEMA_SQL = `CREATE TABLE IF NOT EXISTS vehicles (
+      _id TEXT PRIMARY KEY,
+      vehicleType TEXT,
+      regNo TEXT,
+      regSuffix TEXT,
+      chassisNo TEXT,
+      chassisLc TEXT,
+      loanNo TEXT,
+      bank TEXT,
+      make TEXT,
+      customerName TEXT,
+      address TEXT,
+      status TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_vehicles_regsuffix ON vehicles (regSuffix);
+    CREATE INDEX IF NOT EXISTS idx_vehicles_chassislc ON vehicles (chassisLc);
+    CREATE INDEX IF NOT EXISTS idx_vehicles_regno ON vehicles (regNo);
+    CREATE INDEX IF NOT EXISTS idx_vehicles_chassisno ON vehicles (chassisNo);
+    CREATE INDEX IF NOT EXISTS idx_vehicles_loanno ON vehicles (loanNo);`;
+// Change logs are kept for this many versions; older clients download a full snapshot
+const SNAPSHOT_MAX_DELTA_CHAIN = parseInt(process.env.SNAPSHOT_MAX_DELTA_CHAIN, 10) || 30;
+// Deltas larger than this are slower than a full download
+const SNAPSHOT_MAX_DELTA_ROWS = parseInt(process.env.SNAPSHOT_MAX_DELTA_ROWS, 10) || 50000;
+
+const readSnapshotMeta = (metaPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+};
+
+// Older snapshots used Date.now() as the version; those cannot anchor a delta chain
+const isSequentialVersion = (version) => Number.isInteger(version) && version > 0 && version < 1e9;
+
+// Column names of the vehicles table in an attached or main snapshot database
+const snapshotTableColumns = (db, schema = 'main') => db.prepare(`PRAGMA ${schema}.table_info(vehicles)`).all().map(c => c.name);
+
+// Ids inserted, updated and deleted between the previous snapshot (attached as prev) and the new one.
+// Snapshots built before a column was added are compared on the columns both have.
+const diffSnapshots = (db) => {
+  const previousColumns = snapshotTableColumns(db, 'prev');
+  const changed = snapshotTableColumns(db, 'main')
+    .filter(c => c !== '_id' && previousColumns.includes(c))
+    .map(c => `n.${c} IS NOT o.${c}`)
+    .join(' OR ');
+  const pluck = (sql) => db.prepare(sql).pluck().all();
+  return {
+    insert: pluck('SELECT _id FROM main.vehicles WHERE _id NOT IN (SELECT _id FROM prev.vehicles)'),
+    update: pluck(`SELECT n._id FROM main.vehicles n JOIN prev.vehicles o ON o._id = n._id WHERE ${changed}`),
+    delete: pluck('SELECT _id FROM prev.vehicles WHERE _id NOT IN (SELECT _id FROM main.vehicles)')
+  };
+};
+
+// Write the change log for a version and drop logs that fell out of the delta window
+async function recordSnapshotChanges(conn, version, changes) {
+  const SnapshotChange = getSnapshotChangeModel(conn);
+  await SnapshotChange.deleteMany({ version: { $gte: version } });
+  for (const op of Object.keys(changes)) {
+    const ids = changes[op];
+    for (let i = 0; i < ids.length; i += 5000) {
+      await SnapshotChange.insertMany(ids.slice(i, i + 5000).map(vehicleId => ({ version, vehicleId, op })), { ordered: false });
+    }
+  }
+  await SnapshotChange.deleteMany({ version: { $lte: version - SNAPSHOT_MAX_DELTA_CHAIN } });
+}
+
 async function buildTenantSnapshotInternal(tenantName) {
   if (!BetterSqlite3) {
     throw new Error('better-sqlite3 not installed. Run: npm install better-sqlite3');
@@ -2121,84 +2213,66 @@ async function buildTenantSnapshotInternal(tenantName) {
   // Remove existing tmp
   try { fs.unlinkSync(paths.tmpPath); } catch (_) {}
 
+  const previousMeta = readSnapshotMeta(paths.metaPath);
+  const previousVersion = isSequentialVersion(previousMeta?.version) ? previousMeta.version : 0;
+  const version = previousVersion + 1;
+  const conn = await getTenantDB(tenantName);
+
   const db = new BetterSqlite3(paths.tmpPath);
   try {
     // Use compatible settings for mobile SQLite
     db.pragma('journal_mode = DELETE');
     db.pragma('synchronous = FULL');
     db.pragma('page_size = 4096');
-    db.exec(`CREATE TABLE IF NOT EXISTS vehicles (
-      _id TEXT PRIMARY KEY,
-      vehicleType TEXT,
-      regNo TEXT,
-      regSuffix TEXT,
-      chassisNo TEXT,
-      chassisLc TEXT,
-      loanNo TEXT,
-      bank TEXT,
-      make TEXT,
-      customerName TEXT,
-      address TEXT
-    );`);
-    db.exec('CREATE INDEX IF NOT EXISTS idx_vehicles_regsuffix ON vehicles (regSuffix);');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_vehicles_chassislc ON vehicles (chassisLc);');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_vehicles_regno ON vehicles (regNo);');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_vehicles_chassisno ON vehicles (chassisNo);');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_vehicles_loanno ON vehicles (loanNo);');
+    db.exec(SNAPSHOT_SCHEMA_SQL);
 
     const insertStmt = db.prepare(`INSERT OR REPLACE INTO vehicles
-      (_id, vehicleType, regNo, regSuffix, chassisNo, chassisLc, loanNo, bank, make, customerName, address)
-      VALUES (@_id, @vehicleType, @regNo, @regSuffix, @chassisNo, @chassisLc, @loanNo, @bank, @make, @customerName, @address)`);
+      (_id, vehicleType, regNo, regSuffix, chassisNo, chassisLc, loanNo, bank, make, customerName, address, status)
+      VALUES (@_id, @vehicleType, @regNo, @regSuffix, @chassisNo, @chassisLc, @loanNo, @bank, @make, @customerName, @address, @status)`);
     const insertMany = db.transaction((rows) => {
       for (const v of rows) insertStmt.run(v);
     });
 
     // Pull data from Mongo in chunks and insert
-    const conn = await getTenantDB(tenantName);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    for (const col of collections) {
+    await vehicleRepository.forEachVehicleBatch(conn, (docs, vehicleType) => {
+      const rows = [];
+      for (const doc of docs) {
+        const v = vehicleRepository.toVehicleSummary(doc, vehicleType);
+        const regNo = String(v.regNo).trim();
+        const chassisNo = String(v.chassisNo).trim();
+        if (!regNo && !chassisNo) continue;
+        rows.push({
+          ...v,
+          _id: String(v._id || ''),
+          regNo,
+          regSuffix: regNo.length >= 4 ? regNo.slice(-4) : '',
+          chassisNo,
+          chassisLc: chassisNo.toLowerCase(),
+          status: normalizeStatus(v.status) || 'Pending'
+        });
+      }
+      if (rows.length) insertMany(rows);
+    });
+
+    // Diff against the snapshot clients currently hold; without one this version is a baseline
+    let changes = null;
+    if (previousVersion && fs.existsSync(paths.dbPath)) {
+      db.prepare('ATTACH DATABASE ? AS prev').run(paths.dbPath);
       try {
-        const M = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const total = await M.countDocuments({});
-        const batch = 10000;
-        for (let skip = 0; skip < total; skip += batch) {
-          const docs = await M.find({}, {
-            registrationNumber: 1,
-            chassisNumber: 1,
-            agreementNumber: 1,
-            bankName: 1,
-            vehicleMake: 1,
-            customerName: 1,
-            address: 1
-          }).sort({ _id: 1 }).skip(skip).limit(batch).lean();
-          const rows = [];
-          for (const v of docs) {
-            const regNo = String(v.registrationNumber || '').trim();
-            const chassisNo = String(v.chassisNumber || '').trim();
-            if (!regNo && !chassisNo) continue;
-            rows.push({
-              _id: String(v._id || ''),
-              vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-              regNo,
-              regSuffix: regNo.length >= 4 ? regNo.slice(-4) : '',
-              chassisNo,
-              chassisLc: chassisNo.toLowerCase(),
-              loanNo: String(v.agreementNumber || ''),
-              bank: String(v.bankName || ''),
-              make: String(v.vehicleMake || ''),
-              customerName: String(v.customerName || ''),
-              address: String(v.address || '')
-            });
-          }
-          if (rows.length) insertMany(rows);
-        }
-      } catch (_) {}
+        changes = diffSnapshots(db);
+      } finally {
+        db.exec('DETACH DATABASE prev');
+      }
     }
+    const vehicleCount = db.prepare('SELECT COUNT(1) FROM vehicles').pluck().get();
 
     // Optimize database before closing
     db.pragma('optimize');
     db.close();
 
+    // Store the change log before publishing the file, so a client never sees a version without its delta
+    if (changes) await recordSnapshotChanges(conn, version, changes);
+
     // Move tmp -> final
     try { fs.unlinkSync(paths.dbPath); } catch (_) {}
     fs.renameSync(paths.tmpPath, paths.dbPath);
@@ -2207,8 +2281,32 @@ async function buildTenantSnapshotInternal(tenantName) {
     const buf = fs.readFileSync(paths.dbPath);
     const md5 = crypto.createHash('md5').update(buf).digest('hex');
     const size = fs.statSync(paths.dbPath).size;
-    const meta = { tenant: tenantName, md5, size, version: Date.now(), updatedAt: new Date().toISOString() };
+
+    const SnapshotVersion = getSnapshotVersionModel(conn);
+    await SnapshotVersion.findOneAndUpdate(
+      { version },
+      {
+        $set: {
+          md5,
+          size,
+          vehicleCount,
+          inserted: changes ? changes.insert.length : vehicleCount,
+          updated: changes ? changes.update.length : 0,
+          deleted: changes ? changes.delete.length : 0,
+          baseline: !changes
+        }
+      },
+      { upsert: true }
+    );
+    await SnapshotVersion.deleteMany({ version: { $lte: version - SNAPSHOT_MAX_DELTA_CHAIN } });
+
+    // Oldest version a client can still delta from: change logs are pruned and never cross a baseline
+    const baselineVersion = changes ? (previousMeta.baselineVersion ?? previousVersion) : version;
+    const deltaFloor = Math.max(baselineVersion, version - SNAPSHOT_MAX_DELTA_CHAIN);
+    const meta = { tenant: tenantName, md5, size, version, baselineVersion, deltaFloor, vehicleCount, updatedAt: new Date().toISOString() };
     fs.writeFileSync(paths.metaPath, JSON.stringify(meta));
+    console.log(`🗂️ Snapshot v${version} built for ${tenantName}: ${vehicleCount} vehicles` +
+      (changes ? ` (+${changes.insert.length} ~${changes.update.length} -${changes.delete.length})` : ' (baseline)'));
     return meta;
   } catch (e) {
     try { db.close(); } catch (_) {}
@@ -2217,11 +2315,161 @@ async function buildTenantSnapshotInternal(tenantName) {
   }
 }
 
+// Copy of the published snapshot holding only the vehicles a restricted agent may see
+// (utils/agentScope). Built per download; the caller removes the file once it is sent.
+// Resolves to { path, vehicleCount }.
+async function buildScopedSnapshot(conn, paths, scope) {
+  const ids = await collectScopeVehicleIds(conn, scope);
+  const scopedPath = path.join(paths.dir, `scoped-${crypto.randomBytes(8).toString('hex')}.db`);
+  const db = new BetterSqlite3(scopedPath);
+  try {
+    db.pragma('journal_mode = DELETE');
+    db.pragma('page_size = 4096');
+    db.exec(SNAPSHOT_SCHEMA_SQL);
+    db.exec('CREATE TEMP TABLE scope_ids (_id TEXT PRIMARY KEY)');
+    const insertId = db.prepare('INSERT OR IGNORE INTO scope_ids (_id) VALUES (?)');
+    db.transaction((list) => { for (const id of list) insertId.run(id); })([...ids]);
+    db.prepare('ATTACH DATABASE ? AS snap').run(paths.dbPath);
+    let vehicleCount;
+    try {
+      const stored = snapshotTableColumns(db, 'snap');
+      const columns = [...SNAPSHOT_COLUMNS, ...(stored.includes('status') ? ['status'] : [])].join(', ');
+      vehicleCount = db.prepare(`INSERT INTO main.vehicles (${columns}) SELECT ${columns} FROM snap.vehicles WHERE _id IN (SELECT _id FROM temp.scope_ids)`).run().changes;
+    } finally {
+      db.exec('DETACH DATABASE snap');
+    }
+    db.close();
+    return { path: scopedPath, vehicleCount };
+  } catch (e) {
+    try { db.close(); } catch (_) {}
+    try { fs.unlinkSync(scopedPath); } catch (_) {}
+    throw e;
+  }
+}
+
+// A snapshot row as the field policy lets a user see it. Masked identifiers keep their
+// search columns only while the visible part still matches them.
+const maskSnapshotRow = (row, policy) => {
+  const masked = policy.apply(row, { hidden: 'empty' });
+  const regNo = masked.regNo || '';
+  const chassisNo = masked.chassisNo || '';
+  return {
+    rid: row.rid,
+    regNo,
+    regSuffix: row.regSuffix && regNo.endsWith(row.regSuffix) ? row.regSuffix : '',
+    chassisNo,
+    chassisLc: chassisNo === row.chassisNo ? row.chassisLc : chassisNo.toLowerCase(),
+    loanNo: masked.loanNo || '',
+    bank: masked.bank || '',
+    make: masked.make || '',
+    customerName: masked.customerName || '',
+    address: masked.address || ''
+  };
+};
+
+// Apply a field policy to every row of a snapshot file, in place
+function maskSnapshotFile(filePath, policy) {
+  const db = new BetterSqlite3(filePath);
+  try {
+    const status = snapshotTableColumns(db).includes('status') ? ', status' : '';
+    const select = db.prepare(`SELECT rowid AS rid, ${SNAPSHOT_COLUMNS.join(', ')}${status} FROM vehicles WHERE rowid > ? ORDER BY rowid LIMIT 5000`);
+    const update = db.prepare(`UPDATE vehicles SET regNo = @regNo, regSuffix = @regSuffix, chassisNo = @chassisNo,
+      chassisLc = @chassisLc, loanNo = @loanNo, bank = @bank, make = @make, customerName = @customerName, address = @address
+      WHERE rowid = @rid`);
+    const updateMany = db.transaction((rows) => { for (const row of rows) update.run(row); });
+    let lastRowId = 0;
+    for (;;) {
+      const rows = select.all(lastRowId);
+      if (rows.length === 0) break;
+      lastRowId = rows[rows.length - 1].rid;
+      updateMany(rows.map(row => maskSnapshotRow(row, policy)));
+    }
+    db.close();
+  } catch (e) {
+    try { db.close(); } catch (_) {}
+    throw e;
+  }
+}
+
+// Masked copy of the published snapshot for users whose field policy hides or masks snapshot
+// columns. Users with the same policy share one copy per version; older copies are removed.
+async function getMaskedSnapshot(paths, meta, policy, maskKey) {
+  const maskedPath = path.join(paths.dir, `masked-${meta.version}-${maskKey}.db`);
+  if (fs.existsSync(maskedPath)) return maskedPath;
+
+  const tmpPath = `${maskedPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.copyFileSync(paths.dbPath, tmpPath);
+    maskSnapshotFile(tmpPath, policy);
+    fs.renameSync(tmpPath, maskedPath);
+  } catch (e) {
+    try { fs.unlinkSync(tmpPath); } catch (_) {}
+    throw e;
+  }
+  for (const name of fs.readdirSync(paths.dir)) {
+    if (name.startsWith('masked-') && !name.startsWith(`masked-${meta.version}-`) && !name.endsWith('.tmp')) {
+      try { fs.unlinkSync(path.join(paths.dir, name)); } catch (_) {}
+    }
+  }
+  return maskedPath;
+}
+
+/**
+ * What a user's offline copy is cut for: their territory scope and their field policy.
+ * Empty for users who get the published snapshot as is. Clients send it back as ?scope=
+ * with deltas and download a full snapshot when it changes.
+ * @returns {{key: String, scope: Object|null, policy: Object, maskKey: String|null}}
+ */
+const resolveSnapshotCopy = async (conn, tenant, user) => {
+  const scope = await loadAgentScope(conn, tenant, user);
+  const policy = resolveFieldPolicy(tenant, user);
+  const maskKey = policy.keyFor(SNAPSHOT_MASKED_FIELDS);
+  const scopeKey = scope?.restrict ? scope.key : '';
+  const key = scopeKey || maskKey ? `${scopeKey || 'all'}.${maskKey || 'full'}` : '';
+  return { key, scope: scope?.restrict ? scope : null, policy, maskKey };
+};
+
+// One build per tenant at a time; callers arriving mid-build wait for it and then build again
+const snapshotBuilds = new Map();
+const buildTenantSnapshotQueued = (tenantName) => {
+  const previous = snapshotBuilds.get(tenantName) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => buildTenantSnapshotInternal(tenantName));
+  snapshotBuilds.set(tenantName, next);
+  next.catch(() => {}).finally(() => {
+    if (snapshotBuilds.get(tenantName) === next) snapshotBuilds.delete(tenantName);
+  });
+  return next;
+};
+
+registerJobHandler('snapshot_build', async (ctx) => {
+  await ctx.progress(5, 'Building offline snapshot...');
+  return buildTenantSnapshotQueued(ctx.payload.tenantName);
+}, { label: 'Offline snapshot build', maxAttempts: 2 });
+
+/**
+ * Queue a snapshot rebuild for a tenant. A rebuild that is still waiting absorbs
+ * further requests, and the lock key keeps one build per tenant across instances.
+ * @param {String} tenantName
+ * @param {Object} [options] - { tenant, createdBy }
+ * @returns {Promise<Object|null>} Job document, or null when the builder is unavailable
+ */
+const queueTenantSnapshotBuild = async (tenantName, { tenant, createdBy } = {}) => {
+  if (!BetterSqlite3) return null;
+  const owner = tenant || await Tenant.findOne({ name: tenantName }, { name: 1 }).lean();
+  return enqueueJob('snapshot_build', { tenantName }, {
+    tenant: owner || { name: tenantName },
+    createdBy,
+    label: `Offline snapshot: ${tenantName}`,
+    dedupeKey: `snapshot_build:${tenantName}`,
+    lockKey: `snapshot_build:${tenantName}`
+  });
+};
+
 // Expose builder for internal use (e.g., after upload)
-router.buildTenantSnapshot = async (tenantName) => buildTenantSnapshotInternal(tenantName);
+router.buildTenantSnapshot = queueTenantSnapshotBuild;
 
 // Snapshot meta endpoint
-router.get('/offline-snapshot-meta', authenticateUnifiedToken, async (req, res) => {
+router.get('/offline-snapshot-meta', authenticateUnifiedToken, requireOfflineSync, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantNameClaim = req.user?.tenantName;
@@ -2233,14 +2481,21 @@ router.get('/offline-snapshot-meta', authenticateUnifiedToken, async (req, res)
     const { metaPath } = getSnapshotPaths(tenant.name);
     if (!fs.existsSync(metaPath)) return res.status(404).json({ success: false, message: 'Snapshot not found' });
     const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    // Territory-restricted agents and users with masked fields download their own copy,
+    // so the published checksum does not apply
+    const copy = await resolveSnapshotCopy(await getTenantDB(tenant.name), tenant, req.user);
+    if (copy.key) {
+      return res.json({ ...meta, md5: null, size: null, vehicleCount: copy.scope ? null : meta.vehicleCount, scopeKey: copy.key });
+    }
     return res.json(meta);
   } catch (error) {
     return res.status(500).json({ success: false, message: 'Failed to get snapshot meta' });
   }
 });
 
-// Snapshot download endpoint
-router.get('/offline-snapshot', authenticateUnifiedToken, async (req, res) => {
+// Snapshot download endpoint. Like the offline dump, it is refused only once the period's
+// download records are used up; the vehicles in the copy are counted once it has been sent.
+router.get('/offline-snapshot', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit(() => 1), async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantNameClaim = req.user?.tenantName;
@@ -2249,16 +2504,138 @@ router.get('/offline-snapshot', authenticateUnifiedToken, async (req, res) => {
     if (!tenant && tenantNameClaim) tenant = await Tenant.findOne({ name: tenantNameClaim });
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
-    const { dbPath } = getSnapshotPaths(tenant.name);
+    const paths = getSnapshotPaths(tenant.name);
+    const { dbPath, metaPath } = paths;
     if (!fs.existsSync(dbPath)) return res.status(404).json({ success: false, message: 'Snapshot not found' });
+    const meta = readSnapshotMeta(metaPath);
+
+    const conn = await getTenantDB(tenant.name);
+    const copy = await resolveSnapshotCopy(conn, tenant, req.user);
+    if (copy.key) {
+      if (!BetterSqlite3) {
+        return res.status(501).json({ success: false, message: 'Snapshot builder unavailable. Install dependency: npm install better-sqlite3' });
+      }
+      // Territory cuts are per agent and removed once sent; masked copies are shared and kept
+      let copyPath;
+      let vehicleCount = meta?.vehicleCount;
+      if (copy.scope) {
+        ({ path: copyPath, vehicleCount } = await buildScopedSnapshot(conn, paths, copy.scope));
+        try {
+          if (copy.maskKey) maskSnapshotFile(copyPath, copy.policy);
+        } catch (e) {
+          fs.unlink(copyPath, () => {});
+          throw e;
+        }
+      } else {
+        copyPath = await getMaskedSnapshot(paths, meta, copy.policy, copy.maskKey);
+      }
+      const md5 = crypto.createHash('md5').update(fs.readFileSync(copyPath)).digest('hex');
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', 'attachment; filename="rapidrepo.db"');
+      if (meta?.version) res.setHeader('X-Snapshot-Version', String(meta.version));
+      res.setHeader('X-Snapshot-Md5', md5);
+      res.setHeader('X-Snapshot-Scope', copy.key);
+      res.on('finish', () => recordDataDownload(req, vehicleCount));
+      const stream = fs.createReadStream(copyPath);
+      if (copy.scope) stream.on('close', () => fs.unlink(copyPath, () => {}));
+      return stream.pipe(res);
+    }
+
     res.setHeader('Content-Type', 'application/octet-stream');
     res.setHeader('Content-Disposition', 'attachment; filename="rapidrepo.db"');
+    if (meta?.version) res.setHeader('X-Snapshot-Version', String(meta.version));
+    if (meta?.md5) res.setHeader('X-Snapshot-Md5', meta.md5);
+    res.on('finish', () => recordDataDownload(req, meta?.vehicleCount));
     fs.createReadStream(dbPath).pipe(res);
   } catch (error) {
     return res.status(500).json({ success: false, message: 'Failed to get snapshot' });
   }
 });
 
+// Delta pack from ?from=<version> to the latest snapshot.
+// Rows come from the published snapshot file so the delta matches exactly what a full download holds.
+// The upserted rows count as downloaded records.
+router.get('/offline-snapshot/delta', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit(() => 1), trackDataDownload((data) => data?.upserts?.length || 0), async (req, res) => {
+  try {
+    if (!BetterSqlite3) {
+      return res.status(501).json({ success: false, message: 'Snapshot builder unavailable. Install dependency: npm install better-sqlite3' });
+    }
+    const from = parseInt(req.query.from, 10);
+    if (!Number.isInteger(from) || from < 0) {
+      return res.status(400).json({ success: false, message: 'from must be a snapshot version' });
+    }
+
+    const tenantId = req.user?.tenantId;
+    const tenantNameClaim = req.user?.tenantName;
+    let tenant = null;
+    if (tenantId) tenant = await Tenant.findById(tenantId);
+    if (!tenant && tenantNameClaim) tenant = await Tenant.findOne({ name: tenantNameClaim });
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    const { dbPath, metaPath } = getSnapshotPaths(tenant.name);
+    const meta = readSnapshotMeta(metaPath);
+    if (!meta || !fs.existsSync(dbPath)) return res.status(404).json({ success: false, message: 'Snapshot not found' });
+
+    const conn = await getTenantDB(tenant.name);
+    const copy = await resolveSnapshotCopy(conn, tenant, req.user);
+    const { scope } = copy;
+    const latest = meta.version;
+    const base = { success: true, from, to: latest, meta };
+    const fullSnapshot = (reason) => res.json({ ...base, fullSnapshotRequired: true, reason });
+    // The local copy was cut for other territories, allocations or field policy (?scope= is the key it was downloaded with)
+    if (copy.key) base.meta = { ...meta, md5: null, size: null, vehicleCount: scope ? null : meta.vehicleCount, scopeKey: copy.key };
+    if (String(req.query.scope || '') !== copy.key) return fullSnapshot('scope_changed');
+    if (from === latest) return res.json({ ...base, upToDate: true });
+
+    if (!isSequentialVersion(latest) || from > latest) return fullSnapshot('unknown_version');
+    if (from < (meta.deltaFloor ?? latest) || latest - from > SNAPSHOT_MAX_DELTA_CHAIN) return fullSnapshot('chain_too_long');
+
+    const SnapshotChange = getSnapshotChangeModel(conn);
+    const range = { version: { $gt: from, $lte: latest } };
+    const changeCount = await SnapshotChange.countDocuments(range);
+    if (changeCount > SNAPSHOT_MAX_DELTA_ROWS) return fullSnapshot('delta_too_large');
+
+    // The newest operation for an id wins
+    const lastOp = new Map();
+    const changes = await SnapshotChange.find(range, { vehicleId: 1, op: 1, version: 1 }).sort({ version: 1 }).lean();
+    for (const change of changes) lastOp.set(change.vehicleId, change.op);
+
+    const deletes = [];
+    let upsertIds = [];
+    for (const [id, op] of lastOp) {
+      if (op === 'delete') deletes.push(id); else upsertIds.push(id);
+    }
+    // Changed vehicles outside a restricted agent's scope are removed from their copy
+    if (scope && upsertIds.length) {
+      const inScope = await filterIdsInScope(conn, scope, upsertIds);
+      deletes.push(...upsertIds.filter(id => !inScope.has(id)));
+      upsertIds = upsertIds.filter(id => inScope.has(id));
+    }
+
+    const upserts = [];
+    const db = new BetterSqlite3(dbPath, { readonly: true, fileMustExist: true });
+    try {
+      const status = copy.maskKey && snapshotTableColumns(db).includes('status') ? ', status' : '';
+      for (let i = 0; i < upsertIds.length; i += 500) {
+        const ids = upsertIds.slice(i, i + 500);
+        const rows = db.prepare(`SELECT rowid AS rid, ${SNAPSHOT_COLUMNS.join(', ')}${status} FROM vehicles WHERE _id IN (${ids.map(() => '?').join(',')})`)
+          .all(...ids);
+        for (const row of rows) {
+          const out = copy.maskKey ? { ...row, ...maskSnapshotRow(row, copy.policy) } : row;
+          upserts.push(SNAPSHOT_COLUMNS.map(c => out[c]));
+        }
+      }
+    } finally {
+      db.close();
+    }
+
+    return res.json({ ...base, columns: SNAPSHOT_COLUMNS, upserts, deletes });
+  } catch (error) {
+    console.error('Snapshot delta error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to get snapshot delta' });
+  }
+});
+
 // Build snapshot on demand (admin only)
 router.post('/offline-snapshot/build', authenticateUnifiedToken, requireAdmin, async (req, res) => {
   try {
@@ -2272,8 +2649,8 @@ router.post('/offline-snapshot/build', authenticateUnifiedToken, requireAdmin, a
     if (!tenant && tenantNameClaim) tenant = await Tenant.findOne({ name: tenantNameClaim });
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
-    const meta = await buildTenantSnapshotInternal(tenant.name);
-    return res.json({ success: true, message: 'Snapshot built', meta });
+    const job = await queueTenantSnapshotBuild(tenant.name, { tenant, createdBy: jobCreatorFromUser(req.user) });
+    return res.status(202).json({ success: true, message: 'Snapshot build queued', jobId: job._id });
   } catch (error) {
     console.error('Snapshot build error:', error);
     return res.status(500).json({ success: false, message: 'Failed to build snapshot' });
@@ -2283,48 +2660,13 @@ router.post('/offline-snapshot/build', authenticateUnifiedToken, requireAdmin, a
 // Helper: escape user-provided strings for safe use in RegExp
 const escapeRegexSafe = (str) => String(str || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-// Helper: filter fields for repo agents based on tenant.fieldMapping
-function filterFieldsForUser(rawObj, fieldMapping, user) {
-  const userType = String(user?.userType || '').toLowerCase();
-  if (userType !== 'repo_agent') {
-    return rawObj;
-  }
-  const map = fieldMapping || {};
-  const out = {};
-  // Always include _id and vehicleType for navigation
-  out._id = rawObj._id;
-  out.vehicleType = rawObj.vehicleType;
-  // Conditionally include mapped fields
-  if (map.regNo) out.regNo = rawObj.regNo;
-  if (map.chassisNo) out.chassisNo = rawObj.chassisNo;
-  if (map.loanNo) out.loanNo = rawObj.loanNo;
-  if (map.bank) out.bank = rawObj.bank;
-  if (map.make) out.make = rawObj.make;
-  if (map.customerName) out.customerName = rawObj.customerName;
-  if (map.address && rawObj.address !== undefined) out.address = rawObj.address;
-  if (map.branch && rawObj.branch !== undefined) out.branch = rawObj.branch;
-  if (map.status && rawObj.status !== undefined) out.status = rawObj.status;
-  if (map.engineNo && rawObj.engineNo !== undefined) out.engineNo = rawObj.engineNo;
-  if (map.emiAmount && rawObj.emiAmount !== undefined) out.emiAmount = rawObj.emiAmount;
-  if (map.pos && rawObj.pos !== undefined) out.pos = rawObj.pos;
-  if (map.model && rawObj.model !== undefined) out.model = rawObj.model;
-  if (map.productName && rawObj.productName !== undefined) out.productName = rawObj.productName;
-  if (map.bucket && rawObj.bucket !== undefined) out.bucket = rawObj.bucket;
-  if (map.season && rawObj.season !== undefined) out.season = rawObj.season;
-  if (map.inYard && rawObj.inYard !== undefined) out.inYard = rawObj.inYard;
-  if (map.yardName && rawObj.yardName !== undefined) out.yardName = rawObj.yardName;
-  if (map.yardLocation && rawObj.yardLocation !== undefined) out.yardLocation = rawObj.yardLocation;
-  if (map.uploadDate && rawObj.uploadDate !== undefined) out.uploadDate = rawObj.uploadDate;
-  if (map.fileName && rawObj.fileName !== undefined) out.fileName = rawObj.fileName;
-  return out;
-}
-
 // Public/unified: Mobile/global search across vehicle collections (allows tenant users)
-router.get('/search', authenticateUnifiedToken, async (req, res) => {
+// Results are ranked by relevance; pass nextCursor back as ?cursor= for the next page
+router.get('/search', authenticateUnifiedToken, enforceAPICallLimit(), trackAPICall(), async (req, res) => {
   try {
-    const { q = '', type = 'auto', limit = 200 } = req.query;
+    const { q = '', type = 'auto', limit = 200, cursor } = req.query;
     const raw = String(q || '').trim();
-    if (!raw) return res.json({ success: true, data: [] });
+    if (!raw) return res.json({ success: true, data: [], nextCursor: null, hasMore: false });
 
     const tenantName = req.user?.tenantName;
     const tenantId = req.user?.tenantId;
@@ -2340,111 +2682,16 @@ router.get('/search', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const fieldMapping = tenant.fieldMapping || {};
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    const results = [];
-    
-    // Optimize for 4-digit registration number searches
-    if (/^\d{4}$/.test(raw) && (type === 'auto' || type === 'reg' || type === 'registration')) {
-      // Use exact suffix match for better performance
-      const suffix = raw;
-      
-      for (const col of collections) {
-        try {
-          const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-          
-          // Create indexes if they don't exist (one-time operation)
-          try {
-            await Model.collection.createIndex({ registrationNumber: 1 });
-            await Model.collection.createIndex({ chassisNumber: 1 });
-          } catch (indexError) {
-            // Index might already exist, ignore error
-          }
-          
-          // Use $regex with $options for better performance
-          const docs = await Model.find({
-            registrationNumber: { $regex: suffix + '$', $options: 'i' }
-          })
-          .limit(parseInt(limit))
-          .lean()
-          .hint({ registrationNumber: 1 }); // Force index usage
-          
-          for (const v of docs) {
-            const base = {
-              _id: v._id,
-              vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-              regNo: v.registrationNumber || '',
-              chassisNo: v.chassisNumber || '',
-              loanNo: v.agreementNumber || '',
-              bank: v.bankName || '',
-              make: v.vehicleMake || '',
-              customerName: v.customerName || ''
-            };
-            results.push(filterFieldsForUser(base, fieldMapping, req.user));
-            if (results.length >= parseInt(limit)) break;
-          }
-          if (results.length >= parseInt(limit)) break;
-        } catch (_) {}
-      }
-    } else {
-      // Fallback to original search for other types
-      const regex = new RegExp(escapeRegexSafe(raw), 'i');
-      
-      for (const col of collections) {
-        try {
-          const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-          
-          // Create indexes if they don't exist
-          try {
-            await Model.collection.createIndex({ registrationNumber: 1 });
-            await Model.collection.createIndex({ chassisNumber: 1 });
-            await Model.collection.createIndex({ agreementNumber: 1 });
-          } catch (indexError) {
-            // Index might already exist, ignore error
-          }
-          
-          const or = [];
-          if (type === 'auto' || type === 'chassis') or.push({ chassisNumber: regex });
-          if (type === 'auto' || type === 'reg' || type === 'registration') or.push({ registrationNumber: regex });
-          if (type === 'auto' || type === 'loan') or.push({ agreementNumber: regex });
-          if (/^\d{3,6}$/.test(raw)) {
-            const tail = new RegExp(raw + '$', 'i');
-            or.push({ chassisNumber: tail });
-            or.push({ registrationNumber: tail });
-          }
-          if (or.length === 0) continue;
-          
-          const docs = await Model.find({ $or: or })
-            .limit(parseInt(limit))
-            .lean();
-            
-          for (const v of docs) {
-            const base = {
-              _id: v._id,
-              vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-              regNo: v.registrationNumber || '',
-              chassisNo: v.chassisNumber || '',
-              loanNo: v.agreementNumber || '',
-              bank: v.bankName || '',
-              make: v.vehicleMake || '',
-              customerName: v.customerName || ''
-            };
-            results.push(filterFieldsForUser(base, fieldMapping, req.user));
-            if (results.length >= parseInt(limit)) break;
-          }
-          if (results.length >= parseInt(limit)) break;
-        } catch (_) {}
-      }
-    }
+    const policy = resolveFieldPolicy(tenant, req.user);
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    const { results, nextCursor } = await vehicleRepository.searchVehicles(conn, { q: raw, type, limit, cursor, scope });
 
-    // Sort A->Z by registration number (fallback to chassis)
-    results.sort((a, b) => {
-      const ka = (a.regNo || a.chassisNo || '').toString();
-      const kb = (b.regNo || b.chassisNo || '').toString();
-      return ka.localeCompare(kb, undefined, { sensitivity: 'base' });
+    return res.json({
+      success: true,
+      data: results.map(v => policy.apply(v)),
+      nextCursor,
+      hasMore: !!nextCursor
     });
-    
-    return res.json({ success: true, data: results.slice(0, parseInt(limit)) });
   } catch (error) {
     console.error('Search error:', error);
     return res.status(500).json({ success: false, message: 'Search failed' });
@@ -2452,6 +2699,7 @@ router.get('/search', authenticateUnifiedToken, async (req, res) => {
 });
 
 // Get single vehicle by id (mobile detail)
+// Optional ?vehicleType= narrows the lookup to one collection
 router.get('/vehicle/:id', authenticateUnifiedToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -2464,74 +2712,44 @@ router.get('/vehicle/:id', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const fieldMapping = tenant.fieldMapping || {};
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    for (const col of collections) {
-      const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-      try {
-        const doc = await Model.findById(id).lean();
-        if (doc) {
-          const base = {
-            _id: doc._id,
-            vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-            regNo: doc.registrationNumber || 'N/A',
-            chassisNo: doc.chassisNumber || 'N/A',
-            loanNo: doc.agreementNumber || 'N/A',
-            bank: doc.bankName || 'N/A',
-            make: doc.vehicleMake || 'N/A',
-            customerName: doc.customerName || 'N/A',
-            address: doc.address || 'N/A',
-            branch: doc.branchName || doc.branch || 'N/A',
-            status: doc.status || 'Pending',
-            engineNo: doc.engineNumber || doc.engineNo || 'N/A',
-            productName: doc.productName || 'N/A',
-            emiAmount: doc.emiAmount || 'N/A',
-            pos: doc.pos || doc.POS || 'N/A',
-            model: doc.model || doc.vehicleModel || 'N/A',
-            uploadDate: doc.uploadDate || doc.createdAt || null,
-            bucket: doc.bucket || 'N/A',
-            season: doc.season || doc.seasoning || 'N/A',
-            inYard: doc.inYard || doc.inyard || doc.yardStatus || 'N/A',
-            yardName: doc.yardName || doc.yard || 'N/A',
-            yardLocation: doc.yardLocation || doc.yardAddress || 'N/A',
-            fileName: doc.fileName || 'N/A',
-            // Confirmer details
-            firstConfirmerName: doc.firstConfirmerName || 'N/A',
-            firstConfirmerPhone: doc.firstConfirmerPhone || 'N/A',
-            secondConfirmerName: doc.secondConfirmerName || 'N/A',
-            secondConfirmerPhone: doc.secondConfirmerPhone || 'N/A',
-            thirdConfirmerName: doc.thirdConfirmerName || 'N/A',
-            thirdConfirmerPhone: doc.thirdConfirmerPhone || 'N/A',
-            // include raw doc so UI can render any extra fields
-            raw: doc
-          };
+    const found = await vehicleRepository.findVehicleById(conn, id, { vehicleType: req.query.vehicleType });
+    if (!found) return res.status(404).json({ success: false, message: 'Vehicle not found' });
 
-          // If office staff, allow full details; if repo agent, apply mapping
-          const userType = String(req.user?.userType || '').toLowerCase();
-          let responseData = base;
-          if (userType === 'repo_agent') {
-            responseData = filterFieldsForUser(base, fieldMapping, req.user);
-          }
-
-          return res.json({ success: true, data: responseData });
-        }
-      } catch (_) {}
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    // Vehicles outside a restricted agent's scope are answered like missing ones
+    if (scope?.restrict && !(await found.Model.exists(vehicleRepository.withinScope(scope, found.vehicleType, { _id: found.vehicle._id })))) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
     }
-    return res.status(404).json({ success: false, message: 'Vehicle not found' });
+
+    const base = vehicleRepository.toVehicleDetail(found.vehicle, found.vehicleType);
+    if (scope) base.allocated = scope.isAllocated(found.vehicle, found.vehicleType);
+    base.status = normalizeStatus(found.vehicle.status) || 'Pending';
+    // Lets clients show only the status buttons this user may press
+    base.allowedTransitions = getAllowedTransitions(base.status, getActorRole(req.user));
+
+    // Fields are shown, masked or hidden by the tenant's field policy for this user
+    const responseData = resolveFieldPolicy(tenant, req.user).apply(base);
+
+    return res.json({ success: true, data: responseData });
   } catch (error) {
     console.error('Vehicle detail error:', error);
     return res.status(500).json({ success: false, message: 'Failed to get vehicle details' });
   }
 });
 
-// Generic vehicle status update
+// Map a rejected lifecycle change to an HTTP response
+const sendStatusChangeError = (res, result) => {
+  const { status, body } = describeStatusChangeError(result);
+  return res.status(status).json(body);
+};
+
+// Lifecycle status update (Pending → Confirmed → Hold → In Yard → Released/Cancelled)
 router.put('/vehicle/:id/status', authenticateUnifiedToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body || {};
-    const allowed = ['Pending','Hold','In Yard','Released','Cancelled','pending','hold','inYard','released','cancelled'];
-    if (!status || !allowed.includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
+    const { status, vehicleType, note } = req.body || {};
+    if (!normalizeStatus(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Use one of: ${VEHICLE_STATUSES.join(', ')}` });
     }
 
     const tenantId = req.user?.tenantId;
@@ -2543,25 +2761,31 @@ router.put('/vehicle/:id/status', authenticateUnifiedToken, async (req, res) =>
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    for (const col of collections) {
-      const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-      try {
-        const updated = await Model.findByIdAndUpdate(id, { $set: { status } }, { new: true });
-        if (updated) {
-          return res.json({ success: true, message: 'Status updated', data: { _id: updated._id, status: updated.status } });
-        }
-      } catch (_) {}
+    if (!(await isVehicleInAgentScope(conn, tenant, req.user, id))) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
     }
-    return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    const result = await vehicleRepository.changeVehicleStatus(conn, id, status, { actor: req.user, note, vehicleType });
+    if (!result.ok) return sendStatusChangeError(res, result);
+
+    const current = normalizeStatus(result.vehicle.status) || 'Pending';
+    return res.json({
+      success: true,
+      message: result.unchanged ? `Vehicle is already ${current}` : 'Status updated',
+      data: {
+        _id: result.vehicle._id,
+        status: current,
+        allowedTransitions: getAllowedTransitions(current, getActorRole(req.user)),
+        history: result.history
+      }
+    });
   } catch (error) {
     console.error('Vehicle status update error:', error);
     return res.status(500).json({ success: false, message: 'Failed to update status' });
   }
 });
 
-// Delete single vehicle by id (from any collection)
-router.delete('/vehicle/:id', authenticateUnifiedToken, async (req, res) => {
+// Status history for a vehicle, newest first
+router.get('/vehicle/:id/history', authenticateUnifiedToken, async (req, res) => {
   try {
     const { id } = req.params;
     const tenantId = req.user?.tenantId;
@@ -2573,18 +2797,193 @@ router.delete('/vehicle/:id', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    for (const col of collections) {
-      const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-      try {
-        const existing = await Model.findById(id).lean();
-        if (existing) {
-          const del = await Model.deleteOne({ _id: id });
-          return res.json({ success: true, message: 'Vehicle deleted', deletedCount: del?.deletedCount || 0 });
-        }
-      } catch (_) {}
+    if (!(await isVehicleInAgentScope(conn, tenant, req.user, id))) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+    const history = await vehicleRepository.getVehicleStatusHistory(conn, id);
+    return res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Vehicle history error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to get vehicle history' });
+  }
+});
+
+// Load the tenant, vehicle and active agency confirmers for the confirmer call routes
+const loadConfirmerContext = async (req) => {
+  const tenantId = req.user?.tenantId;
+  const tenantName = req.user?.tenantName;
+  let tenant = null;
+  if (tenantId) tenant = await Tenant.findById(tenantId);
+  if (!tenant && tenantName) tenant = await Tenant.findOne({ name: tenantName });
+  if (!tenant) return { error: [404, 'Tenant not found'] };
+
+  const conn = await getTenantDB(tenant.name);
+  const found = await vehicleRepository.findVehicleById(conn, req.params.id, { vehicleType: req.query.vehicleType || req.body?.vehicleType });
+  if (!found) return { error: [404, 'Vehicle not found'] };
+  if (!(await isVehicleInAgentScope(conn, tenant, req.user, found.vehicle._id))) return { error: [404, 'Vehicle not found'] };
+  const AgencyConfirmer = conn.models.AgencyConfirmer || conn.model('AgencyConfirmer', agencyConfirmerSchema);
+  const agencyConfirmers = await AgencyConfirmer.find({ isActive: true }).sort({ createdAt: 1 }).lean();
+  return { tenant, conn, found, agencyConfirmers };
+};
+
+// Bank confirmer phones follow the field policy, like the vehicle detail response
+const confirmerPhoneView = (tenant, user, vehicle) => {
+  const actions = resolveFieldPolicy(tenant, user).actionsFor({ bank: vehicle.bankName, status: vehicle.status });
+  const fields = { 1: 'firstConfirmerPhone', 2: 'secondConfirmerPhone', 3: 'thirdConfirmerPhone' };
+  return (confirmer) => {
+    if (!confirmer || confirmer.source !== 'bank') return confirmer;
+    const action = actions[fields[confirmer.slot]];
+    if (action === 'mask') return { ...confirmer, phone: maskValue(confirmer.phone, 'phone') };
+    if (action === 'hide') return { ...confirmer, phone: '' };
+    return confirmer;
+  };
+};
+
+// Only the caller who logged a call, or a tenant admin, may change its outcome
+const canUpdateCall = (user, call) => call.calledBy?.actorId === String(user.userId || user.agentId || user.staffId || '')
+  || getActorRole(user) === ACTOR_ROLES.ADMIN;
+
+const confirmerCallsResponse = (tenant, user, vehicle, agencyConfirmers, calls) => {
+  const view = confirmerPhoneView(tenant, user, vehicle);
+  return {
+    confirmers: listConfirmers(vehicle, agencyConfirmers).map(view),
+    calls: calls.map(c => ({ ...c, confirmer: view(c.confirmer), canUpdate: canUpdateCall(user, c) })),
+    gate: resolveConfirmationGate(calls),
+    outcomes: CALL_OUTCOME_LABELS
+  };
+};
+
+// Confirmer calls for the vehicle's current case, newest first, with what they allow
+router.get('/vehicle/:id/confirmer-calls', authenticateUnifiedToken, async (req, res) => {
+  try {
+    const ctx = await loadConfirmerContext(req);
+    if (ctx.error) return res.status(ctx.error[0]).json({ success: false, message: ctx.error[1] });
+
+    const calls = await getCurrentCalls(ctx.conn, ctx.found.vehicle._id);
+    return res.json({ success: true, data: confirmerCallsResponse(ctx.tenant, req.user, ctx.found.vehicle, ctx.agencyConfirmers, calls) });
+  } catch (error) {
+    console.error('Confirmer calls error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to get confirmer calls' });
+  }
+});
+
+// Log a call: { source: 'bank', slot } or { source: 'agency', agencyConfirmerId }, outcome, notes.
+// Click-to-call logs it as attempted; the outcome is added afterwards.
+router.post('/vehicle/:id/confirmer-calls', authenticateUnifiedToken, async (req, res) => {
+  try {
+    const { source, slot, agencyConfirmerId, outcome = 'attempted', notes } = req.body || {};
+    if (!CALL_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ success: false, message: `Outcome must be one of: ${CALL_OUTCOMES.join(', ')}` });
     }
-    return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    const ctx = await loadConfirmerContext(req);
+    if (ctx.error) return res.status(ctx.error[0]).json({ success: false, message: ctx.error[1] });
+
+    const confirmer = findConfirmer(ctx.found.vehicle, ctx.agencyConfirmers, { source, slot, agencyConfirmerId });
+    if (!confirmer) return res.status(400).json({ success: false, message: 'Confirmer not found for this vehicle' });
+
+    const ConfirmerCall = getConfirmerCallModel(ctx.conn);
+    const vehicle = ctx.found.vehicle;
+    await ConfirmerCall.create({
+      vehicleId: vehicle._id,
+      vehicleType: ctx.found.vehicleType,
+      registrationNumber: vehicle.registrationNumber || '',
+      bankName: vehicle.bankName || '',
+      confirmer,
+      outcome,
+      outcomeAt: outcome === 'attempted' ? undefined : new Date(),
+      notes: notes ? String(notes).trim() : '',
+      calledBy: {
+        actorId: String(req.user.userId || req.user.agentId || req.user.staffId || ''),
+        actorType: req.user.userType,
+        name: await actorNameFor(ctx.conn, req.user)
+      }
+    });
+
+    const calls = await getCurrentCalls(ctx.conn, vehicle._id);
+    return res.status(201).json({
+      success: true,
+      message: 'Call logged',
+      data: { call: calls[0], ...confirmerCallsResponse(ctx.tenant, req.user, vehicle, ctx.agencyConfirmers, calls) }
+    });
+  } catch (error) {
+    console.error('Confirmer call log error:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+    return res.status(500).json({ success: false, message: 'Failed to log call' });
+  }
+});
+
+// Record the outcome of a logged call. Agents can only update their own calls.
+router.put('/vehicle/:id/confirmer-calls/:callId', authenticateUnifiedToken, async (req, res) => {
+  try {
+    const { outcome, notes } = req.body || {};
+    if (!CALL_OUTCOMES.includes(outcome) || outcome === 'attempted') {
+      return res.status(400).json({ success: false, message: `Outcome must be one of: ${CALL_OUTCOMES.filter(o => o !== 'attempted').join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(req.params.callId)) {
+      return res.status(400).json({ success: false, message: 'Invalid call id' });
+    }
+    const ctx = await loadConfirmerContext(req);
+    if (ctx.error) return res.status(ctx.error[0]).json({ success: false, message: ctx.error[1] });
+
+    const ConfirmerCall = getConfirmerCallModel(ctx.conn);
+    const call = await ConfirmerCall.findOne({ _id: req.params.callId, vehicleId: ctx.found.vehicle._id });
+    if (!call) return res.status(404).json({ success: false, message: 'Call not found' });
+    if (!canUpdateCall(req.user, call)) {
+      return res.status(403).json({ success: false, message: 'You can only update calls you made', code: 'PERMISSION_DENIED' });
+    }
+
+    const before = { outcome: call.outcome, notes: call.notes };
+    call.outcome = outcome;
+    call.outcomeAt = new Date();
+    if (notes !== undefined) call.notes = String(notes).trim();
+    await call.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.CONFIRMER_CALL_UPDATE,
+      tenantId: ctx.tenant._id,
+      tenantName: ctx.tenant.name,
+      target: { type: 'vehicle', id: String(ctx.found.vehicle._id), label: ctx.found.vehicle.registrationNumber || ctx.found.vehicle.chassisNumber || String(ctx.found.vehicle._id) },
+      before,
+      after: { outcome: call.outcome, notes: call.notes },
+      metadata: { callId: String(call._id), calledBy: call.calledBy?.name }
+    });
+
+    const calls = await getCurrentCalls(ctx.conn, ctx.found.vehicle._id);
+    return res.json({
+      success: true,
+      message: 'Call outcome saved',
+      data: { call: calls.find(c => String(c._id) === String(call._id)) || call.toObject(), ...confirmerCallsResponse(ctx.tenant, req.user, ctx.found.vehicle, ctx.agencyConfirmers, calls) }
+    });
+  } catch (error) {
+    console.error('Confirmer call update error:', error);
+    if (error.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+    return res.status(500).json({ success: false, message: 'Failed to save call outcome' });
+  }
+});
+
+// Delete single vehicle by id (from any collection)
+router.delete('/vehicle/:id', authenticateUnifiedToken, requirePermission(PERMISSIONS.DELETE_FILES), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user?.tenantId;
+    const tenantName = req.user?.tenantName;
+    if (!tenantId && !tenantName) return res.status(401).json({ success: false, message: 'Unauthorized' });
+    let tenant = null;
+    if (tenantId) tenant = await Tenant.findById(tenantId);
+    if (!tenant && tenantName) tenant = await Tenant.findOne({ name: tenantName });
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    const conn = await getTenantDB(tenant.name);
+    const found = await vehicleRepository.findVehicleById(conn, id, { vehicleType: req.query.vehicleType });
+    const deletedCount = await vehicleRepository.deleteVehicleById(conn, id, { vehicleType: req.query.vehicleType });
+    if (!deletedCount) return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.VEHICLE_DELETE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'vehicle', id, label: found?.vehicle?.registrationNumber || found?.vehicle?.chassisNumber || id },
+      metadata: found ? { vehicleType: found.vehicleType, ...vehicleRepository.toVehicleSummary(found.vehicle, found.vehicleType) } : undefined
+    });
+    return res.json({ success: true, message: 'Vehicle deleted', deletedCount });
   } catch (error) {
     console.error('Vehicle delete error:', error);
     return res.status(500).json({ success: false, message: 'Failed to delete vehicle' });
@@ -2636,24 +3035,13 @@ router.get('/offline-dump-progress', authenticateUnifiedToken, async (req, res)
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    let totalRecords = 0;
-    
-    for (const col of collections) {
-      try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const count = await Model.countDocuments({});
-        totalRecords += count;
-        console.log(`Collection ${col}: ${count} records`);
-      } catch (e) {
-        console.error(`Error counting collection ${col}:`, e);
-      }
-    }
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    const { total: totalRecords } = await vehicleRepository.countVehicles(conn, {}, { scope });
     
     res.json({ 
       success: true, 
       totalRecords: totalRecords,
-      collections: collections.length,
+      collections: vehicleRepository.VEHICLE_TYPES.length,
       tenant: tenant.name
     });
   } catch (error) {
@@ -2662,8 +3050,9 @@ router.get('/offline-dump-progress', authenticateUnifiedToken, async (req, res)
   }
 });
 
-// Offline dump for tenant (minimal fields), for mobile caching
-router.get('/offline-dump', authenticateUnifiedToken, async (req, res) => {
+// Offline dump for tenant (minimal fields), for mobile caching.
+// Its size is not known up front, so the download limit only refuses once the period's records are used up.
+router.get('/offline-dump', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit(() => 1), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantName = req.user?.tenantName;
@@ -2674,75 +3063,20 @@ router.get('/offline-dump', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    const policy = resolveFieldPolicy(tenant, req.user);
     const out = [];
-    let totalRecords = 0;
-    const batchSize = 10000; // Process in batches of 10k records
     
     console.log(`Starting offline dump for tenant: ${tenant.name}`);
     
-    for (const col of collections) {
-      try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        
-        // Get total count first
-        const totalCount = await Model.countDocuments({});
-        console.log(`Collection ${col}: ${totalCount} total records`);
-        
-        // Process in batches to avoid memory issues
-        let skip = 0;
-        let processedCount = 0;
-        
-        while (skip < totalCount) {
-          const docs = await Model.find({}, {
-            registrationNumber: 1,
-            chassisNumber: 1,
-            agreementNumber: 1,
-            bankName: 1,
-            vehicleMake: 1,
-            customerName: 1,
-            address: 1
-          })
-          .skip(skip)
-          .limit(batchSize)
-          .lean();
-          
-          if (docs.length === 0) break;
-          
-          // Process documents in batch for better performance
-          const batchData = [];
-          for (const v of docs) {
-            // Only include records that have either regNo or chassisNo
-            if (v.registrationNumber || v.chassisNumber) {
-              batchData.push({
-                _id: v._id,
-                vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-                regNo: v.registrationNumber || '',
-                chassisNo: v.chassisNumber || '',
-                loanNo: v.agreementNumber || '',
-                bank: v.bankName || '',
-                make: v.vehicleMake || '',
-                customerName: v.customerName || '',
-                address: v.address || ''
-              });
-            }
-          }
-          
-          // Add batch to output
-          out.push(...batchData);
-          
-          processedCount += docs.length;
-          skip += batchSize;
-          console.log(`Collection ${col}: Processed ${processedCount}/${totalCount} records (${batchData.length} valid)`);
+    await vehicleRepository.forEachVehicleBatch(conn, (docs, vehicleType) => {
+      for (const doc of docs) {
+        // Only include records that have either regNo or chassisNo
+        if (doc.registrationNumber || doc.chassisNumber) {
+          out.push(policy.apply(vehicleRepository.toVehicleSummary(doc, vehicleType), { hidden: 'empty' }));
         }
-        
-        console.log(`Collection ${col}: Retrieved ${processedCount} records`);
-        totalRecords += processedCount;
-      } catch (e) {
-        console.error(`Error processing collection ${col}:`, e);
-        // Continue with other collections even if one fails
       }
-    }
+    }, { scope });
     
     // Sort stable
     out.sort((a,b)=>{
@@ -2757,7 +3091,7 @@ router.get('/offline-dump', authenticateUnifiedToken, async (req, res) => {
       success: true, 
       data: out,
       totalRecords: out.length,
-      collections: collections.length,
+      collections: vehicleRepository.VEHICLE_TYPES.length,
       tenant: tenant.name
     });
   } catch (error) {
@@ -2767,7 +3101,7 @@ router.get('/offline-dump', authenticateUnifiedToken, async (req, res) => {
 });
 
 // Lightweight stats to plan chunked sync
-router.get('/offline-stats', authenticateUnifiedToken, async (req, res) => {
+router.get('/offline-stats', authenticateUnifiedToken, requireOfflineSync, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantName = req.user?.tenantName;
@@ -2778,36 +3112,22 @@ router.get('/offline-stats', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const map = {
-      two: 'two_wheeler_data',
-      four: 'four_wheeler_data',
-      comm: 'commercial_data'
-    };
+    // Keys the chunked sync passes back as ?col=
+    const keys = { TwoWheeler: 'two', FourWheeler: 'four', Commercial: 'comm' };
     const { since } = req.query;
     const sinceDate = since ? new Date(since) : new Date(0);
     
-    const out = {};
-    let newRecords = 0;
-    
-    for (const [key, col] of Object.entries(map)) {
-      try {
-        const M = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const totalCount = await M.countDocuments({});
-        out[key] = totalCount;
-        
-        // Count new records since last sync
-        const newCount = await M.countDocuments({
-          $or: [
-            { createdAt: { $gte: sinceDate } },
-            { updatedAt: { $gte: sinceDate } },
-            { uploadDate: { $gte: sinceDate } }
-          ]
-        });
-        newRecords += newCount;
-      } catch (_) { 
-        out[key] = 0; 
-      }
-    }
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    const { byType } = await vehicleRepository.countVehicles(conn, {}, { scope });
+    // Count new records since last sync
+    const { total: newRecords } = await vehicleRepository.countVehicles(conn, {
+      $or: [
+        { createdAt: { $gte: sinceDate } },
+        { updatedAt: { $gte: sinceDate } },
+        { uploadDate: { $gte: sinceDate } }
+      ]
+    }, { scope });
+    const out = Object.fromEntries(Object.entries(byType).map(([vehicleType, count]) => [keys[vehicleType], count]));
     
     return res.json({ 
       success: true, 
@@ -2815,7 +3135,7 @@ router.get('/offline-stats', authenticateUnifiedToken, async (req, res) => {
       counts: out, 
       newRecords: newRecords,
       since: sinceDate.toISOString(),
-      collections: Object.keys(map) 
+      collections: Object.values(keys) 
     });
   } catch (error) {
     console.error('offline-stats error:', error);
@@ -2825,7 +3145,7 @@ router.get('/offline-stats', authenticateUnifiedToken, async (req, res) => {
 
 // Chunked data for incremental sync
 // query: col=two|four|comm, skip=0, limit=5000
-router.get('/offline-chunk', authenticateUnifiedToken, async (req, res) => {
+router.get('/offline-chunk', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit((req) => Math.min(50000, Math.max(1, parseInt(req.query.limit) || 5000))), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantName = req.user?.tenantName;
@@ -2836,35 +3156,17 @@ router.get('/offline-chunk', authenticateUnifiedToken, async (req, res) => {
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const { col = 'two', skip = 0, limit = 5000 } = req.query;
-    const mapping = { two: 'two_wheeler_data', four: 'four_wheeler_data', comm: 'commercial_data' };
-    const collection = mapping[col] || mapping.two;
     const conn = await getTenantDB(tenant.name);
-    const M = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), collection);
+    const [{ vehicleType, Model: M }] = vehicleRepository.getVehicleModels(conn, vehicleRepository.resolveVehicleType(col) || 'TwoWheeler');
 
     const s = Math.max(0, parseInt(skip));
     const l = Math.min(50000, Math.max(1, parseInt(limit))); // Max 50k records per chunk
 
-    const docs = await M.find({}, {
-      registrationNumber: 1,
-      chassisNumber: 1,
-      agreementNumber: 1,
-      bankName: 1,
-      vehicleMake: 1,
-      customerName: 1,
-      address: 1
-    }).sort({ _id: 1 }).skip(s).limit(l).lean();
-
-    const data = docs.map(v => ({
-      _id: v._id,
-      vehicleType: collection.includes('two') ? 'TwoWheeler' : collection.includes('four') ? 'FourWheeler' : 'Commercial',
-      regNo: v.registrationNumber || '',
-      chassisNo: v.chassisNumber || '',
-      loanNo: v.agreementNumber || '',
-      bank: v.bankName || '',
-      make: v.vehicleMake || '',
-      customerName: v.customerName || '',
-      address: v.address || ''
-    }));
+    // Skip and limit page through what the agent may see, matching the scoped offline-stats counts
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    const docs = await M.find(vehicleRepository.withinScope(scope, vehicleType), vehicleRepository.SUMMARY_PROJECTION).sort({ _id: 1 }).skip(s).limit(l).lean();
+    const policy = resolveFieldPolicy(tenant, req.user);
+    const data = docs.map(v => policy.apply(vehicleRepository.toVehicleSummary(v, vehicleType), { hidden: 'empty' }));
 
     return res.json({ success: true, tenant: tenant.name, col, skip: s, limit: l, count: data.length, data });
   } catch (error) {
@@ -2873,8 +3175,9 @@ router.get('/offline-chunk', authenticateUnifiedToken, async (req, res) => {
   }
 });
 
-// Incremental sync - get only new data since last sync
-router.get('/incremental-sync', authenticateUnifiedToken, async (req, res) => {
+// Incremental sync - get only new data since last sync. Like the offline dump, it is refused
+// only once the period's download records are used up; the records sent are then counted.
+router.get('/incremental-sync', authenticateUnifiedToken, requireOfflineSync, enforceDataDownloadLimit(() => 1), trackDataDownload((data) => data?.data?.length || 0), async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     const tenantName = req.user?.tenantName;
@@ -2889,58 +3192,13 @@ router.get('/incremental-sync', authenticateUnifiedToken, async (req, res) => {
     const sinceDate = since ? new Date(since) : new Date(0);
     
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    const out = [];
-    let totalRecords = 0;
     
     console.log(`Incremental sync for tenant: ${tenant.name} since ${sinceDate.toISOString()}`);
     
-    for (const col of collections) {
-      try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        
-        // Find records created or updated since the given date
-        const docs = await Model.find({
-          $or: [
-            { createdAt: { $gte: sinceDate } },
-            { updatedAt: { $gte: sinceDate } },
-            { uploadDate: { $gte: sinceDate } }
-          ]
-        }, {
-          registrationNumber: 1,
-          chassisNumber: 1,
-          agreementNumber: 1,
-          bankName: 1,
-          vehicleMake: 1,
-          customerName: 1,
-          address: 1,
-          createdAt: 1,
-          updatedAt: 1,
-          uploadDate: 1
-        }).sort({ _id: 1 }).lean();
-
-        const data = docs.map(v => ({
-          _id: v._id,
-          vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-          regNo: v.registrationNumber || '',
-          chassisNo: v.chassisNumber || '',
-          loanNo: v.agreementNumber || '',
-          bank: v.bankName || '',
-          make: v.vehicleMake || '',
-          customerName: v.customerName || '',
-          address: v.address || '',
-          createdAt: v.createdAt,
-          updatedAt: v.updatedAt,
-          uploadDate: v.uploadDate
-        }));
-
-        out.push(...data);
-        totalRecords += data.length;
-        console.log(`Collection ${col}: Found ${data.length} new/updated records`);
-      } catch (e) {
-        console.error(`Error processing collection ${col}:`, e);
-      }
-    }
+    const scope = await loadAgentScope(conn, tenant, req.user);
+    const policy = resolveFieldPolicy(tenant, req.user);
+    const out = (await vehicleRepository.findVehiclesChangedSince(conn, sinceDate, { scope })).map(v => policy.apply(v, { hidden: 'empty' }));
+    const totalRecords = out.length;
     
     console.log(`Incremental sync completed: ${totalRecords} new/updated records for ${tenant.name}`);
     
@@ -2957,111 +3215,120 @@ router.get('/incremental-sync', authenticateUnifiedToken, async (req, res) => {
   }
 });
 
-// Get download progress for large datasets
-router.get('/offline-dump-progress', authenticateUnifiedToken, async (req, res) => {
-  try {
-    const tenantId = req.user?.tenantId;
-    const tenantName = req.user?.tenantName;
-    if (!tenantId && !tenantName) return res.status(401).json({ success: false, message: 'Unauthorized' });
-    
-    let tenant = null;
-    if (tenantId) tenant = await Tenant.findById(tenantId);
-    if (!tenant && tenantName) tenant = await Tenant.findOne({ name: tenantName });
-    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
-
-    const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    let totalRecords = 0;
-    
-    for (const col of collections) {
-      try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const count = await Model.countDocuments({});
-        totalRecords += count;
-      } catch (e) {
-        // ignore missing collections
-      }
+// Photo taken at the vehicle when confirming it (optional for older app versions)
+const receiveMatchPhoto = (req, res, next) => {
+  matchPhotoUpload.single('photo')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message || 'Invalid photo upload' });
     }
-    
-    return res.json({ 
-      success: true, 
-      totalRecords,
-      collections: collections.length,
-      tenant: tenant.name
-    });
-  } catch (error) {
-    console.error('Progress check error:', error);
-    return res.status(500).json({ success: false, message: 'Failed to check progress' });
+    next();
+  });
+};
+
+const removeMatchPhoto = (file) => {
+  if (file) {
+    try { fs.unlinkSync(file.path); } catch (_) {}
   }
-});
+};
 
-// Confirm vehicle by id (simple status update)
-router.put('/vehicle/:id/confirm', authenticateUnifiedToken, async (req, res) => {
+// Confirm vehicle by id. Multipart or JSON: location { latitude, longitude, accuracy, capturedAt },
+// photo, note. Admins and office staff get a match alert with a map link.
+router.put('/vehicle/:id/confirm', authenticateUnifiedToken, receiveMatchPhoto, async (req, res) => {
+  const file = req.file;
   try {
     const { id } = req.params;
     const tenantId = req.user?.tenantId;
     const tenantName = req.user?.tenantName;
-    if (!tenantId && !tenantName) return res.status(401).json({ success: false, message: 'Unauthorized' });
+    if (!tenantId && !tenantName) {
+      removeMatchPhoto(file);
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
     let tenant = null;
     if (tenantId) tenant = await Tenant.findById(tenantId);
     if (!tenant && tenantName) tenant = await Tenant.findOne({ name: tenantName });
-    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+    if (!tenant) {
+      removeMatchPhoto(file);
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    let location = req.body?.location;
+    if (typeof location === 'string') {
+      try { location = JSON.parse(location); } catch (_) { location = null; }
+    }
+    let position = null;
+    if (location && location.latitude !== undefined && location.longitude !== undefined) {
+      const latitude = Number(location.latitude);
+      const longitude = Number(location.longitude);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        removeMatchPhoto(file);
+        return res.status(400).json({ success: false, message: 'Invalid GPS location' });
+      }
+      position = {
+        latitude,
+        longitude,
+        accuracy: Number.isFinite(Number(location.accuracy)) ? Number(location.accuracy) : undefined,
+        capturedAt: location.capturedAt ? new Date(location.capturedAt) : new Date()
+      };
+    }
 
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    for (const col of collections) {
-      const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-      try {
-        const updated = await Model.findByIdAndUpdate(id, { $set: { status: 'Confirmed' } }, { new: true });
-        if (updated) {
-          // Create admin notification in main DB
-          try {
-            const notifSchema = new mongoose.Schema({
-              tenantId: mongoose.Schema.Types.ObjectId,
-              tenantName: String,
-              type: String,
-              title: String,
-              message: String,
-              payload: Object,
-              createdBy: String,
-              createdAt: { type: Date, default: Date.now },
-              read: { type: Boolean, default: false }
-            }, { strict: false });
-            const Notification = mongoose.model('Notification', notifSchema, 'notifications');
-            await Notification.create({
-              tenantId: tenant._id,
-              tenantName: tenant.name,
-              type: 'vehicle_confirm',
-              title: 'Vehicle confirmation requested',
-              message: `Reg ${updated.registrationNumber || ''} confirmed by ${req.user.userType}`,
-              payload: {
-                vehicleId: updated._id,
-                regNo: updated.registrationNumber || '',
-                chassisNo: updated.chassisNumber || '',
-                loanNo: updated.agreementNumber || '',
-                bank: updated.bankName || ''
-              },
-              createdBy: req.user.userId || null
-            });
-          } catch (e) {
-            console.log('Notification create error:', e.message);
-          }
-          return res.json({ success: true, message: 'Vehicle confirmed, notification sent', data: { _id: updated._id, status: updated.status } });
-        }
-      } catch (_) {}
+    if (!(await isVehicleInAgentScope(conn, tenant, req.user, id))) {
+      removeMatchPhoto(file);
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+    const result = await vehicleRepository.changeVehicleStatus(conn, id, 'Confirmed', {
+      actor: req.user,
+      note: req.body?.note,
+      vehicleType: req.body?.vehicleType
+    });
+    if (!result.ok) {
+      removeMatchPhoto(file);
+      return sendStatusChangeError(res, result);
+    }
+    const updated = result.vehicle;
+    if (result.unchanged) {
+      removeMatchPhoto(file);
+      return res.json({ success: true, message: 'Vehicle already confirmed', data: { _id: updated._id, status: updated.status } });
+    }
+
+    // Record the match and push it to admins and staff; the confirmation stands even if this fails
+    let alertId = null;
+    let message = 'Vehicle confirmed, notification sent';
+    try {
+      if (file) await compressImage(file.path, 'Match photo');
+      const { notification, pushed } = await raiseVehicleMatchAlert({
+        tenant,
+        user: req.user,
+        vehicle: updated,
+        vehicleType: result.vehicleType,
+        agentName: await actorNameFor(conn, req.user),
+        location: position,
+        photoUrl: file ? tenantFileUrl('match_photos', file) : '',
+        note: req.body?.note
+      });
+      alertId = notification._id;
+      // Without match alerts on the plan the match is recorded but nobody is pushed
+      if (!pushed) message = 'Vehicle confirmed';
+    } catch (e) {
+      console.error('Match alert error:', e);
+      message = 'Vehicle confirmed, but the notification could not be sent';
     }
-    return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    return res.json({ success: true, message, data: { _id: updated._id, status: updated.status, alertId } });
   } catch (error) {
+    removeMatchPhoto(file);
     console.error('Vehicle confirm error:', error);
     return res.status(500).json({ success: false, message: 'Failed to confirm vehicle' });
   }
 });
 
-// Auth: allow tenant users (repo agents/office staff) to access read-only download endpoints
-// and keep admin requirement for mutating/admin-only routes.
+// Auth: allow tenant users (repo agents/office staff) to access read-only download endpoints,
+// deletes for users holding the delete files permission, and keep admin requirement for
+// other mutating/admin-only routes.
 router.use(authenticateUnifiedToken);
+const requireDeleteFiles = requirePermission(PERMISSIONS.DELETE_FILES);
 router.use((req, res, next) => {
   try {
+    if (String(req.method || '').toUpperCase() === 'DELETE') return requireDeleteFiles(req, res, next);
     const isGet = String(req.method || '').toUpperCase() === 'GET';
     const p = String(req.path || '');
     const isReadOnlyDownload = isGet && (
@@ -3250,64 +3517,25 @@ router.get('/dashboard-stats', async (req, res) => {
     }
 
     const conn = await getTenantDB(tenant.name);
-    const collections = {
-      two: 'two_wheeler_data',
-      four: 'four_wheeler_data',
-      comm: 'commercial_data'
-    };
+    const stats = await vehicleRepository.getVehicleStats(conn);
 
     const out = {
-      totalRecords: 0,
-      onHold: 0,
-      inYard: 0,
-      released: 0,
-      totalVehicles: 0,
-      twoWheeler: 0,
-      fourWheeler: 0,
-      cvData: 0,
-      associatedBanks: [],
+      totalRecords: stats.totalVehicles,
+      onHold: stats.onHold,
+      inYard: stats.inYard,
+      released: stats.released,
+      totalVehicles: stats.totalVehicles,
+      twoWheeler: stats.byType.TwoWheeler || 0,
+      fourWheeler: stats.byType.FourWheeler || 0,
+      cvData: stats.byType.Commercial || 0,
+      // top 10 banks by record count
+      associatedBanks: stats.banks.slice(0, 10),
       userStats: {
         officeStaff: 0,
         repoAgents: 0
       }
     };
 
-    const bankCounts = new Map();
-
-    // Count vehicles per collection and accumulate bank counts
-    for (const [key, col] of Object.entries(collections)) {
-      try {
-        const M = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const total = await M.countDocuments({});
-        out.totalVehicles += total;
-        if (key === 'two') out.twoWheeler = total;
-        if (key === 'four') out.fourWheeler = total;
-        if (key === 'comm') out.cvData = total;
-
-        // Optional status tallies if field exists
-        try { out.onHold += await M.countDocuments({ status: /hold/i }); } catch (_) {}
-        try { out.inYard += await M.countDocuments({ status: /yard/i }); } catch (_) {}
-        try { out.released += await M.countDocuments({ status: /release/i }); } catch (_) {}
-
-        // Aggregate bankName counts (top 10)
-        const banks = await M.aggregate([
-          { $match: { bankName: { $exists: true, $ne: '' } } },
-          { $group: { _id: '$bankName', count: { $sum: 1 } } }
-        ]);
-        for (const b of banks) {
-          const name = String(b._id || '').trim();
-          const prev = bankCounts.get(name) || 0;
-          bankCounts.set(name, prev + (b.count || 0));
-        }
-      } catch (_) { /* collection may not exist */ }
-    }
-
-    out.totalRecords = out.totalVehicles;
-    out.associatedBanks = Array.from(bankCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(([name, count]) => ({ name, count }));
-
     // User stats from tenant database collections
     try {
       const OfficeStaff = conn.model('OfficeStaff', new mongoose.Schema({}, { strict: false }), 'officestaffs');
@@ -3958,18 +4186,7 @@ router.delete('/file/:id', async (req, res) => {
       }
 
       const regex = new RegExp('^\\s*' + escapeRegexSafe(decodedFileName) + '\\s*$', 'i');
-      const dataCollections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-
-      let totalDeletedData = 0;
-      for (const col of dataCollections) {
-        try {
-          const exists = await conn.db.listCollections({ name: col }).hasNext();
-          if (!exists) continue;
-          const M = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-          const delRes = await M.deleteMany({ fileName: { $regex: regex } });
-          totalDeletedData += delRes?.deletedCount || 0;
-        } catch (_) {}
-      }
+      const totalDeletedData = await vehicleRepository.deleteVehiclesByFileName(conn, decodedFileName);
 
       let totalDeletedUploads = 0;
       for (const ucol of uploadCollections) {
@@ -3985,19 +4202,33 @@ router.delete('/file/:id', async (req, res) => {
       if (totalDeletedData === 0 && totalDeletedUploads === 0) {
         return res.status(404).json({ success: false, message: 'Upload not found' });
       }
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.FILE_DELETE,
+        tenantId: tenant._id,
+        tenantName: tenant.name,
+        target: { type: 'file', id: decodedFileName, label: decodedFileName },
+        metadata: { deletedData: totalDeletedData, deletedUploads: totalDeletedUploads }
+      });
       return res.json({ success: true, message: 'File and data deleted', deletedData: totalDeletedData, deletedUploads: totalDeletedUploads });
     }
 
     // Delete all rows for this fileName in the resolved data collection
-    const VehicleModel = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), dataCollection);
     const escaped = String(uploadDetails.fileName || '').trim();
+    const auditFileDelete = (deletedData) => recordAudit(req, {
+      action: AUDIT_ACTIONS.FILE_DELETE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'file', id, label: uploadDetails.fileName || id },
+      metadata: { collection: dataCollection, bankName: uploadDetails.bankName, totalRecords: uploadDetails.totalRecords, deletedData }
+    });
     if (!escaped) {
+      await auditFileDelete(0);
       return res.json({ success: true, message: 'Upload deleted (no data rows matched by filename)' });
     }
-    const regex = new RegExp('^\\s*' + escapeRegexSafe(escaped) + '\\s*$', 'i');
-    const result = await VehicleModel.deleteMany({ fileName: { $regex: regex } });
+    const deleted = await vehicleRepository.deleteVehiclesByFileName(conn, escaped, { vehicleType: dataCollection });
+    await auditFileDelete(deleted);
 
-    return res.json({ success: true, message: 'File and data deleted', deleted: result?.deletedCount || 0 });
+    return res.json({ success: true, message: 'File and data deleted', deleted });
   } catch (error) {
     console.error('Delete file error:', error);
     return res.status(500).json({ success: false, message: 'Failed to delete file' });
@@ -4054,6 +4285,13 @@ router.delete('/two-wheeler/:id', async (req, res) => {
     if ((deleteDataResult.deletedCount || 0) === 0 && (deleteUploadResult.deletedCount || 0) === 0) {
       return res.status(404).json({ success: false, message: 'No matching records found to delete' });
     }
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.FILE_DELETE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'file', id, label: targetFileName },
+      metadata: { collection: 'two_wheeler_data', deletedData: deleteDataResult.deletedCount || 0, deletedUploads: deleteUploadResult.deletedCount || 0 }
+    });
 
     return res.json({
       success: true,
@@ -4141,61 +4379,17 @@ router.get('/debug/collections', async (req, res) => {
 // Mobile/global search across vehicle collections
 router.get('/search', async (req, res) => {
   try {
-    const { q = '', type = 'auto', limit = 200 } = req.query;
+    const { q = '', type = 'auto', limit = 200, cursor } = req.query;
     const raw = String(q || '').trim();
-    if (!raw) return res.json({ success: true, data: [] });
+    if (!raw) return res.json({ success: true, data: [], nextCursor: null, hasMore: false });
 
     const tenant = await Tenant.findById(req.user.tenantId);
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
 
     const conn = await getTenantDB(tenant.name);
-    const collections = ['two_wheeler_data', 'four_wheeler_data', 'commercial_data'];
-    const results = [];
-    const regex = new RegExp(escapeRegexSafe(raw), 'i');
-
-    for (const col of collections) {
-      try {
-        const Model = conn.model('Vehicle', new mongoose.Schema({}, { strict: false }), col);
-        const or = [];
-        if (type === 'auto' || type === 'chassis') {
-          or.push({ chassisNumber: regex });
-        }
-        if (type === 'auto' || type === 'reg' || type === 'registration') {
-          or.push({ registrationNumber: regex });
-        }
-        if (type === 'auto' || type === 'loan') {
-          or.push({ agreementNumber: regex });
-        }
-        // Last 4 digits convenience: if q is 3-6 digits, also endsWith
-        if (/^\d{3,6}$/.test(raw)) {
-          const tail = new RegExp(raw + '$', 'i');
-          or.push({ chassisNumber: tail });
-          or.push({ registrationNumber: tail });
-        }
-        if (or.length === 0) continue;
-        const docs = await Model.find({ $or: or })
-          .limit(parseInt(limit))
-          .lean();
-        for (const v of docs) {
-          results.push({
-            _id: v._id,
-            vehicleType: col.includes('two') ? 'TwoWheeler' : col.includes('four') ? 'FourWheeler' : 'Commercial',
-            regNo: v.registrationNumber || '',
-            chassisNo: v.chassisNumber || '',
-            loanNo: v.agreementNumber || '',
-            bank: v.bankName || '',
-            make: v.vehicleMake || '',
-            customerName: v.customerName || '',
-          });
-          if (results.length >= parseInt(limit)) break;
-        }
-        if (results.length >= parseInt(limit)) break;
-      } catch (e) {
-        // ignore missing collections
-      }
-    }
+    const { results, nextCursor } = await vehicleRepository.searchVehicles(conn, { q: raw, type, limit, cursor });
 
-    return res.json({ success: true, data: results.slice(0, parseInt(limit)) });
+    return res.json({ success: true, data: results, nextCursor, hasMore: !!nextCursor });
   } catch (error) {
     console.error('Search error:', error);
     return res.status(500).json({ success: false, message: 'Search failed' });
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
+const { ACTOR_ROLES, getActorRole } = require('../utils/vehicleLifecycle');
+const { listJobTypes, cancelJob, retryJob } = require('../utils/jobQueue');
+const { JOB_STATUSES } = require('../models/Job');
+
+router.use(authenticateUnifiedToken);
+
+const isSuperAdmin = (user) => user?.userType === 'main_user' && user?.role === 'super_admin';
+
+// Jobs are visible to office staff and admins of the owning tenant
+router.use((req, res, next) => {
+  const role = getActorRole(req.user);
+  if (role !== ACTOR_ROLES.ADMIN && role !== ACTOR_ROLES.OFFICE_STAFF) {
+    return res.status(403).json({ success: false, message: 'Only office staff can view jobs' });
+  }
+  next();
+});
+
+const requireAdmin = (req, res, next) => {
+  if (getActorRole(req.user) !== ACTOR_ROLES.ADMIN) {
+    return res.status(403).json({ success: false, message: 'Only admins can manage jobs' });
+  }
+  next();
+};
+
+// Super admins see every job; everyone else only their own tenant's
+const jobScope = (user) => {
+  if (isSuperAdmin(user)) return {};
+  return { tenantId: user?.tenantId && mongoose.isValidObjectId(user.tenantId) ? user.tenantId : null };
+};
+
+// Payloads can carry file passwords and server paths; never send those back
+const toJobResponse = (job) => {
+  const { password, filePath, ...payload } = job.payload || {};
+  return {
+    _id: job._id,
+    type: job.type,
+    label: job.label,
+    status: job.status,
+    tenantId: job.tenantId,
+    tenantName: job.tenantName,
+    payload,
+    progress: job.progress,
+    result: job.result,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    cancelRequested: job.cancelRequested,
+    lastError: job.lastError,
+    errorCode: job.errorCode,
+    attemptErrors: job.attemptErrors,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+};
+
+// List jobs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { status, type, tenantId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = jobScope(req.user);
+    if (status && JOB_STATUSES.includes(status)) filter.status = status;
+    if (type) filter.type = String(type);
+    if (tenantId && isSuperAdmin(req.user) && mongoose.isValidObjectId(tenantId)) filter.tenantId = tenantId;
+
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Job.countDocuments(filter),
+      Job.aggregate([
+        { $match: { ...filter, status: { $in: JOB_STATUSES } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs.map(toJobResponse),
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      types: listJobTypes(),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ success: false, message: 'Failed to load jobs' });
+  }
+});
+
+// Single job with progress and attempt history
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job id' });
+    }
+    const job = await Job.findOne({ _id: req.params.id, ...jobScope(req.user) }).lean();
+    if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+    res.json({ success: true, data: toJobResponse(job) });
+  } catch (error) {
+    console.error('Error loading job:', error);
+    res.status(500).json({ success: false, message: 'Failed to load job' });
+  }
+});
+
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id, jobScope(req.user));
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'Job not found or already finished' });
+    }
+    const message = job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested';
+    res.json({ success: true, message, data: toJobResponse(job) });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel job' });
+  }
+});
+
+router.post('/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id, jobScope(req.user));
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'Only failed or cancelled jobs can be retried' });
+    }
+    res.json({ success: true, message: 'Job queued for retry', data: toJobResponse(job) });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Notification = require('../models/Notification');
+const { getTenantDB } = require('../config/database');
+const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
+const { requirePlanFeature } = require('../middleware/subscription');
+const { MATCH_ALERT_TYPE, actorNameFor, acknowledgeMatchAlert, resolveEscalationMinutes } = require('../utils/matchAlerts');
+
+// Vehicle match alerts for tenant admins and office staff; agents only raise them
+router.use(authenticateUnifiedToken, (req, res, next) => {
+  if (req.user?.userType === 'repo_agent') {
+    return res.status(403).json({ success: false, message: 'Match alerts are for admins and office staff', code: 'PERMISSION_DENIED' });
+  }
+  if (!req.user?.tenantId) {
+    return res.status(400).json({ success: false, message: 'Tenant context missing' });
+  }
+  next();
+});
+
+router.use(requirePlanFeature('matchAlerts'));
+
+// Recent alerts, newest first (?status=open for unacknowledged only)
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = { tenantId: req.user.tenantId, type: MATCH_ALERT_TYPE };
+    if (req.query.status === 'open') filter.acknowledgedAt = null;
+
+    const [alerts, total, open, tenant] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ tenantId: req.user.tenantId, type: MATCH_ALERT_TYPE, acknowledgedAt: null }),
+      Tenant.findById(req.user.tenantId).select('settings.matchAlertEscalationMinutes').lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: alerts,
+      openCount: open,
+      escalationMinutes: resolveEscalationMinutes(tenant),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error listing match alerts:', error);
+    res.status(500).json({ success: false, message: 'Failed to load match alerts' });
+  }
+});
+
+// Acknowledge an alert; stops its escalation
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid alert id' });
+    }
+    const tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    const conn = await getTenantDB(tenant.name);
+    const alert = await acknowledgeMatchAlert(req.params.id, tenant._id, req.user, await actorNameFor(conn, req.user));
+    if (!alert) return res.status(404).json({ success: false, message: 'Alert not found' });
+
+    res.json({ success: true, message: 'Alert acknowledged', data: alert });
+  } catch (error) {
+    console.error('Error acknowledging match alert:', error);
+    res.status(500).json({ success: false, message: 'Failed to acknowledge alert' });
+  }
+});
+
+module.exports = router;
@@ -3,62 +3,74 @@ const router = express.Router();
 const multer = require('multer');
 const XLSX = require('xlsx');
 const mongoose = require('mongoose');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { authenticateUnifiedToken, requirePermission } = require('../middleware/unifiedAuth');
+const { PERMISSIONS } = require('../utils/permissions');
 const Tenant = require('../models/Tenant');
 const { getTenantDB } = require('../config/database');
+const vehicleRepository = require('../repositories/vehicleRepository');
 const fileManagementRouter = require('./fileManagement');
-const { sendNotificationToTenant, createFileUploadNotification } = require('../utils/pushNotificationService');
-
-// In-memory progress store for upload tracking
-// Format: { uploadId: { progress: 0-100, message: string, totalRows: number, processedRows: number } }
-const uploadProgressStore = new Map();
-
-// Generate unique upload ID
-const generateUploadId = () => {
-  return `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-};
-
-// Clean up old progress entries (older than 1 hour)
-setInterval(() => {
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  for (const [id, data] of uploadProgressStore.entries()) {
-    if (data.timestamp && data.timestamp < oneHourAgo) {
-      uploadProgressStore.delete(id);
+const Job = require('../models/Job');
+const { queueNotificationToTenant, createFileUploadNotification } = require('../utils/pushNotificationService');
+const { registerJobHandler, enqueueJob, permanentJobError, jobCreatorFromUser } = require('../utils/jobQueue');
+const { normalizeRegistrationNumber } = require('../utils/vehicleSearch');
+const { getBankExpiryPolicy } = require('../utils/purgeExpiredVehicles');
+const { SPREADSHEET_ERROR_CODES, openSpreadsheet, toHeaderKeys, toRowObject, writeXlsxRows } = require('../utils/spreadsheetStream');
+const getUploadRowIssueModel = require('../models/UploadRowIssue');
+const getUploadConflictModel = require('../models/UploadConflict');
+const { UPLOAD_CONFLICT_RETENTION_DAYS } = require('../models/UploadConflict');
+const { sealJobSecret, openJobSecret } = require('../utils/jobSecrets');
+const { parseDuplicatePolicy, getBankDuplicatePolicy, toConflictSummary } = require('../utils/uploadConflicts');
+
+// Spreadsheets wait here for the ingestion worker (outside the public uploads folder)
+const INGEST_DIR = process.env.INGEST_DIR || path.join(__dirname, '..', 'ingest');
+// Files of failed uploads are kept this long so the job can be retried
+const INGEST_FILE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Files awaiting conflict review are kept as long as their conflicts, so they can still be committed
+const REVIEW_FILE_MAX_AGE_MS = UPLOAD_CONFLICT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Tenant admins and office staff allowed to upload data
+router.use(authenticateUnifiedToken, requirePermission(PERMISSIONS.UPLOAD_DATA));
+
+// Progress polling endpoint; uploadId is the ingestion job id
+router.get('/upload-progress/:uploadId', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const job = mongoose.isValidObjectId(uploadId)
+      ? await Job.findOne({ _id: uploadId, type: 'file_ingestion', tenantId: req.user.tenantId }).lean()
+      : null;
+    
+    if (!job) {
+      return res.json({ 
+        success: false, 
+        message: 'Upload progress not found',
+        progress: 0 
+      });
     }
-  }
-}, 10 * 60 * 1000); // Clean every 10 minutes
-
-// Auth middleware
-router.use(authenticateToken, requireAdmin);
-
-// Progress polling endpoint
-router.get('/upload-progress/:uploadId', (req, res) => {
-  const { uploadId } = req.params;
-  const progress = uploadProgressStore.get(uploadId);
-  
-  if (!progress) {
-    return res.json({ 
-      success: false, 
-      message: 'Upload progress not found',
-      progress: 0 
+    
+    const counters = job.progress?.data || {};
+    res.json({
+      success: true,
+      status: job.status,
+      progress: job.status === 'completed' ? 100 : (job.progress?.percent || 0),
+      message: job.status === 'failed' ? (job.lastError || 'Upload failed') : (job.progress?.message || ''),
+      totalRows: counters.totalRows || 0,
+      processedRows: counters.processedRows || 0,
+      inserted: counters.inserted || 0,
+      failed: counters.failed || 0,
+      result: job.result || null,
+      error: job.errorCode || null
     });
+  } catch (error) {
+    console.error('Upload progress error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load upload progress' });
   }
-  
-  res.json({
-    success: true,
-    progress: progress.progress || 0,
-    message: progress.message || '',
-    totalRows: progress.totalRows || 0,
-    processedRows: progress.processedRows || 0,
-    inserted: progress.inserted || 0,
-    failed: progress.failed || 0
-  });
 });
 
 // Multer configuration for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
+const uploadOptions = {
   limits: {
     fileSize: 100 * 1024 * 1024, // 50MB practical limit
     files: 1,
@@ -89,6 +101,21 @@ const upload = multer({
 
     cb(new Error('Invalid file type. Only Excel (.xlsx/.xls/.xlsm) and CSV (.csv) files are allowed.'), false);
   }
+};
+
+// Preview reads the file in the request; uploads go to disk for the ingestion worker
+const upload = multer({ storage: multer.memoryStorage(), ...uploadOptions });
+const ingestUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(INGEST_DIR, { recursive: true }, (err) => cb(err, INGEST_DIR));
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname || '').toLowerCase();
+      cb(null, `ingest_${Date.now()}_${crypto.randomBytes(8).toString('hex')}${ext}`);
+    }
+  }),
+  ...uploadOptions
 });
 
 // Using existing getTenantDB from config/database.js
@@ -227,14 +254,18 @@ const normalizeString = (str) => {
   return str.toLowerCase().replace(/[^a-z0-9]/g, '');
 };
 
-// Validate data against field mapping
+// Placeholder values bank sheets use for "no registration yet"
+const REG_PLACEHOLDERS = new Set(['NA', 'NIL', 'NULL', 'NONE', 'NOTAVAILABLE', 'NEW', '0']);
+
+// Validate data against field mapping.
+// `reasons` explain why a row is rejected ({ code, field, message }); `errors` are their messages.
 const validateData = (data, fieldMapping) => {
-  const errors = [];
+  const reasons = [];
   const warnings = [];
 
   for (const [field, config] of Object.entries(fieldMapping)) {
     if (config.required && (!data[field] || data[field].toString().trim() === '')) {
-      errors.push(`Required field '${field}' is missing or empty`);
+      reasons.push({ code: 'MISSING_FIELD', field, message: `Required field '${field}' is missing or empty` });
     }
 
     if (data[field] && config.type === 'number') {
@@ -247,31 +278,54 @@ const validateData = (data, fieldMapping) => {
     if (data[field] && config.type === 'string' && data[field].length > 255) {
       warnings.push(`Field '${field}' is too long (${data[field].length} characters)`);
     }
+  }
 
-    // Special validation for registration number
-    if (field === 'registrationNumber' && data[field]) {
-      const regNumber = data[field];
-      // Check if it's a valid format after formatting (should be alphanumeric)
-      if (!/^[A-Z0-9]+$/.test(regNumber)) {
-        warnings.push(`Registration number '${regNumber}' contains invalid characters after formatting`);
-      }
-      // Check reasonable length (typically 8-15 characters for Indian registration numbers)
-      if (regNumber.length < 6 || regNumber.length > 15) {
-        warnings.push(`Registration number '${regNumber}' has unusual length (${regNumber.length} characters)`);
-      }
+  // Special validation for registration number
+  const regNumber = data.registrationNumber || '';
+  const hasRegNumber = regNumber !== '' && !REG_PLACEHOLDERS.has(regNumber);
+  if (hasRegNumber) {
+    // Should be alphanumeric after formatting, typically 6-15 characters for Indian registration numbers
+    if (!/^[A-Z0-9]+$/.test(regNumber)) {
+      reasons.push({
+        code: 'BAD_REG_FORMAT',
+        field: 'registrationNumber',
+        message: `Registration number '${regNumber}' contains invalid characters`
+      });
+    } else if (regNumber.length < 6 || regNumber.length > 15) {
+      reasons.push({
+        code: 'BAD_REG_FORMAT',
+        field: 'registrationNumber',
+        message: `Registration number '${regNumber}' has an invalid length (${regNumber.length} characters, expected 6-15)`
+      });
     }
+  } else if (!data.chassisNumber) {
+    // Agents need a plate or a chassis number to find the vehicle
+    reasons.push({
+      code: 'MISSING_CHASSIS',
+      field: 'chassisNumber',
+      message: 'Chassis number is missing and there is no registration number'
+    });
   }
 
-  return { errors, warnings };
+  return { errors: reasons.map(r => r.message), reasons, warnings };
+};
+
+// What identifies a row's vehicle within one file: the plate, else the chassis number
+const rowIdentifier = (data) => {
+  const regNumber = data.registrationNumber || '';
+  if (regNumber && !REG_PLACEHOLDERS.has(regNumber)) {
+    return { field: 'registrationNumber', label: 'registration', value: regNumber };
+  }
+  return data.chassisNumber ? { field: 'chassisNumber', label: 'chassis', value: data.chassisNumber } : null;
 };
 
 // Format registration number by removing hyphens and spaces
+// (shared with search so stored plates and queries normalize the same way)
 const formatRegistrationNumber = (regNumber) => {
   if (!regNumber || typeof regNumber !== 'string') return regNumber;
   
   const original = regNumber;
-  // Remove hyphens, spaces, and convert to uppercase
-  const formatted = regNumber.replace(/[-\s]/g, '').toUpperCase();
+  const formatted = normalizeRegistrationNumber(regNumber);
   
   // Log formatting if there was a change
   if (original !== formatted) {
@@ -651,513 +705,586 @@ router.post('/preview', upload.single('file'), async (req, res) => {
   }
 });
 
-// Upload file with enhanced processing
-router.post('/upload', upload.single('file'), async (req, res) => {
-  const uploadId = generateUploadId();
-  
-  try {
-    const { vehicleType, bankId, bankName } = req.body;
-    
-    // Initialize progress
-    uploadProgressStore.set(uploadId, {
-      progress: 0,
-      message: 'Starting upload...',
-      totalRows: 0,
-      processedRows: 0,
-      inserted: 0,
-      failed: 0,
-      timestamp: Date.now()
-    });
-    
-    // Send upload ID in response headers for progress tracking
-    res.setHeader('X-Upload-Id', uploadId);
-    
-    if (!vehicleType || !req.file) {
-      uploadProgressStore.set(uploadId, {
-        progress: 0,
-        message: 'Error: Vehicle type and file are required',
-        totalRows: 0,
-        processedRows: 0,
-        inserted: 0,
-        failed: 0,
-        timestamp: Date.now()
-      });
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Vehicle type and file are required' 
-      });
-    }
+// Read, validate and insert an uploaded spreadsheet. Runs on the job worker; progress is
+// kept on the job so any instance can answer /upload-progress.
+const runFileIngestion = async (ctx) => {
+  const {
+    filePath,
+    originalName,
+    vehicleType,
+    bankId = '',
+    bankName = '',
+    mapping,
+    password,
+    uploadedBy,
+    tenantId,
+    conflictPolicy,
+    reviewConflicts = false,
+    reviewOf
+  } = ctx.payload;
+  const uploadId = String(ctx.job._id);
+  const fileName = originalName || path.basename(filePath || '');
+
+  const tenant = await Tenant.findById(tenantId);
+  if (!tenant) {
+    throw permanentJobError('Tenant not found', 'TENANT_NOT_FOUND');
+  }
 
-    const tenant = await Tenant.findById(req.user.tenantId);
-    if (!tenant) {
-      return res.status(404).json({ success: false, message: 'Tenant not found' });
-    }
+  const conn = await getTenantDB(tenant.name);
+
+  // Determine collection name based on vehicle type
+  const collectionName = vehicleRepository.VEHICLE_COLLECTIONS[vehicleRepository.resolveVehicleType(vehicleType) || 'TwoWheeler'];
+
+  // Create upload history schema
+  const uploadSchema = new mongoose.Schema({
+    bankName: String,
+    bankId: String,
+    vehicleType: String,
+    fileName: String,
+    uploadId: String,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadDate: { type: Date, default: Date.now },
+    status: { type: String, default: 'Completed' },
+    totalRecords: Number,
+    processedRecords: Number,
+    failedRecords: Number,
+    rejectedRecords: Number,
+    headers: [String],
+    errors: [String],
+    warnings: [String],
+    validityDays: Number,
+    expiresAt: Date,
+    duplicatePolicy: String,
+    duplicates: { skipped: Number, replaced: Number, flagged: Number }
+  }, { timestamps: true });
+
+  const UploadModel = conn.model('Upload', uploadSchema, `${collectionName}_uploads`);
+
+  // Allocation files are valid for the window configured on the client (bank)
+  const { validityDays } = await getBankExpiryPolicy(conn, { bankId, bankName });
+  const expiresAt = validityDays ? new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000) : undefined;
+
+  // Rows matching vehicles already on file follow the policy picked for this upload, else the bank's
+  const duplicatePolicy = parseDuplicatePolicy(conflictPolicy) || await getBankDuplicatePolicy(conn, { bankId, bankName });
+  const UploadConflict = getUploadConflictModel(conn);
+
+  // Per-row decisions made on the review screen override the policy
+  const rowActions = new Map();
+  if (reviewOf) {
+    const decided = await UploadConflict.find({ uploadId: String(reviewOf), action: { $ne: null } }, { rowNumber: 1, action: 1 }).lean();
+    for (const conflict of decided) rowActions.set(conflict.rowNumber, conflict.action);
+  }
 
-    const conn = await getTenantDB(tenant.name);
+  // A previous attempt (or a retried job whose worker died) may have inserted part of
+  // the file, so start from a clean slate
+  const UploadRowIssue = getUploadRowIssueModel(conn);
+  const leftover = await vehicleRepository.deleteVehiclesByUpload(conn, uploadId, { vehicleType });
+  if (leftover > 0) console.log(`♻️ Removed ${leftover} rows from the previous attempt of upload ${uploadId}`);
+  await UploadRowIssue.deleteMany({ uploadId });
+  await UploadConflict.deleteMany({ uploadId });
 
-    // Determine collection name based on vehicle type
-    const collectionName = vehicleType === 'FourWheeler' 
-      ? 'four_wheeler_data' 
-      : vehicleType === 'Commercial' 
-        ? 'commercial_data' 
-        : 'two_wheeler_data';
+  try {
+    await fs.promises.access(filePath);
+  } catch (_) {
+    throw permanentJobError('Uploaded file is no longer available. Please upload it again.', 'FILE_MISSING');
+  }
 
-    // Create upload history schema
-    const uploadSchema = new mongoose.Schema({
-      bankName: String,
-      bankId: String,
-      vehicleType: String,
-      fileName: String,
-      uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-      uploadDate: { type: Date, default: Date.now },
-      status: { type: String, default: 'Completed' },
-      totalRecords: Number,
-      processedRecords: Number,
-      failedRecords: Number,
-      errors: [String],
-      warnings: [String]
-    }, { timestamps: true });
-
-    const UploadModel = conn.model('Upload', uploadSchema, `${collectionName}_uploads`);
-
-    // Parse Excel/CSV file (support password if provided)
-    // Add memory-efficient options for large files
-    const password = req.body?.password || undefined;
-    let workbook;
-    try {
-      console.log(`📂 Reading Excel file: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
-      
-      // Use cellStyles: false and cellDates: false to reduce memory usage
-      workbook = XLSX.read(req.file.buffer, { 
-        type: 'buffer', 
-        password,
-        cellStyles: false, // Don't parse styles to save memory
-        cellDates: false,  // Don't parse dates to save memory
-        dense: false       // Use sparse mode for large files
-      });
-      
-      console.log(`✅ File parsed successfully. Sheets: ${workbook.SheetNames.length}`);
-    } catch (err) {
-      console.error('Excel parsing error:', err);
-      const msg = String(err?.message || '').toLowerCase();
-      const looksEncrypted = msg.includes('password') || msg.includes('encrypted') || msg.includes('decrypt') || msg.includes('protected');
-      if (looksEncrypted && !password) {
-        return res.status(400).json({ success: false, message: 'This file is password-protected. Please enter the password.', error: 'PASSWORD_REQUIRED' });
-      }
-      if (looksEncrypted && password) {
-        return res.status(400).json({ success: false, message: 'Invalid password. Please try again.', error: 'INVALID_PASSWORD' });
-      }
-      if (msg.includes('out of memory') || msg.includes('memory')) {
-        return res.status(413).json({ success: false, message: 'File is too large to process. Please split it into smaller files.', error: 'FILE_TOO_LARGE' });
-      }
-      return res.status(400).json({ success: false, message: 'Unable to read file. Ensure it is a valid Excel/CSV.', error: 'READ_FAILED' });
-    }
-    
-    const sheetName = workbook.SheetNames[0];
-    let worksheet = workbook.Sheets[sheetName];
-    
-    // Check worksheet range to prevent processing extremely large files
-    const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-    const totalCells = (range.e.r - range.s.r + 1) * (range.e.c - range.s.c + 1);
-    const maxCells = 10 * 1000 * 1000; // 10 million cells limit
-    
-    if (totalCells > maxCells) {
-      workbook = null;
-      worksheet = null;
-      return res.status(413).json({ 
-        success: false, 
-        message: `File is too large (${totalCells.toLocaleString()} cells). Maximum allowed: ${maxCells.toLocaleString()} cells. Please split the file.`,
-        error: 'FILE_TOO_LARGE' 
-      });
-    }
-    
-    console.log(`📊 File dimensions: ${range.e.r + 1} rows × ${range.e.c + 1} columns (${totalCells.toLocaleString()} cells)`);
-    
-    // Update progress: Parsing file
-    uploadProgressStore.set(uploadId, {
-      progress: 5,
-      message: 'Parsing Excel file...',
-      totalRows: 0,
-      processedRows: 0,
-      inserted: 0,
-      failed: 0,
-      timestamp: Date.now()
-    });
-    
-    // Parse with timeout protection and better options
-    let rows;
-    try {
-      // Use sheet_to_json with options to handle large files better
-      rows = XLSX.utils.sheet_to_json(worksheet, { 
-        defval: '',           // Default value for empty cells
-        blankrows: false,     // Skip blank rows to save memory
-        raw: false,           // Convert values to strings/numbers
-        dateNF: 'yyyy-mm-dd'  // Date format
-      });
-    } catch (parseError) {
-      console.error('Error parsing worksheet:', parseError);
-      workbook = null;
-      worksheet = null;
-      req.file.buffer = null;
-      return res.status(400).json({ 
-        success: false, 
-        message: `Error parsing file: ${parseError.message}. The file might be corrupted or too complex.`,
-        error: 'PARSE_ERROR' 
-      });
-    }
-    
-    // Clear memory - help garbage collector
-    workbook = null;
-    worksheet = null;
-    req.file.buffer = null; // Clear file buffer after parsing
-    
-    console.log(`📊 Extracted ${rows.length} rows from sheet "${sheetName}"`);
+  await ctx.progress(2, 'Reading file...', { totalRows: 0, processedRows: 0, inserted: 0, failed: 0 });
 
-    if (rows.length === 0) {
-      return res.status(400).json({ success: false, message: 'No data found in file' });
-    }
-    
-    // Check for extremely large row count
-    const MAX_ROWS = 500000; // 500k rows limit
-    if (rows.length > MAX_ROWS) {
-      return res.status(413).json({ 
-        success: false, 
-        message: `File has too many rows (${rows.length.toLocaleString()}). Maximum allowed: ${MAX_ROWS.toLocaleString()} rows. Please split the file.`,
-        error: 'TOO_MANY_ROWS' 
-      });
-    }
+  // Rows are read one at a time (CSV/XLSX streaming); only legacy .xls and protected files load whole
+  let sheet;
+  try {
+    const { size } = await fs.promises.stat(filePath);
+    console.log(`📂 Reading file: ${fileName} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+    sheet = await openSpreadsheet(filePath, { fileName, password: openJobSecret(password) });
+    console.log(`✅ File opened (${sheet.mode})`);
+  } catch (err) {
+    console.error('Spreadsheet open error:', err);
+    throw permanentJobError(err.message, SPREADSHEET_ERROR_CODES.includes(err.code) ? err.code : 'READ_FAILED');
+  }
 
-    // Warn if file is very large
-    if (rows.length > 50000) {
-      console.warn(`⚠️ Large file detected: ${rows.length} rows. Processing may take several minutes.`);
-    }
+  // Optional: mapping provided by client
+  const providedFieldMap = mapping || {};
+  if (Object.keys(providedFieldMap).length > 0) {
+    console.log('Using explicit field mapping:', providedFieldMap);
+  } else {
+    console.log('No explicit mapping provided, using automatic field detection');
+  }
 
-    // Create header mapping with validation
-    if (!rows[0] || typeof rows[0] !== 'object') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid file format. First row should contain column headers.',
-        error: 'INVALID_FORMAT' 
-      });
-    }
-    
-    const headerKeys = Object.keys(rows[0]);
-    
-    // Check for too many columns
-    const MAX_COLUMNS = 500; // 500 columns limit
-    if (headerKeys.length > MAX_COLUMNS) {
-      return res.status(413).json({ 
-        success: false, 
-        message: `File has too many columns (${headerKeys.length}). Maximum allowed: ${MAX_COLUMNS} columns. Please reduce the number of columns.`,
-        error: 'TOO_MANY_COLUMNS' 
+  const MAX_ROWS = 500000; // 500k rows limit
+  const MAX_COLUMNS = 500; // 500 columns limit
+  const INSERT_BATCH_SIZE = 500; // Insert 500 records at a time
+  const PROGRESS_EVERY = 1000; // Report progress every 1000 rows
+  const allErrors = [];
+  const allWarnings = [];
+  let headerKeys = null;
+  let headerMap = {};
+  let totalRows = 0;
+  let processedCount = 0;
+  let failedCount = 0;
+  let rejectedCount = 0;
+  let totalInserted = 0;
+  let conflictCount = 0;
+  const duplicates = { skipped: 0, replaced: 0, flagged: 0 };
+  let pendingVehicles = [];
+  let pendingIssues = [];
+  // First row each identifier was seen on, to reject repeats within the file
+  const seenIdentifiers = new Map();
+
+  // Record the rows that match vehicles already on file; nothing is written in a review pass
+  const saveConflicts = async (batch, matches) => {
+    const conflicts = [];
+    batch.forEach((item, i) => {
+      if (matches[i].length === 0) return;
+      conflicts.push({
+        uploadId,
+        rowNumber: item.rowNumber,
+        fields: [...new Set(matches[i].flatMap(m => m.fields))],
+        incoming: toConflictSummary(item.doc),
+        existing: matches[i].slice(0, 10).map(m => toConflictSummary(m.vehicle, m.vehicleType))
       });
+    });
+    conflictCount += conflicts.length;
+    if (conflicts.length > 0) await UploadConflict.insertMany(conflicts, { ordered: false });
+  };
+
+  const flushVehicles = async () => {
+    if (pendingVehicles.length === 0) return;
+    const batch = pendingVehicles;
+    pendingVehicles = [];
+
+    const matches = await vehicleRepository.findDuplicateVehicles(conn, batch.map(item => item.doc), {
+      bankId,
+      bankName,
+      excludeUploadId: uploadId
+    });
+    if (reviewConflicts) {
+      await saveConflicts(batch, matches);
+      return;
     }
-    
-    const headerMap = {};
-    for (const key of headerKeys) {
-      // Skip very long header names that might cause issues
-      if (key && key.length < 500) {
-        headerMap[normalizeString(key)] = key;
+
+    const insertBatch = [];
+    const conflictLinks = [];
+    for (let i = 0; i < batch.length; i++) {
+      const { rowNumber, row, doc } = batch[i];
+      const found = matches[i];
+      if (found.length === 0) {
+        insertBatch.push(doc);
+        continue;
       }
-    }
-    
-    if (Object.keys(headerMap).length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'No valid column headers found in file.',
-        error: 'NO_HEADERS' 
-      });
-    }
 
-    // Optional: mapping provided by client
-    let providedFieldMap = {};
-    try {
-      if (req.body && req.body.mapping) {
-        providedFieldMap = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
-        console.log('Using explicit field mapping:', providedFieldMap);
-        
-        // Log which columns will be ignored
-        const mappedColumns = Object.values(providedFieldMap);
-        const unmappedColumns = headerKeys.filter(header => !mappedColumns.includes(header));
-        if (unmappedColumns.length > 0) {
-          console.log('Unmapped columns (will be ignored):', unmappedColumns);
+      const fields = [...new Set(found.flatMap(m => m.fields))];
+      const action = rowActions.get(rowNumber) || duplicatePolicy;
+      if (action === 'skip') {
+        const existing = found[0].vehicle;
+        const message = `Already on file (${fields.join(', ')}) from ${existing.bankName || 'an earlier upload'}${existing.fileName ? ` - ${existing.fileName}` : ''}`;
+        processedCount--;
+        failedCount++;
+        rejectedCount++;
+        duplicates.skipped++;
+        if (allErrors.length < 100) allErrors.push(`Row ${rowNumber}: ${message}`);
+        pendingIssues.push({ uploadId, vehicleType, fileName, rowNumber, reasons: [{ code: 'DUPLICATE_EXISTING', field: fields[0], message }], row });
+      } else if (action === 'replace') {
+        // The newest matching record takes the new data; if it has just been removed, insert instead
+        if (await vehicleRepository.replaceVehicleFromUpload(conn, found[0], doc)) {
+          duplicates.replaced++;
+        } else {
+          insertBatch.push(doc);
         }
       } else {
-        console.log('No explicit mapping provided, using automatic field detection');
+        // Keep both and point each record at the other so agents see the clash
+        const _id = new mongoose.Types.ObjectId();
+        insertBatch.push({
+          ...doc,
+          _id,
+          conflict: { flagged: true, fields, vehicleIds: found.map(m => m.vehicle._id), detectedAt: new Date() }
+        });
+        conflictLinks.push(...found.map(m => ({ vehicleId: m.vehicle._id, vehicleType: m.vehicleType, otherId: _id, fields })));
+        duplicates.flagged++;
       }
-    } catch (error) {
-      console.error('Error parsing field mapping:', error);
     }
+    if (insertBatch.length === 0) return;
 
-    // Process rows in batches to prevent memory overflow
-    const BATCH_SIZE = 1000; // Process 1000 rows at a time
-    const INSERT_BATCH_SIZE = 500; // Insert 500 records at a time
-    const allErrors = [];
-    const allWarnings = [];
-    let processedCount = 0;
-    let failedCount = 0;
-    let totalInserted = 0;
+    try {
+      const { inserted, failed } = await vehicleRepository.insertVehicles(conn, vehicleType, insertBatch);
+      totalInserted += inserted;
+      failedCount += failed;
+      if (failed > 0) {
+        console.error(`Partial batch insert: ${inserted}/${insertBatch.length} inserted`);
+      }
+    } catch (insertError) {
+      // If all failed, count them
+      failedCount += insertBatch.length;
+      console.error(`Batch insert failed:`, insertError.message);
+    }
 
-    const mainCollection = conn.collection(collectionName);
-    
-    // Create indexes for better performance (only once)
+    if (conflictLinks.length > 0) {
+      try {
+        await vehicleRepository.flagVehicleConflicts(conn, conflictLinks);
+      } catch (error) {
+        console.error('Error flagging conflicting vehicles:', error.message);
+      }
+    }
+  };
+
+  const flushIssues = async () => {
+    if (pendingIssues.length === 0) return;
+    const issues = pendingIssues;
+    pendingIssues = [];
+    // A review pass reads the file again on commit, which records its rejected rows
+    if (reviewConflicts) return;
     try {
-      await mainCollection.createIndex({ registrationNumber: 1 });
-      await mainCollection.createIndex({ customerName: 1 });
-      await mainCollection.createIndex({ bankName: 1 });
-    } catch (indexError) {
-      // Indexes might already exist, ignore error
-      console.log('Index creation note:', indexError.message);
+      await UploadRowIssue.insertMany(issues, { ordered: false });
+    } catch (error) {
+      console.error('Error saving rejected rows:', error.message);
     }
+  };
 
-    // Process rows in batches
-    const totalRows = rows.length;
-    console.log(`📊 Processing ${totalRows} rows in batches of ${BATCH_SIZE}...`);
-    
-    // Update progress: File parsed
-    uploadProgressStore.set(uploadId, {
-      progress: 10,
-      message: `File parsed. Processing ${totalRows} rows...`,
-      totalRows: totalRows,
-      processedRows: 0,
-      inserted: 0,
-      failed: 0,
-      timestamp: Date.now()
+  const reportProgress = async () => {
+    // 10% for opening, 85% for rows (by share of the file read)
+    const overallProgress = Math.min(10 + Math.round(sheet.progress() * 85), 95);
+    await ctx.progress(overallProgress, `Processing rows: ${totalRows.toLocaleString()} read`, {
+      totalRows,
+      processedRows: totalRows,
+      inserted: totalInserted,
+      failed: failedCount
     });
+  };
 
-    for (let batchStart = 0; batchStart < totalRows; batchStart += BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, totalRows);
-      const batch = rows.slice(batchStart, batchEnd);
-      
-      // Process this batch
-      const batchProcessedData = [];
-      
-      for (let i = 0; i < batch.length; i++) {
-        const rowIndex = batchStart + i;
-        const row = batch[i];
-        
-        // Skip invalid rows
-        if (!row || typeof row !== 'object' || Array.isArray(row)) {
-          failedCount++;
-          if (allErrors.length < 100) {
-            allErrors.push(`Row ${rowIndex + 1}: Invalid row format`);
-          }
-          continue;
+  await ctx.progress(10, 'Processing rows...', { totalRows: 0, processedRows: 0, inserted: 0, failed: 0 });
+
+  try {
+    for await (const { rowNumber, values } of sheet.rows) {
+      // First non-empty row holds the column headers
+      if (!headerKeys) {
+        if (values.length > MAX_COLUMNS) {
+          throw permanentJobError(
+            `File has too many columns (${values.length}). Maximum allowed: ${MAX_COLUMNS} columns. Please reduce the number of columns.`,
+            'TOO_MANY_COLUMNS'
+          );
         }
-        
-        // Skip rows with too many properties (might be corrupted)
-        const rowKeys = Object.keys(row);
-        if (rowKeys.length > MAX_COLUMNS * 2) {
-          failedCount++;
-          if (allErrors.length < 100) {
-            allErrors.push(`Row ${rowIndex + 1}: Row has too many columns (${rowKeys.length}), skipping`);
+        headerKeys = toHeaderKeys(values);
+        headerMap = {};
+        for (const key of headerKeys) {
+          // Skip very long header names that might cause issues
+          if (key && key.length < 500) {
+            headerMap[normalizeString(key)] = key;
           }
-          continue;
         }
-        
-        try {
-          const extractedData = extractDataFromRow(row, headerMap, providedFieldMap);
-          const validation = validateData(extractedData, FIELD_MAPPING);
-
-          if (validation.errors.length > 0) {
-            failedCount++;
-            // Limit error messages to prevent memory issues
-            if (allErrors.length < 100) {
-              allErrors.push(`Row ${rowIndex + 1}: ${validation.errors.join(', ')}`);
-            }
+        if (Object.keys(headerMap).length === 0) {
+          throw permanentJobError('No valid column headers found in file.', 'NO_HEADERS');
+        }
+        const mappedColumns = Object.values(providedFieldMap);
+        const unmappedColumns = headerKeys.filter(header => !mappedColumns.includes(header));
+        if (mappedColumns.length > 0 && unmappedColumns.length > 0) {
+          console.log('Unmapped columns (will be ignored):', unmappedColumns);
+        }
+        continue;
+      }
+
+      totalRows++;
+      if (totalRows > MAX_ROWS) {
+        throw permanentJobError(
+          `File has too many rows (more than ${MAX_ROWS.toLocaleString()}). Please split the file.`,
+          'TOO_MANY_ROWS'
+        );
+      }
+
+      const row = toRowObject(headerKeys, values);
+      let reasons;
+      try {
+        const extractedData = extractDataFromRow(row, headerMap, providedFieldMap);
+        const validation = validateData(extractedData, FIELD_MAPPING);
+        reasons = validation.reasons;
+
+        // Repeats of a plate (or chassis, when there is no plate) within this file
+        const identifier = reasons.length === 0 ? rowIdentifier(extractedData) : null;
+        if (identifier) {
+          const key = `${identifier.field}:${identifier.value}`;
+          const firstRow = seenIdentifiers.get(key);
+          if (firstRow) {
+            reasons.push({
+              code: 'DUPLICATE_IN_FILE',
+              field: identifier.field,
+              message: `Duplicate ${identifier.label} number '${identifier.value}' (first seen on row ${firstRow})`
+            });
           } else {
-            processedCount++;
-            batchProcessedData.push({
+            seenIdentifiers.set(key, rowNumber);
+          }
+        }
+
+        if (reasons.length === 0) {
+          processedCount++;
+          pendingVehicles.push({
+            rowNumber,
+            row,
+            doc: {
               ...extractedData,
               bankName: bankName || '',
               bankId: bankId || '',
               vehicleType: vehicleType,
-              fileName: req.file.originalname,
+              fileName,
+              uploadId,
               uploadDate: new Date(),
-              uploadedBy: req.user.userId,
+              uploadedBy,
+              expiresAt,
               raw: row
-            });
-          }
+            }
+          });
+        }
 
-          // Limit warnings to prevent memory issues
-          if (allWarnings.length < 100) {
-            allWarnings.push(...validation.warnings.map(w => `Row ${rowIndex + 1}: ${w}`));
-          }
-        } catch (rowError) {
-          failedCount++;
-          console.error(`Error processing row ${rowIndex + 1}:`, rowError.message);
-          if (allErrors.length < 100) {
-            allErrors.push(`Row ${rowIndex + 1}: Processing error - ${rowError.message}`);
-          }
+        // Limit warnings to prevent memory issues
+        if (allWarnings.length < 100) {
+          allWarnings.push(...validation.warnings.map(w => `Row ${rowNumber}: ${w}`));
         }
+      } catch (rowError) {
+        console.error(`Error processing row ${rowNumber}:`, rowError.message);
+        reasons = [{ code: 'PROCESSING_ERROR', message: `Processing error - ${rowError.message}` }];
       }
 
-      // Insert this batch in smaller chunks
-      if (batchProcessedData.length > 0) {
-        for (let insertStart = 0; insertStart < batchProcessedData.length; insertStart += INSERT_BATCH_SIZE) {
-          const insertBatch = batchProcessedData.slice(insertStart, insertStart + INSERT_BATCH_SIZE);
-          
-          try {
-            const result = await mainCollection.insertMany(insertBatch, { ordered: false });
-            totalInserted += result.insertedCount || insertBatch.length;
-          } catch (insertError) {
-            // Handle partial insertions
-            if (insertError.writeErrors) {
-              const inserted = insertError.result?.insertedCount || 0;
-              totalInserted += inserted;
-              failedCount += (insertBatch.length - inserted);
-              console.error(`Partial batch insert: ${inserted}/${insertBatch.length} inserted`);
-            } else {
-              // If all failed, count them
-              failedCount += insertBatch.length;
-              console.error(`Batch insert failed:`, insertError.message);
-            }
-          }
+      if (reasons.length > 0) {
+        failedCount++;
+        rejectedCount++;
+        // Limit error messages to prevent memory issues
+        if (allErrors.length < 100) {
+          allErrors.push(`Row ${rowNumber}: ${reasons.map(r => r.message).join(', ')}`);
         }
+        pendingIssues.push({ uploadId, vehicleType, fileName, rowNumber, reasons, row });
       }
 
-      // Log progress
-      const progressPercent = ((batchEnd / totalRows) * 100).toFixed(1);
-      console.log(`✅ Processed ${batchEnd}/${totalRows} rows (${progressPercent}%) - Inserted: ${totalInserted}, Failed: ${failedCount}`);
-      
-      // Update progress store (10% for parsing, 90% for processing)
-      const overallProgress = Math.min(10 + Math.round((batchEnd / totalRows) * 90), 95);
-      uploadProgressStore.set(uploadId, {
-        progress: overallProgress,
-        message: `Processing rows: ${batchEnd}/${totalRows} (${progressPercent}%)`,
-        totalRows: totalRows,
-        processedRows: batchEnd,
-        inserted: totalInserted,
-        failed: failedCount,
-        timestamp: Date.now()
-      });
+      if (pendingVehicles.length >= INSERT_BATCH_SIZE) await flushVehicles();
+      if (pendingIssues.length >= INSERT_BATCH_SIZE) await flushIssues();
 
-      // Allow event loop to breathe between batches
-      if (batchEnd < totalRows) {
+      if (totalRows % PROGRESS_EVERY === 0) {
+        ctx.throwIfCancelled();
+        console.log(`✅ Processed ${totalRows} rows - Inserted: ${totalInserted}, Failed: ${failedCount}`);
+        await reportProgress();
+        // Allow event loop to breathe between batches
         await new Promise(resolve => setImmediate(resolve));
       }
     }
-    
-    // Update progress: Processing complete, saving...
-    uploadProgressStore.set(uploadId, {
-      progress: 95,
-      message: 'Processing complete. Saving to database...',
-      totalRows: totalRows,
-      processedRows: totalRows,
-      inserted: totalInserted,
-      failed: failedCount,
-      timestamp: Date.now()
-    });
 
-    // Save upload record
-    const uploadRecord = new UploadModel({
-      bankName: bankName || '',
-      bankId: bankId || '',
-      vehicleType: vehicleType,
-      fileName: req.file.originalname,
-      uploadedBy: req.user.userId,
-      totalRecords: totalRows,
-      processedRecords: processedCount,
-      failedRecords: failedCount,
-      errors: allErrors.slice(0, 50), // Limit stored errors
-      warnings: allWarnings.slice(0, 50) // Limit stored warnings
-    });
+    await flushVehicles();
+    await flushIssues();
+
+    if (!headerKeys || totalRows === 0) {
+      throw permanentJobError('No data found in file', 'NO_DATA');
+    }
+  } catch (error) {
+    // Failed or cancelled part-way: take back what this upload inserted
+    const removed = await vehicleRepository.deleteVehiclesByUpload(conn, uploadId, { vehicleType });
+    await UploadRowIssue.deleteMany({ uploadId });
+    await UploadConflict.deleteMany({ uploadId });
+    console.log(`🛑 Upload ${uploadId} stopped (${error.code || error.message}), removed ${removed} inserted rows`);
+    // A damaged file fails the same way on every attempt
+    if (SPREADSHEET_ERROR_CODES.includes(error.code)) throw permanentJobError(error.message, error.code);
+    throw error;
+  }
+
+  console.log(`📊 Read ${totalRows} rows: ${processedCount} valid, ${rejectedCount} rejected`);
+
+  // Review pass: stop here; the upload is committed (or discarded) from the review screen
+  if (reviewConflicts) {
+    console.log(`🔍 Upload ${uploadId} awaiting review: ${conflictCount} row(s) match vehicles already on file`);
+    return {
+      awaitingReview: true,
+      uploadId,
+      policy: duplicatePolicy,
+      conflicts: conflictCount,
+      total: totalRows,
+      valid: processedCount,
+      rejected: rejectedCount,
+      errors: allErrors.slice(0, 10),
+      warnings: allWarnings.slice(0, 10)
+    };
+  }
+
+  // Update progress: Processing complete, saving...
+  await ctx.progress(95, 'Processing complete. Saving to database...', {
+    totalRows,
+    processedRows: totalRows,
+    inserted: totalInserted,
+    failed: failedCount
+  });
+
+  // Save upload record
+  const uploadRecord = new UploadModel({
+    bankName: bankName || '',
+    bankId: bankId || '',
+    vehicleType: vehicleType,
+    fileName,
+    uploadId,
+    uploadedBy,
+    totalRecords: totalRows,
+    processedRecords: processedCount,
+    failedRecords: failedCount,
+    rejectedRecords: rejectedCount,
+    headers: headerKeys,
+    errors: allErrors.slice(0, 50), // Limit stored errors
+    warnings: allWarnings.slice(0, 50), // Limit stored warnings
+    validityDays: validityDays || undefined,
+    expiresAt,
+    duplicatePolicy,
+    duplicates
+  });
+
+  await uploadRecord.save();
+  if (reviewOf) await UploadConflict.deleteMany({ uploadId: String(reviewOf) });
+  
+  console.log(`✅ Upload complete: ${totalInserted} inserted, ${duplicates.replaced} replaced, ${failedCount} failed out of ${totalRows} total`);
+
+  // Rebuild the offline snapshot for instant mobile download (queued as its own job)
+  try {
+    if (fileManagementRouter && typeof fileManagementRouter.buildTenantSnapshot === 'function') {
+      fileManagementRouter.buildTenantSnapshot(tenant.name, { tenant }).catch(() => {});
+    }
+  } catch (_) {}
 
-    await uploadRecord.save();
+  // Prepare summary information about mapping
+  let mappingSummary = '';
+  if (providedFieldMap && Object.keys(providedFieldMap).length > 0) {
+    const mappedFields = Object.keys(providedFieldMap);
+    const mappedColumns = Object.values(providedFieldMap);
+    const unmappedColumns = headerKeys.filter(header => !mappedColumns.includes(header));
     
-    // Update progress: Complete
-    uploadProgressStore.set(uploadId, {
-      progress: 100,
-      message: 'Upload completed successfully!',
-      totalRows: totalRows,
-      processedRows: totalRows,
-      inserted: totalInserted,
-      failed: failedCount,
-      timestamp: Date.now()
-    });
+    mappingSummary = `Processed ${mappedFields.length} mapped fields. `;
+    if (unmappedColumns.length > 0) {
+      mappingSummary += `${unmappedColumns.length} columns were ignored (not mapped).`;
+    }
+  } else {
+    mappingSummary = 'Used automatic field detection for all columns.';
+  }
+
+  // Tell every device in the tenant (only when records were inserted or updated)
+  if (totalInserted + duplicates.replaced > 0) {
+    queueNotificationToTenant(tenant._id, createFileUploadNotification(fileName, vehicleType, totalInserted + duplicates.replaced))
+      .catch(err => console.error('❌ Error queueing push notification:', err.message));
+  }
+
+  return {
+    inserted: totalInserted,
+    failed: failedCount,
+    rejected: rejectedCount,
+    total: totalRows,
+    uploadId,
+    duplicatePolicy,
+    duplicates,
+    database: conn.name,
+    collection: collectionName,
+    mappingSummary: mappingSummary,
+    processedFields: Object.keys(providedFieldMap).length > 0 ? Object.keys(providedFieldMap) : Object.keys(FIELD_MAPPING),
+    errors: allErrors.slice(0, 10), // Return first 10 errors
+    warnings: allWarnings.slice(0, 10) // Return first 10 warnings
+  };
+};
+
+// Remove ingested files that are no longer needed. Files of failed uploads stay for a
+// manual retry until they are a week old; files awaiting conflict review stay for the commit
+// as long as their conflicts do.
+const cleanupIngestFile = async (job) => {
+  try {
+    const awaitingReview = job.status === 'completed' && job.result?.awaitingReview;
+    if (job.status !== 'failed' && !awaitingReview && job.payload?.filePath) {
+      await fs.promises.unlink(job.payload.filePath).catch(() => {});
+    }
+    if (job.payload?.password && !awaitingReview) {
+      await Job.updateOne({ _id: job._id }, { $unset: { 'payload.password': '' } });
+    }
+    const inReview = await Job.find(
+      { type: 'file_ingestion', status: 'completed', 'result.awaitingReview': true },
+      { 'payload.filePath': 1 }
+    ).lean();
+    const reviewFiles = new Set(inReview.map(j => j.payload?.filePath && path.resolve(j.payload.filePath)).filter(Boolean));
+    for (const name of await fs.promises.readdir(INGEST_DIR).catch(() => [])) {
+      const file = path.join(INGEST_DIR, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      const maxAge = reviewFiles.has(path.resolve(file)) ? REVIEW_FILE_MAX_AGE_MS : INGEST_FILE_MAX_AGE_MS;
+      if (stat && stat.mtimeMs < Date.now() - maxAge) await fs.promises.unlink(file).catch(() => {});
+    }
+  } catch (error) {
+    console.error('Ingest file cleanup error:', error.message);
+  }
+};
+
+registerJobHandler('file_ingestion', runFileIngestion, {
+  label: 'File upload',
+  maxAttempts: 3,
+  // Legacy .xls and protected files are still read whole; one at a time per process
+  concurrency: 1,
+  onFinished: cleanupIngestFile
+});
+
+// Upload a file; it is processed in the background by the job worker.
+// Poll /upload-progress/:uploadId with the returned uploadId for progress and the result.
+router.post('/upload', ingestUpload.single('file'), async (req, res) => {
+  try {
+    const { vehicleType, bankId, bankName } = req.body;
     
-    console.log(`✅ Upload complete: ${totalInserted} inserted, ${failedCount} failed out of ${totalRows} total`);
+    if (!vehicleType || !req.file) {
+      if (req.file?.path) fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Vehicle type and file are required' 
+      });
+    }
 
-    // Attempt to (asynchronously) rebuild the offline snapshot for instant mobile download
-    try {
-      const tenantName = tenant.name;
-      if (fileManagementRouter && typeof fileManagementRouter.buildTenantSnapshot === 'function') {
-        // Fire and forget
-        fileManagementRouter.buildTenantSnapshot(tenantName).catch(() => {});
-      }
-    } catch (_) {}
-
-    // Prepare summary information about mapping
-    let mappingSummary = '';
-    if (providedFieldMap && Object.keys(providedFieldMap).length > 0) {
-      const mappedFields = Object.keys(providedFieldMap);
-      const mappedColumns = Object.values(providedFieldMap);
-      const unmappedColumns = headerKeys.filter(header => !mappedColumns.includes(header));
-      
-      mappingSummary = `Processed ${mappedFields.length} mapped fields. `;
-      if (unmappedColumns.length > 0) {
-        mappingSummary += `${unmappedColumns.length} columns were ignored (not mapped).`;
-      }
-    } else {
-      mappingSummary = 'Used automatic field detection for all columns.';
+    const tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
     }
 
-    // Send push notification to all devices in the tenant (non-blocking)
-    // Only send if records were successfully inserted
-    if (totalInserted > 0) {
-      try {
-        const fileName = req.file.originalname || 'data file';
-        const notification = createFileUploadNotification(
-          fileName,
-          vehicleType,
-          totalInserted
-        );
-        
-        // Send notification asynchronously (don't block response)
-        sendNotificationToTenant(req.user.tenantId, notification)
-          .then(result => {
-            if (result.success) {
-              console.log(`✅ Push notification sent to ${result.deviceCount} devices`);
-            } else {
-              console.log(`⚠️ Push notification failed: ${result.message}`);
-            }
-          })
-          .catch(err => {
-            console.error('❌ Error sending push notification:', err.message);
-          });
-      } catch (notifError) {
-        // Don't fail the upload if notification fails
-        console.error('❌ Error preparing push notification:', notifError.message);
+    const duplicatePolicy = parseDuplicatePolicy(req.body?.duplicatePolicy);
+    if (duplicatePolicy === undefined) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ success: false, message: 'Duplicate policy must be skip, replace or flag' });
+    }
+
+    // Optional: mapping provided by client
+    let mapping = {};
+    try {
+      if (req.body && req.body.mapping) {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
       }
+    } catch (error) {
+      console.error('Error parsing field mapping:', error);
     }
 
-    res.json({
+    const job = await enqueueJob('file_ingestion', {
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      vehicleType,
+      bankId: bankId || '',
+      bankName: bankName || '',
+      mapping,
+      // Kept encrypted: a retry or the commit after review opens the file again
+      password: sealJobSecret(req.body?.password),
+      uploadedBy: req.user._id || req.user.userId,
+      tenantId: tenant._id,
+      conflictPolicy: duplicatePolicy || undefined,
+      // With review on, the file is only checked for conflicts until it is committed
+      reviewConflicts: req.body?.reviewConflicts === true || req.body?.reviewConflicts === 'true'
+    }, {
+      tenant,
+      createdBy: jobCreatorFromUser(req.user),
+      label: req.file.originalname
+    });
+
+    console.log(`📥 Upload queued: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)} MB) as job ${job._id}`);
+
+    // Send upload ID in response headers for progress tracking
+    res.setHeader('X-Upload-Id', String(job._id));
+    res.status(202).json({
       success: true,
-      message: 'File uploaded successfully',
-      inserted: totalInserted,
-      failed: failedCount,
-      total: totalRows,
-      database: conn.name,
-      collection: collectionName,
-      mappingSummary: mappingSummary,
-      processedFields: providedFieldMap ? Object.keys(providedFieldMap) : Object.keys(FIELD_MAPPING),
-      errors: allErrors.slice(0, 10), // Return first 10 errors
-      warnings: allWarnings.slice(0, 10), // Return first 10 warnings
-      uploadId: uploadId // Return upload ID for progress tracking
+      message: 'File received. Processing in the background.',
+      status: job.status,
+      jobId: job._id,
+      uploadId: job._id
     });
 
   } catch (error) {
-    // Update progress: Error
-    uploadProgressStore.set(uploadId, {
-      progress: 0,
-      message: `Error: ${error.message}`,
-      totalRows: 0,
-      processedRows: 0,
-      inserted: 0,
-      failed: 0,
-      timestamp: Date.now()
-    });
-    
+    if (req.file?.path) fs.promises.unlink(req.file.path).catch(() => {});
     console.error('Upload error:', error);
     
     // Handle specific error types
@@ -1177,14 +1304,6 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       });
     }
     
-    if (error.name === 'TimeoutError') {
-      return res.status(408).json({ 
-        success: false, 
-        message: 'Upload timeout. Please try again with a smaller file or check your connection.',
-        error: 'UPLOAD_TIMEOUT'
-      });
-    }
-    
     res.status(500).json({ 
       success: false, 
       message: 'Upload failed',
@@ -1228,4 +1347,212 @@ router.get('/history', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Download the rows an upload rejected, with the original columns plus the reason,
+// so the bank can fix them and re-upload only the failures
+router.get('/uploads/:uploadId/errors.xlsx', async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    const conn = await getTenantDB(tenant.name);
+    const uploadId = String(req.params.uploadId);
+    const UploadRowIssue = getUploadRowIssueModel(conn);
+    const firstIssue = await UploadRowIssue.findOne({ uploadId }).sort({ rowNumber: 1 }).lean();
+    if (!firstIssue) {
+      return res.status(404).json({ success: false, message: 'No rejected rows found for this upload' });
+    }
+
+    // Column order of the original file comes from the upload record
+    const collections = await conn.db.listCollections({ name: { $regex: /_uploads$/ } }).toArray();
+    let uploadRecord = null;
+    for (const collection of collections) {
+      uploadRecord = await conn.db.collection(collection.name).findOne({ uploadId }, { projection: { headers: 1, fileName: 1 } });
+      if (uploadRecord) break;
+    }
+    const headers = uploadRecord?.headers?.length ? uploadRecord.headers : Object.keys(firstIssue.row || {});
+
+    const baseName = path.parse(uploadRecord?.fileName || firstIssue.fileName || 'upload').name.replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}_errors.xlsx"`);
+
+    async function* errorRows() {
+      const cursor = UploadRowIssue.find({ uploadId }).sort({ rowNumber: 1 }).lean().cursor();
+      for await (const issue of cursor) {
+        yield [
+          ...headers.map(h => issue.row?.[h] ?? ''),
+          (issue.reasons || []).map(r => r.message).join('; '),
+          issue.rowNumber
+        ];
+      }
+    }
+
+    await writeXlsxRows(res, {
+      sheetName: 'Rejected Rows',
+      headers: [...headers, 'Rejection Reason', 'Source Row'],
+      rows: errorRows()
+    });
+  } catch (error) {
+    console.error('Error report download error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Failed to build error report' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+// Ingestion job that checked a file for conflicts and is waiting for the reviewer
+const findReviewJob = (req) => (mongoose.isValidObjectId(req.params.uploadId)
+  ? Job.findOne({
+    _id: req.params.uploadId,
+    type: 'file_ingestion',
+    tenantId: req.user.tenantId,
+    status: 'completed',
+    'result.awaitingReview': true
+  }).lean()
+  : null);
+
+// Rows of an upload under review that match vehicles already on file
+router.get('/uploads/:uploadId/conflicts', async (req, res) => {
+  try {
+    const job = await findReviewJob(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'No upload awaiting review found' });
+    }
+
+    const conn = await getTenantDB(job.tenantName);
+    const UploadConflict = getUploadConflictModel(conn);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const filter = { uploadId: String(job._id) };
+
+    const [conflicts, total] = await Promise.all([
+      UploadConflict.find(filter).sort({ rowNumber: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      UploadConflict.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: conflicts,
+      policy: job.result.policy,
+      summary: job.result,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Conflict list error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load conflicts' });
+  }
+});
+
+// Choose what happens to conflicting rows: the listed ones, or all of them when no ids
+// are given. An empty action falls back to the upload's policy.
+router.patch('/uploads/:uploadId/conflicts', async (req, res) => {
+  try {
+    const { conflictIds } = req.body || {};
+    const action = parseDuplicatePolicy(req.body?.action);
+    if (action === undefined) {
+      return res.status(400).json({ success: false, message: 'Action must be skip, replace or flag' });
+    }
+
+    const job = await findReviewJob(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'No upload awaiting review found' });
+    }
+
+    const filter = { uploadId: String(job._id) };
+    if (Array.isArray(conflictIds)) {
+      filter._id = { $in: conflictIds.filter(id => mongoose.isValidObjectId(id)) };
+    }
+    const conn = await getTenantDB(job.tenantName);
+    const result = await getUploadConflictModel(conn).updateMany(filter, { $set: { action } });
+
+    res.json({ success: true, updated: result.modifiedCount || 0 });
+  } catch (error) {
+    console.error('Conflict update error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update conflicts' });
+  }
+});
+
+// Insert a reviewed upload. The file is read again with the chosen policy and the
+// per-row decisions; poll /upload-progress with the returned uploadId.
+router.post('/uploads/:uploadId/commit', async (req, res) => {
+  try {
+    const policy = parseDuplicatePolicy(req.body?.policy);
+    if (policy === undefined) {
+      return res.status(400).json({ success: false, message: 'Duplicate policy must be skip, replace or flag' });
+    }
+
+    // Claim the review first so a double click cannot insert the file twice
+    const job = await findReviewJob(req);
+    const claimed = job && await Job.findOneAndUpdate(
+      { _id: job._id, 'result.awaitingReview': true },
+      { $set: { 'result.awaitingReview': false, 'result.review': 'committed' } },
+      { new: true }
+    ).lean();
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: 'This upload is no longer awaiting review' });
+    }
+
+    let commitJob;
+    try {
+      const tenant = await Tenant.findById(job.tenantId);
+      commitJob = await enqueueJob('file_ingestion', {
+        ...job.payload,
+        conflictPolicy: policy || job.result.policy,
+        reviewConflicts: false,
+        reviewOf: String(job._id)
+      }, {
+        tenant,
+        createdBy: jobCreatorFromUser(req.user),
+        label: job.label
+      });
+    } catch (error) {
+      await Job.updateOne({ _id: job._id }, { $set: { 'result.awaitingReview': true }, $unset: { 'result.review': '' } });
+      throw error;
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { 'result.committedAs': commitJob._id }, $unset: { 'payload.password': '' } }
+    );
+    console.log(`✅ Upload ${job._id} reviewed, committing as job ${commitJob._id}`);
+
+    res.setHeader('X-Upload-Id', String(commitJob._id));
+    res.status(202).json({
+      success: true,
+      message: 'Upload committed. Processing in the background.',
+      jobId: commitJob._id,
+      uploadId: commitJob._id
+    });
+  } catch (error) {
+    console.error('Upload commit error:', error);
+    res.status(500).json({ success: false, message: 'Failed to commit upload' });
+  }
+});
+
+// Drop an upload under review without inserting anything
+router.post('/uploads/:uploadId/discard', async (req, res) => {
+  try {
+    const job = await findReviewJob(req);
+    const claimed = job && await Job.findOneAndUpdate(
+      { _id: job._id, 'result.awaitingReview': true },
+      { $set: { 'result.awaitingReview': false, 'result.review': 'discarded' }, $unset: { 'payload.password': '' } },
+      { new: true }
+    ).lean();
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: 'This upload is no longer awaiting review' });
+    }
+
+    const conn = await getTenantDB(job.tenantName);
+    await getUploadConflictModel(conn).deleteMany({ uploadId: String(job._id) });
+    if (job.payload?.filePath) await fs.promises.unlink(job.payload.filePath).catch(() => {});
+
+    res.json({ success: true, message: 'Upload discarded' });
+  } catch (error) {
+    console.error('Upload discard error:', error);
+    res.status(500).json({ success: false, message: 'Failed to discard upload' });
+  }
+});
+
+module.exports = router;
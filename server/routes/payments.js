@@ -1,20 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
-const { requireSuperAdmin, requireAdmin } = require('../middleware/auth');
-const { submitPayment, listPayments, approvePayment, rejectPayment, getMyPayments } = require('../controllers/paymentController');
+const { authenticateUnifiedToken, requirePermission } = require('../middleware/unifiedAuth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { submitPayment, listPayments, approvePayment, rejectPayment, getMyPayments, downloadInvoice } = require('../controllers/paymentController');
+const { createGatewayOrder, getGatewayOrder, renderCheckout, gatewayWebhook, completeMockPayment } = require('../controllers/paymentGatewayController');
 
 // Anyone logged-in (mobile/admin) can submit for their tenant
 router.post('/submit', authenticateUnifiedToken, submitPayment);
 
-// Admin views pending payments; allow admin or super_admin via standard auth middleware if needed
-router.get('/', authenticateUnifiedToken, listPayments);
+// Admins and staff allowed to approve payments view pending payments (own tenant unless super admin)
+router.get('/', authenticateUnifiedToken, requirePermission(PERMISSIONS.APPROVE_PAYMENTS), listPayments);
+
+// Online payments (see utils/paymentGateway): the app creates an order, the agent pays on the
+// hosted checkout page and the gateway's signed webhook activates the subscription
+router.post('/gateway/orders', authenticateUnifiedToken, createGatewayOrder);
+router.get('/gateway/orders/:id', authenticateUnifiedToken, getGatewayOrder);
+router.get('/gateway/checkout/:id', renderCheckout);
+router.post('/gateway/webhook/:gateway', gatewayWebhook);
+router.post('/gateway/mock/:orderId/:outcome', completeMockPayment);
 
 // Mobile users fetch their own payment history
 router.get('/my-payments', authenticateUnifiedToken, getMyPayments);
 
-// Approve / Reject by admin users only (admin or super_admin role required).
-router.post('/:id/approve', authenticateUnifiedToken, requireAdmin, approvePayment);
-router.post('/:id/reject', authenticateUnifiedToken, requireAdmin, rejectPayment);
+// Invoice PDF of an approved payment (payer, or admins and staff who approve payments)
+router.get('/:id/invoice', authenticateUnifiedToken, downloadInvoice);
+
+// Approve / Reject by admins and staff holding the approve payments permission
+router.post('/:id/approve', authenticateUnifiedToken, requirePermission(PERMISSIONS.APPROVE_PAYMENTS), approvePayment);
+router.post('/:id/reject', authenticateUnifiedToken, requirePermission(PERMISSIONS.APPROVE_PAYMENTS), rejectPayment);
 
 module.exports = router;
\ No newline at end of file
@@ -45,6 +45,7 @@ router.post('/register-device', authenticateUnifiedToken, async (req, res) => {
       // Update existing token
       deviceToken.userId = userId;
       deviceToken.tenantId = tenantId;
+      deviceToken.userType = req.user.userType || '';
       deviceToken.platform = platform;
       deviceToken.deviceId = deviceId || deviceToken.deviceId;
       deviceToken.deviceName = deviceName || deviceToken.deviceName;
@@ -60,6 +61,7 @@ router.post('/register-device', authenticateUnifiedToken, async (req, res) => {
         token,
         userId,
         tenantId,
+        userType: req.user.userType || '',
         platform,
         deviceId: deviceId || '',
         deviceName: deviceName || '',
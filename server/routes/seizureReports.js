@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
+const { seizurePhotoUpload, compressImage, tenantFileUrl } = require('./uploads');
+const getSeizureReportModel = require('../models/SeizureReport');
+const { CONDITION_STATUSES } = require('../models/SeizureReport');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const { normalizeStatus } = require('../utils/vehicleLifecycle');
+const { isVehicleInAgentScope } = require('../utils/agentScope');
+const { actorNameFor } = require('../utils/matchAlerts');
+
+const MAX_PHOTOS = 12;
+
+router.use(authenticateUnifiedToken);
+
+const resolveTenant = async (user) => {
+  let tenant = null;
+  if (user?.tenantId) tenant = await Tenant.findById(user.tenantId);
+  if (!tenant && user?.tenantName) tenant = await Tenant.findOne({ name: user.tenantName });
+  return tenant;
+};
+
+// Multipart bodies carry nested objects as JSON strings. Returns the fallback when the field
+// is absent, and null when it is not JSON of the expected shape ('object' or 'array').
+const parseJsonField = (value, fallback, shape) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (_) {
+      return null;
+    }
+  }
+  const matches = shape === 'array'
+    ? Array.isArray(parsed)
+    : parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+  return matches ? parsed : null;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+const removeUploadedFiles = (files) => {
+  for (const file of files || []) {
+    try { fs.unlinkSync(file.path); } catch (_) {}
+  }
+};
+
+// Turn multer errors (size, count, type) into 400 responses
+const receivePhotos = (req, res, next) => {
+  seizurePhotoUpload.array('photos', MAX_PHOTOS)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message || 'Invalid photo upload' });
+    }
+    next();
+  });
+};
+
+// File a seizure report for a vehicle (multipart: photos[] + fields)
+router.post('/vehicle/:vehicleId', receivePhotos, async (req, res) => {
+  const files = req.files || [];
+  try {
+    const tenant = await resolveTenant(req.user);
+    if (!tenant) {
+      removeUploadedFiles(files);
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: 'At least one photo is required' });
+    }
+
+    const conn = await getTenantDB(tenant.name);
+    const found = await vehicleRepository.findVehicleById(conn, req.params.vehicleId, { vehicleType: req.body.vehicleType });
+    if (!found || !(await isVehicleInAgentScope(conn, tenant, req.user, found.vehicle._id))) {
+      removeUploadedFiles(files);
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+
+    const shapes = { location: 'object', condition: 'array', inventory: 'array', yardHandover: 'object' };
+    const fields = {};
+    for (const [name, shape] of Object.entries(shapes)) {
+      fields[name] = parseJsonField(req.body[name], shape === 'array' ? [] : {}, shape);
+      if (fields[name] === null) {
+        removeUploadedFiles(files);
+        return res.status(400).json({ success: false, message: `${name} must be a JSON ${shape === 'array' ? 'list' : 'object'}` });
+      }
+    }
+
+    const { location } = fields;
+    const latitude = toNumber(location.latitude);
+    const longitude = toNumber(location.longitude);
+    if (latitude === undefined || longitude === undefined || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ success: false, message: 'A valid GPS location is required' });
+    }
+
+    const odometerReading = toNumber(req.body.odometerReading);
+    if (odometerReading !== undefined && odometerReading < 0) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ success: false, message: 'Odometer reading cannot be negative' });
+    }
+
+    const condition = fields.condition
+      .filter(c => c && String(c.item || '').trim())
+      .map(c => ({
+        item: String(c.item).trim(),
+        status: CONDITION_STATUSES.includes(c.status) ? c.status : 'ok',
+        remark: c.remark ? String(c.remark) : ''
+      }));
+
+    const inventory = fields.inventory
+      .filter(i => i && String(i.item || '').trim())
+      .map(i => ({
+        item: String(i.item).trim(),
+        quantity: Math.max(0, toNumber(i.quantity) ?? 1),
+        remark: i.remark ? String(i.remark) : ''
+      }));
+
+    const handover = fields.yardHandover;
+
+    for (const file of files) {
+      await compressImage(file.path, 'Seizure photo');
+    }
+
+    const SeizureReport = getSeizureReportModel(conn);
+    const report = await SeizureReport.create({
+      vehicleId: found.vehicle._id,
+      vehicleType: found.vehicleType,
+      registrationNumber: found.vehicle.registrationNumber || '',
+      chassisNumber: found.vehicle.chassisNumber || '',
+      bankName: found.vehicle.bankName || '',
+      vehicleStatus: normalizeStatus(found.vehicle.status) || 'Pending',
+      photos: files.map(file => ({
+        url: tenantFileUrl('seizure_photos', file),
+        filename: file.filename,
+        size: fs.existsSync(file.path) ? fs.statSync(file.path).size : file.size
+      })),
+      location: {
+        latitude,
+        longitude,
+        accuracy: toNumber(location.accuracy),
+        capturedAt: location.capturedAt ? new Date(location.capturedAt) : new Date()
+      },
+      odometerReading,
+      condition,
+      inventory,
+      yardHandover: {
+        yardName: handover.yardName || '',
+        yardLocation: handover.yardLocation || '',
+        receivedBy: handover.receivedBy || '',
+        receivedByPhone: handover.receivedByPhone || '',
+        handoverAt: handover.handoverAt ? new Date(handover.handoverAt) : undefined
+      },
+      notes: req.body.notes || '',
+      reportedBy: {
+        actorId: String(req.user.userId || req.user.agentId || req.user.staffId || ''),
+        actorType: req.user.userType,
+        name: await actorNameFor(conn, req.user)
+      }
+    });
+
+    console.log(`📸 Seizure report filed for ${found.vehicle.registrationNumber || found.vehicle._id} with ${files.length} photo(s)`);
+    return res.status(201).json({ success: true, message: 'Seizure report submitted', data: report });
+  } catch (error) {
+    removeUploadedFiles(files);
+    console.error('Seizure report create error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ success: false, message: 'Failed to submit seizure report' });
+  }
+});
+
+// Reports filed for a vehicle, newest first
+router.get('/vehicle/:vehicleId', async (req, res) => {
+  try {
+    const tenant = await resolveTenant(req.user);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    const conn = await getTenantDB(tenant.name);
+    const SeizureReport = getSeizureReportModel(conn);
+    const filter = { vehicleId: req.params.vehicleId };
+    // Agents only see the reports they filed themselves
+    if (req.user.userType === 'repo_agent') {
+      filter['reportedBy.actorId'] = String(req.user.userId || req.user.agentId || '');
+    }
+    const reports = await SeizureReport.find(filter).sort({ createdAt: -1 }).lean();
+    return res.json({ success: true, data: reports });
+  } catch (error) {
+    console.error('Seizure report list error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid vehicle id' });
+    }
+    return res.status(500).json({ success: false, message: 'Failed to get seizure reports' });
+  }
+});
+
+module.exports = router;
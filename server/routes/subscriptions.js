@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const UserSubscription = require('../models/UserSubscription');
 const Payment = require('../models/Payment');
+const SubscriptionHistory = require('../models/SubscriptionHistory');
 const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
 const { authenticateToken } = require('../middleware/auth');
 const subscriptionController = require('../controllers/subscriptionController');
@@ -50,6 +51,11 @@ function logAdminAction(action, req, subscription, details = {}) {
   });
 }
 
+// subscription_history context for an admin's change (see the UserSubscription save hook)
+function adminHistory(req, extra = {}) {
+  return { source: 'admin', actor: req.user.email, ...extra };
+}
+
 // Tenant authorization helper
 function checkTenantAuthorization(req, targetTenantId) {
   if (req.user.role === 'super_admin') {
@@ -236,6 +242,7 @@ router.post('/admin/subscriptions', authenticateToken, requireAdmin, async (req,
     isTrial: req.body.isTrial,
     trialDays: req.body.trialDays,
     startDate: req.body.startDate ? new Date(req.body.startDate) : undefined,
+    ...adminHistory(req),
     paymentId: req.body.paymentId
   };
   const result = await subscriptionController.createSubscription(req.body.tenantId, req.body.mobileUserId, req.body.userType, req.body.planCode, req.body.billingCycle, options);
@@ -278,6 +285,7 @@ router.put('/admin/subscriptions/:id/extend', authenticateToken, requireAdmin, a
     }
     subscription.currentPeriodEnd = newEndDate;
     subscription.endDate = newEndDate;
+    subscription.$locals.history = adminHistory(req, { event: 'extended', reason: req.body.reason });
     await subscription.save();
     logAdminAction('SUBSCRIPTION_EXTENDED', req, subscription, { extensionDays: req.body.extensionDays, newEndDate: req.body.newEndDate, reason: req.body.reason, override: req.body.override });
     res.json({ success: true, data: subscription, message: 'Subscription extended successfully', newEndDate: subscription.currentPeriodEnd });
@@ -306,13 +314,14 @@ router.put('/admin/subscriptions/:id/suspend', authenticateToken, requireAdmin,
     if (!checkTenantAuthorization(req, subscription.tenantId)) {
       return res.status(403).json({ success: false, message: 'Access denied to this tenant' });
     }
-    let result = await subscriptionController.suspendSubscription(req.params.id, req.body.reason);
+    let result = await subscriptionController.suspendSubscription(req.params.id, req.body.reason, adminHistory(req));
     if (!result.success && req.body.override) {
       subscription.status = 'suspended';
       subscription.metadata = subscription.metadata || {};
       subscription.metadata.suspensionReason = req.body.reason;
       subscription.metadata.suspendedAt = new Date();
       subscription.autoRenew = false;
+      subscription.$locals.history = adminHistory(req, { event: 'suspended', reason: `${req.body.reason} (override)` });
       await subscription.save();
       result = { success: true, subscription, message: 'Subscription suspended (override)' };
     }
@@ -346,7 +355,8 @@ router.put('/admin/subscriptions/:id/cancel', authenticateToken, requireAdmin, a
     }
     const options = {
       immediate: req.body.immediate || false,
-      cancelAtPeriodEnd: req.body.cancelAtPeriodEnd !== false
+      cancelAtPeriodEnd: req.body.cancelAtPeriodEnd !== false,
+      ...adminHistory(req)
     };
     const result = await subscriptionController.cancelSubscription(req.params.id, req.body.reason, options);
     if (!result.success) {
@@ -389,6 +399,7 @@ router.put('/admin/subscriptions/:id/reactivate', authenticateToken, requireAdmi
     }
     const options = {
       startDate: req.body.startDate ? new Date(req.body.startDate) : undefined,
+      ...adminHistory(req),
       paymentId: req.body.paymentId
     };
     const result = await subscriptionController.reactivateSubscription(req.params.id, req.body.planCode, req.body.billingCycle, options);
@@ -451,6 +462,7 @@ router.post('/admin/subscriptions/bulk-extend', authenticateToken, requireAdmin,
       const newEndDate = new Date(subscription.currentPeriodEnd.getTime() + req.body.extensionDays * 24 * 60 * 60 * 1000);
       subscription.currentPeriodEnd = newEndDate;
       subscription.endDate = newEndDate;
+      subscription.$locals.history = adminHistory(req, { event: 'extended', reason: req.body.reason });
       await subscription.save();
       results.push({ id, success: true, newEndDate, previousEndDate });
       successful++;
@@ -502,13 +514,14 @@ router.post('/admin/subscriptions/bulk-suspend', authenticateToken, requireAdmin
         failed++;
         continue;
       }
-      let result = await subscriptionController.suspendSubscription(id, req.body.reason);
+      let result = await subscriptionController.suspendSubscription(id, req.body.reason, adminHistory(req));
       if (!result.success && req.body.override) {
         subscription.status = 'suspended';
         subscription.metadata = subscription.metadata || {};
         subscription.metadata.suspensionReason = req.body.reason;
         subscription.metadata.suspendedAt = new Date();
         subscription.autoRenew = false;
+        subscription.$locals.history = adminHistory(req, { event: 'suspended', reason: `${req.body.reason} (override)` });
         await subscription.save();
         result = { success: true, subscription };
       }
@@ -557,4 +570,25 @@ router.get('/admin/subscriptions/stats', authenticateToken, requireAdmin, async
   }
 });
 
+// Status changes, renewals, reminders and auto-renew attempts of one subscription, newest first
+router.get('/admin/subscriptions/:id/history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid subscription ID' });
+    }
+    const subscription = await UserSubscription.findById(req.params.id).select('tenantId').lean();
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+    if (!checkTenantAuthorization(req, subscription.tenantId)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this tenant' });
+    }
+    const history = await SubscriptionHistory.find({ subscriptionId: req.params.id }).sort({ createdAt: -1 }).limit(200).lean();
+    res.json({ success: true, data: history });
+  } catch (err) {
+    console.error('Subscription history error:', err);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
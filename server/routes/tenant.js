@@ -2,8 +2,24 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const Tenant = require('../models/Tenant');
-const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
+const { authenticateUnifiedToken, requirePermission } = require('../middleware/unifiedAuth');
 const { getRemainingTime } = require('../middleware/subscription');
+const { DEFAULT_MAX_DEVICES, MAX_DEVICES_LIMIT } = require('../utils/deviceSessions');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  PERMISSION_LABELS,
+  STAFF_ROLES,
+  resolveRoleTemplates,
+  parseRoleTemplates,
+  getUserPermissions
+} = require('../utils/permissions');
+const { AGENT_SCOPES, AGENT_SCOPE_LABELS, resolveAgentScopeMode } = require('../utils/agentScope');
+const { FIELD_ACTIONS, MASKABLE_FIELDS, POLICY_ROLE_LABELS, parseMaskingRules } = require('../utils/fieldMasking');
+const { VEHICLE_STATUSES } = require('../utils/vehicleLifecycle');
+const { MAX_ESCALATION_MINUTES, resolveEscalationMinutes } = require('../utils/matchAlerts');
+const { isValidGstin, stateCodeFor } = require('../utils/gstInvoice');
+const { getPaymentGatewayName } = require('../utils/paymentGateway');
 
 const {
   getAllTenants,
@@ -19,12 +35,13 @@ const {
 } = require('../controllers/tenantController');
 
 const { authenticateToken, requireSuperAdmin, requireAdmin } = require('../middleware/auth');
+const { AUDIT_ACTIONS, recordAudit, diffChanges } = require('../utils/auditLog');
 const { trackDataDownload, enforceDataDownloadLimit } = require('../middleware/usageTracking');
 
 // Public (tenant-auth) endpoints – must come BEFORE super-admin middleware
 
 // Field mapping configuration for mobile app (tenant-scoped)
-router.post('/field-mapping', authenticateUnifiedToken, async (req, res) => {
+router.post('/field-mapping', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_FIELD_VISIBILITY), async (req, res) => {
   try {
     const tenantId = req.user?.tenantId;
     if (!tenantId) return res.status(401).json({ success: false, message: 'Unauthorized' });
@@ -36,6 +53,13 @@ router.post('/field-mapping', authenticateUnifiedToken, async (req, res) => {
     }
 
     await Tenant.findByIdAndUpdate(tenantId, { fieldMapping }, { new: true });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.FIELD_MAPPING_UPDATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'tenant', id: tenant._id, label: tenant.name },
+      changes: diffChanges(tenant.fieldMapping, fieldMapping)
+    });
     res.json({ success: true, message: 'Field mapping configuration saved successfully' });
   } catch (error) {
     console.error('Error saving field mapping:', error);
@@ -82,6 +106,64 @@ router.get('/field-mapping', authenticateUnifiedToken, async (req, res) => {
   }
 });
 
+// Field masking rules with what the editor needs: fields, roles, statuses and the tenant's banks
+router.get('/field-masking', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_FIELD_VISIBILITY), async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user?.tenantId).select('name fieldMaskingRules').lean();
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    let banks = [];
+    try {
+      const { getTenantDB } = require('../config/database');
+      const { getVehicleModels } = require('../repositories/vehicleRepository');
+      const conn = await getTenantDB(tenant.name);
+      const lists = await Promise.all(getVehicleModels(conn).map(({ Model }) => Model.distinct('bankName')));
+      banks = [...new Set(lists.flat().map(b => String(b || '').trim()).filter(Boolean))].sort();
+    } catch (error) {
+      console.error('Error listing banks for field masking:', error);
+    }
+
+    res.json({
+      success: true,
+      rules: tenant.fieldMaskingRules || [],
+      fields: Object.fromEntries(Object.entries(MASKABLE_FIELDS).map(([key, f]) => [key, f.label])),
+      roles: POLICY_ROLE_LABELS,
+      statuses: VEHICLE_STATUSES,
+      actions: Object.values(FIELD_ACTIONS),
+      banks
+    });
+  } catch (error) {
+    console.error('Error getting field masking rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to get field masking rules' });
+  }
+});
+
+// Replace the field masking rules
+router.put('/field-masking', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_FIELD_VISIBILITY), async (req, res) => {
+  try {
+    const parsed = parseMaskingRules(req.body?.rules);
+    if (!parsed.ok) return res.status(400).json({ success: false, message: parsed.message });
+
+    const tenant = await Tenant.findById(req.user?.tenantId);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+
+    const before = (tenant.fieldMaskingRules || []).map(r => r.toObject ? r.toObject() : r);
+    tenant.fieldMaskingRules = parsed.rules;
+    await tenant.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.FIELD_MASKING_UPDATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'tenant', id: tenant._id, label: tenant.name },
+      changes: diffChanges({ rules: before }, { rules: parsed.rules })
+    });
+    res.json({ success: true, message: 'Field masking rules saved', rules: parsed.rules });
+  } catch (error) {
+    console.error('Error saving field masking rules:', error);
+    res.status(500).json({ success: false, message: 'Failed to save field masking rules' });
+  }
+});
+
 // Tenant profile endpoints
 router.get('/profile', authenticateUnifiedToken, async (req, res) => {
   try {
@@ -173,8 +255,20 @@ router.get('/settings', authenticateUnifiedToken, async (req, res) => {
     // Return settings with defaults
     const settings = {
       dataMultiplier: tenant.settings?.dataMultiplier || 1,
+      maxDevicesPerAgent: tenant.settings?.maxDevicesPerAgent || DEFAULT_MAX_DEVICES,
       paymentConfig: tenant.settings?.paymentConfig || { upiId: '', payeeName: '', qrCodeImageUrl: '', instructions: '' },
-      ...tenant.settings
+      ...tenant.settings,
+      rolePermissions: resolveRoleTemplates(tenant),
+      agentVehicleScope: resolveAgentScopeMode(tenant),
+      matchAlertEscalationMinutes: resolveEscalationMinutes(tenant),
+      // Online payment gateway configured on the server ('' when none); tenants opt in with paymentConfig.gatewayEnabled
+      paymentGateway: getPaymentGatewayName(),
+      agentVehicleScopeOptions: Object.values(AGENT_SCOPES).map(key => ({ key, label: AGENT_SCOPE_LABELS[key] })),
+      // What the role permissions editor offers
+      permissionCatalog: {
+        roles: STAFF_ROLES,
+        permissions: ALL_PERMISSIONS.map(key => ({ key, label: PERMISSION_LABELS[key] }))
+      }
     };
 
     console.log('📊 Returning settings for user type:', req.user?.userType, 'Settings:', settings);
@@ -202,7 +296,8 @@ router.put('/settings', authenticateUnifiedToken, async (req, res) => {
       return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
 
-    const { dataMultiplier, paymentConfig } = req.body;
+    const { dataMultiplier, maxDevicesPerAgent, paymentConfig, rolePermissions, agentVehicleScope, matchAlertEscalationMinutes } = req.body;
+    const isTenantAdmin = req.user.userType === 'main_user' && ['super_admin', 'admin'].includes(req.user.role);
     
     // Validate dataMultiplier
     if (dataMultiplier && ![1, 2, 3, 4, 5, 6].includes(dataMultiplier)) {
@@ -212,6 +307,62 @@ router.put('/settings', authenticateUnifiedToken, async (req, res) => {
       });
     }
 
+    if (maxDevicesPerAgent !== undefined) {
+      const limit = Number(maxDevicesPerAgent);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DEVICES_LIMIT) {
+        return res.status(400).json({ success: false, message: `Device limit must be between 1 and ${MAX_DEVICES_LIMIT}` });
+      }
+    }
+
+    if (matchAlertEscalationMinutes !== undefined) {
+      if (!isTenantAdmin) {
+        return res.status(403).json({ success: false, message: 'Only tenant admins can change the match alert escalation time', code: 'PERMISSION_DENIED' });
+      }
+      const minutes = Number(matchAlertEscalationMinutes);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ESCALATION_MINUTES) {
+        return res.status(400).json({ success: false, message: `Escalation time must be between 0 and ${MAX_ESCALATION_MINUTES} minutes` });
+      }
+    }
+
+    if (paymentConfig?.gatewayEnabled !== undefined && !isTenantAdmin) {
+      return res.status(403).json({ success: false, message: 'Only tenant admins can turn online payments on or off', code: 'PERMISSION_DENIED' });
+    }
+
+    const invoiceConfig = paymentConfig?.invoice;
+    if (invoiceConfig) {
+      if (!isTenantAdmin) {
+        return res.status(403).json({ success: false, message: 'Only tenant admins can change invoice details', code: 'PERMISSION_DENIED' });
+      }
+      if (invoiceConfig.gstin && !isValidGstin(invoiceConfig.gstin)) {
+        return res.status(400).json({ success: false, message: 'GSTIN is not valid' });
+      }
+      if (invoiceConfig.state && !stateCodeFor(invoiceConfig.state)) {
+        return res.status(400).json({ success: false, message: 'State is not a recognised Indian state or union territory' });
+      }
+      if (invoiceConfig.gstRate !== undefined && ![0, 5, 12, 18, 28].includes(Number(invoiceConfig.gstRate))) {
+        return res.status(400).json({ success: false, message: 'GST rate must be 0, 5, 12, 18 or 28 percent' });
+      }
+    }
+
+    if (agentVehicleScope !== undefined && !Object.values(AGENT_SCOPES).includes(agentVehicleScope)) {
+      return res.status(400).json({ success: false, message: `Agent vehicle scope must be one of: ${Object.values(AGENT_SCOPES).join(', ')}` });
+    }
+    if ((agentVehicleScope !== undefined || maxDevicesPerAgent !== undefined) && !(await getUserPermissions(req.user)).includes(PERMISSIONS.MANAGE_AGENTS)) {
+      const message = agentVehicleScope !== undefined ? 'You are not allowed to change what agents see' : 'You are not allowed to change the agent device limit';
+      return res.status(403).json({ success: false, message, code: 'PERMISSION_DENIED' });
+    }
+
+    // Only tenant admins edit what office staff roles may do
+    let roleTemplates = null;
+    if (rolePermissions !== undefined) {
+      if (!isTenantAdmin) {
+        return res.status(403).json({ success: false, message: 'Only tenant admins can change role permissions', code: 'PERMISSION_DENIED' });
+      }
+      const parsed = parseRoleTemplates(rolePermissions);
+      if (!parsed.ok) return res.status(400).json({ success: false, message: parsed.message });
+      roleTemplates = parsed.templates;
+    }
+
     // First get the current tenant to preserve existing settings
     const currentTenant = await Tenant.findById(tenantId);
     if (!currentTenant) {
@@ -232,11 +383,16 @@ router.put('/settings', authenticateUnifiedToken, async (req, res) => {
 
     const updateDoc = {};
     if (dataMultiplier !== undefined) updateDoc['settings.dataMultiplier'] = dataMultiplier;
+    if (maxDevicesPerAgent !== undefined) updateDoc['settings.maxDevicesPerAgent'] = Number(maxDevicesPerAgent);
+    if (agentVehicleScope !== undefined) updateDoc['settings.agentVehicleScope'] = agentVehicleScope;
+    if (matchAlertEscalationMinutes !== undefined) updateDoc['settings.matchAlertEscalationMinutes'] = Number(matchAlertEscalationMinutes);
+    if (roleTemplates) updateDoc['settings.rolePermissions'] = { ...resolveRoleTemplates(currentTenant), ...roleTemplates };
     if (paymentConfig) {
       if (paymentConfig.upiId !== undefined) updateDoc['settings.paymentConfig.upiId'] = paymentConfig.upiId;
       if (paymentConfig.payeeName !== undefined) updateDoc['settings.paymentConfig.payeeName'] = paymentConfig.payeeName;
       if (paymentConfig.qrCodeImageUrl !== undefined) updateDoc['settings.paymentConfig.qrCodeImageUrl'] = paymentConfig.qrCodeImageUrl;
       if (paymentConfig.instructions !== undefined) updateDoc['settings.paymentConfig.instructions'] = paymentConfig.instructions;
+      if (paymentConfig.gatewayEnabled !== undefined) updateDoc['settings.paymentConfig.gatewayEnabled'] = !!paymentConfig.gatewayEnabled;
       if (paymentConfig.planPrices) {
         const pp = paymentConfig.planPrices || {};
         if (pp.weekly !== undefined) updateDoc['settings.paymentConfig.planPrices.weekly'] = Number(pp.weekly) || 0;
@@ -244,6 +400,12 @@ router.put('/settings', authenticateUnifiedToken, async (req, res) => {
         if (pp.quarterly !== undefined) updateDoc['settings.paymentConfig.planPrices.quarterly'] = Number(pp.quarterly) || 0;
         if (pp.yearly !== undefined) updateDoc['settings.paymentConfig.planPrices.yearly'] = Number(pp.yearly) || 0;
       }
+      if (invoiceConfig) {
+        ['legalName', 'gstin', 'address', 'state', 'phone', 'email', 'sacCode'].forEach(key => {
+          if (invoiceConfig[key] !== undefined) updateDoc[`settings.paymentConfig.invoice.${key}`] = String(invoiceConfig[key] || '').trim();
+        });
+        if (invoiceConfig.gstRate !== undefined) updateDoc['settings.paymentConfig.invoice.gstRate'] = Number(invoiceConfig.gstRate);
+      }
     }
 
     const tenant = await Tenant.findByIdAndUpdate(
@@ -257,6 +419,13 @@ router.put('/settings', authenticateUnifiedToken, async (req, res) => {
     }
 
     console.log('📊 Updated tenant settings:', tenant.settings);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SETTINGS_UPDATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: { type: 'tenant', id: tenant._id, label: tenant.name },
+      changes: diffChanges(currentTenant.settings, tenant.settings)
+    });
 
     res.json({ success: true, message: 'Settings updated successfully', data: tenant.settings });
   } catch (error) {
@@ -431,9 +600,14 @@ const validateTenant = [
   body('type')
     .isIn(['agency', 'nbfc', 'bank'])
     .withMessage('Invalid tenant type'),
+  body('planId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid subscription plan'),
   body('subscriptionPlan')
     .optional()
-    .isIn(['basic', 'premium', 'enterprise'])
+    .trim()
+    .isLength({ min: 1, max: 50 })
     .withMessage('Invalid subscription plan'),
   body('maxUsers')
     .optional()
@@ -6,11 +6,35 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
-const { authenticateUnifiedToken, requireAdmin, requireTenantUserManagementAccess } = require('../middleware/unifiedAuth');
+const { authenticateUnifiedToken, requireAdmin, requireTenantUserManagementAccess, requirePermission } = require('../middleware/unifiedAuth');
 const mongoose = require('mongoose');
 const Tenant = require('../models/Tenant');
 // Use centralized helper which preserves credentials and query string (authSource)
 const { getTenantDB: getTenantDBCentral } = require('../config/database');
+const getAgentDeviceModel = require('../models/AgentDevice');
+const getUserSessionModel = require('../models/UserSession');
+const {
+  MAX_DEVICES_LIMIT,
+  readDeviceInfo,
+  resolveDeviceLimit,
+  checkAgentDevice,
+  revokeSessions
+} = require('../utils/deviceSessions');
+const { startAuthSession } = require('../utils/authTokens');
+const {
+  findTenantUsers,
+  verifyTenantUserPassword,
+  toTenantChoices,
+  syncUserIdentitySafe,
+  removeUserIdentitySafe
+} = require('../utils/identityDirectory');
+const { PERMISSIONS, STAFF_ROLES, resolveRoleTemplates } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit, diffChanges } = require('../utils/auditLog');
+const { getTenantEntitlements, checkQuota, planLimitError } = require('../utils/planEntitlements');
+
+// Audit log target for an office staff member or repo agent, and the fields recorded when one is created
+const auditUserTarget = (type, user) => ({ type, id: user._id, label: user.name || user.phoneNumber || String(user._id) });
+const AUDIT_CREATE_FIELDS = ['name', 'email', 'phoneNumber', 'role', 'city', 'state', 'status'];
 
 // Public: Repo Agent login (tenant-scoped)
 router.post('/agents/login', async (req, res) => {
@@ -20,84 +44,48 @@ router.post('/agents/login', async (req, res) => {
       return res.status(400).json({ success: false, message: 'email/phone and password are required' });
     }
 
-    const identifierQuery = email
-      ? { type: 'email', value: String(email).toLowerCase().trim() }
-      : { type: 'phone', value: String(phoneNumber).trim() };
-
-    const normalizePhone = (val) => String(val || '').replace(/\D/g, '');
-
-    // Iterate all active tenants to locate the agent
-    const tenants = await Tenant.find({ isActive: true }).lean();
-    if (process.env.NODE_ENV === 'development') {
-      console.log('[RepoAgentLogin] Identifier:', identifierQuery);
-      console.log('[RepoAgentLogin] Active tenants:', tenants.map(t => t.name));
-    }
-    let found = null;
-    for (const t of tenants) {
-      try {
-        const conn = await getTenantDB(t.name);
-        const RepoAgent = getRepoAgentModel(conn);
-        let query;
-        if (identifierQuery.type === 'email') {
-          query = { email: identifierQuery.value };
-        } else {
-          const raw = identifierQuery.value;
-          const digits = normalizePhone(raw);
-          query = { $or: [ { phoneNumber: raw }, { phoneNumber: digits } ] };
-        }
-        // Get full document (not lean) to allow password migration if needed
-        const agent = await RepoAgent.findOne(query);
-        if (agent) {
-          found = { agent, tenant: t };
-          break;
-        }
-      } catch (e) {
-        // skip tenant on connection error
-      }
+    // Look the agent up in the login directory; the same number may be registered with several agencies
+    const matches = await findTenantUsers(email || phoneNumber, {
+      tenantId: req.body.tenantId,
+      userTypes: ['repo_agent'],
+      withPassword: true
+    });
+    const verified = [];
+    for (const match of matches) {
+      if (await verifyTenantUserPassword(match.user, password)) verified.push(match);
     }
-
-    if (!found) {
+    if (verified.length === 0) {
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
-
-    const { agent, tenant } = found;
-
-    const provided = String(password || '').trim();
-    const stored = String(agent.password || '').trim();
-    let passwordOk = false;
-    // Try bcrypt first
-    try {
-      passwordOk = await bcrypt.compare(provided, stored);
-    } catch (_) { passwordOk = false; }
-    // Backward-compat: if stored is plaintext and matches, migrate to hashed
-    if (!passwordOk && stored === provided) {
-      try {
-        const salt = await bcrypt.genSalt(12);
-        agent.password = await bcrypt.hash(provided, salt);
-        await agent.save();
-        passwordOk = true;
-      } catch (_) { passwordOk = false; }
-    }
-    if (!passwordOk) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    if (verified.length > 1) {
+      return res.status(409).json({
+        success: false,
+        code: 'TENANT_SELECTION_REQUIRED',
+        message: 'This account belongs to more than one agency. Please choose one to continue.',
+        data: { tenants: toTenantChoices(verified) }
+      });
     }
+    const { user: agent, tenant } = verified[0];
 
     if (agent.status !== 'active') {
       return res.status(403).json({ success: false, message: 'Account is not active' });
     }
 
+    // Only approved devices may sign in
+    const tenantConnection = await getTenantDB(tenant.name);
+    const device = readDeviceInfo(req.body);
+    const deviceCheck = await checkAgentDevice(tenantConnection, { agent, device });
+    if (!deviceCheck.ok) {
+      return res.status(deviceCheck.status).json({ success: false, code: deviceCheck.code, message: deviceCheck.message });
+    }
+
     // Clear forceLogoutAt on successful login
     if (agent.forceLogoutAt) {
       agent.forceLogoutAt = null;
       await agent.save();
     }
 
-    const token = jwt.sign({
-      agentId: agent._id,
-      tenantId: tenant._id,
-      tenantName: tenant.name,
-      type: 'repo_agent'
-    }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const { token, refreshToken, expiresIn } = await startAuthSession({ user: agent, userType: 'repo_agent', tenant, device, req });
 
     return res.json({
       success: true,
@@ -112,7 +100,9 @@ router.post('/agents/login', async (req, res) => {
           role: agent.role,
           tenantName: tenant.name
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -129,61 +119,40 @@ router.post('/staff/login', async (req, res) => {
       return res.status(400).json({ success: false, message: 'phoneNumber and password are required' });
     }
 
-    const normalizePhone = (val) => String(val || '').replace(/\D/g, '');
-    const raw = String(phoneNumber).trim();
-    const digits = normalizePhone(raw);
-
-    // Iterate all active tenants to locate the staff
-    const tenants = await Tenant.find({ isActive: true }).lean();
-    let found = null;
-    for (const t of tenants) {
-      try {
-        const conn = await getTenantDB(t.name);
-        const OfficeStaff = getOfficeStaffModel(conn);
-        const staff = await OfficeStaff.findOne({ $or: [ { phoneNumber: raw }, { phoneNumber: digits } ] });
-        if (staff) {
-          found = { staff, tenant: t };
-          break;
-        }
-      } catch (e) {
-        // skip tenant on connection error
-      }
+    // Look the staff member up in the login directory; the same number may be registered with several agencies
+    const matches = await findTenantUsers(phoneNumber, {
+      tenantId: req.body.tenantId,
+      userTypes: ['office_staff'],
+      withPassword: true
+    });
+    const verified = [];
+    for (const match of matches) {
+      if (await verifyTenantUserPassword(match.user, password)) verified.push(match);
     }
-
-    if (!found) {
+    if (verified.length === 0) {
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
-
-    const { staff, tenant } = found;
-    const provided = String(password || '').trim();
-    const stored = String(staff.password || '').trim();
-    let passwordOk = false;
-    try {
-      passwordOk = await bcrypt.compare(provided, stored);
-    } catch (_) { passwordOk = false; }
-    // Backward-compat migrate from plaintext
-    if (!passwordOk && stored === provided) {
-      try {
-        const salt = await bcrypt.genSalt(12);
-        staff.password = await bcrypt.hash(provided, salt);
-        await staff.save();
-        passwordOk = true;
-      } catch (_) { passwordOk = false; }
-    }
-    if (!passwordOk) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    if (verified.length > 1) {
+      return res.status(409).json({
+        success: false,
+        code: 'TENANT_SELECTION_REQUIRED',
+        message: 'This account belongs to more than one agency. Please choose one to continue.',
+        data: { tenants: toTenantChoices(verified) }
+      });
     }
+    const { user: staff, tenant } = verified[0];
 
     if (staff.status !== 'active') {
       return res.status(403).json({ success: false, message: 'Account is not active' });
     }
 
-    const token = jwt.sign({
-      staffId: staff._id,
-      tenantId: tenant._id,
-      tenantName: tenant.name,
-      type: 'office_staff'
-    }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const { token, refreshToken, expiresIn } = await startAuthSession({
+      user: staff,
+      userType: 'office_staff',
+      tenant,
+      device: readDeviceInfo(req.body),
+      req
+    });
 
     return res.json({
       success: true,
@@ -195,9 +164,12 @@ router.post('/staff/login', async (req, res) => {
           phoneNumber: staff.phoneNumber,
           role: staff.role,
           status: staff.status,
-          tenantName: tenant.name
+          tenantName: tenant.name,
+          permissions: resolveRoleTemplates(tenant)[staff.role] || []
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -290,7 +262,8 @@ router.get('/me', authenticateUnifiedToken, async (req, res) => {
         status: staff.status,
         tenantName: tenant.name,
         staffId: staff.staffId,
-        staffCode: staff.staffCode
+        staffCode: staff.staffCode,
+        permissions: resolveRoleTemplates(tenant)[staff.role] || []
       };
     } else {
       return res.status(400).json({ success: false, message: 'Unsupported user type' });
@@ -469,7 +442,7 @@ const getOfficeStaffModel = (tenantConnection) => {
     role: {
       type: String,
       required: [true, 'Role is required'],
-      enum: ['Sub Admin', 'Vehicle Confirmer', 'Manager', 'Supervisor', 'Staff'],
+      enum: STAFF_ROLES,
       default: 'Staff'
     },
     address: {
@@ -698,6 +671,14 @@ const getRepoAgentModel = (tenantConnection) => {
       type: Date,
       default: null
     },
+
+    // Approved devices allowed for this agent; null uses the tenant's setting
+    maxDevices: {
+      type: Number,
+      default: null,
+      min: 1,
+      max: MAX_DEVICES_LIMIT
+    },
     
     // Created by
     createdBy: {
@@ -908,6 +889,14 @@ router.post('/staff', authenticateUnifiedToken, requireTenantUserManagementAcces
     const savedStaff = await newStaff.save();
     
     console.log(`Office staff saved to tenant database ${tenant.name}:`, savedStaff._id);
+    await syncUserIdentitySafe(tenant, 'office_staff', savedStaff);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STAFF_CREATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('office_staff', savedStaff),
+      changes: diffChanges({}, savedStaff, { fields: AUDIT_CREATE_FIELDS })
+    });
 
     res.status(201).json({
       success: true,
@@ -984,10 +973,22 @@ router.put('/staff/:id', authenticateUnifiedToken, requireTenantUserManagementAc
     for (const k of allowed) if (k in req.body) update[k] = req.body[k];
     update.updatedAt = new Date();
 
+    const previous = await OfficeStaff.findById(req.params.id).lean();
     const staff = await OfficeStaff.findByIdAndUpdate(req.params.id, { $set: update }, { new: true });
     if (!staff) {
       return res.status(404).json({ success: false, message: 'Staff not found' });
     }
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STAFF_UPDATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('office_staff', staff),
+      changes: diffChanges(previous, staff, { fields: allowed })
+    });
+    await syncUserIdentitySafe(tenant, 'office_staff', staff);
+    if (staff.status !== 'active') {
+      await revokeSessions(tenantConnection, { userId: staff._id }, { by: req.user.userId, reason: 'deactivated' });
+    }
     return res.json({ success: true, message: 'Office staff updated', data: staff });
   } catch (error) {
     console.error('Error updating staff:', error);
@@ -1006,8 +1007,19 @@ router.put('/staff/:id/status', authenticateUnifiedToken, requireTenantUserManag
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
     const tenantConnection = await getTenantDB(tenant.name);
     const OfficeStaff = getOfficeStaffModel(tenantConnection);
-    const staff = await OfficeStaff.findByIdAndUpdate(req.params.id, { $set: { status } }, { new: true });
+    const staff = await OfficeStaff.findByIdAndUpdate(req.params.id, { $set: { status } });
     if (!staff) return res.status(404).json({ success: false, message: 'Staff not found' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STAFF_STATUS_CHANGE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('office_staff', staff),
+      changes: [{ field: 'status', before: staff.status, after: status }]
+    });
+    staff.status = status;
+    if (status === 'inactive') {
+      await revokeSessions(tenantConnection, { userId: staff._id }, { by: req.user.userId, reason: 'deactivated' });
+    }
     return res.json({ success: true, message: `Status updated to ${status}`, data: staff });
   } catch (error) {
     console.error('Error updating staff status:', error);
@@ -1043,6 +1055,14 @@ router.put('/staff/:id/reset-password', authenticateUnifiedToken, requireTenantU
     // Update password (will be hashed by pre-save hook)
     staff.password = newPassword;
     await staff.save();
+    // Sessions signed in with the old password end now
+    await revokeSessions(tenantConnection, { userId: staff._id }, { by: req.user.userId, reason: 'password_reset' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STAFF_PASSWORD_RESET,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('office_staff', staff)
+    });
 
     return res.json({ success: true, message: 'Password reset successfully' });
   } catch (error) {
@@ -1067,6 +1087,15 @@ router.delete('/staff/:id', authenticateUnifiedToken, requireTenantUserManagemen
     }
 
     await OfficeStaff.deleteOne({ _id: staff._id });
+    await revokeSessions(tenantConnection, { userId: staff._id }, { by: req.user.userId, reason: 'account_deleted' });
+    await removeUserIdentitySafe(tenant._id, 'office_staff', staff._id);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.STAFF_DELETE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('office_staff', staff),
+      changes: diffChanges(staff, {}, { fields: AUDIT_CREATE_FIELDS })
+    });
 
     return res.json({ success: true, message: 'Office staff deleted successfully' });
   } catch (error) {
@@ -1076,7 +1105,7 @@ router.delete('/staff/:id', authenticateUnifiedToken, requireTenantUserManagemen
 });
 
 // Repo Agent Management
-router.get('/agents', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.get('/agents', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '' } = req.query;
     const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
@@ -1152,7 +1181,7 @@ router.get('/agents', authenticateUnifiedToken, requireTenantUserManagementAcces
 });
 
 // Aggregated stats: number of vehicles searched per agent (from mobile search history)
-router.get('/agents/stats/search', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.get('/agents/stats/search', authenticateUnifiedToken, requirePermission(PERMISSIONS.VIEW_REPORTS), async (req, res) => {
   try {
     const { dateStart = '', dateEnd = '' } = req.query;
 
@@ -1302,7 +1331,7 @@ router.get('/agents/stats/search', authenticateUnifiedToken, requireTenantUserMa
 });
 
 // Get single repo agent by id
-router.get('/agents/:id', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.get('/agents/:id', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const tenant = await Tenant.findById(req.user.tenantId);
     if (!tenant) {
@@ -1324,7 +1353,7 @@ router.get('/agents/:id', authenticateUnifiedToken, requireTenantUserManagementA
 });
 
 // Update repo agent by id
-router.put('/agents/:id', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.put('/agents/:id', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const tenant = await Tenant.findById(req.user.tenantId);
     if (!tenant) {
@@ -1338,10 +1367,22 @@ router.put('/agents/:id', authenticateUnifiedToken, requireTenantUserManagementA
     for (const k of allowed) if (k in req.body) update[k] = req.body[k];
     update.updatedAt = new Date();
 
+    const previous = await RepoAgent.findById(req.params.id).lean();
     const agent = await RepoAgent.findByIdAndUpdate(req.params.id, { $set: update }, { new: true });
     if (!agent) {
       return res.status(404).json({ success: false, message: 'Agent not found' });
     }
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_UPDATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      changes: diffChanges(previous, agent, { fields: allowed })
+    });
+    await syncUserIdentitySafe(tenant, 'repo_agent', agent);
+    if (agent.status !== 'active') {
+      await revokeSessions(tenantConnection, { userId: agent._id }, { by: req.user.userId, reason: 'deactivated' });
+    }
     return res.json({ success: true, message: 'Repo agent updated', data: agent });
   } catch (error) {
     console.error('Error updating agent:', error);
@@ -1350,7 +1391,7 @@ router.put('/agents/:id', authenticateUnifiedToken, requireTenantUserManagementA
 });
 
 // Update repo agent status
-router.put('/agents/:id/status', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.put('/agents/:id/status', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const { status } = req.body;
     if (!['active', 'inactive'].includes(status)) {
@@ -1360,8 +1401,19 @@ router.put('/agents/:id/status', authenticateUnifiedToken, requireTenantUserMana
     if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
     const tenantConnection = await getTenantDB(tenant.name);
     const RepoAgent = getRepoAgentModel(tenantConnection);
-    const agent = await RepoAgent.findByIdAndUpdate(req.params.id, { $set: { status } }, { new: true });
+    const agent = await RepoAgent.findByIdAndUpdate(req.params.id, { $set: { status } });
     if (!agent) return res.status(404).json({ success: false, message: 'Agent not found' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_STATUS_CHANGE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      changes: [{ field: 'status', before: agent.status, after: status }]
+    });
+    agent.status = status;
+    if (status === 'inactive') {
+      await revokeSessions(tenantConnection, { userId: agent._id }, { by: req.user.userId, reason: 'deactivated' });
+    }
     return res.json({ success: true, message: `Status updated to ${status}`, data: agent });
   } catch (error) {
     console.error('Error updating agent status:', error);
@@ -1370,7 +1422,7 @@ router.put('/agents/:id/status', authenticateUnifiedToken, requireTenantUserMana
 });
 
 // Reset password for repo agent
-router.put('/agents/:id/reset-password', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.put('/agents/:id/reset-password', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const { newPassword } = req.body;
     
@@ -1397,6 +1449,14 @@ router.put('/agents/:id/reset-password', authenticateUnifiedToken, requireTenant
     // Update password (will be hashed by pre-save hook)
     agent.password = newPassword;
     await agent.save();
+    // Sessions signed in with the old password end now
+    await revokeSessions(tenantConnection, { userId: agent._id }, { by: req.user.userId, reason: 'password_reset' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_PASSWORD_RESET,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent)
+    });
 
     return res.json({ success: true, message: 'Password reset successfully' });
   } catch (error) {
@@ -1406,7 +1466,7 @@ router.put('/agents/:id/reset-password', authenticateUnifiedToken, requireTenant
 });
 
 // Delete repo agent by id
-router.delete('/agents/:id', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.delete('/agents/:id', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const tenant = await Tenant.findById(req.user.tenantId);
     if (!tenant) {
@@ -1421,6 +1481,16 @@ router.delete('/agents/:id', authenticateUnifiedToken, requireTenantUserManageme
     }
 
     await RepoAgent.deleteOne({ _id: agent._id });
+    await getAgentDeviceModel(tenantConnection).deleteMany({ agentId: agent._id });
+    await revokeSessions(tenantConnection, { userId: agent._id }, { by: req.user.userId, reason: 'account_deleted' });
+    await removeUserIdentitySafe(tenant._id, 'repo_agent', agent._id);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_DELETE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      changes: diffChanges(agent, {}, { fields: AUDIT_CREATE_FIELDS })
+    });
 
     return res.json({ success: true, message: 'Repo agent deleted successfully' });
   } catch (error) {
@@ -1430,7 +1500,7 @@ router.delete('/agents/:id', authenticateUnifiedToken, requireTenantUserManageme
 });
 
 // Force logout repo agent from mobile app
-router.post('/agents/:id/mobile-logout', authenticateUnifiedToken, requireTenantUserManagementAccess, async (req, res) => {
+router.post('/agents/:id/mobile-logout', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
   try {
     const tenant = await Tenant.findById(req.user.tenantId);
     if (!tenant) {
@@ -1448,6 +1518,14 @@ router.post('/agents/:id/mobile-logout', authenticateUnifiedToken, requireTenant
     if (!agent) {
       return res.status(404).json({ success: false, message: 'Agent not found' });
     }
+    const endedSessions = await revokeSessions(tenantConnection, { userId: agent._id }, { by: req.user.userId, reason: 'force_logout' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_FORCE_LOGOUT,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      metadata: { endedSessions }
+    });
 
     return res.json({ 
       success: true, 
@@ -1460,8 +1538,243 @@ router.post('/agents/:id/mobile-logout', authenticateUnifiedToken, requireTenant
   }
 });
 
+// Tenant, connection and repo agent for an admin request on /agents/:id
+const loadTenantAgent = async (req) => {
+  const tenant = await Tenant.findById(req.user.tenantId);
+  if (!tenant) return { error: { status: 404, message: 'Tenant not found' } };
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return { error: { status: 404, message: 'Agent not found' } };
+  }
+  const tenantConnection = await getTenantDB(tenant.name);
+  const agent = await getRepoAgentModel(tenantConnection).findById(req.params.id);
+  if (!agent) return { error: { status: 404, message: 'Agent not found' } };
+  return { tenant, tenantConnection, agent };
+};
+
+// Devices waiting for approval across all agents of the tenant
+router.get('/agents/devices/pending', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+    const tenantConnection = await getTenantDB(tenant.name);
+    const devices = await getAgentDeviceModel(tenantConnection)
+      .find({ status: 'pending' })
+      .sort({ requestedAt: -1 })
+      .limit(500)
+      .lean();
+
+    const agents = await getRepoAgentModel(tenantConnection)
+      .find({ _id: { $in: devices.map(d => d.agentId) } })
+      .select('name agentCode phoneNumber')
+      .lean();
+    const agentById = new Map(agents.map(a => [String(a._id), a]));
+
+    return res.json({
+      success: true,
+      data: devices.map(d => ({ ...d, agent: agentById.get(String(d.agentId)) || null }))
+    });
+  } catch (error) {
+    console.error('Error fetching pending devices:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch pending devices' });
+  }
+});
+
+// Devices of one agent with the limit that applies
+router.get('/agents/:id/devices', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const { error, tenant, tenantConnection, agent } = await loadTenantAgent(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const devices = await getAgentDeviceModel(tenantConnection)
+      .find({ agentId: agent._id })
+      .sort({ status: 1, requestedAt: -1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      data: {
+        devices,
+        maxDevices: agent.maxDevices,
+        deviceLimit: resolveDeviceLimit(tenant, agent),
+        approvedCount: devices.filter(d => d.status === 'approved').length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching agent devices:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch agent devices' });
+  }
+});
+
+// Approve or block a device
+router.put('/agents/:id/devices/:deviceId', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+    }
+    const { error, tenant, tenantConnection, agent } = await loadTenantAgent(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const AgentDevice = getAgentDeviceModel(tenantConnection);
+    const device = mongoose.Types.ObjectId.isValid(req.params.deviceId)
+      ? await AgentDevice.findOne({ _id: req.params.deviceId, agentId: agent._id })
+      : null;
+    if (!device) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    if (status === 'approved' && device.status !== 'approved') {
+      const deviceLimit = resolveDeviceLimit(tenant, agent);
+      const approvedCount = await AgentDevice.countDocuments({ agentId: agent._id, status: 'approved' });
+      if (approvedCount >= deviceLimit) {
+        return res.status(409).json({
+          success: false,
+          message: `Agent already has ${approvedCount} of ${deviceLimit} allowed device(s). Remove one or raise the limit first.`
+        });
+      }
+    }
+
+    const previousStatus = device.status;
+    device.set({ status, decidedAt: new Date(), decidedBy: String(req.user.userId) });
+    await device.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_DEVICE_DECISION,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      changes: [{ field: 'device.status', before: previousStatus, after: status }],
+      metadata: { deviceId: device.deviceId, deviceName: device.deviceName, platform: device.platform }
+    });
+    if (status === 'rejected') {
+      await revokeSessions(tenantConnection, { userId: agent._id, deviceId: device.deviceId }, { by: req.user.userId, reason: 'device_rejected' });
+    }
+
+    console.log(`📱 Device ${device.deviceName || device.deviceId} of agent ${agent._id} ${status}`);
+    return res.json({ success: true, message: `Device ${status}`, data: device });
+  } catch (error) {
+    console.error('Error updating agent device:', error);
+    return res.status(500).json({ success: false, message: 'Failed to update device' });
+  }
+});
+
+// Remove a device; the agent has to request it again to use it
+router.delete('/agents/:id/devices/:deviceId', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const { error, tenant, tenantConnection, agent } = await loadTenantAgent(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const device = mongoose.Types.ObjectId.isValid(req.params.deviceId)
+      ? await getAgentDeviceModel(tenantConnection).findOneAndDelete({ _id: req.params.deviceId, agentId: agent._id })
+      : null;
+    if (!device) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+    await revokeSessions(tenantConnection, { userId: agent._id, deviceId: device.deviceId }, { by: req.user.userId, reason: 'device_removed' });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_DEVICE_REMOVE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      metadata: { deviceId: device.deviceId, deviceName: device.deviceName, platform: device.platform, status: device.status }
+    });
+
+    return res.json({ success: true, message: 'Device removed' });
+  } catch (error) {
+    console.error('Error removing agent device:', error);
+    return res.status(500).json({ success: false, message: 'Failed to remove device' });
+  }
+});
+
+// Per-agent device limit; null falls back to the tenant setting
+router.put('/agents/:id/device-limit', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const raw = req.body.maxDevices;
+    const maxDevices = raw === null || raw === '' || raw === undefined ? null : parseInt(raw, 10);
+    if (maxDevices !== null && (!Number.isInteger(maxDevices) || maxDevices < 1 || maxDevices > MAX_DEVICES_LIMIT)) {
+      return res.status(400).json({ success: false, message: `Device limit must be between 1 and ${MAX_DEVICES_LIMIT}` });
+    }
+    const { error, tenant, agent } = await loadTenantAgent(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const previousLimit = agent.maxDevices ?? null;
+    agent.maxDevices = maxDevices;
+    await agent.save();
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_DEVICE_LIMIT,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      changes: [{ field: 'maxDevices', before: previousLimit, after: maxDevices }]
+    });
+    return res.json({
+      success: true,
+      message: 'Device limit updated',
+      data: { maxDevices: agent.maxDevices, deviceLimit: resolveDeviceLimit(tenant, agent) }
+    });
+  } catch (error) {
+    console.error('Error updating agent device limit:', error);
+    return res.status(500).json({ success: false, message: 'Failed to update device limit' });
+  }
+});
+
+// Live and recently ended sessions of one agent
+router.get('/agents/:id/sessions', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const { error, tenantConnection, agent } = await loadTenantAgent(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const now = new Date();
+    const sessions = await getUserSessionModel(tenantConnection)
+      .find({ userId: agent._id }, { refreshTokenHash: 0, previousRefreshTokenHash: 0 })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    return res.json({
+      success: true,
+      data: sessions.map(s => ({ ...s, active: !s.revokedAt && s.expiresAt > now }))
+    });
+  } catch (error) {
+    console.error('Error fetching agent sessions:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign one session out; the app is logged out on its next API call
+router.delete('/agents/:id/sessions/:sessionId', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), async (req, res) => {
+  try {
+    const { error, tenant, tenantConnection, agent } = await loadTenantAgent(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const revoked = await revokeSessions(
+      tenantConnection,
+      { _id: req.params.sessionId, userId: agent._id },
+      { by: req.user.userId, reason: 'revoked_by_admin' }
+    );
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found or already ended' });
+    }
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_SESSION_REVOKE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', agent),
+      metadata: { sessionId: req.params.sessionId }
+    });
+    return res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking agent session:', error);
+    return res.status(500).json({ success: false, message: 'Failed to revoke session' });
+  }
+});
+
 // Create new repo agent
-router.post('/agents', authenticateUnifiedToken, upload, async (req, res) => {
+router.post('/agents', authenticateUnifiedToken, requirePermission(PERMISSIONS.MANAGE_AGENTS), upload, async (req, res) => {
   try {
     console.log('Creating new repo agent with data:', req.body);
     console.log('Uploaded files:', req.files);
@@ -1491,6 +1804,13 @@ router.post('/agents', authenticateUnifiedToken, upload, async (req, res) => {
     
     console.log(`Using tenant database: tenants_${tenant.name.toLowerCase().replace(/[^a-z0-9]/g, '_')}`);
 
+    // Agents count against the plan's maxUsers whatever their status; deleting one frees a seat
+    const entitlements = await getTenantEntitlements(tenant);
+    const seats = checkQuota(entitlements.limits.maxUsers, await RepoAgent.countDocuments({}));
+    if (!seats.allowed) {
+      return res.status(403).json(planLimitError(entitlements, 'maxUsers', seats, `Agent limit reached: your plan allows ${seats.limit}. Remove an agent or upgrade the plan to add more.`));
+    }
+
     // Check if email already exists for this tenant
     const existingAgent = await RepoAgent.findOne({ email });
     
@@ -1545,6 +1865,14 @@ router.post('/agents', authenticateUnifiedToken, upload, async (req, res) => {
     const savedAgent = await newAgent.save();
     
     console.log(`Repo agent saved to tenant database ${tenant.name}:`, savedAgent._id);
+    await syncUserIdentitySafe(tenant, 'repo_agent', savedAgent);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.AGENT_CREATE,
+      tenantId: tenant._id,
+      tenantName: tenant.name,
+      target: auditUserTarget('repo_agent', savedAgent),
+      changes: diffChanges({}, savedAgent, { fields: AUDIT_CREATE_FIELDS })
+    });
     console.log(`Repo agent password hashed:`, savedAgent.password ? (savedAgent.password.startsWith('$2b$') ? 'Yes (bcrypt)' : 'No (plaintext)') : 'Missing');
     console.log(`Repo agent password length:`, savedAgent.password ? savedAgent.password.length : 0);
 
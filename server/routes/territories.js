@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const { authenticateUnifiedToken, requirePermission } = require('../middleware/unifiedAuth');
+const { getRepoAgentModel } = require('./tenantUsers');
+const getTerritoryModel = require('../models/Territory');
+const getAgentAllocationModel = require('../models/AgentAllocation');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const { PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit, diffChanges } = require('../utils/auditLog');
+const {
+  AGENT_SCOPE_LABELS,
+  resolveAgentScopeMode,
+  parseTerritoryCriteria,
+  loadAgentScope
+} = require('../utils/agentScope');
+
+// Vehicle ids returned to the mobile app by /mine; larger allocations are ranked by the server only
+const MAX_MINE_VEHICLE_IDS = 20000;
+
+router.use(authenticateUnifiedToken);
+
+// Attach the tenant and its connection for the handlers below
+router.use(async (req, res, next) => {
+  try {
+    let tenant = null;
+    if (req.user?.tenantId) tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant && req.user?.tenantName) tenant = await Tenant.findOne({ name: req.user.tenantName });
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+    req.tenant = tenant;
+    req.tenantConn = await getTenantDB(tenant.name);
+    next();
+  } catch (error) {
+    console.error('Territory tenant lookup error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load tenant' });
+  }
+});
+
+const requireManageAgents = requirePermission(PERMISSIONS.MANAGE_AGENTS);
+
+const auditEntry = (req, action, target, extra = {}) => recordAudit(req, {
+  action,
+  tenantId: req.tenant._id,
+  tenantName: req.tenant.name,
+  target,
+  ...extra
+});
+
+// Repo agents of the tenant among the given ids
+const findAgents = async (conn, ids) => {
+  const valid = [...new Set((Array.isArray(ids) ? ids : []).map(String))].filter(id => mongoose.isValidObjectId(id));
+  if (valid.length === 0) return [];
+  return getRepoAgentModel(conn).find({ _id: { $in: valid } }).select('name phoneNumber status').lean();
+};
+
+// What the signed-in agent sees: scope mode, territories and allocated vehicles (mobile dashboard)
+router.get('/mine', async (req, res) => {
+  try {
+    const mode = resolveAgentScopeMode(req.tenant);
+    const scope = await loadAgentScope(req.tenantConn, req.tenant, req.user);
+    if (!scope) {
+      return res.json({ success: true, data: { mode, modeLabel: AGENT_SCOPE_LABELS[mode], territories: [], allocationCount: 0, vehicleIds: [], files: [] } });
+    }
+
+    // File allocations are expanded to their vehicles so offline search can rank them too
+    const vehicleIds = new Set(scope.vehicleIds);
+    for (const file of scope.files) {
+      if (vehicleIds.size >= MAX_MINE_VEHICLE_IDS) break;
+      const [{ Model }] = vehicleRepository.getVehicleModels(req.tenantConn, file.vehicleType);
+      const docs = await Model.find({ fileName: file.fileName }, { _id: 1 }).limit(MAX_MINE_VEHICLE_IDS - vehicleIds.size).lean();
+      for (const doc of docs) vehicleIds.add(String(doc._id));
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        mode: scope.mode,
+        modeLabel: AGENT_SCOPE_LABELS[scope.mode],
+        restricted: scope.restrict,
+        scopeKey: scope.key,
+        territories: scope.territories,
+        allocationCount: scope.allocationCount,
+        files: scope.files,
+        vehicleIds: [...vehicleIds]
+      }
+    });
+  } catch (error) {
+    console.error('Agent scope error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load your allocations' });
+  }
+});
+
+// Uploaded bank files that can be allocated
+router.get('/files', requireManageAgents, async (req, res) => {
+  try {
+    const files = await vehicleRepository.listVehicleFiles(req.tenantConn, { search: String(req.query.search || '').trim() });
+    return res.json({ success: true, data: files });
+  } catch (error) {
+    console.error('Allocation files error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load files' });
+  }
+});
+
+// Allocations, optionally for one agent (?agentId=)
+router.get('/allocations', requireManageAgents, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.agentId) {
+      if (!mongoose.isValidObjectId(req.query.agentId)) return res.json({ success: true, data: [] });
+      filter.agentId = req.query.agentId;
+    }
+    const allocations = await getAgentAllocationModel(req.tenantConn).find(filter).sort({ createdAt: -1 }).limit(1000).lean();
+    return res.json({ success: true, data: allocations });
+  } catch (error) {
+    console.error('Allocation list error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load allocations' });
+  }
+});
+
+// Allocate vehicles (vehicleIds, or registration / chassis numbers as identifiers) or a whole
+// bank file (fileName + vehicleType) to an agent
+router.post('/allocations', requireManageAgents, async (req, res) => {
+  try {
+    const { agentId, kind, vehicleIds = [], identifiers = [], fileName, vehicleType, note } = req.body || {};
+    const [agent] = await findAgents(req.tenantConn, [agentId]);
+    if (!agent) return res.status(404).json({ success: false, message: 'Agent not found' });
+    const AgentAllocation = getAgentAllocationModel(req.tenantConn);
+    const base = { agentId: agent._id, agentName: agent.name, note: String(note || '').trim() || undefined, allocatedBy: String(req.user.userId) };
+
+    if (kind === 'file') {
+      const type = vehicleRepository.resolveVehicleType(vehicleType);
+      const name = String(fileName || '').trim();
+      if (!type || !name) return res.status(400).json({ success: false, message: 'Choose the file to allocate' });
+      const [{ Model }] = vehicleRepository.getVehicleModels(req.tenantConn, type);
+      const sample = await Model.findOne({ fileName: name }, { bankName: 1 }).lean();
+      if (!sample) return res.status(404).json({ success: false, message: 'File not found' });
+      const existing = await AgentAllocation.findOne({ agentId: agent._id, kind: 'file', vehicleType: type, fileName: name }).lean();
+      if (existing) return res.status(409).json({ success: false, message: `${name} is already allocated to ${agent.name}` });
+
+      const allocation = await AgentAllocation.create({ ...base, kind: 'file', vehicleType: type, fileName: name, bankName: sample.bankName });
+      await auditEntry(req, AUDIT_ACTIONS.ALLOCATION_CREATE, { type: 'repo_agent', id: agent._id, label: agent.name }, {
+        metadata: { kind: 'file', vehicleType: type, fileName: name }
+      });
+      return res.status(201).json({ success: true, message: `${name} allocated to ${agent.name}`, data: [allocation] });
+    }
+
+    if (kind !== 'vehicle') return res.status(400).json({ success: false, message: 'Allocation kind must be vehicle or file' });
+
+    // Resolve the vehicles to allocate
+    const vehicles = [];
+    const notFound = [];
+    const ambiguous = [];
+    for (const id of (Array.isArray(vehicleIds) ? vehicleIds : []).slice(0, 500)) {
+      const found = await vehicleRepository.findVehicleById(req.tenantConn, id);
+      if (found) vehicles.push(vehicleRepository.toVehicleSummary(found.vehicle, found.vehicleType));
+      else notFound.push(String(id));
+    }
+    const list = (Array.isArray(identifiers) ? identifiers : String(identifiers || '').split(/[\s,;]+/)).slice(0, 500);
+    for (const { identifier, vehicles: matches } of await vehicleRepository.findVehiclesByIdentifiers(req.tenantConn, list)) {
+      if (matches.length === 0) notFound.push(identifier);
+      else if (matches.length > 1) ambiguous.push(identifier);
+      else vehicles.push(matches[0]);
+    }
+    if (vehicles.length === 0) {
+      return res.status(400).json({ success: false, message: 'No matching vehicles to allocate', notFound, ambiguous });
+    }
+
+    const already = new Set((await AgentAllocation.find({
+      agentId: agent._id, kind: 'vehicle', vehicleId: { $in: vehicles.map(v => v._id) }
+    }, { vehicleId: 1 }).lean()).map(a => String(a.vehicleId)));
+    const fresh = vehicles.filter((v, i) => !already.has(String(v._id))
+      && vehicles.findIndex(o => String(o._id) === String(v._id)) === i);
+    const created = fresh.length
+      ? await AgentAllocation.insertMany(fresh.map(v => ({ ...base, kind: 'vehicle', vehicleType: v.vehicleType, vehicleId: v._id, regNo: v.regNo || v.chassisNo })))
+      : [];
+    if (created.length) {
+      await auditEntry(req, AUDIT_ACTIONS.ALLOCATION_CREATE, { type: 'repo_agent', id: agent._id, label: agent.name }, {
+        metadata: { kind: 'vehicle', count: created.length, vehicles: created.slice(0, 50).map(a => a.regNo) }
+      });
+    }
+    return res.status(201).json({
+      success: true,
+      message: `${created.length} vehicle(s) allocated to ${agent.name}`,
+      data: created,
+      skipped: vehicles.length - created.length,
+      notFound,
+      ambiguous
+    });
+  } catch (error) {
+    console.error('Allocation create error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to allocate' });
+  }
+});
+
+router.delete('/allocations/:allocationId', requireManageAgents, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.allocationId)) {
+      return res.status(404).json({ success: false, message: 'Allocation not found' });
+    }
+    const allocation = await getAgentAllocationModel(req.tenantConn).findByIdAndDelete(req.params.allocationId).lean();
+    if (!allocation) return res.status(404).json({ success: false, message: 'Allocation not found' });
+    await auditEntry(req, AUDIT_ACTIONS.ALLOCATION_DELETE, { type: 'repo_agent', id: allocation.agentId, label: allocation.agentName }, {
+      metadata: { kind: allocation.kind, vehicleType: allocation.vehicleType, fileName: allocation.fileName, regNo: allocation.regNo }
+    });
+    return res.json({ success: true, message: 'Allocation removed' });
+  } catch (error) {
+    console.error('Allocation delete error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to remove allocation' });
+  }
+});
+
+// Territories with their agents
+router.get('/', requireManageAgents, async (req, res) => {
+  try {
+    const territories = await getTerritoryModel(req.tenantConn).find({}).sort({ name: 1 }).lean();
+    const agents = await findAgents(req.tenantConn, territories.flatMap(t => t.agentIds || []));
+    const byId = new Map(agents.map(a => [String(a._id), a]));
+    return res.json({
+      success: true,
+      data: territories.map(t => ({ ...t, agents: (t.agentIds || []).map(id => byId.get(String(id))).filter(Boolean) })),
+      mode: resolveAgentScopeMode(req.tenant),
+      modes: AGENT_SCOPE_LABELS
+    });
+  } catch (error) {
+    console.error('Territory list error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load territories' });
+  }
+});
+
+const readTerritoryBody = async (req) => {
+  const fields = {};
+  if (req.body.name !== undefined) fields.name = String(req.body.name || '').trim();
+  if (req.body.description !== undefined) fields.description = String(req.body.description || '').trim();
+  const criteria = parseTerritoryCriteria(req.body);
+  for (const key of Object.keys(criteria)) {
+    if (req.body[key] !== undefined) fields[key] = criteria[key];
+  }
+  if (req.body.agentIds !== undefined) {
+    fields.agentIds = (await findAgents(req.tenantConn, req.body.agentIds)).map(a => a._id);
+  }
+  return fields;
+};
+
+const TERRITORY_FIELDS = ['name', 'description', 'zones', 'branches', 'cities', 'pincodes', 'agentIds'];
+
+const sendTerritoryError = (res, error, message) => {
+  if (error?.code === 11000) return res.status(409).json({ success: false, message: 'A territory with this name already exists' });
+  if (error?.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+  return res.status(500).json({ success: false, message });
+};
+
+router.post('/', requireManageAgents, async (req, res) => {
+  try {
+    const fields = await readTerritoryBody(req);
+    if (!fields.name) return res.status(400).json({ success: false, message: 'Territory name is required' });
+    if (!['zones', 'branches', 'cities', 'pincodes'].some(key => fields[key]?.length)) {
+      return res.status(400).json({ success: false, message: 'Add at least one zone, branch, city or pincode' });
+    }
+    const territory = await getTerritoryModel(req.tenantConn).create({ ...fields, createdBy: String(req.user.userId) });
+    await auditEntry(req, AUDIT_ACTIONS.TERRITORY_CREATE, { type: 'territory', id: territory._id, label: territory.name }, {
+      changes: diffChanges({}, territory, { fields: TERRITORY_FIELDS })
+    });
+    console.log(`🗺️ Territory created: ${territory.name}`);
+    return res.status(201).json({ success: true, message: 'Territory created', data: territory });
+  } catch (error) {
+    console.error('Territory create error:', error);
+    return sendTerritoryError(res, error, 'Failed to create territory');
+  }
+});
+
+router.put('/:id', requireManageAgents, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, message: 'Territory not found' });
+    const fields = await readTerritoryBody(req);
+    if (fields.name === '') return res.status(400).json({ success: false, message: 'Territory name is required' });
+    const Territory = getTerritoryModel(req.tenantConn);
+    const previous = await Territory.findById(req.params.id).lean();
+    const territory = await Territory.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true }).lean();
+    if (!territory) return res.status(404).json({ success: false, message: 'Territory not found' });
+    await auditEntry(req, AUDIT_ACTIONS.TERRITORY_UPDATE, { type: 'territory', id: territory._id, label: territory.name }, {
+      changes: diffChanges(previous, territory, { fields: TERRITORY_FIELDS })
+    });
+    return res.json({ success: true, message: 'Territory updated', data: territory });
+  } catch (error) {
+    console.error('Territory update error:', error);
+    return sendTerritoryError(res, error, 'Failed to update territory');
+  }
+});
+
+router.delete('/:id', requireManageAgents, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, message: 'Territory not found' });
+    const territory = await getTerritoryModel(req.tenantConn).findByIdAndDelete(req.params.id).lean();
+    if (!territory) return res.status(404).json({ success: false, message: 'Territory not found' });
+    await auditEntry(req, AUDIT_ACTIONS.TERRITORY_DELETE, { type: 'territory', id: territory._id, label: territory.name }, {
+      changes: diffChanges(territory, {}, { fields: TERRITORY_FIELDS })
+    });
+    return res.json({ success: true, message: 'Territory deleted' });
+  } catch (error) {
+    console.error('Territory delete error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete territory' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,16 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { unifiedLogin, getUnifiedProfile } = require('../controllers/unifiedAuthController');
+const {
+  unifiedLogin,
+  logout,
+  refreshToken,
+  getUnifiedProfile,
+  requestOtp,
+  loginWithOtp,
+  resetPasswordWithOtp,
+  requestPhoneVerification,
+  verifyPhone
+} = require('../controllers/unifiedAuthController');
 const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
 
 const router = express.Router();
@@ -18,6 +28,15 @@ const loginValidation = [
 // Routes
 router.post('/login', loginValidation, unifiedLogin);
 router.get('/profile', authenticateUnifiedToken, getUnifiedProfile);
+router.post('/logout', authenticateUnifiedToken, logout);
+// Rotates the refresh token; the old one stops working
+router.post('/refresh', refreshToken);
 
-module.exports = router;
+// SMS one-time codes: passwordless login, password reset and first-login phone verification
+router.post('/otp/request', requestOtp);
+router.post('/otp/login', loginWithOtp);
+router.post('/otp/reset-password', resetPasswordWithOtp);
+router.post('/otp/verify-phone/request', authenticateUnifiedToken, requestPhoneVerification);
+router.post('/otp/verify-phone', authenticateUnifiedToken, verifyPhone);
 
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { authenticateUnifiedToken } = require('../middleware/unifiedAuth');
 
 // Optional Jimp import for image compression
@@ -46,6 +47,24 @@ const paymentScreenshotStorage = multer.diskStorage({
   }
 });
 
+// Disk storage under uploads/<folder>/<tenant>/ with unguessable file names
+const tenantDiskStorage = (folder, prefix, defaultExt) => multer.diskStorage({
+  destination: function (req, file, cb) {
+    const tenantDir = String(req.user?.tenantName || 'shared').replace(/[^a-zA-Z0-9_-]/g, '_');
+    const uploadDir = path.join(__dirname, '..', 'uploads', folder, tenantDir);
+    ensureDir(uploadDir);
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const ext = path.extname(file.originalname) || defaultExt;
+    const base = prefix + '_' + Date.now() + '_' + crypto.randomBytes(8).toString('hex');
+    cb(null, base + ext);
+  }
+});
+
+// Public URL for a file stored by tenantDiskStorage
+const tenantFileUrl = (folder, file) => `/uploads/${folder}/${path.basename(file.destination)}/${file.filename}`;
+
 const qrUpload = multer({ 
   storage: qrStorage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
@@ -70,6 +89,67 @@ const paymentScreenshotUpload = multer({
   }
 });
 
+const seizurePhotoUpload = multer({
+  storage: tenantDiskStorage('seizure_photos', 'seizure', '.jpg'),
+  limits: { fileSize: 10 * 1024 * 1024, files: 12 }, // 10MB each, 12 photos max
+  fileFilter: (req, file, cb) => {
+    const allowed = ['image/png', 'image/jpeg', 'image/webp', 'image/jpg'];
+    if (!allowed.includes(file.mimetype)) {
+      return cb(new Error('Only PNG, JPEG, WEBP allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+const matchPhotoUpload = multer({
+  storage: tenantDiskStorage('match_photos', 'match', '.jpg'),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    const allowed = ['image/png', 'image/jpeg', 'image/webp', 'image/jpg'];
+    if (!allowed.includes(file.mimetype)) {
+      return cb(new Error('Only PNG, JPEG, WEBP allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+const releaseLetterUpload = multer({
+  storage: tenantDiskStorage('release_letters', 'release', '.pdf'),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    const allowed = ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg'];
+    if (!allowed.includes(file.mimetype)) {
+      return cb(new Error('Only PDF, PNG, JPEG allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// Shrink large photos in place; keeps the original if Jimp is missing or fails
+const compressImage = async (filePath, label = 'Image') => {
+  const originalSize = fs.statSync(filePath).size;
+  if (!Jimp) {
+    console.log(`⚠️  ${label} compression skipped (Jimp not installed). Original file size:`, (originalSize / 1024 / 1024).toFixed(2), 'MB');
+    return;
+  }
+  try {
+    const image = await Jimp.read(filePath);
+
+    // Resize if image is too large (max width 1920px, maintain aspect ratio)
+    if (image.bitmap.width > 1920) {
+      image.resize(1920, Jimp.AUTO);
+    }
+
+    // Compress with high quality (85% quality, good balance between size and quality)
+    await image.quality(85).writeAsync(filePath);
+
+    const newSize = fs.statSync(filePath).size;
+    console.log(`${label} compressed: ${(originalSize / 1024 / 1024).toFixed(2)}MB -> ${(newSize / 1024 / 1024).toFixed(2)}MB`);
+  } catch (compressErr) {
+    console.error('Image compression error (continuing with original):', compressErr);
+  }
+};
+
 // Upload tenant QR image
 router.post('/tenant-qr', authenticateUnifiedToken, qrUpload.single('file'), async (req, res) => {
   try {
@@ -91,32 +171,8 @@ router.post('/payment-screenshot', authenticateUnifiedToken, paymentScreenshotUp
       return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    const filePath = req.file.path;
-    const originalSize = req.file.size;
-    
     // Compress image if Jimp is available
-    if (Jimp) {
-      try {
-        // Compress image while maintaining quality
-        const image = await Jimp.read(filePath);
-        
-        // Resize if image is too large (max width 1920px, maintain aspect ratio)
-        if (image.bitmap.width > 1920) {
-          image.resize(1920, Jimp.AUTO);
-        }
-        
-        // Compress with high quality (85% quality, good balance between size and quality)
-        await image.quality(85).writeAsync(filePath);
-        
-        const newSize = fs.statSync(filePath).size;
-        console.log(`Screenshot compressed: ${(originalSize / 1024 / 1024).toFixed(2)}MB -> ${(newSize / 1024 / 1024).toFixed(2)}MB`);
-      } catch (compressErr) {
-        console.error('Image compression error (continuing with original):', compressErr);
-        // Continue with original file if compression fails
-      }
-    } else {
-      console.log('⚠️  Image compression skipped (Jimp not installed). Original file size:', (originalSize / 1024 / 1024).toFixed(2), 'MB');
-    }
+    await compressImage(req.file.path, 'Screenshot');
 
     const urlPath = `/uploads/payment_screenshots/${req.file.filename}`;
     return res.json({ success: true, url: urlPath, filename: req.file.filename });
@@ -130,5 +186,10 @@ router.post('/payment-screenshot', authenticateUnifiedToken, paymentScreenshotUp
 });
 
 module.exports = router;
+module.exports.seizurePhotoUpload = seizurePhotoUpload;
+module.exports.releaseLetterUpload = releaseLetterUpload;
+module.exports.matchPhotoUpload = matchPhotoUpload;
+module.exports.tenantFileUrl = tenantFileUrl;
+module.exports.compressImage = compressImage;
 
 
@@ -0,0 +1,443 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const { authenticateUnifiedToken, requirePermission } = require('../middleware/unifiedAuth');
+const { releaseLetterUpload, tenantFileUrl } = require('./uploads');
+const getYardModel = require('../models/Yard');
+const getYardEntryModel = require('../models/YardEntry');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const { ACTOR_ROLES, getActorRole, describeStatusChangeError } = require('../utils/vehicleLifecycle');
+const { PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit, diffChanges } = require('../utils/auditLog');
+const { requirePlanFeature } = require('../middleware/subscription');
+
+router.use(authenticateUnifiedToken, requirePlanFeature('yardManagement'));
+
+const resolveTenant = async (user) => {
+  let tenant = null;
+  if (user?.tenantId) tenant = await Tenant.findById(user.tenantId);
+  if (!tenant && user?.tenantName) tenant = await Tenant.findOne({ name: user.tenantName });
+  return tenant;
+};
+
+const toActor = (user) => ({
+  actorId: String(user.userId || user.agentId || user.staffId || ''),
+  actorType: user.userType,
+  name: user.mainUser?.name || user.name || ''
+});
+
+// Creating, editing and removing yards: admins and staff holding the manage yards permission
+const requireManageYards = requirePermission(PERMISSIONS.MANAGE_YARDS);
+
+const requireStaff = (req, res, next) => {
+  const role = getActorRole(req.user);
+  if (role !== ACTOR_ROLES.ADMIN && role !== ACTOR_ROLES.OFFICE_STAFF) {
+    return res.status(403).json({ success: false, message: 'Only office staff can update yard inventory' });
+  }
+  next();
+};
+
+// Attach the tenant connection and yard models for the handlers below
+const withTenantDB = async (req, res, next) => {
+  try {
+    const tenant = await resolveTenant(req.user);
+    if (!tenant) return res.status(404).json({ success: false, message: 'Tenant not found' });
+    const conn = await getTenantDB(tenant.name);
+    req.tenantDB = { tenant, conn, Yard: getYardModel(conn), YardEntry: getYardEntryModel(conn) };
+    next();
+  } catch (error) {
+    console.error('Yard tenant lookup error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load tenant' });
+  }
+};
+
+router.use(withTenantDB);
+
+// Audit log entry for a yard change
+const auditYard = (req, action, yard, changes) => recordAudit(req, {
+  action,
+  tenantId: req.tenantDB.tenant._id,
+  tenantName: req.tenantDB.tenant.name,
+  target: { type: 'yard', id: yard._id, label: yard.name },
+  changes
+});
+
+const pickYardFields = (body = {}) => {
+  const fields = {};
+  for (const key of ['name', 'address', 'city', 'contactName', 'contactPhone', 'notes']) {
+    if (body[key] !== undefined) fields[key] = String(body[key] || '').trim();
+  }
+  if (body.capacity !== undefined) fields.capacity = Number(body.capacity);
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+  return fields;
+};
+
+// Vehicles currently parked per yard
+const getOccupancyByYard = async (YardEntry) => {
+  const rows = await YardEntry.aggregate([
+    { $match: { status: 'in_yard' } },
+    { $group: { _id: '$yardId', occupied: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(r => [String(r._id), r.occupied]));
+};
+
+const withOccupancy = (yard, occupancy) => {
+  const occupied = occupancy.get(String(yard._id)) || 0;
+  return {
+    ...yard,
+    occupied,
+    available: Math.max(0, (yard.capacity || 0) - occupied),
+    utilization: yard.capacity ? Math.round((occupied / yard.capacity) * 100) : 0
+  };
+};
+
+const sendYardError = (res, error, fallback) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A yard with this name already exists' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// Take a parking space in a yard. The counter only moves while the yard has room, so
+// simultaneous check-ins cannot overfill it. Resolves to null when the yard is full.
+const reserveYardSpace = async (Yard, YardEntry, yard) => {
+  if (typeof yard.occupancy !== 'number') {
+    const occupied = await YardEntry.countDocuments({ yardId: yard._id, status: 'in_yard' });
+    await Yard.updateOne({ _id: yard._id, occupancy: { $exists: false } }, { $set: { occupancy: occupied } });
+  }
+  return Yard.findOneAndUpdate(
+    { _id: yard._id, isActive: true, $expr: { $lt: ['$occupancy', '$capacity'] } },
+    { $inc: { occupancy: 1 } },
+    { new: true }
+  ).lean();
+};
+
+const releaseYardSpace = (Yard, yardId) => Yard.updateOne({ _id: yardId, occupancy: { $gt: 0 } }, { $inc: { occupancy: -1 } });
+
+// Audit log entry for a vehicle moving in or out of a yard
+const auditYardEntry = (req, action, entry, metadata) => recordAudit(req, {
+  action,
+  tenantId: req.tenantDB.tenant._id,
+  tenantName: req.tenantDB.tenant.name,
+  target: { type: 'vehicle', id: entry.vehicleId, label: entry.registrationNumber || entry.chassisNumber || String(entry.vehicleId) },
+  metadata: { yardId: entry.yardId, yardName: entry.yardName, entryId: entry._id, ...metadata }
+});
+
+// Same status-change error shape as /api/tenant/data/vehicle/:id/status
+const sendStatusChangeError = (res, result) => {
+  const { status, body } = describeStatusChangeError(result);
+  return res.status(status).json(body);
+};
+
+// List yards with live occupancy (?active=true for active yards only)
+router.get('/', async (req, res) => {
+  try {
+    const { Yard, YardEntry } = req.tenantDB;
+    const filter = req.query.active === 'true' ? { isActive: true } : {};
+    const [yards, occupancy] = await Promise.all([
+      Yard.find(filter).sort({ name: 1 }).lean(),
+      getOccupancyByYard(YardEntry)
+    ]);
+    return res.json({ success: true, data: yards.map(y => withOccupancy(y, occupancy)) });
+  } catch (error) {
+    console.error('Yard list error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to get yards' });
+  }
+});
+
+// Dashboard summary: totals across active yards plus the latest movements
+router.get('/occupancy', async (req, res) => {
+  try {
+    const { Yard, YardEntry } = req.tenantDB;
+    const [yards, occupancy, recentCheckIns, recentCheckOuts] = await Promise.all([
+      Yard.find({ isActive: true }).sort({ name: 1 }).lean(),
+      getOccupancyByYard(YardEntry),
+      YardEntry.find({}).sort({ checkInAt: -1 }).limit(5).lean(),
+      YardEntry.find({ status: 'checked_out' }).sort({ checkOutAt: -1 }).limit(5).lean()
+    ]);
+    const data = yards.map(y => withOccupancy(y, occupancy));
+    const capacity = data.reduce((sum, y) => sum + (y.capacity || 0), 0);
+    const occupied = data.reduce((sum, y) => sum + y.occupied, 0);
+    const awaitingLetter = await YardEntry.countDocuments({ status: 'in_yard', 'releaseLetter.url': { $exists: false } });
+    return res.json({
+      success: true,
+      data: {
+        yards: data,
+        totals: {
+          yards: data.length,
+          capacity,
+          occupied,
+          available: Math.max(0, capacity - occupied),
+          utilization: capacity ? Math.round((occupied / capacity) * 100) : 0,
+          awaitingLetter
+        },
+        recentCheckIns,
+        recentCheckOuts,
+        generatedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Yard occupancy error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to get yard occupancy' });
+  }
+});
+
+router.post('/', requireManageYards, async (req, res) => {
+  try {
+    const { Yard } = req.tenantDB;
+    const fields = pickYardFields(req.body);
+    if (!fields.name) return res.status(400).json({ success: false, message: 'Yard name is required' });
+    if (!Number.isInteger(fields.capacity) || fields.capacity < 1) {
+      return res.status(400).json({ success: false, message: 'Capacity must be a whole number of at least 1' });
+    }
+    const yard = await Yard.create({ ...fields, createdBy: toActor(req.user).actorId });
+    console.log(`🅿️ Yard created: ${yard.name} (capacity ${yard.capacity})`);
+    await auditYard(req, AUDIT_ACTIONS.YARD_CREATE, yard, diffChanges({}, fields));
+    return res.status(201).json({ success: true, message: 'Yard created', data: withOccupancy(yard.toObject(), new Map()) });
+  } catch (error) {
+    console.error('Yard create error:', error);
+    return sendYardError(res, error, 'Failed to create yard');
+  }
+});
+
+router.put('/:id', requireManageYards, async (req, res) => {
+  try {
+    const { Yard, YardEntry } = req.tenantDB;
+    const fields = pickYardFields(req.body);
+    if (fields.name === '') return res.status(400).json({ success: false, message: 'Yard name is required' });
+    if (fields.capacity !== undefined) {
+      if (!Number.isInteger(fields.capacity) || fields.capacity < 1) {
+        return res.status(400).json({ success: false, message: 'Capacity must be a whole number of at least 1' });
+      }
+      const occupied = await YardEntry.countDocuments({ yardId: req.params.id, status: 'in_yard' });
+      if (fields.capacity < occupied) {
+        return res.status(409).json({ success: false, message: `Capacity cannot be below the ${occupied} vehicle(s) currently parked` });
+      }
+    }
+    const previous = await Yard.findById(req.params.id).lean();
+    const yard = await Yard.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true }).lean();
+    if (!yard) return res.status(404).json({ success: false, message: 'Yard not found' });
+    await auditYard(req, AUDIT_ACTIONS.YARD_UPDATE, yard, diffChanges(previous, yard, { fields: Object.keys(fields) }));
+    const occupancy = await getOccupancyByYard(YardEntry);
+    return res.json({ success: true, message: 'Yard updated', data: withOccupancy(yard, occupancy) });
+  } catch (error) {
+    console.error('Yard update error:', error);
+    return sendYardError(res, error, 'Failed to update yard');
+  }
+});
+
+// Yards keep their history, so "delete" only deactivates an empty yard
+router.delete('/:id', requireManageYards, async (req, res) => {
+  try {
+    const { Yard, YardEntry } = req.tenantDB;
+    const occupied = await YardEntry.countDocuments({ yardId: req.params.id, status: 'in_yard' });
+    if (occupied > 0) {
+      return res.status(409).json({ success: false, message: `Yard still holds ${occupied} vehicle(s)` });
+    }
+    const yard = await Yard.findByIdAndUpdate(req.params.id, { $set: { isActive: false } }, { new: true }).lean();
+    if (!yard) return res.status(404).json({ success: false, message: 'Yard not found' });
+    await auditYard(req, AUDIT_ACTIONS.YARD_DELETE, yard, [{ field: 'isActive', before: true, after: false }]);
+    return res.json({ success: true, message: 'Yard deactivated', data: yard });
+  } catch (error) {
+    console.error('Yard deactivate error:', error);
+    return sendYardError(res, error, 'Failed to deactivate yard');
+  }
+});
+
+// Entries of a yard (?status=in_yard|checked_out, default in_yard)
+router.get('/:id/entries', async (req, res) => {
+  try {
+    const { YardEntry } = req.tenantDB;
+    const status = req.query.status === 'checked_out' ? 'checked_out' : 'in_yard';
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = await YardEntry.find({ yardId: req.params.id, status })
+      .sort(status === 'in_yard' ? { checkInAt: -1 } : { checkOutAt: -1 })
+      .limit(limit)
+      .lean();
+    return res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Yard entries error:', error);
+    return sendYardError(res, error, 'Failed to get yard entries');
+  }
+});
+
+// Yard stays of a single vehicle, newest first
+router.get('/vehicle/:vehicleId/entries', async (req, res) => {
+  try {
+    const { YardEntry } = req.tenantDB;
+    const entries = await YardEntry.find({ vehicleId: req.params.vehicleId }).sort({ checkInAt: -1 }).lean();
+    return res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Vehicle yard entries error:', error);
+    return sendYardError(res, error, 'Failed to get yard entries');
+  }
+});
+
+// Check a vehicle (status Hold) into a yard, moving it to In Yard
+router.post('/:id/check-in', requireStaff, async (req, res) => {
+  try {
+    const { conn, Yard, YardEntry } = req.tenantDB;
+    const { vehicleId, vehicleType, notes } = req.body || {};
+    if (!mongoose.isValidObjectId(vehicleId)) {
+      return res.status(400).json({ success: false, message: 'vehicleId is required' });
+    }
+
+    const yard = await Yard.findById(req.params.id).lean();
+    if (!yard || !yard.isActive) return res.status(404).json({ success: false, message: 'Yard not found or inactive' });
+
+    if (!(await reserveYardSpace(Yard, YardEntry, yard))) {
+      return res.status(409).json({ success: false, message: `${yard.name} is full (${yard.capacity}/${yard.capacity})` });
+    }
+
+    // From here on the space is held: give it back, and put the vehicle's status back, when
+    // the check-in does not go through
+    let result = null;
+    let entry;
+    try {
+      result = await vehicleRepository.changeVehicleStatus(conn, vehicleId, 'In Yard', {
+        actor: req.user,
+        note: notes || `Checked in to ${yard.name}`,
+        vehicleType,
+        yard
+      });
+      if (!result.ok || result.unchanged) {
+        await releaseYardSpace(Yard, yard._id);
+        if (!result.ok) return sendStatusChangeError(res, result);
+        return res.status(409).json({ success: false, message: `Vehicle is already in ${result.vehicle.yardName || 'a yard'}` });
+      }
+
+      entry = await YardEntry.create({
+        yardId: yard._id,
+        yardName: yard.name,
+        vehicleId: result.vehicle._id,
+        vehicleType: result.vehicleType,
+        registrationNumber: result.vehicle.registrationNumber || '',
+        chassisNumber: result.vehicle.chassisNumber || '',
+        bankName: result.vehicle.bankName || '',
+        checkedInBy: toActor(req.user),
+        checkInNotes: notes || ''
+      });
+    } catch (error) {
+      if (result?.ok && !result.unchanged) {
+        await vehicleRepository.revertVehicleStatusChange(conn, result).catch(e => console.error('Yard check-in rollback error:', e));
+      }
+      await releaseYardSpace(Yard, yard._id).catch(e => console.error('Yard space release error:', e));
+      throw error;
+    }
+
+    await auditYardEntry(req, AUDIT_ACTIONS.YARD_CHECK_IN, entry, { fromStatus: result.history?.fromStatus, notes: notes || undefined });
+    console.log(`🅿️ ${entry.registrationNumber || entry.vehicleId} checked in to ${yard.name}`);
+    return res.status(201).json({ success: true, message: `Vehicle checked in to ${yard.name}`, data: entry });
+  } catch (error) {
+    console.error('Yard check-in error:', error);
+    return sendYardError(res, error, 'Failed to check in vehicle');
+  }
+});
+
+// Turn multer errors (size, type) into 400 responses
+const receiveReleaseLetter = (req, res, next) => {
+  releaseLetterUpload.single('letter')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message || 'Invalid release letter' });
+    }
+    next();
+  });
+};
+
+// Attach the bank release letter to an open yard entry (multipart: letter)
+router.post('/entries/:entryId/release-letter', requireStaff, receiveReleaseLetter, async (req, res) => {
+  const file = req.file;
+  try {
+    const { YardEntry } = req.tenantDB;
+    if (!file) return res.status(400).json({ success: false, message: 'Release letter file is required' });
+
+    const entry = await YardEntry.findOneAndUpdate(
+      { _id: req.params.entryId, status: 'in_yard' },
+      {
+        $set: {
+          releaseLetter: {
+            url: tenantFileUrl('release_letters', file),
+            filename: file.filename,
+            originalName: file.originalname,
+            size: file.size,
+            uploadedAt: new Date(),
+            uploadedBy: toActor(req.user)
+          }
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!entry) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+      return res.status(404).json({ success: false, message: 'Open yard entry not found' });
+    }
+
+    console.log(`📄 Release letter attached for ${entry.registrationNumber || entry.vehicleId}`);
+    return res.json({ success: true, message: 'Release letter uploaded', data: entry });
+  } catch (error) {
+    if (file) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+    }
+    console.error('Release letter upload error:', error);
+    return sendYardError(res, error, 'Failed to upload release letter');
+  }
+});
+
+// Check a vehicle out of its yard: Released (needs the release letter) or Cancelled
+router.post('/entries/:entryId/check-out', requireStaff, async (req, res) => {
+  try {
+    const { conn, Yard, YardEntry } = req.tenantDB;
+    const { outcome = 'Released', releasedTo, notes } = req.body || {};
+    if (!['Released', 'Cancelled'].includes(outcome)) {
+      return res.status(400).json({ success: false, message: 'Outcome must be Released or Cancelled' });
+    }
+
+    const entry = await YardEntry.findOne({ _id: req.params.entryId, status: 'in_yard' }).lean();
+    if (!entry) return res.status(404).json({ success: false, message: 'Open yard entry not found' });
+    if (outcome === 'Released' && !String(releasedTo || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Enter who the vehicle is released to' });
+    }
+
+    const result = await vehicleRepository.changeVehicleStatus(conn, entry.vehicleId, outcome, {
+      actor: req.user,
+      note: notes || `Checked out of ${entry.yardName}`,
+      vehicleType: entry.vehicleType,
+      yardCheckout: true,
+      releaseLetter: entry.releaseLetter
+    });
+    if (!result.ok) return sendStatusChangeError(res, result);
+
+    const updated = await YardEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'in_yard' },
+      {
+        $set: {
+          status: 'checked_out',
+          checkOutAt: new Date(),
+          checkedOutBy: toActor(req.user),
+          outcome,
+          releasedTo: String(releasedTo || '').trim(),
+          checkOutNotes: notes || ''
+        }
+      },
+      { new: true }
+    ).lean();
+    if (updated) {
+      await releaseYardSpace(Yard, entry.yardId);
+      await auditYardEntry(req, AUDIT_ACTIONS.YARD_CHECK_OUT, updated, { outcome, releasedTo: updated.releasedTo || undefined, notes: notes || undefined });
+    }
+
+    console.log(`🚗 ${entry.registrationNumber || entry.vehicleId} checked out of ${entry.yardName} (${outcome})`);
+    return res.json({ success: true, message: `Vehicle ${outcome === 'Released' ? 'released' : 'cancelled'} and checked out`, data: updated });
+  } catch (error) {
+    console.error('Yard check-out error:', error);
+    return sendYardError(res, error, 'Failed to check out vehicle');
+  }
+});
+
+module.exports = router;
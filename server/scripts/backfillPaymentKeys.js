@@ -0,0 +1,92 @@
+/**
+ * Backfill script for payment lookup fields added after payments were first stored.
+ *
+ * Payments saved before these fields existed are missed by the checks that read them:
+ * - transactionIdKey: upper-cased transactionId, used to reject a reused UTR in any letter case
+ * - screenshotHashBands: indexed bands of screenshotHash, used to find reused screenshots
+ *
+ * Safe to run multiple times; only payments missing a field are touched.
+ *
+ * Usage:
+ * - Run normally: node server/scripts/backfillPaymentKeys.js
+ * - Dry run (count only): node server/scripts/backfillPaymentKeys.js --dry-run
+ *
+ * Two payments whose UTRs differ only in case cannot share a transactionIdKey. The later one
+ * is left without the key and reported, so an approver can review it.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Payment = require('../models/Payment');
+const { connectDB } = require('../config/database');
+
+async function backfillPaymentKeys() {
+  try {
+    await connectDB();
+    console.log(`[${new Date().toISOString()}] Starting payment keys backfill...`);
+
+    const isDryRun = process.argv.includes('--dry-run');
+    const filter = {
+      $or: [
+        { transactionIdKey: { $exists: false } },
+        { screenshotHash: { $exists: true, $ne: null }, screenshotHashBands: { $exists: false } }
+      ]
+    };
+
+    if (isDryRun) {
+      const pending = await Payment.countDocuments(filter);
+      console.log(`[${new Date().toISOString()}] 🔍 Dry run mode. Payments to backfill: ${pending}`);
+      return process.exit(0);
+    }
+
+    let updated = 0;
+    const conflicts = [];
+    const cursor = Payment.find(filter)
+      .sort({ createdAt: 1 })
+      .select('transactionId transactionIdKey screenshotHash screenshotHashBands')
+      .lean()
+      .cursor();
+
+    for await (const payment of cursor) {
+      const set = {};
+      if (!payment.transactionIdKey && payment.transactionId) {
+        set.transactionIdKey = Payment.normalizeTransactionId(payment.transactionId);
+      }
+      if (payment.screenshotHash && !payment.screenshotHashBands) {
+        const bands = Payment.screenshotHashBands(payment.screenshotHash);
+        if (bands) set.screenshotHashBands = bands;
+      }
+      if (!Object.keys(set).length) continue;
+
+      try {
+        await Payment.updateOne({ _id: payment._id }, { $set: set });
+        updated++;
+      } catch (error) {
+        if (error.code !== 11000 || !set.transactionIdKey) throw error;
+        // Keep the other field; the reused UTR is reported below
+        delete set.transactionIdKey;
+        if (Object.keys(set).length) await Payment.updateOne({ _id: payment._id }, { $set: set });
+        conflicts.push(payment);
+      }
+    }
+
+    console.log(`[${new Date().toISOString()}] ✅ Payments backfilled: ${updated}`);
+    conflicts.forEach(payment => {
+      console.warn(`[${new Date().toISOString()}] ⚠️ Payment ${payment._id} reuses UTR ${payment.transactionId} in a different case; left without transactionIdKey`);
+    });
+
+    console.log(`[${new Date().toISOString()}] Payment keys backfill completed successfully!`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ❌ Error backfilling payment keys:`, error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log(`[${new Date().toISOString()}] Database connection closed`);
+  }
+}
+
+backfillPaymentKeys().catch(err => {
+  console.error(`[${new Date().toISOString()}] Unhandled error:`, err);
+  process.exit(1);
+});
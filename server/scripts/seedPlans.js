@@ -1,8 +1,9 @@
 /**
  * Seed script for populating default subscription plans in the database.
  * 
- * This script creates or updates three default subscription plans: Basic, Premium, and Enterprise.
- * It uses upsert logic to ensure idempotency - safe to run multiple times.
+ * This script creates three default subscription plans: Basic, Premium, and Enterprise.
+ * It uses upsert logic to ensure idempotency - safe to run multiple times. Plans that already
+ * exist are left as they are, so changes made in the admin plan editor survive a re-run.
  * 
  * Usage:
  * - Run normally: node server/scripts/seedPlans.js
@@ -10,7 +11,7 @@
  * - Dry run (preview only): node server/scripts/seedPlans.js --dry-run
  * 
  * Available flags:
- * - --force: Deletes all existing plans before seeding (use with caution)
+ * - --force: Deletes all existing plans before seeding, resetting them to these defaults (use with caution)
  * - --dry-run: Logs what would be seeded without modifying the database
  * 
  * Data seeded:
@@ -31,7 +32,8 @@ const defaultPlans = [
     description: 'Perfect for small teams getting started with vehicle data management',
     pricing: { weekly: 100, monthly: 350, quarterly: 900, yearly: 3000 },
     features: ['Basic search functionality', 'Up to 10 users', 'Email support', 'Mobile app access', 'Data export (CSV)', 'Basic reporting'],
-    limits: { maxUsers: 10, maxDataDownloads: 100, maxAPIcalls: 1000 },
+    featureFlags: { offlineSync: true, matchAlerts: false, yardManagement: false },
+    limits: { maxUsers: 10, maxBanks: 3, maxDataDownloads: 200000, maxAPIcalls: 1000 },
     isActive: true,
     displayOrder: 1,
     metadata: { recommended: false, color: '#3B82F6' }
@@ -42,7 +44,8 @@ const defaultPlans = [
     description: 'Advanced features for growing teams with higher volume needs',
     pricing: { weekly: 200, monthly: 700, quarterly: 1800, yearly: 6000 },
     features: ['Advanced search with filters', 'Up to 50 users', 'Priority email support', 'Mobile app access', 'Bulk operations', 'Data export (CSV, Excel, JSON)', 'Advanced reporting & analytics', 'API access', 'Custom field mapping', 'Data validation rules'],
-    limits: { maxUsers: 50, maxDataDownloads: 500, maxAPIcalls: 5000 },
+    featureFlags: { offlineSync: true, matchAlerts: true, yardManagement: false },
+    limits: { maxUsers: 50, maxBanks: 10, maxDataDownloads: 1000000, maxAPIcalls: 5000 },
     isActive: true,
     displayOrder: 2,
     metadata: { recommended: true, color: '#8B5CF6' }
@@ -53,13 +56,18 @@ const defaultPlans = [
     description: 'Complete solution for large organizations with unlimited access',
     pricing: { weekly: 400, monthly: 1400, quarterly: 3600, yearly: 12000 },
     features: ['All Premium features', 'Unlimited users', 'Dedicated account manager', '24/7 phone & email support', 'Unlimited bulk operations', 'All export formats', 'Custom integrations', 'White-label options', 'Advanced security features', 'SLA guarantee', 'Custom training', 'Priority feature requests'],
-    limits: { maxUsers: -1, maxDataDownloads: -1, maxAPIcalls: -1 },
+    featureFlags: { offlineSync: true, matchAlerts: true, yardManagement: true },
+    limits: { maxUsers: -1, maxBanks: -1, maxDataDownloads: -1, maxAPIcalls: -1 },
     isActive: true,
     displayOrder: 3,
     metadata: { recommended: false, color: '#F59E0B', badge: 'Most Popular' }
   }
 ];
 
+// Download limits the first seed used. They were far below one offline sync (limits count
+// records), so plans still on them are raised to the defaults above.
+const LEGACY_DOWNLOAD_LIMITS = { basic: 100, premium: 500 };
+
 async function seedPlans() {
   try {
     await connectDB();
@@ -81,16 +89,31 @@ async function seedPlans() {
         console.log(`Plan: ${plan.name} (${plan.code})`);
         console.log(`  Pricing: ${JSON.stringify(plan.pricing)}`);
         console.log(`  Features: ${plan.features.join(', ')}`);
+        console.log(`  Feature flags: ${JSON.stringify(plan.featureFlags)}`);
         console.log(`  Limits: ${JSON.stringify(plan.limits)}`);
         console.log('');
       });
       return;
     }
 
-    // Upsert logic ensures idempotency - updates if exists, inserts if not
+    // Upsert logic ensures idempotency - inserts if missing, leaves edited plans alone
     for (const plan of defaultPlans) {
-      await SubscriptionPlan.updateOne({ code: plan.code }, plan, { upsert: true });
-      console.log(`[${new Date().toISOString()}] ✅ Seeded/Updated plan: ${plan.name}`);
+      const result = await SubscriptionPlan.updateOne({ code: plan.code }, { $setOnInsert: plan }, { upsert: true });
+      if (result.upsertedCount) {
+        console.log(`[${new Date().toISOString()}] ✅ Seeded plan: ${plan.name}`);
+      } else if (LEGACY_DOWNLOAD_LIMITS[plan.code] !== undefined) {
+        const raised = await SubscriptionPlan.updateOne(
+          { code: plan.code, 'limits.maxDataDownloads': LEGACY_DOWNLOAD_LIMITS[plan.code] },
+          { $set: { 'limits.maxDataDownloads': plan.limits.maxDataDownloads } }
+        );
+        if (raised.modifiedCount) {
+          console.log(`[${new Date().toISOString()}] ⬆️ Raised download limit of ${plan.name} to ${plan.limits.maxDataDownloads} records`);
+        } else {
+          console.log(`[${new Date().toISOString()}] ⏭️ Plan already exists, left unchanged: ${plan.name}`);
+        }
+      } else {
+        console.log(`[${new Date().toISOString()}] ⏭️ Plan already exists, left unchanged: ${plan.name}`);
+      }
     }
 
     const plans = await SubscriptionPlan.find().sort({ displayOrder: 1 });
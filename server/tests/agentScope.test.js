@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { AGENT_SCOPES, buildTerritoryFilter, parseTerritoryCriteria, isVehicleInAgentScope } = require('../utils/agentScope');
+const { matches, fakeConnection } = require('./helpers/fakeMongo');
+
+const id = () => new mongoose.Types.ObjectId();
+const agentId = id();
+const agent = { userType: 'repo_agent', userId: String(agentId) };
+const territoryTenant = { settings: { agentVehicleScope: AGENT_SCOPES.TERRITORY } };
+
+const inTerritory = { _id: id(), location: 'Pune' };
+const allocated = { _id: id(), location: 'Nagpur' };
+const elsewhere = { _id: id(), location: 'Mumbai' };
+const conn = fakeConnection({
+  territories: [{ _id: id(), name: 'West', agentIds: [agentId], cities: ['pune'] }],
+  allocations: [{ agentId, kind: 'vehicle', vehicleType: 'TwoWheeler', vehicleId: allocated._id }],
+  vehicles: [inTerritory, allocated, elsewhere]
+});
+
+test('a territory-scoped agent may open vehicles in their territory or allocated to them', async () => {
+  assert.equal(await isVehicleInAgentScope(conn, territoryTenant, agent, inTerritory._id), true);
+  assert.equal(await isVehicleInAgentScope(conn, territoryTenant, agent, allocated._id), true);
+});
+
+test('a territory-scoped agent is refused vehicles outside their scope', async () => {
+  assert.equal(await isVehicleInAgentScope(conn, territoryTenant, agent, elsewhere._id), false);
+  assert.equal(await isVehicleInAgentScope(conn, territoryTenant, agent, 'not-an-id'), false);
+});
+
+test('an agent with neither territory nor allocations sees nothing', async () => {
+  const empty = fakeConnection({ vehicles: [inTerritory] });
+  assert.equal(await isVehicleInAgentScope(empty, territoryTenant, agent, inTerritory._id), false);
+});
+
+test('staff and agents of unrestricted tenants are never refused', async () => {
+  const staff = { userType: 'office_staff', userId: String(id()), role: 'Staff' };
+  assert.equal(await isVehicleInAgentScope(conn, territoryTenant, staff, elsewhere._id), true);
+  assert.equal(await isVehicleInAgentScope(conn, { settings: {} }, agent, elsewhere._id), true);
+  const ranked = { settings: { agentVehicleScope: AGENT_SCOPES.ALLOCATIONS_FIRST } };
+  assert.equal(await isVehicleInAgentScope(conn, ranked, agent, elsewhere._id), true);
+});
+
+test('territory criteria are cleaned and matched case-insensitively as whole words', () => {
+  const criteria = parseTerritoryCriteria({ cities: ' Pune, Pune ,', pincodes: '411001, 12345', zones: ['West'] });
+  assert.deepEqual(criteria, { zones: ['West'], branches: [], cities: ['Pune'], pincodes: ['411001'] });
+
+  const filter = buildTerritoryFilter([{ cities: ['Pune'], pincodes: ['411001'] }]);
+  assert.equal(matches({ location: ' PUNE ' }, filter), true);
+  assert.equal(matches({ address: 'Shivaji Nagar, Pune' }, filter), true);
+  assert.equal(matches({ address: 'Flat 2, 411001' }, filter), true);
+  assert.equal(matches({ address: 'Punekar Road, Nashik' }, filter), false);
+  assert.equal(buildTerritoryFilter([{ cities: [] }]), null);
+});
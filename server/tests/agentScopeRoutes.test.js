@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { fakeConnection } = require('./helpers/fakeMongo');
+
+const id = () => new mongoose.Types.ObjectId();
+const agentId = id();
+const agent = { userType: 'repo_agent', userId: String(agentId), tenantId: String(id()) };
+const tenant = { _id: agent.tenantId, name: 'acme', settings: { agentVehicleScope: 'territory' } };
+
+const inTerritory = { _id: id(), registrationNumber: 'MH12AB0001', location: 'Pune', createdAt: new Date() };
+const allocated = { _id: id(), registrationNumber: 'MH31CD0002', location: 'Nagpur', createdAt: new Date() };
+const elsewhere = { _id: id(), registrationNumber: 'MH01EF0003', location: 'Mumbai', createdAt: new Date() };
+const conn = fakeConnection({
+  territories: [{ _id: id(), name: 'West', agentIds: [agentId], cities: ['Pune'] }],
+  allocations: [{ agentId, kind: 'vehicle', vehicleType: 'TwoWheeler', vehicleId: allocated._id }],
+  vehicles: [inTerritory, allocated, elsewhere]
+});
+
+// The routers read the tenant and its database through these, so stub them before loading
+require('../config/database').getTenantDB = async () => conn;
+const Tenant = require('../models/Tenant');
+Tenant.findById = async () => tenant;
+Tenant.findOne = async () => tenant;
+
+const fileManagement = require('../routes/fileManagement');
+const bulkDownload = require('../routes/bulkDownload');
+
+// Run a route's own handler, past authentication and plan checks
+const call = async (router, method, path, req = {}) => {
+  const layer = router.stack.find(l => l.route?.path === path && l.route.methods[method]);
+  const handlers = layer.route.stack;
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = JSON.parse(body); return this; },
+    setHeader() {}
+  };
+  await handlers[handlers.length - 1].handle({ params: {}, query: {}, body: {}, user: agent, ...req }, res);
+  return res;
+};
+
+const idsOf = (rows) => rows.map(row => String(row._id)).sort();
+const visible = idsOf([inTerritory, allocated]);
+
+test('offline sync routes send a territory-scoped agent only their vehicles', async () => {
+  const chunk = await call(fileManagement, 'get', '/offline-chunk', { query: { col: 'two' } });
+  assert.deepEqual(idsOf(chunk.body.data), visible);
+
+  const dump = await call(fileManagement, 'get', '/offline-dump');
+  assert.deepEqual(idsOf(dump.body.data), visible);
+
+  const changed = await call(fileManagement, 'get', '/incremental-sync');
+  assert.deepEqual(idsOf(changed.body.data), visible);
+
+  const stats = await call(fileManagement, 'get', '/offline-stats');
+  assert.equal(stats.body.counts.two, 2);
+});
+
+test('bulk download routes send a territory-scoped agent only their vehicles', async () => {
+  const chunked = await call(bulkDownload, 'get', '/bulk-chunked', { query: { collection: 'two', compression: 'none' } });
+  assert.deepEqual(idsOf(chunked.body.data), visible);
+
+  const dump = await call(bulkDownload, 'get', '/simple-dump');
+  assert.deepEqual(idsOf(dump.body.data), visible);
+  assert.equal(dump.body.totalRecords, 2);
+
+  const byIds = await call(bulkDownload, 'post', '/by-ids', { body: { ids: [elsewhere._id, allocated._id] } });
+  assert.deepEqual(idsOf(byIds.body.data), [String(allocated._id)]);
+});
+
+test('vehicles outside the scope are answered as missing', async () => {
+  const detail = await call(fileManagement, 'get', '/vehicle/:id', { params: { id: String(elsewhere._id) } });
+  assert.equal(detail.statusCode, 404);
+
+  const confirm = await call(fileManagement, 'put', '/vehicle/:id/confirm', { params: { id: String(elsewhere._id) } });
+  assert.equal(confirm.statusCode, 404);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { maskValue, parseMaskingRules, resolveFieldPolicy } = require('../utils/fieldMasking');
+
+const agent = { userType: 'repo_agent', userId: 'a1' };
+const staff = { userType: 'office_staff', userId: 's1', role: 'Staff' };
+const admin = { userType: 'main_user', userId: 'u1', role: 'admin' };
+
+// A full bulk row: policy fields (branch stored as branchName) plus columns outside the policy
+const fullRow = {
+  _id: 'v1',
+  vehicleType: 'TwoWheeler',
+  regNo: 'MH12AB1234',
+  chassisNo: 'CHS0001234567',
+  customerName: 'Ravi Kumar',
+  bank: 'HDFC',
+  branchName: 'Pune Camp',
+  status: 'Pending',
+  firstConfirmerName: 'Suresh',
+  zone: 'West',
+  customerMobile: '9876543210'
+};
+
+const tenant = {
+  fieldMapping: { regNo: true, chassisNo: true, customerName: false, bank: true, branch: true },
+  fieldMaskingRules: [
+    { name: 'HDFC', roles: ['repo_agent', 'Staff'], banks: ['hdfc'], statuses: [], fields: { chassisNo: 'mask', branch: 'hide' } }
+  ]
+};
+
+test('agents get only the fields their policy shows, even from full bulk rows', () => {
+  const policy = resolveFieldPolicy(tenant, agent);
+  const row = policy.apply(fullRow, { hidden: 'omit', aliases: { branch: 'branchName' } });
+
+  assert.deepEqual(Object.keys(row).sort(), ['_id', 'bank', 'chassisNo', 'regNo', 'vehicleType']);
+  assert.equal(row.regNo, 'MH12AB1234');
+  assert.equal(row.chassisNo, '******4567');
+  assert.equal(row.firstConfirmerName, undefined);
+  assert.equal(row.customerMobile, undefined);
+});
+
+test('staff bulk rows keep their columns, with hidden fields blanked', () => {
+  const policy = resolveFieldPolicy(tenant, staff);
+  const row = policy.apply(fullRow, { hidden: 'empty', aliases: { branch: 'branchName' } });
+
+  assert.equal(row.customerName, 'Ravi Kumar');
+  assert.equal(row.chassisNo, '******4567');
+  assert.equal(row.branchName, '');
+  assert.equal(row.zone, 'West');
+});
+
+test('rules only apply to the banks and statuses they name', () => {
+  const policy = resolveFieldPolicy(tenant, staff);
+  const row = policy.apply({ ...fullRow, bank: 'ICICI' }, { aliases: { branch: 'branchName' } });
+  assert.equal(row.chassisNo, 'CHS0001234567');
+  assert.equal(row.branchName, 'Pune Camp');
+});
+
+test('agency admins see everything', () => {
+  const policy = resolveFieldPolicy(tenant, admin);
+  assert.equal(policy.restricted, false);
+  assert.equal(policy.apply(fullRow), fullRow);
+});
+
+test('masked values keep only what identifies a record to its owner', () => {
+  assert.equal(maskValue('9876543210', 'phone'), '******3210');
+  assert.equal(maskValue('Ravi Kumar', 'name'), 'R*** K***');
+  assert.equal(maskValue('12 MG Road, Camp, Pune', 'address'), '***, Pune');
+  assert.equal(maskValue('12500', 'full'), '***');
+});
+
+test('masking rules with unknown roles, fields or actions are rejected', () => {
+  assert.equal(parseMaskingRules([{ roles: ['Owner'], fields: { regNo: 'mask' } }]).ok, false);
+  assert.equal(parseMaskingRules([{ fields: { customerMobile: 'hide' } }]).ok, false);
+  assert.equal(parseMaskingRules([{ fields: { regNo: 'blur' } }]).ok, false);
+  assert.equal(parseMaskingRules([{ fields: { regNo: 'show' } }]).ok, false);
+  assert.equal(parseMaskingRules([{ roles: ['repo_agent'], fields: { regNo: 'mask' } }]).ok, true);
+});
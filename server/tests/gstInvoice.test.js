@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitGst } = require('../utils/gstInvoice');
+
+test('GST is taken out of the amount paid, never added on top', () => {
+  const split = splitGst(1180, { rate: 18, supplierStateCode: '27', recipientStateCode: '27' });
+  assert.equal(split.total, 1180);
+  assert.equal(split.taxableAmount, 1000);
+  assert.equal(split.cgst, 90);
+  assert.equal(split.sgst, 90);
+  assert.equal(split.igst, 0);
+  assert.equal(split.interState, false);
+});
+
+test('supplies to another state carry IGST', () => {
+  const split = splitGst(1180, { rate: 18, supplierStateCode: '27', recipientStateCode: '29' });
+  assert.equal(split.igst, 180);
+  assert.equal(split.cgst + split.sgst, 0);
+  assert.equal(split.interState, true);
+});
+
+test('rounding never changes the invoice total', () => {
+  for (const amount of [1, 99.99, 350, 701.5, 3000]) {
+    const split = splitGst(amount, { rate: 18, supplierStateCode: '27' });
+    assert.equal(split.total, amount);
+    assert.equal(Math.round((split.taxableAmount + split.cgst + split.sgst) * 100) / 100, amount);
+  }
+});
@@ -0,0 +1,64 @@
+// In-memory stand-ins for the Mongo queries the tested modules make
+
+const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : String(a) === String(b));
+const isOperator = (cond) => Boolean(cond) && typeof cond === 'object' && !(cond instanceof Date) && !(cond instanceof RegExp)
+  && Object.keys(cond).some(key => key.startsWith('$'));
+
+// Enough of a Mongo filter for the ones the app builds: $and, $or, $in (values or regexes),
+// $exists, $gt/$gte/$lt, null, regexes, and equality (matching any element of an array field)
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$and') return cond.every(f => matches(doc, f));
+  if (key === '$or') return cond.some(f => matches(doc, f));
+  const value = doc[key];
+  if (cond === null) return value === null || value === undefined;
+  if (cond instanceof RegExp) return cond.test(String(value ?? ''));
+  if (!isOperator(cond)) return [].concat(value).some(v => same(v, cond));
+  if (cond.$in && !cond.$in.some(c => [].concat(value).some(v => (c instanceof RegExp ? c.test(String(v ?? '')) : same(c, v))))) return false;
+  if ('$exists' in cond && (value !== undefined) !== cond.$exists) return false;
+  if ('$gt' in cond && !(value > cond.$gt)) return false;
+  if ('$gte' in cond && !(value >= cond.$gte)) return false;
+  if ('$lt' in cond && !(value < cond.$lt)) return false;
+  return true;
+});
+
+// Chainable query over the matching documents; lean() and await both resolve to them
+const fakeQuery = (found) => {
+  let docs = found;
+  const chain = {
+    sort(spec = {}) {
+      const [[field, dir] = []] = Object.entries(spec);
+      if (field) docs = [...docs].sort((a, b) => (String(a[field]) < String(b[field]) ? -dir : String(a[field]) > String(b[field]) ? dir : 0));
+      return chain;
+    },
+    skip(n) { docs = docs.slice(n); return chain; },
+    limit(n) { docs = n ? docs.slice(0, n) : docs; return chain; },
+    select() { return chain; },
+    lean: async () => docs,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Model whose collection holds the given documents
+const fakeModel = (docs) => ({
+  find: (filter = {}) => fakeQuery(docs.filter(d => matches(d, filter))),
+  findById: (id) => ({ lean: async () => docs.find(d => same(d._id, id)) || null }),
+  countDocuments: async (filter = {}) => docs.filter(d => matches(d, filter)).length,
+  exists: async (filter = {}) => {
+    const doc = docs.find(d => matches(d, filter));
+    return doc ? { _id: doc._id } : null;
+  }
+});
+
+// Tenant connection whose collections hold the given documents
+const fakeConnection = ({ territories = [], allocations = [], vehicles = [] }) => ({
+  models: {
+    Territory: fakeModel(territories),
+    AgentAllocation: fakeModel(allocations),
+    TwoWheelerVehicle: fakeModel(vehicles),
+    FourWheelerVehicle: fakeModel([]),
+    CommercialVehicle: fakeModel([])
+  }
+});
+
+module.exports = { same, matches, fakeQuery, fakeModel, fakeConnection };
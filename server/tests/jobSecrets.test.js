@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JOB_SECRET_KEY = 'test-job-secret';
+const { sealJobSecret, openJobSecret } = require('../utils/jobSecrets');
+
+test('sealed secrets open to the original and never contain it', () => {
+  const sealed = sealJobSecret('sheet-password');
+  assert.ok(!sealed.includes('sheet-password'));
+  assert.notEqual(sealJobSecret('sheet-password'), sealed);
+  assert.equal(openJobSecret(sealed), 'sheet-password');
+});
+
+test('no secret stays no secret', () => {
+  assert.equal(sealJobSecret(''), undefined);
+  assert.equal(sealJobSecret(undefined), undefined);
+  assert.equal(openJobSecret(undefined), undefined);
+});
+
+test('tampered secrets or another key fail to open', () => {
+  const sealed = sealJobSecret('sheet-password');
+  const parts = sealed.split(':');
+  parts[parts.length - 1] = Buffer.from('other-password').toString('base64');
+  assert.throws(() => openJobSecret(parts.join(':')));
+
+  process.env.JOB_SECRET_KEY = 'rotated-key';
+  try {
+    assert.throws(() => openJobSecret(sealed));
+  } finally {
+    process.env.JOB_SECRET_KEY = 'test-job-secret';
+  }
+});
+
+test('passwords queued before sealing are still read', () => {
+  assert.equal(openJobSecret('plain-password'), 'plain-password');
+});
@@ -0,0 +1,141 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.OTP_SECRET = 'test-otp-secret';
+process.env.SMS_PROVIDER = 'test';
+
+const OtpCode = require('../models/OtpCode');
+const { registerSmsProvider, sendSms } = require('../utils/smsProvider');
+const { OTP_MAX_ATTEMPTS, issueOtp, verifyOtp } = require('../utils/otp');
+const { same, matches } = require('./helpers/fakeMongo');
+
+// OtpCode kept in memory: enough of find/update for the queries utils/otp makes
+let codes = [];
+const sent = [];
+
+const query = (result) => ({
+  sort: () => query(result),
+  lean: async () => (result ? { ...result } : null),
+  then: (resolve, reject) => Promise.resolve(result ? OtpCode.hydrate(result) : null).then(resolve, reject)
+});
+
+OtpCode.findOne = (filter) => query([...codes].reverse().find(doc => matches(doc, filter)));
+OtpCode.findOneAndUpdate = (filter, update) => {
+  const doc = codes.find(d => matches(d, filter));
+  if (doc) {
+    for (const [key, by] of Object.entries(update.$inc || {})) doc[key] += by;
+    Object.assign(doc, update.$set || {});
+  }
+  return query(doc);
+};
+OtpCode.prototype.save = async function() {
+  const doc = this.toObject();
+  codes = codes.filter(d => !same(d._id, doc._id)).concat(doc);
+  return this;
+};
+
+registerSmsProvider('test', {
+  async send({ to, message }) {
+    sent.push({ to, code: message.match(/\d{6}/)[0] });
+    return { id: 'test' };
+  }
+});
+
+const tenantId = new mongoose.Types.ObjectId();
+const owner = new mongoose.Types.ObjectId();
+const other = new mongoose.Types.ObjectId();
+const phone = '98765 43210';
+
+const issueTo = async (userId) => {
+  const result = await issueOtp({ phone, purpose: 'verify_phone', tenantId, userType: 'repo_agent', userId });
+  assert.equal(result.ok, true);
+  return sent[sent.length - 1].code;
+};
+
+beforeEach(() => {
+  codes = [];
+  sent.length = 0;
+});
+
+test('a code is spent by the right guess and cannot be used twice', async () => {
+  const code = await issueTo(owner);
+  const first = await verifyOtp({ phone, purpose: 'verify_phone', code, userId: owner });
+  assert.equal(first.ok, true);
+  assert.equal(String(first.otp.userId), String(owner));
+
+  const second = await verifyOtp({ phone, purpose: 'verify_phone', code, userId: owner });
+  assert.equal(second.code, 'OTP_NOT_FOUND');
+});
+
+test('phone verification does not try or spend a code issued to another user of the phone', async () => {
+  const code = await issueTo(owner);
+
+  const result = await verifyOtp({ phone, purpose: 'verify_phone', code, userId: other });
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'OTP_NOT_FOUND');
+  assert.equal(codes[0].consumedAt, null);
+  assert.equal(codes[0].attempts, 0);
+
+  const own = await verifyOtp({ phone, purpose: 'verify_phone', code, userId: owner });
+  assert.equal(own.ok, true);
+});
+
+test('wrong guesses lock the code once the attempts are used up', async () => {
+  const code = await issueTo(owner);
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+    const result = await verifyOtp({ phone, purpose: 'verify_phone', code: wrong, userId: owner });
+    assert.equal(result.code, 'OTP_INVALID');
+    assert.equal(result.attemptsLeft, OTP_MAX_ATTEMPTS - i);
+  }
+  const last = await verifyOtp({ phone, purpose: 'verify_phone', code: wrong, userId: owner });
+  assert.equal(last.code, 'OTP_LOCKED');
+
+  const right = await verifyOtp({ phone, purpose: 'verify_phone', code, userId: owner });
+  assert.equal(right.code, 'OTP_LOCKED');
+});
+
+test('expired codes are refused', async () => {
+  const code = await issueTo(owner);
+  codes[0].expiresAt = new Date(Date.now() - 1000);
+  const result = await verifyOtp({ phone, purpose: 'verify_phone', code, userId: owner });
+  assert.equal(result.code, 'OTP_EXPIRED');
+});
+
+test('a second code cannot be requested straight away', async () => {
+  await issueTo(owner);
+  const again = await issueOtp({ phone, purpose: 'verify_phone', tenantId, userType: 'repo_agent', userId: owner });
+  assert.equal(again.ok, false);
+  assert.equal(again.code, 'OTP_RESEND_TOO_SOON');
+  assert.equal(sent.length, 1);
+});
+
+test('no SMS is sent without an explicit provider', async () => {
+  process.env.SMS_PROVIDER = '';
+  try {
+    await assert.rejects(sendSms('9876543210', 'hello'), /SMS_PROVIDER/);
+  } finally {
+    process.env.SMS_PROVIDER = 'test';
+  }
+});
+
+test('the console and file SMS providers refuse to start in production', () => {
+  const SMS_MODULE = require.resolve('../utils/smsProvider');
+  const cached = require.cache[SMS_MODULE];
+  const saved = { SMS_PROVIDER: process.env.SMS_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+  try {
+    process.env.NODE_ENV = 'production';
+    for (const name of ['console', 'file']) {
+      process.env.SMS_PROVIDER = name;
+      delete require.cache[SMS_MODULE];
+      assert.throws(() => require(SMS_MODULE), /production/);
+    }
+  } finally {
+    require.cache[SMS_MODULE] = cached;
+    process.env.SMS_PROVIDER = saved.SMS_PROVIDER;
+    if (saved.NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = saved.NODE_ENV;
+  }
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Payment = require('../models/Payment');
+const { SCREENSHOT_HASH_DISTANCE, hammingDistance, findSimilarScreenshots } = require('../utils/paymentFraud');
+
+// Flip the given bit positions (0 = highest) of a 64-bit hex hash
+const flipBits = (hash, bits) => bits
+  .reduce((value, bit) => value ^ (1n << BigInt(63 - bit)), BigInt(`0x${hash}`))
+  .toString(16)
+  .padStart(16, '0');
+
+test('hashes within the allowed distance always share an indexed band', () => {
+  const hash = '8f3a5c7e91b2d460';
+  // Spread the differing bits over as many bands as possible
+  const spread = Array.from({ length: SCREENSHOT_HASH_DISTANCE }, (_, i) => i * 9);
+  const near = flipBits(hash, spread);
+  assert.equal(hammingDistance(hash, near), SCREENSHOT_HASH_DISTANCE);
+
+  const bands = new Set(Payment.screenshotHashBands(hash));
+  assert.ok(Payment.screenshotHashBands(near).some(band => bands.has(band)));
+});
+
+test('bands are tagged with their position', () => {
+  const bands = Payment.screenshotHashBands('00000000000000ff');
+  assert.equal(bands.length, 8);
+  assert.equal(bands[0], '0:00');
+  assert.equal(bands[7], '7:ff');
+  assert.equal(Payment.screenshotHashBands('not-a-hash'), undefined);
+});
+
+test('similar screenshots are looked up through the bands, newest first and capped', async () => {
+  const hash = '8f3a5c7e91b2d460';
+  const near = flipBits(hash, [3, 40]);
+  const far = flipBits(hash, [0, 8, 16, 24, 32, 40, 48, 56, 60]);
+  let filter;
+  let limit;
+  Payment.find = (query) => {
+    filter = query;
+    const chain = {
+      sort: () => chain,
+      limit: (n) => { limit = n; return chain; },
+      select: () => chain,
+      lean: async () => [
+        { _id: 'far', screenshotHash: far },
+        { _id: 'near', screenshotHash: near },
+        { _id: 'same', screenshotHash: hash }
+      ]
+    };
+    return chain;
+  };
+
+  const matches = await findSimilarScreenshots(hash);
+  assert.deepEqual(filter.screenshotHashBands, { $in: Payment.screenshotHashBands(hash) });
+  assert.ok(limit > 0);
+  assert.deepEqual(matches.map(m => m.payment._id), ['same', 'near']);
+  assert.deepEqual(matches.map(m => m.distance), [0, 2]);
+});
@@ -0,0 +1,129 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const Payment = require('../models/Payment');
+const { processWebhook } = require('../controllers/paymentGatewayController');
+
+const GATEWAY_MODULE = require.resolve('../utils/paymentGateway');
+const ENV_KEYS = ['PAYMENT_GATEWAY', 'MOCK_GATEWAY_SECRET', 'NODE_ENV', 'RAZORPAY_WEBHOOK_SECRET'];
+let savedEnv;
+let writes;
+
+// The gateway module as a fresh server start with the given environment would load it
+const loadGateways = (env) => {
+  Object.assign(process.env, env);
+  const cached = require.cache[GATEWAY_MODULE];
+  delete require.cache[GATEWAY_MODULE];
+  try {
+    return require(GATEWAY_MODULE);
+  } finally {
+    require.cache[GATEWAY_MODULE] = cached;
+  }
+};
+
+const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+const razorpayEvent = (event, entity) => Buffer.from(JSON.stringify({ event, payload: { payment: { entity } } }));
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+
+  writes = [];
+  Payment.updateOne = async (filter, update) => { writes.push({ op: 'updateOne', filter, update }); return { modifiedCount: 1 }; };
+  Payment.findOneAndUpdate = async (filter, update) => { writes.push({ op: 'findOneAndUpdate', filter, update }); return null; };
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+test('the mock gateway is not registered unless selected', () => {
+  const { getPaymentGateway } = loadGateways({});
+  assert.equal(getPaymentGateway('mock'), null);
+  assert.ok(getPaymentGateway('razorpay'));
+});
+
+test('the mock gateway refuses to start without its secret or in production', () => {
+  assert.throws(() => loadGateways({ PAYMENT_GATEWAY: 'mock' }), /MOCK_GATEWAY_SECRET/);
+  assert.throws(() => loadGateways({ PAYMENT_GATEWAY: 'mock', MOCK_GATEWAY_SECRET: 's', NODE_ENV: 'production' }), /production/);
+});
+
+test('the mock gateway only accepts webhooks signed with its secret', () => {
+  const { getPaymentGateway } = loadGateways({ PAYMENT_GATEWAY: 'mock', MOCK_GATEWAY_SECRET: 'mock-secret' });
+  const mock = getPaymentGateway('mock');
+  const body = Buffer.from('{"event":"payment.paid"}');
+
+  assert.equal(mock.verifyWebhook(body, { 'x-mock-signature': sign('mock-secret', body) }), true);
+  assert.equal(mock.verifyWebhook(body, { 'x-mock-signature': sign('other-secret', body) }), false);
+  assert.equal(mock.verifyWebhook(body, {}), false);
+});
+
+test('webhooks for unknown gateways are refused', async () => {
+  const result = await processWebhook('paypal', Buffer.from('{}'), {});
+  assert.equal(result.status, 404);
+  assert.equal(writes.length, 0);
+});
+
+test('webhooks with a missing or wrong signature change no payment', async () => {
+  const body = razorpayEvent('payment.captured', { order_id: 'order_1', id: 'pay_1', amount: 35000 });
+
+  const unsigned = await processWebhook('razorpay', body, {});
+  assert.equal(unsigned.status, 400);
+
+  const forged = await processWebhook('razorpay', body, { 'x-razorpay-signature': sign('guessed', body) });
+  assert.equal(forged.status, 400);
+
+  const tampered = Buffer.from(body.toString().replace('35000', '1'));
+  const altered = await processWebhook('razorpay', tampered, { 'x-razorpay-signature': sign('whsec_test', body) });
+  assert.equal(altered.status, 400);
+  assert.equal(writes.length, 0);
+});
+
+test('webhooks are refused when no webhook secret is configured', async () => {
+  delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  const body = razorpayEvent('payment.captured', { order_id: 'order_1', id: 'pay_1', amount: 35000 });
+  const result = await processWebhook('razorpay', body, { 'x-razorpay-signature': sign('', body) });
+  assert.equal(result.status, 400);
+  assert.equal(writes.length, 0);
+});
+
+test('a signed failure records the reason and leaves the payment open for a retry', async () => {
+  const body = razorpayEvent('payment.failed', { order_id: 'order_1', id: 'pay_1', amount: 35000, error_description: 'Card declined' });
+  const result = await processWebhook('razorpay', body, { 'x-razorpay-signature': sign('whsec_test', body) });
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(writes.map(w => w.op), ['updateOne']);
+  assert.deepEqual(writes[0].filter, { 'gateway.provider': 'razorpay', 'gateway.orderId': 'order_1', status: 'initiated' });
+  assert.equal(writes[0].update.$set.status, undefined);
+  assert.equal(writes[0].update.$set['gateway.failureReason'], 'Card declined');
+
+  const paid = razorpayEvent('payment.captured', { order_id: 'order_1', id: 'pay_2', amount: 35000 });
+  await processWebhook('razorpay', paid, { 'x-razorpay-signature': sign('whsec_test', paid) });
+  assert.deepEqual(writes[1].filter, writes[0].filter);
+  assert.equal(writes[1].update.$set.status, 'pending');
+});
+
+test('a repeated payment webhook does not activate the payment twice', async () => {
+  const body = razorpayEvent('payment.captured', { order_id: 'order_1', id: 'pay_1', amount: 35000 });
+  const result = await processWebhook('razorpay', body, { 'x-razorpay-signature': sign('whsec_test', body) });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.duplicate, true);
+  assert.equal(writes[0].filter.status, 'initiated');
+});
+
+test('a paid amount that differs from the payment is left for manual review', async () => {
+  let saved = false;
+  Payment.findOneAndUpdate = async () => ({ amount: 350, gateway: {}, save: async () => { saved = true; } });
+  const body = razorpayEvent('payment.captured', { order_id: 'order_1', id: 'pay_1', amount: 100 });
+  const result = await processWebhook('razorpay', body, { 'x-razorpay-signature': sign('whsec_test', body) });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.manualReview, true);
+  assert.equal(saved, true);
+});
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const getTerritoryModel = require('../models/Territory');
+const getAgentAllocationModel = require('../models/AgentAllocation');
+const { getVehicleModels } = require('../repositories/vehicleRepository');
+
+// What repo agents of a tenant see (Tenant.settings.agentVehicleScope):
+// every vehicle, every vehicle with their allocations ranked first, or only their
+// territories plus their allocations.
+const AGENT_SCOPES = {
+  ALL: 'all',
+  ALLOCATIONS_FIRST: 'allocations_first',
+  TERRITORY: 'territory'
+};
+
+const AGENT_SCOPE_LABELS = {
+  all: 'All vehicles',
+  allocations_first: 'All vehicles, my allocations first',
+  territory: 'Only my territory and allocations'
+};
+
+// Added to the search score of allocated vehicles so they rank above everything else
+const ALLOCATION_SCORE_BOOST = 100000;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Sheet values differ in case and spacing, so territory values match whole-value, case-insensitively
+const exactCi = (values) => values.map(v => new RegExp(`^\\s*${escapeRegex(v.trim())}\\s*$`, 'i'));
+const wordCi = (values) => values.map(v => new RegExp(`(^|[^A-Za-z0-9])${escapeRegex(v.trim())}($|[^A-Za-z0-9])`, 'i'));
+const cleanList = (list) => [...new Set((Array.isArray(list) ? list : []).map(v => String(v || '').trim()).filter(Boolean))];
+
+/**
+ * Scope mode configured for a tenant
+ * @param {Object} tenant - Tenant document or { settings }
+ * @returns {String} One of AGENT_SCOPES
+ */
+function resolveAgentScopeMode(tenant) {
+  const mode = tenant?.settings?.agentVehicleScope;
+  return Object.values(AGENT_SCOPES).includes(mode) ? mode : AGENT_SCOPES.ALL;
+}
+
+/**
+ * Normalize territory criteria sent by an admin
+ * @param {Object} body - { zones, branches, cities, pincodes } as lists or comma separated text
+ * @returns {{zones: Array<String>, branches: Array<String>, cities: Array<String>, pincodes: Array<String>}}
+ */
+function parseTerritoryCriteria(body = {}) {
+  const toList = (value) => cleanList(Array.isArray(value) ? value : String(value || '').split(','));
+  return {
+    zones: toList(body.zones),
+    branches: toList(body.branches),
+    cities: toList(body.cities),
+    pincodes: toList(body.pincodes).filter(p => /^\d{6}$/.test(p))
+  };
+}
+
+/**
+ * Mongo filter matching the vehicles in any of the territories. The city is the sheet's
+ * location or area office, or a word in the address; the pincode is looked up in the address.
+ * @param {Array<Object>} territories - Lean Territory documents
+ * @returns {Object|null} null when the territories list no criteria
+ */
+function buildTerritoryFilter(territories = []) {
+  const zones = cleanList(territories.flatMap(t => t.zones || []));
+  const branches = cleanList(territories.flatMap(t => t.branches || []));
+  const cities = cleanList(territories.flatMap(t => t.cities || []));
+  const pincodes = cleanList(territories.flatMap(t => t.pincodes || []));
+
+  const clauses = [];
+  if (zones.length) clauses.push({ zone: { $in: exactCi(zones) } });
+  if (branches.length) clauses.push({ branchName: { $in: exactCi(branches) } });
+  if (cities.length) {
+    clauses.push({ location: { $in: exactCi(cities) } });
+    clauses.push({ areaOffice: { $in: exactCi(cities) } });
+    clauses.push({ address: { $in: wordCi(cities) } });
+  }
+  if (pincodes.length) clauses.push({ address: { $in: wordCi(pincodes) } });
+  return clauses.length ? { $or: clauses } : null;
+}
+
+/**
+ * Visibility rules for the user behind a request. Only repo agents are scoped; everyone
+ * else (and agents of tenants using AGENT_SCOPES.ALL) gets null.
+ * @param {Object} conn - Tenant database connection
+ * @param {Object} tenant - Tenant document
+ * @param {Object} user - Unified auth user (req.user)
+ * @returns {Promise<Object|null>} { mode, restrict, key, boost, territories, allocationCount,
+ *   vehicleIds, files, filterFor(vehicleType), isAllocated(doc, vehicleType) }
+ */
+async function loadAgentScope(conn, tenant, user) {
+  if (user?.userType !== 'repo_agent') return null;
+  const mode = resolveAgentScopeMode(tenant);
+  if (mode === AGENT_SCOPES.ALL || !mongoose.isValidObjectId(user.userId)) return null;
+
+  const agentId = new mongoose.Types.ObjectId(String(user.userId));
+  const [territories, allocations] = await Promise.all([
+    getTerritoryModel(conn).find({ agentIds: agentId }).sort({ name: 1 }).lean(),
+    getAgentAllocationModel(conn).find({ agentId }).lean()
+  ]);
+
+  const vehicleIds = [...new Set(allocations.filter(a => a.kind === 'vehicle' && a.vehicleId).map(a => String(a.vehicleId)))];
+  const filesByType = {};
+  for (const a of allocations) {
+    if (a.kind !== 'file' || !a.fileName) continue;
+    (filesByType[a.vehicleType] = filesByType[a.vehicleType] || new Set()).add(a.fileName);
+  }
+  const vehicleIdSet = new Set(vehicleIds);
+  const territoryFilter = buildTerritoryFilter(territories);
+  const restrict = mode === AGENT_SCOPES.TERRITORY;
+
+  const allocationFilterFor = (vehicleType) => {
+    const clauses = [];
+    if (vehicleIds.length) clauses.push({ _id: { $in: vehicleIds.map(id => new mongoose.Types.ObjectId(id)) } });
+    const files = filesByType[vehicleType];
+    if (files?.size) clauses.push({ fileName: { $in: [...files] } });
+    return clauses.length ? { $or: clauses } : null;
+  };
+
+  // Changes whenever what the agent may see changes, so offline copies know to start over
+  const key = crypto.createHash('md5').update(JSON.stringify({
+    mode,
+    territories: territories.map(t => [t.zones, t.branches, t.cities, t.pincodes]),
+    vehicleIds: [...vehicleIds].sort(),
+    files: Object.entries(filesByType).map(([type, files]) => [type, [...files].sort()]).sort()
+  })).digest('hex').slice(0, 16);
+
+  return {
+    mode,
+    restrict,
+    key,
+    boost: ALLOCATION_SCORE_BOOST,
+    territories: territories.map(t => ({ _id: t._id, name: t.name })),
+    allocationCount: allocations.length,
+    vehicleIds,
+    files: allocations.filter(a => a.kind === 'file').map(a => ({ vehicleType: a.vehicleType, fileName: a.fileName, bankName: a.bankName })),
+    // Filter to AND into vehicle queries; null when the agent is not restricted
+    filterFor(vehicleType) {
+      if (!restrict) return null;
+      const parts = [territoryFilter, allocationFilterFor(vehicleType)].filter(Boolean);
+      if (parts.length === 0) return { _id: { $exists: false } };
+      return parts.length === 1 ? parts[0] : { $or: parts };
+    },
+    isAllocated(doc, vehicleType) {
+      return vehicleIdSet.has(String(doc?._id)) || Boolean(doc?.fileName && filesByType[vehicleType]?.has(doc.fileName));
+    }
+  };
+}
+
+/**
+ * Ids of every vehicle a restricted agent may see
+ * @param {Object} conn - Tenant database connection
+ * @param {Object} scope - From loadAgentScope
+ * @returns {Promise<Set<String>>}
+ */
+async function collectScopeVehicleIds(conn, scope) {
+  const ids = new Set();
+  for (const { vehicleType, Model } of getVehicleModels(conn)) {
+    const cursor = Model.find(scope.filterFor(vehicleType) || {}, { _id: 1 }).lean().cursor();
+    for await (const doc of cursor) ids.add(String(doc._id));
+  }
+  return ids;
+}
+
+/**
+ * The subset of vehicle ids a restricted agent may see
+ * @param {Object} conn - Tenant database connection
+ * @param {Object} scope - From loadAgentScope
+ * @param {Array<String>} ids - Vehicle ids of any type
+ * @returns {Promise<Set<String>>}
+ */
+async function filterIdsInScope(conn, scope, ids) {
+  const inScope = new Set();
+  const objectIds = ids.filter(id => mongoose.isValidObjectId(id)).map(id => new mongoose.Types.ObjectId(String(id)));
+  for (let i = 0; i < objectIds.length; i += 5000) {
+    const chunk = objectIds.slice(i, i + 5000);
+    for (const { vehicleType, Model } of getVehicleModels(conn)) {
+      const filter = scope.filterFor(vehicleType);
+      const docs = await Model.find(filter ? { $and: [{ _id: { $in: chunk } }, filter] } : { _id: { $in: chunk } }, { _id: 1 }).lean();
+      for (const doc of docs) inScope.add(String(doc._id));
+    }
+  }
+  return inScope;
+}
+
+/**
+ * Whether the user behind a request may see a vehicle. Only restricted agents can be
+ * refused; routes answer 404 for vehicles outside the agent's scope.
+ * @param {Object} conn - Tenant database connection
+ * @param {Object} tenant - Tenant document
+ * @param {Object} user - Unified auth user (req.user)
+ * @param {String} vehicleId - Vehicle id of any type
+ * @returns {Promise<Boolean>}
+ */
+async function isVehicleInAgentScope(conn, tenant, user, vehicleId) {
+  const scope = await loadAgentScope(conn, tenant, user);
+  if (!scope?.restrict) return true;
+  const inScope = await filterIdsInScope(conn, scope, [String(vehicleId)]);
+  return inScope.has(String(vehicleId));
+}
+
+module.exports = {
+  AGENT_SCOPES,
+  AGENT_SCOPE_LABELS,
+  ALLOCATION_SCORE_BOOST,
+  resolveAgentScopeMode,
+  parseTerritoryCriteria,
+  buildTerritoryFilter,
+  loadAgentScope,
+  collectScopeVehicleIds,
+  filterIdsInScope,
+  isVehicleInAgentScope
+};
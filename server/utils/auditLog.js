@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+
+const AUDIT_ACTIONS = {
+  FILE_DELETE: 'file.delete',
+  VEHICLE_DELETE: 'vehicle.delete',
+  AGENT_CREATE: 'agent.create',
+  AGENT_UPDATE: 'agent.update',
+  AGENT_STATUS_CHANGE: 'agent.status_change',
+  AGENT_PASSWORD_RESET: 'agent.password_reset',
+  AGENT_DELETE: 'agent.delete',
+  AGENT_FORCE_LOGOUT: 'agent.force_logout',
+  AGENT_DEVICE_DECISION: 'agent.device_decision',
+  AGENT_DEVICE_REMOVE: 'agent.device_remove',
+  AGENT_DEVICE_LIMIT: 'agent.device_limit',
+  AGENT_SESSION_REVOKE: 'agent.session_revoke',
+  STAFF_CREATE: 'staff.create',
+  STAFF_UPDATE: 'staff.update',
+  STAFF_STATUS_CHANGE: 'staff.status_change',
+  STAFF_PASSWORD_RESET: 'staff.password_reset',
+  STAFF_DELETE: 'staff.delete',
+  PAYMENT_APPROVE: 'payment.approve',
+  PAYMENT_REJECT: 'payment.reject',
+  FIELD_MAPPING_UPDATE: 'field_mapping.update',
+  FIELD_MASKING_UPDATE: 'field_masking.update',
+  SETTINGS_UPDATE: 'settings.update',
+  YARD_CREATE: 'yard.create',
+  YARD_UPDATE: 'yard.update',
+  YARD_DELETE: 'yard.delete',
+  YARD_CHECK_IN: 'yard.check_in',
+  YARD_CHECK_OUT: 'yard.check_out',
+  TERRITORY_CREATE: 'territory.create',
+  TERRITORY_UPDATE: 'territory.update',
+  TERRITORY_DELETE: 'territory.delete',
+  ALLOCATION_CREATE: 'allocation.create',
+  ALLOCATION_DELETE: 'allocation.delete',
+  CONFIRMER_CALL_UPDATE: 'confirmer_call.update'
+};
+
+const AUDIT_ACTION_LABELS = {
+  'file.delete': 'Deleted file',
+  'vehicle.delete': 'Deleted vehicle',
+  'agent.create': 'Created repo agent',
+  'agent.update': 'Edited repo agent',
+  'agent.status_change': 'Changed repo agent status',
+  'agent.password_reset': 'Reset repo agent password',
+  'agent.delete': 'Deleted repo agent',
+  'agent.force_logout': 'Force-logged-out repo agent',
+  'agent.device_decision': 'Approved or blocked agent device',
+  'agent.device_remove': 'Removed agent device',
+  'agent.device_limit': 'Changed agent device limit',
+  'agent.session_revoke': 'Ended agent session',
+  'staff.create': 'Created office staff',
+  'staff.update': 'Edited office staff',
+  'staff.status_change': 'Changed office staff status',
+  'staff.password_reset': 'Reset office staff password',
+  'staff.delete': 'Deleted office staff',
+  'payment.approve': 'Approved payment',
+  'payment.reject': 'Rejected payment',
+  'field_mapping.update': 'Changed field visibility',
+  'field_masking.update': 'Changed field masking rules',
+  'settings.update': 'Changed tenant settings',
+  'yard.create': 'Created yard',
+  'yard.update': 'Edited yard',
+  'yard.delete': 'Deleted yard',
+  'yard.check_in': 'Checked vehicle in to yard',
+  'yard.check_out': 'Checked vehicle out of yard',
+  'territory.create': 'Created territory',
+  'territory.update': 'Edited territory',
+  'territory.delete': 'Deleted territory',
+  'allocation.create': 'Allocated vehicles to agent',
+  'allocation.delete': 'Removed agent allocation',
+  'confirmer_call.update': 'Changed confirmer call outcome'
+};
+
+// Values of matching fields are never written to the log
+const SENSITIVE_FIELD = /password|token|secret|hash|otp/i;
+const MAX_VALUE_LENGTH = 500;
+const MAX_DIFF_DEPTH = 3;
+// Rows in one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+// Lazy require to avoid circular dependency (tenantUsers records audit entries)
+const getTenantUserModel = (conn, userType) => {
+  const { getOfficeStaffModel, getRepoAgentModel } = require('../routes/tenantUsers');
+  return userType === 'office_staff' ? getOfficeStaffModel(conn) : getRepoAgentModel(conn);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(value);
+
+// Stored form of a value: ids and dates as strings, long text cut short
+function toAuditValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  if (Array.isArray(value) || isPlainObject(value)) {
+    const json = JSON.stringify(value);
+    return json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}…` : JSON.parse(json);
+  }
+  return value;
+}
+
+function flatten(value, prefix, depth, out) {
+  if (isPlainObject(value) && depth < MAX_DIFF_DEPTH) {
+    for (const [key, child] of Object.entries(value)) {
+      if (key.startsWith('_') || key === '__v') continue;
+      flatten(child, prefix ? `${prefix}.${key}` : key, depth + 1, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc) || {};
+
+/**
+ * Fields that differ between two versions of a record, as dotted paths. Sensitive fields
+ * (passwords, tokens) are reported as changed without their values.
+ * @param {Object} before - Record before the change (document or plain object)
+ * @param {Object} after - Record after the change
+ * @param {Object} [options] - { fields } to compare only these top-level fields
+ * @returns {Array<{field: String, before: *, after: *}>}
+ */
+function diffChanges(before, after, { fields } = {}) {
+  const pick = (obj) => {
+    const plain = toPlain(obj);
+    return fields ? Object.fromEntries(fields.map(f => [f, plain[f]])) : plain;
+  };
+  const a = flatten(pick(before), '', 0, {});
+  const b = flatten(pick(after), '', 0, {});
+  const changes = [];
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const from = toAuditValue(a[field]);
+    const to = toAuditValue(b[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes.push(SENSITIVE_FIELD.test(field)
+      ? { field, before: '[redacted]', after: '[redacted]' }
+      : { field, before: from, after: to });
+  }
+  return changes;
+}
+
+// Display name of the user behind a request; the token only carries ids
+async function resolveActorName(user) {
+  try {
+    if (user.userType === 'main_user') {
+      const main = user.mainUser || await User.findById(user.userId).select('firstName lastName email').lean();
+      return [main?.firstName, main?.lastName].filter(Boolean).join(' ') || main?.email || '';
+    }
+    if (user.tenantName && mongoose.isValidObjectId(user.userId)) {
+      const conn = await getTenantDB(user.tenantName);
+      const account = await getTenantUserModel(conn, user.userType).findById(user.userId).select('name').lean();
+      return account?.name || '';
+    }
+  } catch (_) {}
+  return '';
+}
+
+/**
+ * Append an entry to the audit log. Never throws: a failed write is logged and the
+ * action it describes goes ahead.
+ * @param {Object} req - Request of the user taking the action (actor, IP, user agent)
+ * @param {Object} entry - { action, target: { type, id, label }, changes | before + after,
+ *   metadata, tenantId, tenantName }; the tenant defaults to the actor's
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, target = {}, changes, before, after, metadata, tenantId, tenantName } = {}) {
+  try {
+    const user = req?.user || {};
+    const scopeId = tenantId || user.tenantId || undefined;
+    let scopeName = tenantName || user.tenantName;
+    if (!scopeName && mongoose.isValidObjectId(scopeId)) {
+      scopeName = (await Tenant.findById(scopeId).select('name').lean())?.name;
+    }
+    await AuditLog.create({
+      tenantId: scopeId,
+      tenantName: scopeName || undefined,
+      action,
+      actor: {
+        id: String(user.userId || user._id || ''),
+        userType: user.userType || 'main_user',
+        role: user.role,
+        name: await resolveActorName(user)
+      },
+      target: {
+        type: target.type,
+        id: target.id != null ? String(target.id) : undefined,
+        label: target.label
+      },
+      changes: changes || (before || after ? diffChanges(before, after) : []),
+      metadata: metadata ? toAuditValue(metadata) : undefined,
+      ipAddress: req?.ip || '',
+      userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 200)
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit entry ${action}:`, error.message);
+  }
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo filter for an audit log search
+ * @param {Object} user - Authenticated user; only super admins see other tenants
+ * @param {Object} query - { tenantId, action, actorId, targetType, targetId, q, from, to }
+ * @returns {Object}
+ */
+function buildAuditFilter(user, query = {}) {
+  const isSuperAdmin = user?.userType === 'main_user' && user.role === 'super_admin';
+  const filter = {};
+  if (!isSuperAdmin) {
+    filter.tenantId = mongoose.isValidObjectId(user?.tenantId) ? user.tenantId : null;
+  } else if (query.tenantId && mongoose.isValidObjectId(query.tenantId)) {
+    filter.tenantId = query.tenantId;
+  }
+  if (query.action) filter.action = String(query.action);
+  if (query.actorId) filter['actor.id'] = String(query.actorId);
+  if (query.targetType) filter['target.type'] = String(query.targetType);
+  if (query.targetId) filter['target.id'] = String(query.targetId);
+  if (query.q) {
+    const regex = new RegExp(escapeRegex(String(query.q).trim().slice(0, 100)), 'i');
+    filter.$or = [{ 'actor.name': regex }, { 'target.label': regex }, { 'target.id': regex }, { tenantName: regex }];
+  }
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    filter.createdAt = {};
+    if (from && !isNaN(from)) filter.createdAt.$gte = from;
+    if (to && !isNaN(to)) filter.createdAt.$lte = to;
+  }
+  return filter;
+}
+
+const csvCell = (value) => {
+  const text = value == null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Audit entries as CSV, one row per entry
+ * @param {Array} entries - Lean AuditLog documents
+ * @returns {String}
+ */
+function auditLogsToCsv(entries) {
+  const header = ['Time', 'Tenant', 'Action', 'Actor', 'Actor Type', 'Actor Role', 'Target Type', 'Target', 'Target Id', 'Changes', 'IP Address', 'User Agent'];
+  const rows = entries.map(e => [
+    e.createdAt ? new Date(e.createdAt).toISOString() : '',
+    e.tenantName,
+    AUDIT_ACTION_LABELS[e.action] || e.action,
+    e.actor?.name || e.actor?.id,
+    e.actor?.userType,
+    e.actor?.role,
+    e.target?.type,
+    e.target?.label,
+    e.target?.id,
+    (e.changes || []).map(c => `${c.field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`).join('; '),
+    e.ipAddress,
+    e.userAgent
+  ].map(csvCell).join(','));
+  return [header.join(','), ...rows].join('\n');
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  MAX_EXPORT_ROWS,
+  diffChanges,
+  recordAudit,
+  buildAuditFilter,
+  auditLogsToCsv
+};
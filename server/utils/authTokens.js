@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const getUserSessionModel = require('../models/UserSession');
+const { getTenantDB } = require('../config/database');
+const { SESSION_TTL_DAYS, createSession, revokeSessions } = require('./deviceSessions');
+
+// Access tokens are short-lived; apps renew them with the session's refresh token
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+// Refresh tokens for main users' sessions start with this instead of a tenant id
+const MAIN_SCOPE = 'main';
+
+const REFRESH_ERROR_MESSAGES = {
+  REFRESH_INVALID: 'Your login is no longer valid. Please login again.',
+  SESSION_ENDED: 'This session has been signed out. Please login again.',
+  ACCOUNT_INACTIVE: 'Your account has been deactivated. Please contact administrator.'
+};
+
+// Lazy require to avoid circular dependency (tenantUsers issues tokens through this module)
+const getTenantUserModel = (conn, userType) => {
+  const { getOfficeStaffModel, getRepoAgentModel } = require('../routes/tenantUsers');
+  return userType === 'office_staff' ? getOfficeStaffModel(conn) : getRepoAgentModel(conn);
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const refreshFailure = (code) => ({ ok: false, status: 401, code, message: REFRESH_ERROR_MESSAGES[code] });
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} claims - Token payload
+ * @returns {String}
+ */
+function signAccessToken(claims) {
+  return jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+}
+
+/**
+ * Access token claims for a main system user (super admin, tenant admin)
+ * @param {Object} user - User document
+ * @param {String|ObjectId} sessionId
+ * @returns {Object}
+ */
+function mainUserClaims(user, sessionId) {
+  return {
+    userId: user._id,
+    userType: 'main_user',
+    role: user.role,
+    tenantId: user.tenantId,
+    sid: sessionId
+  };
+}
+
+/**
+ * Access token claims for a repo agent or office staff member
+ * @param {Object} user - RepoAgent or OfficeStaff document
+ * @param {Object} tenant - Tenant document
+ * @param {String} userType - repo_agent | office_staff
+ * @param {String|ObjectId} sessionId
+ * @returns {Object}
+ */
+function tenantUserClaims(user, tenant, userType, sessionId) {
+  const claims = {
+    userId: user._id,
+    userType,
+    tenantId: tenant._id,
+    tenantName: tenant.name,
+    role: user.role || userType,
+    sid: sessionId
+  };
+
+  // User-type-specific numeric ID field and also Mongo _id under a distinct key
+  if (userType === 'repo_agent') {
+    claims.agentId = user.agentId || user._id; // numeric field or Mongo _id fallback
+    claims.agentDbId = user._id; // always include Mongo _id
+  } else if (userType === 'office_staff') {
+    claims.staffId = user.staffId || user._id; // numeric field or Mongo _id fallback
+    claims.staffDbId = user._id; // always include Mongo _id
+  }
+  return claims;
+}
+
+/**
+ * Database a user's sessions are kept in
+ * @param {String} [tenantName] - Omit for main users
+ * @returns {Promise<Connection>}
+ */
+async function getSessionConnection(tenantName) {
+  return tenantName ? getTenantDB(tenantName) : mongoose.connection;
+}
+
+/**
+ * Start a session and issue its first access and refresh tokens
+ * @param {Object} params - { user, userType, tenant, device, req }; tenant is omitted for main users
+ * @returns {Promise<{session: Object, token: String, refreshToken: String, expiresIn: Number}>}
+ */
+async function startAuthSession({ user, userType, tenant = null, device = {}, req }) {
+  const conn = await getSessionConnection(tenant?.name);
+  const session = await createSession(conn, { userId: user._id, userType, device, req });
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await getUserSessionModel(conn).updateOne({ _id: session._id }, { $set: { refreshTokenHash: hashSecret(secret) } });
+
+  const claims = tenant ? tenantUserClaims(user, tenant, userType, session._id) : mainUserClaims(user, session._id);
+  return {
+    session,
+    token: signAccessToken(claims),
+    refreshToken: `${tenant ? tenant._id : MAIN_SCOPE}.${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// The account a session belongs to, or null when it was deleted, deactivated or force logged out
+async function loadSessionUser(conn, session) {
+  if (session.userType === 'main_user') {
+    const user = await User.findById(session.userId);
+    return user && user.isActive ? user : null;
+  }
+  const user = await getTenantUserModel(conn, session.userType).findById(session.userId);
+  return user && user.status === 'active' && !user.forceLogoutAt ? user : null;
+}
+
+/**
+ * Exchange a refresh token for a new access token. The refresh token is rotated: the one sent
+ * stops working, and presenting it again ends the session (it must have been copied).
+ * @param {String} refreshToken - "<tenantId|main>.<sessionId>.<secret>"
+ * @returns {Promise<Object>} { ok: true, data: { token, refreshToken, expiresIn } } or
+ *   { ok: false, status, code: REFRESH_INVALID|SESSION_ENDED|ACCOUNT_INACTIVE, message }
+ */
+async function refreshAuthSession(refreshToken) {
+  const [scope, sessionId, secret] = String(refreshToken || '').split('.');
+  if (!scope || !secret || !mongoose.isValidObjectId(sessionId)) return refreshFailure('REFRESH_INVALID');
+
+  let tenant = null;
+  if (scope !== MAIN_SCOPE) {
+    if (!mongoose.isValidObjectId(scope)) return refreshFailure('REFRESH_INVALID');
+    tenant = await Tenant.findById(scope).lean();
+    if (!tenant || !tenant.isActive) return refreshFailure('SESSION_ENDED');
+  }
+  const conn = await getSessionConnection(tenant?.name);
+  const UserSession = getUserSessionModel(conn);
+  const now = new Date();
+
+  const session = await UserSession.findById(sessionId).lean();
+  if (!session || session.revokedAt || session.expiresAt <= now) return refreshFailure('SESSION_ENDED');
+
+  const hash = hashSecret(secret);
+  if (hash !== session.refreshTokenHash) {
+    if (hash === session.previousRefreshTokenHash) {
+      console.warn(`⚠️ Rotated refresh token reused for session ${session._id}; ending the session`);
+      await revokeSessions(conn, { _id: session._id }, { reason: 'refresh_reuse' });
+    }
+    return refreshFailure('REFRESH_INVALID');
+  }
+
+  const user = await loadSessionUser(conn, session);
+  if (!user) {
+    await revokeSessions(conn, { _id: session._id }, { reason: 'account_inactive' });
+    return refreshFailure('ACCOUNT_INACTIVE');
+  }
+
+  // Conditional on the hash so two refreshes racing with the same token cannot both win
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  const rotated = await UserSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(nextSecret),
+        previousRefreshTokenHash: hash,
+        refreshedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!rotated) return refreshFailure('REFRESH_INVALID');
+
+  const claims = tenant
+    ? tenantUserClaims(user, tenant, session.userType, session._id)
+    : mainUserClaims(user, session._id);
+  return {
+    ok: true,
+    data: {
+      token: signAccessToken(claims),
+      refreshToken: `${scope}.${session._id}.${nextSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    }
+  };
+}
+
+/**
+ * End a user's live sessions, e.g. after a password change or deactivation
+ * @param {Object} params - { tenantName, userId, exceptSessionId, by, reason }; tenantName is omitted for main users
+ * @returns {Promise<Number>} Sessions ended
+ */
+async function revokeUserSessions({ tenantName, userId, exceptSessionId, by = 'system', reason }) {
+  const conn = await getSessionConnection(tenantName);
+  const filter = { userId };
+  if (exceptSessionId && mongoose.isValidObjectId(exceptSessionId)) filter._id = { $ne: exceptSessionId };
+  const count = await revokeSessions(conn, filter, { by, reason });
+  if (count > 0) console.log(`🔒 Ended ${count} session(s) of user ${userId} (${reason})`);
+  return count;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_ERROR_MESSAGES,
+  signAccessToken,
+  mainUserClaims,
+  tenantUserClaims,
+  getSessionConnection,
+  startAuthSession,
+  refreshAuthSession,
+  revokeUserSessions
+};
@@ -0,0 +1,120 @@
+const getConfirmerCallModel = require('../models/ConfirmerCall');
+const getVehicleStatusHistoryModel = require('../models/VehicleStatusHistory');
+
+// Before a found vehicle is put on Hold or taken to a yard, somebody must reach a bank or
+// agency confirmer. The latest call with a decisive outcome decides which moves are open.
+
+const CALL_OUTCOME_LABELS = {
+  attempted: 'Call placed',
+  confirmed: 'Confirmed',
+  not_reachable: 'Not reachable',
+  asked_to_release: 'Asked to release',
+  asked_to_hold: 'Asked to hold'
+};
+
+// Statuses the call result gates, and which of them each decisive outcome opens
+const GATED_STATUSES = ['Hold', 'In Yard'];
+const OUTCOME_OPENS = {
+  confirmed: ['Hold', 'In Yard'],
+  asked_to_hold: ['Hold'],
+  asked_to_release: []
+};
+
+const BANK_SLOTS = [
+  { slot: 1, name: 'firstConfirmerName', phone: 'firstConfirmerPhone' },
+  { slot: 2, name: 'secondConfirmerName', phone: 'secondConfirmerPhone' },
+  { slot: 3, name: 'thirdConfirmerName', phone: 'thirdConfirmerPhone' }
+];
+
+/**
+ * Confirmers that can be called about a vehicle: the bank's from the upload, then the agency's
+ * @param {Object} vehicle - Vehicle document
+ * @param {Array<Object>} agencyConfirmers - Active AgencyConfirmer documents
+ * @returns {Array<{source: String, slot?: Number, agencyConfirmerId?: String, name: String, phone: String}>}
+ */
+function listConfirmers(vehicle, agencyConfirmers = []) {
+  const bank = BANK_SLOTS
+    .filter(s => vehicle?.[s.name] || vehicle?.[s.phone])
+    .map(s => ({ source: 'bank', slot: s.slot, name: vehicle[s.name] || '', phone: vehicle[s.phone] || '' }));
+  const agency = agencyConfirmers.map(c => ({
+    source: 'agency',
+    agencyConfirmerId: String(c._id),
+    name: c.name || '',
+    phone: c.phoneNumber || ''
+  }));
+  return [...bank, ...agency];
+}
+
+/**
+ * Find the confirmer a call is logged against
+ * @param {Object} vehicle - Vehicle document
+ * @param {Array<Object>} agencyConfirmers - Active AgencyConfirmer documents
+ * @param {Object} ref - { source, slot } or { source: 'agency', agencyConfirmerId }
+ * @returns {Object|null} Entry of listConfirmers
+ */
+function findConfirmer(vehicle, agencyConfirmers, ref = {}) {
+  return listConfirmers(vehicle, agencyConfirmers).find(c => c.source === ref.source && (
+    c.source === 'bank' ? c.slot === Number(ref.slot) : c.agencyConfirmerId === String(ref.agencyConfirmerId || '')
+  )) || null;
+}
+
+/**
+ * Calls that count for the vehicle's current case: those after it was last reset to Pending
+ * or cancelled, newest first
+ * @param {Object} connection - Tenant database connection
+ * @param {String} vehicleId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCurrentCalls(connection, vehicleId) {
+  const History = getVehicleStatusHistoryModel(connection);
+  const ConfirmerCall = getConfirmerCallModel(connection);
+  const reset = await History.findOne({ vehicleId, toStatus: { $in: ['Pending', 'Cancelled'] } })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+  const filter = { vehicleId };
+  if (reset) filter.calledAt = { $gt: reset.createdAt };
+  return ConfirmerCall.find(filter).sort({ calledAt: -1 }).lean();
+}
+
+/**
+ * Which gated statuses the confirmer calls allow for a vehicle
+ * @param {Array<Object>} calls - Current calls, newest first (see getCurrentCalls)
+ * @returns {{outcome: String|null, call: Object|null, opens: Array<String>}}
+ */
+function resolveConfirmationGate(calls) {
+  const decisive = calls.find(c => OUTCOME_OPENS[c.outcome]);
+  return {
+    outcome: decisive?.outcome || null,
+    call: decisive || null,
+    opens: decisive ? OUTCOME_OPENS[decisive.outcome] : []
+  };
+}
+
+/**
+ * Check a move to Hold or In Yard against the confirmer calls
+ * @param {Object} connection - Tenant database connection
+ * @param {String} vehicleId
+ * @param {String} toStatus - Canonical status
+ * @returns {Promise<String|null>} Rejection code (confirmer_call_required, confirmer_asked_release,
+ *   confirmer_asked_hold), or null when the move may go ahead
+ */
+async function checkConfirmationGate(connection, vehicleId, toStatus) {
+  if (!GATED_STATUSES.includes(toStatus)) return null;
+  const gate = resolveConfirmationGate(await getCurrentCalls(connection, vehicleId));
+  if (gate.opens.includes(toStatus)) return null;
+  if (gate.outcome === 'asked_to_release') return 'confirmer_asked_release';
+  if (gate.outcome === 'asked_to_hold') return 'confirmer_asked_hold';
+  return 'confirmer_call_required';
+}
+
+module.exports = {
+  CALL_OUTCOME_LABELS,
+  GATED_STATUSES,
+  OUTCOME_OPENS,
+  listConfirmers,
+  findConfirmer,
+  getCurrentCalls,
+  resolveConfirmationGate,
+  checkConfirmationGate
+};
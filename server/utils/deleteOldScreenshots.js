@@ -1,10 +1,11 @@
 const Payment = require('../models/Payment');
 const fs = require('fs');
 const path = require('path');
+const { registerJobHandler } = require('./jobQueue');
 
 /**
  * Delete payment screenshots that are past their deletion date
- * This should be run periodically (e.g., daily via cron or setInterval)
+ * Runs periodically as the 'screenshot_cleanup' job (see index.js)
  */
 async function deleteOldScreenshots() {
   try {
@@ -62,6 +63,8 @@ async function deleteOldScreenshots() {
   }
 }
 
+registerJobHandler('screenshot_cleanup', () => deleteOldScreenshots(), { label: 'Screenshot cleanup', maxAttempts: 1, concurrency: 1 });
+
 module.exports = { deleteOldScreenshots };
 
 
@@ -0,0 +1,171 @@
+const getAgentDeviceModel = require('../models/AgentDevice');
+const getUserSessionModel = require('../models/UserSession');
+
+// Devices an agent may use when neither the agent nor the tenant sets a limit
+const DEFAULT_MAX_DEVICES = 1;
+const MAX_DEVICES_LIMIT = 10;
+// Sessions live as long as the token they were issued with
+const SESSION_TTL_DAYS = 7;
+// lastSeenAt is only written when it is older than this, to keep requests read-only
+const SESSION_TOUCH_MINUTES = 5;
+
+const DEVICE_ERROR_MESSAGES = {
+  DEVICE_ID_REQUIRED: 'This app version cannot be verified. Please update the app to sign in.',
+  DEVICE_PENDING_APPROVAL: 'This device is waiting for approval from your administrator',
+  DEVICE_REJECTED: 'This device has been blocked by your administrator'
+};
+
+/**
+ * Device fields sent by the app with a login request
+ * @param {Object} body - Request body
+ * @returns {Object} { deviceId, deviceName, platform, appVersion }
+ */
+function readDeviceInfo(body = {}) {
+  const device = body.device || body;
+  return {
+    deviceId: String(device.deviceId || '').trim().slice(0, 128),
+    deviceName: String(device.deviceName || '').trim().slice(0, 100),
+    platform: String(device.platform || '').trim().slice(0, 20),
+    appVersion: String(device.appVersion || '').trim().slice(0, 40)
+  };
+}
+
+/**
+ * Number of approved devices an agent may have
+ * @param {Object} tenant - Tenant document
+ * @param {Object} agent - Repo agent document
+ * @returns {Number}
+ */
+function resolveDeviceLimit(tenant, agent) {
+  return agent?.maxDevices || tenant?.settings?.maxDevicesPerAgent || DEFAULT_MAX_DEVICES;
+}
+
+/**
+ * Check that an agent signs in from an approved device. An unknown device is recorded; the
+ * agent's first device is approved straight away, any later one waits for an admin.
+ * @param {Connection} conn - Tenant database connection
+ * @param {Object} params - { agent, device }
+ * @returns {Promise<Object>} { ok: true, device } or { ok: false, status, code, message }
+ */
+async function checkAgentDevice(conn, { agent, device }) {
+  if (!device.deviceId) {
+    return { ok: false, status: 400, code: 'DEVICE_ID_REQUIRED', message: DEVICE_ERROR_MESSAGES.DEVICE_ID_REQUIRED };
+  }
+  const AgentDevice = getAgentDeviceModel(conn);
+  const now = new Date();
+
+  let record = await AgentDevice.findOne({ agentId: agent._id, deviceId: device.deviceId });
+  if (!record) {
+    const approvedCount = await AgentDevice.countDocuments({ agentId: agent._id, status: 'approved' });
+    const firstDevice = approvedCount === 0;
+    try {
+      record = await AgentDevice.create({
+        agentId: agent._id,
+        ...device,
+        status: firstDevice ? 'approved' : 'pending',
+        decidedAt: firstDevice ? now : null,
+        decidedBy: firstDevice ? 'system' : null
+      });
+    } catch (error) {
+      // Two logins from the same new device at once: use the record the other one created
+      if (error.code !== 11000) throw error;
+      record = await AgentDevice.findOne({ agentId: agent._id, deviceId: device.deviceId });
+    }
+    if (record.status === 'pending') {
+      console.log(`📱 New device "${device.deviceName || device.deviceId}" for agent ${agent._id} is waiting for approval`);
+    }
+  }
+
+  if (record.status !== 'approved') {
+    const code = record.status === 'rejected' ? 'DEVICE_REJECTED' : 'DEVICE_PENDING_APPROVAL';
+    return { ok: false, status: 403, code, message: DEVICE_ERROR_MESSAGES[code] };
+  }
+
+  record.set({
+    deviceName: device.deviceName || record.deviceName,
+    platform: device.platform || record.platform,
+    appVersion: device.appVersion || record.appVersion,
+    lastLoginAt: now
+  });
+  await record.save();
+  return { ok: true, device: record };
+}
+
+/**
+ * Start a session for a tenant user. Any other live session on the same device is ended,
+ * so a device holds one session at a time.
+ * @param {Connection} conn - Tenant database connection
+ * @param {Object} params - { userId, userType, device, req }
+ * @returns {Promise<Object>} Session document
+ */
+async function createSession(conn, { userId, userType, device = {}, req }) {
+  const UserSession = getUserSessionModel(conn);
+  const now = new Date();
+
+  if (device.deviceId) {
+    await UserSession.updateMany(
+      { userId, deviceId: device.deviceId, revokedAt: null },
+      { $set: { revokedAt: now, revokedBy: 'system', revokeReason: 'replaced' } }
+    );
+  }
+
+  return UserSession.create({
+    userId,
+    userType,
+    deviceId: device.deviceId || '',
+    deviceName: device.deviceName || '',
+    platform: device.platform || '',
+    ipAddress: req?.ip || '',
+    userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 200),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+}
+
+/**
+ * Look up a live session for a request and refresh its lastSeenAt
+ * @param {Connection} conn - Tenant database connection
+ * @param {String} sessionId - `sid` claim of the token
+ * @returns {Promise<Object|null>} Session, or null when it was revoked or has expired
+ */
+async function touchSession(conn, sessionId) {
+  const UserSession = getUserSessionModel(conn);
+  const session = await UserSession.findById(sessionId).lean();
+  const now = new Date();
+  if (!session || session.revokedAt || session.expiresAt <= now) return null;
+
+  if (now - new Date(session.lastSeenAt) > SESSION_TOUCH_MINUTES * 60 * 1000) {
+    await UserSession.updateOne({ _id: session._id }, { $set: { lastSeenAt: now } });
+  }
+  return session;
+}
+
+/**
+ * End live sessions matching a filter
+ * @param {Connection} conn - Tenant database connection
+ * @param {Object} filter - Extra conditions, e.g. { userId } or { _id }
+ * @param {Object} options - { by, reason }
+ * @returns {Promise<Number>} Sessions ended
+ */
+async function revokeSessions(conn, filter, { by = 'system', reason = 'revoked' } = {}) {
+  const UserSession = getUserSessionModel(conn);
+  const result = await UserSession.updateMany(
+    { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedBy: String(by), revokeReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+module.exports = {
+  DEFAULT_MAX_DEVICES,
+  MAX_DEVICES_LIMIT,
+  SESSION_TTL_DAYS,
+  DEVICE_ERROR_MESSAGES,
+  readDeviceInfo,
+  resolveDeviceLimit,
+  checkAgentDevice,
+  createSession,
+  touchSession,
+  revokeSessions
+};
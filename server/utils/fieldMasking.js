@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { STAFF_ROLES } = require('./permissions');
+const { normalizeStatus } = require('./vehicleLifecycle');
+
+// What a user sees of a vehicle field. Rules that match a vehicle can only make a field
+// more restricted: the strictest of the baseline and every matching rule wins.
+const FIELD_ACTIONS = {
+  SHOW: 'show',
+  MASK: 'mask',
+  HIDE: 'hide'
+};
+
+const ACTION_STRICTNESS = { show: 0, mask: 1, hide: 2 };
+
+// Fields the policy covers, in the shape search and detail responses use.
+// `mask` picks how a partially masked value is written (see maskValue).
+const MASKABLE_FIELDS = {
+  regNo: { label: 'Registration number', mask: 'tail' },
+  chassisNo: { label: 'Chassis number', mask: 'tail' },
+  engineNo: { label: 'Engine number', mask: 'tail' },
+  loanNo: { label: 'Loan / agreement number', mask: 'tail' },
+  customerName: { label: 'Customer name', mask: 'name' },
+  address: { label: 'Customer address', mask: 'address' },
+  bank: { label: 'Bank', mask: 'text' },
+  branch: { label: 'Branch', mask: 'text' },
+  make: { label: 'Make', mask: 'text' },
+  model: { label: 'Model', mask: 'text' },
+  productName: { label: 'Product', mask: 'text' },
+  emiAmount: { label: 'EMI amount', mask: 'full' },
+  pos: { label: 'POS', mask: 'full' },
+  bucket: { label: 'Bucket', mask: 'full' },
+  season: { label: 'Season', mask: 'full' },
+  status: { label: 'Status', mask: 'full' },
+  inYard: { label: 'In yard', mask: 'full' },
+  yardName: { label: 'Yard name', mask: 'text' },
+  yardLocation: { label: 'Yard location', mask: 'address' },
+  uploadDate: { label: 'Upload date', mask: 'full' },
+  fileName: { label: 'File name', mask: 'text' },
+  firstConfirmerPhone: { label: 'First confirmer phone', mask: 'phone' },
+  secondConfirmerPhone: { label: 'Second confirmer phone', mask: 'phone' },
+  thirdConfirmerPhone: { label: 'Third confirmer phone', mask: 'phone' }
+};
+
+// Roles a rule can target. Agency admins always see every field.
+const POLICY_ROLES = ['repo_agent', ...STAFF_ROLES];
+const POLICY_ROLE_LABELS = { repo_agent: 'Repo agents', ...Object.fromEntries(STAFF_ROLES.map(r => [r, r])) };
+
+// Keys every agent response keeps so the apps can navigate and act on a vehicle
+const PASSTHROUGH_KEYS = ['_id', 'vehicleType', 'allowedTransitions', 'match', 'allocated'];
+
+const MAX_RULES = 50;
+
+/**
+ * Partially mask a value. Phone numbers keep their last four digits like the mobile
+ * app's maskPhoneNumber; identifiers keep their last four characters.
+ * @param {*} value - Field value
+ * @param {String} kind - phone | tail | name | address | text | full
+ * @returns {String}
+ */
+function maskValue(value, kind) {
+  if (value === null || value === undefined || value === '' || value === 'N/A') return value;
+  const text = String(value).trim();
+  switch (kind) {
+    case 'phone': {
+      const digits = text.replace(/\D/g, '');
+      if (!digits) return '';
+      return '*'.repeat(Math.max(0, Math.min(6, digits.length - 4))) + digits.slice(-4);
+    }
+    case 'tail':
+      return text.length <= 4 ? '*'.repeat(text.length) : '*'.repeat(Math.min(6, text.length - 4)) + text.slice(-4);
+    case 'name':
+      return text.split(/\s+/).filter(Boolean).map(word => `${word[0]}***`).join(' ');
+    case 'address': {
+      // Keep the locality (last comma separated part) or the pincode, nothing that finds the door
+      const parts = text.split(',').map(p => p.trim()).filter(Boolean);
+      const pincode = text.match(/\b\d{6}\b/);
+      if (parts.length > 1) return `***, ${parts[parts.length - 1]}`;
+      return pincode ? `***, ${pincode[0]}` : '***';
+    }
+    case 'text':
+      return text.length <= 2 ? '***' : `${text.slice(0, 2)}***`;
+    default:
+      return '***';
+  }
+}
+
+const cleanList = (list) => [...new Set((Array.isArray(list) ? list : String(list || '').split(',')).map(v => String(v || '').trim()).filter(Boolean))];
+
+/**
+ * Validate masking rules sent by a tenant admin
+ * @param {Array<Object>} input - [{ name, roles, banks, statuses, fields: { field: action } }]
+ * @returns {{ok: Boolean, rules?: Array<Object>, message?: String}}
+ */
+function parseMaskingRules(input) {
+  if (!Array.isArray(input)) return { ok: false, message: 'Rules must be a list' };
+  if (input.length > MAX_RULES) return { ok: false, message: `At most ${MAX_RULES} rules are allowed` };
+  const rules = [];
+  for (const [index, raw] of input.entries()) {
+    const name = String(raw?.name || '').trim() || `Rule ${index + 1}`;
+    const roles = cleanList(raw?.roles);
+    const unknownRole = roles.find(r => !POLICY_ROLES.includes(r));
+    if (unknownRole) return { ok: false, message: `${name}: unknown role ${unknownRole}` };
+    const statuses = [];
+    for (const value of cleanList(raw?.statuses)) {
+      const status = normalizeStatus(value);
+      if (!status) return { ok: false, message: `${name}: unknown status ${value}` };
+      if (!statuses.includes(status)) statuses.push(status);
+    }
+    const fields = {};
+    for (const [field, action] of Object.entries(raw?.fields || {})) {
+      if (!MASKABLE_FIELDS[field]) return { ok: false, message: `${name}: unknown field ${field}` };
+      if (!Object.values(FIELD_ACTIONS).includes(action)) return { ok: false, message: `${name}: ${field} must be show, mask or hide` };
+      if (action !== FIELD_ACTIONS.SHOW) fields[field] = action;
+    }
+    if (Object.keys(fields).length === 0) return { ok: false, message: `${name}: mask or hide at least one field` };
+    rules.push({ name, roles, banks: cleanList(raw?.banks), statuses, fields });
+  }
+  return { ok: true, rules };
+}
+
+/**
+ * The policy role of an authenticated user (req.user)
+ * @param {Object} user - Unified auth user
+ * @returns {String|null} 'repo_agent', a staff role, or null for agency admins
+ */
+function resolvePolicyRole(user) {
+  const userType = String(user?.userType || '').toLowerCase();
+  if (userType === 'repo_agent') return 'repo_agent';
+  if (userType === 'office_staff') return user.role || 'Staff';
+  return null;
+}
+
+const stricter = (a, b) => (ACTION_STRICTNESS[b] > ACTION_STRICTNESS[a] ? b : a);
+
+/**
+ * Field policy for the user behind a request. Repo agents start from the tenant's
+ * fieldMapping (unchecked fields are hidden, fields outside the mapping are dropped);
+ * office staff start from every field shown. Rules for the user's role then apply per
+ * vehicle, by its bank and status.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} user - Unified auth user (req.user)
+ * @returns {Object} { role, restricted, keyFor(fields), actionsFor(vehicle), apply(obj, options) }
+ */
+function resolveFieldPolicy(tenant, user) {
+  const role = resolvePolicyRole(user);
+  const isAgent = role === 'repo_agent';
+  const fieldMapping = tenant?.fieldMapping || {};
+  const rules = role
+    ? (tenant?.fieldMaskingRules || []).filter(r => !r.roles?.length || r.roles.includes(role))
+    : [];
+
+  const baseline = {};
+  for (const field of Object.keys(MASKABLE_FIELDS)) {
+    baseline[field] = !isAgent || fieldMapping[field] ? FIELD_ACTIONS.SHOW : FIELD_ACTIONS.HIDE;
+  }
+  const preparedRules = rules.map(r => ({
+    banks: (r.banks || []).map(b => String(b).trim().toLowerCase()),
+    statuses: r.statuses || [],
+    fields: r.fields || {}
+  }));
+  const restricted = isAgent || preparedRules.length > 0;
+
+  // Identifies what this role may see of the given fields, so offline copies built for it can
+  // be shared and replaced when the policy changes; null when none of them is ever masked or hidden
+  const keyFor = (fields) => {
+    const base = fields.map(f => baseline[f] || FIELD_ACTIONS.SHOW);
+    const relevant = preparedRules
+      .map(r => ({ ...r, fields: Object.fromEntries(fields.filter(f => r.fields[f]).map(f => [f, r.fields[f]])) }))
+      .filter(r => Object.keys(r.fields).length > 0);
+    if (!base.some(a => a !== FIELD_ACTIONS.SHOW) && relevant.length === 0) return null;
+    return crypto.createHash('md5').update(JSON.stringify({ fields, base, rules: relevant })).digest('hex').slice(0, 16);
+  };
+
+  const actionsFor = (vehicle = {}) => {
+    const actions = { ...baseline };
+    if (preparedRules.length === 0) return actions;
+    const bank = String(vehicle.bank || '').trim().toLowerCase();
+    const status = normalizeStatus(vehicle.status) || 'Pending';
+    for (const rule of preparedRules) {
+      if (rule.banks.length && !rule.banks.includes(bank)) continue;
+      if (rule.statuses.length && !rule.statuses.includes(status)) continue;
+      for (const [field, action] of Object.entries(rule.fields)) {
+        actions[field] = stricter(actions[field] || FIELD_ACTIONS.SHOW, action);
+      }
+    }
+    return actions;
+  };
+
+  /**
+   * Apply the policy to one vehicle object. Hidden fields are dropped, and for agents so is
+   * anything outside the policy. Bulk rows that must keep their columns pass
+   * { hidden: 'empty' } to blank hidden fields instead. Pass { status } when the object
+   * does not carry the vehicle's status, and { aliases: { field: key } } when it stores a
+   * field under another name (e.g. branch as branchName).
+   */
+  const apply = (obj, { status, hidden = 'omit', aliases = {} } = {}) => {
+    if (!restricted || !obj) return obj;
+    const actions = actionsFor({ bank: obj.bank, status: status !== undefined ? status : obj.status });
+    const out = {};
+    if (isAgent && hidden === 'omit') {
+      for (const k of PASSTHROUGH_KEYS) if (obj[k] !== undefined) out[k] = obj[k];
+    } else {
+      Object.assign(out, obj);
+    }
+    for (const [field, { mask }] of Object.entries(MASKABLE_FIELDS)) {
+      const key = aliases[field] || field;
+      if (obj[key] === undefined) continue;
+      const action = actions[field];
+      if (action === FIELD_ACTIONS.SHOW) out[key] = obj[key];
+      else if (action === FIELD_ACTIONS.MASK) out[key] = maskValue(obj[key], mask);
+      else if (hidden === 'empty') out[key] = '';
+      else delete out[key];
+    }
+    return out;
+  };
+
+  return { role, restricted, keyFor, actionsFor, apply };
+}
+
+module.exports = {
+  FIELD_ACTIONS,
+  MASKABLE_FIELDS,
+  POLICY_ROLES,
+  POLICY_ROLE_LABELS,
+  maskValue,
+  parseMaskingRules,
+  resolvePolicyRole,
+  resolveFieldPolicy
+};
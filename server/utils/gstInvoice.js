@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Payment = require('../models/Payment');
+const { getTenantDB } = require('../config/database');
+const { getRepoAgentModel, getOfficeStaffModel } = require('../routes/tenantUsers');
+
+// Invoice PDFs hold names, phones and addresses, so they are kept out of the public /uploads tree
+// and served through GET /api/payments/:id/invoice
+const INVOICE_DIR = process.env.INVOICE_DIR || path.join(__dirname, '..', 'invoices');
+
+// SAC 998314: IT design and development services (software subscriptions)
+const DEFAULT_SAC_CODE = '998314';
+const DEFAULT_GST_RATE = 18;
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const normalizeState = (name) => String(name || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+/**
+ * GST state code for a state name, or for a code given as-is
+ * @param {String} state - State name ("Maharashtra") or two-digit code ("27")
+ * @returns {String|null}
+ */
+function stateCodeFor(state) {
+  const value = String(state || '').trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const code = value.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : null;
+  }
+  const wanted = normalizeState(value);
+  if (!wanted) return null;
+  if (['orissa'].includes(wanted)) return '21';
+  if (['pondicherry'].includes(wanted)) return '34';
+  if (['newdelhi', 'nctofdelhi'].includes(wanted)) return '07';
+  const entry = Object.entries(GST_STATE_CODES).find(([, name]) => normalizeState(name) === wanted);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Validate a GSTIN's format and state code
+ * @param {String} gstin
+ * @returns {Boolean}
+ */
+function isValidGstin(gstin) {
+  const value = String(gstin || '').trim().toUpperCase();
+  return GSTIN_PATTERN.test(value) && !!GST_STATE_CODES[value.slice(0, 2)];
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Split a payment into taxable value and GST. The amount paid is the invoice total, so GST
+ * is always taken out of it. Supplies within the supplier's state carry CGST + SGST at half
+ * the rate each; supplies to another state carry IGST.
+ * @param {Number} amount - Amount paid
+ * @param {Object} options
+ * @param {Number} options.rate - GST rate in percent
+ * @param {String} options.supplierStateCode
+ * @param {String} [options.recipientStateCode] - Unknown recipients are treated as intra-state
+ * @returns {{rate: Number, taxableAmount: Number, cgst: Number, sgst: Number, igst: Number, total: Number, interState: Boolean}}
+ */
+function splitGst(amount, { rate, supplierStateCode, recipientStateCode }) {
+  const gross = round2(amount);
+  const taxableAmount = round2(gross * 100 / (100 + rate));
+  const tax = round2(gross - taxableAmount);
+  const interState = !!(supplierStateCode && recipientStateCode && supplierStateCode !== recipientStateCode);
+  const cgst = interState ? 0 : round2(tax / 2);
+  return {
+    rate,
+    taxableAmount,
+    cgst,
+    sgst: interState ? 0 : round2(tax - cgst),
+    igst: interState ? tax : 0,
+    total: round2(taxableAmount + tax),
+    interState
+  };
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+  'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+const belowThousand = (n) => [
+  n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : '',
+  n % 100 ? belowHundred(n % 100) : ''
+].filter(Boolean).join(' ');
+
+// Indian numbering: crore, lakh, thousand
+function integerInWords(n) {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+}
+
+/**
+ * Amount in words as printed on Indian invoices
+ * @param {Number} amount
+ * @returns {String} e.g. "Rupees One Thousand Eighteen and Fifty Paise Only"
+ */
+function amountInWords(amount) {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
+
+/**
+ * Invoice settings of a tenant with defaults applied
+ * @param {Object} tenant - Tenant document
+ * @returns {Object}
+ */
+function resolveInvoiceConfig(tenant) {
+  const cfg = tenant?.settings?.paymentConfig?.invoice || {};
+  const gstin = String(cfg.gstin || '').trim().toUpperCase();
+  const rate = Number(cfg.gstRate);
+  return {
+    legalName: cfg.legalName || tenant?.name || '',
+    gstin,
+    address: cfg.address || '',
+    state: cfg.state || (gstin ? GST_STATE_CODES[gstin.slice(0, 2)] : '') || '',
+    phone: cfg.phone || '',
+    email: cfg.email || '',
+    sacCode: cfg.sacCode || DEFAULT_SAC_CODE,
+    gstRate: Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_GST_RATE
+  };
+}
+
+// Address and state of the agent or staff member who paid, from the tenant database
+async function loadRecipient(tenant, payment) {
+  const recipient = {
+    name: payment.submittedByName || '',
+    phone: payment.submittedByPhone || '',
+    email: payment.submittedByEmail || '',
+    address: '',
+    state: ''
+  };
+  if (!payment.submittedByMobileId || !payment.submittedByUserType) return recipient;
+  try {
+    const conn = await getTenantDB(tenant.name);
+    const isAgent = payment.submittedByUserType === 'repo_agent';
+    const Model = isAgent ? getRepoAgentModel(conn) : getOfficeStaffModel(conn);
+    const user = await Model.findOne({ [isAgent ? 'agentId' : 'staffId']: payment.submittedByMobileId })
+      .select('name address city state zipCode')
+      .lean();
+    if (user) {
+      recipient.address = [user.address, user.city, user.zipCode].filter(Boolean).join(', ');
+      recipient.state = user.state || '';
+    }
+  } catch (error) {
+    console.warn(`⚠️ Invoice recipient lookup failed for payment ${payment._id}:`, error.message);
+  }
+  return recipient;
+}
+
+/**
+ * Freeze what goes on a payment's invoice: supplier, recipient and tax split. Stored on the
+ * payment so re-rendering later gives the same document even if the tenant's settings change.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} payment - Approved Payment document with an invoice number
+ * @returns {Promise<Object>}
+ */
+async function buildInvoiceSnapshot(tenant, payment) {
+  const cfg = resolveInvoiceConfig(tenant);
+  const recipient = await loadRecipient(tenant, payment);
+  const supplierStateCode = (isValidGstin(cfg.gstin) ? cfg.gstin.slice(0, 2) : null) || stateCodeFor(cfg.state);
+  const recipientStateCode = stateCodeFor(recipient.state) || supplierStateCode;
+  const registered = isValidGstin(cfg.gstin);
+  const tax = registered
+    ? splitGst(payment.amount, { rate: cfg.gstRate, supplierStateCode, recipientStateCode })
+    : splitGst(payment.amount, { rate: 0 });
+
+  return {
+    supplier: {
+      legalName: cfg.legalName,
+      gstin: registered ? cfg.gstin : '',
+      address: cfg.address,
+      state: supplierStateCode ? GST_STATE_CODES[supplierStateCode] : cfg.state,
+      stateCode: supplierStateCode || '',
+      phone: cfg.phone,
+      email: cfg.email
+    },
+    recipient: {
+      ...recipient,
+      stateCode: recipientStateCode || ''
+    },
+    placeOfSupply: recipientStateCode ? `${GST_STATE_CODES[recipientStateCode]} (${recipientStateCode})` : '',
+    sacCode: cfg.sacCode,
+    description: `Subscription - ${payment.planPeriod} plan`,
+    period: { start: payment.effectiveStart, end: payment.effectiveEnd },
+    ...tax
+  };
+}
+
+const money = (n) => round2(n).toFixed(2);
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '');
+
+/**
+ * Render an invoice PDF
+ * @param {Object} payment - Payment with invoiceNumber and invoiceSnapshot
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(payment) {
+  const inv = payment.invoiceSnapshot;
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Invoice ${payment.invoiceNumber}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 40;
+    const width = doc.page.width - 80;
+
+    // Letterhead
+    doc.font('Helvetica-Bold').fontSize(18).text(inv.supplier.legalName || 'Invoice', left, 40, { width });
+    doc.font('Helvetica').fontSize(9).fillColor('#444');
+    if (inv.supplier.address) doc.text(inv.supplier.address, { width });
+    const contact = [inv.supplier.phone && `Phone: ${inv.supplier.phone}`, inv.supplier.email && `Email: ${inv.supplier.email}`].filter(Boolean).join('   ');
+    if (contact) doc.text(contact, { width });
+    if (inv.supplier.gstin) doc.text(`GSTIN: ${inv.supplier.gstin}   State: ${inv.supplier.state} (${inv.supplier.stateCode})`, { width });
+    doc.moveDown(0.5);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#222636').lineWidth(1.5).stroke();
+    doc.moveDown(0.8);
+
+    doc.fillColor('#000').font('Helvetica-Bold').fontSize(14)
+      .text(inv.supplier.gstin ? 'TAX INVOICE' : 'INVOICE', left, doc.y, { width, align: 'center' });
+    doc.moveDown(0.8);
+
+    // Invoice and recipient details side by side
+    const top = doc.y;
+    const half = width / 2 - 10;
+    doc.font('Helvetica-Bold').fontSize(10).text('Billed To', left, top, { width: half });
+    doc.font('Helvetica').fontSize(9);
+    [inv.recipient.name, inv.recipient.address, inv.recipient.state && `State: ${inv.recipient.state}`,
+      inv.recipient.phone && `Phone: ${inv.recipient.phone}`, inv.recipient.email && `Email: ${inv.recipient.email}`]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, left, doc.y, { width: half }));
+    const leftBottom = doc.y;
+
+    const rightX = left + width / 2 + 10;
+    doc.font('Helvetica-Bold').fontSize(10).text('Invoice Details', rightX, top, { width: half });
+    doc.font('Helvetica').fontSize(9);
+    [
+      `Invoice No: ${payment.invoiceNumber}`,
+      `Invoice Date: ${fmtDate(payment.invoiceGeneratedAt || payment.approvedAt)}`,
+      inv.placeOfSupply && `Place of Supply: ${inv.placeOfSupply}`,
+      `Payment Reference: ${payment.transactionId}`,
+      inv.period?.start && inv.period?.end && `Service Period: ${fmtDate(inv.period.start)} - ${fmtDate(inv.period.end)}`
+    ].filter(Boolean).forEach(line => doc.text(line, rightX, doc.y, { width: half }));
+    doc.y = Math.max(leftBottom, doc.y) + 16;
+
+    // Line items
+    const cols = [
+      { label: 'Description', width: width - 260, align: 'left' },
+      { label: 'SAC', width: 70, align: 'left' },
+      { label: 'Qty', width: 40, align: 'right' },
+      { label: 'Taxable Value (INR)', width: 150, align: 'right' }
+    ];
+    const drawRow = (values, { bold = false, fill } = {}) => {
+      const y = doc.y;
+      if (fill) doc.rect(left, y - 4, width, 18).fill(fill).fillColor('#000');
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      cols.forEach((col, i) => {
+        doc.text(values[i] ?? '', x + 4, y, { width: col.width - 8, align: col.align });
+        x += col.width;
+      });
+      doc.y = y + 18;
+    };
+    drawRow(cols.map(c => c.label), { bold: true, fill: '#EEF0F5' });
+    drawRow([inv.description, inv.sacCode, '1', money(inv.taxableAmount)]);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#CCC').lineWidth(0.5).stroke();
+    doc.moveDown(0.5);
+
+    // Totals
+    const totals = [['Taxable Value', inv.taxableAmount]];
+    if (inv.supplier.gstin) {
+      if (inv.interState) {
+        totals.push([`IGST @ ${inv.rate}%`, inv.igst]);
+      } else {
+        totals.push([`CGST @ ${inv.rate / 2}%`, inv.cgst], [`SGST @ ${inv.rate / 2}%`, inv.sgst]);
+      }
+    }
+    const labelX = left + width - 260;
+    totals.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(9).text(label, labelX, y, { width: 150 });
+      doc.text(money(value), labelX + 150, y, { width: 110, align: 'right' });
+      doc.y = y + 14;
+    });
+    const totalY = doc.y + 2;
+    doc.rect(labelX - 4, totalY - 4, 264, 20).fill('#222636');
+    doc.fillColor('#FFF').font('Helvetica-Bold').fontSize(10).text('Total (INR)', labelX, totalY, { width: 150 });
+    doc.text(money(inv.total), labelX + 150, totalY, { width: 110, align: 'right' });
+    doc.fillColor('#000');
+    doc.y = totalY + 26;
+
+    doc.font('Helvetica-Bold').fontSize(9).text('Amount in words: ', left, doc.y, { continued: true })
+      .font('Helvetica').text(amountInWords(inv.total), { width });
+    doc.moveDown(1.5);
+
+    doc.fontSize(8).fillColor('#666');
+    if (!inv.supplier.gstin) doc.text('Supplier is not registered under GST; no tax has been charged.', left, doc.y, { width });
+    doc.text('Whether tax is payable under reverse charge: No', left, doc.y, { width });
+    doc.text('This is a computer generated invoice and does not require a signature.', left, doc.y, { width });
+
+    doc.end();
+  });
+}
+
+const invoiceFilePath = (tenantName, invoiceNumber) => path.join(
+  INVOICE_DIR,
+  String(tenantName || 'shared').replace(/[^a-zA-Z0-9_-]/g, '_'),
+  `${String(invoiceNumber).replace(/[^a-zA-Z0-9_-]/g, '_')}.pdf`
+);
+
+/**
+ * Issue (or re-render) the invoice PDF of an approved payment: assigns the invoice number and
+ * tax snapshot if missing, writes the PDF and sets invoiceUrl. The caller saves the payment.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} payment - Approved Payment document
+ * @returns {Promise<String>} Path of the PDF on disk
+ */
+async function issueInvoice(tenant, payment) {
+  if (!payment.invoiceNumber) {
+    payment.invoiceNumber = await Payment.generateInvoiceNumber();
+    payment.invoiceGeneratedAt = new Date();
+  }
+  if (!payment.invoiceSnapshot?.supplier) {
+    payment.invoiceSnapshot = await buildInvoiceSnapshot(tenant, payment);
+  }
+  const buffer = await renderInvoicePdf(payment);
+  const file = invoiceFilePath(tenant.name, payment.invoiceNumber);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, buffer);
+  payment.invoiceUrl = `/api/payments/${payment._id}/invoice`;
+  return file;
+}
+
+module.exports = {
+  INVOICE_DIR,
+  DEFAULT_SAC_CODE,
+  DEFAULT_GST_RATE,
+  GST_STATE_CODES,
+  stateCodeFor,
+  isValidGstin,
+  splitGst,
+  amountInWords,
+  resolveInvoiceConfig,
+  buildInvoiceSnapshot,
+  renderInvoicePdf,
+  invoiceFilePath,
+  issueInvoice
+};
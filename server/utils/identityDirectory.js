@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Tenant = require('../models/Tenant');
+const UserIdentity = require('../models/UserIdentity');
+const { getTenantDB } = require('../config/database');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const USER_TYPES = ['office_staff', 'repo_agent'];
+
+// Lazy require to avoid circular dependency (tenantUsers keeps the directory in sync)
+const getUserModel = (conn, userType) => {
+  const { getOfficeStaffModel, getRepoAgentModel } = require('../routes/tenantUsers');
+  return userType === 'office_staff' ? getOfficeStaffModel(conn) : getRepoAgentModel(conn);
+};
+
+/**
+ * Directory key for a phone number: its last 10 digits, so "+91 98765 43210",
+ * "09876543210" and "9876543210" are the same number
+ * @param {String} phone
+ * @returns {String} Empty when the number is too short
+ */
+function normalizePhoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+/**
+ * Directory key for an email address
+ * @param {String} email
+ * @returns {String}
+ */
+function normalizeEmailKey(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return value.includes('@') ? value : '';
+}
+
+/**
+ * Directory lookup for a login identifier (email or phone number)
+ * @param {String} identifier
+ * @returns {{kind: String, value: String}|null}
+ */
+function parseIdentifier(identifier) {
+  const raw = String(identifier || '').trim();
+  if (raw.includes('@')) {
+    const value = normalizeEmailKey(raw);
+    return value ? { kind: 'email', value } : null;
+  }
+  const value = normalizePhoneKey(raw);
+  return value ? { kind: 'phone', value } : null;
+}
+
+/**
+ * Record a tenant user's phone number and email in the directory. Call after a user is
+ * created or their phone/email changes.
+ * @param {Object} tenant - Tenant document ({ _id, name })
+ * @param {String} userType - repo_agent | office_staff
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function syncUserIdentity(tenant, userType, user) {
+  const keys = {
+    phone: normalizePhoneKey(user.phoneNumber),
+    email: normalizeEmailKey(user.email)
+  };
+  const owner = { tenantId: tenant._id, userType, userId: user._id };
+
+  for (const [kind, value] of Object.entries(keys)) {
+    if (value) {
+      await UserIdentity.updateOne(
+        { ...owner, kind },
+        { $set: { value, tenantName: tenant.name, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } else {
+      await UserIdentity.deleteOne({ ...owner, kind });
+    }
+  }
+}
+
+/**
+ * Drop a deleted tenant user from the directory
+ * @param {String|ObjectId} tenantId
+ * @param {String} userType - repo_agent | office_staff
+ * @param {String|ObjectId} userId
+ * @returns {Promise<void>}
+ */
+async function removeUserIdentity(tenantId, userType, userId) {
+  await UserIdentity.deleteMany({ tenantId, userType, userId });
+}
+
+// Log directory failures without failing the user operation; the nightly rebuild repairs them
+const syncUserIdentitySafe = (tenant, userType, user) => syncUserIdentity(tenant, userType, user)
+  .catch(error => console.error(`❌ Identity directory sync failed for ${userType} ${user?._id}:`, error.message));
+const removeUserIdentitySafe = (tenantId, userType, userId) => removeUserIdentity(tenantId, userType, userId)
+  .catch(error => console.error(`❌ Identity directory removal failed for ${userType} ${userId}:`, error.message));
+
+// Becomes true once the first rebuild has filled the directory
+let directoryBuilt = false;
+const isDirectoryBuilt = async () => {
+  if (!directoryBuilt) directoryBuilt = (await UserIdentity.estimatedDocumentCount()) > 0;
+  return directoryBuilt;
+};
+
+// Until the first rebuild has run, fall back to searching every tenant (the old login path)
+// and record what is found
+async function scanTenantsForUsers(key, { tenantId, userTypes, withPassword }) {
+  const tenantFilter = { isActive: true };
+  if (tenantId) tenantFilter._id = tenantId;
+  const tenants = await Tenant.find(tenantFilter).lean();
+  const query = key.kind === 'email'
+    ? { email: key.value }
+    : { phoneNumber: { $regex: `${key.value.split('').join('\\D*')}$` } };
+
+  const matches = [];
+  for (const tenant of tenants) {
+    try {
+      const conn = await getTenantDB(tenant.name);
+      for (const userType of USER_TYPES.filter(t => userTypes.includes(t))) {
+        const found = getUserModel(conn, userType).find(query);
+        const users = await (withPassword ? found.select('+password') : found);
+        for (const user of users) {
+          if (normalizePhoneKey(user.phoneNumber) !== key.value && normalizeEmailKey(user.email) !== key.value) continue;
+          matches.push({ tenant, userType, user });
+          syncUserIdentitySafe(tenant, userType, user);
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking tenant ${tenant.name}:`, error.message);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Tenant users a login identifier belongs to, loaded from their tenant databases.
+ * Staff come before agents within a tenant, matching the old login order.
+ * @param {String} identifier - Email or phone number
+ * @param {Object} [options] - { tenantId, userTypes, withPassword }
+ * @returns {Promise<Array<{tenant: Object, userType: String, user: Object}>>}
+ */
+async function findTenantUsers(identifier, { tenantId, userTypes = USER_TYPES, withPassword = false } = {}) {
+  const key = parseIdentifier(identifier);
+  if (!key) return [];
+
+  const filter = { ...key, userType: { $in: userTypes } };
+  if (tenantId) {
+    if (!mongoose.isValidObjectId(tenantId)) return [];
+    filter.tenantId = tenantId;
+  }
+  const entries = await UserIdentity.find(filter).lean();
+  if (entries.length === 0) {
+    return (await isDirectoryBuilt()) ? [] : scanTenantsForUsers(key, { tenantId, userTypes, withPassword });
+  }
+
+  const tenants = await Tenant.find({ _id: { $in: entries.map(e => e.tenantId) }, isActive: true }).lean();
+  const tenantById = new Map(tenants.map(t => [String(t._id), t]));
+
+  const matches = [];
+  for (const entry of entries) {
+    const tenant = tenantById.get(String(entry.tenantId));
+    if (!tenant) continue;
+    try {
+      const conn = await getTenantDB(tenant.name);
+      const query = getUserModel(conn, entry.userType).findById(entry.userId);
+      const user = await (withPassword ? query.select('+password') : query);
+      if (user) {
+        matches.push({ tenant, userType: entry.userType, user });
+      } else {
+        // Deleted without going through the API
+        await UserIdentity.deleteOne({ _id: entry._id });
+      }
+    } catch (error) {
+      console.error(`Error loading ${entry.userType} from tenant ${tenant.name}:`, error.message);
+    }
+  }
+
+  return matches.sort((a, b) => String(a.tenant.name).localeCompare(String(b.tenant.name))
+    || USER_TYPES.indexOf(a.userType) - USER_TYPES.indexOf(b.userType));
+}
+
+/**
+ * Check a tenant user's password. Plaintext passwords left by old imports are hashed
+ * (by the schema's pre-save hook) the first time they match.
+ * @param {Object} user - User document loaded with its password
+ * @param {String} password - Password entered
+ * @returns {Promise<Boolean>}
+ */
+async function verifyTenantUserPassword(user, password) {
+  const provided = String(password || '').trim();
+  const stored = String(user.password || '').trim();
+  if (!stored) return false;
+
+  let valid = false;
+  try {
+    valid = await bcrypt.compare(provided, stored);
+  } catch (_) {
+    valid = false;
+  }
+  if (!valid && stored === provided) {
+    user.password = provided;
+    await user.save();
+    valid = true;
+  }
+  return valid;
+}
+
+/**
+ * Tenants to offer when one identifier signs in to several agencies
+ * @param {Array} matches - Result of findTenantUsers
+ * @returns {Array<{tenantId: String, tenantName: String, userType: String}>}
+ */
+function toTenantChoices(matches) {
+  return matches.map(({ tenant, userType }) => ({
+    tenantId: String(tenant._id),
+    tenantName: tenant.name,
+    userType
+  }));
+}
+
+/**
+ * Rebuild the directory from every active tenant database and drop stale entries.
+ * Runs as the 'identity_directory_rebuild' job, nightly and on first start.
+ * @returns {Promise<{tenants: Number, users: Number, removed: Number, errorCount: Number}>}
+ */
+async function rebuildIdentityDirectory() {
+  const totals = { tenants: 0, users: 0, removed: 0, errorCount: 0 };
+  const startedAt = new Date();
+  const tenants = await Tenant.find({ isActive: true }, { name: 1 }).lean();
+
+  for (const tenant of tenants) {
+    try {
+      const conn = await getTenantDB(tenant.name);
+      for (const userType of USER_TYPES) {
+        const users = await getUserModel(conn, userType).find({}, { phoneNumber: 1, email: 1 }).lean();
+        for (const user of users) {
+          await syncUserIdentity(tenant, userType, user);
+          totals.users++;
+        }
+      }
+      totals.tenants++;
+    } catch (error) {
+      console.error(`Error rebuilding identity directory for tenant ${tenant.name}:`, error.message);
+      totals.errorCount++;
+    }
+  }
+
+  // Entries not touched by this run belong to deleted users or inactive tenants. Only prune
+  // when every tenant was read, so a tenant that failed to connect keeps its entries.
+  if (totals.errorCount === 0) {
+    const result = await UserIdentity.deleteMany({ updatedAt: { $lt: startedAt } });
+    totals.removed = result.deletedCount || 0;
+  }
+
+  console.log(`📇 Identity directory rebuilt: ${totals.users} users in ${totals.tenants} tenants, ${totals.removed} stale entries removed`);
+  return totals;
+}
+
+/**
+ * Queue a rebuild when the directory is empty (first start after upgrading)
+ * @returns {Promise<void>}
+ */
+async function ensureIdentityDirectory() {
+  const count = await UserIdentity.estimatedDocumentCount();
+  if (count > 0) return;
+  await enqueueJob('identity_directory_rebuild', {}, {
+    dedupeKey: 'identity_directory_rebuild:initial',
+    label: 'Build login directory',
+    maxAttempts: 3
+  });
+}
+
+registerJobHandler('identity_directory_rebuild', () => rebuildIdentityDirectory(), { label: 'Login directory rebuild', maxAttempts: 3, concurrency: 1 });
+
+module.exports = {
+  normalizePhoneKey,
+  normalizeEmailKey,
+  parseIdentifier,
+  syncUserIdentity,
+  syncUserIdentitySafe,
+  removeUserIdentity,
+  removeUserIdentitySafe,
+  findTenantUsers,
+  verifyTenantUserPassword,
+  toTenantChoices,
+  rebuildIdentityDirectory,
+  ensureIdentityDirectory
+};
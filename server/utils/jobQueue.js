@@ -0,0 +1,430 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+// Persistent background jobs. Jobs are documents in the `jobs` collection; every API
+// instance runs a worker that claims due jobs atomically, so work survives restarts and
+// is shared across instances. A worker keeps a lease on each running job and renews it
+// while the handler runs; jobs whose lease runs out are picked up again by any worker.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 60 * 1000;
+const HEARTBEAT_MS = 20 * 1000;
+const PROGRESS_WRITE_MS = 1000;
+const POLL_MS = parseInt(process.env.JOB_POLL_MS) || 2000;
+const CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+const HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// type -> { handler, maxAttempts, concurrency, label, onFinished }
+const handlers = new Map();
+// jobId -> type, for jobs running in this process
+const running = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {String} type - Job type, e.g. 'file_ingestion'
+ * @param {Function} handler - async (ctx) => result; see createJobContext for ctx
+ * @param {Object} [options] - { label, maxAttempts, concurrency (per process), onFinished(job) }
+ */
+function registerJobHandler(type, handler, { label, maxAttempts = 3, concurrency = CONCURRENCY, onFinished } = {}) {
+  handlers.set(type, { handler, label: label || type, maxAttempts, concurrency, onFinished });
+}
+
+/**
+ * Registered job types with their display labels
+ * @returns {Array<{type: String, label: String}>}
+ */
+function listJobTypes() {
+  return Array.from(handlers.entries()).map(([type, def]) => ({ type, label: def.label }));
+}
+
+/**
+ * Error that fails a job without further retries (bad input, missing file, ...)
+ * @param {String} message
+ * @param {String} [code] - Machine-readable reason kept on the job as errorCode
+ * @returns {Error}
+ */
+function permanentJobError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * createdBy sub-document for a request user (unified token payload or User document)
+ * @param {Object} user - req.user
+ * @returns {{id: String, userType: String, name: String}}
+ */
+function jobCreatorFromUser(user) {
+  if (!user) return undefined;
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return {
+    id: String(user.userId || user.agentId || user.staffId || user._id || ''),
+    userType: user.userType || 'main_user',
+    name: user.name || fullName || user.email || ''
+  };
+}
+
+const retryDelayMs = (attempt) => Math.min(30 * 1000 * Math.pow(2, Math.max(0, attempt - 1)), 30 * 60 * 1000);
+
+const historyExpiry = () => new Date(Date.now() + HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Add a job to the queue
+ * @param {String} type - Registered job type
+ * @param {Object} [payload] - Handler input (stored as-is)
+ * @param {Object} [options] - { tenant: {_id, name}, createdBy, label, dedupeKey, lockKey, runAt, maxAttempts }
+ * @returns {Promise<Object>} The queued job (an already queued job when dedupeKey matches one)
+ */
+async function enqueueJob(type, payload = {}, { tenant, createdBy, label, dedupeKey, lockKey, runAt, maxAttempts } = {}) {
+  const def = handlers.get(type);
+  const doc = {
+    type,
+    payload,
+    tenantId: tenant?._id || tenant?.tenantId,
+    tenantName: tenant?.name || tenant?.tenantName,
+    label,
+    lockKey,
+    createdBy,
+    runAt: runAt || new Date(),
+    maxAttempts: maxAttempts || def?.maxAttempts || 3
+  };
+
+  let job = null;
+  if (!dedupeKey) {
+    job = await Job.create(doc);
+  } else {
+    // The partial unique index allows one queued job per key; losing the race means the other insert won
+    for (let i = 0; i < 3 && !job; i++) {
+      job = await Job.findOne({ dedupeKey, status: 'queued' });
+      if (job) break;
+      try {
+        job = await Job.create({ ...doc, dedupeKey });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!job) throw new Error(`Could not queue ${type} job`);
+  }
+
+  if (pollTimer) setImmediate(() => pollJobs().catch(() => {}));
+  return job;
+}
+
+/**
+ * Cancel a job. Queued jobs stop immediately; running jobs are asked to stop and
+ * end as cancelled once their handler notices.
+ * @param {String} jobId
+ * @param {Object} [scope] - Extra filter, e.g. { tenantId }
+ * @returns {Promise<Object|null>} Updated job, or null when it cannot be cancelled
+ */
+async function cancelJob(jobId, scope = {}) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  const now = new Date();
+  const queued = await Job.findOneAndUpdate(
+    { _id: jobId, ...scope, status: 'queued' },
+    {
+      $set: { status: 'cancelled', cancelRequested: true, finishedAt: now, expireAt: historyExpiry() },
+      $unset: { dedupeKey: '', lockedBy: '', lockedUntil: '' }
+    },
+    { new: true }
+  );
+  if (queued) {
+    await notifyFinished(queued);
+    return queued;
+  }
+  return Job.findOneAndUpdate(
+    { _id: jobId, ...scope, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+}
+
+/**
+ * Queue a failed or cancelled job again with a fresh set of attempts
+ * @param {String} jobId
+ * @param {Object} [scope] - Extra filter, e.g. { tenantId }
+ * @returns {Promise<Object|null>} Updated job, or null when it cannot be retried
+ */
+async function retryJob(jobId, scope = {}) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, ...scope, status: { $in: ['failed', 'cancelled'] } },
+    {
+      $set: {
+        status: 'queued',
+        attempts: 0,
+        runAt: new Date(),
+        cancelRequested: false,
+        progress: { percent: 0, message: 'Queued for retry' }
+      },
+      $unset: { finishedAt: '', expireAt: '', lastError: '', errorCode: '', result: '', lockedBy: '', lockedUntil: '' }
+    },
+    { new: true }
+  );
+  if (job && pollTimer) setImmediate(() => pollJobs().catch(() => {}));
+  return job;
+}
+
+async function notifyFinished(job) {
+  const def = handlers.get(job.type);
+  if (!def?.onFinished) return;
+  try {
+    await def.onFinished(job);
+  } catch (error) {
+    console.error(`Job ${job.type} ${job._id} cleanup error:`, error.message);
+  }
+}
+
+/**
+ * Handler context: payload, progress reporting and cancellation checks
+ * @param {Object} job - Claimed job document
+ * @returns {Object} ctx
+ */
+function createJobContext(job) {
+  const state = { cancelled: false, lost: false, lastWrite: 0 };
+
+  // Renew the lease; the returned document tells us whether cancellation was requested
+  const touch = async (set = {}) => {
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: WORKER_ID, status: 'running' },
+      { $set: { ...set, lockedUntil: new Date(Date.now() + LEASE_MS) } },
+      { new: true, projection: { cancelRequested: 1 } }
+    );
+    if (!updated) state.lost = true;
+    else if (updated.cancelRequested) state.cancelled = true;
+  };
+
+  return {
+    job,
+    payload: job.payload || {},
+    attempt: job.attempts,
+    state,
+    touch,
+
+    /**
+     * Report progress (throttled to one write per second unless complete)
+     * @param {Number} percent - 0-100
+     * @param {String} [message]
+     * @param {Object} [data] - Counters shown alongside the progress bar
+     */
+    async progress(percent, message = '', data) {
+      const now = Date.now();
+      if (percent < 100 && now - state.lastWrite < PROGRESS_WRITE_MS) return;
+      state.lastWrite = now;
+      const progress = { percent: Math.max(0, Math.min(100, Math.round(percent))), message };
+      if (data !== undefined) progress.data = data;
+      await touch({ progress });
+    },
+
+    isCancelled() {
+      return state.cancelled || state.lost;
+    },
+
+    throwIfCancelled() {
+      if (state.cancelled || state.lost) {
+        const error = new Error(state.lost ? 'Job lease lost' : 'Job cancelled');
+        error.code = 'JOB_CANCELLED';
+        throw error;
+      }
+    }
+  };
+}
+
+// Final state write; guarded by lockedBy so a worker that lost its lease changes nothing
+async function settleJob(job, set, unset = {}, push) {
+  const update = { $set: set, $unset: { lockedBy: '', lockedUntil: '', ...unset } };
+  if (push) update.$push = push;
+  return Job.findOneAndUpdate({ _id: job._id, lockedBy: WORKER_ID }, update, { new: true });
+}
+
+async function runJob(job) {
+  const def = handlers.get(job.type);
+  running.set(String(job._id), job.type);
+  const ctx = createJobContext(job);
+  const heartbeat = setInterval(() => { ctx.touch().catch(() => {}); }, HEARTBEAT_MS);
+  const startedMs = Date.now();
+
+  try {
+    if (job.cancelRequested) {
+      const error = new Error('Job cancelled');
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+    if (job.attempts > job.maxAttempts) {
+      throw permanentJobError('Worker stopped before the job finished', 'WORKER_LOST');
+    }
+
+    console.log(`🧵 Job ${job.type} ${job._id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+    const result = await def.handler(ctx);
+    const done = await settleJob(job, {
+      status: 'completed',
+      result: result === undefined ? null : result,
+      'progress.percent': 100,
+      finishedAt: new Date(),
+      expireAt: historyExpiry()
+    });
+    console.log(`✅ Job ${job.type} ${job._id} completed in ${((Date.now() - startedMs) / 1000).toFixed(1)}s`);
+    if (done) await notifyFinished(done);
+  } catch (error) {
+    const message = String(error?.message || error);
+    const attemptError = { attemptErrors: { $each: [{ attempt: job.attempts, message, at: new Date() }], $slice: -20 } };
+
+    if (error?.code === 'JOB_CANCELLED' || ctx.state.cancelled) {
+      if (ctx.state.lost) return;
+      const done = await settleJob(job, {
+        status: 'cancelled',
+        'progress.message': 'Cancelled',
+        finishedAt: new Date(),
+        expireAt: historyExpiry()
+      });
+      console.log(`🛑 Job ${job.type} ${job._id} cancelled`);
+      if (done) await notifyFinished(done);
+    } else if (error?.permanent || job.attempts >= job.maxAttempts) {
+      const failed = { status: 'failed', lastError: message, finishedAt: new Date(), expireAt: historyExpiry() };
+      if (error?.code) failed.errorCode = String(error.code);
+      const done = await settleJob(job, failed, {}, attemptError);
+      console.error(`❌ Job ${job.type} ${job._id} failed: ${message}`);
+      if (done) await notifyFinished(done);
+    } else {
+      const delay = retryDelayMs(job.attempts);
+      await settleJob(job, {
+        status: 'queued',
+        lastError: message,
+        runAt: new Date(Date.now() + delay),
+        'progress.message': `Retrying in ${Math.round(delay / 1000)}s: ${message}`
+      }, {}, attemptError);
+      console.warn(`⚠️ Job ${job.type} ${job._id} attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${message}`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    running.delete(String(job._id));
+  }
+}
+
+// Claim the next due job this process has a handler and a free slot for
+async function claimNextJob() {
+  const now = new Date();
+  const counts = {};
+  for (const type of running.values()) counts[type] = (counts[type] || 0) + 1;
+  const types = Array.from(handlers.entries())
+    .filter(([type, def]) => (counts[type] || 0) < def.concurrency)
+    .map(([type]) => type);
+  if (types.length === 0) return null;
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        // Lease ran out: the worker running it died
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS), startedAt: now },
+      $inc: { attempts: 1 },
+      $unset: { dedupeKey: '' }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+// Put a claimed job back when another job with the same lock key is running
+async function deferIfLocked(job) {
+  if (!job.lockKey) return false;
+  const busy = await Job.exists({
+    _id: { $ne: job._id },
+    lockKey: job.lockKey,
+    status: 'running',
+    lockedUntil: { $gt: new Date() }
+  });
+  if (!busy) return false;
+  await Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set: { status: 'queued', runAt: new Date(Date.now() + 5000 + Math.round(Math.random() * 5000)) },
+      $inc: { attempts: -1 },
+      $unset: { lockedBy: '', lockedUntil: '' }
+    }
+  );
+  return true;
+}
+
+async function pollJobs() {
+  if (polling || !pollTimer || mongoose.connection.readyState !== 1) return;
+  polling = true;
+  try {
+    while (running.size < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      if (await deferIfLocked(job)) continue;
+      runJob(job).catch(error => console.error(`Job ${job._id} runner error:`, error.message));
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start claiming and running jobs in this process. Set JOB_WORKER_DISABLED=true to run an
+ * API-only instance.
+ */
+function startJobWorker() {
+  if (pollTimer || process.env.JOB_WORKER_DISABLED === 'true') return;
+  pollTimer = setInterval(() => {
+    pollJobs().catch(error => console.error('Job poll error:', error.message));
+  }, POLL_MS);
+  console.log(`🧵 Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY}, types: ${Array.from(handlers.keys()).join(', ')})`);
+}
+
+/**
+ * Stop claiming new jobs. Running jobs keep going; if the process exits first their
+ * lease runs out and another worker picks them up.
+ */
+function stopJobWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Queue a job on a fixed schedule. Runs are aligned to multiples of the interval, so
+ * several instances scheduling the same job share one queued run per period.
+ * @param {String} type - Registered job type
+ * @param {Number} intervalMs - Period between runs
+ * @param {Object} [options] - { payload, label }
+ * @returns {Function} Stops the schedule
+ */
+function schedulePeriodicJob(type, intervalMs, { payload = {}, label } = {}) {
+  const queueNext = () => {
+    const runAt = new Date((Math.floor(Date.now() / intervalMs) + 1) * intervalMs);
+    enqueueJob(type, payload, { dedupeKey: `periodic:${type}`, runAt, label, maxAttempts: 1 })
+      .catch(error => console.error(`Error scheduling ${type} job:`, error.message));
+  };
+  const first = setTimeout(queueNext, 5000);
+  const timer = setInterval(queueNext, Math.min(intervalMs / 2, 10 * 60 * 1000));
+  return () => {
+    clearTimeout(first);
+    clearInterval(timer);
+  };
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  registerJobHandler,
+  listJobTypes,
+  permanentJobError,
+  jobCreatorFromUser,
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  startJobWorker,
+  stopJobWorker,
+  schedulePeriodicJob
+};
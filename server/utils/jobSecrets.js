@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Secrets a background job needs later (e.g. the password of a protected spreadsheet) are
+// stored in its payload encrypted with AES-256-GCM, never in plaintext. The key comes from
+// JOB_SECRET_KEY, falling back to JWT_SECRET.
+
+const PREFIX = 'enc:v1:';
+
+const getKey = () => {
+  const secret = process.env.JOB_SECRET_KEY || process.env.JWT_SECRET;
+  if (!secret) throw new Error('JOB_SECRET_KEY or JWT_SECRET must be set to store job secrets');
+  return crypto.createHash('sha256').update(String(secret)).digest();
+};
+
+/**
+ * Encrypt a secret for a job payload
+ * @param {String} value
+ * @returns {String|undefined} Sealed value, or undefined when there is no secret
+ */
+function sealJobSecret(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${PREFIX}${[iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':')}`;
+}
+
+/**
+ * Decrypt a secret sealed with sealJobSecret. Values stored before secrets were sealed are
+ * returned as they are.
+ * @param {String} sealed
+ * @returns {String|undefined}
+ */
+function openJobSecret(sealed) {
+  if (sealed === undefined || sealed === null || sealed === '') return undefined;
+  const text = String(sealed);
+  if (!text.startsWith(PREFIX)) return text;
+  const [iv, tag, data] = text.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  sealJobSecret,
+  openJobSecret
+};
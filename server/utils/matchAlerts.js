@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { queueNotificationToTenant, createVehicleMatchNotification } = require('./pushNotificationService');
+const { sendSms } = require('./smsProvider');
+const { getTenantEntitlements } = require('./planEntitlements');
+
+// Vehicle match alerts: when an agent confirms a vehicle in the field, tenant admins and
+// office staff get a high-priority push with the agent's location and photo. If nobody
+// acknowledges the alert within the tenant's escalation window, it is pushed again and the
+// tenant admin gets an SMS.
+
+const MATCH_ALERT_TYPE = 'vehicle_confirm';
+const ALERT_USER_TYPES = ['main_user', 'office_staff'];
+const DEFAULT_ESCALATION_MINUTES = 10;
+const MAX_ESCALATION_MINUTES = 240;
+
+/**
+ * Minutes an alert may stay unacknowledged before it is escalated; 0 turns escalation off
+ * @param {Object} tenant - Tenant document
+ * @returns {Number}
+ */
+function resolveEscalationMinutes(tenant) {
+  const minutes = tenant?.settings?.matchAlertEscalationMinutes;
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_ESCALATION_MINUTES;
+}
+
+/**
+ * Map link for a GPS position; opens the maps app on phones
+ * @param {Object} location - { latitude, longitude }
+ * @returns {String} URL, or '' without a position
+ */
+function mapUrlFor(location) {
+  if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) return '';
+  return `https://www.google.com/maps/search/?api=1&query=${location.latitude},${location.longitude}`;
+}
+
+/**
+ * Display name of the user behind a request
+ * @param {Object} connection - Tenant DB connection
+ * @param {Object} user - req.user
+ * @returns {Promise<String>}
+ */
+async function actorNameFor(connection, user) {
+  if (user?.mainUser) return [user.mainUser.firstName, user.mainUser.lastName].filter(Boolean).join(' ') || user.mainUser.email || '';
+  const collection = user?.userType === 'repo_agent' ? 'repoagents' : user?.userType === 'office_staff' ? 'officestaffs' : null;
+  if (!collection || !user.userId) return '';
+  try {
+    const doc = await connection.collection(collection).findOne({ _id: new mongoose.Types.ObjectId(String(user.userId)) }, { projection: { name: 1 } });
+    return doc?.name || '';
+  } catch (_) {
+    return '';
+  }
+}
+
+const pushFor = (notification, extra = {}) => createVehicleMatchNotification({
+  notificationId: notification._id,
+  vehicleId: notification.payload?.vehicleId,
+  regNo: notification.payload?.regNo,
+  bank: notification.payload?.bank,
+  agentName: notification.payload?.agentName,
+  location: notification.payload?.location,
+  mapUrl: notification.payload?.mapUrl,
+  photoUrl: notification.payload?.photoUrl,
+  ...extra
+});
+
+/**
+ * Record a confirmed vehicle and, when the tenant's plan has match alerts, push it to admins
+ * and staff and schedule its escalation. The record is kept either way.
+ * @param {Object} params - { tenant, user (req.user), vehicle, vehicleType, agentName, location, photoUrl, note }
+ * @returns {Promise<{notification: Object, pushed: Boolean}>}
+ */
+async function raiseVehicleMatchAlert({ tenant, user, vehicle, vehicleType, agentName, location, photoUrl, note }) {
+  const mapUrl = mapUrlFor(location);
+  const regNo = vehicle.registrationNumber || '';
+  const notification = await Notification.create({
+    tenantId: tenant._id,
+    tenantName: tenant.name,
+    type: MATCH_ALERT_TYPE,
+    priority: 'high',
+    title: 'Vehicle match confirmed',
+    message: `Reg ${regNo} confirmed by ${agentName || user.userType}`,
+    payload: {
+      vehicleId: vehicle._id,
+      vehicleType,
+      regNo,
+      chassisNo: vehicle.chassisNumber || '',
+      loanNo: vehicle.agreementNumber || '',
+      bank: vehicle.bankName || '',
+      agentName: agentName || '',
+      location: location || null,
+      mapUrl,
+      photoUrl: photoUrl || '',
+      note: note || ''
+    },
+    createdBy: user.userId || null
+  });
+
+  const { features } = await getTenantEntitlements(tenant);
+  if (!features.matchAlerts) return { notification, pushed: false };
+
+  await queueNotificationToTenant(tenant._id, pushFor(notification), { userTypes: ALERT_USER_TYPES });
+
+  const minutes = resolveEscalationMinutes(tenant);
+  if (minutes > 0) {
+    await enqueueJob('match_alert_escalation', { notificationId: String(notification._id) }, {
+      tenant,
+      label: `Match alert escalation ${regNo}`,
+      runAt: new Date(Date.now() + minutes * 60 * 1000),
+      dedupeKey: `match_alert_escalation:${notification._id}`
+    });
+  }
+  console.log(`🚨 Match alert for ${regNo || vehicle._id} sent to ${tenant.name}`);
+  return { notification, pushed: true };
+}
+
+/**
+ * Acknowledge an alert. The first acknowledgement wins and stops the escalation.
+ * @param {String} notificationId
+ * @param {String} tenantId
+ * @param {Object} user - req.user
+ * @param {String} [name] - Display name of the user
+ * @returns {Promise<Object|null>} The notification, or null when it is not a match alert of this tenant
+ */
+async function acknowledgeMatchAlert(notificationId, tenantId, user, name = '') {
+  const scope = { _id: notificationId, tenantId, type: MATCH_ALERT_TYPE };
+  const acknowledged = await Notification.findOneAndUpdate(
+    { ...scope, acknowledgedAt: null },
+    {
+      $set: {
+        read: true,
+        acknowledgedAt: new Date(),
+        acknowledgedBy: {
+          id: String(user.userId || user.staffId || ''),
+          userType: user.userType,
+          name
+        }
+      }
+    },
+    { new: true }
+  );
+  return acknowledged || Notification.findOne(scope);
+}
+
+// Runs once per alert after the escalation window
+registerJobHandler('match_alert_escalation', async (ctx) => {
+  const notification = await Notification.findById(ctx.payload.notificationId);
+  if (!notification || notification.acknowledgedAt || notification.escalatedAt) {
+    return { escalated: false, message: 'Already acknowledged' };
+  }
+
+  const waitedMinutes = Math.round((Date.now() - new Date(notification.createdAt).getTime()) / 60000);
+  await queueNotificationToTenant(notification.tenantId, pushFor(notification, { escalated: true, waitedMinutes }), { userTypes: ALERT_USER_TYPES });
+
+  let smsSent = false;
+  const tenant = await Tenant.findById(notification.tenantId).select('adminUser').lean();
+  const admin = tenant?.adminUser ? await User.findById(tenant.adminUser).select('phone').lean() : null;
+  if (admin?.phone) {
+    const { regNo, agentName, mapUrl } = notification.payload || {};
+    try {
+      await sendSms(admin.phone, `RapidRepo: vehicle ${regNo || ''} confirmed by ${agentName || 'an agent'} ${waitedMinutes} min ago is not acknowledged.${mapUrl ? ` Location: ${mapUrl}` : ''}`);
+      smsSent = true;
+    } catch (error) {
+      // The push above is already queued; a retry would send it twice
+      console.error('❌ Match alert escalation SMS failed:', error.message);
+    }
+  }
+
+  notification.escalatedAt = new Date();
+  await notification.save();
+  console.log(`⏰ Match alert ${notification._id} escalated after ${waitedMinutes} min`);
+  return { escalated: true, waitedMinutes, smsSent };
+}, { label: 'Match alert escalation', maxAttempts: 3 });
+
+module.exports = {
+  MATCH_ALERT_TYPE,
+  DEFAULT_ESCALATION_MINUTES,
+  MAX_ESCALATION_MINUTES,
+  resolveEscalationMinutes,
+  mapUrlFor,
+  actorNameFor,
+  raiseVehicleMatchAlert,
+  acknowledgeMatchAlert
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { sendSms } = require('./smsProvider');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 5;
+// Wrong guesses allowed per code
+const OTP_MAX_ATTEMPTS = 5;
+// Minimum gap between two codes to the same phone, and codes allowed per window
+const OTP_RESEND_SECONDS = 30;
+const OTP_MAX_SENDS = 5;
+const OTP_SEND_WINDOW_MINUTES = 60;
+
+const PURPOSE_LABELS = {
+  login: 'login',
+  verify_phone: 'phone verification',
+  reset_password: 'password reset'
+};
+
+/**
+ * Digits of a phone number, as stored for OTP lookups
+ * @param {String} phone
+ * @returns {String}
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+// Codes are hashed with the document id so equal codes never share a hash
+const hashCode = (id, code) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || 'otp')
+  .update(`${id}:${code}`)
+  .digest('hex');
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * Send a new code to a tenant user's phone, subject to resend throttling
+ * @param {Object} params - { phone, purpose, tenantId, userType, userId }
+ * @returns {Promise<Object>} { ok: true, expiresAt, resendAfter } or
+ *   { ok: false, code: OTP_RESEND_TOO_SOON|OTP_SEND_LIMIT, retryAfter }
+ */
+async function issueOtp({ phone, purpose, tenantId, userType, userId }) {
+  const digits = normalizePhone(phone);
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - OTP_SEND_WINDOW_MINUTES * 60 * 1000);
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+  const current = await OtpCode.findOne({
+    phone: digits,
+    purpose,
+    consumedAt: null,
+    createdAt: { $gte: windowStart }
+  }).sort({ createdAt: -1 });
+
+  if (current) {
+    const nextSendAt = new Date(current.lastSentAt.getTime() + OTP_RESEND_SECONDS * 1000);
+    if (nextSendAt > now) {
+      return { ok: false, code: 'OTP_RESEND_TOO_SOON', retryAfter: secondsUntil(nextSendAt) };
+    }
+    if (current.sendCount >= OTP_MAX_SENDS) {
+      const windowEnd = new Date(current.createdAt.getTime() + OTP_SEND_WINDOW_MINUTES * 60 * 1000);
+      return { ok: false, code: 'OTP_SEND_LIMIT', retryAfter: secondsUntil(windowEnd) };
+    }
+  }
+
+  // A resend replaces the previous code and its attempt count
+  const otp = current || new OtpCode({ phone: digits, purpose, tenantId, userType, userId, codeHash: '-', expiresAt });
+  otp.set({
+    tenantId,
+    userType,
+    userId,
+    codeHash: hashCode(otp._id, code),
+    attempts: 0,
+    sendCount: current ? current.sendCount + 1 : 1,
+    lastSentAt: now,
+    expiresAt
+  });
+  await otp.save();
+
+  await sendSms(digits, `${code} is your Rapid Repo ${PURPOSE_LABELS[purpose] || purpose} code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`);
+
+  return { ok: true, expiresAt, resendAfter: OTP_RESEND_SECONDS };
+}
+
+/**
+ * Check a code and spend it. Every wrong guess counts against the code's attempt limit.
+ * With a userId, only codes issued to that user are considered, so a code sent to someone
+ * else sharing the phone number is neither tried nor spent.
+ * @param {Object} params - { phone, purpose, code, userId? }
+ * @returns {Promise<Object>} { ok: true, otp } or
+ *   { ok: false, code: OTP_NOT_FOUND|OTP_EXPIRED|OTP_LOCKED|OTP_INVALID, attemptsLeft }
+ */
+async function verifyOtp({ phone, purpose, code, userId }) {
+  const digits = normalizePhone(phone);
+  const filter = { phone: digits, purpose, consumedAt: null };
+  if (userId) filter.userId = userId;
+  const otp = await OtpCode.findOne(filter).sort({ createdAt: -1 }).lean();
+  if (!otp) return { ok: false, code: 'OTP_NOT_FOUND' };
+  if (otp.expiresAt <= new Date()) return { ok: false, code: 'OTP_EXPIRED' };
+
+  // Count the attempt before comparing, so parallel guesses cannot exceed the limit
+  const counted = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+  if (!counted) return { ok: false, code: 'OTP_LOCKED' };
+
+  const expected = Buffer.from(counted.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(counted._id, String(code || '').trim()), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    const attemptsLeft = OTP_MAX_ATTEMPTS - counted.attempts;
+    return { ok: false, code: attemptsLeft > 0 ? 'OTP_INVALID' : 'OTP_LOCKED', attemptsLeft };
+  }
+
+  const spent = await OtpCode.findOneAndUpdate(
+    { _id: counted._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!spent) return { ok: false, code: 'OTP_NOT_FOUND' };
+  return { ok: true, otp: spent };
+}
+
+const OTP_ERROR_MESSAGES = {
+  OTP_NOT_FOUND: 'No active code for this number. Please request a new one.',
+  OTP_EXPIRED: 'The code has expired. Please request a new one.',
+  OTP_LOCKED: 'Too many wrong attempts. Please request a new code.',
+  OTP_INVALID: 'Incorrect code',
+  OTP_RESEND_TOO_SOON: 'Please wait before requesting another code',
+  OTP_SEND_LIMIT: 'Too many codes requested. Please try again later.'
+};
+
+module.exports = {
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_SECONDS,
+  OTP_ERROR_MESSAGES,
+  normalizePhone,
+  issueOtp,
+  verifyOtp
+};
@@ -0,0 +1,219 @@
+const path = require('path');
+const Payment = require('../models/Payment');
+
+// Optional Jimp import for screenshot hashing (same as routes/uploads)
+let Jimp;
+try {
+  Jimp = require('jimp');
+} catch (err) {
+  Jimp = null;
+}
+
+// Checks run when an agent submits a UPI payment for approval. A reused transaction id is
+// rejected outright; everything else becomes a flag on the payment for the approver to weigh.
+// None of this reads the screenshot's text: images are compared by a perceptual hash, and
+// dates come from the UTR itself.
+
+const SCREENSHOT_DIR = path.join(__dirname, '..', 'uploads', 'payment_screenshots');
+
+// Bits (of 64) two screenshot hashes may differ by and still count as the same image. At most
+// 7, the widest distance the indexed hash bands can find (see models/Payment).
+const SCREENSHOT_HASH_DISTANCE = Math.min(Number(process.env.SCREENSHOT_HASH_DISTANCE) || 6, 7);
+
+// Only payments from this far back are compared against a new screenshot
+const SCREENSHOT_LOOKBACK_DAYS = 365;
+
+// Most recent band matches compared against a new screenshot
+const SCREENSHOT_MAX_CANDIDATES = 500;
+
+// Days between the UPI payment (as read from the UTR) and the submission before it is flagged
+const UTR_MAX_AGE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Disk path of a screenshot uploaded through /api/uploads/payment-screenshot
+ * @param {String} screenshotUrl - e.g. /uploads/payment_screenshots/payment_123.jpg
+ * @returns {String|null} null for URLs outside the screenshot folder
+ */
+function screenshotPathFromUrl(screenshotUrl) {
+  const match = String(screenshotUrl || '').match(/^\/uploads\/payment_screenshots\/([^/\\]+)$/);
+  return match ? path.join(SCREENSHOT_DIR, path.basename(match[1])) : null;
+}
+
+/**
+ * 64-bit difference hash of an image: shrink to 9x8 greyscale and compare each pixel with
+ * its right-hand neighbour. Survives recompression, resizing and small edits.
+ * @param {String} filePath
+ * @returns {Promise<String|null>} 16 hex characters, or null when Jimp is missing or the file unreadable
+ */
+async function hashScreenshot(filePath) {
+  if (!Jimp || !filePath) return null;
+  try {
+    const image = await Jimp.read(filePath);
+    image.resize(9, 8).greyscale();
+    let bits = '';
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const left = Jimp.intToRGBA(image.getPixelColor(x, y)).r;
+        const right = Jimp.intToRGBA(image.getPixelColor(x + 1, y)).r;
+        bits += left > right ? '1' : '0';
+      }
+    }
+    return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+  } catch (err) {
+    console.error('Screenshot hash error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Payment date encoded in a 12-digit UPI UTR/RRN: last digit of the year, day of the year,
+ * then the hour (YDDDHH…). Other reference formats give null.
+ * @param {String} transactionId
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+function utrDate(transactionId, now = new Date()) {
+  const match = String(transactionId || '').match(/^(\d)(\d{3})(\d{2})\d{6}$/);
+  if (!match) return null;
+  const yearDigit = Number(match[1]);
+  const dayOfYear = Number(match[2]);
+  const hour = Number(match[3]);
+  if (dayOfYear < 1 || dayOfYear > 366 || hour > 23) return null;
+
+  // The most recent year ending in that digit, unless that puts the date well in the future
+  let year = now.getFullYear() - ((now.getFullYear() - yearDigit) % 10 + 10) % 10;
+  let date = new Date(year, 0, dayOfYear, hour);
+  if (date.getTime() - now.getTime() > DAY_MS) {
+    year -= 10;
+    date = new Date(year, 0, dayOfYear, hour);
+  }
+  return date.getFullYear() === year ? date : null;
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * Earlier payments whose screenshot looks like this one. Only payments sharing a hash band
+ * are loaded, newest first and capped, so the check stays cheap as payments accumulate.
+ * @param {String} hash
+ * @returns {Promise<Array<{payment: Object, distance: Number}>>} closest first
+ */
+async function findSimilarScreenshots(hash) {
+  const bands = Payment.screenshotHashBands(hash);
+  if (!bands) return [];
+  const since = new Date(Date.now() - SCREENSHOT_LOOKBACK_DAYS * DAY_MS);
+  const candidates = await Payment.find({ screenshotHashBands: { $in: bands }, createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .limit(SCREENSHOT_MAX_CANDIDATES)
+    .select('tenantId transactionId submittedByName submittedByMobileId status createdAt screenshotHash')
+    .lean();
+  return candidates
+    .map(payment => ({ payment, distance: hammingDistance(hash, payment.screenshotHash) }))
+    .filter(m => m.distance <= SCREENSHOT_HASH_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Hash the screenshot and collect warnings for a payment about to be submitted
+ * @param {Object} input
+ * @param {String} input.tenantId
+ * @param {String} input.mobileUserId - Payer's agentId / staffId
+ * @param {Number} input.amount
+ * @param {Number} [input.expectedAmount] - Configured plan price
+ * @param {String} input.transactionId
+ * @param {String} [input.screenshotUrl]
+ * @param {Date} [input.now]
+ * @returns {Promise<{screenshotHash: String|null, flags: Array<{code: String, severity: String, message: String, relatedPaymentId?: String}>}>}
+ */
+async function assessPayment({ tenantId, mobileUserId, amount, expectedAmount, transactionId, screenshotUrl, now = new Date() }) {
+  const flags = [];
+  const flag = (code, severity, message, relatedPaymentId) => flags.push({ code, severity, message, relatedPaymentId });
+
+  // Screenshot seen before, in this tenant or another one
+  let screenshotHash = null;
+  if (screenshotUrl) {
+    screenshotHash = await hashScreenshot(screenshotPathFromUrl(screenshotUrl));
+    if (screenshotHash) {
+      const [closest] = await findSimilarScreenshots(screenshotHash);
+      if (closest) {
+        const { payment, distance } = closest;
+        const how = distance === 0 ? 'is identical to' : 'closely matches';
+        if (String(payment.tenantId) === String(tenantId)) {
+          const who = String(payment.submittedByMobileId) === String(mobileUserId) ? 'the same user' : payment.submittedByName || 'another user';
+          flag('duplicate_screenshot', 'high', `Screenshot ${how} the one on payment ${payment.transactionId} submitted by ${who} on ${formatDate(payment.createdAt)} (${payment.status})`, payment._id);
+        } else {
+          flag('duplicate_screenshot', 'high', `Screenshot ${how} one submitted to another agency on ${formatDate(payment.createdAt)}`);
+        }
+      }
+    }
+  } else {
+    flag('no_screenshot', 'warning', 'No payment screenshot was attached');
+  }
+
+  // Amount inside the accepted tolerance but not the exact plan price
+  if (expectedAmount > 0) {
+    if (Math.abs(Number(amount) - expectedAmount) > 0.01) {
+      flag('amount_differs', 'warning', `Amount ₹${amount} differs from the plan price ₹${expectedAmount}`);
+    }
+  } else {
+    flag('no_plan_price', 'warning', 'No price is configured for this plan, so the amount was not checked');
+  }
+
+  // Payment date read from the UTR
+  const paidAt = utrDate(transactionId, now);
+  if (paidAt) {
+    const ageDays = (now.getTime() - paidAt.getTime()) / DAY_MS;
+    if (ageDays > UTR_MAX_AGE_DAYS) {
+      flag('utr_date_old', 'warning', `The UTR suggests the payment was made around ${formatDate(paidAt)}, ${Math.floor(ageDays)} days before submission`);
+    } else if (ageDays < -1) {
+      flag('utr_date_future', 'warning', `The UTR suggests a payment date of ${formatDate(paidAt)}, which is in the future`);
+    }
+
+    const lastApproved = await Payment.findOne({ tenantId, submittedByMobileId: String(mobileUserId), status: 'approved' })
+      .sort({ approvedAt: -1 })
+      .select('transactionId approvedAt createdAt')
+      .lean();
+    const lastPaidAt = lastApproved && (utrDate(lastApproved.transactionId, lastApproved.createdAt) || lastApproved.createdAt);
+    if (lastPaidAt && paidAt < new Date(lastPaidAt).getTime() - DAY_MS) {
+      flag('utr_before_last_payment', 'high', `The UTR dates the payment to ${formatDate(paidAt)}, before this user's last approved payment (${lastApproved.transactionId}, ${formatDate(lastPaidAt)})`, lastApproved._id);
+    }
+  }
+
+  // Same payer already waiting for approval
+  const pending = await Payment.findOne({ tenantId, submittedByMobileId: String(mobileUserId), status: 'pending' })
+    .select('transactionId amount createdAt')
+    .lean();
+  if (pending) {
+    flag('pending_payment_exists', 'warning', `This user already has a pending payment (${pending.transactionId}, ₹${pending.amount}, ${formatDate(pending.createdAt)})`, pending._id);
+  }
+
+  return { screenshotHash, flags };
+}
+
+module.exports = {
+  SCREENSHOT_HASH_DISTANCE,
+  screenshotPathFromUrl,
+  hashScreenshot,
+  hammingDistance,
+  utrDate,
+  findSimilarScreenshots,
+  assessPayment
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+
+// Online subscription payments go through a named gateway picked with PAYMENT_GATEWAY. Without
+// one, agents pay by UPI and submit the transaction ID for manual approval. Gateways register
+// themselves with registerPaymentGateway; razorpay is built in, and a local mock when
+// PAYMENT_GATEWAY=mock.
+//
+// Flow: createOrder → the agent pays on the hosted checkout page (checkoutPage) → the gateway
+// calls POST /api/payments/gateway/webhook/:gateway, which is checked with verifyWebhook and
+// read with parseWebhook before the subscription is activated. Gateways that can charge a saved
+// card or UPI mandate also implement chargeSavedMethod, used by the subscription scheduler to
+// auto-renew (see utils/subscriptionLifecycle).
+const gateways = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmacHex = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+/**
+ * Register a payment gateway
+ * @param {String} name - Value of PAYMENT_GATEWAY that selects it
+ * @param {Object} gateway - {
+ *   createOrder: async ({ amount, receipt, notes }) => ({ orderId, amount, currency }),
+ *   checkoutPage: ({ order, payment, payeeName, returnText }) => String (HTML),
+ *   verifyWebhook: (rawBody, headers) => Boolean,
+ *   parseWebhook: (body) => ({ status: 'paid'|'failed'|null, orderId, gatewayPaymentId, amount, reason,
+ *                              savedMethod?: { customerId, token, label } }),
+ *   chargeSavedMethod?: async ({ order, paymentMethod, payment }) => ({ status: 'paid'|'pending'|'failed', gatewayPaymentId, reason })
+ * }
+ */
+function registerPaymentGateway(name, gateway) {
+  ['createOrder', 'checkoutPage', 'verifyWebhook', 'parseWebhook'].forEach(fn => {
+    if (!gateway || typeof gateway[fn] !== 'function') {
+      throw new Error(`Payment gateway ${name} must implement ${fn}()`);
+    }
+  });
+  gateways.set(name, gateway);
+}
+
+/**
+ * Name of the configured gateway, or '' when online payments are off
+ * @returns {String}
+ */
+function getPaymentGatewayName() {
+  return process.env.PAYMENT_GATEWAY || '';
+}
+
+/**
+ * A registered gateway (the configured one by default)
+ * @param {String} [name]
+ * @returns {Object|null}
+ */
+function getPaymentGateway(name = getPaymentGatewayName()) {
+  return (name && gateways.get(name)) || null;
+}
+
+/**
+ * Whether a tenant's agents can pay online
+ * @param {Object} tenant - Tenant document
+ * @returns {Boolean}
+ */
+function isGatewayEnabledForTenant(tenant) {
+  return !!getPaymentGateway() && tenant?.settings?.paymentConfig?.gatewayEnabled === true;
+}
+
+// Razorpay: orders API with key id/secret; webhooks signed with the webhook secret
+// (X-Razorpay-Signature = HMAC-SHA256 of the raw body)
+registerPaymentGateway('razorpay', {
+  async createOrder({ amount, receipt, notes }) {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    if (!keyId || !keySecret) throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+
+    const response = await fetch('https://api.razorpay.com/v1/orders', {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ amount: Math.round(amount * 100), currency: 'INR', receipt, notes })
+    });
+    const order = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(order?.error?.description || `Razorpay order failed with status ${response.status}`);
+    }
+    return { orderId: order.id, amount: order.amount / 100, currency: order.currency };
+  },
+
+  checkoutPage({ order, payment, payeeName, returnText }) {
+    const options = {
+      key: process.env.RAZORPAY_KEY_ID,
+      order_id: order.orderId,
+      amount: Math.round(order.amount * 100),
+      currency: order.currency || 'INR',
+      name: payeeName || 'Subscription',
+      description: `${payment.planPeriod} plan`,
+      prefill: { name: payment.submittedByName || '', contact: payment.submittedByPhone || '', email: payment.submittedByEmail || '' }
+    };
+    return `<!doctype html><html><head><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pay ${escapeHtml(payeeName)}</title><script src="https://checkout.razorpay.com/v1/checkout.js"></script></head>
+<body style="font-family:sans-serif;text-align:center;padding:40px 16px">
+<p id="msg">Opening secure checkout…</p>
+<script>
+var options = ${JSON.stringify(options).replace(/</g, '\\u003c')};
+options.handler = function () { document.getElementById('msg').textContent = ${JSON.stringify(returnText)}; };
+options.modal = { ondismiss: function () { document.getElementById('msg').textContent = 'Payment cancelled. You can close this page.'; } };
+new Razorpay(options).open();
+</script></body></html>`;
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody) return false;
+    return safeEqual(hmacHex(secret, rawBody), headers['x-razorpay-signature']);
+  },
+
+  parseWebhook(body) {
+    const entity = body?.payload?.payment?.entity || {};
+    const base = { orderId: entity.order_id, gatewayPaymentId: entity.id, amount: (entity.amount || 0) / 100 };
+    // Present when the payer agreed to save the card / UPI mandate at checkout
+    if (entity.token_id && entity.customer_id) {
+      base.savedMethod = { customerId: entity.customer_id, token: entity.token_id, label: [entity.method, entity.card?.last4 || entity.vpa].filter(Boolean).join(' ') };
+    }
+    if (['payment.captured', 'order.paid'].includes(body?.event)) return { ...base, status: 'paid' };
+    if (body?.event === 'payment.failed') return { ...base, status: 'failed', reason: entity.error_description || 'Payment failed' };
+    return { ...base, status: null };
+  },
+
+  // Recurring payment on a saved token; the result arrives later as a payment.captured webhook
+  async chargeSavedMethod({ order, paymentMethod, payment }) {
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    const response = await fetch('https://api.razorpay.com/v1/payments/create/recurring', {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        email: payment.submittedByEmail || undefined,
+        contact: payment.submittedByPhone || undefined,
+        amount: Math.round(order.amount * 100),
+        currency: order.currency || 'INR',
+        order_id: order.orderId,
+        customer_id: paymentMethod.customerId,
+        token: paymentMethod.token,
+        recurring: '1',
+        description: `${payment.planPeriod} plan auto-renewal`
+      })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { status: 'failed', reason: result?.error?.description || `Razorpay charge failed with status ${response.status}` };
+    }
+    return { status: 'pending', gatewayPaymentId: result.razorpay_payment_id };
+  }
+});
+
+// Local stand-in for a real gateway: the checkout page has Pay and Fail buttons that post a
+// signed webhook to this server. Anyone can press Pay, so it is for development and QA only:
+// it is registered only when PAYMENT_GATEWAY=mock outside production, with its own secret.
+const createMockGateway = (secret) => ({
+  async createOrder({ amount }) {
+    return { orderId: `mock_order_${crypto.randomBytes(8).toString('hex')}`, amount, currency: 'INR' };
+  },
+
+  checkoutPage({ order, payment, payeeName, returnText }) {
+    const action = (outcome) => `/api/payments/gateway/mock/${encodeURIComponent(order.orderId)}/${outcome}`;
+    return `<!doctype html><html><head><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Mock checkout</title></head>
+<body style="font-family:sans-serif;text-align:center;padding:40px 16px">
+<h2>Mock payment gateway</h2>
+<p>${escapeHtml(payeeName)} · ${escapeHtml(payment.planPeriod)} plan · INR ${escapeHtml(Number(order.amount).toFixed(2))}</p>
+<form method="post" action="${action('pay')}"><button style="padding:12px 32px;font-size:16px">Pay</button></form>
+<form method="post" action="${action('fail')}" style="margin-top:12px"><button style="padding:12px 32px;font-size:16px">Fail</button></form>
+<p style="color:#666">${escapeHtml(returnText)}</p>
+</body></html>`;
+  },
+
+  // Signs a webhook body the way the mock checkout page's buttons do
+  sign(rawBody) {
+    return hmacHex(secret, rawBody);
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return !!rawBody && safeEqual(hmacHex(secret, rawBody), headers['x-mock-signature']);
+  },
+
+  parseWebhook(body) {
+    const base = { orderId: body?.orderId, gatewayPaymentId: body?.paymentId, amount: Number(body?.amount) || 0 };
+    if (body?.savedMethod) base.savedMethod = body.savedMethod;
+    if (body?.event === 'payment.paid') return { ...base, status: 'paid' };
+    if (body?.event === 'payment.failed') return { ...base, status: 'failed', reason: body.reason || 'Payment failed' };
+    return { ...base, status: null };
+  },
+
+  // Saved mock methods always succeed unless MOCK_GATEWAY_DECLINE_SAVED is set
+  async chargeSavedMethod() {
+    if (process.env.MOCK_GATEWAY_DECLINE_SAVED === 'true') return { status: 'failed', reason: 'Declined by mock gateway' };
+    return { status: 'paid', gatewayPaymentId: `mock_pay_${crypto.randomBytes(8).toString('hex')}` };
+  }
+});
+
+if (getPaymentGatewayName() === 'mock') {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment gateway cannot be used in production');
+  }
+  if (!process.env.MOCK_GATEWAY_SECRET) {
+    throw new Error('MOCK_GATEWAY_SECRET must be set to use the mock payment gateway');
+  }
+  registerPaymentGateway('mock', createMockGateway(process.env.MOCK_GATEWAY_SECRET));
+}
+
+module.exports = {
+  registerPaymentGateway,
+  getPaymentGatewayName,
+  getPaymentGateway,
+  isGatewayEnabledForTenant
+};
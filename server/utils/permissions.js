@@ -0,0 +1,98 @@
+const Tenant = require('../models/Tenant');
+
+// Named permissions. Tenant admins hold all of them; an office staff member gets the set in
+// their role's template, which tenant admins edit in tenant settings (settings.rolePermissions).
+const PERMISSIONS = {
+  UPLOAD_DATA: 'upload_data',
+  DELETE_FILES: 'delete_files',
+  APPROVE_PAYMENTS: 'approve_payments',
+  MANAGE_AGENTS: 'manage_agents',
+  VIEW_REPORTS: 'view_reports',
+  MANAGE_FIELD_VISIBILITY: 'manage_field_visibility',
+  MANAGE_YARDS: 'manage_yards'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const PERMISSION_LABELS = {
+  upload_data: 'Upload data',
+  delete_files: 'Delete files and vehicles',
+  approve_payments: 'Approve payments',
+  manage_agents: 'Manage repo agents',
+  view_reports: 'View reports',
+  manage_field_visibility: 'Change field visibility',
+  manage_yards: 'Manage yards'
+};
+
+// Office staff roles (OfficeStaff.role)
+const STAFF_ROLES = ['Sub Admin', 'Vehicle Confirmer', 'Manager', 'Supervisor', 'Staff'];
+
+// Templates used until a tenant admin edits them
+const DEFAULT_ROLE_PERMISSIONS = {
+  'Sub Admin': ALL_PERMISSIONS,
+  'Manager': ['upload_data', 'approve_payments', 'manage_agents', 'view_reports', 'manage_yards'],
+  'Supervisor': ['upload_data', 'view_reports', 'manage_yards'],
+  'Vehicle Confirmer': ['view_reports'],
+  'Staff': []
+};
+
+/**
+ * Role templates of a tenant, with defaults for roles it has not edited
+ * @param {Object} tenant - Tenant document or { settings }
+ * @returns {Object} Role name → permission names
+ */
+function resolveRoleTemplates(tenant) {
+  const saved = tenant?.settings?.rolePermissions || {};
+  const templates = {};
+  for (const role of STAFF_ROLES) {
+    const list = Array.isArray(saved[role]) ? saved[role] : DEFAULT_ROLE_PERMISSIONS[role];
+    templates[role] = ALL_PERMISSIONS.filter(p => list.includes(p));
+  }
+  return templates;
+}
+
+/**
+ * Validate role templates sent by a tenant admin
+ * @param {Object} input - Role name → permission names
+ * @returns {{ok: Boolean, templates?: Object, message?: String}}
+ */
+function parseRoleTemplates(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, message: 'Role permissions must be an object keyed by role' };
+  }
+  const templates = {};
+  for (const [role, list] of Object.entries(input)) {
+    if (!STAFF_ROLES.includes(role)) return { ok: false, message: `Unknown role: ${role}` };
+    if (!Array.isArray(list)) return { ok: false, message: `Permissions for ${role} must be a list` };
+    const unknown = list.find(p => !ALL_PERMISSIONS.includes(p));
+    if (unknown) return { ok: false, message: `Unknown permission: ${unknown}` };
+    templates[role] = ALL_PERMISSIONS.filter(p => list.includes(p));
+  }
+  return { ok: true, templates };
+}
+
+/**
+ * Permissions held by an authenticated user (req.user)
+ * @param {Object} user - Unified auth user
+ * @returns {Promise<Array<String>>}
+ */
+async function getUserPermissions(user) {
+  if (user?.userType === 'main_user') {
+    return ['super_admin', 'admin'].includes(user.role) ? [...ALL_PERMISSIONS] : [];
+  }
+  if (user?.userType !== 'office_staff' || !user.tenantId) return [];
+
+  const tenant = await Tenant.findById(user.tenantId).select('settings.rolePermissions').lean();
+  return resolveRoleTemplates(tenant)[user.role] || [];
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  PERMISSION_LABELS,
+  STAFF_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  resolveRoleTemplates,
+  parseRoleTemplates,
+  getUserPermissions
+};
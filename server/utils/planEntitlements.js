@@ -0,0 +1,126 @@
+const Tenant = require('../models/Tenant');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { PLAN_FEATURES, PLAN_LIMITS } = require('../models/SubscriptionPlan');
+
+// What a tenant's plan allows. Tenant-wide limits (agents, banks) and feature flags are read
+// from the tenant's plan here; per-agent usage limits (downloads, API calls) are checked by
+// utils/usageTracker against the plan on the agent's UserSubscription.
+
+const UNLIMITED = -1;
+
+/**
+ * Find a catalogue plan by id or code
+ * @param {String} planCodeOrId
+ * @returns {Promise<Object|null>}
+ */
+async function resolvePlanReference(planCodeOrId) {
+  if (!planCodeOrId) return null;
+  if (/^[a-f\d]{24}$/i.test(String(planCodeOrId))) {
+    return SubscriptionPlan.findById(planCodeOrId);
+  }
+  return SubscriptionPlan.findOne({ code: String(planCodeOrId).trim().toLowerCase() });
+}
+
+/**
+ * Plan a tenant is on: subscription.planId, or for tenants created before the catalogue,
+ * the plan whose code matches subscription.plan
+ * @param {Object} tenant - Tenant document or lean object
+ * @returns {Promise<Object|null>} Lean plan
+ */
+async function getTenantPlan(tenant) {
+  const subscription = tenant?.subscription;
+  if (!subscription) return null;
+  if (subscription.planId) {
+    const plan = await SubscriptionPlan.findById(subscription.planId).lean();
+    if (plan) return plan;
+  }
+  return subscription.plan ? SubscriptionPlan.findOne({ code: subscription.plan }).lean() : null;
+}
+
+/**
+ * Feature flags and limits of a plan. A tenant on no plan keeps every feature and has no
+ * limits except maxUsers, which falls back to the tenant's own setting.
+ * @param {Object|null} plan
+ * @param {Object} [tenant]
+ * @returns {{planId: *, code: String|null, name: String|null, features: Object, limits: Object}}
+ */
+function getEntitlements(plan, tenant) {
+  const features = {};
+  for (const key of PLAN_FEATURES) {
+    features[key] = plan ? plan.featureFlags?.[key] !== false : true;
+  }
+  const limits = {};
+  for (const key of PLAN_LIMITS) {
+    const value = plan?.limits?.[key];
+    limits[key] = Number.isFinite(value) ? value : UNLIMITED;
+  }
+  if (!plan && tenant?.subscription?.maxUsers) {
+    limits.maxUsers = tenant.subscription.maxUsers;
+  }
+  return {
+    planId: plan?._id || null,
+    code: plan?.code || tenant?.subscription?.plan || null,
+    name: plan?.name || null,
+    features,
+    limits
+  };
+}
+
+/**
+ * Entitlements of a tenant
+ * @param {Object|String} tenantOrId - Tenant document, lean tenant or id
+ * @returns {Promise<Object>} See getEntitlements
+ */
+async function getTenantEntitlements(tenantOrId) {
+  const tenant = tenantOrId?.subscription
+    ? tenantOrId
+    : await Tenant.findById(tenantOrId).select('name subscription').lean();
+  return getEntitlements(await getTenantPlan(tenant), tenant);
+}
+
+/**
+ * Whether `requested` more fit under a limit
+ * @param {Number} limit - -1 for unlimited
+ * @param {Number} current
+ * @param {Number} [requested]
+ * @returns {{allowed: Boolean, unlimited: Boolean, limit: Number, current: Number, remaining: Number}}
+ */
+function checkQuota(limit, current, requested = 1) {
+  if (limit === UNLIMITED) {
+    return { allowed: true, unlimited: true, limit, current, remaining: UNLIMITED };
+  }
+  const remaining = Math.max(0, limit - current);
+  return { allowed: requested <= remaining, unlimited: false, limit, current, remaining };
+}
+
+/**
+ * Response body for a request refused by a plan limit
+ * @param {Object} entitlements
+ * @param {String} limitType - One of PLAN_LIMITS
+ * @param {Object} quota - Result of checkQuota
+ * @param {String} message
+ * @returns {Object}
+ */
+function planLimitError(entitlements, limitType, quota, message) {
+  return {
+    success: false,
+    code: 'PLAN_LIMIT_REACHED',
+    message,
+    limitType,
+    limit: quota.limit,
+    current: quota.current,
+    currentPlan: entitlements.name || entitlements.code
+  };
+}
+
+module.exports = {
+  UNLIMITED,
+  PLAN_FEATURES,
+  PLAN_LIMITS,
+  resolvePlanReference,
+  getTenantPlan,
+  getEntitlements,
+  getTenantEntitlements,
+  checkQuota,
+  planLimitError
+};
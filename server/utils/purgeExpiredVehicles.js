@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const { queueNotificationToTenant, createDataExpiryNotification } = require('./pushNotificationService');
+const { registerJobHandler } = require('./jobQueue');
+
+// What happens to a bank's records once their validity window has passed
+const DATA_EXPIRY_ACTIONS = ['archive', 'purge'];
+
+const MAX_VALIDITY_DAYS = 3650;
+
+/**
+ * Parse a validity window from client settings
+ * @param {*} value - Days as number or string; empty means "never expires"
+ * @returns {Number|null|undefined} Whole days, null for no expiry, undefined when invalid
+ */
+function parseValidityDays(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_VALIDITY_DAYS) return undefined;
+  return days;
+}
+
+/**
+ * Expiry settings of the client (bank) an upload belongs to
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} bank - { bankId, bankName }
+ * @returns {Promise<{validityDays: Number|null, expiryAction: String}>}
+ */
+async function getBankExpiryPolicy(connection, { bankId, bankName }) {
+  const clients = connection.db.collection('clientmanagement');
+  let client = null;
+  if (bankId && mongoose.isValidObjectId(bankId)) {
+    client = await clients.findOne({ _id: new mongoose.Types.ObjectId(String(bankId)) });
+  }
+  if (!client && bankName) client = await clients.findOne({ name: bankName });
+  return {
+    validityDays: parseValidityDays(client?.dataValidityDays) || null,
+    expiryAction: DATA_EXPIRY_ACTIONS.includes(client?.expiryAction) ? client.expiryAction : 'archive'
+  };
+}
+
+/**
+ * Archive or purge expired vehicles for one tenant, then rebuild its offline
+ * snapshot and tell devices to sync so agents stop finding closed allocations.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} [options] - { now }
+ * @returns {Promise<{archived: Number, purged: Number, byType: Object}>}
+ */
+async function purgeTenantExpiredVehicles(tenant, { now = new Date() } = {}) {
+  const conn = await getTenantDB(tenant.name);
+  const purgeClients = await conn.db.collection('clientmanagement')
+    .find({ expiryAction: 'purge' }, { projection: { _id: 1, name: 1 } })
+    .toArray();
+  const purgeBankIds = new Set(purgeClients.map(c => String(c._id)));
+  const purgeBankNames = new Set(purgeClients.map(c => String(c.name || '').trim().toLowerCase()).filter(Boolean));
+
+  const result = await vehicleRepository.removeExpiredVehicles(conn, { now, purgeBankIds, purgeBankNames });
+  const removed = result.archived + result.purged;
+  if (removed === 0) return result;
+
+  console.log(`🧹 Expired data for ${tenant.name}: ${result.archived} archived, ${result.purged} purged`);
+
+  // Deletions reach devices through the snapshot delta (and per-file mirror sync)
+  try {
+    const fileManagementRouter = require('../routes/fileManagement');
+    if (typeof fileManagementRouter.buildTenantSnapshot === 'function') {
+      fileManagementRouter.buildTenantSnapshot(tenant.name, { tenant }).catch(() => {});
+    }
+  } catch (_) {}
+
+  queueNotificationToTenant(tenant._id, createDataExpiryNotification(removed))
+    .catch(err => console.error('❌ Error queueing expiry notification:', err.message));
+
+  return result;
+}
+
+/**
+ * Remove expired vehicles for every active tenant.
+ * Runs periodically as the 'expired_data_purge' job (see index.js)
+ */
+async function purgeExpiredVehicles() {
+  const totals = { tenants: 0, archived: 0, purged: 0, errorCount: 0 };
+  try {
+    const tenants = await Tenant.find({ isActive: true }, { name: 1 }).lean();
+    for (const tenant of tenants) {
+      try {
+        const result = await purgeTenantExpiredVehicles(tenant);
+        totals.tenants++;
+        totals.archived += result.archived;
+        totals.purged += result.purged;
+      } catch (err) {
+        console.error(`Error purging expired data for tenant ${tenant.name}:`, err);
+        totals.errorCount++;
+      }
+    }
+
+    if (totals.archived > 0 || totals.purged > 0 || totals.errorCount > 0) {
+      console.log(`Expired data cleanup completed: ${totals.archived} archived, ${totals.purged} purged, ${totals.errorCount} errors`);
+    }
+    return totals;
+  } catch (err) {
+    console.error('Error in purgeExpiredVehicles:', err);
+    return { ...totals, errorCount: totals.errorCount + 1 };
+  }
+}
+
+registerJobHandler('expired_data_purge', () => purgeExpiredVehicles(), { label: 'Expired data purge', maxAttempts: 1, concurrency: 1 });
+
+module.exports = {
+  DATA_EXPIRY_ACTIONS,
+  MAX_VALIDITY_DAYS,
+  parseValidityDays,
+  getBankExpiryPolicy,
+  purgeTenantExpiredVehicles,
+  purgeExpiredVehicles
+};
@@ -1,6 +1,7 @@
 const https = require('https');
 const http = require('http');
 const DeviceToken = require('../models/DeviceToken');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
 
 /**
  * Send push notification using Expo Push Notification Service
@@ -129,12 +130,13 @@ async function sendPushNotification(tokens, notification) {
  * Send push notification to all active devices for a tenant
  * @param {String} tenantId - Tenant ID
  * @param {Object} notification - Notification object
+ * @param {Object} [options] - { userTypes: only devices of these user types, e.g. ['main_user', 'office_staff'] }
  * @returns {Promise<Object>} Result of sending notifications
  */
-async function sendNotificationToTenant(tenantId, notification) {
+async function sendNotificationToTenant(tenantId, notification, { userTypes } = {}) {
   try {
     // Get all active device tokens for the tenant
-    const devices = await DeviceToken.getActiveTokensForTenant(tenantId);
+    const devices = await DeviceToken.getActiveTokensForTenant(tenantId, { userTypes });
     
     if (devices.length === 0) {
       console.log(`No active devices found for tenant ${tenantId}`);
@@ -245,10 +247,142 @@ function createFileUploadNotification(fileName, vehicleType, recordCount) {
   };
 }
 
+/**
+ * Create notification object for allocations removed after their validity window
+ * @param {Number} recordCount - Number of expired records removed
+ * @returns {Object} Notification object
+ */
+function createDataExpiryNotification(recordCount) {
+  return {
+    title: `🗓️ Expired Data Removed`,
+    body: `${recordCount} vehicle records passed the bank's validity period and were removed.\n\nSync your app to update offline data.`,
+    data: {
+      type: 'data_expiry',
+      recordCount,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    channelId: 'file_uploads',
+    badge: 1
+  };
+}
+
+const SUBSCRIPTION_TITLES = {
+  reminder: '⏳ Subscription Ending Soon',
+  grace_period: '⚠️ Subscription Expired',
+  past_due: '⛔ Access Paused',
+  expired: '⛔ Subscription Ended',
+  auto_renewed: '✅ Subscription Renewed',
+  auto_renew_failed: '❌ Auto-Renewal Failed'
+};
+
+/**
+ * Create notification object for a subscription reminder or status change
+ * @param {String} kind - reminder | grace_period | past_due | expired | auto_renewed | auto_renew_failed
+ * @param {Object} details - { daysLeft, periodEnd, gracePeriodEnd, willAutoRenew, reason }
+ * @returns {Object} Notification object
+ */
+function createSubscriptionNotification(kind, { daysLeft, periodEnd, gracePeriodEnd, willAutoRenew, reason } = {}) {
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  const bodies = {
+    reminder: `Your subscription ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}${periodEnd ? ` (${formatDate(periodEnd)})` : ''}. `
+      + (willAutoRenew ? 'It will renew automatically with your saved payment method.' : 'Renew now to keep searching without interruption.'),
+    grace_period: `Your subscription has expired. You can keep using the app until ${gracePeriodEnd ? formatDate(gracePeriodEnd) : 'the grace period ends'} — renew before then.`,
+    past_due: 'Your grace period has ended and search is paused. Renew to restore access.',
+    expired: 'Your subscription has ended. Make a payment to start a new one.',
+    auto_renewed: `Your subscription was renewed automatically${periodEnd ? ` until ${formatDate(periodEnd)}` : ''}.`,
+    auto_renew_failed: `We could not charge your saved payment method${reason ? ` (${reason})` : ''}. Please renew manually.`
+  };
+  return {
+    title: SUBSCRIPTION_TITLES[kind] || 'Subscription',
+    body: bodies[kind] || '',
+    data: {
+      type: 'subscription',
+      kind,
+      periodEnd: periodEnd ? new Date(periodEnd).toISOString() : '',
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    channelId: 'subscription',
+    badge: 1
+  };
+}
+
+/**
+ * Create notification object for a vehicle an agent confirmed in the field
+ * @param {Object} alert - { notificationId, vehicleId, regNo, bank, agentName, location, mapUrl, photoUrl, escalated, waitedMinutes }
+ * @returns {Object} Notification object
+ */
+function createVehicleMatchNotification(alert) {
+  const lines = [
+    `${alert.regNo || 'Vehicle'}${alert.bank ? ` (${alert.bank})` : ''} confirmed by ${alert.agentName || 'an agent'}`,
+    alert.mapUrl ? 'Tap to open the location on the map.' : 'Location was not shared.'
+  ];
+  if (alert.escalated) lines.unshift(`Not acknowledged for ${alert.waitedMinutes} min.`);
+
+  const publicBase = (process.env.PUBLIC_API_URL || '').replace(/\/+$/, '');
+  return {
+    title: alert.escalated ? `⏰ Unacknowledged Vehicle Match` : `🚨 Vehicle Match Confirmed`,
+    body: lines.join('\n'),
+    data: {
+      type: 'vehicle_match',
+      notificationId: String(alert.notificationId),
+      vehicleId: String(alert.vehicleId || ''),
+      regNo: alert.regNo || '',
+      mapUrl: alert.mapUrl || '',
+      latitude: alert.location?.latitude,
+      longitude: alert.location?.longitude,
+      photoUrl: alert.photoUrl || '',
+      escalated: Boolean(alert.escalated),
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    channelId: 'vehicle_alerts',
+    badge: 1,
+    ...(publicBase && alert.photoUrl && { image: `${publicBase}${alert.photoUrl}` })
+  };
+}
+
+/**
+ * Queue a notification to all active devices of a tenant. The job worker sends it and
+ * retries when the push service cannot be reached.
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} notification - Notification object
+ * @param {Object} [options] - { userTypes } as for sendNotificationToTenant
+ * @returns {Promise<Object>} Queued job
+ */
+function queueNotificationToTenant(tenantId, notification, { userTypes } = {}) {
+  return enqueueJob('push_notification', { tenantId: String(tenantId), notification, userTypes }, {
+    tenant: { _id: tenantId },
+    label: notification?.title
+  });
+}
+
+registerJobHandler('push_notification', async (ctx) => {
+  const { tenantId, userId, notification, userTypes } = ctx.payload;
+  const result = userId
+    ? await sendNotificationToUser(userId, notification)
+    : await sendNotificationToTenant(tenantId, notification, { userTypes });
+  // Transport failures are retried; "no devices" is a normal outcome
+  if (result.error) {
+    throw new Error(typeof result.error === 'string' ? result.error : (result.message || 'Push send failed'));
+  }
+  return {
+    deviceCount: result.deviceCount || 0,
+    successCount: result.successCount || 0,
+    errorCount: result.errorCount || 0,
+    message: result.message
+  };
+}, { label: 'Push notification', maxAttempts: 3 });
+
 module.exports = {
   sendPushNotification,
   sendNotificationToTenant,
   sendNotificationToUser,
-  createFileUploadNotification
+  queueNotificationToTenant,
+  createFileUploadNotification,
+  createDataExpiryNotification,
+  createVehicleMatchNotification,
+  createSubscriptionNotification
 };
 
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS delivery goes through a named provider picked with SMS_PROVIDER. Gateways register
+// themselves with registerSmsProvider; console and file are built in for local testing.
+// There is no default: an unset SMS_PROVIDER sends nothing rather than logging codes.
+const providers = new Map();
+
+// Built-in providers that write OTPs where anyone with server access can read them
+const DEV_SMS_PROVIDERS = ['console', 'file'];
+
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'logs', 'sms-outbox.log');
+
+// Show most of the number only: 98******10
+const maskPhone = (phone) => String(phone || '').replace(/^(\d{2})(\d+)(\d{2})$/, (_, a, mid, b) => `${a}${'*'.repeat(mid.length)}${b}`);
+
+/**
+ * Register an SMS provider
+ * @param {String} name - Value of SMS_PROVIDER that selects it
+ * @param {Object} provider - { send: async ({ to, message }) => ({ id }) }
+ */
+function registerSmsProvider(name, provider) {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider ${name} must implement send()`);
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * Name of the provider SMS are sent with
+ * @returns {String} Empty when SMS_PROVIDER is not set
+ */
+function getSmsProviderName() {
+  return process.env.SMS_PROVIDER || '';
+}
+
+/**
+ * Send a text message with the configured provider
+ * @param {String} to - Phone number (digits)
+ * @param {String} message - Message text
+ * @returns {Promise<{provider: String, id: String}>}
+ */
+async function sendSms(to, message) {
+  const name = getSmsProviderName();
+  if (!name) {
+    throw new Error('SMS_PROVIDER must be set to send SMS');
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  const result = await provider.send({ to: String(to), message: String(message) });
+  console.log(`📱 SMS sent to ${maskPhone(to)} via ${name}`);
+  return { provider: name, id: result?.id || '' };
+}
+
+// Prints the message on the server console; for development only
+registerSmsProvider('console', {
+  async send({ to, message }) {
+    console.log(`📨 [SMS to ${to}] ${message}`);
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+// Appends each message as a JSON line to SMS_OUTBOX_FILE, so tests and QA can read the codes
+registerSmsProvider('file', {
+  async send({ to, message }) {
+    await fs.promises.mkdir(path.dirname(SMS_OUTBOX_FILE), { recursive: true });
+    const id = `file-${Date.now()}`;
+    await fs.promises.appendFile(SMS_OUTBOX_FILE, `${JSON.stringify({ id, to, message, sentAt: new Date().toISOString() })}\n`);
+    return { id };
+  }
+});
+
+if (DEV_SMS_PROVIDERS.includes(getSmsProviderName()) && process.env.NODE_ENV === 'production') {
+  throw new Error(`The ${getSmsProviderName()} SMS provider cannot be used in production`);
+}
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProviderName,
+  sendSms,
+  maskPhone
+};
@@ -0,0 +1,364 @@
+// Row-by-row spreadsheet reading and writing for uploads.
+// CSV is parsed from a file stream and XLSX through exceljs' streaming reader, so large
+// files never sit in memory as a whole workbook. Legacy .xls and password-protected files
+// (and servers without exceljs) fall back to reading the workbook with SheetJS.
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+let ExcelJS;
+try {
+  // eslint-disable-next-line global-require
+  ExcelJS = require('exceljs');
+} catch (_) {
+  ExcelJS = null;
+}
+
+// Most cells a workbook may have when it has to be read in memory
+const MAX_WORKBOOK_CELLS = 10 * 1000 * 1000;
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const SPREADSHEET_ERROR_CODES = ['PASSWORD_REQUIRED', 'INVALID_PASSWORD', 'FILE_TOO_LARGE', 'READ_FAILED', 'PARSE_ERROR'];
+
+/**
+ * Error with a machine-readable code (one of SPREADSHEET_ERROR_CODES)
+ * @param {String} message
+ * @param {String} code
+ * @returns {Error}
+ */
+function spreadsheetError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Text of a cell the way it should be stored: ISO dates, no exponent
+ * notation for long numbers (agreement and phone numbers are often numeric cells)
+ * @param {*} value - SheetJS/exceljs cell value
+ * @returns {String}
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && Math.abs(value) >= 1e21 ? BigInt(value).toString() : String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text || '').join('');
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    if ('error' in value) return '';
+  }
+  return String(value);
+}
+
+/**
+ * Column keys for a header row, named like SheetJS sheet_to_json does so saved
+ * header mappings keep matching: blanks become "__EMPTY", repeats get "_1", "_2", ...
+ * @param {Array<String>} values - Header cells
+ * @returns {Array<String>}
+ */
+function toHeaderKeys(values) {
+  const keys = [];
+  for (const value of values) {
+    const base = value === '' || value === undefined || value === null ? '__EMPTY' : String(value);
+    let key = base;
+    let counter = 0;
+    while (keys.includes(key)) key = `${base}_${++counter}`;
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Build a row object keyed by header, with '' for missing cells
+ * @param {Array<String>} headerKeys
+ * @param {Array<String>} values
+ * @returns {Object}
+ */
+function toRowObject(headerKeys, values) {
+  const row = {};
+  headerKeys.forEach((key, i) => { row[key] = values[i] === undefined ? '' : values[i]; });
+  return row;
+}
+
+const isBlankRow = (values) => values.every(v => v === '' || v === undefined || v === null);
+
+// Pick the delimiter that splits the header line into the most columns
+const detectCsvDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of CSV_DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+// RFC 4180 CSV: quoted fields may hold delimiters, doubled quotes and line breaks
+async function* readCsvRows(input) {
+  let delimiter = null;
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let quoteSeen = false;
+  let pendingCr = false;
+  let rowNumber = 0;
+  let first = true;
+
+  for await (let chunk of input) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, '');
+      delimiter = detectCsvDelimiter(chunk);
+      first = false;
+    }
+    const rows = [];
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (pendingCr) {
+        pendingCr = false;
+        if (ch === '\n') continue;
+      }
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (ch === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+      if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        row.push(field);
+        rows.push(row);
+        field = '';
+        row = [];
+        pendingCr = ch === '\r';
+      } else {
+        field += ch;
+      }
+    }
+    for (const values of rows) {
+      rowNumber++;
+      if (!isBlankRow(values)) yield { rowNumber, values };
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rowNumber++;
+    if (!isBlankRow(row)) yield { rowNumber, values: row };
+  }
+}
+
+// First worksheet of an .xlsx through exceljs' streaming reader
+async function* readXlsxRows(input) {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    // Needed to tell date cells from numbers
+    styles: 'cache',
+    entries: 'emit'
+  });
+  for await (const worksheet of reader) {
+    for await (const row of worksheet) {
+      const values = [];
+      for (let c = 1; c < row.values.length; c++) values.push(cellText(row.values[c]));
+      if (!isBlankRow(values)) yield { rowNumber: row.number, values };
+    }
+    break;
+  }
+}
+
+// Whole-workbook read (xls, encrypted xlsx, or exceljs not installed)
+const readWorkbook = (filePath, password) => {
+  let workbook;
+  try {
+    workbook = XLSX.readFile(filePath, {
+      password: password || undefined,
+      cellStyles: false,
+      cellDates: false,
+      dense: false
+    });
+  } catch (err) {
+    const msg = String(err?.message || '').toLowerCase();
+    const looksEncrypted = msg.includes('password') || msg.includes('encrypted') || msg.includes('decrypt') || msg.includes('protected');
+    if (looksEncrypted && !password) {
+      throw spreadsheetError('This file is password-protected. Please enter the password.', 'PASSWORD_REQUIRED');
+    }
+    if (looksEncrypted && password) {
+      throw spreadsheetError('Invalid password. Please try again.', 'INVALID_PASSWORD');
+    }
+    if (msg.includes('out of memory') || msg.includes('memory')) {
+      throw spreadsheetError('File is too large to process. Please split it into smaller files.', 'FILE_TOO_LARGE');
+    }
+    throw spreadsheetError('Unable to read file. Ensure it is a valid Excel/CSV.', 'READ_FAILED');
+  }
+
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const range = XLSX.utils.decode_range(worksheet?.['!ref'] || 'A1');
+  const totalCells = (range.e.r - range.s.r + 1) * (range.e.c - range.s.c + 1);
+  if (totalCells > MAX_WORKBOOK_CELLS) {
+    throw spreadsheetError(
+      `File is too large (${totalCells.toLocaleString()} cells). Maximum allowed: ${MAX_WORKBOOK_CELLS.toLocaleString()} cells. Please split the file or save it as unprotected .xlsx/.csv.`,
+      'FILE_TOO_LARGE'
+    );
+  }
+  const rows = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    blankrows: true,
+    raw: false,
+    dateNF: 'yyyy-mm-dd'
+  });
+  return { rows, firstRow: range.s.r + 1 };
+};
+
+async function* iterateWorkbookRows({ rows, firstRow }, tracker) {
+  for (let i = 0; i < rows.length; i++) {
+    tracker.fraction = (i + 1) / rows.length;
+    const values = rows[i].map(cellText);
+    rows[i] = null;
+    if (!isBlankRow(values)) yield { rowNumber: firstRow + i, values };
+  }
+}
+
+// exceljs cannot stream workbooks whose parts are stored out of the usual order (some
+// generators write workbook.xml after the sheets); those are read in memory instead
+async function* readXlsxRowsWithFallback(filePath, input, password, tracker) {
+  let yielded = false;
+  try {
+    for await (const row of readXlsxRows(input)) {
+      yielded = true;
+      yield row;
+    }
+    if (yielded) return;
+  } catch (error) {
+    if (yielded) throw error;
+    console.warn(`⚠️ Streaming read failed for ${path.basename(filePath)} (${error.message}), reading workbook in memory`);
+  } finally {
+    input.destroy();
+  }
+  tracker.stream = null;
+  yield* iterateWorkbookRows(readWorkbook(filePath, password), tracker);
+}
+
+// Reader failures part-way through a file mean it is damaged; give them a code callers can tell apart
+async function* withParseErrors(rows) {
+  try {
+    yield* rows;
+  } catch (error) {
+    if (SPREADSHEET_ERROR_CODES.includes(error.code)) throw error;
+    throw spreadsheetError(`Error parsing file: ${error.message}. The file might be corrupted.`, 'PARSE_ERROR');
+  }
+}
+
+const isZipFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Open an uploaded spreadsheet for row-by-row reading.
+ * Password and size problems of in-memory reads are thrown here, parse errors while
+ * iterating; both carry one of SPREADSHEET_ERROR_CODES.
+ * @param {String} filePath - File on disk
+ * @param {Object} [options] - { fileName, password }
+ * @returns {Promise<{mode: String, rows: AsyncIterable<{rowNumber: Number, values: Array<String>}>, progress: Function}>}
+ *   progress() returns the fraction of the file read so far (0-1)
+ */
+async function openSpreadsheet(filePath, { fileName, password } = {}) {
+  const ext = path.extname(fileName || filePath).toLowerCase();
+  const { size } = await fs.promises.stat(filePath);
+
+  if (ext === '.csv') {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 256 * 1024 });
+    return {
+      mode: 'csv',
+      rows: withParseErrors(readCsvRows(input)),
+      progress: () => (size ? Math.min(1, input.bytesRead / size) : 1)
+    };
+  }
+
+  const tracker = { fraction: 0 };
+
+  // Encrypted workbooks are OLE containers rather than zip files and need SheetJS to decrypt
+  if (ExcelJS && ext !== '.xls' && await isZipFile(filePath)) {
+    const input = fs.createReadStream(filePath, { highWaterMark: 256 * 1024 });
+    tracker.stream = input;
+    return {
+      mode: 'xlsx-stream',
+      rows: withParseErrors(readXlsxRowsWithFallback(filePath, input, password, tracker)),
+      progress: () => (tracker.stream ? Math.min(1, size ? tracker.stream.bytesRead / size : 1) : tracker.fraction)
+    };
+  }
+
+  const workbook = readWorkbook(filePath, password);
+  return {
+    mode: 'workbook',
+    rows: withParseErrors(iterateWorkbookRows(workbook, tracker)),
+    progress: () => tracker.fraction
+  };
+}
+
+/**
+ * Write rows to an .xlsx stream. Streams through exceljs when available,
+ * otherwise builds the workbook with SheetJS and writes it at the end.
+ * @param {Object} output - Writable stream (e.g. an Express response)
+ * @param {Object} options - { sheetName, headers: Array<String>, rows: AsyncIterable<Array> }
+ * @returns {Promise<void>}
+ */
+async function writeXlsxRows(output, { sheetName = 'Sheet1', headers, rows }) {
+  if (ExcelJS) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.addRow(headers).commit();
+    for await (const values of rows) worksheet.addRow(values).commit();
+    await worksheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  const aoa = [headers];
+  for await (const values of rows) aoa.push(values);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), sheetName);
+  output.end(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+module.exports = {
+  MAX_WORKBOOK_CELLS,
+  SPREADSHEET_ERROR_CODES,
+  spreadsheetError,
+  cellText,
+  toHeaderKeys,
+  toRowObject,
+  openSpreadsheet,
+  writeXlsxRows
+};
@@ -0,0 +1,296 @@
+const UserSubscription = require('../models/UserSubscription');
+const SubscriptionHistory = require('../models/SubscriptionHistory');
+const Payment = require('../models/Payment');
+const Tenant = require('../models/Tenant');
+const { getTenantDB } = require('../config/database');
+const { getRepoAgentModel, getOfficeStaffModel } = require('../routes/tenantUsers');
+const subscriptionController = require('../controllers/subscriptionController');
+const { applyGatewayEvent } = require('../controllers/paymentGatewayController');
+const { registerJobHandler } = require('./jobQueue');
+const { sendNotificationToUser, createSubscriptionNotification } = require('./pushNotificationService');
+const { getPaymentGateway, getPaymentGatewayName, isGatewayEnabledForTenant } = require('./paymentGateway');
+
+// Hourly 'subscription_lifecycle' job (see index.js). Each run, per subscription:
+//   active/trial  → renewal reminders 7, 3 and 1 days before the period ends
+//   active        → charged on its saved payment method within a day of the end, when auto-renew is on
+//                   (or during the grace period, if the server missed that day)
+//   active        → grace_period once the period ends (trials and cancel-at-period-end ones end instead)
+//   grace_period  → past_due once the grace period ends
+//   past_due      → expired SUBSCRIPTION_PAST_DUE_DAYS later
+// Status changes go through subscriptionController and land in subscription_history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = [7, 3, 1];
+const AUTO_RENEW_LEAD_MS = DAY_MS;
+const SOURCE = { source: 'scheduler' };
+
+const sameTime = (a, b) => !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Per-run lookups of tenants and tenant users, so a tenant with many subscriptions is read once
+ * @returns {{tenant: Function, user: Function}}
+ */
+function createRunCache() {
+  const tenants = new Map();
+  const users = new Map();
+
+  const tenant = async (tenantId) => {
+    const key = String(tenantId);
+    if (!tenants.has(key)) tenants.set(key, await Tenant.findById(tenantId));
+    return tenants.get(key);
+  };
+
+  // RepoAgent / OfficeStaff behind a subscription's mobileUserId (agentId / staffId, or _id)
+  const user = async (subscription) => {
+    const key = `${subscription.tenantId}:${subscription.userType}:${subscription.mobileUserId}`;
+    if (!users.has(key)) {
+      let found = null;
+      const owner = await tenant(subscription.tenantId);
+      if (owner && ['repo_agent', 'office_staff'].includes(subscription.userType)) {
+        const conn = await getTenantDB(owner.name);
+        const Model = subscription.userType === 'repo_agent' ? getRepoAgentModel(conn) : getOfficeStaffModel(conn);
+        const idField = subscription.userType === 'repo_agent' ? 'agentId' : 'staffId';
+        const id = subscription.mobileUserId;
+        found = await Model.findOne(/^[a-f\d]{24}$/i.test(id) ? { $or: [{ _id: id }, { [idField]: id }] } : { [idField]: id })
+          .select('name phoneNumber email role status')
+          .lean();
+      }
+      users.set(key, found);
+    }
+    return users.get(key);
+  };
+
+  return { tenant, user };
+}
+
+async function notify(cache, subscription, kind, details) {
+  try {
+    const user = await cache.user(subscription);
+    if (!user) return;
+    await sendNotificationToUser(user._id, createSubscriptionNotification(kind, details));
+  } catch (error) {
+    console.error(`Subscription ${kind} notification failed for ${subscription._id}:`, error.message);
+  }
+}
+
+function logEvent(subscription, event, extra = {}) {
+  return SubscriptionHistory.create({
+    subscriptionId: subscription._id,
+    tenantId: subscription.tenantId,
+    mobileUserId: subscription.mobileUserId,
+    event,
+    fromStatus: subscription.status,
+    toStatus: subscription.status,
+    periodEnd: subscription.currentPeriodEnd || subscription.endDate,
+    source: 'scheduler',
+    ...extra
+  }).catch(error => console.error(`❌ Failed to write subscription history for ${subscription._id}:`, error.message));
+}
+
+/**
+ * Whether the scheduler can charge this subscription's saved payment method
+ * @param {Object} subscription - UserSubscription document
+ * @param {Object} tenant - Tenant document
+ * @returns {Boolean}
+ */
+function canAutoRenew(subscription, tenant) {
+  const method = subscription.paymentMethod;
+  const gateway = getPaymentGateway(method?.provider);
+  return !!(subscription.autoRenew && !subscription.cancelAtPeriodEnd && method?.token
+    && gateway && typeof gateway.chargeSavedMethod === 'function'
+    && method.provider === getPaymentGatewayName() && isGatewayEnabledForTenant(tenant)
+    && Number(tenant.settings?.paymentConfig?.planPrices?.[subscription.billingCycle]) > 0);
+}
+
+// The smallest reminder threshold reached, once per period
+async function sendReminders(cache, now) {
+  let sent = 0;
+  const expiring = await UserSubscription.findExpiring(Math.max(...REMINDER_DAYS));
+  for (const subscription of expiring) {
+    const periodEnd = subscription.currentPeriodEnd;
+    const daysLeft = Math.ceil((periodEnd.getTime() - now.getTime()) / DAY_MS);
+    const due = REMINDER_DAYS.filter(days => daysLeft <= days);
+    if (!due.length) continue;
+    const threshold = Math.min(...due);
+    const alreadySent = sameTime(subscription.reminderPeriodEnd, periodEnd) ? subscription.remindersSent || [] : [];
+    if (alreadySent.includes(threshold)) continue;
+
+    // Earlier thresholds count as sent too, so a late start does not send 7 after 3
+    const claimed = sameTime(subscription.reminderPeriodEnd, periodEnd)
+      ? await UserSubscription.updateOne(
+        { _id: subscription._id, reminderPeriodEnd: periodEnd, remindersSent: { $ne: threshold } },
+        { $addToSet: { remindersSent: { $each: due } } }
+      )
+      : await UserSubscription.updateOne(
+        { _id: subscription._id, reminderPeriodEnd: subscription.reminderPeriodEnd || null },
+        { $set: { reminderPeriodEnd: periodEnd, remindersSent: due } }
+      );
+    if (!claimed.modifiedCount) continue;
+
+    const tenant = await cache.tenant(subscription.tenantId);
+    await notify(cache, subscription, 'reminder', { daysLeft, periodEnd, willAutoRenew: !!tenant && canAutoRenew(subscription, tenant) });
+    await logEvent(subscription, 'reminder_sent', { reason: `${threshold}-day renewal reminder` });
+    sent++;
+  }
+  return sent;
+}
+
+// Charge the saved payment method once per period, shortly before the period ends. The charge
+// is an online payment like any other: the gateway's result activates it through applyGatewayEvent.
+async function autoRenew(cache, now) {
+  let started = 0;
+  const due = await UserSubscription.find({
+    status: { $in: ['active', 'grace_period'] },
+    autoRenew: true,
+    cancelAtPeriodEnd: { $ne: true },
+    'paymentMethod.token': { $exists: true, $ne: '' },
+    currentPeriodEnd: { $lte: new Date(now.getTime() + AUTO_RENEW_LEAD_MS) }
+  });
+
+  for (const subscription of due) {
+    const periodEnd = subscription.currentPeriodEnd;
+    if (sameTime(subscription.autoRenewAttemptedFor, periodEnd)) continue;
+    const tenant = await cache.tenant(subscription.tenantId);
+    if (!tenant || !canAutoRenew(subscription, tenant)) continue;
+    const user = await cache.user(subscription);
+    if (!user || user.status !== 'active') continue;
+
+    const claimed = await UserSubscription.updateOne(
+      { _id: subscription._id, autoRenewAttemptedFor: subscription.autoRenewAttemptedFor || null },
+      { $set: { autoRenewAttemptedFor: periodEnd } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const provider = subscription.paymentMethod.provider;
+    const gateway = getPaymentGateway(provider);
+    const amount = Number(tenant.settings.paymentConfig.planPrices[subscription.billingCycle]);
+    let payment = null;
+    try {
+      const order = await gateway.createOrder({
+        amount,
+        receipt: `renew-${subscription._id}-${Date.now()}`.slice(0, 40),
+        notes: { tenantId: String(tenant._id), mobileUserId: String(subscription.mobileUserId), planPeriod: subscription.billingCycle, autoRenew: 'true' }
+      });
+      payment = await Payment.create({
+        tenantId: tenant._id,
+        submittedByMobileId: subscription.mobileUserId,
+        submittedByName: user.name,
+        submittedByPhone: user.phoneNumber,
+        submittedByEmail: user.email,
+        submittedByRole: user.role,
+        submittedByUserType: subscription.userType,
+        planPeriod: subscription.billingCycle,
+        amount,
+        transactionId: order.orderId,
+        notes: `Auto-renewal (${subscription.paymentMethod.label || provider})`,
+        status: 'initiated',
+        method: 'gateway',
+        gateway: { provider, orderId: order.orderId, recurring: true },
+        amountValidated: true,
+        expectedAmount: amount
+      });
+      await logEvent(subscription, 'auto_renew_started', { paymentId: payment._id });
+      started++;
+
+      const charge = await gateway.chargeSavedMethod({ order, paymentMethod: subscription.paymentMethod, payment });
+      if (charge.status === 'paid') {
+        await applyGatewayEvent(provider, { status: 'paid', orderId: order.orderId, gatewayPaymentId: charge.gatewayPaymentId, amount });
+        const renewed = await UserSubscription.findById(subscription._id).select('currentPeriodEnd').lean();
+        await notify(cache, subscription, 'auto_renewed', { periodEnd: renewed?.currentPeriodEnd });
+      } else if (charge.status === 'failed') {
+        await applyGatewayEvent(provider, { status: 'failed', orderId: order.orderId, gatewayPaymentId: charge.gatewayPaymentId, reason: charge.reason });
+        await logEvent(subscription, 'auto_renew_failed', { paymentId: payment._id, reason: charge.reason });
+        await notify(cache, subscription, 'auto_renew_failed', { reason: charge.reason });
+      }
+      // 'pending': the gateway's webhook finishes it
+    } catch (error) {
+      console.error(`Auto-renewal failed for subscription ${subscription._id}:`, error);
+      if (payment) {
+        await Payment.updateOne({ _id: payment._id, status: 'initiated' }, { $set: { status: 'rejected', rejectionReason: error.message, 'gateway.failureReason': error.message } });
+      }
+      await logEvent(subscription, 'auto_renew_failed', { paymentId: payment?._id, reason: error.message });
+      await notify(cache, subscription, 'auto_renew_failed', {});
+    }
+  }
+  return started;
+}
+
+// past_due → expired
+async function expirePastDue(cache, now) {
+  let count = 0;
+  const cutoff = new Date(now.getTime() - subscriptionController.getPastDueDays() * DAY_MS);
+  const lapsed = await UserSubscription.find({
+    status: 'past_due',
+    $or: [{ gracePeriodEnd: { $lt: cutoff } }, { gracePeriodEnd: null, currentPeriodEnd: { $lt: cutoff } }]
+  }).select('_id tenantId mobileUserId userType');
+  for (const subscription of lapsed) {
+    const result = await subscriptionController.expireSubscription(subscription._id, 'Not renewed while past due', SOURCE);
+    if (!result.success) continue;
+    await notify(cache, subscription, 'expired', {});
+    count++;
+  }
+  return count;
+}
+
+// grace_period → past_due
+async function endGracePeriods(cache, now) {
+  let count = 0;
+  const lapsed = await UserSubscription.findExpiredGracePeriod();
+  for (const subscription of lapsed) {
+    const result = await subscriptionController.markPastDue(subscription._id, SOURCE);
+    if (!result.success) continue;
+    // A backlog that is already due to expire is not told about the intermediate step
+    const expiresAt = (subscription.gracePeriodEnd?.getTime() || 0) + subscriptionController.getPastDueDays() * DAY_MS;
+    if (expiresAt > now.getTime()) await notify(cache, subscription, 'past_due', {});
+    count++;
+  }
+  return count;
+}
+
+// active → grace_period; trials and subscriptions cancelled at period end end here
+async function endPeriods(cache, now) {
+  const counts = { gracePeriod: 0, ended: 0 };
+  const lapsed = await UserSubscription.find({ status: { $in: ['active', 'trial'] }, currentPeriodEnd: { $lt: now } })
+    .select('_id tenantId mobileUserId userType status cancelAtPeriodEnd');
+  for (const subscription of lapsed) {
+    if (subscription.status === 'trial' || subscription.cancelAtPeriodEnd) {
+      const reason = subscription.status === 'trial' ? 'Trial ended' : 'Cancelled at period end';
+      const result = await subscriptionController.expireSubscription(subscription._id, reason, SOURCE);
+      if (!result.success) continue;
+      await notify(cache, subscription, 'expired', {});
+      counts.ended++;
+    } else {
+      const result = await subscriptionController.enterGracePeriod(subscription._id, 'Period ended without renewal', SOURCE);
+      if (!result.success) continue;
+      if (result.gracePeriodEnd > now) await notify(cache, subscription, 'grace_period', { gracePeriodEnd: result.gracePeriodEnd });
+      counts.gracePeriod++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * One pass of the subscription lifecycle. Later stages run first so that a subscription moves
+ * at most one step per run.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Counts per stage
+ */
+async function runSubscriptionLifecycle(now = new Date()) {
+  const cache = createRunCache();
+  const expired = await expirePastDue(cache, now);
+  const pastDue = await endGracePeriods(cache, now);
+  const { gracePeriod, ended } = await endPeriods(cache, now);
+  const autoRenewals = await autoRenew(cache, now);
+  const reminders = await sendReminders(cache, now);
+  const summary = { reminders, autoRenewals, gracePeriod, pastDue, expired: expired + ended };
+  console.log('🔁 Subscription lifecycle:', summary);
+  return summary;
+}
+
+registerJobHandler('subscription_lifecycle', () => runSubscriptionLifecycle(), { label: 'Subscription lifecycle', maxAttempts: 1, concurrency: 1 });
+
+module.exports = {
+  REMINDER_DAYS,
+  canAutoRenew,
+  runSubscriptionLifecycle
+};
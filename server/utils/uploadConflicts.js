@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// What ingestion does with a row whose chassis, registration or agreement number is already on file:
+// skip it, overwrite the existing record, or insert it and flag both records for review
+const DUPLICATE_POLICIES = ['skip', 'replace', 'flag'];
+
+const DEFAULT_DUPLICATE_POLICY = 'flag';
+
+/**
+ * Parse a duplicate policy sent by a client
+ * @param {*} value - Policy name; empty means "use the default"
+ * @returns {String|null|undefined} Policy, null when not set, undefined when invalid
+ */
+function parseDuplicatePolicy(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const policy = String(value).trim().toLowerCase();
+  return DUPLICATE_POLICIES.includes(policy) ? policy : undefined;
+}
+
+/**
+ * Duplicate policy configured on the client (bank) an upload belongs to
+ * @param {Object} connection - Tenant database connection
+ * @param {Object} bank - { bankId, bankName }
+ * @returns {Promise<String>}
+ */
+async function getBankDuplicatePolicy(connection, { bankId, bankName }) {
+  const clients = connection.db.collection('clientmanagement');
+  let client = null;
+  if (bankId && mongoose.isValidObjectId(bankId)) {
+    client = await clients.findOne({ _id: new mongoose.Types.ObjectId(String(bankId)) }, { projection: { duplicatePolicy: 1 } });
+  }
+  if (!client && bankName) client = await clients.findOne({ name: bankName }, { projection: { duplicatePolicy: 1 } });
+  return parseDuplicatePolicy(client?.duplicatePolicy) || DEFAULT_DUPLICATE_POLICY;
+}
+
+/**
+ * Compact view of a vehicle for the conflict review screen
+ * @param {Object} doc - Vehicle document (stored or about to be inserted)
+ * @param {String} [vehicleType] - Collection the document lives in
+ * @returns {Object}
+ */
+function toConflictSummary(doc, vehicleType) {
+  return {
+    vehicleId: doc._id,
+    vehicleType: vehicleType || doc.vehicleType,
+    registrationNumber: doc.registrationNumber || '',
+    chassisNumber: doc.chassisNumber || '',
+    agreementNumber: doc.agreementNumber || '',
+    customerName: doc.customerName || '',
+    emiAmount: doc.emiAmount ?? null,
+    bankName: doc.bankName || '',
+    fileName: doc.fileName || '',
+    uploadDate: doc.uploadDate || doc.createdAt || null,
+    status: doc.status || 'Pending'
+  };
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY,
+  parseDuplicatePolicy,
+  getBankDuplicatePolicy,
+  toConflictSummary
+};
@@ -0,0 +1,151 @@
+// Vehicle lifecycle: Pending → Confirmed → Hold → In Yard → Released, with Cancelled reachable
+// from every open state. Each transition lists the actor roles allowed to perform it.
+
+const VEHICLE_STATUSES = ['Pending', 'Confirmed', 'Hold', 'In Yard', 'Released', 'Cancelled'];
+
+const ACTOR_ROLES = {
+  ADMIN: 'admin',
+  OFFICE_STAFF: 'office_staff',
+  REPO_AGENT: 'repo_agent'
+};
+
+const STAFF = [ACTOR_ROLES.ADMIN, ACTOR_ROLES.OFFICE_STAFF];
+const ADMIN_ONLY = [ACTOR_ROLES.ADMIN];
+
+const TRANSITIONS = {
+  'Pending': {
+    'Confirmed': [...STAFF, ACTOR_ROLES.REPO_AGENT],
+    'Cancelled': STAFF
+  },
+  'Confirmed': {
+    'Hold': STAFF,
+    'Pending': STAFF,
+    'Cancelled': STAFF
+  },
+  'Hold': {
+    'In Yard': STAFF,
+    'Cancelled': STAFF
+  },
+  'In Yard': {
+    'Released': ADMIN_ONLY,
+    'Cancelled': ADMIN_ONLY
+  },
+  'Released': {},
+  'Cancelled': {
+    'Pending': ADMIN_ONLY
+  }
+};
+
+// Spellings found in uploaded sheets and older clients
+const STATUS_ALIASES = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  confirm: 'Confirmed',
+  hold: 'Hold',
+  onhold: 'Hold',
+  inyard: 'In Yard',
+  yard: 'In Yard',
+  released: 'Released',
+  release: 'Released',
+  cancelled: 'Cancelled',
+  canceled: 'Cancelled',
+  cancel: 'Cancelled'
+};
+
+/**
+ * Map a stored or requested status to its canonical lifecycle name
+ * @param {String} value - e.g. 'inYard', 'in yard', 'HOLD'
+ * @returns {String|null} Canonical status, or null when unrecognised
+ */
+function normalizeStatus(value) {
+  if (!value) return null;
+  const key = String(value).toLowerCase().replace(/[^a-z]/g, '');
+  return STATUS_ALIASES[key] || null;
+}
+
+/**
+ * Resolve the lifecycle role of an authenticated user (req.user)
+ * @param {Object} user - Unified auth user
+ * @returns {String|null}
+ */
+function getActorRole(user) {
+  const userType = String(user?.userType || '').toLowerCase();
+  if (userType === 'main_user') {
+    // Web users without an admin role get the same rights as office staff
+    return ['admin', 'super_admin'].includes(user.role) ? ACTOR_ROLES.ADMIN : ACTOR_ROLES.OFFICE_STAFF;
+  }
+  if (userType === 'office_staff') return ACTOR_ROLES.OFFICE_STAFF;
+  if (userType === 'repo_agent') return ACTOR_ROLES.REPO_AGENT;
+  return null;
+}
+
+/**
+ * Statuses the given role may move a vehicle to from its current status
+ * @param {String} fromStatus - Current status (any spelling)
+ * @param {String} role - Actor role
+ * @returns {Array<String>}
+ */
+function getAllowedTransitions(fromStatus, role) {
+  const from = normalizeStatus(fromStatus) || 'Pending';
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+}
+
+/**
+ * Check a single transition
+ * @param {String} fromStatus - Current status (any spelling)
+ * @param {String} toStatus - Requested status (any spelling)
+ * @param {String} role - Actor role
+ * @returns {{allowed: Boolean, from: String, to: String|null, reason?: String}}
+ */
+function checkTransition(fromStatus, toStatus, role) {
+  const from = normalizeStatus(fromStatus) || 'Pending';
+  const to = normalizeStatus(toStatus);
+  if (!to) {
+    return { allowed: false, from, to, reason: 'invalid_status' };
+  }
+  const roles = (TRANSITIONS[from] || {})[to];
+  if (!roles) {
+    return { allowed: false, from, to, reason: 'invalid_transition' };
+  }
+  if (!roles.includes(role)) {
+    return { allowed: false, from, to, reason: 'forbidden' };
+  }
+  return { allowed: true, from, to };
+}
+
+/**
+ * HTTP answer for a status change the repository rejected (changeVehicleStatus and
+ * revertVehicleStatusChange), shared by every route that changes a vehicle's status
+ * @param {Object} result - { code, from, to, allowed }
+ * @returns {{status: Number, body: Object}}
+ */
+function describeStatusChangeError(result) {
+  const messages = {
+    not_found: [404, 'Vehicle not found'],
+    invalid_status: [400, `Invalid status. Use one of: ${VEHICLE_STATUSES.join(', ')}`],
+    invalid_transition: [409, `Cannot move vehicle from ${result.from} to ${result.to}`],
+    forbidden: [403, `You are not allowed to move vehicle from ${result.from} to ${result.to}`],
+    conflict: [409, 'Vehicle status was changed by someone else, please reload'],
+    yard_required: [409, 'Check the vehicle in at a yard to move it to In Yard'],
+    yard_checkout_required: [409, 'Check the vehicle out of its yard to change its status'],
+    release_letter_required: [409, 'Upload the bank release letter before releasing the vehicle'],
+    confirmer_call_required: [409, `Call a confirmer and log the outcome before moving the vehicle to ${result.to}`],
+    confirmer_asked_release: [409, 'The confirmer asked to release this vehicle'],
+    confirmer_asked_hold: [409, 'The confirmer asked to hold this vehicle; log a confirmed call before moving it to a yard']
+  };
+  const [status, message] = messages[result.code] || [400, 'Status change rejected'];
+  return { status, body: { success: false, message, from: result.from, to: result.to, allowedTransitions: result.allowed || [] } };
+}
+
+module.exports = {
+  VEHICLE_STATUSES,
+  ACTOR_ROLES,
+  TRANSITIONS,
+  normalizeStatus,
+  getActorRole,
+  getAllowedTransitions,
+  checkTransition,
+  describeStatusChangeError
+};
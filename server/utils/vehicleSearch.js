@@ -0,0 +1,237 @@
+// Normalized search keys and fuzzy matching for vehicle identifiers.
+// Identifiers are stored on each vehicle as `searchIndex`, keyed by field, so
+// searches can run against indexed, normalized values instead of raw sheet text.
+
+const SEARCH_INDEX_VERSION = 1;
+
+// Identifier fields covered by the search index, keyed by the short name used in searchIndex
+const SEARCH_FIELDS = {
+  reg: 'registrationNumber',
+  chassis: 'chassisNumber',
+  engine: 'engineNumber',
+  agreement: 'agreementNumber'
+};
+
+// Characters OCR and field agents commonly mix up, folded onto one representative
+const CONFUSABLES = {
+  O: '0',
+  Q: '0',
+  I: '1',
+  L: '1',
+  B: '8',
+  S: '5',
+  Z: '2'
+};
+
+const GRAM_SIZE = 3;
+
+/**
+ * Normalize a registration number the same way uploads store it
+ * (formatRegistrationNumber in routes/mobileUpload.js): no spaces or hyphens, uppercase
+ * @param {String} value
+ * @returns {String}
+ */
+function normalizeRegistrationNumber(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[-\s]/g, '').toUpperCase();
+}
+
+/**
+ * Normalize any identifier to uppercase letters and digits only
+ * @param {String} value - e.g. "mh-12 ab.1234"
+ * @returns {String} e.g. "MH12AB1234"
+ */
+function normalizeIdentifier(value) {
+  return normalizeRegistrationNumber(value).replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Fold confusable characters so "MH12AB1O34" and "MH12A81034" share a key
+ * @param {String} value - Raw or normalized identifier
+ * @returns {String}
+ */
+function toConfusableKey(value) {
+  return normalizeIdentifier(value).replace(/[OQILBSZ]/g, ch => CONFUSABLES[ch]);
+}
+
+/**
+ * Distinct character trigrams of a key (the whole key when it is shorter)
+ * @param {String} key - Confusable key
+ * @returns {Array<String>}
+ */
+function toGrams(key) {
+  if (!key) return [];
+  if (key.length <= GRAM_SIZE) return [key];
+  const grams = new Set();
+  for (let i = 0; i <= key.length - GRAM_SIZE; i++) {
+    grams.add(key.slice(i, i + GRAM_SIZE));
+  }
+  return [...grams];
+}
+
+/**
+ * Build the searchIndex sub-document for a vehicle
+ * @param {Object} vehicle - Vehicle document or plain object
+ * @returns {{version: Number, reg: String, chassis: String, engine: String, agreement: String, grams: Array<String>}}
+ */
+function buildSearchIndex(vehicle) {
+  const index = { version: SEARCH_INDEX_VERSION };
+  const grams = new Set();
+  for (const [key, field] of Object.entries(SEARCH_FIELDS)) {
+    index[key] = toConfusableKey(vehicle?.[field]);
+    for (const gram of toGrams(index[key])) grams.add(gram);
+  }
+  index.grams = [...grams];
+  return index;
+}
+
+/**
+ * Smallest edit distance between `pattern` and any substring of `text`
+ * (Levenshtein with free leading/trailing text). Stops early above `max`.
+ * @param {String} pattern
+ * @param {String} text
+ * @param {Number} max - Largest distance worth reporting
+ * @returns {Number} Distance, or max + 1 when above max
+ */
+function substringEditDistance(pattern, text, max) {
+  const m = pattern.length;
+  if (m === 0) return 0;
+  if (!text) return m <= max ? m : max + 1;
+
+  // prev[i]: best distance of pattern[0..i) ending at the previous text position
+  let prev = new Array(m + 1);
+  for (let i = 0; i <= m; i++) prev[i] = i;
+  let best = prev[m];
+
+  for (let j = 1; j <= text.length; j++) {
+    const cur = new Array(m + 1);
+    cur[0] = 0;
+    for (let i = 1; i <= m; i++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      cur[i] = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + cost);
+    }
+    if (cur[m] < best) best = cur[m];
+    prev = cur;
+  }
+  return best <= max ? best : max + 1;
+}
+
+/**
+ * Edits tolerated for a query of this length
+ * @param {Number} length - Length of the confusable query key
+ * @returns {Number}
+ */
+function maxEditsFor(length) {
+  if (length < 5) return 0;
+  if (length < 9) return 1;
+  return 2;
+}
+
+/**
+ * Score how well a vehicle matches a query. Higher is better; null means no match.
+ * Exact matches beat confusable-equal, prefix, suffix, substring and finally fuzzy matches;
+ * within a tier registration numbers rank above chassis, engine and agreement numbers.
+ * @param {Object} vehicle - Vehicle document with identifier fields (searchIndex optional)
+ * @param {String} query - Raw query text
+ * @param {Array<String>} fields - searchIndex keys to consider (see SEARCH_FIELDS)
+ * @returns {{score: Number, field: String, type: String, distance: Number}|null}
+ */
+function scoreVehicleMatch(vehicle, query, fields = Object.keys(SEARCH_FIELDS)) {
+  const literal = normalizeIdentifier(query);
+  const qKey = toConfusableKey(query);
+  if (!qKey) return null;
+
+  const maxEdits = maxEditsFor(qKey.length);
+  const fieldWeight = { reg: 30, chassis: 20, engine: 10, agreement: 0 };
+  const lastFour = /^\d{4}$/.test(literal);
+  let best = null;
+
+  for (const field of fields) {
+    const value = normalizeIdentifier(vehicle?.[SEARCH_FIELDS[field]]);
+    if (!value) continue;
+    const key = vehicle?.searchIndex?.[field] || toConfusableKey(value);
+
+    let type = null;
+    let score = 0;
+    let distance = 0;
+    if (value === literal) {
+      type = 'exact'; score = 1000;
+    } else if (key === qKey) {
+      type = 'exact'; score = 950;
+    } else if (key.startsWith(qKey)) {
+      type = 'prefix'; score = 800;
+    } else if (key.endsWith(qKey)) {
+      // "last four of the plate" is the most common partial lookup
+      type = 'suffix'; score = lastFour && field === 'reg' ? 900 : 780;
+    } else if (key.includes(qKey)) {
+      type = 'partial'; score = 700;
+    } else if (maxEdits > 0) {
+      distance = substringEditDistance(qKey, key, maxEdits);
+      if (distance <= maxEdits) {
+        type = 'fuzzy'; score = 600 - distance * 100;
+      }
+    }
+    if (!type) continue;
+
+    score += fieldWeight[field] || 0;
+    // Literal (non-confusable) containment and a closer length are tie-breakers
+    if (type !== 'exact' && value.includes(literal)) score += 5;
+    score -= Math.min(50, Math.abs(key.length - qKey.length)) / 10;
+
+    if (!best || score > best.score) best = { score, field, type, distance };
+  }
+  return best;
+}
+
+/**
+ * Encode the position after a ranked result for cursor paging
+ * @param {{score: Number, sortKey: String, _id: *}} item
+ * @returns {String} base64url cursor
+ */
+function encodeSearchCursor(item) {
+  return Buffer.from(JSON.stringify({ s: item.score, k: item.sortKey, i: String(item._id) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeSearchCursor
+ * @param {String} cursor
+ * @returns {{s: Number, k: String, i: String}|null} null when missing or malformed
+ */
+function decodeSearchCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof parsed.s !== 'number' || typeof parsed.i !== 'string') return null;
+    return { s: parsed.s, k: String(parsed.k || ''), i: parsed.i };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Ranking order: score desc, then sort key and id asc so pages are stable
+ * @returns {Number}
+ */
+function compareRanked(a, b) {
+  if (a.score !== b.score) return b.score - a.score;
+  if (a.sortKey !== b.sortKey) return a.sortKey < b.sortKey ? -1 : 1;
+  const ia = String(a._id);
+  const ib = String(b._id);
+  return ia < ib ? -1 : ia > ib ? 1 : 0;
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  SEARCH_FIELDS,
+  normalizeRegistrationNumber,
+  normalizeIdentifier,
+  toConfusableKey,
+  toGrams,
+  buildSearchIndex,
+  substringEditDistance,
+  maxEditsFor,
+  scoreVehicleMatch,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  compareRanked
+};